@@ -119,7 +119,14 @@ class CoreApplication {
       require('./billing/routes/stripe.routes')
     );
     
-    this.app.use(express.json());
+    this.app.use(express.json({
+      // WhatsApp Cloud API webhooks are signed over the exact request bytes
+      verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/campaigns/whatsapp/webhook')) {
+          req.rawBody = buf;
+        }
+      }
+    }));
     this.app.use(express.urlencoded({ extended: true }));
     this.app.use(cookieParser()); // Parse cookies
     
@@ -54,11 +54,23 @@ const authenticateToken = (req, res, next) => {
   }
 
   // Skip auth for Cloud Tasks endpoints (they have their own auth via headers)
-  if (req.path.includes('/execute-followup') || req.path.includes('/run-daily')) {
+  if (req.path.includes('/execute-followup') || req.path.includes('/run-daily') || req.path === '/api/campaigns/jobs/run') {
     logger.debug(`[Auth] Skipping auth for Cloud Tasks endpoint: ${req.path}`);
     return next();
   }
 
+  // Skip auth for campaign email tracking (links carry HMAC-signed tokens)
+  if (req.path.startsWith('/api/campaigns/track/')) {
+    return next();
+  }
+
+  // Skip auth for WhatsApp/Instagram provider and voice agent webhooks (verified by signature/secret in controller)
+  if (req.path.startsWith('/api/campaigns/whatsapp/webhook') ||
+      req.path.startsWith('/api/campaigns/instagram/webhook') ||
+      req.path.startsWith('/api/campaigns/voice/webhook')) {
+    return next();
+  }
+
   // Skip auth for service-to-service calls with x-tenant-id header
   // These are internal API calls from campaign processor, scheduled tasks, etc.
   const tenantIdHeader = req.headers['x-tenant-id'];
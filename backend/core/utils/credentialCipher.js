@@ -0,0 +1,68 @@
+/**
+ * Credential Cipher - Encryption at rest for provider credentials
+ *
+ * Usage:
+ *   const { encryptCredential, decryptCredential } = require('../../../core/utils/credentialCipher');
+ *   await repository.create(tenantId, { ...data, smtp_password: encryptCredential(data.smtp_password) });
+ *   const pass = decryptCredential(mailbox.smtp_password);
+ *
+ * Values are AES-256-GCM encrypted with a key derived from CREDENTIALS_ENCRYPTION_KEY
+ * and stored as "enc:v1:<iv>:<auth tag>:<ciphertext>" (base64 parts).
+ */
+
+const crypto = require('crypto');
+
+const PREFIX = 'enc:v1:';
+const IV_BYTES = 12;
+
+function getKey() {
+  const secret = process.env.CREDENTIALS_ENCRYPTION_KEY;
+  if (!secret) {
+    throw new Error('CREDENTIALS_ENCRYPTION_KEY is not configured');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * Encrypt a credential for storage
+ * @param {string|null} plaintext
+ * @returns {string|null} Encrypted value (null/empty values are stored as null)
+ */
+function encryptCredential(plaintext) {
+  if (plaintext === undefined || plaintext === null || plaintext === '') {
+    return null;
+  }
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  return `${PREFIX}${iv.toString('base64')}:${cipher.getAuthTag().toString('base64')}:${ciphertext.toString('base64')}`;
+}
+
+/**
+ * Decrypt a stored credential
+ * @param {string|null} stored - Value written by encryptCredential
+ * @returns {string|null}
+ * @throws {Error} If the value is not encrypted or was encrypted with another key
+ */
+function decryptCredential(stored) {
+  if (stored === undefined || stored === null || stored === '') {
+    return null;
+  }
+  if (!isEncrypted(stored)) {
+    throw new Error('Stored credential is not encrypted');
+  }
+  const [iv, tag, ciphertext] = stored.slice(PREFIX.length).split(':');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+  encryptCredential,
+  decryptCredential,
+  isEncrypted
+};
@@ -0,0 +1,43 @@
+/**
+ * Webhook Secret - Constant-time checks for secrets sent with provider webhooks
+ *
+ * Usage:
+ *   const { verifyWebhookSecret } = require('../../../core/utils/webhookSecret');
+ *   if (!verifyWebhookSecret('WEBHOOK_SECRET', req.headers['unipile-auth'])) {
+ *     return res.status(401).json({ error: 'Unauthorized' });
+ *   }
+ */
+
+const crypto = require('crypto');
+const logger = require('./logger');
+
+/**
+ * Compare two strings without leaking where they differ
+ * @returns {boolean} false if either value is missing
+ */
+function safeEqual(expected, received) {
+  if (!expected || !received) return false;
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(received));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Check a received secret against the one configured in an environment variable
+ * Fails closed: every request is rejected while the variable is unset
+ * @param {string} envName - e.g. 'WEBHOOK_SECRET'
+ * @param {string} receivedSecret - Secret sent with the webhook
+ */
+function verifyWebhookSecret(envName, receivedSecret) {
+  const expected = process.env[envName];
+  if (!expected) {
+    logger.error(`[Webhook] ${envName} is not configured - rejecting webhook`);
+    return false;
+  }
+  return safeEqual(expected, receivedSecret);
+}
+
+module.exports = {
+  safeEqual,
+  verifyWebhookSecret
+};
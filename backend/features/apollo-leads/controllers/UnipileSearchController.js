@@ -4,7 +4,7 @@
  * Exposes Unipile-based lead and company search API endpoints
  */
 
-const UnipileLeadSearchService = require('../services/UnipileLeadSearchService');
+const UnipileLeadSearchService = require('../../../shared/services/unipileLeadSearchService');
 const logger = require('../../../core/utils/logger');
 
 class UnipileSearchController {
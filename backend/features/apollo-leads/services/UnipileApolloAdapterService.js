@@ -10,7 +10,7 @@
 
 const axios = require('axios');
 const logger = require('../../../core/utils/logger');
-const UnipileLeadSearchService = require('./UnipileLeadSearchService');
+const UnipileLeadSearchService = require('../../../shared/services/unipileLeadSearchService');
 const { searchEmployeesFromApollo } = require('./ApolloApiService');
 
 class UnipileApolloAdapterService {
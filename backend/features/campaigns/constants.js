@@ -93,6 +93,11 @@ const API_CONFIG = {
   // Unipile connection/action timeout (ms)
   UNIPILE_ACTION_TIMEOUT_MS: 90000
 };
+// Voice call billing (call-completion webhook)
+const VOICE_CALL_CONFIG = {
+  // Credits charged per started minute of connected call time
+  CREDITS_PER_MINUTE: Number(process.env.VOICE_CREDITS_PER_MINUTE) || 3
+};
 module.exports = {
   // Feature-level constants (not model-specific)
   CAMPAIGN_TYPE,
@@ -104,5 +109,6 @@ module.exports = {
   CHANNEL,
   EXECUTION_STATUS,
   DEFAULTS,
-  API_CONFIG
+  API_CONFIG,
+  VOICE_CALL_CONFIG
 };
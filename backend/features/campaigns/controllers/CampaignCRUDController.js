@@ -4,6 +4,8 @@
  */
 const CampaignModel = require('../models/CampaignModel');
 const CampaignStepModel = require('../models/CampaignStepModel');
+const { withNodeIds } = require('../engine/workflowGraph');
+const { validateWorkflowTemplates } = require('../services/StepValidators');
 const CampaignExecutionService = require('../services/CampaignExecutionService');
 const { campaignStatsTracker } = require('../services/campaignStatsTracker');
 const { campaignEventsService } = require('../services/campaignEventsService');
@@ -340,6 +342,15 @@ class CampaignCRUDController {
           error: 'Campaign name is required'
         });
       }
+      if (Array.isArray(steps)) {
+        const templateValidation = validateWorkflowTemplates(steps);
+        if (!templateValidation.valid) {
+          return res.status(400).json({
+            success: false,
+            error: templateValidation.error
+          });
+        }
+      }
 
       // Fetch message_data from ai_messages if conversationId is provided
       let messageData = null;
@@ -463,7 +474,8 @@ class CampaignCRUDController {
       if (steps && Array.isArray(steps) && steps.length > 0) {
         try {
           // Map step_type to type and step_order to order for database compatibility
-          const mappedSteps = steps.map(step => {
+          // Builder node ids are kept in config so workflow edges still resolve
+          const mappedSteps = withNodeIds(steps).map(step => {
             // Generate title from type if not provided
             const stepType = step.step_type || step.type;
             const title = step.title || this._generateStepTitle(stepType, step.config);
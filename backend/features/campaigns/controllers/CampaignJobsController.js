@@ -0,0 +1,215 @@
+/**
+ * Campaign Jobs Controller
+ * API endpoint handlers for the background job queue
+ *
+ * LAD Architecture: Controller Layer
+ * - Validate input
+ * - Call service for business logic
+ * - Return response
+ * - NO SQL, NO business logic
+ */
+
+const logger = require('../../../core/utils/logger');
+const jobQueueService = require('../services/JobQueueService');
+
+class CampaignJobsController {
+  /**
+   * POST /api/campaigns/jobs/run
+   * Called by Cloud Tasks to run a queued job (cloud_tasks backend)
+   */
+  async runJob(req, res) {
+    try {
+      const delivery = {
+        taskName: req.headers['x-cloudtasks-taskname'],
+        retryCount: req.headers['x-cloudtasks-taskretrycount']
+      };
+      const result = await jobQueueService.runDeliveredJob(req.body || {}, delivery);
+
+      // Dead-lettered jobs also answer 200 so Cloud Tasks stops retrying
+      res.json(result);
+    } catch (error) {
+      logger.error('[CampaignJobsController] Job run failed', {
+        name: req.body?.name,
+        tenantId: req.body?.tenantId,
+        error: error.message
+      });
+      if (error.statusCode === 400) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      // 500 makes Cloud Tasks retry with the queue's backoff
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/campaigns/jobs
+   * List the tenant's queued jobs (postgres backend)
+   */
+  async listJobs(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const jobs = await jobQueueService.listJobs(tenantId, req.query || {}, context);
+
+      res.json({
+        success: true,
+        data: jobs,
+        backend: jobQueueService.getBackend()
+      });
+    } catch (error) {
+      logger.error('[CampaignJobsController] Error listing jobs', {
+        error: error.message
+      });
+      if (error.statusCode === 400) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list jobs'
+      });
+    }
+  }
+
+  /**
+   * GET /api/campaigns/jobs/:id
+   * Get a queued job
+   */
+  async getJob(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const job = await jobQueueService.getJob(req.params.id, tenantId, context);
+      if (!job) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+      }
+
+      res.json({
+        success: true,
+        data: job
+      });
+    } catch (error) {
+      logger.error('[CampaignJobsController] Error getting job', {
+        error: error.message
+      });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get job'
+      });
+    }
+  }
+
+  /**
+   * GET /api/campaigns/jobs/dead-letters
+   * List the tenant's failed jobs
+   */
+  async listDeadLetters(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const deadLetters = await jobQueueService.listDeadLetters(tenantId, req.query || {}, context);
+
+      res.json({
+        success: true,
+        data: deadLetters
+      });
+    } catch (error) {
+      logger.error('[CampaignJobsController] Error listing dead letters', {
+        error: error.message
+      });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list failed jobs'
+      });
+    }
+  }
+
+  /**
+   * GET /api/campaigns/jobs/dead-letters/:id
+   * Get a failed job (payload, attempts, last error)
+   */
+  async getDeadLetter(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const deadLetter = await jobQueueService.getDeadLetter(req.params.id, tenantId, context);
+      if (!deadLetter) {
+        return res.status(404).json({ success: false, error: 'Failed job not found' });
+      }
+
+      res.json({
+        success: true,
+        data: deadLetter
+      });
+    } catch (error) {
+      logger.error('[CampaignJobsController] Error getting dead letter', {
+        error: error.message
+      });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get failed job'
+      });
+    }
+  }
+
+  /**
+   * POST /api/campaigns/jobs/dead-letters/:id/replay
+   * Enqueue a failed job again
+   */
+  async replayDeadLetter(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const replay = await jobQueueService.replayDeadLetter(req.params.id, tenantId, context);
+      if (!replay) {
+        return res.status(404).json({ success: false, error: 'Failed job not found' });
+      }
+
+      logger.info('[CampaignJobsController] Failed job replayed', {
+        deadLetterId: req.params.id,
+        tenantId,
+        userId: req.user?.userId || req.user?.id
+      });
+
+      res.json({
+        success: true,
+        data: replay
+      });
+    } catch (error) {
+      logger.error('[CampaignJobsController] Error replaying dead letter', {
+        error: error.message
+      });
+      if (error.statusCode === 400) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      res.status(500).json({
+        success: false,
+        error: 'Failed to replay job'
+      });
+    }
+  }
+}
+
+module.exports = new CampaignJobsController();
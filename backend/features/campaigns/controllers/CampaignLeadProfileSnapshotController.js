@@ -0,0 +1,48 @@
+/**
+ * Campaign Lead Profile Snapshot Controller
+ * API endpoint handler for the LinkedIn profile snapshots taken by linkedin_scrape_profile steps
+ *
+ * LAD Architecture: Controller Layer
+ * - Validate input
+ * - Call service for business logic
+ * - Return response
+ * - NO SQL, NO business logic
+ */
+
+const logger = require('../../../core/utils/logger');
+const linkedInProfileSnapshotService = require('../services/LinkedInProfileSnapshotService');
+
+class CampaignLeadProfileSnapshotController {
+  /**
+   * GET /api/campaigns/:id/leads/:leadId/profile-snapshots
+   * Snapshot history of a campaign lead, newest first (the first entry is lead_data.linkedin_profile)
+   */
+  async listSnapshots(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const snapshots = await linkedInProfileSnapshotService.listSnapshots(req.params.id, req.params.leadId, tenantId, context);
+
+      res.json({
+        success: true,
+        data: snapshots
+      });
+    } catch (error) {
+      logger.error('[CampaignLeadProfileSnapshotController] Failed to list profile snapshots', {
+        campaignId: req.params.id,
+        leadId: req.params.leadId,
+        error: error.message
+      });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list profile snapshots'
+      });
+    }
+  }
+}
+
+module.exports = new CampaignLeadProfileSnapshotController();
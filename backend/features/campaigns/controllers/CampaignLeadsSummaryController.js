@@ -6,7 +6,7 @@
 
 const CampaignLeadModel = require('../models/CampaignLeadModel');
 const { getSchema } = require('../../../core/utils/schemaHelper');
-const UnipileLeadSearchService = require('../../apollo-leads/services/UnipileLeadSearchService');
+const UnipileLeadSearchService = require('../../../shared/services/unipileLeadSearchService');
 const LinkedInAccountHelper = require('../services/LinkedInAccountHelper');
 const logger = require('../../../core/utils/logger');
 
@@ -0,0 +1,129 @@
+/**
+ * Campaign Portability Controller
+ * API endpoint handlers for cloning campaigns and JSON export/import
+ *
+ * LAD Architecture: Controller Layer
+ * - Validate input
+ * - Call service for business logic
+ * - Return response
+ * - NO SQL, NO business logic
+ */
+
+const logger = require('../../../core/utils/logger');
+const portabilityService = require('../services/CampaignPortabilityService');
+
+class CampaignPortabilityController {
+  /**
+   * POST /api/campaigns/:id/clone
+   * Duplicate a campaign as a new draft
+   * Body: { name?, includeSteps? (default true), includeSettings? (default true), includeLeads? (default false) }
+   */
+  async cloneCampaign(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const userId = req.user?.userId || req.user?.id;
+      const result = await portabilityService.cloneCampaign(req.params.id, tenantId, userId, req.body || {}, context);
+      if (!result) {
+        return res.status(404).json({ success: false, error: 'Campaign not found' });
+      }
+
+      res.status(201).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      logger.error('[CampaignPortabilityController] Error cloning campaign', {
+        campaignId: req.params.id,
+        error: error.message
+      });
+      if (error.statusCode === 400) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      res.status(500).json({
+        success: false,
+        error: 'Failed to clone campaign'
+      });
+    }
+  }
+
+  /**
+   * GET /api/campaigns/:id/export
+   * Export campaign config and steps as a versioned JSON document
+   * Query: download=true to get the document as a file
+   */
+  async exportCampaign(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const document = await portabilityService.exportCampaign(req.params.id, tenantId, context);
+      if (!document) {
+        return res.status(404).json({ success: false, error: 'Campaign not found' });
+      }
+
+      if (req.query?.download === 'true') {
+        res.setHeader('Content-Disposition', `attachment; filename="campaign-${req.params.id}.json"`);
+        return res.json(document);
+      }
+      res.json({
+        success: true,
+        data: document
+      });
+    } catch (error) {
+      logger.error('[CampaignPortabilityController] Error exporting campaign', {
+        campaignId: req.params.id,
+        error: error.message
+      });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to export campaign'
+      });
+    }
+  }
+
+  /**
+   * POST /api/campaigns/import
+   * Create a draft campaign from an export document
+   * Body: { definition, name? } or the export document itself
+   */
+  async importCampaign(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const userId = req.user?.userId || req.user?.id;
+      const body = req.body || {};
+      const document = body.definition !== undefined ? body.definition : body;
+      const result = await portabilityService.importCampaign(document, tenantId, userId, { name: body.name }, context);
+
+      res.status(201).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      logger.error('[CampaignPortabilityController] Error importing campaign', {
+        error: error.message
+      });
+      if (error.statusCode === 400) {
+        return res.status(400).json({ success: false, error: error.message, details: error.details });
+      }
+      res.status(500).json({
+        success: false,
+        error: 'Failed to import campaign'
+      });
+    }
+  }
+}
+
+module.exports = new CampaignPortabilityController();
@@ -0,0 +1,142 @@
+/**
+ * Campaign Settings Controller
+ * API endpoint handlers for tenant-wide campaign settings
+ *
+ * LAD Architecture: Controller Layer
+ * - Validate input
+ * - Call service for business logic
+ * - Return response
+ * - NO SQL, NO business logic
+ */
+
+const logger = require('../../../core/utils/logger');
+const frequencyCapService = require('../services/FrequencyCapService');
+const linkedInPacingService = require('../services/LinkedInPacingService');
+
+class CampaignSettingsController {
+  /**
+   * GET /api/campaigns/settings/frequency-caps
+   * Get the tenant's cross-campaign frequency caps
+   */
+  async getFrequencyCaps(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const caps = await frequencyCapService.getFrequencyCaps(tenantId, context);
+
+      res.json({
+        success: true,
+        data: caps
+      });
+    } catch (error) {
+      logger.error('[CampaignSettingsController] Error getting frequency caps', {
+        error: error.message
+      });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get frequency caps'
+      });
+    }
+  }
+
+  /**
+   * PUT /api/campaigns/settings/frequency-caps
+   * Update the tenant's cross-campaign frequency caps
+   */
+  async updateFrequencyCaps(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const userId = req.user?.userId || req.user?.id;
+      const caps = await frequencyCapService.updateFrequencyCaps(tenantId, userId, req.body || {}, context);
+
+      res.json({
+        success: true,
+        data: caps
+      });
+    } catch (error) {
+      logger.error('[CampaignSettingsController] Error updating frequency caps', {
+        error: error.message
+      });
+      if (error.statusCode === 400) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update frequency caps'
+      });
+    }
+  }
+
+  /**
+   * GET /api/campaigns/settings/linkedin-pacing
+   * Get the tenant's LinkedIn pacing settings
+   */
+  async getLinkedInPacing(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const pacing = await linkedInPacingService.getPacing(tenantId, context);
+
+      res.json({
+        success: true,
+        data: pacing
+      });
+    } catch (error) {
+      logger.error('[CampaignSettingsController] Error getting LinkedIn pacing', {
+        error: error.message
+      });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get LinkedIn pacing settings'
+      });
+    }
+  }
+
+  /**
+   * PUT /api/campaigns/settings/linkedin-pacing
+   * Update the tenant's LinkedIn pacing settings
+   */
+  async updateLinkedInPacing(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const userId = req.user?.userId || req.user?.id;
+      const pacing = await linkedInPacingService.updatePacing(tenantId, userId, req.body || {}, context);
+
+      res.json({
+        success: true,
+        data: pacing
+      });
+    } catch (error) {
+      logger.error('[CampaignSettingsController] Error updating LinkedIn pacing', {
+        error: error.message
+      });
+      if (error.statusCode === 400) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update LinkedIn pacing settings'
+      });
+    }
+  }
+}
+
+module.exports = new CampaignSettingsController();
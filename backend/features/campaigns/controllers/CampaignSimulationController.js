@@ -0,0 +1,55 @@
+/**
+ * Campaign Simulation Controller
+ * API endpoint handler for campaign dry runs
+ *
+ * LAD Architecture: Controller Layer
+ * - Validate input
+ * - Call service for business logic
+ * - Return response
+ * - NO SQL, NO business logic
+ */
+
+const logger = require('../../../core/utils/logger');
+const campaignSimulationService = require('../services/CampaignSimulationService');
+
+class CampaignSimulationController {
+  /**
+   * POST /api/campaigns/:id/simulate
+   * Per-lead timeline of planned actions, validation errors and the expected cost -
+   * nothing is sent and the wallet is not charged
+   * Body: { leadIds?, limit?, startAt?, horizonDays? }
+   */
+  async simulateCampaign(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const report = await campaignSimulationService.simulateCampaign(req.params.id, tenantId, req.body || {}, context);
+      if (!report) {
+        return res.status(404).json({ success: false, error: 'Campaign not found' });
+      }
+
+      res.json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      logger.error('[CampaignSimulationController] Failed to simulate campaign', {
+        campaignId: req.params.id,
+        error: error.message
+      });
+      if (error.statusCode === 400) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      res.status(500).json({
+        success: false,
+        error: 'Failed to simulate campaign'
+      });
+    }
+  }
+}
+
+module.exports = new CampaignSimulationController();
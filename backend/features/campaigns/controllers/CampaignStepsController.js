@@ -3,6 +3,7 @@
  * Handles step management for campaigns
  */
 const CampaignStepModel = require('../models/CampaignStepModel');
+const workflowVersionService = require('../services/WorkflowVersionService');
 class CampaignStepsController {
   /**
    * GET /api/campaigns/:id/steps
@@ -28,6 +29,8 @@ class CampaignStepsController {
   /**
    * POST /api/campaigns/:id/steps
    * Add/update steps for a campaign
+   * Once leads have entered the workflow this publishes a new workflow version;
+   * body.mapping moves in-flight leads from old steps to new ones
    */
   static async updateCampaignSteps(req, res) {
     try {
@@ -40,15 +43,30 @@ class CampaignStepsController {
           error: 'Steps array is required'
         });
       }
-      // Delete existing steps
-      await CampaignStepModel.deleteByCampaignId(id, tenantId);
-      // Create new steps
-      const createdSteps = await CampaignStepModel.bulkCreate(id, tenantId, steps);
+      const userId = req.user?.userId || req.user?.id;
+      const result = await workflowVersionService.saveSteps(id, tenantId, userId, req.body);
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: 'Campaign not found'
+        });
+      }
       res.json({
         success: true,
-        data: createdSteps
+        data: result.steps,
+        workflow: {
+          version: result.version,
+          published: result.published,
+          migration: result.migration
+        }
       });
     } catch (error) {
+      if (error.statusCode === 400 || error.statusCode === 409) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message
+        });
+      }
       res.status(500).json({
         success: false,
         error: 'Failed to update campaign steps',
@@ -57,4 +75,4 @@ class CampaignStepsController {
     }
   }
 }
-module.exports = CampaignStepsController;
\ No newline at end of file
+module.exports = CampaignStepsController;
@@ -0,0 +1,197 @@
+/**
+ * Campaign Template Controller
+ * API endpoint handlers for the campaign template library
+ *
+ * LAD Architecture: Controller Layer
+ * - Validate input
+ * - Call service for business logic
+ * - Return response
+ * - NO SQL, NO business logic
+ */
+
+const logger = require('../../../core/utils/logger');
+const service = require('../services/CampaignTemplateService');
+
+// Global templates are shared with every tenant
+const GLOBAL_TEMPLATE_CAPABILITY = 'campaigns.templates.global';
+
+class CampaignTemplateController {
+  /**
+   * GET /api/campaigns/templates
+   * List the tenant's templates and the global ones
+   */
+  async list(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const { templates, total } = await service.listTemplates(tenantId, req.query || {}, context);
+
+      res.json({
+        success: true,
+        data: templates,
+        total
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to list campaign templates', {});
+    }
+  }
+
+  /**
+   * GET /api/campaigns/templates/:id
+   * Get a template with its definition
+   */
+  async get(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const template = await service.getTemplate(req.params.id, tenantId, context);
+      if (!template) {
+        return res.status(404).json({ success: false, error: 'Campaign template not found' });
+      }
+
+      res.json({
+        success: true,
+        data: template
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to get campaign template', { templateId: req.params.id });
+    }
+  }
+
+  /**
+   * POST /api/campaigns/templates
+   * Save a template from a campaign or an export document
+   */
+  async create(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const template = await service.createTemplate(tenantId, req.body || {}, this.getUser(req), context);
+      if (!template) {
+        return res.status(404).json({ success: false, error: 'Campaign not found' });
+      }
+
+      res.status(201).json({
+        success: true,
+        data: template
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to create campaign template', {});
+    }
+  }
+
+  /**
+   * PATCH /api/campaigns/templates/:id
+   * Update a template
+   */
+  async update(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const template = await service.updateTemplate(req.params.id, tenantId, req.body || {}, this.getUser(req), context);
+      if (!template) {
+        return res.status(404).json({ success: false, error: 'Campaign template not found' });
+      }
+
+      res.json({
+        success: true,
+        data: template
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to update campaign template', { templateId: req.params.id });
+    }
+  }
+
+  /**
+   * DELETE /api/campaigns/templates/:id
+   * Remove a template from the library
+   */
+  async delete(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const deleted = await service.deleteTemplate(req.params.id, tenantId, this.getUser(req), context);
+      if (!deleted) {
+        return res.status(404).json({ success: false, error: 'Campaign template not found' });
+      }
+
+      res.json({ success: true });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to delete campaign template', { templateId: req.params.id });
+    }
+  }
+
+  /**
+   * POST /api/campaigns/templates/:id/use
+   * Create a draft campaign from a template
+   */
+  async use(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const userId = req.user?.userId || req.user?.id;
+      const result = await service.useTemplate(req.params.id, tenantId, userId, req.body || {}, context);
+      if (!result) {
+        return res.status(404).json({ success: false, error: 'Campaign template not found' });
+      }
+
+      res.status(201).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to create campaign from template', { templateId: req.params.id });
+    }
+  }
+
+  getUser(req) {
+    const capabilities = req.user?.capabilities || [];
+    return {
+      userId: req.user?.userId || req.user?.id,
+      canManageGlobal: capabilities.includes(GLOBAL_TEMPLATE_CAPABILITY)
+    };
+  }
+
+  handleError(res, error, message, meta) {
+    logger.error(`[CampaignTemplateController] ${message}`, {
+      ...meta,
+      error: error.message
+    });
+    if (error.statusCode === 400) {
+      return res.status(400).json({ success: false, error: error.message, details: error.details });
+    }
+    if (error.statusCode === 403) {
+      return res.status(403).json({ success: false, error: error.message });
+    }
+    res.status(500).json({
+      success: false,
+      error: message
+    });
+  }
+}
+
+module.exports = new CampaignTemplateController();
@@ -0,0 +1,195 @@
+/**
+ * Email Mailbox Controller
+ * API endpoint handlers for campaign sending mailboxes
+ *
+ * LAD Architecture: Controller Layer
+ * - Validate input
+ * - Call service for business logic
+ * - Return response
+ * - NO SQL, NO business logic
+ */
+
+const logger = require('../../../core/utils/logger');
+const service = require('../services/EmailMailboxService');
+const { emailPollingScheduler } = require('../services/emailPollingScheduler');
+
+class EmailMailboxController {
+  /**
+   * GET /api/campaigns/email/mailboxes
+   * List mailboxes for tenant (credentials are never returned)
+   */
+  async getAll(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const mailboxes = await service.listMailboxes(tenantId, context);
+
+      res.json({
+        success: true,
+        data: mailboxes,
+        count: mailboxes.length
+      });
+    } catch (error) {
+      logger.error('[EmailMailboxController] Error listing mailboxes', {
+        error: error.message
+      });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list mailboxes'
+      });
+    }
+  }
+
+  /**
+   * POST /api/campaigns/email/mailboxes
+   * Create mailbox
+   */
+  async create(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const mailbox = await service.createMailbox(tenantId, req.user?.id || null, req.body || {}, context);
+
+      res.status(201).json({
+        success: true,
+        data: mailbox
+      });
+    } catch (error) {
+      logger.error('[EmailMailboxController] Error creating mailbox', {
+        error: error.message
+      });
+      if (error.statusCode === 400) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      if (error.code === '23505') {
+        return res.status(409).json({ success: false, error: 'Mailbox already exists for this address' });
+      }
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create mailbox'
+      });
+    }
+  }
+
+  /**
+   * PUT /api/campaigns/email/mailboxes/:id
+   * Update mailbox
+   */
+  async update(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const mailbox = await service.updateMailbox(req.params.id, tenantId, req.body || {}, context);
+      if (!mailbox) {
+        return res.status(404).json({ success: false, error: 'Mailbox not found' });
+      }
+
+      res.json({
+        success: true,
+        data: mailbox
+      });
+    } catch (error) {
+      logger.error('[EmailMailboxController] Error updating mailbox', {
+        error: error.message
+      });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update mailbox'
+      });
+    }
+  }
+
+  /**
+   * DELETE /api/campaigns/email/mailboxes/:id
+   * Delete mailbox (soft delete)
+   */
+  async delete(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const deleted = await service.deleteMailbox(req.params.id, tenantId, context);
+      if (!deleted) {
+        return res.status(404).json({ success: false, error: 'Mailbox not found' });
+      }
+
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('[EmailMailboxController] Error deleting mailbox', {
+        error: error.message
+      });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete mailbox'
+      });
+    }
+  }
+
+  /**
+   * POST /api/campaigns/email/mailboxes/:id/test
+   * Verify SMTP connectivity for a mailbox
+   */
+  async test(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const result = await service.testMailbox(req.params.id, tenantId, context);
+      if (!result) {
+        return res.status(404).json({ success: false, error: 'Mailbox not found' });
+      }
+
+      res.json({
+        success: result.verified,
+        data: result
+      });
+    } catch (error) {
+      logger.error('[EmailMailboxController] Error testing mailbox', {
+        error: error.message
+      });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to test mailbox'
+      });
+    }
+  }
+
+  /**
+   * POST /api/campaigns/email/inbox/poll
+   * Trigger an IMAP reply/bounce scan now
+   */
+  async triggerPoll(req, res) {
+    try {
+      const result = await emailPollingScheduler.runPoll();
+      res.json(result);
+    } catch (error) {
+      logger.error('[EmailMailboxController] Error triggering inbox poll', {
+        error: error.message
+      });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to poll inboxes'
+      });
+    }
+  }
+}
+
+module.exports = new EmailMailboxController();
@@ -0,0 +1,49 @@
+/**
+ * Email Tracking Controller
+ * Public open-pixel and click-redirect endpoints (no JWT - links are signed)
+ *
+ * LAD Architecture: Controller handles HTTP only, calls Service for business logic
+ */
+const emailTrackingService = require('../services/EmailTrackingService');
+const logger = require('../../../core/utils/logger');
+class EmailTrackingController {
+  /**
+   * Open pixel
+   * GET /api/campaigns/track/open/:token.gif
+   * Always answers with the pixel so mail clients never show a broken image
+   */
+  static async trackOpen(req, res) {
+    const token = String(req.params.token || '').replace(/\.gif$/i, '');
+    try {
+      await emailTrackingService.recordOpen(token, { userAgent: req.headers['user-agent'] });
+    } catch (error) {
+      logger.error('[EmailTracking] Failed to record open', { error: error.message });
+    }
+    res.set({
+      'Content-Type': 'image/gif',
+      'Content-Length': emailTrackingService.pixel.length,
+      'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+      'Pragma': 'no-cache',
+      'Expires': '0'
+    });
+    return res.status(200).end(emailTrackingService.pixel);
+  }
+  /**
+   * Click redirect
+   * GET /api/campaigns/track/click/:token
+   */
+  static async trackClick(req, res) {
+    try {
+      const url = await emailTrackingService.recordClick(req.params.token, { userAgent: req.headers['user-agent'] });
+      if (!url) {
+        return res.status(404).json({ success: false, error: 'Invalid tracking link' });
+      }
+      res.set('Cache-Control', 'no-store');
+      return res.redirect(302, url);
+    } catch (error) {
+      logger.error('[EmailTracking] Failed to record click', { error: error.message });
+      return res.status(500).json({ success: false, error: 'Failed to follow link' });
+    }
+  }
+}
+module.exports = EmailTrackingController;
@@ -0,0 +1,190 @@
+/**
+ * Inbox Controller
+ * API endpoint handlers for the unified reply inbox
+ *
+ * LAD Architecture: Controller Layer
+ * - Validate input
+ * - Call service for business logic
+ * - Return response
+ * - NO SQL, NO business logic
+ */
+
+const logger = require('../../../core/utils/logger');
+const service = require('../services/InboxService');
+
+class InboxController {
+  /**
+   * GET /api/campaigns/inbox/threads
+   * List reply threads for tenant
+   */
+  async listThreads(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const userId = req.user?.userId || req.user?.id;
+      const { threads, total } = await service.listThreads(tenantId, userId, req.query || {}, context);
+
+      res.json({
+        success: true,
+        data: threads,
+        total
+      });
+    } catch (error) {
+      logger.error('[InboxController] Error listing threads', {
+        error: error.message
+      });
+      if (error.statusCode === 400) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list inbox threads'
+      });
+    }
+  }
+
+  /**
+   * GET /api/campaigns/inbox/threads/:id
+   * Get thread
+   */
+  async getThread(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const thread = await service.getThread(req.params.id, tenantId, context);
+      if (!thread) {
+        return res.status(404).json({ success: false, error: 'Thread not found' });
+      }
+
+      res.json({
+        success: true,
+        data: thread
+      });
+    } catch (error) {
+      logger.error('[InboxController] Error getting thread', {
+        error: error.message
+      });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get inbox thread'
+      });
+    }
+  }
+
+  /**
+   * GET /api/campaigns/inbox/threads/:id/messages
+   * Load the conversation history (marks the thread read)
+   */
+  async getMessages(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const options = {
+        limit: Math.min(parseInt(req.query.limit, 10) || 50, 100),
+        cursor: req.query.cursor || null
+      };
+      const result = await service.getMessages(req.params.id, tenantId, options, context);
+      if (!result) {
+        return res.status(404).json({ success: false, error: 'Thread not found' });
+      }
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      logger.error('[InboxController] Error loading messages', {
+        error: error.message
+      });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to load conversation'
+      });
+    }
+  }
+
+  /**
+   * POST /api/campaigns/inbox/threads/:id/reply
+   * Send a manual reply from the connected account
+   */
+  async reply(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const userId = req.user?.userId || req.user?.id;
+      const result = await service.sendReply(req.params.id, tenantId, userId, req.body?.text, context);
+      if (!result) {
+        return res.status(404).json({ success: false, error: 'Thread not found' });
+      }
+      if (!result.success) {
+        return res.status(502).json({ success: false, error: result.error });
+      }
+
+      res.json(result);
+    } catch (error) {
+      logger.error('[InboxController] Error sending reply', {
+        error: error.message
+      });
+      if (error.statusCode === 400) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      res.status(500).json({
+        success: false,
+        error: 'Failed to send reply'
+      });
+    }
+  }
+
+  /**
+   * PATCH /api/campaigns/inbox/threads/:id
+   * Mark handled / snooze / reopen, assign to a teammate
+   */
+  async updateThread(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const thread = await service.updateThread(req.params.id, tenantId, req.body || {}, context);
+      if (!thread) {
+        return res.status(404).json({ success: false, error: 'Thread not found' });
+      }
+
+      res.json({
+        success: true,
+        data: thread
+      });
+    } catch (error) {
+      logger.error('[InboxController] Error updating thread', {
+        error: error.message
+      });
+      if (error.statusCode === 400) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update inbox thread'
+      });
+    }
+  }
+}
+
+module.exports = new InboxController();
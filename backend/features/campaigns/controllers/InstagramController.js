@@ -0,0 +1,170 @@
+/**
+ * Instagram Controller
+ * API endpoint handlers for Instagram accounts and provider webhooks
+ *
+ * LAD Architecture: Controller Layer
+ * - Validate input
+ * - Call service for business logic
+ * - Return response
+ * - NO SQL, NO business logic
+ */
+
+const logger = require('../../../core/utils/logger');
+const service = require('../services/InstagramAccountService');
+const webhookService = require('../services/InstagramWebhookService');
+
+class InstagramController {
+  /**
+   * GET /api/campaigns/instagram/accounts
+   * List Instagram accounts for tenant
+   */
+  async getAccounts(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const accounts = await service.listAccounts(tenantId, context);
+
+      res.json({
+        success: true,
+        data: accounts,
+        count: accounts.length
+      });
+    } catch (error) {
+      logger.error('[InstagramController] Error listing accounts', {
+        error: error.message
+      });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list Instagram accounts'
+      });
+    }
+  }
+
+  /**
+   * POST /api/campaigns/instagram/accounts
+   * Create Instagram account
+   */
+  async createAccount(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const account = await service.createAccount(tenantId, req.body || {}, context);
+
+      res.status(201).json({
+        success: true,
+        data: account
+      });
+    } catch (error) {
+      logger.error('[InstagramController] Error creating account', {
+        error: error.message
+      });
+      if (error.statusCode === 400) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create Instagram account'
+      });
+    }
+  }
+
+  /**
+   * PUT /api/campaigns/instagram/accounts/:id
+   * Update Instagram account
+   */
+  async updateAccount(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const account = await service.updateAccount(req.params.id, tenantId, req.body || {}, context);
+      if (!account) {
+        return res.status(404).json({ success: false, error: 'Instagram account not found' });
+      }
+
+      res.json({
+        success: true,
+        data: account
+      });
+    } catch (error) {
+      logger.error('[InstagramController] Error updating account', {
+        error: error.message
+      });
+      if (error.statusCode === 400) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update Instagram account'
+      });
+    }
+  }
+
+  /**
+   * DELETE /api/campaigns/instagram/accounts/:id
+   * Delete Instagram account (soft delete)
+   */
+  async deleteAccount(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const deleted = await service.deleteAccount(req.params.id, tenantId, context);
+      if (!deleted) {
+        return res.status(404).json({ success: false, error: 'Instagram account not found' });
+      }
+
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('[InstagramController] Error deleting account', {
+        error: error.message
+      });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete Instagram account'
+      });
+    }
+  }
+
+  /**
+   * POST /api/campaigns/instagram/webhook/unipile
+   * Inbound Instagram DMs from Unipile
+   */
+  async handleUnipileWebhook(req, res) {
+    if (!webhookService.verifyUnipileSecret(req.headers['unipile-auth'] || req.headers['x-webhook-secret'])) {
+      logger.warn('[InstagramController] Invalid Unipile webhook secret');
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    return this.processWebhook('unipile', req, res);
+  }
+
+  async processWebhook(provider, req, res) {
+    try {
+      const result = await webhookService.processWebhook(provider, req.body);
+      return res.status(200).json({ success: true, ...result });
+    } catch (error) {
+      logger.error('[InstagramController] Error processing webhook', {
+        provider,
+        error: error.message
+      });
+      // Still return 200 to prevent provider retries for processing errors
+      return res.status(200).json({ success: false, error: error.message });
+    }
+  }
+}
+
+module.exports = new InstagramController();
@@ -161,7 +161,7 @@ class LinkedInMessageTemplatesController {
         error: error.message
       });
       
-      if (error.message.includes('required') || error.message.includes('300 characters')) {
+      if (error.statusCode === 400 || error.message.includes('required') || error.message.includes('300 characters')) {
         return res.status(400).json({ 
           success: false, 
           error: error.message 
@@ -212,7 +212,7 @@ class LinkedInMessageTemplatesController {
         error: error.message
       });
       
-      if (error.message.includes('300 characters')) {
+      if (error.statusCode === 400 || error.message.includes('300 characters')) {
         return res.status(400).json({ 
           success: false, 
           error: error.message 
@@ -0,0 +1,203 @@
+/**
+ * LinkedIn Post Controller
+ * API endpoint handlers for the LinkedIn content calendar (scheduled posts)
+ *
+ * LAD Architecture: Controller Layer
+ * - Validate input
+ * - Call service for business logic
+ * - Return response
+ * - NO SQL, NO business logic
+ */
+
+const logger = require('../../../core/utils/logger');
+const service = require('../services/LinkedInPostingService');
+
+class LinkedInPostController {
+  /**
+   * GET /api/campaigns/linkedin/posts
+   * Calendar of scheduled, published and failed posts
+   */
+  async list(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const posts = await service.listPosts(tenantId, req.query || {}, context);
+
+      res.json({
+        success: true,
+        data: posts
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to list LinkedIn posts', {});
+    }
+  }
+
+  /**
+   * GET /api/campaigns/linkedin/posts/queues
+   * Per-account queue state, including each account's latest failure
+   */
+  async getQueues(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const queues = await service.getQueueSummary(tenantId, context);
+
+      res.json({
+        success: true,
+        data: queues
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to get LinkedIn post queues', {});
+    }
+  }
+
+  /**
+   * GET /api/campaigns/linkedin/posts/:id
+   */
+  async get(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const post = await service.getPost(req.params.id, tenantId, context);
+      if (!post) {
+        return res.status(404).json({ success: false, error: 'LinkedIn post not found' });
+      }
+
+      res.json({
+        success: true,
+        data: post
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to get LinkedIn post', { postId: req.params.id });
+    }
+  }
+
+  /**
+   * POST /api/campaigns/linkedin/posts
+   * Create a draft or scheduled post
+   */
+  async create(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const userId = req.user?.userId || req.user?.id;
+      const post = await service.createPost(tenantId, userId, req.body || {}, context);
+
+      res.status(201).json({
+        success: true,
+        data: post
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to create LinkedIn post', {});
+    }
+  }
+
+  /**
+   * PATCH /api/campaigns/linkedin/posts/:id
+   * Edit or reschedule a post that hasn't been published
+   */
+  async update(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const post = await service.updatePost(req.params.id, tenantId, req.body || {}, context);
+      if (!post) {
+        return res.status(404).json({ success: false, error: 'LinkedIn post not found' });
+      }
+
+      res.json({
+        success: true,
+        data: post
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to update LinkedIn post', { postId: req.params.id });
+    }
+  }
+
+  /**
+   * POST /api/campaigns/linkedin/posts/:id/cancel
+   */
+  async cancel(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const post = await service.cancelPost(req.params.id, tenantId, context);
+      if (!post) {
+        return res.status(404).json({ success: false, error: 'LinkedIn post not found' });
+      }
+
+      res.json({
+        success: true,
+        data: post
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to cancel LinkedIn post', { postId: req.params.id });
+    }
+  }
+
+  /**
+   * POST /api/campaigns/linkedin/posts/:id/retry
+   * Queue a failed post again
+   */
+  async retry(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const post = await service.retryPost(req.params.id, tenantId, context);
+      if (!post) {
+        return res.status(404).json({ success: false, error: 'LinkedIn post not found' });
+      }
+
+      res.json({
+        success: true,
+        data: post
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to retry LinkedIn post', { postId: req.params.id });
+    }
+  }
+
+  handleError(res, error, message, meta) {
+    logger.error(`[LinkedInPostController] ${message}`, {
+      ...meta,
+      error: error.message
+    });
+    if (error.statusCode === 400 || error.statusCode === 409) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    res.status(500).json({
+      success: false,
+      error: message
+    });
+  }
+}
+
+module.exports = new LinkedInPostController();
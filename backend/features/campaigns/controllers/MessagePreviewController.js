@@ -0,0 +1,84 @@
+/**
+ * Message Preview Controller
+ * API endpoint handlers for rendering message templates against a sample lead
+ *
+ * LAD Architecture: Controller Layer
+ * - Validate input
+ * - Call service for business logic
+ * - Return response
+ * - NO SQL, NO business logic
+ */
+
+const logger = require('../../../core/utils/logger');
+const messagePreviewService = require('../services/MessagePreviewService');
+
+class MessagePreviewController {
+  /**
+   * POST /api/campaigns/preview/messages
+   * Render ad-hoc templates against sample lead data
+   */
+  async previewTemplates(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const preview = messagePreviewService.previewTemplates(req.body || {});
+
+      res.json({
+        success: true,
+        data: preview
+      });
+    } catch (error) {
+      logger.error('[MessagePreviewController] Error previewing templates', {
+        error: error.message
+      });
+      if (error.statusCode === 400) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      res.status(500).json({
+        success: false,
+        error: 'Failed to preview templates'
+      });
+    }
+  }
+
+  /**
+   * POST /api/campaigns/:id/preview-messages
+   * Render every step's messages for a campaign lead (or sample lead) and flag unresolved variables
+   */
+  async previewCampaign(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const preview = await messagePreviewService.previewCampaign(req.params.id, tenantId, req.body || {}, context);
+      if (!preview) {
+        return res.status(404).json({ success: false, error: 'Campaign not found' });
+      }
+
+      res.json({
+        success: true,
+        data: preview
+      });
+    } catch (error) {
+      logger.error('[MessagePreviewController] Error previewing campaign messages', {
+        campaignId: req.params.id,
+        error: error.message
+      });
+      if (error.statusCode === 400) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      res.status(500).json({
+        success: false,
+        error: 'Failed to preview campaign messages'
+      });
+    }
+  }
+}
+
+module.exports = new MessagePreviewController();
@@ -0,0 +1,216 @@
+/**
+ * Suppression Controller
+ * API endpoint handlers for the tenant-wide do-not-contact list
+ *
+ * LAD Architecture: Controller Layer
+ * - Validate input
+ * - Call service for business logic
+ * - Return response
+ * - NO SQL, NO business logic
+ */
+
+const logger = require('../../../core/utils/logger');
+const service = require('../services/SuppressionService');
+
+class SuppressionController {
+  /**
+   * GET /api/campaigns/suppressions
+   * List entries for tenant
+   */
+  async list(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const { entries, total } = await service.listEntries(tenantId, req.query || {}, context);
+
+      res.json({
+        success: true,
+        data: entries,
+        total
+      });
+    } catch (error) {
+      logger.error('[SuppressionController] Error listing entries', {
+        error: error.message
+      });
+      if (error.statusCode === 400) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list suppression entries'
+      });
+    }
+  }
+
+  /**
+   * GET /api/campaigns/suppressions/:id
+   * Get entry
+   */
+  async get(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const entry = await service.getEntry(req.params.id, tenantId, context);
+      if (!entry) {
+        return res.status(404).json({ success: false, error: 'Suppression entry not found' });
+      }
+
+      res.json({
+        success: true,
+        data: entry
+      });
+    } catch (error) {
+      logger.error('[SuppressionController] Error getting entry', {
+        error: error.message
+      });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get suppression entry'
+      });
+    }
+  }
+
+  /**
+   * POST /api/campaigns/suppressions
+   * Add one entry or a batch of entries
+   */
+  async create(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const userId = req.user?.userId || req.user?.id;
+      const result = await service.addEntries(tenantId, userId, req.body || {}, context);
+
+      res.status(201).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      logger.error('[SuppressionController] Error adding entries', {
+        error: error.message
+      });
+      if (error.statusCode === 400) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      res.status(500).json({
+        success: false,
+        error: 'Failed to add suppression entries'
+      });
+    }
+  }
+
+  /**
+   * POST /api/campaigns/suppressions/import
+   * Import a CSV file (multipart field "file") or CSV text ({ csv })
+   */
+  async importCsv(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const userId = req.user?.userId || req.user?.id;
+      const csvText = req.file ? req.file.buffer.toString('utf8') : req.body?.csv;
+      const result = await service.importCsv(tenantId, userId, csvText, { reason: req.body?.reason || null }, context);
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      logger.error('[SuppressionController] Error importing CSV', {
+        error: error.message
+      });
+      if (error.statusCode === 400) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      res.status(500).json({
+        success: false,
+        error: 'Failed to import suppression list'
+      });
+    }
+  }
+
+  /**
+   * PATCH /api/campaigns/suppressions/:id
+   * Update the reason of an entry
+   */
+  async update(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const entry = await service.updateEntry(req.params.id, tenantId, req.body || {}, context);
+      if (!entry) {
+        return res.status(404).json({ success: false, error: 'Suppression entry not found' });
+      }
+
+      res.json({
+        success: true,
+        data: entry
+      });
+    } catch (error) {
+      logger.error('[SuppressionController] Error updating entry', {
+        error: error.message
+      });
+      if (error.statusCode === 400) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update suppression entry'
+      });
+    }
+  }
+
+  /**
+   * DELETE /api/campaigns/suppressions/:id
+   * Remove an entry (the contact can be reached again)
+   */
+  async delete(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const deleted = await service.removeEntry(req.params.id, tenantId, context);
+      if (!deleted) {
+        return res.status(404).json({ success: false, error: 'Suppression entry not found' });
+      }
+
+      res.json({
+        success: true,
+        message: 'Suppression entry removed'
+      });
+    } catch (error) {
+      logger.error('[SuppressionController] Error deleting entry', {
+        error: error.message
+      });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete suppression entry'
+      });
+    }
+  }
+}
+
+module.exports = new SuppressionController();
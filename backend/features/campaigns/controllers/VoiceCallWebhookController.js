@@ -0,0 +1,35 @@
+/**
+ * Voice Call Webhook Controller
+ * Public call-completion endpoint for the voice agent (no JWT - shared secret)
+ *
+ * LAD Architecture: Controller handles HTTP only, calls Service for business logic
+ */
+const voiceCallOutcomeService = require('../services/VoiceCallOutcomeService');
+const logger = require('../../../core/utils/logger');
+class VoiceCallWebhookController {
+  /**
+   * Call completed
+   * POST /api/campaigns/voice/webhook/call-completed
+   */
+  static async handleCallCompleted(req, res) {
+    if (!voiceCallOutcomeService.verifyWebhookSecret(req.headers['x-webhook-secret'])) {
+      logger.warn('[VoiceCallWebhook] Invalid webhook secret');
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    try {
+      const result = await voiceCallOutcomeService.handleCallCompleted(req.body || {});
+      return res.status(200).json({ success: true, ...result });
+    } catch (error) {
+      if (error.statusCode === 400) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      logger.error('[VoiceCallWebhook] Error processing call outcome', {
+        error: error.message,
+        stack: error.stack
+      });
+      // Let the voice agent retry - the outcome is only applied once
+      return res.status(500).json({ success: false, error: 'Failed to process call outcome' });
+    }
+  }
+}
+module.exports = VoiceCallWebhookController;
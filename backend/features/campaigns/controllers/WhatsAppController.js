@@ -0,0 +1,193 @@
+/**
+ * WhatsApp Controller
+ * API endpoint handlers for WhatsApp sending accounts and provider webhooks
+ *
+ * LAD Architecture: Controller Layer
+ * - Validate input
+ * - Call service for business logic
+ * - Return response
+ * - NO SQL, NO business logic
+ */
+
+const logger = require('../../../core/utils/logger');
+const service = require('../services/WhatsAppAccountService');
+const webhookService = require('../services/WhatsAppWebhookService');
+
+class WhatsAppController {
+  /**
+   * GET /api/campaigns/whatsapp/accounts
+   * List WhatsApp accounts for tenant (access tokens are never returned)
+   */
+  async getAccounts(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const accounts = await service.listAccounts(tenantId, context);
+
+      res.json({
+        success: true,
+        data: accounts,
+        count: accounts.length
+      });
+    } catch (error) {
+      logger.error('[WhatsAppController] Error listing accounts', {
+        error: error.message
+      });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list WhatsApp accounts'
+      });
+    }
+  }
+
+  /**
+   * POST /api/campaigns/whatsapp/accounts
+   * Create WhatsApp account
+   */
+  async createAccount(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const account = await service.createAccount(tenantId, req.body || {}, context);
+
+      res.status(201).json({
+        success: true,
+        data: account
+      });
+    } catch (error) {
+      logger.error('[WhatsAppController] Error creating account', {
+        error: error.message
+      });
+      if (error.statusCode === 400) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create WhatsApp account'
+      });
+    }
+  }
+
+  /**
+   * PUT /api/campaigns/whatsapp/accounts/:id
+   * Update WhatsApp account
+   */
+  async updateAccount(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const account = await service.updateAccount(req.params.id, tenantId, req.body || {}, context);
+      if (!account) {
+        return res.status(404).json({ success: false, error: 'WhatsApp account not found' });
+      }
+
+      res.json({
+        success: true,
+        data: account
+      });
+    } catch (error) {
+      logger.error('[WhatsAppController] Error updating account', {
+        error: error.message
+      });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update WhatsApp account'
+      });
+    }
+  }
+
+  /**
+   * DELETE /api/campaigns/whatsapp/accounts/:id
+   * Delete WhatsApp account (soft delete)
+   */
+  async deleteAccount(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const deleted = await service.deleteAccount(req.params.id, tenantId, context);
+      if (!deleted) {
+        return res.status(404).json({ success: false, error: 'WhatsApp account not found' });
+      }
+
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('[WhatsAppController] Error deleting account', {
+        error: error.message
+      });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete WhatsApp account'
+      });
+    }
+  }
+
+  /**
+   * GET /api/campaigns/whatsapp/webhook
+   * Meta webhook verification handshake (echo hub.challenge)
+   */
+  async verifyCloudApiWebhook(req, res) {
+    const mode = req.query['hub.mode'];
+    const token = req.query['hub.verify_token'];
+    if (!webhookService.verifySubscription(mode, token)) {
+      logger.warn('[WhatsAppController] Webhook verification failed');
+      return res.sendStatus(403);
+    }
+    res.status(200).send(String(req.query['hub.challenge'] || ''));
+  }
+
+  /**
+   * POST /api/campaigns/whatsapp/webhook
+   * WhatsApp Cloud API receipts and inbound messages
+   */
+  async handleCloudApiWebhook(req, res) {
+    if (!webhookService.verifyCloudApiSignature(req.rawBody, req.headers['x-hub-signature-256'])) {
+      logger.warn('[WhatsAppController] Invalid Cloud API webhook signature');
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    return this.processWebhook('cloud_api', req, res);
+  }
+
+  /**
+   * POST /api/campaigns/whatsapp/webhook/unipile
+   * Unipile WhatsApp receipts and inbound messages
+   */
+  async handleUnipileWebhook(req, res) {
+    if (!webhookService.verifyUnipileSecret(req.headers['unipile-auth'] || req.headers['x-webhook-secret'])) {
+      logger.warn('[WhatsAppController] Invalid Unipile webhook secret');
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    return this.processWebhook('unipile', req, res);
+  }
+
+  async processWebhook(provider, req, res) {
+    try {
+      const result = await webhookService.processWebhook(provider, req.body);
+      return res.status(200).json({ success: true, ...result });
+    } catch (error) {
+      logger.error('[WhatsAppController] Error processing webhook', {
+        provider,
+        error: error.message
+      });
+      // Still return 200 to prevent provider retries for processing errors
+      return res.status(200).json({ success: false, error: error.message });
+    }
+  }
+}
+
+module.exports = new WhatsAppController();
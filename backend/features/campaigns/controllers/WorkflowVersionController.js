@@ -0,0 +1,143 @@
+/**
+ * Workflow Version Controller
+ * API endpoint handlers for campaign workflow versions (publish, history, diffs)
+ *
+ * LAD Architecture: Controller Layer
+ * - Validate input
+ * - Call service for business logic
+ * - Return response
+ * - NO SQL, NO business logic
+ */
+
+const logger = require('../../../core/utils/logger');
+const workflowVersionService = require('../services/WorkflowVersionService');
+
+class WorkflowVersionController {
+  /**
+   * GET /api/campaigns/:id/workflow/versions
+   * Version history with the number of leads on each version
+   */
+  async listVersions(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const history = await workflowVersionService.listVersions(req.params.id, tenantId, context);
+      if (!history) {
+        return res.status(404).json({ success: false, error: 'Campaign not found' });
+      }
+
+      res.json({
+        success: true,
+        data: history
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to list workflow versions', { campaignId: req.params.id });
+    }
+  }
+
+  /**
+   * POST /api/campaigns/:id/workflow/versions
+   * Publish a new workflow version
+   * Body: { steps, mapping?: { oldStepIdOrKey: newStepKey }, notes?, baseVersion? }
+   */
+  async publishVersion(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const userId = req.user?.userId || req.user?.id;
+      const result = await workflowVersionService.saveSteps(req.params.id, tenantId, userId, req.body || {}, context);
+      if (!result) {
+        return res.status(404).json({ success: false, error: 'Campaign not found' });
+      }
+
+      res.status(result.published ? 201 : 200).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to publish workflow version', { campaignId: req.params.id });
+    }
+  }
+
+  /**
+   * GET /api/campaigns/:id/workflow/versions/:version
+   * Steps of one version
+   */
+  async getVersion(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const version = await workflowVersionService.getVersion(req.params.id, tenantId, req.params.version, context);
+      if (!version) {
+        return res.status(404).json({ success: false, error: 'Workflow version not found' });
+      }
+
+      res.json({
+        success: true,
+        data: version
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to get workflow version', { campaignId: req.params.id });
+    }
+  }
+
+  /**
+   * GET /api/campaigns/:id/workflow/versions/:version/diff
+   * Step-by-step changes from another version (query: against, default the previous version)
+   */
+  async diffVersion(req, res) {
+    try {
+      const tenantId = req.user?.tenant_id;
+      if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant context required' });
+      }
+
+      const context = { schema: req.user?.schema };
+      const diff = await workflowVersionService.diffVersions(
+        req.params.id,
+        tenantId,
+        req.params.version,
+        req.query?.against,
+        context
+      );
+      if (!diff) {
+        return res.status(404).json({ success: false, error: 'Workflow version not found' });
+      }
+
+      res.json({
+        success: true,
+        data: diff
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to diff workflow versions', { campaignId: req.params.id });
+    }
+  }
+
+  handleError(res, error, message, meta) {
+    logger.error(`[WorkflowVersionController] ${message}`, {
+      ...meta,
+      error: error.message
+    });
+    if (error.statusCode === 400 || error.statusCode === 409) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    res.status(500).json({
+      success: false,
+      error: message
+    });
+  }
+}
+
+module.exports = new WorkflowVersionController();
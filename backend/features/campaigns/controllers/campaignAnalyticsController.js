@@ -4,6 +4,7 @@
  */
 const { query, pool } = require('../../../shared/database/connection');
 const logger = require('../../../core/utils/logger');
+const messageVariantService = require('../services/MessageVariantService');
 /**
  * Get campaign analytics/activity feed
  * GET /api/campaigns/:id/analytics
@@ -30,7 +31,7 @@ async function getCampaignAnalytics(req, res) {
     const stepsQuery = `
       SELECT id, step_type, step_order, title
       FROM campaign_steps
-      WHERE campaign_id = $1 AND is_deleted = FALSE
+      WHERE campaign_id = $1 AND is_deleted = FALSE AND retired_at IS NULL
       ORDER BY step_order ASC
     `;
     const stepsResult = await query(stepsQuery, [campaignId]);
@@ -57,35 +58,55 @@ async function getCampaignAnalytics(req, res) {
     statsResult.rows.forEach(row => {
       statsMap[row.action_type] = parseInt(row.count);
     });
+    // Replies are recorded as REPLY_RECEIVED on every channel; split them by platform
+    const repliesQuery = `
+      SELECT COALESCE(platform, 'linkedin') AS platform, COUNT(*) as count
+      FROM campaign_analytics
+      WHERE campaign_id = $1 AND status = 'success' AND action_type = 'REPLY_RECEIVED'
+      GROUP BY COALESCE(platform, 'linkedin')
+    `;
+    const repliesResult = await query(repliesQuery, [campaignId]);
+    const repliesByPlatform = {};
+    repliesResult.rows.forEach(row => {
+      repliesByPlatform[row.platform] = parseInt(row.count);
+    });
     // Calculate platform-specific metrics
     const platformMetrics = {
       linkedin: {
         sent: statsMap['CONNECTION_SENT'] || 0,
         connected: statsMap['CONNECTION_ACCEPTED'] || 0,
-        replied: statsMap['REPLY_RECEIVED'] || 0  // LinkedIn replies after connection
+        replied: repliesByPlatform.linkedin || 0  // LinkedIn replies after connection
       },
       email: {
         sent: statsMap['EMAIL_SENT'] || 0,
         delivered: statsMap['EMAIL_DELIVERED'] || 0,
         opened: statsMap['EMAIL_OPENED'] || 0,
         clicked: statsMap['EMAIL_CLICKED'] || 0,
-        replied: statsMap['EMAIL_REPLY_RECEIVED'] || 0
+        replied: repliesByPlatform.email || 0
       },
       whatsapp: {
-        sent: statsMap['WHATSAPP_MESSAGE_SENT'] || 0,
+        sent: (statsMap['WHATSAPP_SENT'] || 0) + (statsMap['WHATSAPP_MESSAGE_SENT'] || 0),
         delivered: statsMap['WHATSAPP_DELIVERED'] || 0,
-        replied: statsMap['WHATSAPP_REPLY_RECEIVED'] || 0
+        read: statsMap['WHATSAPP_READ'] || 0,
+        replied: repliesByPlatform.whatsapp || 0
       },
       voice: {
-        sent: statsMap['VOICE_CALL_INITIATED'] || 0,
+        sent: (statsMap['VOICE_CALL_MADE'] || 0) + (statsMap['VOICE_CALL_INITIATED'] || 0),
         connected: statsMap['VOICE_CALL_ANSWERED'] || 0
+      },
+      instagram: {
+        sent: statsMap['INSTAGRAM_DM_SENT'] || 0,
+        followed: statsMap['INSTAGRAM_FOLLOWED'] || 0,
+        liked: statsMap['INSTAGRAM_POST_LIKED'] || 0,
+        story_views: statsMap['INSTAGRAM_STORY_VIEWED'] || 0,
+        comment_replies: statsMap['INSTAGRAM_COMMENT_REPLIED'] || 0
       }
     };
     // Calculate totals from action types
-    const sentCount = (statsMap['CONNECTION_SENT'] || 0) + (statsMap['MESSAGE_SENT'] || 0) + (statsMap['EMAIL_SENT'] || 0);
+    const sentCount = (statsMap['CONNECTION_SENT'] || 0) + (statsMap['MESSAGE_SENT'] || 0) + (statsMap['EMAIL_SENT'] || 0) + (statsMap['WHATSAPP_SENT'] || 0) + (statsMap['INSTAGRAM_DM_SENT'] || 0);
     const deliveredCount = (statsMap['MESSAGE_DELIVERED'] || 0) + (statsMap['WHATSAPP_DELIVERED'] || 0);
-    const openedCount = (statsMap['MESSAGE_OPENED'] || 0) + (statsMap['EMAIL_OPENED'] || 0);
-    const clickedCount = statsMap['MESSAGE_CLICKED'] || 0;
+    const openedCount = (statsMap['MESSAGE_OPENED'] || 0) + (statsMap['EMAIL_OPENED'] || 0) + (statsMap['WHATSAPP_READ'] || 0);
+    const clickedCount = (statsMap['MESSAGE_CLICKED'] || 0) + (statsMap['EMAIL_CLICKED'] || 0);
     const connectedCount = (statsMap['CONNECTION_ACCEPTED'] || 0) + (statsMap['VOICE_CALL_ANSWERED'] || 0);
     const repliedCount = statsMap['REPLY_RECEIVED'] || 0;
     // Build WHERE clause dynamically
@@ -298,13 +319,24 @@ async function getCampaignAnalyticsSummary(req, res) {
       WHERE campaign_id = $1 AND created_at >= NOW() - INTERVAL '24 hours'
     `;
     const recentCountResult = await query(recentCountQuery, [campaignId]);
+    // Per-variant acceptance/reply rates for A/B tested steps
+    let variantTests = [];
+    const tenantId = req.user?.tenant_id;
+    if (tenantId) {
+      try {
+        variantTests = await messageVariantService.getCampaignResults(campaignId, tenantId, { schema: req.user?.schema });
+      } catch (variantError) {
+        logger.warn('[getCampaignAnalyticsSummary] Failed to load variant results', { campaignId, error: variantError.message });
+      }
+    }
     res.json({
       success: true,
       data: {
         platformStats: platformStatsResult.rows,
         actionStats: actionStatsResult.rows,
         statusStats: statusStatsResult.rows,
-        recentActivity24h: parseInt(recentCountResult.rows[0]?.count || 0)
+        recentActivity24h: parseInt(recentCountResult.rows[0]?.count || 0),
+        variantTests
       }
     });
   } catch (error) {
@@ -357,13 +389,13 @@ async function exportLeads(req, res) {
       condition = `AND EXISTS (
         SELECT 1 FROM campaign_analytics ca 
         WHERE ca.campaign_id = cl.campaign_id AND ca.lead_id = cl.lead_id 
-        AND ca.action_type IN ('MESSAGE_SENT', 'EMAIL_SENT', 'WHATSAPP_MESSAGE_SENT', 'VOICE_CALL_INITIATED', 'CONNECTION_SENT_WITH_MESSAGE')
+        AND ca.action_type IN ('MESSAGE_SENT', 'EMAIL_SENT', 'WHATSAPP_SENT', 'WHATSAPP_MESSAGE_SENT', 'INSTAGRAM_DM_SENT', 'VOICE_CALL_MADE', 'VOICE_CALL_INITIATED', 'CONNECTION_SENT_WITH_MESSAGE')
       )`;
     } else if (filter === 'reply_received' || filter === 'lead_reply_back') {
       condition = `AND EXISTS (
         SELECT 1 FROM campaign_analytics ca 
         WHERE ca.campaign_id = cl.campaign_id AND ca.lead_id = cl.lead_id 
-        AND ca.action_type IN ('REPLY_RECEIVED', 'EMAIL_REPLY_RECEIVED', 'WHATSAPP_REPLY_RECEIVED')
+        AND ca.action_type = 'REPLY_RECEIVED'
       )`;
     }
 
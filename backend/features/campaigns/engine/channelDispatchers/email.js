@@ -1,144 +1,194 @@
-const axios = require('axios');
-const BACKEND_URL = process.env.BACKEND_INTERNAL_URL || process.env.NEXT_PUBLIC_BACKEND_URL || process.env.BACKEND_URL;
-if (!BACKEND_URL) {
-  throw new Error('BACKEND_URL, BACKEND_INTERNAL_URL, or NEXT_PUBLIC_BACKEND_URL must be set');
-}
+const crypto = require('crypto');
+const EmailMailboxRepository = require('../../repositories/EmailMailboxRepository');
+const CampaignEmailMessageRepository = require('../../repositories/CampaignEmailMessageRepository');
+const { getTransport } = require('./emailTransports');
+const emailTrackingService = require('../../services/EmailTrackingService');
+const logger = require('../../../../core/utils/logger');
+const MessageTemplateUtil = require('../../utils/messageTemplateUtil');
 /**
  * Email Channel Dispatcher
- * Handles all email-related actions
+ * Sends campaign email over SMTP from the tenant's mailboxes.
+ * Every sent message is logged in campaign_email_messages so follow-ups can
+ * thread onto it and the IMAP poller can match replies/bounces to the lead.
  */
 class EmailDispatcher {
   /**
    * Execute email action
+   * @param {string} stepType - email_send | email_followup
+   * @param {Object} lead - campaign_leads row with lead_data
+   * @param {Object} options - { stepId, raw } - raw sends the body as typed (inbox replies), without the template engine
    */
-  async execute(stepType, lead, stepConfig, userId, tenantId) {
+  async execute(stepType, lead, stepConfig, userId, tenantId, options = {}) {
     try {
       switch (stepType) {
         case 'email_send':
-          return await this.sendEmail(lead, stepConfig, userId, tenantId);
+          return await this.sendEmail(lead, stepConfig, userId, tenantId, options);
         case 'email_followup':
-          return await this.sendFollowupEmail(lead, stepConfig, userId, tenantId);
+          return await this.sendFollowupEmail(lead, stepConfig, userId, tenantId, options);
         default:
           return { success: false, error: `Unsupported email action: ${stepType}` };
       }
     } catch (error) {
+      logger.error('[EmailDispatcher] Send failed', {
+        stepType,
+        campaignLeadId: lead?.id,
+        error: error.message
+      });
+      if (error.validationError) {
+        return { success: false, error: error.message, validationError: true };
+      }
       return { success: false, error: error.message };
     }
   }
   /**
-   * Send email
+   * Send email (starts a new thread)
    */
-  async sendEmail(lead, stepConfig, userId, tenantId) {
-    try {
-      const leadData = lead.lead_data || {};
-      const email = leadData.email || leadData.email_address;
-      if (!email) {
-        throw new Error('No email address found for lead');
-      }
-      const subject = this.personalizeContent(stepConfig.subject, leadData);
-      const body = this.personalizeContent(stepConfig.body, leadData);
-      // Make API call to email service
-      const response = await axios.post(
-        `${BACKEND_URL}/api/email/send`,
-        {
-          to: email,
-          subject: subject,
-          body: body,
-          lead_id: lead.id,
-          campaign_id: lead.campaign_id,
-          user_id: userId,
-          tenant_id: tenantId
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          timeout: 30000
-        }
-      );
-      if (response.data && response.data.success) {
-        return {
-          success: true,
-          data: {
-            emailId: response.data.email_id,
-            status: response.data.status
-          }
-        };
-      } else {
-        throw new Error(response.data?.message || 'Email send failed');
-      }
-    } catch (error) {
-      throw error;
-    }
+  async sendEmail(lead, stepConfig, userId, tenantId, options = {}) {
+    return this.deliver({ lead, stepConfig, userId, tenantId, stepType: 'email_send', stepId: options.stepId, raw: options.raw });
   }
   /**
    * Send followup email
+   * Replies in the thread of the last email sent to the lead (same mailbox,
+   * In-Reply-To/References headers, "Re:" subject unless one is configured)
    */
-  async sendFollowupEmail(lead, stepConfig, userId, tenantId) {
-    try {
-      const leadData = lead.lead_data || {};
-      const email = leadData.email || leadData.email_address;
-      if (!email) {
-        throw new Error('No email address found for lead');
+  async sendFollowupEmail(lead, stepConfig, userId, tenantId, options = {}) {
+    const previous = await CampaignEmailMessageRepository.getLatestForLead(lead.id, tenantId);
+    return this.deliver({ lead, stepConfig, userId, tenantId, stepType: 'email_followup', stepId: options.stepId, previous, raw: options.raw });
+  }
+  async deliver({ lead, stepConfig, userId, tenantId, stepType, stepId, previous = null, raw = false }) {
+    const leadData = lead.lead_data || {};
+    const to = leadData.email || leadData.email_address || leadData.employee_email;
+    if (!to) {
+      return { success: false, error: 'No email address found for lead' };
+    }
+    const mailbox = await this.resolveMailbox(tenantId, userId, stepConfig, previous);
+    if (!mailbox) {
+      return { success: false, error: 'No active email mailbox configured for tenant' };
+    }
+    if (!(await this.hasDailyCapacity(mailbox))) {
+      return {
+        success: false,
+        skipped: true,
+        error: `Daily send limit reached for ${mailbox.email_address}`
+      };
+    }
+    // Seeded by lead so spintax picks stay the same across retries
+    const templateOptions = { seed: lead.id, raw };
+    let subject = this.personalizeContent(stepConfig.subject || stepConfig.emailSubject, leadData, templateOptions);
+    const body = this.personalizeContent(stepConfig.body || stepConfig.emailBody || stepConfig.message, leadData, templateOptions);
+    const headers = {};
+    let references = null;
+    if (previous) {
+      references = [previous.thread_references, previous.message_id].filter(Boolean).join(' ');
+      headers.inReplyTo = previous.message_id;
+      headers.references = references;
+      if (!subject) {
+        subject = /^re:/i.test(previous.subject || '') ? previous.subject : `Re: ${previous.subject || ''}`.trim();
+      }
+    }
+    if (!subject) {
+      return { success: false, error: 'Email subject is required when there is no earlier email to reply to' };
+    }
+    const messageId = this.generateMessageId(mailbox.email_address);
+    // Open pixel + click redirects, attributed to this lead and message
+    const content = emailTrackingService.instrument(
+      this.buildContent(body),
+      { campaignId: lead.campaign_id, campaignLeadId: lead.id, leadId: lead.lead_id, tenantId, messageId },
+      { trackOpens: stepConfig.trackOpens !== false, trackClicks: stepConfig.trackClicks !== false }
+    );
+    const message = {
+      from: mailbox.display_name
+        ? { name: mailbox.display_name, address: mailbox.email_address }
+        : mailbox.email_address,
+      to,
+      subject,
+      messageId,
+      ...headers,
+      ...content
+    };
+    const info = await getTransport(mailbox).sendMail(message);
+    await CampaignEmailMessageRepository.create({
+      tenantId,
+      campaignId: lead.campaign_id,
+      campaignLeadId: lead.id,
+      leadId: lead.lead_id,
+      mailboxId: mailbox.id,
+      stepId,
+      stepType,
+      messageId,
+      inReplyTo: headers.inReplyTo,
+      references,
+      toEmail: to,
+      subject: message.subject
+    });
+    logger.info('[EmailDispatcher] Email sent', {
+      campaignLeadId: lead.id,
+      mailboxId: mailbox.id,
+      threaded: !!previous,
+      accepted: info?.accepted?.length
+    });
+    return {
+      success: true,
+      data: {
+        messageId,
+        mailboxId: mailbox.id,
+        from: mailbox.email_address,
+        to,
+        subject: message.subject,
+        body
       }
-      const subject = this.personalizeContent(stepConfig.subject, leadData);
-      const body = this.personalizeContent(stepConfig.body, leadData);
-      // Make API call to email service with followup flag
-      const response = await axios.post(
-        `${BACKEND_URL}/api/email/send`,
-        {
-          to: email,
-          subject: subject,
-          body: body,
-          is_followup: true,
-          lead_id: lead.id,
-          campaign_id: lead.campaign_id,
-          user_id: userId,
-          tenant_id: tenantId
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          timeout: 30000
-        }
-      );
-      if (response.data && response.data.success) {
-        return {
-          success: true,
-          data: {
-            emailId: response.data.email_id,
-            status: response.data.status
-          }
-        };
-      } else {
-        throw new Error(response.data?.message || 'Followup email send failed');
+    };
+  }
+  /**
+   * Pick the sending mailbox: the step's configured mailbox, then the mailbox
+   * that started the thread (follow-ups), then the campaign owner's / tenant's first active one
+   */
+  async resolveMailbox(tenantId, userId, stepConfig, previous) {
+    const preferredId = stepConfig.mailboxId || stepConfig.mailbox_id || previous?.mailbox_id;
+    if (preferredId) {
+      const preferred = await EmailMailboxRepository.getWithCredentials(preferredId, tenantId);
+      if (preferred && preferred.is_active) {
+        return preferred;
       }
-    } catch (error) {
-      throw error;
     }
+    const mailboxes = await EmailMailboxRepository.getActiveForSending(tenantId, userId);
+    return mailboxes[0] || null;
+  }
+  async hasDailyCapacity(mailbox) {
+    if (!mailbox.daily_limit) return true;
+    const startOfDay = new Date();
+    startOfDay.setUTCHours(0, 0, 0, 0);
+    const sentToday = await CampaignEmailMessageRepository.countSentSince(mailbox.id, startOfDay);
+    return sentToday < mailbox.daily_limit;
+  }
+  generateMessageId(fromAddress) {
+    const domain = String(fromAddress).split('@')[1] || 'localhost';
+    return `<${crypto.randomUUID()}@${domain}>`;
+  }
+  /**
+   * HTML bodies are sent as-is with a plain-text alternative; plain bodies as text only
+   */
+  buildContent(body) {
+    const content = body || '';
+    if (/<[a-z][\s\S]*>/i.test(content)) {
+      return {
+        html: content,
+        text: content.replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]+>/g, '')
+      };
+    }
+    return { text: content };
   }
   /**
    * Personalize email content with lead data
+   * Rendered by the shared template engine (defaults, conditionals, spintax, filters);
+   * throws on template errors. options.raw returns the text untouched.
    */
-  personalizeContent(template, leadData) {
-    let content = template;
-    // Replace placeholders
-    const replacements = {
-      '{{first_name}}': leadData.first_name || '',
-      '{{last_name}}': leadData.last_name || '',
-      '{{full_name}}': leadData.name || `${leadData.first_name || ''} ${leadData.last_name || ''}`.trim(),
-      '{{title}}': leadData.title || leadData.headline || '',
-      '{{company}}': leadData.organization || leadData.company || '',
-      '{{email}}': leadData.email || '',
-      '{{phone}}': leadData.phone || leadData.mobile_phone || '',
-      '{{industry}}': leadData.industry || '',
-      '{{location}}': leadData.city || leadData.state || leadData.country || '',
-    };
-    for (const [placeholder, value] of Object.entries(replacements)) {
-      content = content.replace(new RegExp(placeholder, 'g'), value);
+  personalizeContent(template, leadData, options = {}) {
+    const { raw, ...renderOptions } = options;
+    if (raw) {
+      return template || '';
     }
-    return content;
+    return MessageTemplateUtil.renderForSend(template, leadData, renderOptions);
   }
 }
-module.exports = new EmailDispatcher();
\ No newline at end of file
+module.exports = new EmailDispatcher();
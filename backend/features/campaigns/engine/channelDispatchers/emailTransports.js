@@ -0,0 +1,87 @@
+const nodemailer = require('nodemailer');
+const { decryptCredential } = require('../../../../core/utils/credentialCipher');
+/**
+ * Email Transports
+ * Pluggable nodemailer transports used by the email dispatcher
+ *
+ * EMAIL_TRANSPORT selects the transport for every send:
+ *   smtp  (default) - the sending mailbox's own SMTP server and credentials
+ *   local           - a local SMTP sink (MailHog, smtp4dev, ...) at
+ *                     EMAIL_LOCAL_SMTP_HOST:EMAIL_LOCAL_SMTP_PORT, no auth or TLS
+ *   json            - no network; nodemailer returns the rendered message
+ * Other transports can be added with registerTransport(name, factory).
+ */
+const transportFactories = {
+  smtp: (mailbox) => nodemailer.createTransport({
+    host: mailbox.smtp_host,
+    port: Number(mailbox.smtp_port) || 587,
+    secure: !!mailbox.smtp_secure,
+    auth: mailbox.smtp_username
+      ? { user: mailbox.smtp_username, pass: decryptCredential(mailbox.smtp_password) }
+      : undefined,
+    pool: true,
+    maxConnections: 2
+  }),
+  local: () => nodemailer.createTransport({
+    host: process.env.EMAIL_LOCAL_SMTP_HOST || '127.0.0.1',
+    port: Number(process.env.EMAIL_LOCAL_SMTP_PORT) || 1025,
+    secure: false,
+    ignoreTLS: true
+  }),
+  json: () => nodemailer.createTransport({ jsonTransport: true })
+};
+// Live transports keyed by transport name + mailbox (rebuilt when the mailbox changes)
+const transportCache = new Map();
+function getTransportName() {
+  return process.env.EMAIL_TRANSPORT || 'smtp';
+}
+/**
+ * Register (or replace) a transport factory
+ * @param {string} name - Value of EMAIL_TRANSPORT that selects it
+ * @param {Function} factory - (mailbox) => object with sendMail(message) and optional verify()/close()
+ */
+function registerTransport(name, factory) {
+  if (typeof factory !== 'function') {
+    throw new Error(`Email transport "${name}" must be a factory function`);
+  }
+  transportFactories[name] = factory;
+  clearTransportCache();
+}
+/**
+ * Get the transport to send from a mailbox
+ */
+function getTransport(mailbox) {
+  const name = getTransportName();
+  const factory = transportFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown EMAIL_TRANSPORT "${name}"`);
+  }
+  const key = name === 'smtp'
+    ? `smtp:${mailbox.id}:${new Date(mailbox.updated_at || 0).getTime()}`
+    : name;
+  if (!transportCache.has(key)) {
+    // Drop transports built from an older version of this mailbox
+    for (const [staleKey, transport] of transportCache) {
+      if (name === 'smtp' && staleKey.startsWith(`smtp:${mailbox.id}:`)) {
+        if (typeof transport.close === 'function') transport.close();
+        transportCache.delete(staleKey);
+      }
+    }
+    transportCache.set(key, factory(mailbox));
+  }
+  return transportCache.get(key);
+}
+function clearTransportCache() {
+  for (const transport of transportCache.values()) {
+    if (typeof transport.close === 'function') {
+      transport.close();
+    }
+  }
+  transportCache.clear();
+}
+module.exports = {
+  getTransportName,
+  registerTransport,
+  getTransport,
+  clearTransportCache
+};
@@ -0,0 +1,249 @@
+const InstagramAccountRepository = require('../../repositories/InstagramAccountRepository');
+const CampaignInstagramActionRepository = require('../../repositories/CampaignInstagramActionRepository');
+const { getProvider } = require('./instagramProviders');
+const logger = require('../../../../core/utils/logger');
+const MessageTemplateUtil = require('../../utils/messageTemplateUtil');
+// Action logged per step type, and the analytics action recorded for it
+const STEP_ACTIONS = {
+  instagram_follow: { action: 'follow', actionType: 'INSTAGRAM_FOLLOWED' },
+  instagram_like: { action: 'like', actionType: 'INSTAGRAM_POST_LIKED' },
+  instagram_dm: { action: 'dm', actionType: 'INSTAGRAM_DM_SENT' },
+  instagram_story_view: { action: 'story_view', actionType: 'INSTAGRAM_STORY_VIEWED' },
+  instagram_comment_reply: { action: 'comment_reply', actionType: 'INSTAGRAM_COMMENT_REPLIED' }
+};
+// Per-action daily caps of an account unless instagram_accounts.action_limits overrides them
+const DEFAULT_ACTION_LIMITS = {
+  follow: 40,
+  like: 80,
+  dm: 30,
+  story_view: 100,
+  comment_reply: 30
+};
+// Lead fields holding the lead's Instagram handle (or profile URL)
+const USERNAME_FIELDS = ['instagram_username', 'instagram_handle', 'instagram_url'];
+// Own posts scanned for the lead's comments by instagram_comment_reply
+const OWN_POSTS_LIMIT = 5;
+/**
+ * Instagram Channel Dispatcher
+ * Runs instagram_* campaign steps from the tenant's Instagram accounts.
+ * Every performed action is logged in campaign_instagram_actions: the log drives
+ * the per-account daily limits and lets the webhook match inbound DMs to the lead.
+ */
+class InstagramDispatcher {
+  /**
+   * Execute Instagram action
+   * @param {string} stepType - instagram_follow | instagram_like | instagram_dm | instagram_story_view | instagram_comment_reply
+   * @param {Object} lead - campaign_leads row with lead_data
+   * @param {Object} options - { stepId }
+   */
+  async execute(stepType, lead, stepConfig, userId, tenantId, options = {}) {
+    if (stepType === 'instagram_autopost') {
+      return { success: false, error: 'Instagram autopost is not supported yet' };
+    }
+    const spec = STEP_ACTIONS[stepType];
+    if (!spec) {
+      return { success: false, error: `Unsupported Instagram action: ${stepType}` };
+    }
+    try {
+      const account = await this.resolveAccount(tenantId, stepConfig);
+      if (!account) {
+        return { success: false, error: 'No active Instagram account configured for tenant' };
+      }
+      const limitReached = await this.getDailyLimitReached(account, spec.action);
+      if (limitReached) {
+        return {
+          success: false,
+          skipped: true,
+          error: `${limitReached} for Instagram account ${account.username || account.display_name || account.id}`
+        };
+      }
+      const provider = getProvider(account.provider);
+      const leadData = lead.lead_data || {};
+      const { success, ...performed } = await this.perform(spec.action, provider, account, lead, leadData, stepConfig);
+      if (!success) {
+        return { success: false, ...performed };
+      }
+      await CampaignInstagramActionRepository.create({
+        tenantId,
+        campaignId: lead.campaign_id,
+        campaignLeadId: lead.id,
+        leadId: lead.lead_id,
+        accountId: account.id,
+        stepId: options.stepId,
+        stepType,
+        action: spec.action,
+        targetUsername: performed.username,
+        providerUserId: performed.providerUserId,
+        providerChatId: performed.providerChatId,
+        providerMessageId: performed.providerMessageId,
+        providerPostId: performed.providerPostId,
+        content: performed.message
+      });
+      logger.info('[InstagramDispatcher] Action performed', {
+        campaignLeadId: lead.id,
+        accountId: account.id,
+        action: spec.action
+      });
+      return {
+        success: true,
+        data: {
+          ...performed,
+          action: spec.action,
+          actionType: spec.actionType,
+          accountId: account.id,
+          from: account.username || account.display_name
+        }
+      };
+    } catch (error) {
+      const status = error.response?.status;
+      const providerError = error.response?.data?.detail || error.response?.data?.message;
+      logger.error('[InstagramDispatcher] Action failed', {
+        stepType,
+        campaignLeadId: lead?.id,
+        status,
+        error: providerError || error.message
+      });
+      if (error.validationError) {
+        return { success: false, error: error.message, validationError: true };
+      }
+      // Rate limiting and provider outages are retried on a later run
+      const transientError = !!error.response && (status === 429 || status >= 500);
+      return { success: false, error: providerError || error.message, transientError };
+    }
+  }
+  async perform(action, provider, account, lead, leadData, stepConfig) {
+    if (action === 'like') {
+      const postUrl = this.personalizeMessage(stepConfig.instagramPostUrl, leadData, { seed: lead.id }).trim();
+      if (!postUrl) {
+        return { success: false, error: 'Instagram post URL is empty for this lead' };
+      }
+      const liked = await provider.likePost(account, postUrl);
+      return { success: true, username: this.getUsername(leadData, stepConfig, lead.id), providerPostId: liked.providerPostId };
+    }
+    const username = this.getUsername(leadData, stepConfig, lead.id);
+    if (!username) {
+      return { success: false, error: 'No Instagram username found for lead' };
+    }
+    const user = await provider.resolveUser(account, username);
+    const target = { username: user.username, providerUserId: user.providerUserId };
+    switch (action) {
+      case 'follow':
+        await provider.follow(account, user);
+        return { success: true, ...target };
+      case 'story_view': {
+        const { viewed } = await provider.viewStories(account, user);
+        if (!viewed) {
+          return { success: false, error: 'Lead has no active Instagram stories' };
+        }
+        return { success: true, ...target, storiesViewed: viewed };
+      }
+      case 'dm': {
+        const text = this.personalizeMessage(stepConfig.instagramDmMessage || stepConfig.message, leadData, { seed: lead.id });
+        if (!text) {
+          return { success: false, error: 'Instagram DM text is required' };
+        }
+        const sent = await provider.sendMessage(account, user, text);
+        return { success: true, ...target, ...sent, message: text };
+      }
+      case 'comment_reply': {
+        const found = await this.findLeadComment(provider, account, user);
+        if (!found) {
+          return { success: false, error: 'Lead has not commented on any recent post of the account' };
+        }
+        const text = this.personalizeMessage(stepConfig.instagramCommentText, leadData, {
+          seed: lead.id,
+          variables: { comment: { text: found.comment.text, posted_at: found.comment.date } }
+        });
+        if (!text) {
+          return { success: false, error: 'Comment reply text is empty for this lead' };
+        }
+        await provider.replyToComment(account, found.postId, found.comment.id, text);
+        return { success: true, ...target, providerPostId: found.postId, commentId: found.comment.id, message: text };
+      }
+      default:
+        return { success: false, error: `Unsupported Instagram action: ${action}` };
+    }
+  }
+  /**
+   * The lead's latest comment on the account's own recent posts
+   */
+  async findLeadComment(provider, account, user) {
+    const posts = await provider.getOwnPosts(account, OWN_POSTS_LIMIT);
+    const username = String(user.username || '').toLowerCase();
+    for (const post of posts) {
+      if (!post.id || post.commentCount === 0) continue;
+      const comments = (await provider.getPostComments(account, post.id))
+        .filter(comment => comment.id && (
+          (comment.authorId && comment.authorId === user.providerUserId) ||
+          (comment.authorUsername && comment.authorUsername.toLowerCase() === username)
+        ))
+        .sort((a, b) => (Date.parse(b.date || '') || 0) - (Date.parse(a.date || '') || 0));
+      if (comments.length > 0) {
+        return { postId: post.id, comment: comments[0] };
+      }
+    }
+    return null;
+  }
+  /**
+   * Pick the account: the step's configured account, then the tenant's first active one
+   */
+  async resolveAccount(tenantId, stepConfig) {
+    const preferredId = stepConfig.instagramAccountId || stepConfig.instagram_account_id;
+    if (preferredId) {
+      const preferred = await InstagramAccountRepository.getById(preferredId, tenantId);
+      if (preferred && preferred.is_active) {
+        return preferred;
+      }
+    }
+    const accounts = await InstagramAccountRepository.getActiveForTenant(tenantId);
+    return accounts[0] || null;
+  }
+  /**
+   * Why the account can't take another action of this kind today, or null if it can
+   * Both the account's overall daily_limit and the per-action cap apply (UTC day).
+   */
+  async getDailyLimitReached(account, action) {
+    const startOfDay = new Date();
+    startOfDay.setUTCHours(0, 0, 0, 0);
+    const counts = await CampaignInstagramActionRepository.countByActionSince(account.id, startOfDay);
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    if (account.daily_limit && total >= account.daily_limit) {
+      return 'Daily action limit reached';
+    }
+    const actionLimit = Number(account.action_limits?.[action] ?? DEFAULT_ACTION_LIMITS[action]);
+    if ((counts[action] || 0) >= actionLimit) {
+      return `Daily ${action.replace('_', ' ')} limit reached`;
+    }
+    return null;
+  }
+  getActionType(stepType) {
+    return STEP_ACTIONS[stepType]?.actionType || null;
+  }
+  /**
+   * Lead's Instagram handle: the step's instagramUsername (a template such as
+   * {{instagram_username}}) or the lead's own Instagram fields; "@name" and
+   * instagram.com profile URLs are reduced to the bare handle
+   */
+  getUsername(leadData, stepConfig, seed) {
+    const candidates = [MessageTemplateUtil.render(stepConfig.instagramUsername || '', leadData, { seed })]
+      .concat(USERNAME_FIELDS.map(field => leadData[field]));
+    for (const candidate of candidates) {
+      if (typeof candidate !== 'string' || !candidate.trim()) continue;
+      const value = candidate.trim();
+      const fromUrl = value.match(/instagram\.com\/([^\/?#]+)/i);
+      const handle = (fromUrl ? fromUrl[1] : value).replace(/^@/, '');
+      if (/^[A-Za-z0-9._]{1,30}$/.test(handle)) {
+        return handle;
+      }
+    }
+    return null;
+  }
+  /**
+   * Personalize message with lead data
+   * Rendered by the shared template engine (defaults, conditionals, spintax, filters)
+   */
+  personalizeMessage(template, leadData, options = {}) {
+    return MessageTemplateUtil.renderForSend(template, leadData, options);
+  }
+}
+module.exports = new InstagramDispatcher();
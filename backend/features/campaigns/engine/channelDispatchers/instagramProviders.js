@@ -0,0 +1,173 @@
+const axios = require('axios');
+const UnipileBaseService = require('../../services/UnipileBaseService');
+/**
+ * Instagram Providers
+ * Pluggable adapters used by the Instagram dispatcher and webhook
+ *
+ * The instagram_accounts.provider column selects the adapter:
+ *   unipile - an Instagram account connected through Unipile
+ * Other providers can be added with registerProvider(name, adapter).
+ *
+ * Adapter contract:
+ *   resolveUser(account, username) => { providerUserId, username }
+ *   follow(account, user) => {}
+ *   likePost(account, postUrl) => { providerPostId }
+ *   sendMessage(account, user, text) => { providerMessageId, providerChatId }
+ *   viewStories(account, user) => { viewed }
+ *   getOwnPosts(account, limit) => [{ id, caption, commentCount }]
+ *   getPostComments(account, postId) => [{ id, text, authorId, authorUsername, date }]
+ *   replyToComment(account, postId, commentId, text) => { providerCommentId }
+ *   parseWebhook(body) => [{ type: 'message', accountRef, providerMessageId, from, chatId, text }]
+ */
+const REQUEST_TIMEOUT_MS = Number(process.env.INSTAGRAM_REQUEST_TIMEOUT_MS) || 30000;
+const unipileBase = new UnipileBaseService();
+// Unipile account id -> provider id of the Instagram user who owns it
+const ownProviderIds = new Map();
+
+function unipileRequest(account, method, path, { params = {}, data } = {}) {
+  if (!unipileBase.isConfigured()) {
+    throw new Error('Unipile is not configured');
+  }
+  if (!account.unipile_account_id) {
+    throw new Error('Unipile Instagram account is missing unipile_account_id');
+  }
+  return axios({
+    method,
+    url: `${unipileBase.getBaseUrl()}${path}`,
+    params: method === 'get' ? { ...params, account_id: account.unipile_account_id } : params,
+    data: data ? { ...data, account_id: account.unipile_account_id } : undefined,
+    headers: unipileBase.getAuthHeaders(),
+    timeout: REQUEST_TIMEOUT_MS
+  });
+}
+
+function unwrap(response) {
+  return response.data?.data || response.data || {};
+}
+
+/**
+ * Shortcode of an instagram.com/p/, /reel/ or /tv/ URL (a bare id is returned as is)
+ */
+function extractPostCode(postUrl) {
+  const match = String(postUrl).match(/instagram\.com\/(?:[^\/]+\/)?(?:p|reel|reels|tv)\/([^\/?#]+)/i);
+  return match ? match[1] : String(postUrl).trim();
+}
+
+const providers = {
+  unipile: {
+    async resolveUser(account, username) {
+      const response = await unipileRequest(account, 'get', `/users/${encodeURIComponent(username)}`);
+      const profile = unwrap(response);
+      if (!profile.provider_id) {
+        throw new Error(`Instagram user "${username}" not found`);
+      }
+      return {
+        providerUserId: profile.provider_id,
+        username: profile.public_identifier || username
+      };
+    },
+    async follow(account, user) {
+      // Unipile's invitation endpoint follows the user on Instagram
+      await unipileRequest(account, 'post', '/users/invite', { data: { provider_id: user.providerUserId } });
+      return {};
+    },
+    async likePost(account, postUrl) {
+      const post = unwrap(await unipileRequest(account, 'get', `/posts/${encodeURIComponent(extractPostCode(postUrl))}`));
+      const providerPostId = post.social_id || post.id;
+      if (!providerPostId) {
+        throw new Error('Instagram post not found');
+      }
+      await unipileRequest(account, 'post', '/posts/reaction', {
+        data: { post_id: providerPostId, reaction_type: 'like' }
+      });
+      return { providerPostId };
+    },
+    async sendMessage(account, user, text) {
+      // POST /chats creates (or reuses) the 1:1 chat and sends the first message
+      const data = unwrap(await unipileRequest(account, 'post', '/chats', {
+        data: { attendees_ids: [user.providerUserId], text }
+      }));
+      return {
+        providerMessageId: data.message_id || null,
+        providerChatId: data.chat_id || data.id || null
+      };
+    },
+    async viewStories(account, user) {
+      const data = await unipileRequest(account, 'get', `/users/${encodeURIComponent(user.providerUserId)}/stories`);
+      const stories = data.data?.items || data.data?.data || [];
+      return { viewed: stories.length };
+    },
+    async getOwnPosts(account, limit) {
+      let providerId = ownProviderIds.get(account.unipile_account_id);
+      if (!providerId) {
+        providerId = unwrap(await unipileRequest(account, 'get', '/users/me')).provider_id;
+        if (!providerId) {
+          throw new Error('No provider_id found for the Instagram account');
+        }
+        ownProviderIds.set(account.unipile_account_id, providerId);
+      }
+      const response = await unipileRequest(account, 'get', `/users/${encodeURIComponent(providerId)}/posts`, { params: { limit } });
+      return (response.data?.items || response.data?.data || []).map(post => ({
+        id: post.social_id || post.id,
+        caption: post.text || '',
+        commentCount: Number(post.comment_counter) || 0
+      }));
+    },
+    async getPostComments(account, postId) {
+      const response = await unipileRequest(account, 'get', `/posts/${encodeURIComponent(postId)}/comments`, { params: { limit: 50 } });
+      return (response.data?.items || response.data?.data || []).map(comment => ({
+        id: comment.id,
+        text: comment.text || '',
+        authorId: comment.author_details?.id || comment.author_id || null,
+        authorUsername: comment.author_details?.public_identifier || comment.author || null,
+        date: comment.date || null
+      }));
+    },
+    async replyToComment(account, postId, commentId, text) {
+      const data = unwrap(await unipileRequest(account, 'post', `/posts/${encodeURIComponent(postId)}/comments`, {
+        data: { text, comment_id: commentId }
+      }));
+      return { providerCommentId: data.comment_id || data.id || null };
+    },
+    parseWebhook(body) {
+      if (!body || !body.account_id) return [];
+      if (body.event === 'message_received' && !body.is_sender) {
+        return [{
+          type: 'message',
+          accountRef: body.account_id,
+          providerMessageId: body.message_id,
+          from: body.sender?.attendee_provider_id || null,
+          chatId: body.chat_id,
+          text: body.message || null
+        }];
+      }
+      return [];
+    }
+  }
+};
+/**
+ * Register (or replace) a provider adapter
+ * @param {string} name - Value of instagram_accounts.provider that selects it
+ * @param {Object} adapter - Implements the adapter contract above
+ */
+function registerProvider(name, adapter) {
+  if (!adapter || typeof adapter.resolveUser !== 'function' || typeof adapter.parseWebhook !== 'function') {
+    throw new Error(`Instagram provider "${name}" must implement resolveUser() and parseWebhook()`);
+  }
+  providers[name] = adapter;
+}
+function getProvider(name) {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown Instagram provider "${name}"`);
+  }
+  return provider;
+}
+function isKnownProvider(name) {
+  return Object.prototype.hasOwnProperty.call(providers, name);
+}
+module.exports = {
+  registerProvider,
+  getProvider,
+  isKnownProvider
+};
@@ -1,6 +1,7 @@
 const unipileService = require('../../services/unipileService');
 const { getSchema } = require('../../../../core/utils/schemaHelper');
 const { pool } = require('../../../../shared/database/connection');
+const MessageTemplateUtil = require('../../utils/messageTemplateUtil');
 /**
  * LinkedIn Channel Dispatcher
  * Handles all LinkedIn-related actions
@@ -24,6 +25,9 @@ class LinkedInDispatcher {
           return { success: false, error: `Unsupported LinkedIn action: ${stepType}` };
       }
     } catch (error) {
+      if (error.validationError) {
+        return { success: false, error: error.message, validationError: true };
+      }
       return { success: false, error: error.message };
     }
   }
@@ -71,7 +75,7 @@ class LinkedInDispatcher {
       if (!linkedinUrl) {
         throw new Error('No LinkedIn URL found for lead');
       }
-      const message = this.personalizeMessage(stepConfig.message, leadData);
+      const message = this.personalizeMessage(stepConfig.message, leadData, { seed: lead.id });
       const result = await unipileService.sendMessage(
         userId,
         linkedinUrl,
@@ -240,21 +244,10 @@ Generate a concise, professional summary highlighting their role, expertise, and
   }
   /**
    * Personalize message with lead data
+   * Rendered by the shared template engine (defaults, conditionals, spintax, filters); throws on template errors
    */
-  personalizeMessage(template, leadData) {
-    let message = template;
-    // Replace placeholders
-    const replacements = {
-      '{{first_name}}': leadData.first_name || '',
-      '{{last_name}}': leadData.last_name || '',
-      '{{full_name}}': leadData.name || `${leadData.first_name || ''} ${leadData.last_name || ''}`.trim(),
-      '{{title}}': leadData.title || leadData.headline || '',
-      '{{company}}': leadData.organization || leadData.company || '',
-    };
-    for (const [placeholder, value] of Object.entries(replacements)) {
-      message = message.replace(new RegExp(placeholder, 'g'), value);
-    }
-    return message;
+  personalizeMessage(template, leadData, options = {}) {
+    return MessageTemplateUtil.renderForSend(template, leadData, options);
   }
 }
 module.exports = new LinkedInDispatcher();
@@ -0,0 +1,98 @@
+const MessageTemplateUtil = require('../../utils/messageTemplateUtil');
+const { getChannelForStepType } = require('../../services/StepValidators');
+// Lead fields each channel reaches the lead on (same fields the real dispatchers read)
+const RECIPIENT_FIELDS = {
+  linkedin: ['linkedin_url', 'linkedin_profile_url', 'enriched_linkedin_url', 'profile_url', 'public_profile_url'],
+  email: ['email', 'email_address', 'employee_email', 'enriched_email'],
+  whatsapp: ['phone', 'mobile_phone', 'employee_phone', 'phone_number'],
+  voice: ['phone', 'mobile_phone', 'phone_number'],
+  instagram: ['instagram_username', 'instagram_handle', 'instagram_url']
+};
+const MISSING_RECIPIENT_ERRORS = {
+  linkedin: 'No LinkedIn URL found for lead',
+  email: 'No email address found for lead',
+  whatsapp: 'No valid phone number found for lead',
+  voice: 'No phone number found for lead',
+  instagram: 'No Instagram username found for lead'
+};
+// Steps that act on the sender's own account or a configured target rather than on the lead
+const NON_LEAD_STEP_TYPES = [
+  'linkedin_company_search',
+  'linkedin_employee_list',
+  'linkedin_autopost',
+  'instagram_autopost'
+];
+// Step config fields holding copy that is personalised per lead
+const COPY_FIELDS = [
+  'subject',
+  'body',
+  'message',
+  'whatsappMessage',
+  'instagramDmMessage',
+  'linkedinCommentText',
+  'linkedinPostContent',
+  'instagramCommentText',
+  'instagramPostCaption',
+  'voiceContext'
+];
+/**
+ * No-op Channel Dispatcher
+ * Stands in for every channel dispatcher during campaign simulations: checks that the
+ * lead can be reached on the step's channel and renders the copy it would be sent,
+ * without calling any provider.
+ */
+class NoopDispatcher {
+  /**
+   * Describe the action a step would perform for a lead
+   * @returns {Object} { success, simulated, channel, recipient, preview, unresolved, error }
+   */
+  async execute(stepType, lead, stepConfig = {}) {
+    const channel = getChannelForStepType(stepType);
+    const leadData = this.getLeadData(lead);
+    let recipient = null;
+    if (RECIPIENT_FIELDS[channel] && !NON_LEAD_STEP_TYPES.includes(stepType)) {
+      recipient = this.findRecipient(channel, leadData, stepConfig);
+      if (!recipient) {
+        return { success: false, simulated: true, channel, error: MISSING_RECIPIENT_ERRORS[channel] };
+      }
+    }
+    const preview = {};
+    const unresolved = new Set();
+    for (const field of COPY_FIELDS) {
+      if (typeof stepConfig[field] !== 'string' || !stepConfig[field].trim()) continue;
+      const report = MessageTemplateUtil.renderWithReport(stepConfig[field], leadData, { seed: lead?.id });
+      preview[field] = report.text;
+      report.unresolved.forEach(variable => unresolved.add(variable));
+    }
+    return {
+      success: true,
+      simulated: true,
+      channel,
+      recipient,
+      preview,
+      unresolved: [...unresolved]
+    };
+  }
+  /**
+   * campaign_leads.snapshot overlaid with lead_data (either may be a JSON string)
+   */
+  getLeadData(lead) {
+    const parse = value => {
+      if (typeof value !== 'string') return value || {};
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        return {};
+      }
+    };
+    return { ...parse(lead?.snapshot), ...parse(lead?.lead_data) };
+  }
+  findRecipient(channel, leadData, stepConfig) {
+    if (channel === 'instagram' && stepConfig.instagramUsername) {
+      return stepConfig.instagramUsername;
+    }
+    const field = RECIPIENT_FIELDS[channel].find(key => typeof leadData[key] === 'string' && leadData[key].trim());
+    return field ? leadData[field] : null;
+  }
+}
+module.exports = new NoopDispatcher();
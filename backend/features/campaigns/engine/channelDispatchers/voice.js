@@ -1,4 +1,7 @@
 const axios = require('axios');
+const CampaignVoiceCallRepository = require('../../repositories/CampaignVoiceCallRepository');
+const logger = require('../../../../core/utils/logger');
+const MessageTemplateUtil = require('../../utils/messageTemplateUtil');
 const BACKEND_URL = process.env.BACKEND_INTERNAL_URL || process.env.NEXT_PUBLIC_BACKEND_URL || process.env.BACKEND_URL;
 if (!BACKEND_URL) {
   throw new Error('BACKEND_URL, BACKEND_INTERNAL_URL, or NEXT_PUBLIC_BACKEND_URL must be set');
@@ -6,93 +9,113 @@ if (!BACKEND_URL) {
 /**
  * Voice Channel Dispatcher
  * Handles all voice-related actions
+ * Calls are logged in campaign_voice_calls so the call-completion webhook
+ * (VoiceCallOutcomeService) can match the outcome back to the lead.
  */
 class VoiceDispatcher {
   /**
    * Execute voice action
+   * @param {Object} options - { stepId }
    */
-  async execute(stepType, lead, stepConfig, userId, tenantId) {
+  async execute(stepType, lead, stepConfig, userId, tenantId, options = {}) {
     try {
       switch (stepType) {
         case 'voice_agent_call':
-          return await this.makeVoiceCall(lead, stepConfig, userId, tenantId);
+          return await this.makeVoiceCall(lead, stepConfig, userId, tenantId, options);
         default:
           return { success: false, error: `Unsupported voice action: ${stepType}` };
       }
     } catch (error) {
+      if (error.validationError) {
+        return { success: false, error: error.message, validationError: true };
+      }
       return { success: false, error: error.message };
     }
   }
   /**
    * Make voice call using voice agent
+   * The voice agent posts the call outcome to the campaigns call-completion webhook
    */
-  async makeVoiceCall(lead, stepConfig, userId, tenantId) {
-    try {
-      const leadData = lead.lead_data || {};
-      const phoneNumber = leadData.phone || leadData.mobile_phone || leadData.phone_number;
-      if (!phoneNumber) {
-        throw new Error('No phone number found for lead');
-      }
-      const voiceAgentId = stepConfig.voiceAgentId;
-      const voiceContext = stepConfig.voiceContext || stepConfig.added_context || '';
-      if (!voiceAgentId) {
-        throw new Error('Voice agent ID is required');
-      }
-      // Personalize context with lead data
-      const personalizedContext = this.personalizeContext(voiceContext, leadData);
-      // Make API call to voice agent service
-      const response = await axios.post(
-        `${BACKEND_URL}/api/voice-agent/make-call`,
-        {
-          phone_number: phoneNumber,
-          voice_agent_id: voiceAgentId,
-          added_context: personalizedContext,
-          lead_id: lead.id,
+  async makeVoiceCall(lead, stepConfig, userId, tenantId, options = {}) {
+    const leadData = lead.lead_data || {};
+    const phoneNumber = leadData.phone || leadData.mobile_phone || leadData.phone_number;
+    if (!phoneNumber) {
+      throw new Error('No phone number found for lead');
+    }
+    const voiceAgentId = stepConfig.voiceAgentId || stepConfig.agent_id;
+    const voiceContext = stepConfig.voiceContext || stepConfig.added_context || '';
+    if (!voiceAgentId) {
+      throw new Error('Voice agent ID is required');
+    }
+    // Personalize context with lead data
+    const personalizedContext = this.personalizeContext(voiceContext, leadData, { seed: lead.id });
+    // Call voice agent API (internal call, no auth needed)
+    const response = await axios.post(
+      `${BACKEND_URL}/api/voiceagents/calls`,
+      {
+        agent_id: voiceAgentId,
+        to_number: phoneNumber,
+        lead_name: leadData.name || leadData.employee_name || 'there',
+        added_context: personalizedContext,
+        initiated_by: userId,
+        webhook_url: this.getCompletionWebhookUrl(),
+        metadata: {
+          tenant_id: tenantId,
           campaign_id: lead.campaign_id,
-          user_id: userId,
-          tenant_id: tenantId
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          timeout: 30000
+          campaign_lead_id: lead.id,
+          lead_id: lead.lead_id || null
         }
-      );
-      if (response.data && response.data.success) {
-        return {
-          success: true,
-          data: {
-            callId: response.data.call_id,
-            status: response.data.status
-          }
-        };
-      } else {
-        throw new Error(response.data?.message || 'Voice call failed');
+      },
+      {
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        timeout: 30000 // 30 second timeout
       }
-    } catch (error) {
-      throw error;
+    );
+    if (!response.data || response.data.success === false) {
+      throw new Error(response.data?.error || response.data?.message || 'Failed to initiate call');
     }
+    const callId = response.data.call_id || response.data.data?.call_id || response.data.data?.id || null;
+    if (callId) {
+      await CampaignVoiceCallRepository.create({
+        tenantId,
+        campaignId: lead.campaign_id,
+        campaignLeadId: lead.id,
+        leadId: lead.lead_id,
+        stepId: options.stepId,
+        callId: String(callId),
+        agentId: String(voiceAgentId),
+        toPhone: phoneNumber
+      });
+    } else {
+      logger.warn('[VoiceDispatcher] Voice agent returned no call id - outcome cannot be matched', {
+        campaignLeadId: lead.id
+      });
+    }
+    return {
+      success: true,
+      data: {
+        callId,
+        status: response.data.status || response.data.data?.status || 'initiated',
+        agentId: voiceAgentId,
+        to: phoneNumber
+      }
+    };
+  }
+  /**
+   * Public URL the voice agent posts call outcomes to
+   */
+  getCompletionWebhookUrl() {
+    const baseUrl = process.env.VOICE_CALL_WEBHOOK_BASE_URL || process.env.BACKEND_URL || BACKEND_URL;
+    return `${baseUrl.replace(/\/+$/, '')}/api/campaigns/voice/webhook/call-completed`;
   }
   /**
    * Personalize context with lead data
+   * Rendered by the shared template engine (defaults, conditionals, spintax, filters); throws on template errors
    */
-  personalizeContext(template, leadData) {
-    let context = template;
-    // Replace placeholders
-    const replacements = {
-      '{{first_name}}': leadData.first_name || '',
-      '{{last_name}}': leadData.last_name || '',
-      '{{full_name}}': leadData.name || `${leadData.first_name || ''} ${leadData.last_name || ''}`.trim(),
-      '{{title}}': leadData.title || leadData.headline || '',
-      '{{company}}': leadData.organization || leadData.company || '',
-      '{{email}}': leadData.email || '',
-      '{{phone}}': leadData.phone || leadData.mobile_phone || '',
-    };
-    for (const [placeholder, value] of Object.entries(replacements)) {
-      context = context.replace(new RegExp(placeholder, 'g'), value);
-    }
-    return context;
+  personalizeContext(template, leadData, options = {}) {
+    return MessageTemplateUtil.renderForSend(template, leadData, options);
   }
 }
-module.exports = new VoiceDispatcher();
\ No newline at end of file
+module.exports = new VoiceDispatcher();
@@ -0,0 +1,174 @@
+const WhatsAppAccountRepository = require('../../repositories/WhatsAppAccountRepository');
+const CampaignWhatsAppMessageRepository = require('../../repositories/CampaignWhatsAppMessageRepository');
+const { getProvider } = require('./whatsappProviders');
+const logger = require('../../../../core/utils/logger');
+const MessageTemplateUtil = require('../../utils/messageTemplateUtil');
+// Free-form (session) messages are only allowed within 24h of the lead's last message
+const SESSION_WINDOW_MS = 24 * 60 * 60 * 1000;
+/**
+ * WhatsApp Channel Dispatcher
+ * Sends campaign WhatsApp messages from the tenant's WhatsApp accounts.
+ * Every sent message is logged in campaign_whatsapp_messages so the webhook
+ * can match delivery/read receipts and replies back to the lead.
+ */
+class WhatsAppDispatcher {
+  /**
+   * Execute WhatsApp action
+   * @param {string} stepType - whatsapp_send
+   * @param {Object} lead - campaign_leads row with lead_data
+   * @param {Object} options - { stepId, raw } - raw sends the text as typed (inbox replies), without the template engine
+   */
+  async execute(stepType, lead, stepConfig, userId, tenantId, options = {}) {
+    try {
+      switch (stepType) {
+        case 'whatsapp_send':
+          return await this.sendMessage(lead, stepConfig, tenantId, options);
+        default:
+          return { success: false, error: `Unsupported WhatsApp action: ${stepType}` };
+      }
+    } catch (error) {
+      const providerError = error.response?.data?.error?.message || error.response?.data?.detail;
+      logger.error('[WhatsAppDispatcher] Send failed', {
+        stepType,
+        campaignLeadId: lead?.id,
+        error: providerError || error.message
+      });
+      if (error.validationError) {
+        return { success: false, error: error.message, validationError: true };
+      }
+      return { success: false, error: providerError || error.message };
+    }
+  }
+  /**
+   * Send a template or session message
+   * A configured template is used when no session is open (or always, if there is no text);
+   * the text is sent as a session message otherwise.
+   */
+  async sendMessage(lead, stepConfig, tenantId, options = {}) {
+    const leadData = lead.lead_data || {};
+    const to = this.normalizePhone(leadData.phone || leadData.mobile_phone || leadData.employee_phone);
+    if (!to) {
+      return { success: false, error: 'No valid phone number found for lead' };
+    }
+    const account = await this.resolveAccount(tenantId, stepConfig);
+    if (!account) {
+      return { success: false, error: 'No active WhatsApp account configured for tenant' };
+    }
+    if (!(await this.hasDailyCapacity(account))) {
+      return {
+        success: false,
+        skipped: true,
+        error: `Daily send limit reached for WhatsApp account ${account.display_name || account.phone_number || account.id}`
+      };
+    }
+    const provider = getProvider(account.provider);
+    const templateOptions = { seed: lead.id, raw: options.raw };
+    const text = this.personalizeMessage(stepConfig.whatsappMessage || stepConfig.message, leadData, templateOptions);
+    const templateName = stepConfig.whatsappTemplateName || stepConfig.templateName;
+    let template = null;
+    if (templateName && provider.supportsTemplates) {
+      const sessionOpen = text ? await this.isSessionOpen(account.id, to) : false;
+      if (!sessionOpen) {
+        template = {
+          name: templateName,
+          language: stepConfig.whatsappTemplateLanguage || stepConfig.templateLanguage,
+          params: (stepConfig.whatsappTemplateParams || stepConfig.templateParams || [])
+            .map(param => this.personalizeMessage(String(param), leadData, templateOptions))
+        };
+      }
+    }
+    if (!template) {
+      if (!text) {
+        return { success: false, error: 'WhatsApp message text is required' };
+      }
+      // Cloud API rejects free-form messages outside the customer service window
+      if (provider.supportsTemplates && !(await this.isSessionOpen(account.id, to))) {
+        return {
+          success: false,
+          error: 'No open WhatsApp session with lead (no reply in the last 24h) - configure a template for the first message'
+        };
+      }
+    }
+    const sent = await provider.send(account, { to, text, template });
+    const messageType = template ? 'template' : 'session';
+    await CampaignWhatsAppMessageRepository.create({
+      tenantId,
+      campaignId: lead.campaign_id,
+      campaignLeadId: lead.id,
+      leadId: lead.lead_id,
+      accountId: account.id,
+      stepId: options.stepId,
+      provider: account.provider,
+      providerMessageId: sent.providerMessageId,
+      providerChatId: sent.providerChatId,
+      toPhone: to,
+      messageType,
+      templateName: template ? template.name : null,
+      content: template ? null : text
+    });
+    logger.info('[WhatsAppDispatcher] Message sent', {
+      campaignLeadId: lead.id,
+      accountId: account.id,
+      provider: account.provider,
+      messageType
+    });
+    return {
+      success: true,
+      data: {
+        providerMessageId: sent.providerMessageId,
+        accountId: account.id,
+        from: account.phone_number || account.display_name,
+        to,
+        messageType,
+        templateName: template ? template.name : null,
+        message: template ? null : text
+      }
+    };
+  }
+  /**
+   * Pick the sending account: the step's configured account, then the tenant's first active one
+   */
+  async resolveAccount(tenantId, stepConfig) {
+    const preferredId = stepConfig.whatsappAccountId || stepConfig.whatsapp_account_id;
+    if (preferredId) {
+      const preferred = await WhatsAppAccountRepository.getWithCredentials(preferredId, tenantId);
+      if (preferred && preferred.is_active) {
+        return preferred;
+      }
+    }
+    const accounts = await WhatsAppAccountRepository.getActiveForSending(tenantId);
+    return accounts[0] || null;
+  }
+  async hasDailyCapacity(account) {
+    if (!account.daily_limit) return true;
+    const startOfDay = new Date();
+    startOfDay.setUTCHours(0, 0, 0, 0);
+    const sentToday = await CampaignWhatsAppMessageRepository.countSentSince(account.id, startOfDay);
+    return sentToday < account.daily_limit;
+  }
+  async isSessionOpen(accountId, phone) {
+    const lastReplyAt = await CampaignWhatsAppMessageRepository.getLastReplyAt(accountId, phone);
+    return !!lastReplyAt && Date.now() - new Date(lastReplyAt).getTime() < SESSION_WINDOW_MS;
+  }
+  /**
+   * WhatsApp addresses numbers as digits only, with country code and no leading "+" or "00"
+   */
+  normalizePhone(phone) {
+    if (!phone) return null;
+    const digits = String(phone).replace(/\D/g, '').replace(/^00/, '');
+    return digits.length >= 8 ? digits : null;
+  }
+  /**
+   * Personalize message with lead data
+   * Rendered by the shared template engine (defaults, conditionals, spintax, filters);
+   * throws on template errors. options.raw returns the text untouched.
+   */
+  personalizeMessage(template, leadData, options = {}) {
+    const { raw, ...renderOptions } = options;
+    if (raw) {
+      return template || '';
+    }
+    return MessageTemplateUtil.renderForSend(template, leadData, renderOptions);
+  }
+}
+module.exports = new WhatsAppDispatcher();
@@ -0,0 +1,168 @@
+const axios = require('axios');
+const UnipileBaseService = require('../../services/UnipileBaseService');
+/**
+ * WhatsApp Providers
+ * Pluggable adapters used by the WhatsApp dispatcher and webhook
+ *
+ * The whatsapp_accounts.provider column selects the adapter:
+ *   cloud_api - WhatsApp Cloud API (Meta Graph), template and session messages
+ *   unipile   - a WhatsApp account connected through Unipile, session (free text) messages only
+ * Other providers can be added with registerProvider(name, adapter).
+ *
+ * Adapter contract:
+ *   send(account, { to, text, template }) => { providerMessageId, providerChatId }
+ *   parseWebhook(body) => [{ type: 'status'|'message', accountRef, providerMessageId,
+ *                            status, error, from, chatId, text, replyToMessageId }]
+ */
+const GRAPH_API_VERSION = process.env.WHATSAPP_GRAPH_VERSION || 'v19.0';
+const REQUEST_TIMEOUT_MS = Number(process.env.WHATSAPP_REQUEST_TIMEOUT_MS) || 30000;
+const unipileBase = new UnipileBaseService();
+
+const providers = {
+  cloud_api: {
+    supportsTemplates: true,
+    async send(account, { to, text, template }) {
+      if (!account.phone_number_id || !account.access_token) {
+        throw new Error('WhatsApp Cloud API account is missing phone_number_id or access_token');
+      }
+      const payload = { messaging_product: 'whatsapp', recipient_type: 'individual', to };
+      if (template) {
+        payload.type = 'template';
+        payload.template = {
+          name: template.name,
+          language: { code: template.language || 'en_US' }
+        };
+        if (template.params && template.params.length > 0) {
+          payload.template.components = [{
+            type: 'body',
+            parameters: template.params.map(value => ({ type: 'text', text: String(value) }))
+          }];
+        }
+      } else {
+        payload.type = 'text';
+        payload.text = { preview_url: false, body: text };
+      }
+      const response = await axios.post(
+        `https://graph.facebook.com/${GRAPH_API_VERSION}/${account.phone_number_id}/messages`,
+        payload,
+        {
+          headers: {
+            Authorization: `Bearer ${account.access_token}`,
+            'Content-Type': 'application/json'
+          },
+          timeout: REQUEST_TIMEOUT_MS
+        }
+      );
+      return {
+        providerMessageId: response.data?.messages?.[0]?.id || null,
+        providerChatId: null
+      };
+    },
+    parseWebhook(body) {
+      const events = [];
+      for (const entry of body?.entry || []) {
+        for (const change of entry.changes || []) {
+          const value = change.value || {};
+          const accountRef = value.metadata?.phone_number_id;
+          for (const status of value.statuses || []) {
+            events.push({
+              type: 'status',
+              accountRef,
+              providerMessageId: status.id,
+              status: status.status,
+              error: status.errors?.[0]?.title || status.errors?.[0]?.message || null
+            });
+          }
+          for (const message of value.messages || []) {
+            events.push({
+              type: 'message',
+              accountRef,
+              providerMessageId: message.id,
+              from: message.from,
+              text: message.text?.body || message.button?.text || message.interactive?.button_reply?.title || null,
+              replyToMessageId: message.context?.id || null
+            });
+          }
+        }
+      }
+      return events;
+    }
+  },
+  unipile: {
+    supportsTemplates: false,
+    async send(account, { to, text }) {
+      if (!unipileBase.isConfigured()) {
+        throw new Error('Unipile is not configured');
+      }
+      if (!account.unipile_account_id) {
+        throw new Error('Unipile WhatsApp account is missing unipile_account_id');
+      }
+      // POST /chats creates (or reuses) the 1:1 chat and sends the first message
+      const response = await axios.post(
+        `${unipileBase.getBaseUrl()}/chats`,
+        {
+          account_id: account.unipile_account_id,
+          attendees_ids: [`${to}@s.whatsapp.net`],
+          text
+        },
+        { headers: unipileBase.getAuthHeaders(), timeout: REQUEST_TIMEOUT_MS }
+      );
+      const data = response.data?.data || response.data || {};
+      return {
+        providerMessageId: data.message_id || null,
+        providerChatId: data.chat_id || data.id || null
+      };
+    },
+    parseWebhook(body) {
+      if (!body || !body.account_id) return [];
+      const statusByEvent = { message_delivered: 'delivered', message_read: 'read' };
+      if (statusByEvent[body.event]) {
+        return [{
+          type: 'status',
+          accountRef: body.account_id,
+          providerMessageId: body.message_id,
+          status: statusByEvent[body.event]
+        }];
+      }
+      if (body.event === 'message_received' && !body.is_sender) {
+        const senderId = body.sender?.attendee_provider_id || '';
+        return [{
+          type: 'message',
+          accountRef: body.account_id,
+          providerMessageId: body.message_id,
+          from: senderId.split('@')[0],
+          chatId: body.chat_id,
+          text: body.message || null,
+          replyToMessageId: body.quoted?.id || null
+        }];
+      }
+      return [];
+    }
+  }
+};
+/**
+ * Register (or replace) a provider adapter
+ * @param {string} name - Value of whatsapp_accounts.provider that selects it
+ * @param {Object} adapter - { send, parseWebhook, supportsTemplates }
+ */
+function registerProvider(name, adapter) {
+  if (!adapter || typeof adapter.send !== 'function' || typeof adapter.parseWebhook !== 'function') {
+    throw new Error(`WhatsApp provider "${name}" must implement send() and parseWebhook()`);
+  }
+  providers[name] = adapter;
+}
+function getProvider(name) {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown WhatsApp provider "${name}"`);
+  }
+  return provider;
+}
+function isKnownProvider(name) {
+  return Object.prototype.hasOwnProperty.call(providers, name);
+}
+module.exports = {
+  registerProvider,
+  getProvider,
+  isKnownProvider
+};
@@ -1,50 +1,218 @@
 /**
  * Condition Evaluator - evaluates workflow conditions
+ *
+ * context (supplied by the workflow engine):
+ *   actions   - successful campaign_analytics action types recorded for the lead
+ *   actionLog - the same actions as rows ({ action_type, response_data, created_at }, newest first)
+ *   enteredAt - when the lead arrived at the condition/switch/wait step
+ *   unknownConditionMet - result for unrecognised condition types (legacy linear workflows pass them)
  */
+// Condition types that are satisfied by a recorded campaign_analytics action
+const ACTION_CONDITIONS = {
+  connected: ['CONNECTION_ACCEPTED'],
+  connection_accepted: ['CONNECTION_ACCEPTED'],
+  replied: ['REPLY_RECEIVED'],
+  opened: ['EMAIL_OPENED', 'MESSAGE_OPENED'],
+  clicked: ['MESSAGE_CLICKED', 'EMAIL_CLICKED'],
+  bounced: ['EMAIL_BOUNCED'],
+  call_answered: ['VOICE_CALL_ANSWERED']
+};
+// Voice call outcomes; response_data.disposition is set by the call-completion webhook
+const CALL_OUTCOME_ACTIONS = ['VOICE_CALL_ANSWERED', 'VOICE_CALL_NOT_ANSWERED'];
+// Shorthand condition types for the latest call's disposition
+const DISPOSITION_CONDITIONS = {
+  call_interested: 'interested',
+  call_callback: 'callback',
+  call_voicemail: 'voicemail',
+  call_not_interested: 'not_interested',
+  call_no_answer: 'no_answer'
+};
+// Reply classifications; response_data.intent is set by the reply intent classifier
+const REPLY_CLASSIFIED_ACTION = 'REPLY_CLASSIFIED';
+// Events a wait_for_event step can park on.
+// once: the event can only happen one time per lead, so it counts even if it
+// arrived before the lead reached the wait step; other events must be newer.
+const WAIT_EVENTS = {
+  connection_accepted: { actionTypes: ['CONNECTION_ACCEPTED'], once: true },
+  reply_received: { actionTypes: ['REPLY_RECEIVED'], once: false },
+  call_answered: { actionTypes: ['VOICE_CALL_ANSWERED'], once: false },
+  call_completed: { actionTypes: CALL_OUTCOME_ACTIONS, once: false },
+  reply_classified: { actionTypes: [REPLY_CLASSIFIED_ACTION], once: false },
+  email_opened: { actionTypes: ['EMAIL_OPENED'], once: false }
+};
+const TIMEOUT_HANDLE = 'timeout';
 class ConditionEvaluator {
   /**
    * Evaluate a condition step
    */
-  async evaluateCondition(step, lead, executionResult) {
+  async evaluateCondition(step, lead, executionResult, context = {}) {
     try {
-      const stepConfig = typeof step.data === 'string' 
-        ? JSON.parse(step.data) 
-        : (step.data || {});
-      const conditionType = stepConfig.conditionType;
+      const rawConfig = step.config !== undefined ? step.config : step.data;
+      const stepConfig = typeof rawConfig === 'string'
+        ? JSON.parse(rawConfig)
+        : (rawConfig || {});
+      const conditionType = stepConfig.conditionType || stepConfig.condition;
+      if (ACTION_CONDITIONS[conditionType]) {
+        return this.hasAnyAction(context, ACTION_CONDITIONS[conditionType]);
+      }
+      if (DISPOSITION_CONDITIONS[conditionType]) {
+        return this.checkCallDisposition(context, [DISPOSITION_CONDITIONS[conditionType]]);
+      }
       switch (conditionType) {
+        case 'call_disposition':
+          return this.checkCallDisposition(context, [].concat(stepConfig.dispositions || stepConfig.disposition || []));
+        case 'reply_intent':
+          return this.checkReplyIntent(context, [].concat(stepConfig.intents || stepConfig.intent || []));
         case 'response_received':
-          return this.checkResponseReceived(lead, executionResult);
+          return this.checkResponseReceived(lead, executionResult, context);
+        case 'no_response':
+          return this.checkNoResponse(lead, stepConfig, context);
+        case 'action_occurred':
+          return this.hasAnyAction(context, [].concat(stepConfig.actionType || []));
         case 'profile_matches':
           return this.checkProfileMatches(lead, stepConfig);
         case 'engagement_level':
           return this.checkEngagementLevel(lead, stepConfig);
         case 'time_elapsed':
-          return this.checkTimeElapsed(lead, stepConfig);
+          return this.checkTimeElapsed(lead, stepConfig, context);
         case 'custom_field':
           return this.checkCustomField(lead, stepConfig);
         default:
-          return false;
+          return context.unknownConditionMet === true;
       }
     } catch (error) {
       return false;
     }
   }
+  /**
+   * Evaluate an N-way switch step
+   * Branches are checked in order; the first match wins.
+   * @returns {Promise<string|null>} Handle of the matching branch, or null if none matched
+   */
+  async evaluateSwitch(step, lead, context = {}) {
+    const rawConfig = step.config !== undefined ? step.config : step.data;
+    const stepConfig = typeof rawConfig === 'string'
+      ? JSON.parse(rawConfig)
+      : (rawConfig || {});
+    const branches = Array.isArray(stepConfig.branches) ? stepConfig.branches : [];
+    for (const branch of branches) {
+      const matched = await this.evaluateCondition({ config: branch }, lead, null, context);
+      if (matched) {
+        return branch.handle || branch.id;
+      }
+    }
+    return null;
+  }
+  /**
+   * Evaluate a wait_for_event step
+   * Events are checked in the order configured; the first one that arrived wins.
+   * @returns {string|null} The event name, 'timeout', or null to keep waiting
+   */
+  evaluateWaitForEvent(step, context = {}) {
+    const stepConfig = this.getWaitConfig(step);
+    const enteredAt = context.enteredAt ? new Date(context.enteredAt).getTime() : Date.now();
+    const actionLog = context.actionLog || [];
+    for (const eventName of stepConfig.events) {
+      const event = WAIT_EVENTS[eventName];
+      if (!event) continue;
+      const arrived = actionLog.some(action =>
+        event.actionTypes.includes(action.action_type) &&
+        (event.once || new Date(action.created_at).getTime() >= enteredAt)
+      );
+      if (arrived) {
+        return eventName;
+      }
+    }
+    if (stepConfig.timeoutMs > 0 && Date.now() - enteredAt >= stepConfig.timeoutMs) {
+      return TIMEOUT_HANDLE;
+    }
+    return null;
+  }
+  /**
+   * Normalise a wait_for_event config: { events: [...], timeoutMs }
+   * Accepts events (array) or event (single), and timeoutDays/Hours/Minutes
+   */
+  getWaitConfig(step) {
+    const rawConfig = step.config !== undefined ? step.config : step.data;
+    const stepConfig = typeof rawConfig === 'string'
+      ? JSON.parse(rawConfig)
+      : (rawConfig || {});
+    const events = [].concat(stepConfig.events || stepConfig.event || []);
+    const days = Number(stepConfig.timeoutDays || 0);
+    const hours = Number(stepConfig.timeoutHours || 0);
+    const minutes = Number(stepConfig.timeoutMinutes || 0);
+    return {
+      events,
+      timeoutMs: ((days * 24 + hours) * 60 + minutes) * 60 * 1000
+    };
+  }
+  /**
+   * Names of the wait events a recorded action type satisfies
+   */
+  getWaitEventsForAction(actionType) {
+    return Object.keys(WAIT_EVENTS).filter(name => WAIT_EVENTS[name].actionTypes.includes(actionType));
+  }
+  isWaitEvent(eventName) {
+    return Object.prototype.hasOwnProperty.call(WAIT_EVENTS, eventName);
+  }
+  /**
+   * Check whether any of the given action types were recorded for the lead
+   */
+  hasAnyAction(context, actionTypes) {
+    const actions = context.actions || [];
+    return actionTypes.some(actionType => actions.includes(actionType));
+  }
+  /**
+   * Check the disposition of the lead's most recent completed call
+   * (a later call supersedes an earlier outcome)
+   */
+  checkCallDisposition(context, dispositions) {
+    const latestCall = (context.actionLog || []).find(action => CALL_OUTCOME_ACTIONS.includes(action.action_type));
+    if (!latestCall) return false;
+    const responseData = typeof latestCall.response_data === 'string'
+      ? JSON.parse(latestCall.response_data)
+      : (latestCall.response_data || {});
+    return dispositions.includes(responseData.disposition);
+  }
+  /**
+   * Check the intent of the lead's most recently classified reply
+   */
+  checkReplyIntent(context, intents) {
+    const latestReply = (context.actionLog || []).find(action => action.action_type === REPLY_CLASSIFIED_ACTION);
+    if (!latestReply) return false;
+    const responseData = typeof latestReply.response_data === 'string'
+      ? JSON.parse(latestReply.response_data)
+      : (latestReply.response_data || {});
+    return intents.includes(responseData.intent);
+  }
+  /**
+   * No reply within N days of reaching this step
+   */
+  checkNoResponse(lead, stepConfig, context) {
+    if (this.hasAnyAction(context, ACTION_CONDITIONS.replied)) {
+      return false;
+    }
+    return this.checkTimeElapsed(lead, { daysElapsed: stepConfig.days ?? stepConfig.daysElapsed }, context);
+  }
   /**
    * Check if lead has responded
    */
-  checkResponseReceived(lead, executionResult) {
+  checkResponseReceived(lead, executionResult, context = {}) {
     // Check if there's a response in the execution result
-    return executionResult?.responseReceived || false;
+    return executionResult?.responseReceived || this.hasAnyAction(context, ACTION_CONDITIONS.replied);
   }
   /**
    * Check if lead profile matches criteria
+   * skills, company and school are read from the latest linkedin_scrape_profile snapshot
+   * (lead_data.linkedin_profile) and never match a lead that hasn't been scraped
    */
   checkProfileMatches(lead, stepConfig) {
     const criteria = stepConfig.profileCriteria || {};
-    const leadData = lead.lead_data || {};
+    const leadData = (typeof lead.lead_data === 'string' ? JSON.parse(lead.lead_data) : lead.lead_data) || {};
+    const profile = leadData.linkedin_profile || {};
     // Check title match
     if (criteria.title) {
-      const title = leadData.title || leadData.headline || '';
+      const title = leadData.title || leadData.headline || profile.current_title || '';
       if (!title.toLowerCase().includes(criteria.title.toLowerCase())) {
         return false;
       }
@@ -63,6 +231,28 @@ class ConditionEvaluator {
         return false;
       }
     }
+    // Check skills match - any of the listed skills
+    if (criteria.skills) {
+      const skills = (profile.skills || []).map(skill => skill.toLowerCase());
+      const wanted = [].concat(criteria.skills).map(skill => String(skill).toLowerCase());
+      if (!wanted.some(skill => skills.includes(skill))) {
+        return false;
+      }
+    }
+    // Check company match - current or previous employer
+    if (criteria.company) {
+      const companies = [profile.current_company, ...(profile.previous_companies || [])].filter(Boolean);
+      if (!companies.some(company => company.toLowerCase().includes(criteria.company.toLowerCase()))) {
+        return false;
+      }
+    }
+    // Check school match
+    if (criteria.school) {
+      const schools = profile.schools || [];
+      if (!schools.some(school => school.toLowerCase().includes(criteria.school.toLowerCase()))) {
+        return false;
+      }
+    }
     return true;
   }
   /**
@@ -74,11 +264,11 @@ class ConditionEvaluator {
     return leadEngagement >= minEngagement;
   }
   /**
-   * Check time elapsed since last activity
+   * Check time elapsed since the lead reached this step (or its last activity)
    */
-  checkTimeElapsed(lead, stepConfig) {
-    const requiredDays = stepConfig.daysElapsed || 0;
-    const lastActivityDate = lead.last_activity_at || lead.created_at;
+  checkTimeElapsed(lead, stepConfig, context = {}) {
+    const requiredDays = Number(stepConfig.daysElapsed || 0);
+    const lastActivityDate = context.enteredAt || lead.last_activity_at || lead.created_at;
     if (!lastActivityDate) return false;
     const daysSinceActivity = (Date.now() - new Date(lastActivityDate).getTime()) / (1000 * 60 * 60 * 24);
     return daysSinceActivity >= requiredDays;
@@ -108,4 +298,4 @@ class ConditionEvaluator {
     }
   }
 }
-module.exports = new ConditionEvaluator();
\ No newline at end of file
+module.exports = new ConditionEvaluator();
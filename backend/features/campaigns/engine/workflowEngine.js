@@ -1,154 +1,310 @@
-const { pool } = require('../../../shared/database/connection');
-const { getSchema } = require('../../../core/utils/schemaHelper');
-const stepExecutor = require('./stepExecutor');
+const CampaignLeadRepository = require('../repositories/CampaignLeadRepository');
+const CampaignWorkflowVersionRepository = require('../repositories/CampaignWorkflowVersionRepository');
+const CampaignAnalyticsRepository = require('../repositories/CampaignAnalyticsRepository');
+const { createActivity, updateActivityStatus } = require('../services/CampaignActivityService');
+const logger = require('../../../core/utils/logger');
 const conditionEvaluator = require('./conditionEvaluator');
+const sendWindowService = require('../services/SendWindowService');
+const linkedInPacingService = require('../services/LinkedInPacingService');
+const {
+  PASS_THROUGH_TYPES,
+  DEFAULT_HANDLE,
+  buildWorkflowGraph
+} = require('./workflowGraph');
+// Lazy load executeStepForLead to avoid circular dependency
+// (CampaignProcessor -> WorkflowProcessor -> workflowEngine -> CampaignProcessor)
+let executeStepForLead = null;
+// Upper bound on nodes walked for one lead in one run
+const MAX_NODES_PER_RUN = 50;
+// Action types that prove a step already ran (used to place leads that predate cursors)
+const STEP_TYPE_TO_ACTION_TYPE = {
+  'linkedin_visit': 'PROFILE_VISITED',
+  'linkedin_visit_profile': 'PROFILE_VISITED',
+  'linkedin_connect': 'CONNECTION_SENT',
+  'linkedin_follow': 'PROFILE_FOLLOWED',
+  'linkedin_message': 'CONTACTED',
+  // Reactions recorded PROFILE_VISITED before they had their own action type; only
+  // leads without a cursor are placed through this map, and those predate POST_REACTED
+  'linkedin_reaction': 'PROFILE_VISITED',
+  'linkedin_comment': 'POST_COMMENTED',
+  'linkedin_comment_reply': 'COMMENT_REPLIED',
+  'linkedin_scrape_profile': 'PROFILE_SCRAPED'
+};
 /**
  * Main workflow execution engine
- * Orchestrates campaign workflow execution, step transitions, and state management
+ * Walks campaign steps as a DAG (condition, switch, wait_for_event and merge nodes) and keeps
+ * each lead's position in campaign_leads.current_node_key (the builder node id, which survives
+ * step saves; current_step_id mirrors it for joins). A lead stays on the workflow version it
+ * entered (campaign_leads.workflow_version) when newer versions are published.
  */
 class WorkflowEngine {
+  constructor() {
+    // campaign_leads ids currently being walked in this process
+    this.inFlight = new Set();
+  }
   /**
-   * Process a campaign - execute all steps for all leads
+   * Advance a single lead through the workflow as far as it can go in this run
+   * @param {Object} campaign - Campaign row
+   * @param {Array} steps - The campaign's current campaign_steps rows (a lead pinned to an older
+   *   workflow version runs on that version's steps instead)
+   * @param {Object} campaignLead - campaign_leads row
+   * @returns {Promise<Object>} { status: 'waiting'|'completed'|'stopped'|'suppressed'|'paused'|'busy', stepId, reason }
    */
-  async processCampaign(campaignId, userId, tenantId) {
+  async processLead(campaign, steps, campaignLead, userId, tenantId, authToken = null) {
+    // A webhook can resume a lead while the scheduled run is walking it
+    if (this.inFlight.has(campaignLead.id)) {
+      return { status: 'busy', reason: 'Lead is already being processed' };
+    }
+    this.inFlight.add(campaignLead.id);
     try {
-      // Per TDD: Use dynamic schema
-      const schema = getSchema(req);
-      const campaignResult = await pool.query(
-        `SELECT * FROM ${schema}.campaigns WHERE id = $1 AND tenant_id = $2 AND is_deleted = FALSE`,
-        [campaignId, tenantId]
-      );
-      if (campaignResult.rows.length === 0) {
-        throw new Error('Campaign not found');
+      return await this.walkLead(campaign, steps, campaignLead, userId, tenantId, authToken);
+    } finally {
+      this.inFlight.delete(campaignLead.id);
+    }
+  }
+  async walkLead(campaign, steps, campaignLead, userId, tenantId, authToken) {
+    const cursor = await CampaignLeadRepository.getWorkflowCursor(campaignLead.id, tenantId);
+    if (cursor?.deferred_until && new Date(cursor.deferred_until) > new Date()) {
+      // Held back by the tenant's frequency caps (FrequencyCapService) or the send window (SendWindowService)
+      return { status: 'waiting', stepId: cursor.current_step_id, reason: `Deferred until ${new Date(cursor.deferred_until).toISOString()}` };
+    }
+    const { version, versionSteps } = await this.resolveVersionSteps(campaign, steps, cursor, tenantId);
+    const graph = buildWorkflowGraph(versionSteps);
+    if (!graph.entryKey) {
+      return { status: 'completed', reason: 'Workflow has no steps' };
+    }
+    let actions = await this.loadLeadActions(campaign.id, campaignLead, tenantId);
+    let node = cursor?.current_node_key ? graph.getNode(cursor.current_node_key) : null;
+    if (!node && !cursor?.current_node_key && cursor?.current_step_id) {
+      node = graph.getNodeByStepId(cursor.current_step_id);
+    }
+    let enteredAt = cursor?.step_entered_at ? new Date(cursor.step_entered_at) : new Date();
+    if (!node) {
+      const placement = this.resolveStartNode(graph, actions);
+      node = placement.node;
+      enteredAt = placement.enteredAt;
+      if (!node) {
+        await this.finishLead(campaignLead, tenantId, 'completed');
+        return { status: 'completed', reason: 'All steps already executed' };
+      }
+      await this.moveCursor(campaignLead, tenantId, node, enteredAt, version);
+    }
+    for (let walked = 0; node && walked < MAX_NODES_PER_RUN; walked++) {
+      const outcome = await this.executeNode(node, graph, {
+        campaign,
+        campaignLead,
+        userId,
+        tenantId,
+        authToken,
+        enteredAt,
+        leadTimezone: cursor?.timezone || null,
+        actionLog: actions,
+        actions: actions.map(a => a.action_type)
+      });
+      if (outcome.wait) {
+        return { status: 'waiting', stepId: node.step.id, reason: outcome.reason };
       }
-      const campaign = campaignResult.rows[0];
-      // Parse workflow
-      const workflow = typeof campaign.workflow === 'string' 
-        ? JSON.parse(campaign.workflow) 
-        : campaign.workflow;
-      if (!workflow || !workflow.steps) {
-        throw new Error('Invalid workflow configuration');
+      const next = outcome.finalStatus ? null : graph.getNext(node.key, outcome.handle);
+      if (!next) {
+        const status = outcome.finalStatus || (outcome.stopLead ? 'stopped' : 'completed');
+        await this.finishLead(campaignLead, tenantId, status);
+        return { status, stepId: node.step.id, reason: outcome.reason };
       }
-      // Per TDD: Use dynamic schema
-      const leadsResult = await pool.query(
-        `SELECT * FROM ${schema}.campaign_leads WHERE campaign_id = $1 AND tenant_id = $2 AND is_deleted = FALSE`,
-        [campaignId, tenantId]
-      );
-      // Process each lead through the workflow
-      for (const lead of leadsResult.rows) {
-        await this.processLeadWorkflow(campaignId, lead, workflow, userId, tenantId);
+      node = next;
+      enteredAt = new Date();
+      await this.moveCursor(campaignLead, tenantId, node, enteredAt, version);
+      if (outcome.executed) {
+        actions = await this.loadLeadActions(campaign.id, campaignLead, tenantId);
       }
-      return { success: true };
-    } catch (error) {
-      throw error;
     }
+    logger.warn('[WorkflowEngine] Node budget exhausted for lead, resuming next run', {
+      campaignId: campaign.id,
+      campaignLeadId: campaignLead.id
+    });
+    return { status: 'paused', stepId: node?.step.id };
   }
   /**
-   * Process a single lead through the workflow
+   * Execute one node and decide which outgoing handle to follow
+   * @returns {Promise<Object>} { handle } | { wait, reason } | { finalStatus } | { stopLead }
    */
-  async processLeadWorkflow(campaignId, lead, workflow, userId, tenantId) {
-    try {
-      // Per TDD: Use current_step_order (integer) instead of current_step_id
-      // Note: This code uses step IDs but TDD schema tracks step_order (integer)
-      // This may need refactoring to use step_order properly
-      let currentStepId = lead.current_step_order ? workflow.steps[lead.current_step_order - 1]?.id : null;
-      // If no current step, start from the first step
-      if (!currentStepId) {
-        const startStep = workflow.steps.find(s => s.type === 'start');
-        if (!startStep) {
-          throw new Error('No start step found in workflow');
-        }
-        currentStepId = startStep.id;
+  async executeNode(node, graph, ctx) {
+    const { campaign, campaignLead, userId, tenantId, authToken, enteredAt, actions, actionLog, leadTimezone } = ctx;
+    if (PASS_THROUGH_TYPES.includes(node.type)) {
+      return { handle: DEFAULT_HANDLE };
+    }
+    if (node.type === 'end') {
+      return { finalStatus: 'completed' };
+    }
+    if (node.type === 'delay') {
+      const delayMs = this.getDelayMs(node.config);
+      if (Date.now() - enteredAt.getTime() < delayMs) {
+        return { wait: true, reason: 'Delay not yet elapsed' };
       }
-      // Execute steps until we reach an end step or pending delay
-      let maxIterations = 100; // Prevent infinite loops
-      let iterations = 0;
-      while (currentStepId && iterations < maxIterations) {
-        iterations++;
-        const currentStep = workflow.steps.find(s => s.id === currentStepId);
-        if (!currentStep) {
-          break;
-        }
-        // Execute the step
-        const result = await stepExecutor.executeStepForLead(
-          campaignId,
-          lead,
-          currentStep,
-          userId,
-          tenantId
-        );
-        if (!result.success) {
-          break;
-        }
-        // If step is a delay and not yet completed, stop here
-        if (currentStep.type === 'delay' && result.delayPending) {
-          break;
-        }
-        // Determine next step
-        currentStepId = await this.getNextStep(currentStep, lead, workflow, result);
-        // Per TDD: Use dynamic schema
-        const schema = getSchema(req);
-        await pool.query(
-          `UPDATE ${schema}.campaign_leads SET current_step_order = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 AND tenant_id = $3 AND is_deleted = FALSE`,
-          [currentStepId, lead.id, tenantId]
-        );
-        // If we've reached an end step, break
-        if (currentStep.type === 'end') {
-          break;
-        }
+      return { handle: DEFAULT_HANDLE };
+    }
+    if (node.type === 'condition') {
+      const met = await conditionEvaluator.evaluateCondition(node.step, campaignLead, null, {
+        actions,
+        actionLog,
+        enteredAt,
+        unknownConditionMet: graph.linear
+      });
+      // Legacy linear workflows stop the lead when a condition fails (but pass unknown condition types)
+      return { handle: met ? 'yes' : 'no', stopLead: !met && graph.linear };
+    }
+    if (node.type === 'switch') {
+      const handle = await conditionEvaluator.evaluateSwitch(node.step, campaignLead, { actions, actionLog, enteredAt });
+      if (handle) {
+        return { handle };
       }
-      if (iterations >= maxIterations) {
+      if (graph.hasHandle(node.key, DEFAULT_HANDLE)) {
+        return { handle: DEFAULT_HANDLE };
       }
-      return { success: true };
-    } catch (error) {
-      throw error;
+      // No branch matched yet (e.g. waiting for a reply or a timeout) - re-evaluate next run
+      return { wait: true, reason: 'No switch branch matched yet' };
     }
+    if (node.type === 'wait_for_event') {
+      const outcome = conditionEvaluator.evaluateWaitForEvent(node.step, { actionLog, enteredAt });
+      if (!outcome) {
+        // Parked until a webhook records the event (WorkflowEventService) or the timeout passes
+        return { wait: true, reason: 'Waiting for event' };
+      }
+      if (graph.linear) {
+        // Legacy linear workflows continue on any event and stop on timeout
+        return outcome === 'timeout' ? { handle: outcome, stopLead: true } : { handle: DEFAULT_HANDLE };
+      }
+      return { handle: outcome };
+    }
+    // Actions only go out inside the campaign's send window in the lead's local time
+    const closedWindow = await sendWindowService.holdUntilOpen(campaign, campaignLead, tenantId, leadTimezone);
+    if (closedWindow) {
+      return { wait: true, reason: closedWindow.reason };
+    }
+    // LinkedIn actions run in their paced slot on the account's timeline
+    if (linkedInPacingService.isPacedStep(node.type)) {
+      const pacing = await linkedInPacingService.acquireSlot(campaign, campaignLead, node.step, tenantId, userId);
+      if (pacing.wait) {
+        return { wait: true, reason: pacing.reason };
+      }
+    }
+    if (!executeStepForLead) {
+      executeStepForLead = require('../services/CampaignProcessor').executeStepForLead;
+    }
+    const result = await executeStepForLead(campaign.id, node.step, campaignLead, userId, tenantId, authToken);
+    if (result?.validationError) {
+      await this.recordValidationFailure(campaign.id, tenantId, campaignLead, node, result);
+      return { finalStatus: 'stopped', reason: result.error };
+    }
+    if (result?.suppressed) {
+      // On the do-not-contact list - the lead leaves the sequence
+      return { finalStatus: 'suppressed', reason: result.error };
+    }
+    if (result?.deferred) {
+      // Frequency cap reached - the same step runs again once deferred_until passes
+      return { wait: true, reason: result.error };
+    }
+    if (result?.skipped || result?.transientError) {
+      return { wait: true, reason: result.error || 'Step deferred' };
+    }
+    if (result?.leadDataUpdates) {
+      // e.g. a fresh profile snapshot - conditions further along this run see it without a reload
+      const leadData = typeof campaignLead.lead_data === 'string'
+        ? JSON.parse(campaignLead.lead_data)
+        : (campaignLead.lead_data || {});
+      campaignLead.lead_data = { ...leadData, ...result.leadDataUpdates };
+    }
+    // Failed steps are recorded on their activity and the lead moves on (same as before)
+    return { handle: DEFAULT_HANDLE, executed: true };
   }
   /**
-   * Determine the next step based on current step and conditions
+   * Pick the node a lead without a cursor starts from.
+   * Leads that were already mid-sequence under linear step_order tracking are
+   * placed after the steps their campaign_analytics history shows as done.
    */
-  async getNextStep(currentStep, lead, workflow, executionResult) {
-    // If it's a condition step, evaluate the condition
-    if (currentStep.type === 'condition') {
-      const conditionMet = await conditionEvaluator.evaluateCondition(
-        currentStep,
-        lead,
-        executionResult
-      );
-      // Find the edge that matches the condition result
-      const edge = workflow.edges?.find(e => 
-        e.source === currentStep.id && 
-        e.sourceHandle === (conditionMet ? 'yes' : 'no')
-      );
-      return edge ? edge.target : null;
+  resolveStartNode(graph, actions) {
+    let node = graph.getNode(graph.entryKey);
+    if (!graph.linear || actions.length === 0) {
+      return { node, enteredAt: new Date() };
+    }
+    const executed = actions.map(a => a.action_type);
+    while (node) {
+      const actionType = STEP_TYPE_TO_ACTION_TYPE[node.type];
+      const alreadyRan = actionType && executed.includes(actionType);
+      if (!alreadyRan && !PASS_THROUGH_TYPES.includes(node.type)) break;
+      node = graph.getNext(node.key, DEFAULT_HANDLE);
+    }
+    // Delays count from the last recorded action, as they did under linear tracking
+    return { node, enteredAt: new Date(actions[0].created_at) };
+  }
+  /**
+   * Steps of the workflow version the lead runs on
+   * Leads that haven't entered the workflow (or predate versioning) run on the current version
+   * @returns {Promise<Object>} { version, versionSteps }
+   */
+  async resolveVersionSteps(campaign, steps, cursor, tenantId) {
+    const currentVersion = parseInt(campaign.workflow_version, 10) || 1;
+    const pinnedVersion = parseInt(cursor?.workflow_version, 10) || null;
+    if (!pinnedVersion || pinnedVersion === currentVersion) {
+      return { version: currentVersion, versionSteps: steps };
     }
-    // For other steps, follow the default edge
-    const edge = workflow.edges?.find(e => e.source === currentStep.id);
-    return edge ? edge.target : null;
+    const versionSteps = await CampaignWorkflowVersionRepository.getStepsByVersion(campaign.id, tenantId, pinnedVersion);
+    return { version: pinnedVersion, versionSteps };
   }
   /**
-   * Get all pending delayed leads that are ready to execute
+   * Successful campaign_analytics rows for the lead (newest first)
    */
-  async getPendingDelayedLeads(tenantId = null) {
+  async loadLeadActions(campaignId, campaignLead, tenantId) {
     try {
-      // Per TDD: Use dynamic schema
-      const schema = getSchema(req);
-      const result = await pool.query(`
-        SELECT DISTINCT cl.*, c.config as workflow, c.created_by_user_id as user_id, c.tenant_id
-        FROM ${schema}.campaign_leads cl
-        JOIN ${schema}.campaigns c ON cl.campaign_id = c.id
-        JOIN ${schema}.campaign_lead_activities cla ON cl.id = cla.campaign_lead_id
-        WHERE cla.status = 'pending'
-          AND cla.executed_at <= CURRENT_TIMESTAMP
-          AND c.status = 'running'
-          AND cl.is_deleted = FALSE
-          AND c.is_deleted = FALSE
-          AND cla.is_deleted = FALSE
-      `);
-      return result.rows;
+      return await CampaignAnalyticsRepository.getSuccessfulActionsForLead(
+        campaignId,
+        [campaignLead.lead_id, campaignLead.id],
+        tenantId
+      );
     } catch (error) {
+      logger.warn('[WorkflowEngine] Failed to load lead actions', {
+        campaignLeadId: campaignLead.id,
+        error: error.message
+      });
       return [];
     }
   }
+  async moveCursor(campaignLead, tenantId, node, enteredAt, version = null) {
+    if (!node) return;
+    await CampaignLeadRepository.updateWorkflowCursor(
+      campaignLead.id,
+      tenantId,
+      { nodeKey: node.key, stepId: node.step.id },
+      enteredAt,
+      null,
+      version
+    );
+  }
+  async finishLead(campaignLead, tenantId, status) {
+    const updates = { status };
+    if (status === 'completed') {
+      updates.completed_at = new Date();
+    }
+    await CampaignLeadRepository.update(campaignLead.id, tenantId, updates);
+  }
+  /**
+   * Record a failed activity for a step whose settings are invalid (missing fields, broken message template)
+   */
+  async recordValidationFailure(campaignId, tenantId, campaignLead, node, result) {
+    const activityId = await createActivity(campaignId, tenantId, campaignLead.id, node.step.id, node.type);
+    const missingFields = result.missingFields || [];
+    await updateActivityStatus(
+      activityId,
+      'failed',
+      missingFields.length > 0
+        ? `Validation failed: ${result.error}. Missing required fields: ${missingFields.join(', ')}. Please configure all required fields in step settings.`
+        : `Validation failed: ${result.error}. Please fix the step settings.`
+    );
+  }
+  getDelayMs(stepConfig) {
+    const days = parseInt(stepConfig.delayDays || stepConfig.delay_days || 0);
+    const hours = parseInt(stepConfig.delayHours || stepConfig.delay_hours || 0);
+    const minutes = parseInt(stepConfig.delayMinutes || stepConfig.delay_minutes || 0);
+    return (days * 24 * 60 * 60 * 1000) + (hours * 60 * 60 * 1000) + (minutes * 60 * 1000);
+  }
 }
 module.exports = new WorkflowEngine();
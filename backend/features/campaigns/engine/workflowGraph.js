@@ -0,0 +1,184 @@
+/**
+ * Workflow Graph
+ * Builds an executable DAG from campaign_steps rows
+ *
+ * Each step is a node keyed by config.node_id (the builder's node id) or its DB id.
+ * Outgoing edges live in the step's own config so they survive step replacement:
+ *   config.edges = [{ target: '<node_id or step id>', sourceHandle: 'yes' | 'no' | '<branch handle>' | '<event>' | 'timeout' | 'default' }]
+ * Campaigns saved before edges existed have no config.edges at all; their steps are
+ * chained linearly by step_order (condition steps only continue on 'yes').
+ */
+
+const PASS_THROUGH_TYPES = ['start', 'lead_generation', 'merge'];
+const BRANCHING_TYPES = ['condition', 'switch', 'wait_for_event'];
+const DEFAULT_HANDLE = 'default';
+
+function getStepType(step) {
+  return step.step_type || step.type;
+}
+
+function parseStepConfig(step) {
+  const config = step.config !== undefined ? step.config : step.data;
+  if (!config) return {};
+  if (typeof config === 'string') {
+    try {
+      return JSON.parse(config);
+    } catch (e) {
+      return {};
+    }
+  }
+  return config;
+}
+
+function getStepOrder(step) {
+  const order = step.step_order ?? step.order;
+  return order === undefined || order === null ? Number.MAX_SAFE_INTEGER : Number(order);
+}
+
+/**
+ * Copy the builder's node id into config.node_id so edges keep resolving
+ * after steps are re-inserted with new DB ids
+ */
+function withNodeIds(steps) {
+  return (steps || []).map(step => {
+    if (!step || step.id === undefined || step.id === null) return step;
+    const config = parseStepConfig(step);
+    if (config.node_id) return step;
+    return { ...step, config: { ...config, node_id: String(step.id) } };
+  });
+}
+
+/**
+ * Build the workflow graph
+ * @param {Array} steps - campaign_steps rows (any order)
+ * @returns {Object} Graph with node lookup and edge traversal helpers
+ * @throws {Error} If an edge points at an unknown step or the graph contains a cycle
+ */
+function buildWorkflowGraph(steps) {
+  const nodes = new Map();
+  const keyAliases = new Map();
+  const sorted = (steps || []).filter(step => !step.is_deleted).sort((a, b) => getStepOrder(a) - getStepOrder(b));
+
+  for (const step of sorted) {
+    const config = parseStepConfig(step);
+    const key = String(config.node_id || step.id);
+    nodes.set(key, { key, step, type: getStepType(step), config, order: getStepOrder(step) });
+    keyAliases.set(key, key);
+    if (step.id !== undefined && step.id !== null) {
+      keyAliases.set(String(step.id), key);
+    }
+  }
+
+  const edges = new Map();
+  for (const key of nodes.keys()) {
+    edges.set(key, []);
+  }
+  const linear = !sorted.some(step => Array.isArray(parseStepConfig(step).edges));
+
+  if (linear) {
+    const keys = [...nodes.keys()];
+    for (let i = 0; i < keys.length - 1; i++) {
+      const node = nodes.get(keys[i]);
+      if (node.type === 'end') continue;
+      const handle = node.type === 'condition' ? 'yes' : DEFAULT_HANDLE;
+      edges.get(node.key).push({ target: keys[i + 1], handle });
+    }
+  } else {
+    for (const node of nodes.values()) {
+      for (const edge of node.config.edges || []) {
+        const target = keyAliases.get(String(edge.target));
+        if (!target) {
+          throw new Error(`Workflow edge from step "${node.key}" points to unknown step "${edge.target}"`);
+        }
+        edges.get(node.key).push({ target, handle: edge.sourceHandle || edge.handle || DEFAULT_HANDLE });
+      }
+    }
+  }
+
+  assertAcyclic(nodes, edges);
+
+  const incoming = new Map([...nodes.keys()].map(key => [key, 0]));
+  for (const list of edges.values()) {
+    for (const edge of list) {
+      incoming.set(edge.target, incoming.get(edge.target) + 1);
+    }
+  }
+  const startNode = [...nodes.values()].find(node => node.type === 'start');
+  const rootNode = [...nodes.values()].find(node => incoming.get(node.key) === 0);
+  const entryKey = startNode ? startNode.key : (rootNode ? rootNode.key : null);
+
+  return {
+    nodes,
+    edges,
+    linear,
+    entryKey,
+    getNode(key) {
+      const resolved = keyAliases.get(String(key));
+      return resolved ? nodes.get(resolved) : null;
+    },
+    /**
+     * Find a node by campaign_steps.id (cursor lookups)
+     */
+    getNodeByStepId(stepId) {
+      if (!stepId) return null;
+      for (const node of nodes.values()) {
+        if (String(node.step.id) === String(stepId)) return node;
+      }
+      return null;
+    },
+    hasHandle(key, handle) {
+      return (edges.get(key) || []).some(edge => edge.handle === handle);
+    },
+    /**
+     * Follow an outgoing edge. Branching nodes need an exact handle match;
+     * every other node follows its first edge.
+     */
+    getNext(key, handle = DEFAULT_HANDLE) {
+      const node = nodes.get(key);
+      const outgoing = edges.get(key) || [];
+      const edge = node && BRANCHING_TYPES.includes(node.type)
+        ? outgoing.find(e => e.handle === handle)
+        : outgoing[0];
+      return edge ? nodes.get(edge.target) : null;
+    }
+  };
+}
+
+/**
+ * Reject graphs with cycles (iterative DFS, white/grey/black colouring)
+ */
+function assertAcyclic(nodes, edges) {
+  const state = new Map();
+  for (const root of nodes.keys()) {
+    if (state.get(root)) continue;
+    const stack = [[root, 0]];
+    state.set(root, 1);
+    while (stack.length > 0) {
+      const frame = stack[stack.length - 1];
+      const outgoing = edges.get(frame[0]) || [];
+      if (frame[1] >= outgoing.length) {
+        state.set(frame[0], 2);
+        stack.pop();
+        continue;
+      }
+      const target = outgoing[frame[1]++].target;
+      if (state.get(target) === 1) {
+        throw new Error(`Workflow contains a cycle through step "${target}"`);
+      }
+      if (!state.get(target)) {
+        state.set(target, 1);
+        stack.push([target, 0]);
+      }
+    }
+  }
+}
+
+module.exports = {
+  PASS_THROUGH_TYPES,
+  BRANCHING_TYPES,
+  DEFAULT_HANDLE,
+  getStepType,
+  parseStepConfig,
+  withNodeIds,
+  buildWorkflowGraph
+};
@@ -0,0 +1,335 @@
+const workflowEngine = require('./workflowEngine');
+const conditionEvaluator = require('./conditionEvaluator');
+const noopDispatcher = require('./channelDispatchers/noop');
+const { PASS_THROUGH_TYPES, DEFAULT_HANDLE } = require('./workflowGraph');
+const sendWindowService = require('../services/SendWindowService');
+const frequencyCapService = require('../services/FrequencyCapService');
+const linkedInPacingService = require('../services/LinkedInPacingService');
+const messageVariantService = require('../services/MessageVariantService');
+const { getChannelForStepType } = require('../services/StepValidators');
+const SendWindowUtil = require('../utils/sendWindowUtil');
+// Upper bound on nodes walked for one lead in a simulation
+const MAX_NODES_PER_LEAD = 200;
+// Send window / frequency cap re-checks before an action is placed
+const MAX_SCHEDULE_PASSES = 10;
+// Retry interval the send window service uses when no open day is within its lookahead
+const NO_OPENING_RETRY_MS = 24 * 60 * 60 * 1000;
+// Step channels that reach out to the lead and respect the do-not-contact list (as CampaignProcessor)
+const OUTREACH_CHANNELS = ['linkedin', 'email', 'whatsapp', 'instagram', 'voice'];
+/**
+ * Workflow Simulator
+ * Dry-runs campaign workflows on a virtual clock
+ *
+ * Leads walk the same graph with the same node rules as the workflow engine, but nothing
+ * is sent or written: actions go to the no-op dispatcher, delays and event timeouts move
+ * the clock forward, and the send window, frequency caps and LinkedIn pacing push each
+ * action to the time it would actually go out. Leads advance together in time order, so
+ * they compete for the same daily pacing quota as they would in production.
+ * Branches follow the lead's recorded activity, i.e. the lead is assumed not to engage
+ * any further: conditions see today's history and wait_for_event steps time out.
+ */
+class WorkflowSimulator {
+  /**
+   * @param {Object} plan - {
+   *   startAt, horizonAt,
+   *   leads: [{ campaignLead, graph, version, actionLog, touches, suppression }],
+   *   invalidSteps: Map of step id -> { error, missingFields },
+   *   sendWindow, frequencyCaps,
+   *   linkedin: { pacing, accounts, timelines: Map of provider_account_id -> timeline, error }
+   * }
+   * @returns {Promise<Array>} One timeline per lead, in plan order
+   */
+  async simulate(plan) {
+    const states = plan.leads.map(entry => this.startLead(entry, plan));
+    let state = this.nextState(states);
+    while (state) {
+      await this.advance(state, plan);
+      state = this.nextState(states);
+    }
+    return states.map(current => this.toResult(current));
+  }
+  /**
+   * Place a lead on its cursor (or its start node) at the simulation start
+   */
+  startLead(entry, plan) {
+    const { campaignLead, graph } = entry;
+    const state = {
+      entry,
+      node: null,
+      at: new Date(plan.startAt),
+      enteredAt: new Date(plan.startAt),
+      walked: 0,
+      lastLinkedInAt: null,
+      senderAccountId: null,
+      timezone: plan.sendWindow
+        ? sendWindowService.resolveTimezone(campaignLead, plan.sendWindow, campaignLead.timezone).timezone
+        : null,
+      timeline: [],
+      done: false,
+      status: null,
+      reason: null
+    };
+    if (campaignLead.deferred_until && new Date(campaignLead.deferred_until) > state.at) {
+      state.at = new Date(campaignLead.deferred_until);
+    }
+    let node = campaignLead.current_node_key ? graph.getNode(campaignLead.current_node_key) : null;
+    if (!node && !campaignLead.current_node_key && campaignLead.current_step_id) {
+      node = graph.getNodeByStepId(campaignLead.current_step_id);
+    }
+    if (node) {
+      state.enteredAt = campaignLead.step_entered_at ? new Date(campaignLead.step_entered_at) : state.at;
+    } else {
+      const placement = workflowEngine.resolveStartNode(graph, entry.actionLog);
+      node = placement.node;
+      if (entry.actionLog.length > 0 && graph.linear) {
+        state.enteredAt = placement.enteredAt;
+      }
+    }
+    if (!node) {
+      this.finish(state, 'completed', 'All steps already executed');
+    }
+    state.node = node;
+    return state;
+  }
+  /**
+   * The unfinished lead furthest behind on the clock
+   */
+  nextState(states) {
+    let next = null;
+    for (const state of states) {
+      if (!state.done && (!next || state.at < next.at)) {
+        next = state;
+      }
+    }
+    return next;
+  }
+  /**
+   * Run the lead's current node and move it along its outgoing edge
+   */
+  async advance(state, plan) {
+    const { graph } = state.entry;
+    if (state.at > plan.horizonAt) {
+      this.finish(state, 'waiting', 'Continues past the simulation horizon');
+      return;
+    }
+    if (++state.walked > MAX_NODES_PER_LEAD) {
+      this.finish(state, 'waiting', 'Node budget exhausted');
+      return;
+    }
+    const node = state.node;
+    const outcome = await this.runNode(node, state, plan);
+    if (outcome.wait) {
+      this.finish(state, 'waiting', outcome.reason);
+      return;
+    }
+    const next = outcome.finalStatus ? null : graph.getNext(node.key, outcome.handle);
+    if (!next) {
+      this.finish(state, outcome.finalStatus || (outcome.stopLead ? 'stopped' : 'completed'), outcome.reason);
+      return;
+    }
+    state.node = next;
+    state.enteredAt = new Date(state.at);
+  }
+  /**
+   * Simulated counterpart of WorkflowEngine.executeNode
+   * @returns {Promise<Object>} { handle } | { wait, reason } | { finalStatus, reason } | { stopLead }
+   */
+  async runNode(node, state, plan) {
+    const { campaignLead, graph, actionLog } = state.entry;
+    if (PASS_THROUGH_TYPES.includes(node.type)) {
+      return { handle: DEFAULT_HANDLE };
+    }
+    if (node.type === 'end') {
+      return { finalStatus: 'completed' };
+    }
+    const context = { actions: actionLog.map(action => action.action_type), actionLog, enteredAt: state.enteredAt };
+    if (node.type === 'delay') {
+      const until = new Date(state.enteredAt.getTime() + workflowEngine.getDelayMs(node.config));
+      if (until > state.at) {
+        state.at = until;
+      }
+      this.record(state, node, { kind: 'delay', until: state.at.toISOString() });
+      return { handle: DEFAULT_HANDLE };
+    }
+    if (node.type === 'condition') {
+      const met = await conditionEvaluator.evaluateCondition(node.step, campaignLead, null, { ...context, unknownConditionMet: graph.linear });
+      this.record(state, node, { kind: 'branch', handle: met ? 'yes' : 'no' });
+      return { handle: met ? 'yes' : 'no', stopLead: !met && graph.linear };
+    }
+    if (node.type === 'switch') {
+      const handle = await conditionEvaluator.evaluateSwitch(node.step, campaignLead, context);
+      if (handle || graph.hasHandle(node.key, DEFAULT_HANDLE)) {
+        this.record(state, node, { kind: 'branch', handle: handle || DEFAULT_HANDLE });
+        return { handle: handle || DEFAULT_HANDLE };
+      }
+      return { wait: true, reason: 'No switch branch matches without further engagement' };
+    }
+    if (node.type === 'wait_for_event') {
+      return this.runWaitForEvent(node, state, context, graph);
+    }
+    return this.runAction(node, state, plan);
+  }
+  /**
+   * Events that already arrived are followed; otherwise the wait runs into its timeout
+   */
+  runWaitForEvent(node, state, context, graph) {
+    let outcome = conditionEvaluator.evaluateWaitForEvent(node.step, context);
+    if (!outcome) {
+      const { events, timeoutMs } = conditionEvaluator.getWaitConfig(node.step);
+      if (!(timeoutMs > 0)) {
+        return { wait: true, reason: `Waits for ${events.join(', ')} with no timeout` };
+      }
+      const until = new Date(state.enteredAt.getTime() + timeoutMs);
+      if (until > state.at) {
+        state.at = until;
+      }
+      outcome = 'timeout';
+    }
+    this.record(state, node, { kind: 'branch', handle: outcome });
+    if (graph.linear) {
+      return outcome === 'timeout' ? { handle: outcome, stopLead: true } : { handle: DEFAULT_HANDLE };
+    }
+    return { handle: outcome };
+  }
+  /**
+   * Place an action at the time it would go out and describe it with the no-op dispatcher
+   */
+  async runAction(node, state, plan) {
+    const { campaignLead, suppression } = state.entry;
+    const stepType = node.type;
+    const channel = getChannelForStepType(stepType);
+    const invalid = plan.invalidSteps.get(String(node.step.id));
+    if (invalid) {
+      // The engine stops the lead when a step's required fields are missing
+      this.record(state, node, { kind: 'action', status: 'invalid', channel, error: invalid.error });
+      return { finalStatus: 'stopped', reason: invalid.error };
+    }
+    if (suppression && OUTREACH_CHANNELS.includes(channel)) {
+      return { finalStatus: 'suppressed', reason: suppression };
+    }
+
+    const deferredBy = new Set();
+    this.placeAction(state, plan, stepType, deferredBy);
+    let senderAccountId = null;
+    if (linkedInPacingService.isPacedStep(stepType)) {
+      if (plan.linkedin.error) {
+        // The executor fails the step and the lead moves on
+        this.record(state, node, { kind: 'action', status: 'would_fail', channel, error: plan.linkedin.error });
+        return { handle: DEFAULT_HANDLE };
+      }
+      senderAccountId = this.assignSender(state, plan);
+      if (plan.linkedin.pacing.enabled) {
+        const timeline = plan.linkedin.timelines.get(senderAccountId);
+        const slotAt = linkedInPacingService.planSlot(timeline, stepType, plan.linkedin.pacing, state.at, state.lastLinkedInAt);
+        if (slotAt > state.at) {
+          deferredBy.add('linkedin_pacing');
+          state.at = slotAt;
+          // The lead is woken at its slot and goes through the send window again
+          this.placeAction(state, plan, null, deferredBy);
+        }
+      }
+      state.lastLinkedInAt = new Date(state.at);
+    }
+    if (state.at > plan.horizonAt) {
+      return { wait: true, reason: `${stepType} would run after the simulation horizon (${state.at.toISOString()})` };
+    }
+
+    let config = node.config;
+    let variantId = null;
+    if (messageVariantService.hasVariants(stepType, config)) {
+      const variant = messageVariantService.planVariant(node.step, config, campaignLead);
+      variantId = String(variant.id);
+      config = messageVariantService.applyVariant(config, variant);
+    }
+    const result = await noopDispatcher.execute(stepType, campaignLead, config);
+    this.record(state, node, {
+      kind: 'action',
+      status: result.success ? 'planned' : 'would_fail',
+      channel,
+      recipient: result.recipient || null,
+      senderAccountId,
+      variantId,
+      preview: result.preview,
+      unresolvedVariables: result.unresolved && result.unresolved.length > 0 ? result.unresolved : undefined,
+      deferredBy: [...deferredBy],
+      error: result.error
+    });
+    if (result.success && frequencyCapService.isTouchStep(stepType)) {
+      state.entry.touches.push({ created_at: new Date(state.at) });
+    }
+    // Failed steps are recorded and the lead moves on (same as the engine)
+    return { handle: DEFAULT_HANDLE };
+  }
+  /**
+   * Move the lead's clock past the send window and its frequency caps
+   * @param {string|null} stepType - null skips the frequency caps
+   */
+  placeAction(state, plan, stepType, deferredBy) {
+    const capped = stepType && plan.frequencyCaps.enabled && frequencyCapService.isTouchStep(stepType);
+    for (let pass = 0; pass < MAX_SCHEDULE_PASSES; pass++) {
+      let moved = false;
+      if (plan.sendWindow && !SendWindowUtil.isOpen(plan.sendWindow, state.timezone, state.at)) {
+        state.at = SendWindowUtil.getNextOpening(plan.sendWindow, state.timezone, state.at) ||
+          new Date(state.at.getTime() + NO_OPENING_RETRY_MS);
+        deferredBy.add('send_window');
+        moved = true;
+      }
+      const cap = capped ? frequencyCapService.findBlockingRule(plan.frequencyCaps.rules, state.entry.touches, state.at) : null;
+      if (cap && cap.deferredUntil > state.at) {
+        state.at = cap.deferredUntil;
+        deferredBy.add('frequency_cap');
+        moved = true;
+      }
+      if (!moved) return;
+    }
+  }
+  /**
+   * The lead's pinned sender, or the account with the fewest planned actions
+   * (stand-in for capacity rotation - the real choice pins the lead on its first LinkedIn step)
+   */
+  assignSender(state, plan) {
+    const { campaignLead } = state.entry;
+    const { accounts, timelines, pacing } = plan.linkedin;
+    if (!state.senderAccountId) {
+      const pinned = accounts.find(account => account.provider_account_id === campaignLead.linkedin_account_id);
+      state.senderAccountId = pinned
+        ? pinned.provider_account_id
+        : accounts.reduce((best, account) =>
+          (timelines.get(account.provider_account_id).booked < timelines.get(best.provider_account_id).booked ? account : best)
+        ).provider_account_id;
+    }
+    const accountId = state.senderAccountId;
+    if (!pacing.enabled) {
+      timelines.get(accountId).booked++;
+    }
+    return accountId;
+  }
+  record(state, node, details) {
+    state.timeline.push({
+      at: state.at.toISOString(),
+      stepId: node.step.id,
+      nodeKey: node.key,
+      stepType: node.type,
+      title: node.step.title || null,
+      ...details
+    });
+  }
+  finish(state, status, reason = null) {
+    state.done = true;
+    state.status = status;
+    state.reason = reason || null;
+  }
+  toResult(state) {
+    const { campaignLead, version } = state.entry;
+    return {
+      campaignLeadId: campaignLead.id,
+      leadId: campaignLead.lead_id || null,
+      workflowVersion: version,
+      status: state.status,
+      reason: state.reason,
+      finishedAt: state.status === 'completed' || state.status === 'stopped' ? state.at.toISOString() : null,
+      timeline: state.timeline
+    };
+  }
+}
+module.exports = new WorkflowSimulator();
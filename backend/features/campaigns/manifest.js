@@ -22,13 +22,29 @@ module.exports = {
     '',           // GET /api/campaigns - List campaigns
     'stats',      // GET /api/campaigns/stats - Get statistics
     'linkedin',   // LinkedIn integration routes (must be before :id routes)
+    'linkedin/posts', // LinkedIn content calendar: scheduled posts and per-account publish queues
+    'email',      // Email mailboxes (must be before :id routes)
+    'whatsapp',   // WhatsApp accounts (must be before :id routes)
+    'instagram',  // Instagram accounts and per-account daily limits (must be before :id routes)
+    'inbox',      // Unified reply inbox (must be before :id routes)
+    'suppressions', // Do-not-contact list (must be before :id routes)
+    'settings',   // Tenant-wide campaign settings (must be before :id routes)
+    'jobs',       // Job queue admin: inspect/replay failed jobs (must be before :id routes)
+    'templates',  // Campaign template library (must be before :id routes)
+    'import',     // POST /api/campaigns/import - Create a campaign from an exported JSON document
     ':id',        // GET /api/campaigns/:id - Get campaign details
     ':id/start',  // POST /api/campaigns/:id/start - Start campaign
     ':id/pause',  // POST /api/campaigns/:id/pause - Pause campaign
     ':id/stop',   // POST /api/campaigns/:id/stop - Stop campaign
+    ':id/simulate', // POST /api/campaigns/:id/simulate - Dry run: planned actions, validation errors and cost
     ':id/leads',  // GET/POST /api/campaigns/:id/leads - Manage leads
+    ':id/leads/:leadId/profile-snapshots', // GET - LinkedIn profile snapshots taken by scrape steps
     ':id/activities',  // GET /api/campaigns/:id/activities - Get activities
-    ':id/steps'   // GET/POST /api/campaigns/:id/steps - Manage workflow steps
+    ':id/clone',  // POST /api/campaigns/:id/clone - Duplicate a campaign
+    ':id/export', // GET /api/campaigns/:id/export - Export config and steps as JSON
+    ':id/preview-messages', // POST /api/campaigns/:id/preview-messages - Render step messages for a sample lead
+    ':id/steps',  // GET/POST /api/campaigns/:id/steps - Manage workflow steps
+    ':id/workflow/versions' // GET/POST /api/campaigns/:id/workflow/versions - Workflow version history, publish, diffs
   ],
   // Dependencies
   dependencies: [
@@ -59,6 +75,56 @@ module.exports = {
       });
       // Don't fail feature load if polling fails to start
     }
+
+    try {
+      const { emailPollingScheduler } = require('./services/emailPollingScheduler');
+      emailPollingScheduler.start();
+      logger.info('[Campaigns Feature] Email inbox polling scheduler started successfully');
+    } catch (error) {
+      logger.error('[Campaigns Feature] Failed to start email polling scheduler', {
+        error: error.message
+      });
+    }
+
+    try {
+      const { linkedInPacingScheduler } = require('./services/linkedInPacingScheduler');
+      linkedInPacingScheduler.start();
+      logger.info('[Campaigns Feature] LinkedIn pacing scheduler started successfully');
+    } catch (error) {
+      logger.error('[Campaigns Feature] Failed to start LinkedIn pacing scheduler', {
+        error: error.message
+      });
+    }
+
+    try {
+      const { linkedInWarmupScheduler } = require('./services/linkedInWarmupScheduler');
+      linkedInWarmupScheduler.start();
+      logger.info('[Campaigns Feature] LinkedIn warm-up scheduler started successfully');
+    } catch (error) {
+      logger.error('[Campaigns Feature] Failed to start LinkedIn warm-up scheduler', {
+        error: error.message
+      });
+    }
+
+    try {
+      const { linkedInPostingScheduler } = require('./services/linkedInPostingScheduler');
+      linkedInPostingScheduler.start();
+      logger.info('[Campaigns Feature] LinkedIn posting scheduler started successfully');
+    } catch (error) {
+      logger.error('[Campaigns Feature] Failed to start LinkedIn posting scheduler', {
+        error: error.message
+      });
+    }
+
+    try {
+      const { jobQueueWorker } = require('./services/jobQueueWorker');
+      jobQueueWorker.start();
+      logger.info('[Campaigns Feature] Job queue worker started successfully');
+    } catch (error) {
+      logger.error('[Campaigns Feature] Failed to start job queue worker', {
+        error: error.message
+      });
+    }
   },
   
   onFeatureUnload: async (context) => {
@@ -74,5 +140,50 @@ module.exports = {
         error: error.message
       });
     }
+
+    try {
+      const { emailPollingScheduler } = require('./services/emailPollingScheduler');
+      emailPollingScheduler.stop();
+    } catch (error) {
+      logger.error('[Campaigns Feature] Failed to stop email polling scheduler', {
+        error: error.message
+      });
+    }
+
+    try {
+      const { linkedInPacingScheduler } = require('./services/linkedInPacingScheduler');
+      linkedInPacingScheduler.stop();
+    } catch (error) {
+      logger.error('[Campaigns Feature] Failed to stop LinkedIn pacing scheduler', {
+        error: error.message
+      });
+    }
+
+    try {
+      const { linkedInWarmupScheduler } = require('./services/linkedInWarmupScheduler');
+      linkedInWarmupScheduler.stop();
+    } catch (error) {
+      logger.error('[Campaigns Feature] Failed to stop LinkedIn warm-up scheduler', {
+        error: error.message
+      });
+    }
+
+    try {
+      const { linkedInPostingScheduler } = require('./services/linkedInPostingScheduler');
+      linkedInPostingScheduler.stop();
+    } catch (error) {
+      logger.error('[Campaigns Feature] Failed to stop LinkedIn posting scheduler', {
+        error: error.message
+      });
+    }
+
+    try {
+      const { jobQueueWorker } = require('./services/jobQueueWorker');
+      jobQueueWorker.stop();
+    } catch (error) {
+      logger.error('[Campaigns Feature] Failed to stop job queue worker', {
+        error: error.message
+      });
+    }
   }
 };
@@ -52,9 +52,10 @@ class CampaignStepModel {
         step_type as type,
         step_order as "order",
         title, description, config,
+        workflow_version,
         is_deleted, created_at, updated_at
       FROM ${schema}.campaign_steps
-      WHERE campaign_id = $1 AND tenant_id = $2
+      WHERE campaign_id = $1 AND tenant_id = $2 AND retired_at IS NULL
       ORDER BY step_order ASC
     `;
     try {
@@ -0,0 +1,120 @@
+/**
+ * Campaign Analytics Repository
+ * SQL queries only - no business logic
+ */
+
+const { pool } = require('../../../shared/database/connection');
+const { getSchema } = require('../../../core/utils/schemaHelper');
+class CampaignAnalyticsRepository {
+  /**
+   * Get successful actions recorded for a lead in a campaign (newest first)
+   * campaign_analytics.lead_id holds campaign_leads.lead_id (or campaign_leads.id for legacy rows)
+   */
+  static async getSuccessfulActionsForLead(campaignId, leadIds, tenantId, req = null) {
+    const schema = getSchema(req);
+    const ids = (Array.isArray(leadIds) ? leadIds : [leadIds]).filter(Boolean);
+    if (ids.length === 0) {
+      return [];
+    }
+    const query = `
+      SELECT action_type, platform, response_data, created_at
+      FROM ${schema}.campaign_analytics
+      WHERE campaign_id = $1 AND tenant_id = $2 AND lead_id = ANY($3::uuid[]) AND status = 'success'
+      ORDER BY created_at DESC
+    `;
+    const result = await pool.query(query, [campaignId, tenantId, ids]);
+    return result.rows;
+  }
+  /**
+   * Check whether an action was already recorded for a specific email (and link, for clicks)
+   * Matches response_data.messageId / response_data.url written by email tracking
+   */
+  static async hasEmailAction(campaignId, leadId, actionType, tenantId, messageId, url = null, req = null) {
+    const schema = getSchema(req);
+    const query = `
+      SELECT 1 FROM ${schema}.campaign_analytics
+      WHERE campaign_id = $1 AND tenant_id = $2 AND lead_id = $3 AND action_type = $4
+        AND response_data->>'messageId' = $5
+        AND ($6::text IS NULL OR response_data->>'url' = $6)
+      LIMIT 1
+    `;
+    const result = await pool.query(query, [campaignId, tenantId, leadId, actionType, messageId, url]);
+    return result.rows.length > 0;
+  }
+  /**
+   * Get the LinkedIn account that first reached a lead in any of the tenant's campaigns
+   * @returns {Promise<string|null>} provider_account_id
+   */
+  static async getFirstLinkedInSender(leadIds, tenantId, req = null) {
+    const schema = getSchema(req);
+    const ids = (Array.isArray(leadIds) ? leadIds : [leadIds]).filter(Boolean);
+    if (ids.length === 0) {
+      return null;
+    }
+    const query = `
+      SELECT provider_account_id FROM ${schema}.campaign_analytics
+      WHERE tenant_id = $1 AND lead_id = ANY($2::uuid[]) AND platform = 'linkedin' AND status = 'success'
+        AND provider_account_id IS NOT NULL
+        AND action_type IN ('CONNECTION_SENT', 'CONNECTION_SENT_WITH_MESSAGE', 'CONTACTED')
+      ORDER BY created_at ASC
+      LIMIT 1
+    `;
+    const result = await pool.query(query, [tenantId, ids]);
+    return result.rows[0]?.provider_account_id || null;
+  }
+  /**
+   * Get the message variant a lead was already sent for a step (first send wins)
+   */
+  static async getAssignedVariant(campaignId, stepId, leadId, tenantId, req = null) {
+    const schema = getSchema(req);
+    const query = `
+      SELECT variant_id FROM ${schema}.campaign_analytics
+      WHERE campaign_id = $1 AND tenant_id = $2 AND step_id = $3 AND lead_id = $4
+        AND action_type = 'VARIANT_SENT' AND variant_id IS NOT NULL
+      ORDER BY created_at ASC
+      LIMIT 1
+    `;
+    const result = await pool.query(query, [campaignId, tenantId, stepId, leadId]);
+    return result.rows[0]?.variant_id || null;
+  }
+  /**
+   * Per-variant send, acceptance and reply counts for a campaign (optionally one step)
+   * A lead counts once per step, under the first variant it was sent; acceptances and
+   * replies only count when recorded after that send.
+   * sentBefore limits the counts to sends old enough to have had a response.
+   */
+  static async getVariantStats(campaignId, tenantId, stepId = null, req = null, sentBefore = null) {
+    const schema = getSchema(req);
+    const query = `
+      WITH sends AS (
+        SELECT DISTINCT ON (step_id, lead_id) step_id, variant_id, lead_id, created_at
+        FROM ${schema}.campaign_analytics
+        WHERE campaign_id = $1 AND tenant_id = $2 AND action_type = 'VARIANT_SENT'
+          AND variant_id IS NOT NULL AND ($3::uuid IS NULL OR step_id = $3)
+        ORDER BY step_id, lead_id, created_at ASC
+      ),
+      mature AS (
+        SELECT * FROM sends WHERE $4::timestamptz IS NULL OR created_at < $4
+      )
+      SELECT
+        s.step_id,
+        s.variant_id,
+        COUNT(*)::int AS sends,
+        COUNT(*) FILTER (WHERE EXISTS (
+          SELECT 1 FROM ${schema}.campaign_analytics a
+          WHERE a.campaign_id = $1 AND a.lead_id = s.lead_id AND a.action_type = 'CONNECTION_ACCEPTED'
+            AND a.status = 'success' AND a.created_at >= s.created_at
+        ))::int AS accepted,
+        COUNT(*) FILTER (WHERE EXISTS (
+          SELECT 1 FROM ${schema}.campaign_analytics a
+          WHERE a.campaign_id = $1 AND a.lead_id = s.lead_id AND a.action_type = 'REPLY_RECEIVED'
+            AND a.status = 'success' AND a.created_at >= s.created_at
+        ))::int AS replied
+      FROM mature s
+      GROUP BY s.step_id, s.variant_id
+    `;
+    const result = await pool.query(query, [campaignId, tenantId, stepId, sentBefore]);
+    return result.rows;
+  }
+}
+module.exports = CampaignAnalyticsRepository;
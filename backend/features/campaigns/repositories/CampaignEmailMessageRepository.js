@@ -0,0 +1,118 @@
+/**
+ * Campaign Email Message Repository
+ * Data access layer for campaign_email_messages (sent-mail log used for threading
+ * follow-ups and matching inbound replies/bounces)
+ *
+ * LAD Architecture: Repository Layer (SQL ONLY)
+ */
+
+const { pool } = require('../../../shared/database/connection');
+const { getSchema } = require('../../../core/utils/schemaHelper');
+
+class CampaignEmailMessageRepository {
+  async create(data, context = {}) {
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `INSERT INTO ${schema}.campaign_email_messages (
+        tenant_id, campaign_id, campaign_lead_id, lead_id, mailbox_id,
+        step_id, step_type, message_id, in_reply_to, thread_references,
+        to_email, subject
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      RETURNING *`,
+      [
+        data.tenantId,
+        data.campaignId,
+        data.campaignLeadId,
+        data.leadId || null,
+        data.mailboxId || null,
+        data.stepId || null,
+        data.stepType || null,
+        data.messageId,
+        data.inReplyTo || null,
+        data.references || null,
+        data.toEmail,
+        data.subject || null
+      ]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Latest message sent to a campaign lead (thread root for follow-ups)
+   */
+  async getLatestForLead(campaignLeadId, tenantId, context = {}) {
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `SELECT * FROM ${schema}.campaign_email_messages
+       WHERE campaign_lead_id = $1 AND tenant_id = $2
+       ORDER BY sent_at DESC
+       LIMIT 1`,
+      [campaignLeadId, tenantId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find sent messages by any of the given Message-IDs (In-Reply-To / References of inbound mail)
+   */
+  async findByMessageIds(messageIds, context = {}) {
+    if (!messageIds || messageIds.length === 0) {
+      return [];
+    }
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `SELECT * FROM ${schema}.campaign_email_messages
+       WHERE message_id = ANY($1::text[])
+       ORDER BY sent_at DESC`,
+      [messageIds]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Most recent message a mailbox sent to an address (fallback match for bounces without headers)
+   */
+  async findLatestByRecipient(mailboxId, toEmail, context = {}) {
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `SELECT * FROM ${schema}.campaign_email_messages
+       WHERE mailbox_id = $1 AND LOWER(to_email) = LOWER($2)
+       ORDER BY sent_at DESC
+       LIMIT 1`,
+      [mailboxId, toEmail]
+    );
+    return result.rows[0] || null;
+  }
+
+  async countSentSince(mailboxId, since, context = {}) {
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `SELECT COUNT(*)::int AS count FROM ${schema}.campaign_email_messages
+       WHERE mailbox_id = $1 AND sent_at >= $2`,
+      [mailboxId, since]
+    );
+    return result.rows[0].count;
+  }
+
+  async markReplied(id, context = {}) {
+    const schema = getSchema(context);
+    await pool.query(
+      `UPDATE ${schema}.campaign_email_messages
+       SET status = 'replied', replied_at = COALESCE(replied_at, CURRENT_TIMESTAMP)
+       WHERE id = $1 AND status <> 'bounced'`,
+      [id]
+    );
+  }
+
+  async markBounced(id, context = {}) {
+    const schema = getSchema(context);
+    await pool.query(
+      `UPDATE ${schema}.campaign_email_messages
+       SET status = 'bounced', bounced_at = COALESCE(bounced_at, CURRENT_TIMESTAMP)
+       WHERE id = $1`,
+      [id]
+    );
+  }
+}
+
+module.exports = new CampaignEmailMessageRepository();
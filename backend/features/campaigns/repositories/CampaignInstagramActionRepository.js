@@ -0,0 +1,83 @@
+/**
+ * Campaign Instagram Action Repository
+ * Data access layer for campaign_instagram_actions (performed-action log used for
+ * per-account daily limits and to match inbound Instagram DMs to campaign leads)
+ *
+ * LAD Architecture: Repository Layer (SQL ONLY)
+ */
+
+const { pool } = require('../../../shared/database/connection');
+const { getSchema } = require('../../../core/utils/schemaHelper');
+
+class CampaignInstagramActionRepository {
+  async create(data, context = {}) {
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `INSERT INTO ${schema}.campaign_instagram_actions (
+        tenant_id, campaign_id, campaign_lead_id, lead_id, account_id, step_id, step_type, action,
+        target_username, provider_user_id, provider_chat_id, provider_message_id, provider_post_id, content
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+      RETURNING *`,
+      [
+        data.tenantId,
+        data.campaignId,
+        data.campaignLeadId,
+        data.leadId || null,
+        data.accountId || null,
+        data.stepId || null,
+        data.stepType,
+        data.action,
+        data.targetUsername || null,
+        data.providerUserId || null,
+        data.providerChatId || null,
+        data.providerMessageId || null,
+        data.providerPostId || null,
+        data.content || null
+      ]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Actions an account performed since a point in time, per action
+   * @returns {Promise<Object>} { follow: 3, dm: 1, ... }
+   */
+  async countByActionSince(accountId, since, context = {}) {
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `SELECT action, COUNT(*)::int AS count FROM ${schema}.campaign_instagram_actions
+       WHERE account_id = $1 AND performed_at >= $2
+       GROUP BY action`,
+      [accountId, since]
+    );
+    return Object.fromEntries(result.rows.map(row => [row.action, row.count]));
+  }
+
+  /**
+   * Latest campaign action an account took towards an Instagram user or chat (reply matching)
+   */
+  async findLatestForContact(accountId, { providerUserId = null, chatId = null }, context = {}) {
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `SELECT * FROM ${schema}.campaign_instagram_actions
+       WHERE account_id = $1
+         AND (($2::text IS NOT NULL AND provider_user_id = $2) OR ($3::text IS NOT NULL AND provider_chat_id = $3))
+       ORDER BY performed_at DESC
+       LIMIT 1`,
+      [accountId, providerUserId, chatId]
+    );
+    return result.rows[0] || null;
+  }
+
+  async markReplied(id, context = {}) {
+    const schema = getSchema(context);
+    await pool.query(
+      `UPDATE ${schema}.campaign_instagram_actions
+       SET replied_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [id]
+    );
+  }
+}
+
+module.exports = new CampaignInstagramActionRepository();
@@ -113,6 +113,38 @@ class CampaignLeadActivityRepository {
     const result = await pool.query(query, [campaignLeadId, stepId, tenantId]);
     return result.rows.length > 0 ? result.rows[0] : null;
   }
+  /**
+   * Outreach activities that touched a person (campaign_leads.lead_id) in any campaign since a date
+   * Only step executions count (action_type = step_type), not webhook events such as replies;
+   * in-flight ('sent') steps count as well as delivered ones. Oldest first
+   * @param {Object} options - { channels, excludeStepTypes, excludeActivityId }
+   */
+  static async getTouchesForPersonSince(tenantId, leadId, since, options = {}, req = null) {
+    const schema = getSchema(req);
+    const query = `
+      SELECT a.id, a.campaign_id, a.step_type, a.channel, a.created_at
+      FROM ${schema}.campaign_lead_activities a
+      JOIN ${schema}.campaign_leads cl ON cl.id = a.campaign_lead_id
+      WHERE a.tenant_id = $1 AND cl.tenant_id = $1 AND cl.lead_id = $2
+        AND a.created_at >= $3
+        AND a.is_deleted = FALSE
+        AND a.action_type = a.step_type
+        AND a.status IN ('sent', 'delivered', 'completed')
+        AND a.channel = ANY($4::text[])
+        AND NOT (a.step_type = ANY($5::text[]))
+        AND ($6::uuid IS NULL OR a.id <> $6::uuid)
+      ORDER BY a.created_at ASC
+    `;
+    const result = await pool.query(query, [
+      tenantId,
+      leadId,
+      since,
+      options.channels || [],
+      options.excludeStepTypes || [],
+      options.excludeActivityId || null
+    ]);
+    return result.rows;
+  }
   /**
    * Update activity
    */
@@ -0,0 +1,91 @@
+/**
+ * Campaign Lead Profile Snapshot Repository
+ * Data access layer for campaign_lead_profile_snapshots and the latest-snapshot copy
+ * kept on campaign_leads (profile_snapshot_version, lead_data.linkedin_profile)
+ *
+ * LAD Architecture: Repository Layer (SQL ONLY)
+ * - All database queries
+ * - NO business logic
+ * - Tenant-scoped queries only
+ */
+
+const { pool } = require('../../../shared/database/connection');
+const { getSchema } = require('../../../core/utils/schemaHelper');
+
+class CampaignLeadProfileSnapshotRepository {
+  /**
+   * Store a profile as the lead's next snapshot version and make it the lead's
+   * lead_data.linkedin_profile (with version and captured_at), in one transaction
+   * @param {Object} snapshot - { campaignId, fields, profile, providerAccountId }
+   * @returns {Promise<Object|null>} Inserted snapshot row, or null if the lead doesn't exist
+   */
+  async createSnapshot(campaignLeadId, tenantId, snapshot, context = {}) {
+    if (!tenantId) {
+      throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+    }
+    const schema = getSchema(context);
+    const { campaignId, fields = [], profile = {}, providerAccountId = null } = snapshot;
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const lead = await client.query(
+        `SELECT profile_snapshot_version
+         FROM ${schema}.campaign_leads
+         WHERE id = $1 AND tenant_id = $2
+         FOR UPDATE`,
+        [campaignLeadId, tenantId]
+      );
+      if (lead.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+      const version = (parseInt(lead.rows[0].profile_snapshot_version, 10) || 0) + 1;
+      const inserted = await client.query(
+        `INSERT INTO ${schema}.campaign_lead_profile_snapshots (
+          tenant_id, campaign_id, campaign_lead_id, version, fields, profile, provider_account_id
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING id, campaign_id, campaign_lead_id, version, fields, profile, provider_account_id, captured_at`,
+        [tenantId, campaignId, campaignLeadId, version, fields, JSON.stringify(profile), providerAccountId]
+      );
+      const row = inserted.rows[0];
+      await client.query(
+        `UPDATE ${schema}.campaign_leads
+         SET profile_snapshot_version = $3,
+             lead_data = COALESCE(lead_data, '{}'::jsonb) || jsonb_build_object(
+               'linkedin_profile',
+               $4::jsonb || jsonb_build_object('version', $3::int, 'captured_at', $5::timestamptz)
+             ),
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND tenant_id = $2`,
+        [campaignLeadId, tenantId, version, JSON.stringify(profile), row.captured_at]
+      );
+      await client.query('COMMIT');
+      return row;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Snapshots of a campaign lead, newest first
+   */
+  async listSnapshots(campaignId, campaignLeadId, tenantId, context = {}) {
+    if (!tenantId) {
+      throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+    }
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `SELECT id, campaign_id, campaign_lead_id, version, fields, profile, provider_account_id, captured_at
+       FROM ${schema}.campaign_lead_profile_snapshots
+       WHERE campaign_id = $1 AND campaign_lead_id = $2 AND tenant_id = $3
+       ORDER BY version DESC`,
+      [campaignId, campaignLeadId, tenantId]
+    );
+    return result.rows;
+  }
+}
+
+module.exports = new CampaignLeadProfileSnapshotRepository();
@@ -106,7 +106,10 @@ class CampaignLeadRepository {
     const schema = getSchema(req);
     const allowedFields = [
       'snapshot', 'lead_data', 'status',
-      'current_step_order', 'started_at', 'completed_at', 'error_message'
+      'current_step_order', 'current_node_key', 'current_step_id', 'step_entered_at',
+      'started_at', 'completed_at', 'error_message',
+      'reply_intent', 'reply_intent_confidence', 'reply_classified_at',
+      'deferred_until', 'timezone'
     ];
     const setClause = [];
     const values = [leadId, tenantId];
@@ -130,6 +133,87 @@ class CampaignLeadRepository {
     const result = await pool.query(query, values);
     return result.rows[0];
   }
+  /**
+   * Get the workflow cursor (current step id + arrival time + deferral + pinned workflow version) for a campaign lead
+   */
+  static async getWorkflowCursor(campaignLeadId, tenantId, req = null) {
+    const schema = getSchema(req);
+    const query = `
+      SELECT current_node_key, current_step_id, step_entered_at, deferred_until, timezone, workflow_version FROM ${schema}.campaign_leads
+      WHERE id = $1 AND tenant_id = $2 AND is_deleted = FALSE
+    `;
+    const result = await pool.query(query, [campaignLeadId, tenantId]);
+    return result.rows[0] || null;
+  }
+  /**
+   * Get the LinkedIn sender account a campaign lead is pinned to
+   * @returns {Promise<string|null>} provider_account_id
+   */
+  static async getLinkedInSender(campaignLeadId, tenantId, req = null) {
+    const schema = getSchema(req);
+    const query = `
+      SELECT linkedin_account_id FROM ${schema}.campaign_leads
+      WHERE id = $1 AND tenant_id = $2 AND is_deleted = FALSE
+    `;
+    const result = await pool.query(query, [campaignLeadId, tenantId]);
+    return result.rows[0]?.linkedin_account_id || null;
+  }
+  /**
+   * Pin a campaign lead to a LinkedIn sender account
+   */
+  static async setLinkedInSender(campaignLeadId, tenantId, providerAccountId, req = null) {
+    const schema = getSchema(req);
+    const query = `
+      UPDATE ${schema}.campaign_leads
+      SET linkedin_account_id = $3, linkedin_account_pinned_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND tenant_id = $2 AND is_deleted = FALSE
+      RETURNING id, linkedin_account_id, linkedin_account_pinned_at
+    `;
+    const result = await pool.query(query, [campaignLeadId, tenantId, providerAccountId]);
+    return result.rows[0];
+  }
+  /**
+   * Move a campaign lead's workflow cursor to a node ({ nodeKey, stepId }; NULL clears it)
+   * workflowVersion pins the lead to a workflow version if it isn't pinned yet
+   */
+  static async updateWorkflowCursor(campaignLeadId, tenantId, position, enteredAt = new Date(), req = null, workflowVersion = null) {
+    const schema = getSchema(req);
+    const query = `
+      UPDATE ${schema}.campaign_leads
+      SET current_node_key = $3, current_step_id = $4, step_entered_at = $5,
+          workflow_version = COALESCE(workflow_version, $6), updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND tenant_id = $2 AND is_deleted = FALSE
+      RETURNING id, current_node_key, current_step_id, step_entered_at, workflow_version
+    `;
+    const result = await pool.query(query, [
+      campaignLeadId,
+      tenantId,
+      position ? String(position.nodeKey) : null,
+      position ? position.stepId : null,
+      position ? enteredAt : null,
+      workflowVersion
+    ]);
+    return result.rows[0];
+  }
+  /**
+   * Get campaign leads whose cursor is parked on a wait_for_event step
+   * leadId matches campaign_leads.lead_id or campaign_leads.id (analytics rows use either)
+   */
+  static async getLeadsWaitingForEvent(campaignId, leadId, tenantId, req = null) {
+    const schema = getSchema(req);
+    const query = `
+      SELECT cl.id, cl.campaign_id, cl.lead_id, cl.status, cl.snapshot, cl.lead_data,
+             cl.current_node_key, cl.current_step_id, cl.step_entered_at, cs.config AS wait_step_config
+      FROM ${schema}.campaign_leads cl
+      JOIN ${schema}.campaign_steps cs ON cs.id = cl.current_step_id
+      WHERE cl.campaign_id = $1 AND cl.tenant_id = $2
+        AND (cl.lead_id = $3 OR cl.id = $3)
+        AND cl.status IN ('pending', 'active') AND cl.is_deleted = FALSE
+        AND cs.step_type = 'wait_for_event'
+    `;
+    const result = await pool.query(query, [campaignId, tenantId, leadId]);
+    return result.rows;
+  }
   /**
    * Delete campaign lead
    */
@@ -158,6 +242,27 @@ class CampaignLeadRepository {
     const result = await pool.query(query, [campaignId, tenantId, limit]);
     return result.rows;
   }
+  /**
+   * Get leads still moving through the workflow, with their cursor and pinned sender (campaign simulations)
+   * Each row carries total_count, the number of matching leads before the limit
+   * @param {Object} options - { leadIds, limit }
+   */
+  static async getLeadsForSimulation(campaignId, tenantId, options = {}, req = null) {
+    const schema = getSchema(req);
+    const query = `
+      SELECT id, campaign_id, lead_id, status, snapshot, lead_data,
+             current_node_key, current_step_id, step_entered_at, deferred_until, timezone, workflow_version,
+             linkedin_account_id, created_at,
+             COUNT(*) OVER() AS total_count
+      FROM ${schema}.campaign_leads
+      WHERE campaign_id = $1 AND tenant_id = $2 AND status IN ('pending', 'active') AND is_deleted = FALSE
+        AND ($3::uuid[] IS NULL OR id = ANY($3::uuid[]))
+      ORDER BY created_at ASC
+      LIMIT $4
+    `;
+    const result = await pool.query(query, [campaignId, tenantId, options.leadIds || null, options.limit || 50]);
+    return result.rows;
+  }
   /**
    * Get lead data
    */
@@ -259,6 +364,29 @@ class CampaignLeadRepository {
     const result = await pool.query(query, values);
     return result.rows;
   }
+  /**
+   * Copy a campaign's leads into another campaign of the same tenant
+   * Lead identity and data are kept; outreach state starts over. Only leads still in
+   * the sequence (pending/active) are copied - leads that replied, opted out, bounced or
+   * finished it are not contacted again. Runs on req.client when given.
+   */
+  static async copyToCampaign(sourceCampaignId, targetCampaignId, tenantId, req = null) {
+    const schema = getSchema(req);
+    const db = req?.client || pool;
+    const query = `
+      INSERT INTO ${schema}.campaign_leads (
+        tenant_id, campaign_id, lead_id, snapshot, lead_data, status
+      )
+      SELECT tenant_id, $2, lead_id, snapshot, lead_data, 'active'
+      FROM ${schema}.campaign_leads
+      WHERE campaign_id = $1 AND tenant_id = $3 AND is_deleted = FALSE
+        AND status IN ('pending', 'active')
+      ORDER BY created_at ASC
+      RETURNING id
+    `;
+    const result = await db.query(query, [sourceCampaignId, targetCampaignId, tenantId]);
+    return result.rows.length;
+  }
 
   /**
    * Get all existing Apollo person IDs for a tenant
@@ -7,8 +7,30 @@ const { pool } = require('../../../shared/database/connection');
 const { getSchema } = require('../../../core/utils/schemaHelper');
 const logger = require('../../../core/utils/logger');
 class CampaignRepository {
+  /**
+   * Run fn inside a transaction
+   * fn gets the context with the transaction client; repository calls that take it as
+   * their req (create, CampaignStepRepository.bulkCreate, CampaignLeadRepository.copyToCampaign)
+   * run on that client and are committed or rolled back together
+   * @param {Function} fn - async (context) => result
+   */
+  static async withTransaction(fn, req = null) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn({ ...req, client });
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
   /**
    * Create a new campaign
+   * Runs on req.client when given (see withTransaction)
    */
   static async create(campaignData, tenantId, req = null) {
     const {
@@ -18,6 +40,7 @@ class CampaignRepository {
       config = {}
     } = campaignData;
     const schema = getSchema(req);
+    const db = req?.client || pool;
     const query = `
       INSERT INTO ${schema}.campaigns (
         tenant_id, name, status, created_by_user_id, config, created_at, updated_at
@@ -33,9 +56,11 @@ class CampaignRepository {
       JSON.stringify(config)
     ];
     try {
-      const result = await pool.query(query, values);
+      const result = await db.query(query, values);
       return result.rows[0];
     } catch (error) {
+      // A failed statement aborts the caller's transaction - the fallbacks can't run in it
+      if (req?.client) throw error;
       const errorMsg = error.message?.toLowerCase() || '';
       if (errorMsg.includes('created_by_user_id') && errorMsg.includes('does not exist')) {
         try {
@@ -46,7 +71,7 @@ class CampaignRepository {
             VALUES ($1, $2, $3, $4, $5::jsonb, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
             RETURNING *
           `;
-          const result = await pool.query(fallbackQuery, values);
+          const result = await db.query(fallbackQuery, values);
           return result.rows[0];
         } catch (fallbackError) {
           if (fallbackError.message && (fallbackError.message.includes('column "config"') || fallbackError.message.includes('jsonb'))) {
@@ -58,7 +83,7 @@ class CampaignRepository {
               RETURNING *
             `;
             const simpleValues = [tenantId, name, status, createdBy];
-            const result = await pool.query(simpleQuery, simpleValues);
+            const result = await db.query(simpleQuery, simpleValues);
             return result.rows[0];
           }
           throw fallbackError;
@@ -74,7 +99,7 @@ class CampaignRepository {
         `;
         const fallbackValues = [tenantId, name, status, createdBy];
         try {
-          const result = await pool.query(fallbackQuery, fallbackValues);
+          const result = await db.query(fallbackQuery, fallbackValues);
           return result.rows[0];
         } catch (fallbackError2) {
           if (fallbackError2.message && fallbackError2.message.includes('created_by_user_id')) {
@@ -85,7 +110,7 @@ class CampaignRepository {
               VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
               RETURNING *
             `;
-            const result = await pool.query(simpleQuery, fallbackValues);
+            const result = await db.query(simpleQuery, fallbackValues);
             return result.rows[0];
           }
           throw fallbackError2;
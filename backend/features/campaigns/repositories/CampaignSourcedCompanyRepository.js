@@ -0,0 +1,94 @@
+/**
+ * Campaign Sourced Company Repository
+ * Data access layer for campaign_sourced_companies (company lead sourcing progress)
+ *
+ * LAD Architecture: Repository Layer (SQL ONLY)
+ * - All database queries
+ * - NO business logic
+ * - Tenant-scoped queries only
+ */
+
+const { pool } = require('../../../shared/database/connection');
+const { getSchema } = require('../../../core/utils/schemaHelper');
+
+class CampaignSourcedCompanyRepository {
+  /**
+   * Sourcing record of a company query in a campaign
+   */
+  async getByQuery(campaignId, queryKey, tenantId, context = {}) {
+    if (!tenantId) {
+      throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+    }
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `SELECT * FROM ${schema}.campaign_sourced_companies
+       WHERE campaign_id = $1 AND query_key = $2 AND tenant_id = $3`,
+      [campaignId, queryKey, tenantId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Create the record for a resolved company; returns the existing row if another
+   * lead resolved the same query first
+   * @param {Object} record - { campaignId, stepType, queryKey, companyId, companyName, companyUrl }
+   */
+  async create(tenantId, record, context = {}) {
+    if (!tenantId) {
+      throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+    }
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `INSERT INTO ${schema}.campaign_sourced_companies (
+        tenant_id, campaign_id, step_type, query_key, company_id, company_name, company_url
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (campaign_id, query_key) DO UPDATE SET updated_at = campaign_sourced_companies.updated_at
+      RETURNING *`,
+      [
+        tenantId,
+        record.campaignId,
+        record.stepType,
+        record.queryKey,
+        record.companyId,
+        record.companyName || null,
+        record.companyUrl || null
+      ]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Save the cursor reached by a sourcing run and add its counts
+   * @param {Object} progress - { cursor, pagesFetched, foundCount, enrolledCount, exhausted }
+   */
+  async recordProgress(id, tenantId, progress, context = {}) {
+    if (!tenantId) {
+      throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+    }
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `UPDATE ${schema}.campaign_sourced_companies
+       SET cursor = $3,
+           pages_fetched = pages_fetched + $4,
+           found_count = found_count + $5,
+           enrolled_count = enrolled_count + $6,
+           exhausted = $7,
+           last_sourced_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND tenant_id = $2
+       RETURNING *`,
+      [
+        id,
+        tenantId,
+        progress.cursor || null,
+        progress.pagesFetched || 0,
+        progress.foundCount || 0,
+        progress.enrolledCount || 0,
+        !!progress.exhausted
+      ]
+    );
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = new CampaignSourcedCompanyRepository();
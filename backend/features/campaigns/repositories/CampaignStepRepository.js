@@ -50,9 +50,10 @@ class CampaignStepRepository {
         step_type as type,
         step_order as "order",
         title, description, config,
+        workflow_version,
         is_deleted, created_at, updated_at
       FROM ${schema}.campaign_steps
-      WHERE campaign_id = $1 AND tenant_id = $2
+      WHERE campaign_id = $1 AND tenant_id = $2 AND retired_at IS NULL
       ORDER BY step_order ASC
     `;
     try {
@@ -256,6 +257,21 @@ class CampaignStepRepository {
     const result = await pool.query(query, values);
     return result.rows[0];
   }
+  /**
+   * Merge keys into a step's config without overwriting concurrent edits to other keys
+   */
+  static async mergeConfig(stepId, tenantId, values, req = null) {
+    const schema = getSchema(req);
+    const query = `
+      UPDATE ${schema}.campaign_steps
+      SET config = COALESCE(config::jsonb, '{}'::jsonb) || $3::jsonb,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND tenant_id = $2
+      RETURNING *
+    `;
+    const result = await pool.query(query, [stepId, tenantId, JSON.stringify(values)]);
+    return result.rows[0];
+  }
   /**
    * Delete campaign step
    */
@@ -284,9 +300,11 @@ class CampaignStepRepository {
   }
   /**
    * Bulk create steps
+   * Runs on req.client when given (see CampaignRepository.withTransaction)
    */
   static async bulkCreate(campaignId, tenantId, steps, req = null) {
     const schema = getSchema(req);
+    const db = req?.client || pool;
     if (!steps || steps.length === 0) {
       return [];
     }
@@ -317,9 +335,11 @@ class CampaignStepRepository {
       RETURNING *
     `;
     try {
-      const result = await pool.query(query, values);
+      const result = await db.query(query, values);
       return result.rows;
     } catch (error) {
+      // A failed statement aborts the caller's transaction - the fallbacks can't run in it
+      if (req?.client) throw error;
       const errorMsg = error.message?.toLowerCase() || '';
       if (errorMsg.includes('column "step_type"') || errorMsg.includes('column "step_order"')) {
         const fallbackValues = [];
@@ -348,7 +368,7 @@ class CampaignStepRepository {
           RETURNING *
         `;
         try {
-          const result = await pool.query(fallbackQuery, fallbackValues);
+          const result = await db.query(fallbackQuery, fallbackValues);
           return result.rows;
         } catch (fallbackError) {
           if (fallbackError.message && (fallbackError.message.includes('column "config"') || fallbackError.message.includes('jsonb'))) {
@@ -376,7 +396,7 @@ class CampaignStepRepository {
               VALUES ${simplePlaceholders.join(', ')}
               RETURNING *
             `;
-            const result = await pool.query(simpleQuery, simpleValues);
+            const result = await db.query(simpleQuery, simpleValues);
             return result.rows;
           }
           throw fallbackError;
@@ -0,0 +1,164 @@
+/**
+ * Campaign Template Repository
+ * Data access layer for campaign_templates (campaign template library)
+ *
+ * LAD Architecture: Repository Layer (SQL ONLY)
+ * - All database queries
+ * - NO business logic
+ * - Tenant-scoped queries only; global templates (tenant_id NULL) are readable by every tenant
+ */
+
+const { pool } = require('../../../shared/database/connection');
+const { getSchema } = require('../../../core/utils/schemaHelper');
+
+const LIST_COLUMNS = `
+  id, tenant_id, name, description, category, step_count, source_campaign_id,
+  created_by_user_id, created_at, updated_at,
+  definition->'campaign'->>'campaign_type' AS campaign_type
+`;
+
+class CampaignTemplateRepository {
+  /**
+   * List templates visible to a tenant, newest first (definition omitted)
+   * @param {Object} filters - { scope: 'all'|'tenant'|'global', category, search, limit, offset }
+   */
+  async list(tenantId, filters = {}, context = {}) {
+    if (!tenantId) {
+      throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+    }
+    const schema = getSchema(context);
+    const conditions = ['is_deleted = FALSE'];
+    const values = [];
+    if (filters.scope === 'tenant') {
+      values.push(tenantId);
+      conditions.push(`tenant_id = $${values.length}`);
+    } else if (filters.scope === 'global') {
+      conditions.push('tenant_id IS NULL');
+    } else {
+      values.push(tenantId);
+      conditions.push(`(tenant_id = $${values.length} OR tenant_id IS NULL)`);
+    }
+    if (filters.category) {
+      values.push(filters.category);
+      conditions.push(`category = $${values.length}`);
+    }
+    if (filters.search) {
+      values.push(`%${filters.search}%`);
+      conditions.push(`(name ILIKE $${values.length} OR description ILIKE $${values.length})`);
+    }
+    const where = conditions.join(' AND ');
+    const countResult = await pool.query(
+      `SELECT COUNT(*)::int AS total FROM ${schema}.campaign_templates WHERE ${where}`,
+      values
+    );
+    values.push(filters.limit || 50, filters.offset || 0);
+    const result = await pool.query(
+      `SELECT ${LIST_COLUMNS}
+       FROM ${schema}.campaign_templates
+       WHERE ${where}
+       ORDER BY created_at DESC
+       LIMIT $${values.length - 1} OFFSET $${values.length}`,
+      values
+    );
+    return { templates: result.rows, total: countResult.rows[0].total };
+  }
+
+  /**
+   * Template by id if the tenant can see it (its own or a global one)
+   */
+  async getById(id, tenantId, context = {}) {
+    if (!tenantId) {
+      throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+    }
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `SELECT * FROM ${schema}.campaign_templates
+       WHERE id = $1 AND (tenant_id = $2 OR tenant_id IS NULL) AND is_deleted = FALSE`,
+      [id, tenantId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * @param {string|null} ownerTenantId - owning tenant, null for a global template
+   * @param {Object} template - { name, description, category, definition, stepCount, sourceCampaignId, createdByUserId }
+   */
+  async create(ownerTenantId, template, context = {}) {
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `INSERT INTO ${schema}.campaign_templates (
+        tenant_id, name, description, category, definition, step_count,
+        source_campaign_id, created_by_user_id
+      ) VALUES ($1, $2, $3, $4, $5::jsonb, $6, $7, $8)
+      RETURNING *`,
+      [
+        ownerTenantId,
+        template.name,
+        template.description || null,
+        template.category || null,
+        JSON.stringify(template.definition),
+        template.stepCount || 0,
+        template.sourceCampaignId || null,
+        template.createdByUserId || null
+      ]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Update a template owned by ownerTenantId (null matches global templates only)
+   * @param {Object} updates - any of { name, description, category, definition, stepCount }
+   */
+  async update(id, ownerTenantId, updates, context = {}) {
+    const schema = getSchema(context);
+    const columns = {
+      name: 'name',
+      description: 'description',
+      category: 'category',
+      definition: 'definition',
+      stepCount: 'step_count'
+    };
+    const values = [id, ownerTenantId];
+    const sets = [];
+    for (const [key, column] of Object.entries(columns)) {
+      if (updates[key] === undefined) continue;
+      values.push(key === 'definition' ? JSON.stringify(updates[key]) : updates[key]);
+      sets.push(`${column} = $${values.length}${key === 'definition' ? '::jsonb' : ''}`);
+    }
+    if (sets.length === 0) {
+      return this.getOwned(id, ownerTenantId, context);
+    }
+    const result = await pool.query(
+      `UPDATE ${schema}.campaign_templates
+       SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND tenant_id IS NOT DISTINCT FROM $2 AND is_deleted = FALSE
+       RETURNING *`,
+      values
+    );
+    return result.rows[0] || null;
+  }
+
+  async getOwned(id, ownerTenantId, context = {}) {
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `SELECT * FROM ${schema}.campaign_templates
+       WHERE id = $1 AND tenant_id IS NOT DISTINCT FROM $2 AND is_deleted = FALSE`,
+      [id, ownerTenantId]
+    );
+    return result.rows[0] || null;
+  }
+
+  async delete(id, ownerTenantId, context = {}) {
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `UPDATE ${schema}.campaign_templates
+       SET is_deleted = TRUE, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND tenant_id IS NOT DISTINCT FROM $2 AND is_deleted = FALSE
+       RETURNING id`,
+      [id, ownerTenantId]
+    );
+    return result.rows.length > 0;
+  }
+}
+
+module.exports = new CampaignTemplateRepository();
@@ -0,0 +1,64 @@
+/**
+ * Campaign Tenant Settings Repository
+ * Data access layer for campaign_tenant_settings (tenant-wide campaign policies)
+ *
+ * LAD Architecture: Repository Layer (SQL ONLY)
+ * - All database queries
+ * - NO business logic
+ * - Tenant-scoped queries only
+ */
+
+const { pool } = require('../../../shared/database/connection');
+const { getSchema } = require('../../../core/utils/schemaHelper');
+
+class CampaignTenantSettingsRepository {
+  async get(tenantId, context = {}) {
+    if (!tenantId) {
+      throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+    }
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `SELECT * FROM ${schema}.campaign_tenant_settings WHERE tenant_id = $1`,
+      [tenantId]
+    );
+    return result.rows[0] || null;
+  }
+
+  async upsertFrequencyCaps(tenantId, frequencyCaps, userId = null, context = {}) {
+    if (!tenantId) {
+      throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+    }
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `INSERT INTO ${schema}.campaign_tenant_settings (tenant_id, frequency_caps, updated_by_user_id)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (tenant_id) DO UPDATE SET
+         frequency_caps = EXCLUDED.frequency_caps,
+         updated_by_user_id = EXCLUDED.updated_by_user_id,
+         updated_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      [tenantId, JSON.stringify(frequencyCaps), userId]
+    );
+    return result.rows[0];
+  }
+
+  async upsertLinkedInPacing(tenantId, linkedInPacing, userId = null, context = {}) {
+    if (!tenantId) {
+      throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+    }
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `INSERT INTO ${schema}.campaign_tenant_settings (tenant_id, linkedin_pacing, updated_by_user_id)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (tenant_id) DO UPDATE SET
+         linkedin_pacing = EXCLUDED.linkedin_pacing,
+         updated_by_user_id = EXCLUDED.updated_by_user_id,
+         updated_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      [tenantId, JSON.stringify(linkedInPacing), userId]
+    );
+    return result.rows[0];
+  }
+}
+
+module.exports = new CampaignTenantSettingsRepository();
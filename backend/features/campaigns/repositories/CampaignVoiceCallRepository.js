@@ -0,0 +1,103 @@
+/**
+ * Campaign Voice Call Repository
+ * Data access layer for campaign_voice_calls (calls started by voice_agent_call
+ * steps, matched to their outcome by the call-completion webhook)
+ *
+ * LAD Architecture: Repository Layer (SQL ONLY)
+ */
+
+const { pool } = require('../../../shared/database/connection');
+const { getSchema } = require('../../../core/utils/schemaHelper');
+
+class CampaignVoiceCallRepository {
+  async create(data, context = {}) {
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `INSERT INTO ${schema}.campaign_voice_calls (
+        tenant_id, campaign_id, campaign_lead_id, lead_id, step_id,
+        call_id, agent_id, to_phone
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      ON CONFLICT (call_id) DO NOTHING
+      RETURNING *`,
+      [
+        data.tenantId,
+        data.campaignId,
+        data.campaignLeadId,
+        data.leadId || null,
+        data.stepId || null,
+        data.callId,
+        data.agentId || null,
+        data.toPhone || null
+      ]
+    );
+    return result.rows[0] || null;
+  }
+
+  async findByCallId(callId, context = {}) {
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `SELECT * FROM ${schema}.campaign_voice_calls WHERE call_id = $1`,
+      [callId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Record the call outcome
+   * Only the first completion is applied, so webhook retries are no-ops
+   * @returns {Promise<Object|null>} Updated row, or null if the call was already completed
+   */
+  async markCompleted(id, outcome, context = {}) {
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `UPDATE ${schema}.campaign_voice_calls
+       SET status = 'completed',
+           answered = $2,
+           disposition = $3,
+           duration_seconds = $4,
+           transcript = $5,
+           recording_url = $6,
+           completed_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status <> 'completed'
+       RETURNING *`,
+      [
+        id,
+        outcome.answered,
+        outcome.disposition,
+        outcome.durationSeconds,
+        outcome.transcript || null,
+        outcome.recordingUrl || null
+      ]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Reserve the minute charge for a call that hasn't been charged or completed yet
+   * @returns {Promise<boolean>} false if the call was already charged
+   */
+  async claimCreditsCharge(id, credits, context = {}) {
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `UPDATE ${schema}.campaign_voice_calls SET credits_charged = $2
+       WHERE id = $1 AND credits_charged = 0 AND status <> 'completed'
+       RETURNING id`,
+      [id, credits]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Undo claimCreditsCharge after a failed deduction
+   */
+  async releaseCreditsCharge(id, context = {}) {
+    const schema = getSchema(context);
+    await pool.query(
+      `UPDATE ${schema}.campaign_voice_calls SET credits_charged = 0
+       WHERE id = $1 AND status <> 'completed'`,
+      [id]
+    );
+  }
+}
+
+module.exports = new CampaignVoiceCallRepository();
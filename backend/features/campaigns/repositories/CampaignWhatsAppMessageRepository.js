@@ -0,0 +1,136 @@
+/**
+ * Campaign WhatsApp Message Repository
+ * Data access layer for campaign_whatsapp_messages (sent-message log used to
+ * match delivery/read receipts and inbound replies to campaign leads)
+ *
+ * LAD Architecture: Repository Layer (SQL ONLY)
+ */
+
+const { pool } = require('../../../shared/database/connection');
+const { getSchema } = require('../../../core/utils/schemaHelper');
+
+// Receipts only move a message forward (a late "delivered" never overwrites "read")
+const STATUS_RANK = { sent: 1, delivered: 2, read: 3 };
+
+class CampaignWhatsAppMessageRepository {
+  async create(data, context = {}) {
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `INSERT INTO ${schema}.campaign_whatsapp_messages (
+        tenant_id, campaign_id, campaign_lead_id, lead_id, account_id, step_id,
+        provider, provider_message_id, provider_chat_id, to_phone,
+        message_type, template_name, content
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      RETURNING *`,
+      [
+        data.tenantId,
+        data.campaignId,
+        data.campaignLeadId,
+        data.leadId || null,
+        data.accountId || null,
+        data.stepId || null,
+        data.provider,
+        data.providerMessageId || null,
+        data.providerChatId || null,
+        data.toPhone,
+        data.messageType,
+        data.templateName || null,
+        data.content || null
+      ]
+    );
+    return result.rows[0];
+  }
+
+  async findByProviderMessageId(provider, providerMessageId, context = {}) {
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `SELECT * FROM ${schema}.campaign_whatsapp_messages
+       WHERE provider = $1 AND provider_message_id = $2
+       LIMIT 1`,
+      [provider, providerMessageId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Latest campaign message an account sent to a phone number or chat (reply matching)
+   */
+  async findLatestForContact(accountId, { phone = null, chatId = null }, context = {}) {
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `SELECT * FROM ${schema}.campaign_whatsapp_messages
+       WHERE account_id = $1
+         AND (($2::text IS NOT NULL AND to_phone = $2) OR ($3::text IS NOT NULL AND provider_chat_id = $3))
+       ORDER BY sent_at DESC
+       LIMIT 1`,
+      [accountId, phone, chatId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * When the lead last wrote to the account (opens the 24h session window)
+   */
+  async getLastReplyAt(accountId, phone, context = {}) {
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `SELECT MAX(replied_at) AS last_reply_at FROM ${schema}.campaign_whatsapp_messages
+       WHERE account_id = $1 AND to_phone = $2`,
+      [accountId, phone]
+    );
+    return result.rows[0]?.last_reply_at || null;
+  }
+
+  async countSentSince(accountId, since, context = {}) {
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `SELECT COUNT(*)::int AS count FROM ${schema}.campaign_whatsapp_messages
+       WHERE account_id = $1 AND sent_at >= $2 AND status <> 'failed'`,
+      [accountId, since]
+    );
+    return result.rows[0].count;
+  }
+
+  /**
+   * Apply a delivery receipt
+   * @returns {Promise<boolean>} true if the status moved forward
+   */
+  async applyStatus(id, status, errorMessage = null, context = {}) {
+    const schema = getSchema(context);
+    if (status === 'failed') {
+      const result = await pool.query(
+        `UPDATE ${schema}.campaign_whatsapp_messages
+         SET status = 'failed', error_message = $2
+         WHERE id = $1 AND status <> 'failed'
+         RETURNING id`,
+        [id, errorMessage]
+      );
+      return result.rows.length > 0;
+    }
+    const rank = STATUS_RANK[status];
+    if (!rank) return false;
+    const result = await pool.query(
+      `UPDATE ${schema}.campaign_whatsapp_messages
+       SET status = $2,
+           delivered_at = CASE WHEN $3 >= 2 THEN COALESCE(delivered_at, CURRENT_TIMESTAMP) ELSE delivered_at END,
+           read_at = CASE WHEN $3 >= 3 THEN COALESCE(read_at, CURRENT_TIMESTAMP) ELSE read_at END
+       WHERE id = $1
+         AND (CASE status WHEN 'sent' THEN 1 WHEN 'delivered' THEN 2 WHEN 'read' THEN 3 ELSE 99 END) < $3
+       RETURNING id`,
+      [id, status, rank]
+    );
+    return result.rows.length > 0;
+  }
+
+  async markReplied(id, context = {}) {
+    const schema = getSchema(context);
+    await pool.query(
+      `UPDATE ${schema}.campaign_whatsapp_messages
+       SET replied_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [id]
+    );
+  }
+}
+
+module.exports = new CampaignWhatsAppMessageRepository();
@@ -0,0 +1,301 @@
+/**
+ * Campaign Workflow Version Repository
+ * Data access layer for workflow versions (campaign_steps.workflow_version,
+ * campaign_leads.workflow_version and campaign_workflow_versions)
+ *
+ * LAD Architecture: Repository Layer (SQL ONLY)
+ * - All database queries
+ * - NO business logic
+ * - Tenant-scoped queries only
+ */
+
+const { pool } = require('../../../shared/database/connection');
+const { getSchema } = require('../../../core/utils/schemaHelper');
+
+const STEP_COLUMNS = `
+  id, tenant_id, campaign_id,
+  step_type as type,
+  step_order as "order",
+  title, description, config,
+  workflow_version, retired_at,
+  is_deleted, created_at, updated_at
+`;
+// Lead statuses that are still moving through the workflow
+const IN_PROGRESS_STATUSES = ['pending', 'active'];
+
+/**
+ * Insert steps as one version of a campaign's workflow (inside a transaction)
+ */
+async function insertSteps(client, schema, campaignId, tenantId, version, steps) {
+  if (steps.length === 0) {
+    return [];
+  }
+  const values = [tenantId, campaignId, version];
+  const placeholders = steps.map(step => {
+    values.push(step.type, step.order, step.title, step.description || '', JSON.stringify(step.config || {}));
+    const base = values.length - 5;
+    return `($1, $2, $${base + 1}, $${base + 2}, $${base + 3}, $${base + 4}, $${base + 5}, $3)`;
+  });
+  const result = await client.query(
+    `INSERT INTO ${schema}.campaign_steps (
+      tenant_id, campaign_id, step_type, step_order, title, description, config, workflow_version
+    ) VALUES ${placeholders.join(', ')}
+    RETURNING ${STEP_COLUMNS}`,
+    values
+  );
+  return result.rows;
+}
+
+class CampaignWorkflowVersionRepository {
+  /**
+   * Versions a campaign has steps for, newest first, with their publish record (if any)
+   */
+  async listVersions(campaignId, tenantId, context = {}) {
+    if (!tenantId) {
+      throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+    }
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `SELECT s.workflow_version AS version,
+              COUNT(*) FILTER (WHERE s.is_deleted = FALSE)::int AS step_count,
+              MIN(s.created_at) AS steps_created_at,
+              MAX(s.retired_at) AS retired_at,
+              v.base_version, v.notes, v.step_mapping, v.migrated_lead_count, v.pinned_lead_count,
+              v.created_by_user_id, v.created_at AS published_at
+       FROM ${schema}.campaign_steps s
+       LEFT JOIN ${schema}.campaign_workflow_versions v
+         ON v.campaign_id = s.campaign_id AND v.version = s.workflow_version
+       WHERE s.campaign_id = $1 AND s.tenant_id = $2
+       GROUP BY s.workflow_version, v.id
+       ORDER BY s.workflow_version DESC`,
+      [campaignId, tenantId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Leads per workflow version (leads that haven't entered the workflow are not counted)
+   * @returns {Promise<Array>} [{ version, total, in_progress }]
+   */
+  async countLeadsByVersion(campaignId, tenantId, currentVersion, context = {}) {
+    if (!tenantId) {
+      throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+    }
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `SELECT COALESCE(workflow_version, $3) AS version,
+              COUNT(*)::int AS total,
+              COUNT(*) FILTER (WHERE status = ANY($4::text[]))::int AS in_progress
+       FROM ${schema}.campaign_leads
+       WHERE campaign_id = $1 AND tenant_id = $2 AND is_deleted = FALSE
+         AND (workflow_version IS NOT NULL OR current_step_id IS NOT NULL)
+       GROUP BY 1`,
+      [campaignId, tenantId, currentVersion, IN_PROGRESS_STATUSES]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Steps of one workflow version (retired or current)
+   */
+  async getStepsByVersion(campaignId, tenantId, version, context = {}) {
+    if (!tenantId) {
+      throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+    }
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `SELECT ${STEP_COLUMNS}
+       FROM ${schema}.campaign_steps
+       WHERE campaign_id = $1 AND tenant_id = $2 AND workflow_version = $3
+       ORDER BY step_order ASC`,
+      [campaignId, tenantId, version]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Steps of any version by id (resolving step mappings)
+   */
+  async getStepsByIds(campaignId, tenantId, stepIds, context = {}) {
+    if (!tenantId) {
+      throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+    }
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `SELECT ${STEP_COLUMNS}
+       FROM ${schema}.campaign_steps
+       WHERE campaign_id = $1 AND tenant_id = $2 AND id = ANY($3::uuid[])`,
+      [campaignId, tenantId, stepIds]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Whether any lead has entered (or finished) a workflow version
+   */
+  async hasLeadsOnVersion(campaignId, tenantId, version, context = {}) {
+    if (!tenantId) {
+      throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+    }
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `SELECT EXISTS (
+         SELECT 1 FROM ${schema}.campaign_leads
+         WHERE campaign_id = $1 AND tenant_id = $2 AND is_deleted = FALSE
+           AND (workflow_version = $3 OR (workflow_version IS NULL AND current_step_id IS NOT NULL))
+       ) AS in_use`,
+      [campaignId, tenantId, version]
+    );
+    return result.rows[0].in_use;
+  }
+
+  /**
+   * Replace the steps of the current version (no lead has entered it yet)
+   * @returns {Promise<Object>} { conflict, currentVersion, steps }
+   */
+  async replaceVersionSteps(campaignId, tenantId, version, steps, context = {}) {
+    if (!tenantId) {
+      throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+    }
+    const schema = getSchema(context);
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const current = await this.lockCampaign(client, schema, campaignId, tenantId);
+      if (current !== version) {
+        await client.query('ROLLBACK');
+        return { conflict: true, currentVersion: current };
+      }
+      await client.query(
+        `DELETE FROM ${schema}.campaign_steps
+         WHERE campaign_id = $1 AND tenant_id = $2 AND workflow_version = $3`,
+        [campaignId, tenantId, version]
+      );
+      const inserted = await insertSteps(client, schema, campaignId, tenantId, version, steps);
+      await client.query('COMMIT');
+      return { conflict: false, currentVersion: version, steps: inserted };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Publish a new workflow version in one transaction:
+   * retire the base version's steps, insert the new ones, pin leads already in the workflow
+   * to the base version, then move the mapped leads onto the new steps
+   * @param {Object} publish - { baseVersion, version, steps, moves: [{ fromStepId, toNodeKey }], notes, userId }
+   * @returns {Promise<Object>} { conflict, currentVersion, steps, moved: [{ campaign_lead_id, from_step_id, to_step_id }], pinnedCount, stepMapping }
+   */
+  async publishVersion(campaignId, tenantId, publish, context = {}) {
+    if (!tenantId) {
+      throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+    }
+    const schema = getSchema(context);
+    const { baseVersion, version, steps, moves = [], notes = null, userId = null } = publish;
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const current = await this.lockCampaign(client, schema, campaignId, tenantId);
+      if (current !== baseVersion) {
+        await client.query('ROLLBACK');
+        return { conflict: true, currentVersion: current };
+      }
+
+      await client.query(
+        `UPDATE ${schema}.campaign_steps
+         SET retired_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE campaign_id = $1 AND tenant_id = $2 AND workflow_version = $3 AND retired_at IS NULL`,
+        [campaignId, tenantId, baseVersion]
+      );
+      const inserted = await insertSteps(client, schema, campaignId, tenantId, version, steps);
+
+      // Leads that entered the workflow before it was versioned run on the base version
+      await client.query(
+        `UPDATE ${schema}.campaign_leads
+         SET workflow_version = $3, updated_at = CURRENT_TIMESTAMP
+         WHERE campaign_id = $1 AND tenant_id = $2 AND is_deleted = FALSE
+           AND workflow_version IS NULL AND current_step_id IS NOT NULL`,
+        [campaignId, tenantId, baseVersion]
+      );
+
+      let moved = [];
+      if (moves.length > 0) {
+        const movedResult = await client.query(
+          `UPDATE ${schema}.campaign_leads cl
+           SET current_node_key = m.to_node_key, current_step_id = s.id, workflow_version = $3,
+               updated_at = CURRENT_TIMESTAMP
+           FROM unnest($4::uuid[], $5::text[]) AS m(from_step_id, to_node_key)
+           JOIN ${schema}.campaign_steps s
+             ON s.campaign_id = $1 AND s.tenant_id = $2 AND s.workflow_version = $3
+            AND s.config->>'node_id' = m.to_node_key
+           WHERE cl.campaign_id = $1 AND cl.tenant_id = $2 AND cl.is_deleted = FALSE
+             AND cl.current_step_id = m.from_step_id
+             AND cl.status = ANY($6::text[])
+           RETURNING cl.id AS campaign_lead_id, m.from_step_id, s.id AS to_step_id`,
+          [
+            campaignId,
+            tenantId,
+            version,
+            moves.map(move => move.fromStepId),
+            moves.map(move => move.toNodeKey),
+            IN_PROGRESS_STATUSES
+          ]
+        );
+        moved = movedResult.rows;
+      }
+
+      const pinnedResult = await client.query(
+        `SELECT COUNT(*)::int AS count FROM ${schema}.campaign_leads
+         WHERE campaign_id = $1 AND tenant_id = $2 AND is_deleted = FALSE
+           AND workflow_version = $3 AND status = ANY($4::text[])`,
+        [campaignId, tenantId, baseVersion, IN_PROGRESS_STATUSES]
+      );
+      const pinnedCount = pinnedResult.rows[0].count;
+
+      const stepMapping = {};
+      for (const move of moves) {
+        const target = inserted.find(step => step.config?.node_id === move.toNodeKey);
+        if (target) {
+          stepMapping[move.fromStepId] = target.id;
+        }
+      }
+      await client.query(
+        `UPDATE ${schema}.campaigns SET workflow_version = $3, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND tenant_id = $2`,
+        [campaignId, tenantId, version]
+      );
+      await client.query(
+        `INSERT INTO ${schema}.campaign_workflow_versions (
+          tenant_id, campaign_id, version, base_version, notes, step_mapping,
+          migrated_lead_count, pinned_lead_count, created_by_user_id
+        ) VALUES ($1, $2, $3, $4, $5, $6::jsonb, $7, $8, $9)`,
+        [tenantId, campaignId, version, baseVersion, notes, JSON.stringify(stepMapping), moved.length, pinnedCount, userId]
+      );
+      await client.query('COMMIT');
+      return { conflict: false, currentVersion: version, steps: inserted, moved, pinnedCount, stepMapping };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Lock the campaign row for a publish and return its current workflow version
+   */
+  async lockCampaign(client, schema, campaignId, tenantId) {
+    const result = await client.query(
+      `SELECT workflow_version FROM ${schema}.campaigns
+       WHERE id = $1 AND tenant_id = $2 AND is_deleted = FALSE
+       FOR UPDATE`,
+      [campaignId, tenantId]
+    );
+    return result.rows[0] ? parseInt(result.rows[0].workflow_version, 10) || 1 : null;
+  }
+}
+
+module.exports = new CampaignWorkflowVersionRepository();
@@ -0,0 +1,220 @@
+/**
+ * Email Mailbox Repository
+ * Data access layer for per-tenant sending mailboxes
+ *
+ * LAD Architecture: Repository Layer (SQL ONLY)
+ * - All database queries
+ * - NO business logic
+ * - Tenant-scoped queries only (except the IMAP poller's cross-tenant scan)
+ */
+
+const { pool } = require('../../../shared/database/connection');
+const { getSchema } = require('../../../core/utils/schemaHelper');
+
+// Credentials are never returned to API callers
+const PUBLIC_COLUMNS = `
+  id, tenant_id, user_id, email_address, display_name,
+  smtp_host, smtp_port, smtp_secure, smtp_username,
+  imap_host, imap_port, imap_secure, imap_username,
+  imap_last_polled_at, imap_failed_uid, imap_failed_attempts, imap_last_error,
+  daily_limit, is_active, created_at, updated_at
+`;
+
+const UPDATABLE_FIELDS = [
+  'display_name', 'smtp_host', 'smtp_port', 'smtp_secure', 'smtp_username', 'smtp_password',
+  'imap_host', 'imap_port', 'imap_secure', 'imap_username', 'imap_password',
+  'daily_limit', 'is_active', 'user_id'
+];
+
+class EmailMailboxRepository {
+  /**
+   * List mailboxes for tenant (without credentials)
+   */
+  async listForTenant(tenantId, context = {}) {
+    if (!tenantId) {
+      throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+    }
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `SELECT ${PUBLIC_COLUMNS}
+       FROM ${schema}.email_mailboxes
+       WHERE tenant_id = $1 AND is_deleted = FALSE
+       ORDER BY created_at ASC`,
+      [tenantId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Get mailbox by ID (without credentials)
+   */
+  async getById(id, tenantId, context = {}) {
+    if (!tenantId) {
+      throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+    }
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `SELECT ${PUBLIC_COLUMNS}
+       FROM ${schema}.email_mailboxes
+       WHERE id = $1 AND tenant_id = $2 AND is_deleted = FALSE`,
+      [id, tenantId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get mailbox by ID including SMTP/IMAP credentials (transport use only)
+   */
+  async getWithCredentials(id, tenantId, context = {}) {
+    if (!tenantId) {
+      throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+    }
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `SELECT * FROM ${schema}.email_mailboxes
+       WHERE id = $1 AND tenant_id = $2 AND is_deleted = FALSE`,
+      [id, tenantId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Active mailboxes for tenant including credentials, preferring the given user's
+   */
+  async getActiveForSending(tenantId, userId = null, context = {}) {
+    if (!tenantId) {
+      throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+    }
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `SELECT * FROM ${schema}.email_mailboxes
+       WHERE tenant_id = $1 AND is_active = TRUE AND is_deleted = FALSE
+       ORDER BY (user_id IS NOT DISTINCT FROM $2) DESC, created_at ASC`,
+      [tenantId, userId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * All active mailboxes with IMAP configured (across tenants, for the inbox poller)
+   */
+  async getAllWithImap(context = {}) {
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `SELECT * FROM ${schema}.email_mailboxes
+       WHERE is_active = TRUE AND is_deleted = FALSE AND imap_host IS NOT NULL
+       ORDER BY imap_last_polled_at ASC NULLS FIRST`
+    );
+    return result.rows;
+  }
+
+  async create(tenantId, data, context = {}) {
+    if (!tenantId) {
+      throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+    }
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `INSERT INTO ${schema}.email_mailboxes (
+        tenant_id, user_id, email_address, display_name,
+        smtp_host, smtp_port, smtp_secure, smtp_username, smtp_password,
+        imap_host, imap_port, imap_secure, imap_username, imap_password,
+        daily_limit
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+      RETURNING ${PUBLIC_COLUMNS}`,
+      [
+        tenantId,
+        data.user_id || null,
+        data.email_address,
+        data.display_name || null,
+        data.smtp_host,
+        data.smtp_port,
+        data.smtp_secure,
+        data.smtp_username || null,
+        data.smtp_password || null,
+        data.imap_host || null,
+        data.imap_port || null,
+        data.imap_secure,
+        data.imap_username || null,
+        data.imap_password || null,
+        data.daily_limit
+      ]
+    );
+    return result.rows[0];
+  }
+
+  async update(id, tenantId, updates, context = {}) {
+    if (!tenantId) {
+      throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+    }
+    const schema = getSchema(context);
+    const setClauses = [];
+    const values = [id, tenantId];
+    for (const field of UPDATABLE_FIELDS) {
+      if (updates[field] !== undefined) {
+        values.push(updates[field]);
+        setClauses.push(`${field} = $${values.length}`);
+      }
+    }
+    if (setClauses.length === 0) {
+      return this.getById(id, tenantId, context);
+    }
+    const result = await pool.query(
+      `UPDATE ${schema}.email_mailboxes
+       SET ${setClauses.join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND tenant_id = $2 AND is_deleted = FALSE
+       RETURNING ${PUBLIC_COLUMNS}`,
+      values
+    );
+    return result.rows[0] || null;
+  }
+
+  async delete(id, tenantId, context = {}) {
+    if (!tenantId) {
+      throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+    }
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `UPDATE ${schema}.email_mailboxes
+       SET is_deleted = TRUE, is_active = FALSE, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND tenant_id = $2 AND is_deleted = FALSE
+       RETURNING id`,
+      [id, tenantId]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Remember how far the IMAP poller has scanned
+   */
+  async updateImapCursor(id, lastUid, context = {}) {
+    const schema = getSchema(context);
+    await pool.query(
+      `UPDATE ${schema}.email_mailboxes
+       SET imap_last_uid = GREATEST(COALESCE(imap_last_uid, 0), $2), imap_last_polled_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [id, lastUid]
+    );
+  }
+
+  /**
+   * Count a failed attempt to process an inbound message
+   * (kept on the mailbox after the cursor moves past it, as the record of a skipped message)
+   * @returns {Promise<number>} Consecutive failed attempts for this UID
+   */
+  async recordImapFailure(id, uid, errorMessage, context = {}) {
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `UPDATE ${schema}.email_mailboxes
+       SET imap_failed_attempts = CASE WHEN imap_failed_uid = $2 THEN imap_failed_attempts + 1 ELSE 1 END,
+           imap_failed_uid = $2,
+           imap_last_error = $3,
+           imap_last_polled_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING imap_failed_attempts`,
+      [id, uid, errorMessage]
+    );
+    return result.rows[0]?.imap_failed_attempts || 1;
+  }
+}
+
+module.exports = new EmailMailboxRepository();
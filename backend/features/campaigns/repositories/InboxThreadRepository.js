@@ -0,0 +1,182 @@
+/**
+ * Inbox Thread Repository
+ * Data access layer for campaign_inbox_threads (one reply thread per campaign lead and channel)
+ *
+ * LAD Architecture: Repository Layer (SQL ONLY)
+ * - All database queries
+ * - NO business logic
+ * - Tenant-scoped queries only (except ingestion upserts, which carry the tenant)
+ */
+
+const { pool } = require('../../../shared/database/connection');
+const { getSchema } = require('../../../core/utils/schemaHelper');
+
+// Snoozes wake up on their own: an expired snooze reads as open
+const EFFECTIVE_STATUS = `
+  CASE WHEN t.status = 'snoozed' AND t.snoozed_until <= CURRENT_TIMESTAMP THEN 'open' ELSE t.status END
+`;
+
+const THREAD_COLUMNS = `
+  t.id, t.tenant_id, t.campaign_id, t.campaign_lead_id, t.lead_id, t.channel,
+  t.account_ref, t.chat_ref, t.lead_name, t.last_message_at, t.last_message_preview,
+  t.last_direction, t.unread_count, ${EFFECTIVE_STATUS} AS status, t.snoozed_until,
+  t.assigned_user_id, t.created_at, t.updated_at
+`;
+
+class InboxThreadRepository {
+  /**
+   * Create or bump the thread for an inbound reply (reopens handled/snoozed threads)
+   */
+  async upsertInbound(data, context = {}) {
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `INSERT INTO ${schema}.campaign_inbox_threads (
+        tenant_id, campaign_id, campaign_lead_id, lead_id, channel,
+        account_ref, chat_ref, lead_name, last_message_at, last_message_preview,
+        last_direction, unread_count, status
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'inbound', 1, 'open')
+      ON CONFLICT (campaign_lead_id, channel) DO UPDATE SET
+        account_ref = COALESCE(EXCLUDED.account_ref, campaign_inbox_threads.account_ref),
+        chat_ref = COALESCE(EXCLUDED.chat_ref, campaign_inbox_threads.chat_ref),
+        lead_name = COALESCE(EXCLUDED.lead_name, campaign_inbox_threads.lead_name),
+        last_message_at = EXCLUDED.last_message_at,
+        last_message_preview = EXCLUDED.last_message_preview,
+        last_direction = 'inbound',
+        unread_count = campaign_inbox_threads.unread_count + 1,
+        status = 'open',
+        snoozed_until = NULL,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING *`,
+      [
+        data.tenantId,
+        data.campaignId,
+        data.campaignLeadId,
+        data.leadId || null,
+        data.channel,
+        data.accountRef || null,
+        data.chatRef || null,
+        data.leadName || null,
+        data.receivedAt || new Date(),
+        data.preview || null
+      ]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * List threads for tenant, newest activity first
+   * @param {Object} filters - { campaignId, channel, status, assignedUserId, unassigned, search, limit, offset }
+   */
+  async list(tenantId, filters = {}, context = {}) {
+    if (!tenantId) {
+      throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+    }
+    const schema = getSchema(context);
+    const conditions = ['t.tenant_id = $1'];
+    const values = [tenantId];
+    const addCondition = (sql, value) => {
+      values.push(value);
+      conditions.push(sql.replace('?', `$${values.length}`));
+    };
+    if (filters.campaignId) addCondition('t.campaign_id = ?', filters.campaignId);
+    if (filters.channel) addCondition('t.channel = ?', filters.channel);
+    if (filters.status) addCondition(`(${EFFECTIVE_STATUS}) = ?`, filters.status);
+    if (filters.assignedUserId) addCondition('t.assigned_user_id = ?', filters.assignedUserId);
+    if (filters.unassigned) conditions.push('t.assigned_user_id IS NULL');
+    if (filters.search) {
+      values.push(`%${filters.search}%`);
+      conditions.push(`(t.lead_name ILIKE $${values.length} OR t.last_message_preview ILIKE $${values.length})`);
+    }
+    const where = conditions.join(' AND ');
+    const countResult = await pool.query(
+      `SELECT COUNT(*)::int AS total FROM ${schema}.campaign_inbox_threads t WHERE ${where}`,
+      values
+    );
+    values.push(filters.limit || 50, filters.offset || 0);
+    const result = await pool.query(
+      `SELECT ${THREAD_COLUMNS}, c.name AS campaign_name
+       FROM ${schema}.campaign_inbox_threads t
+       LEFT JOIN ${schema}.campaigns c ON c.id = t.campaign_id
+       WHERE ${where}
+       ORDER BY t.last_message_at DESC NULLS LAST
+       LIMIT $${values.length - 1} OFFSET $${values.length}`,
+      values
+    );
+    return { threads: result.rows, total: countResult.rows[0].total };
+  }
+
+  async getById(id, tenantId, context = {}) {
+    if (!tenantId) {
+      throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+    }
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `SELECT ${THREAD_COLUMNS}, c.name AS campaign_name
+       FROM ${schema}.campaign_inbox_threads t
+       LEFT JOIN ${schema}.campaigns c ON c.id = t.campaign_id
+       WHERE t.id = $1 AND t.tenant_id = $2`,
+      [id, tenantId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Update triage state
+   * @param {Object} fields - { status, snoozed_until, assigned_user_id } (undefined fields are left as-is)
+   */
+  async updateTriage(id, tenantId, fields, context = {}) {
+    if (!tenantId) {
+      throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+    }
+    const schema = getSchema(context);
+    const setClauses = [];
+    const values = [id, tenantId];
+    for (const field of ['status', 'snoozed_until', 'assigned_user_id']) {
+      if (fields[field] !== undefined) {
+        values.push(fields[field]);
+        setClauses.push(`${field} = $${values.length}`);
+      }
+    }
+    if (setClauses.length === 0) {
+      return this.getById(id, tenantId, context);
+    }
+    const result = await pool.query(
+      `UPDATE ${schema}.campaign_inbox_threads
+       SET ${setClauses.join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND tenant_id = $2
+       RETURNING id`,
+      values
+    );
+    return result.rows.length > 0 ? this.getById(id, tenantId, context) : null;
+  }
+
+  async markRead(id, tenantId, context = {}) {
+    const schema = getSchema(context);
+    await pool.query(
+      `UPDATE ${schema}.campaign_inbox_threads
+       SET unread_count = 0
+       WHERE id = $1 AND tenant_id = $2 AND unread_count > 0`,
+      [id, tenantId]
+    );
+  }
+
+  /**
+   * Record a manual reply sent from the inbox
+   */
+  async recordOutbound(id, tenantId, { preview, chatRef = null }, context = {}) {
+    const schema = getSchema(context);
+    await pool.query(
+      `UPDATE ${schema}.campaign_inbox_threads
+       SET last_message_at = CURRENT_TIMESTAMP,
+           last_message_preview = $3,
+           last_direction = 'outbound',
+           unread_count = 0,
+           chat_ref = COALESCE($4, chat_ref),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND tenant_id = $2`,
+      [id, tenantId, preview, chatRef]
+    );
+  }
+}
+
+module.exports = new InboxThreadRepository();
@@ -0,0 +1,144 @@
+/**
+ * Instagram Account Repository
+ * Data access layer for per-tenant Instagram accounts used by instagram_* steps
+ *
+ * LAD Architecture: Repository Layer (SQL ONLY)
+ * - All database queries
+ * - NO business logic
+ * - Tenant-scoped queries only (except webhook lookups by provider id)
+ */
+
+const { pool } = require('../../../shared/database/connection');
+const { getSchema } = require('../../../core/utils/schemaHelper');
+
+const UPDATABLE_FIELDS = [
+  'username', 'display_name', 'unipile_account_id', 'daily_limit', 'action_limits', 'is_active'
+];
+
+class InstagramAccountRepository {
+  async listForTenant(tenantId, context = {}) {
+    if (!tenantId) {
+      throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+    }
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `SELECT * FROM ${schema}.instagram_accounts
+       WHERE tenant_id = $1 AND is_deleted = FALSE
+       ORDER BY created_at ASC`,
+      [tenantId]
+    );
+    return result.rows;
+  }
+
+  async getById(id, tenantId, context = {}) {
+    if (!tenantId) {
+      throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+    }
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `SELECT * FROM ${schema}.instagram_accounts
+       WHERE id = $1 AND tenant_id = $2 AND is_deleted = FALSE`,
+      [id, tenantId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Active accounts for tenant (oldest first)
+   */
+  async getActiveForTenant(tenantId, context = {}) {
+    if (!tenantId) {
+      throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+    }
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `SELECT * FROM ${schema}.instagram_accounts
+       WHERE tenant_id = $1 AND is_active = TRUE AND is_deleted = FALSE
+       ORDER BY created_at ASC`,
+      [tenantId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Find the account a webhook event was delivered to
+   * @param {string} provider - unipile
+   * @param {string} providerAccountId - Unipile account_id
+   */
+  async findByProviderAccountId(provider, providerAccountId, context = {}) {
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `SELECT * FROM ${schema}.instagram_accounts
+       WHERE provider = $1 AND unipile_account_id = $2 AND is_deleted = FALSE
+       LIMIT 1`,
+      [provider, providerAccountId]
+    );
+    return result.rows[0] || null;
+  }
+
+  async create(tenantId, data, context = {}) {
+    if (!tenantId) {
+      throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+    }
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `INSERT INTO ${schema}.instagram_accounts (
+        tenant_id, provider, username, display_name, unipile_account_id, daily_limit, action_limits
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *`,
+      [
+        tenantId,
+        data.provider,
+        data.username || null,
+        data.display_name || null,
+        data.unipile_account_id || null,
+        data.daily_limit,
+        JSON.stringify(data.action_limits || {})
+      ]
+    );
+    return result.rows[0];
+  }
+
+  async update(id, tenantId, updates, context = {}) {
+    if (!tenantId) {
+      throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+    }
+    const schema = getSchema(context);
+    const setClauses = [];
+    const values = [id, tenantId];
+    for (const field of UPDATABLE_FIELDS) {
+      if (updates[field] !== undefined) {
+        values.push(field === 'action_limits' ? JSON.stringify(updates[field]) : updates[field]);
+        setClauses.push(`${field} = $${values.length}`);
+      }
+    }
+    if (setClauses.length === 0) {
+      return null;
+    }
+    const result = await pool.query(
+      `UPDATE ${schema}.instagram_accounts
+       SET ${setClauses.join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND tenant_id = $2 AND is_deleted = FALSE
+       RETURNING *`,
+      values
+    );
+    return result.rows[0] || null;
+  }
+
+  async delete(id, tenantId, context = {}) {
+    if (!tenantId) {
+      throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+    }
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `UPDATE ${schema}.instagram_accounts
+       SET is_deleted = TRUE, is_active = FALSE, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND tenant_id = $2 AND is_deleted = FALSE
+       RETURNING id`,
+      [id, tenantId]
+    );
+    return result.rows.length > 0;
+  }
+}
+
+module.exports = new InstagramAccountRepository();
@@ -0,0 +1,101 @@
+/**
+ * Job Dead Letter Repository
+ * Data access layer for job_dead_letters (jobs that exhausted their retries on any backend)
+ *
+ * LAD Architecture: Repository Layer (SQL ONLY)
+ * - All database queries
+ * - NO business logic
+ * - Tenant-scoped queries only (except recording a dead letter, which may be a system job)
+ */
+
+const { pool } = require('../../../shared/database/connection');
+const { getSchema } = require('../../../core/utils/schemaHelper');
+
+function requireTenant(tenantId) {
+  if (!tenantId) {
+    throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+  }
+}
+
+class JobDeadLetterRepository {
+  /**
+   * @param {Object} entry - { jobId, tenantId, name, payload, dedupeKey, backend, attempts, lastError }
+   */
+  async create(entry, context = {}) {
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `INSERT INTO ${schema}.job_dead_letters (
+         job_id, tenant_id, name, payload, dedupe_key, backend, attempts, last_error
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [
+        entry.jobId || null,
+        entry.tenantId || null,
+        entry.name,
+        JSON.stringify(entry.payload || {}),
+        entry.dedupeKey || null,
+        entry.backend,
+        entry.attempts || 0,
+        entry.lastError || null
+      ]
+    );
+    return result.rows[0];
+  }
+
+  async getById(id, tenantId, context = {}) {
+    requireTenant(tenantId);
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `SELECT * FROM ${schema}.job_dead_letters WHERE id = $1 AND tenant_id = $2`,
+      [id, tenantId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * @param {Object} filters - { name, replayed (boolean), limit, offset }
+   */
+  async list(tenantId, filters = {}, context = {}) {
+    requireTenant(tenantId);
+    const schema = getSchema(context);
+    const values = [tenantId];
+    const conditions = ['tenant_id = $1'];
+    if (filters.name) {
+      values.push(filters.name);
+      conditions.push(`name = $${values.length}`);
+    }
+    if (filters.replayed === true) {
+      conditions.push('replayed_at IS NOT NULL');
+    } else if (filters.replayed === false) {
+      conditions.push('replayed_at IS NULL');
+    }
+    values.push(filters.limit || 50, filters.offset || 0);
+    const result = await pool.query(
+      `SELECT * FROM ${schema}.job_dead_letters
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY failed_at DESC
+       LIMIT $${values.length - 1} OFFSET $${values.length}`,
+      values
+    );
+    return result.rows;
+  }
+
+  /**
+   * Mark a dead letter replayed (only the first replay wins)
+   * @returns {Promise<Object|null>} Updated row, or null if already replayed
+   */
+  async markReplayed(id, tenantId, replayedJobId, context = {}) {
+    requireTenant(tenantId);
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `UPDATE ${schema}.job_dead_letters
+       SET replayed_at = CURRENT_TIMESTAMP, replayed_job_id = $3
+       WHERE id = $1 AND tenant_id = $2 AND replayed_at IS NULL
+       RETURNING *`,
+      [id, tenantId, replayedJobId]
+    );
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = new JobDeadLetterRepository();
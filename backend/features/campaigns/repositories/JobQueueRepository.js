@@ -0,0 +1,165 @@
+/**
+ * Job Queue Repository
+ * Data access layer for job_queue (jobs stored by the postgres job queue backend)
+ *
+ * LAD Architecture: Repository Layer (SQL ONLY)
+ * - All database queries
+ * - NO business logic
+ * - Tenant-scoped queries only (except the worker's cross-tenant claim and bookkeeping)
+ */
+
+const { pool } = require('../../../shared/database/connection');
+const { getSchema } = require('../../../core/utils/schemaHelper');
+
+function requireTenant(tenantId) {
+  if (!tenantId) {
+    throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+  }
+}
+
+class JobQueueRepository {
+  /**
+   * Insert a job unless a live job with the same dedupe key exists
+   * @param {Object} job - { tenantId, name, payload, dedupeKey, runAt, maxAttempts }
+   * @returns {Promise<Object|null>} Created job, or null if deduplicated
+   */
+  async create(job, context = {}) {
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `INSERT INTO ${schema}.job_queue (tenant_id, name, payload, dedupe_key, run_at, max_attempts)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (dedupe_key) WHERE dedupe_key IS NOT NULL AND status <> 'dead' DO NOTHING
+       RETURNING *`,
+      [
+        job.tenantId || null,
+        job.name,
+        JSON.stringify(job.payload || {}),
+        job.dedupeKey || null,
+        job.runAt,
+        job.maxAttempts
+      ]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * The live (not dead) job holding a dedupe key
+   */
+  async findLiveByDedupeKey(dedupeKey, context = {}) {
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `SELECT * FROM ${schema}.job_queue
+       WHERE dedupe_key = $1 AND status <> 'dead'
+       LIMIT 1`,
+      [dedupeKey]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Claim due jobs across tenants for the worker
+   * Also reclaims jobs left 'running' past the lock timeout by a worker that died.
+   * Claimed jobs move to 'running' with attempts incremented.
+   */
+  async claimDueJobs(limit, lockTimeoutMinutes, context = {}) {
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `UPDATE ${schema}.job_queue
+       SET status = 'running', attempts = attempts + 1, locked_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id IN (
+         SELECT id FROM ${schema}.job_queue
+         WHERE (status = 'pending' AND run_at <= NOW())
+            OR (status = 'running' AND locked_at < NOW() - ($2 * INTERVAL '1 minute'))
+         ORDER BY run_at ASC
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [limit, lockTimeoutMinutes]
+    );
+    return result.rows;
+  }
+
+  async markCompleted(id, context = {}) {
+    const schema = getSchema(context);
+    await pool.query(
+      `UPDATE ${schema}.job_queue
+       SET status = 'completed', completed_at = CURRENT_TIMESTAMP, locked_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [id]
+    );
+  }
+
+  async markRetry(id, runAt, errorMessage, context = {}) {
+    const schema = getSchema(context);
+    await pool.query(
+      `UPDATE ${schema}.job_queue
+       SET status = 'pending', run_at = $2, last_error = $3, locked_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [id, runAt, errorMessage]
+    );
+  }
+
+  async markDead(id, errorMessage, context = {}) {
+    const schema = getSchema(context);
+    await pool.query(
+      `UPDATE ${schema}.job_queue
+       SET status = 'dead', last_error = $2, locked_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [id, errorMessage]
+    );
+  }
+
+  /**
+   * Delete completed jobs older than a cutoff (ends their dedupe window)
+   * @returns {Promise<number>} Deleted row count
+   */
+  async purgeCompleted(before, context = {}) {
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `DELETE FROM ${schema}.job_queue
+       WHERE status = 'completed' AND completed_at < $1`,
+      [before]
+    );
+    return result.rowCount;
+  }
+
+  async getById(id, tenantId, context = {}) {
+    requireTenant(tenantId);
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `SELECT * FROM ${schema}.job_queue WHERE id = $1 AND tenant_id = $2`,
+      [id, tenantId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * @param {Object} filters - { status, name, limit, offset }
+   */
+  async list(tenantId, filters = {}, context = {}) {
+    requireTenant(tenantId);
+    const schema = getSchema(context);
+    const values = [tenantId];
+    const conditions = ['tenant_id = $1'];
+    if (filters.status) {
+      values.push(filters.status);
+      conditions.push(`status = $${values.length}`);
+    }
+    if (filters.name) {
+      values.push(filters.name);
+      conditions.push(`name = $${values.length}`);
+    }
+    values.push(filters.limit || 50, filters.offset || 0);
+    const result = await pool.query(
+      `SELECT * FROM ${schema}.job_queue
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY created_at DESC
+       LIMIT $${values.length - 1} OFFSET $${values.length}`,
+      values
+    );
+    return result.rows;
+  }
+}
+
+module.exports = new JobQueueRepository();
@@ -1,6 +1,16 @@
 const { getSchema } = require('../../../core/utils/schemaHelper');
 const logger = require('../../../core/utils/logger');
 
+// Connection limits in force: the configured/tuned limit, held to the warm-up cap while an
+// account warms up, and nothing while its warm-up is paused
+const limitInForceSql = (limitColumn, warmupColumn) => `CASE
+          WHEN warmup_status = 'paused' THEN 0
+          WHEN warmup_status = 'active' THEN LEAST(${limitColumn}, ${warmupColumn})
+          ELSE ${limitColumn}
+        END`;
+const DAILY_LIMIT_IN_FORCE = limitInForceSql('default_daily_limit', 'warmup_daily_limit');
+const WEEKLY_LIMIT_IN_FORCE = limitInForceSql('default_weekly_limit', 'warmup_weekly_limit');
+
 /**
  * Repository for LinkedIn accounts data access
  * LAD Architecture: Repository Layer (ONLY SQL)
@@ -12,6 +22,7 @@ class LinkedInAccountRepository {
 
   /**
    * Get all active LinkedIn accounts for a tenant
+   * default_daily_limit/default_weekly_limit are the limits in force (warm-up applied)
    * @param {string} tenantId - Tenant ID
    * @param {Object} context - Request context
    * @returns {Promise<Array>} List of accounts
@@ -26,7 +37,9 @@ class LinkedInAccountRepository {
 
     try {
       const query = `
-        SELECT id, tenant_id, account_name, provider_account_id, status, user_id, default_daily_limit
+        SELECT id, tenant_id, account_name, provider_account_id, status, user_id, warmup_status,
+        ${DAILY_LIMIT_IN_FORCE} AS default_daily_limit,
+        ${WEEKLY_LIMIT_IN_FORCE} AS default_weekly_limit
         FROM ${schema}.social_linkedin_accounts
         WHERE tenant_id = $1 
         AND status = 'active'
@@ -41,7 +54,9 @@ class LinkedInAccountRepository {
         unipile_account_id: row.provider_account_id,
         account_name: row.account_name,
         user_id: row.user_id,
-        default_daily_limit: row.default_daily_limit
+        default_daily_limit: row.default_daily_limit,
+        default_weekly_limit: row.default_weekly_limit,
+        warmup_status: row.warmup_status
       }));
     } catch (error) {
       logger.error('[LinkedInAccountRepository] Error getting accounts for tenant', {
@@ -54,6 +69,7 @@ class LinkedInAccountRepository {
 
   /**
    * Get primary LinkedIn account for execution
+   * default_daily_limit is the limit in force (warm-up applied)
    * @param {string} tenantId - Tenant ID
    * @param {Object} context - Request context
    * @returns {Promise<Object|null>} Account or null
@@ -68,7 +84,8 @@ class LinkedInAccountRepository {
 
     try {
       const query = `
-        SELECT id, provider_account_id, account_name, user_id, default_daily_limit
+        SELECT id, provider_account_id, account_name, user_id, warmup_status,
+        ${DAILY_LIMIT_IN_FORCE} AS default_daily_limit
         FROM ${schema}.social_linkedin_accounts
         WHERE tenant_id = $1 
         AND status = 'active'
@@ -89,7 +106,8 @@ class LinkedInAccountRepository {
         provider_account_id: account.provider_account_id,
         account_name: account.account_name || 'LinkedIn Account',
         user_id: account.user_id,
-        default_daily_limit: account.default_daily_limit
+        default_daily_limit: account.default_daily_limit,
+        warmup_status: account.warmup_status
       };
     } catch (error) {
       logger.error('[LinkedInAccountRepository] Error getting primary account', {
@@ -529,7 +547,7 @@ class LinkedInAccountRepository {
 
   /**
    * Get total daily limit for all active LinkedIn accounts of a tenant
-   * Sums default_daily_limit from all active accounts
+   * Sums the daily limits in force (warm-up applied) of all active accounts
    * @param {string} tenantId - Tenant ID
    * @param {Object} context - Request context
    * @returns {Promise<number>} Total daily limit
@@ -544,7 +562,7 @@ class LinkedInAccountRepository {
 
     try {
       const query = `
-        SELECT COALESCE(SUM(default_daily_limit), 0) as total_daily_limit
+        SELECT COALESCE(SUM(${DAILY_LIMIT_IN_FORCE}), 0) as total_daily_limit
         FROM ${schema}.social_linkedin_accounts
         WHERE tenant_id = $1 
         AND status = 'active'
@@ -674,7 +692,7 @@ class LinkedInAccountRepository {
 
   /**
    * Get total weekly limit for all active LinkedIn accounts of a tenant
-   * Sums default_weekly_limit from all active accounts
+   * Sums the weekly limits in force (warm-up applied) of all active accounts
    * @param {string} tenantId - Tenant ID
    * @param {Object} context - Request context
    * @returns {Promise<number>} Total weekly limit
@@ -689,7 +707,7 @@ class LinkedInAccountRepository {
 
     try {
       const query = `
-        SELECT COALESCE(SUM(default_weekly_limit), 0) as total_weekly_limit
+        SELECT COALESCE(SUM(${WEEKLY_LIMIT_IN_FORCE}), 0) as total_weekly_limit
         FROM ${schema}.social_linkedin_accounts
         WHERE tenant_id = $1 
         AND status = 'active'
@@ -946,6 +964,241 @@ class LinkedInAccountRepository {
       return null;
     }
   }
+
+  /**
+   * Put a newly connected account on the warm-up program
+   * LAD Architecture: Repository Layer — SQL only
+   * @param {string} accountId - Account UUID (id column)
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} warmup - { dailyLimit, weeklyLimit } - first-stage warm-up caps
+   * @param {Object} context - Request context
+   * @returns {Promise<Object|null>} Updated account or null
+   */
+  async startWarmup(accountId, tenantId, warmup, context = {}) {
+    const schema = getSchema(context);
+
+    try {
+      const result = await this.pool.query(
+        `UPDATE ${schema}.social_linkedin_accounts
+         SET
+           warmup_daily_limit = $3,
+           warmup_weekly_limit = $4,
+           warmup_status = 'active',
+           warmup_started_at = NOW(),
+           warmup_stage = 0,
+           warmup_acceptance_rate = NULL,
+           warmup_paused_at = NULL,
+           warmup_pause_reason = NULL,
+           warmup_evaluated_at = NOW(),
+           warmup_completed_at = NULL,
+           updated_at = NOW()
+         WHERE id = $1 AND tenant_id = $2
+         RETURNING id, provider_account_id, default_daily_limit, default_weekly_limit,
+           warmup_daily_limit, warmup_weekly_limit, warmup_status, warmup_started_at`,
+        [accountId, tenantId, warmup.dailyLimit, warmup.weeklyLimit]
+      );
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('[LinkedInAccountRepository] Error starting account warm-up', {
+        accountId,
+        tenantId,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Get accounts still on the warm-up program (all tenants - warm-up scheduler)
+   * LAD Architecture: Repository Layer — SQL only
+   * @param {Object} context - Request context
+   * @returns {Promise<Array>} Accounts with warm-up state
+   */
+  async getWarmingUpAccounts(context = {}) {
+    const schema = getSchema(context);
+
+    try {
+      const result = await this.pool.query(
+        `SELECT
+           id, tenant_id, provider_account_id, account_name,
+           default_daily_limit, default_weekly_limit, detected_weekly_limit,
+           warmup_status, warmup_started_at, warmup_stage,
+           warmup_daily_limit, warmup_weekly_limit,
+           warmup_acceptance_rate, warmup_paused_at, warmup_pause_reason
+         FROM ${schema}.social_linkedin_accounts
+         WHERE warmup_status IN ('active', 'paused')
+         AND status = 'active'
+         AND is_deleted = false
+         AND provider_account_id IS NOT NULL
+         ORDER BY warmup_started_at ASC`
+      );
+
+      return result.rows;
+    } catch (error) {
+      logger.error('[LinkedInAccountRepository] Error getting warming-up accounts', {
+        error: error.message
+      });
+      return [];
+    }
+  }
+
+  /**
+   * Get warm-up state of a tenant's active accounts
+   * LAD Architecture: Repository Layer — SQL only
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} context - Request context
+   * @returns {Promise<Array>} Accounts with configured limits, limits in force and warm-up state
+   */
+  async getWarmupStateForTenant(tenantId, context = {}) {
+    if (!tenantId) {
+      return [];
+    }
+
+    const schema = getSchema(context);
+
+    try {
+      const result = await this.pool.query(
+        `SELECT
+           id, provider_account_id, account_name,
+           default_daily_limit, default_weekly_limit, detected_weekly_limit,
+           ${DAILY_LIMIT_IN_FORCE} AS daily_limit,
+           ${WEEKLY_LIMIT_IN_FORCE} AS weekly_limit,
+           warmup_status, warmup_started_at, warmup_stage,
+           warmup_daily_limit, warmup_weekly_limit,
+           warmup_acceptance_rate, warmup_paused_at, warmup_pause_reason,
+           warmup_evaluated_at, warmup_completed_at
+         FROM ${schema}.social_linkedin_accounts
+         WHERE tenant_id = $1
+         AND status = 'active'
+         AND is_deleted = false
+         AND provider_account_id IS NOT NULL
+         ORDER BY created_at DESC`,
+        [tenantId]
+      );
+
+      return result.rows;
+    } catch (error) {
+      logger.error('[LinkedInAccountRepository] Error getting warm-up state', {
+        tenantId,
+        error: error.message
+      });
+      return [];
+    }
+  }
+
+  /**
+   * Save a warm-up evaluation (warm-up caps and program state)
+   * The configured/tuned default_* limits are left alone - the caps apply on read
+   * LAD Architecture: Repository Layer — SQL only
+   * @param {string} accountId - Account UUID
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} warmup - { status, stage, dailyLimit, weeklyLimit, acceptanceRate, pausedAt, pauseReason, completedAt }
+   * @param {Object} context - Request context
+   * @returns {Promise<Object|null>} Updated account or null
+   */
+  async updateWarmup(accountId, tenantId, warmup, context = {}) {
+    const schema = getSchema(context);
+
+    try {
+      const result = await this.pool.query(
+        `UPDATE ${schema}.social_linkedin_accounts
+         SET
+           warmup_daily_limit = $3,
+           warmup_weekly_limit = $4,
+           warmup_status = $5,
+           warmup_stage = $6,
+           warmup_acceptance_rate = $7,
+           warmup_paused_at = $8,
+           warmup_pause_reason = $9,
+           warmup_completed_at = $10,
+           warmup_evaluated_at = NOW(),
+           updated_at = NOW()
+         WHERE id = $1 AND tenant_id = $2
+         RETURNING id, warmup_daily_limit, warmup_weekly_limit, warmup_status, warmup_stage`,
+        [
+          accountId,
+          tenantId,
+          warmup.dailyLimit,
+          warmup.weeklyLimit,
+          warmup.status,
+          warmup.stage,
+          warmup.acceptanceRate,
+          warmup.pausedAt,
+          warmup.pauseReason,
+          warmup.completedAt
+        ]
+      );
+
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('[LinkedInAccountRepository] Error updating account warm-up', {
+        accountId,
+        tenantId,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Connection requests an account sent in a window and how many were accepted
+   * Only requests older than maturityDays count - newer ones haven't had time to be accepted
+   * LAD Architecture: Repository Layer — SQL only
+   * @param {string} tenantId - Tenant ID
+   * @param {string} providerAccountId - Provider Account ID
+   * @param {number} windowDays - How far back to look
+   * @param {number} maturityDays - Ignore requests younger than this
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} { sent, accepted }
+   */
+  async getAcceptanceStatsForAccount(tenantId, providerAccountId, windowDays, maturityDays, context = {}) {
+    if (!tenantId || !providerAccountId) {
+      return { sent: 0, accepted: 0 };
+    }
+
+    const schema = getSchema(context);
+
+    try {
+      const result = await this.pool.query(
+        `WITH sent AS (
+           SELECT DISTINCT ON (campaign_id, lead_id) campaign_id, lead_id, created_at
+           FROM ${schema}.campaign_analytics
+           WHERE tenant_id = $1
+           AND provider_account_id = $2
+           AND action_type IN ('CONNECTION_SENT', 'CONNECTION_SENT_WITH_MESSAGE')
+           AND status = 'success'
+           AND lead_id IS NOT NULL
+           AND created_at >= NOW() - make_interval(days => $3)
+           AND created_at < NOW() - make_interval(days => $4)
+           ORDER BY campaign_id, lead_id, created_at ASC
+         )
+         SELECT
+           COUNT(*)::int AS sent,
+           COUNT(*) FILTER (WHERE EXISTS (
+             SELECT 1 FROM ${schema}.campaign_analytics a
+             WHERE a.campaign_id = sent.campaign_id
+             AND a.lead_id = sent.lead_id
+             AND a.action_type = 'CONNECTION_ACCEPTED'
+             AND a.created_at >= sent.created_at
+           ))::int AS accepted
+         FROM sent`,
+        [tenantId, providerAccountId, windowDays, maturityDays]
+      );
+
+      return {
+        sent: result.rows[0]?.sent || 0,
+        accepted: result.rows[0]?.accepted || 0
+      };
+    } catch (error) {
+      logger.error('[LinkedInAccountRepository] Error getting acceptance stats for account', {
+        tenantId,
+        providerAccountId,
+        error: error.message
+      });
+      return { sent: 0, accepted: 0 };
+    }
+  }
 }
 
 module.exports = LinkedInAccountRepository;
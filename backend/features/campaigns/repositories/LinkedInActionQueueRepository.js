@@ -0,0 +1,186 @@
+/**
+ * LinkedIn Action Queue Repository
+ * Data access layer for linkedin_action_queue (paced slots for campaign LinkedIn actions)
+ *
+ * LAD Architecture: Repository Layer (SQL ONLY)
+ * - All database queries
+ * - NO business logic
+ * - Tenant-scoped queries only (except the pacing scheduler's cross-tenant claim)
+ */
+
+const { pool } = require('../../../shared/database/connection');
+const { getSchema } = require('../../../core/utils/schemaHelper');
+
+// Slots that still hold a place on the account timeline
+const ACTIVE_STATUSES = ['scheduled', 'dispatched', 'released'];
+
+function requireTenant(tenantId) {
+  if (!tenantId) {
+    throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+  }
+}
+
+// Queries run on the transaction client inside withAccountLock
+function getDb(context) {
+  return context.client || pool;
+}
+
+class LinkedInActionQueueRepository {
+  /**
+   * Run fn inside a transaction holding a per-account advisory lock, so concurrent
+   * campaign runs book an account's slots one at a time
+   * @param {Function} fn - async (context) => result; pass context to the queries it runs
+   */
+  async withAccountLock(tenantId, providerAccountId, fn, context = {}) {
+    requireTenant(tenantId);
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`linkedin_action_queue:${tenantId}:${providerAccountId}`]);
+      const result = await fn({ ...context, client });
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * The open (not yet released) slot for a lead's step
+   */
+  async findOpenSlot(tenantId, campaignLeadId, stepId, context = {}) {
+    requireTenant(tenantId);
+    const schema = getSchema(context);
+    const result = await getDb(context).query(
+      `SELECT * FROM ${schema}.linkedin_action_queue
+       WHERE tenant_id = $1 AND campaign_lead_id = $2 AND step_id = $3
+         AND status IN ('scheduled', 'dispatched')
+       LIMIT 1`,
+      [tenantId, campaignLeadId, stepId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Latest slot on an account's timeline, optionally for one step type
+   */
+  async getLastSlotForAccount(tenantId, providerAccountId, stepType = null, context = {}) {
+    requireTenant(tenantId);
+    const schema = getSchema(context);
+    const values = [tenantId, providerAccountId, ACTIVE_STATUSES];
+    let typeFilter = '';
+    if (stepType) {
+      values.push(stepType);
+      typeFilter = `AND step_type = $${values.length}`;
+    }
+    const result = await getDb(context).query(
+      `SELECT id, step_type, scheduled_at FROM ${schema}.linkedin_action_queue
+       WHERE tenant_id = $1 AND provider_account_id = $2 AND status = ANY($3) ${typeFilter}
+       ORDER BY scheduled_at DESC
+       LIMIT 1`,
+      values
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Latest slot for a lead (any step), used for per-lead action spacing
+   */
+  async getLastSlotForLead(tenantId, campaignLeadId, context = {}) {
+    requireTenant(tenantId);
+    const schema = getSchema(context);
+    const result = await getDb(context).query(
+      `SELECT id, step_type, scheduled_at FROM ${schema}.linkedin_action_queue
+       WHERE tenant_id = $1 AND campaign_lead_id = $2 AND status = ANY($3)
+       ORDER BY scheduled_at DESC
+       LIMIT 1`,
+      [tenantId, campaignLeadId, ACTIVE_STATUSES]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Slots on an account's timeline in [from, to)
+   */
+  async countSlotsForAccount(tenantId, providerAccountId, from, to, context = {}) {
+    requireTenant(tenantId);
+    const schema = getSchema(context);
+    const result = await getDb(context).query(
+      `SELECT COUNT(*)::int AS count FROM ${schema}.linkedin_action_queue
+       WHERE tenant_id = $1 AND provider_account_id = $2 AND status = ANY($3)
+         AND scheduled_at >= $4 AND scheduled_at < $5`,
+      [tenantId, providerAccountId, ACTIVE_STATUSES, from, to]
+    );
+    return result.rows[0]?.count || 0;
+  }
+
+  /**
+   * @param {Object} slot - { providerAccountId, campaignId, campaignLeadId, stepId, stepType, scheduledAt, status }
+   */
+  async create(tenantId, slot, context = {}) {
+    requireTenant(tenantId);
+    const schema = getSchema(context);
+    const released = slot.status === 'released';
+    const result = await getDb(context).query(
+      `INSERT INTO ${schema}.linkedin_action_queue (
+         tenant_id, provider_account_id, campaign_id, campaign_lead_id,
+         step_id, step_type, scheduled_at, status, released_at
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [
+        tenantId,
+        slot.providerAccountId,
+        slot.campaignId,
+        slot.campaignLeadId,
+        slot.stepId,
+        slot.stepType,
+        slot.scheduledAt,
+        slot.status || 'scheduled',
+        released ? new Date() : null
+      ]
+    );
+    return result.rows[0];
+  }
+
+  async updateStatus(id, tenantId, status, context = {}) {
+    requireTenant(tenantId);
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `UPDATE ${schema}.linkedin_action_queue
+       SET status = $3,
+           released_at = CASE WHEN $3 = 'released' THEN CURRENT_TIMESTAMP ELSE released_at END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND tenant_id = $2
+       RETURNING *`,
+      [id, tenantId, status]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Claim due slots across tenants for the pacing scheduler
+   * Claimed slots move to 'dispatched' so concurrent schedulers never wake a lead twice
+   */
+  async claimDueSlots(limit, context = {}) {
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `UPDATE ${schema}.linkedin_action_queue
+       SET status = 'dispatched', dispatched_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id IN (
+         SELECT id FROM ${schema}.linkedin_action_queue
+         WHERE status = 'scheduled' AND scheduled_at <= NOW()
+         ORDER BY scheduled_at ASC
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [limit]
+    );
+    return result.rows;
+  }
+}
+
+module.exports = new LinkedInActionQueueRepository();
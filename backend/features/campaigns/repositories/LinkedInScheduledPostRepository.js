@@ -0,0 +1,272 @@
+/**
+ * LinkedIn Scheduled Post Repository
+ * Data access layer for linkedin_scheduled_posts (content calendar and publish queue)
+ *
+ * LAD Architecture: Repository Layer (SQL ONLY)
+ * - All database queries
+ * - NO business logic
+ * - Tenant-scoped queries only (except the scheduler's cross-tenant claim and bookkeeping)
+ */
+
+const { pool } = require('../../../shared/database/connection');
+const { getSchema } = require('../../../core/utils/schemaHelper');
+
+function requireTenant(tenantId) {
+  if (!tenantId) {
+    throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+  }
+}
+
+// update() field -> column
+const UPDATABLE_COLUMNS = {
+  providerAccountId: 'provider_account_id',
+  content: 'content',
+  imageUrls: 'image_urls',
+  scheduledAt: 'scheduled_at',
+  status: 'status',
+  attempts: 'attempts',
+  nextAttemptAt: 'next_attempt_at',
+  lastError: 'last_error',
+  failedAt: 'failed_at',
+  cancelledAt: 'cancelled_at'
+};
+
+class LinkedInScheduledPostRepository {
+  /**
+   * Insert a post
+   * A post for a campaign step that already has one is not inserted (returns null).
+   * @param {Object} post - { providerAccountId, campaignId, campaignStepId, createdBy, content, imageUrls, scheduledAt, status }
+   */
+  async create(tenantId, post, context = {}) {
+    requireTenant(tenantId);
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `INSERT INTO ${schema}.linkedin_scheduled_posts (
+        tenant_id, provider_account_id, campaign_id, campaign_step_id, created_by,
+        content, image_urls, scheduled_at, status
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      ON CONFLICT (campaign_id, campaign_step_id) WHERE campaign_step_id IS NOT NULL DO NOTHING
+      RETURNING *`,
+      [
+        tenantId,
+        post.providerAccountId,
+        post.campaignId || null,
+        post.campaignStepId || null,
+        post.createdBy || null,
+        post.content,
+        post.imageUrls || [],
+        post.scheduledAt || null,
+        post.status
+      ]
+    );
+    return result.rows[0] || null;
+  }
+
+  async getById(id, tenantId, context = {}) {
+    requireTenant(tenantId);
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `SELECT * FROM ${schema}.linkedin_scheduled_posts WHERE id = $1 AND tenant_id = $2`,
+      [id, tenantId]
+    );
+    return result.rows[0] || null;
+  }
+
+  async getByCampaignStep(campaignId, campaignStepId, tenantId, context = {}) {
+    requireTenant(tenantId);
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `SELECT * FROM ${schema}.linkedin_scheduled_posts
+       WHERE campaign_id = $1 AND campaign_step_id = $2 AND tenant_id = $3`,
+      [campaignId, campaignStepId, tenantId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Calendar listing, ordered by schedule (drafts last)
+   * @param {Object} filters - { accountId, status, campaignId, from, to, limit, offset }
+   */
+  async list(tenantId, filters = {}, context = {}) {
+    requireTenant(tenantId);
+    const schema = getSchema(context);
+    const values = [tenantId];
+    const conditions = ['tenant_id = $1'];
+    if (filters.accountId) {
+      values.push(filters.accountId);
+      conditions.push(`provider_account_id = $${values.length}`);
+    }
+    if (filters.status) {
+      values.push(filters.status);
+      conditions.push(`status = $${values.length}`);
+    }
+    if (filters.campaignId) {
+      values.push(filters.campaignId);
+      conditions.push(`campaign_id = $${values.length}`);
+    }
+    if (filters.from) {
+      values.push(filters.from);
+      conditions.push(`COALESCE(published_at, scheduled_at) >= $${values.length}`);
+    }
+    if (filters.to) {
+      values.push(filters.to);
+      conditions.push(`COALESCE(published_at, scheduled_at) < $${values.length}`);
+    }
+    values.push(filters.limit || 100, filters.offset || 0);
+    const result = await pool.query(
+      `SELECT * FROM ${schema}.linkedin_scheduled_posts
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY COALESCE(published_at, scheduled_at) ASC NULLS LAST, created_at ASC
+       LIMIT $${values.length - 1} OFFSET $${values.length}`,
+      values
+    );
+    return result.rows;
+  }
+
+  /**
+   * Update a post that is still in one of the expected statuses
+   * @param {Object} changes - keys of UPDATABLE_COLUMNS
+   * @param {Array<string>} expectedStatuses - the update is skipped (null) when the post moved on
+   */
+  async update(id, tenantId, changes, expectedStatuses, context = {}) {
+    requireTenant(tenantId);
+    const schema = getSchema(context);
+    const values = [id, tenantId, expectedStatuses];
+    const assignments = [];
+    for (const [field, column] of Object.entries(UPDATABLE_COLUMNS)) {
+      if (changes[field] !== undefined) {
+        values.push(changes[field]);
+        assignments.push(`${column} = $${values.length}`);
+      }
+    }
+    const result = await pool.query(
+      `UPDATE ${schema}.linkedin_scheduled_posts
+       SET ${assignments.concat('updated_at = CURRENT_TIMESTAMP').join(', ')}
+       WHERE id = $1 AND tenant_id = $2 AND status = ANY($3)
+       RETURNING *`,
+      values
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Per-account queue state of a tenant
+   * @returns {Promise<Array>} [{ provider_account_id, draft_count, scheduled_count, published_count,
+   *   failed_count, next_scheduled_at, last_published_at, last_error, last_failed_at }]
+   */
+  async getQueueSummary(tenantId, context = {}) {
+    requireTenant(tenantId);
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `SELECT
+         p.provider_account_id,
+         COUNT(*) FILTER (WHERE p.status = 'draft')::int AS draft_count,
+         COUNT(*) FILTER (WHERE p.status IN ('scheduled', 'publishing'))::int AS scheduled_count,
+         COUNT(*) FILTER (WHERE p.status = 'published')::int AS published_count,
+         COUNT(*) FILTER (WHERE p.status = 'failed')::int AS failed_count,
+         MIN(p.scheduled_at) FILTER (WHERE p.status = 'scheduled') AS next_scheduled_at,
+         MAX(p.published_at) AS last_published_at,
+         (SELECT f.last_error FROM ${schema}.linkedin_scheduled_posts f
+          WHERE f.tenant_id = p.tenant_id AND f.provider_account_id = p.provider_account_id AND f.status = 'failed'
+          ORDER BY f.failed_at DESC NULLS LAST LIMIT 1) AS last_error,
+         MAX(p.failed_at) FILTER (WHERE p.status = 'failed') AS last_failed_at
+       FROM ${schema}.linkedin_scheduled_posts p
+       WHERE p.tenant_id = $1
+       GROUP BY p.tenant_id, p.provider_account_id
+       ORDER BY p.provider_account_id`,
+      [tenantId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Claim due posts across tenants for the scheduler, at most one per account
+   * An account is skipped while one of its posts is publishing or it published less than
+   * minGapMinutes ago. Claimed posts move to 'publishing' with attempts incremented.
+   */
+  async claimDuePosts(limit, minGapMinutes, context = {}) {
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `UPDATE ${schema}.linkedin_scheduled_posts
+       SET status = 'publishing', attempts = attempts + 1, locked_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE status = 'scheduled' AND id IN (
+         SELECT id FROM (
+           SELECT DISTINCT ON (p.tenant_id, p.provider_account_id) p.id, p.scheduled_at
+           FROM ${schema}.linkedin_scheduled_posts p
+           WHERE p.status = 'scheduled'
+             AND p.scheduled_at <= NOW()
+             AND (p.next_attempt_at IS NULL OR p.next_attempt_at <= NOW())
+             AND NOT EXISTS (
+               SELECT 1 FROM ${schema}.linkedin_scheduled_posts q
+               WHERE q.tenant_id = p.tenant_id
+                 AND q.provider_account_id = p.provider_account_id
+                 AND (q.status = 'publishing'
+                   OR (q.status = 'published' AND q.published_at > NOW() - ($2 * INTERVAL '1 minute')))
+             )
+           ORDER BY p.tenant_id, p.provider_account_id, p.scheduled_at ASC
+         ) due
+         ORDER BY due.scheduled_at ASC
+         LIMIT $1
+       )
+       RETURNING *`,
+      [limit, minGapMinutes]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Fail posts left 'publishing' past the lock timeout by a scheduler that died
+   * They are not retried: LinkedIn may already show the post.
+   */
+  async failStalePublishing(lockTimeoutMinutes, errorMessage, context = {}) {
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `UPDATE ${schema}.linkedin_scheduled_posts
+       SET status = 'failed', last_error = $2, failed_at = CURRENT_TIMESTAMP, locked_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE status = 'publishing' AND locked_at < NOW() - ($1 * INTERVAL '1 minute')
+       RETURNING *`,
+      [lockTimeoutMinutes, errorMessage]
+    );
+    return result.rows;
+  }
+
+  async markPublished(id, published, context = {}) {
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `UPDATE ${schema}.linkedin_scheduled_posts
+       SET status = 'published', provider_post_id = $2, post_url = $3, published_at = CURRENT_TIMESTAMP,
+           last_error = NULL, next_attempt_at = NULL, locked_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [id, published.providerPostId || null, published.postUrl || null]
+    );
+    return result.rows[0] || null;
+  }
+
+  async markRetry(id, nextAttemptAt, errorMessage, context = {}) {
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `UPDATE ${schema}.linkedin_scheduled_posts
+       SET status = 'scheduled', next_attempt_at = $2, last_error = $3, locked_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [id, nextAttemptAt, errorMessage]
+    );
+    return result.rows[0] || null;
+  }
+
+  async markFailed(id, errorMessage, context = {}) {
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `UPDATE ${schema}.linkedin_scheduled_posts
+       SET status = 'failed', last_error = $2, failed_at = CURRENT_TIMESTAMP, next_attempt_at = NULL,
+           locked_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [id, errorMessage]
+    );
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = new LinkedInScheduledPostRepository();
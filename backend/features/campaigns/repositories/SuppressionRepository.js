@@ -0,0 +1,156 @@
+/**
+ * Suppression Repository
+ * Data access layer for campaign_suppressions (tenant-wide do-not-contact list)
+ *
+ * LAD Architecture: Repository Layer (SQL ONLY)
+ * - All database queries
+ * - NO business logic
+ * - Tenant-scoped queries only
+ */
+
+const { pool } = require('../../../shared/database/connection');
+const { getSchema } = require('../../../core/utils/schemaHelper');
+
+// Rows per multi-row INSERT during CSV imports
+const INSERT_BATCH_SIZE = 500;
+
+class SuppressionRepository {
+  /**
+   * List entries for tenant, newest first
+   * @param {Object} filters - { type, search, limit, offset }
+   */
+  async list(tenantId, filters = {}, context = {}) {
+    if (!tenantId) {
+      throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+    }
+    const schema = getSchema(context);
+    const conditions = ['tenant_id = $1'];
+    const values = [tenantId];
+    if (filters.type) {
+      values.push(filters.type);
+      conditions.push(`type = $${values.length}`);
+    }
+    if (filters.search) {
+      values.push(`%${filters.search}%`);
+      conditions.push(`(value ILIKE $${values.length} OR reason ILIKE $${values.length})`);
+    }
+    const where = conditions.join(' AND ');
+    const countResult = await pool.query(
+      `SELECT COUNT(*)::int AS total FROM ${schema}.campaign_suppressions WHERE ${where}`,
+      values
+    );
+    values.push(filters.limit || 50, filters.offset || 0);
+    const result = await pool.query(
+      `SELECT * FROM ${schema}.campaign_suppressions
+       WHERE ${where}
+       ORDER BY created_at DESC
+       LIMIT $${values.length - 1} OFFSET $${values.length}`,
+      values
+    );
+    return { entries: result.rows, total: countResult.rows[0].total };
+  }
+
+  async getById(id, tenantId, context = {}) {
+    if (!tenantId) {
+      throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+    }
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `SELECT * FROM ${schema}.campaign_suppressions WHERE id = $1 AND tenant_id = $2`,
+      [id, tenantId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Insert entries, ignoring ones already on the list
+   * @param {Array} entries - [{ type, value, reason }]
+   * @param {Object} meta - { source, createdByUserId }
+   * @returns {Promise<Array>} Inserted rows
+   */
+  async bulkInsert(tenantId, entries, meta = {}, context = {}) {
+    if (!tenantId) {
+      throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+    }
+    const schema = getSchema(context);
+    const inserted = [];
+    for (let start = 0; start < entries.length; start += INSERT_BATCH_SIZE) {
+      const batch = entries.slice(start, start + INSERT_BATCH_SIZE);
+      const values = [tenantId, meta.source || 'manual', meta.createdByUserId || null];
+      const placeholders = batch.map(entry => {
+        values.push(entry.type, entry.value, entry.reason || null);
+        const base = values.length - 3;
+        return `($1, $${base + 1}, $${base + 2}, $${base + 3}, $2, $3)`;
+      });
+      const result = await pool.query(
+        `INSERT INTO ${schema}.campaign_suppressions (
+          tenant_id, type, value, reason, source, created_by_user_id
+        ) VALUES ${placeholders.join(', ')}
+        ON CONFLICT (tenant_id, type, value) DO NOTHING
+        RETURNING *`,
+        values
+      );
+      inserted.push(...result.rows);
+    }
+    return inserted;
+  }
+
+  async updateReason(id, tenantId, reason, context = {}) {
+    if (!tenantId) {
+      throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+    }
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `UPDATE ${schema}.campaign_suppressions
+       SET reason = $3, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND tenant_id = $2
+       RETURNING *`,
+      [id, tenantId, reason]
+    );
+    return result.rows[0] || null;
+  }
+
+  async delete(id, tenantId, context = {}) {
+    if (!tenantId) {
+      throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+    }
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `DELETE FROM ${schema}.campaign_suppressions WHERE id = $1 AND tenant_id = $2 RETURNING id`,
+      [id, tenantId]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * First entry matching any of the lead's identifiers
+   * @param {Object} identifiers - { email: [], phone: [], linkedin: [], domain: [] } (normalized)
+   */
+  async findMatch(tenantId, identifiers, context = {}) {
+    if (!tenantId) {
+      throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+    }
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `SELECT * FROM ${schema}.campaign_suppressions
+       WHERE tenant_id = $1 AND (
+         (type = 'email' AND value = ANY($2::text[])) OR
+         (type = 'phone' AND value = ANY($3::text[])) OR
+         (type = 'linkedin' AND value = ANY($4::text[])) OR
+         (type = 'domain' AND value = ANY($5::text[]))
+       )
+       ORDER BY created_at ASC
+       LIMIT 1`,
+      [
+        tenantId,
+        identifiers.email || [],
+        identifiers.phone || [],
+        identifiers.linkedin || [],
+        identifiers.domain || []
+      ]
+    );
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = new SuppressionRepository();
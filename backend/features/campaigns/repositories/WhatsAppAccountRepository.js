@@ -0,0 +1,158 @@
+/**
+ * WhatsApp Account Repository
+ * Data access layer for per-tenant WhatsApp sending accounts
+ *
+ * LAD Architecture: Repository Layer (SQL ONLY)
+ * - All database queries
+ * - NO business logic
+ * - Tenant-scoped queries only (except webhook lookups by provider id)
+ */
+
+const { pool } = require('../../../shared/database/connection');
+const { getSchema } = require('../../../core/utils/schemaHelper');
+
+// Access tokens are never returned to API callers
+const PUBLIC_COLUMNS = `
+  id, tenant_id, provider, display_name, phone_number,
+  phone_number_id, unipile_account_id, daily_limit, is_active, created_at, updated_at
+`;
+
+const UPDATABLE_FIELDS = [
+  'display_name', 'phone_number', 'phone_number_id', 'access_token',
+  'unipile_account_id', 'daily_limit', 'is_active'
+];
+
+class WhatsAppAccountRepository {
+  async listForTenant(tenantId, context = {}) {
+    if (!tenantId) {
+      throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+    }
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `SELECT ${PUBLIC_COLUMNS}
+       FROM ${schema}.whatsapp_accounts
+       WHERE tenant_id = $1 AND is_deleted = FALSE
+       ORDER BY created_at ASC`,
+      [tenantId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Get account including provider credentials (adapter use only)
+   */
+  async getWithCredentials(id, tenantId, context = {}) {
+    if (!tenantId) {
+      throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+    }
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `SELECT * FROM ${schema}.whatsapp_accounts
+       WHERE id = $1 AND tenant_id = $2 AND is_deleted = FALSE`,
+      [id, tenantId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Active accounts for tenant including credentials (oldest first)
+   */
+  async getActiveForSending(tenantId, context = {}) {
+    if (!tenantId) {
+      throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+    }
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `SELECT * FROM ${schema}.whatsapp_accounts
+       WHERE tenant_id = $1 AND is_active = TRUE AND is_deleted = FALSE
+       ORDER BY created_at ASC`,
+      [tenantId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Find the account a webhook event was delivered to
+   * @param {string} provider - cloud_api | unipile
+   * @param {string} providerAccountId - Cloud API phone_number_id or Unipile account_id
+   */
+  async findByProviderAccountId(provider, providerAccountId, context = {}) {
+    const schema = getSchema(context);
+    const column = provider === 'unipile' ? 'unipile_account_id' : 'phone_number_id';
+    const result = await pool.query(
+      `SELECT * FROM ${schema}.whatsapp_accounts
+       WHERE provider = $1 AND ${column} = $2 AND is_deleted = FALSE
+       LIMIT 1`,
+      [provider, providerAccountId]
+    );
+    return result.rows[0] || null;
+  }
+
+  async create(tenantId, data, context = {}) {
+    if (!tenantId) {
+      throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+    }
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `INSERT INTO ${schema}.whatsapp_accounts (
+        tenant_id, provider, display_name, phone_number,
+        phone_number_id, access_token, unipile_account_id, daily_limit
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING ${PUBLIC_COLUMNS}`,
+      [
+        tenantId,
+        data.provider,
+        data.display_name || null,
+        data.phone_number || null,
+        data.phone_number_id || null,
+        data.access_token || null,
+        data.unipile_account_id || null,
+        data.daily_limit
+      ]
+    );
+    return result.rows[0];
+  }
+
+  async update(id, tenantId, updates, context = {}) {
+    if (!tenantId) {
+      throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+    }
+    const schema = getSchema(context);
+    const setClauses = [];
+    const values = [id, tenantId];
+    for (const field of UPDATABLE_FIELDS) {
+      if (updates[field] !== undefined) {
+        values.push(updates[field]);
+        setClauses.push(`${field} = $${values.length}`);
+      }
+    }
+    if (setClauses.length === 0) {
+      return null;
+    }
+    const result = await pool.query(
+      `UPDATE ${schema}.whatsapp_accounts
+       SET ${setClauses.join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND tenant_id = $2 AND is_deleted = FALSE
+       RETURNING ${PUBLIC_COLUMNS}`,
+      values
+    );
+    return result.rows[0] || null;
+  }
+
+  async delete(id, tenantId, context = {}) {
+    if (!tenantId) {
+      throw new Error('[Repository] tenantId is required - all queries must be tenant-scoped');
+    }
+    const schema = getSchema(context);
+    const result = await pool.query(
+      `UPDATE ${schema}.whatsapp_accounts
+       SET is_deleted = TRUE, is_active = FALSE, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND tenant_id = $2 AND is_deleted = FALSE
+       RETURNING id`,
+      [id, tenantId]
+    );
+    return result.rows.length > 0;
+  }
+}
+
+module.exports = new WhatsAppAccountRepository();
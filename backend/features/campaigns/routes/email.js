@@ -0,0 +1,53 @@
+/**
+ * Email Channel Routes
+ * API routes for campaign sending mailboxes
+ */
+
+const express = require('express');
+const router = express.Router();
+const controller = require('../controllers/EmailMailboxController');
+const { authenticateToken: jwtAuth } = require('../../../core/middleware/auth');
+const { validateUuidParam } = require('../middleware/validation');
+
+// All routes require authentication
+router.use(jwtAuth);
+
+/**
+ * GET /api/campaigns/email/mailboxes
+ * List mailboxes for tenant
+ */
+router.get('/mailboxes', controller.getAll.bind(controller));
+
+/**
+ * POST /api/campaigns/email/mailboxes
+ * Create mailbox
+ * Body: { email_address, display_name?, smtp_host, smtp_port?, smtp_secure?, smtp_username?, smtp_password?,
+ *         imap_host?, imap_port?, imap_secure?, imap_username?, imap_password?, daily_limit? }
+ */
+router.post('/mailboxes', controller.create.bind(controller));
+
+/**
+ * PUT /api/campaigns/email/mailboxes/:id
+ * Update mailbox
+ */
+router.put('/mailboxes/:id', validateUuidParam('id'), controller.update.bind(controller));
+
+/**
+ * DELETE /api/campaigns/email/mailboxes/:id
+ * Delete mailbox (soft delete)
+ */
+router.delete('/mailboxes/:id', validateUuidParam('id'), controller.delete.bind(controller));
+
+/**
+ * POST /api/campaigns/email/mailboxes/:id/test
+ * Verify SMTP connectivity
+ */
+router.post('/mailboxes/:id/test', validateUuidParam('id'), controller.test.bind(controller));
+
+/**
+ * POST /api/campaigns/email/inbox/poll
+ * Scan mailboxes for replies and bounces now
+ */
+router.post('/inbox/poll', controller.triggerPoll.bind(controller));
+
+module.exports = router;
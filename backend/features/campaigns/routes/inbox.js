@@ -0,0 +1,50 @@
+/**
+ * Inbox Routes
+ * API routes for the unified reply inbox (LinkedIn, email, WhatsApp)
+ */
+
+const express = require('express');
+const router = express.Router();
+const controller = require('../controllers/InboxController');
+const { authenticateToken: jwtAuth } = require('../../../core/middleware/auth');
+const { validateUuidParam } = require('../middleware/validation');
+
+// All routes require authentication
+router.use(jwtAuth);
+
+/**
+ * GET /api/campaigns/inbox/threads
+ * List reply threads
+ * Query: campaignId?, channel? (linkedin|email|whatsapp), status? (open|handled|snoozed),
+ *        assigned? ('me'|'unassigned'|userId), search?, limit?, offset?
+ */
+router.get('/threads', controller.listThreads.bind(controller));
+
+/**
+ * GET /api/campaigns/inbox/threads/:id
+ * Get thread
+ */
+router.get('/threads/:id', validateUuidParam('id'), controller.getThread.bind(controller));
+
+/**
+ * GET /api/campaigns/inbox/threads/:id/messages
+ * Conversation history (Unipile chat, or the lead's activity log)
+ * Query: limit?, cursor?
+ */
+router.get('/threads/:id/messages', validateUuidParam('id'), controller.getMessages.bind(controller));
+
+/**
+ * POST /api/campaigns/inbox/threads/:id/reply
+ * Send a manual reply
+ * Body: { text }
+ */
+router.post('/threads/:id/reply', validateUuidParam('id'), controller.reply.bind(controller));
+
+/**
+ * PATCH /api/campaigns/inbox/threads/:id
+ * Update triage state
+ * Body: { status?: 'open'|'handled'|'snoozed', snoozedUntil?, assignedUserId? (null to unassign) }
+ */
+router.patch('/threads/:id', validateUuidParam('id'), controller.updateThread.bind(controller));
+
+module.exports = router;
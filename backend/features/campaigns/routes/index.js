@@ -11,7 +11,20 @@ const CampaignStatsController = require('../controllers/campaignStatsController'
 const CampaignAnalyticsController = require('../controllers/campaignAnalyticsController');
 const CampaignsStreamController = require('../controllers/campaignsStreamController');
 const CampaignDailyController = require('../controllers/CampaignDailyController');
+const MessagePreviewController = require('../controllers/MessagePreviewController');
+const CampaignPortabilityController = require('../controllers/CampaignPortabilityController');
+const WorkflowVersionController = require('../controllers/WorkflowVersionController');
+const CampaignSimulationController = require('../controllers/CampaignSimulationController');
+const CampaignLeadProfileSnapshotController = require('../controllers/CampaignLeadProfileSnapshotController');
 const linkedInRoutes = require('./linkedin');
+const emailRoutes = require('./email');
+const whatsAppRoutes = require('./whatsapp');
+const instagramRoutes = require('./instagram');
+const inboxRoutes = require('./inbox');
+const suppressionRoutes = require('./suppressions');
+const settingsRoutes = require('./settings');
+const jobRoutes = require('./jobs');
+const templateRoutes = require('./templates');
 const { authenticateToken: jwtAuth, authenticateSSE: sseAuth } = require('../../../core/middleware/auth');
 const {
   validateCampaignCreation,
@@ -49,6 +62,21 @@ const validateCloudTasksAuth = (req, res, next) => {
 
 // LinkedIn integration (mount before /:id routes to avoid conflicts)
 router.use('/linkedin', linkedInRoutes);
+// Email mailboxes (mount before /:id routes to avoid conflicts)
+router.use('/email', emailRoutes);
+// WhatsApp accounts (mount before /:id routes to avoid conflicts)
+router.use('/whatsapp', whatsAppRoutes);
+router.use('/instagram', instagramRoutes);
+// Unified reply inbox (mount before /:id routes to avoid conflicts)
+router.use('/inbox', inboxRoutes);
+// Do-not-contact list (mount before /:id routes to avoid conflicts)
+router.use('/suppressions', suppressionRoutes);
+// Tenant-wide campaign settings (mount before /:id routes to avoid conflicts)
+router.use('/settings', settingsRoutes);
+// Job queue admin (mount before /:id routes to avoid conflicts)
+router.use('/jobs', jobRoutes);
+// Campaign template library (mount before /:id routes to avoid conflicts)
+router.use('/templates', templateRoutes);
 
 // NOTE: /run-daily endpoint is now in public.routes.js (mounted without JWT auth for Cloud Tasks)
 
@@ -56,11 +84,15 @@ router.use('/linkedin', linkedInRoutes);
 router.get('/stream', sseAuth, CampaignsStreamController.streamAllCampaigns);
 // Preview summary - no DB interaction (must be before /:id routes to avoid UUID conflict)
 router.post('/preview/lead-summary', jwtAuth, CampaignLeadsSummaryController.generatePreviewSummary);
+// Render message templates against sample lead data, flagging unresolved variables
+router.post('/preview/messages', jwtAuth, MessagePreviewController.previewTemplates.bind(MessagePreviewController));
 // Campaign CRUD operations
 router.get('/', jwtAuth, validatePagination, CampaignController.listCampaigns);
 router.get('/stats', jwtAuth, CampaignController.getCampaignStats);
 router.get('/:id', jwtAuth, validateUuidParam('id'), CampaignController.getCampaignById);
 router.post('/', jwtAuth, validateCampaignCreation, CampaignController.createCampaign);
+// Import a campaign from an exported JSON document (must be before /:id routes)
+router.post('/import', jwtAuth, CampaignPortabilityController.importCampaign.bind(CampaignPortabilityController));
 router.patch('/:id', jwtAuth, validateUuidParam('id'), validateCampaignUpdate, CampaignController.updateCampaign);
 router.delete('/:id', jwtAuth, validateUuidParam('id'), CampaignController.deleteCampaign);
 // Campaign leads
@@ -71,6 +103,7 @@ router.post('/:id/leads/:leadId/summary', jwtAuth, validateUuidParam('id'), vali
 router.post('/:id/leads/:leadId/reveal-email', jwtAuth, validateUuidParam('id'), validateUuidParam('leadId'), CampaignLeadsRevealController.revealLeadEmail);
 router.post('/:id/leads/:leadId/reveal-phone', jwtAuth, validateUuidParam('id'), validateUuidParam('leadId'), CampaignLeadsRevealController.revealLeadPhone);
 router.post('/:id/leads/:leadId/reveal-linkedin', jwtAuth, validateUuidParam('id'), validateUuidParam('leadId'), CampaignLeadsRevealController.revealLeadLinkedIn);
+router.get('/:id/leads/:leadId/profile-snapshots', jwtAuth, validateUuidParam('id'), validateUuidParam('leadId'), CampaignLeadProfileSnapshotController.listSnapshots.bind(CampaignLeadProfileSnapshotController));
 // Campaign analytics (new campaign_analytics table)
 router.get('/:id/analytics', jwtAuth, validateUuidParam('id'), CampaignAnalyticsController.getCampaignAnalytics);
 router.get('/:id/analytics/summary', jwtAuth, validateUuidParam('id'), CampaignAnalyticsController.getCampaignAnalyticsSummary);
@@ -85,11 +118,26 @@ router.get('/:id/activities', jwtAuth, validateUuidParam('id'), validatePaginati
 router.post('/:id/start', jwtAuth, validateUuidParam('id'), CampaignController.startCampaign);
 router.post('/:id/pause', jwtAuth, validateUuidParam('id'), CampaignController.pauseCampaign);
 router.post('/:id/stop', jwtAuth, validateUuidParam('id'), CampaignController.stopCampaign);
+// Dry run: planned per-lead timeline, validation errors and expected cost (nothing is sent or charged)
+router.post('/:id/simulate', jwtAuth, validateUuidParam('id'), CampaignSimulationController.simulateCampaign.bind(CampaignSimulationController));
 
 // Daily scheduling (manual trigger for testing)
 router.post('/:id/schedule-daily', jwtAuth, validateUuidParam('id'), CampaignDailyController.scheduleDaily);
 
+// Message preview: render every step's messages for a campaign lead before the campaign starts
+router.post('/:id/preview-messages', jwtAuth, validateUuidParam('id'), MessagePreviewController.previewCampaign.bind(MessagePreviewController));
+
+// Clone a campaign and export it as JSON
+router.post('/:id/clone', jwtAuth, validateUuidParam('id'), CampaignPortabilityController.cloneCampaign.bind(CampaignPortabilityController));
+router.get('/:id/export', jwtAuth, validateUuidParam('id'), CampaignPortabilityController.exportCampaign.bind(CampaignPortabilityController));
+
 // Campaign steps
 router.get('/:id/steps', jwtAuth, validateUuidParam('id'), CampaignController.getCampaignSteps);
 router.post('/:id/steps', jwtAuth, validateUuidParam('id'), CampaignController.updateCampaignSteps);
+
+// Workflow versions: publish with in-flight lead mapping, history and diffs
+router.get('/:id/workflow/versions', jwtAuth, validateUuidParam('id'), WorkflowVersionController.listVersions.bind(WorkflowVersionController));
+router.post('/:id/workflow/versions', jwtAuth, validateUuidParam('id'), WorkflowVersionController.publishVersion.bind(WorkflowVersionController));
+router.get('/:id/workflow/versions/:version', jwtAuth, validateUuidParam('id'), WorkflowVersionController.getVersion.bind(WorkflowVersionController));
+router.get('/:id/workflow/versions/:version/diff', jwtAuth, validateUuidParam('id'), WorkflowVersionController.diffVersion.bind(WorkflowVersionController));
 module.exports = router;
@@ -0,0 +1,42 @@
+/**
+ * Instagram Channel Routes
+ * API routes for Instagram accounts
+ * (provider webhooks are public and live in public.routes.js)
+ */
+
+const express = require('express');
+const router = express.Router();
+const controller = require('../controllers/InstagramController');
+const { authenticateToken: jwtAuth } = require('../../../core/middleware/auth');
+const { validateUuidParam } = require('../middleware/validation');
+
+// All routes require authentication
+router.use(jwtAuth);
+
+/**
+ * GET /api/campaigns/instagram/accounts
+ * List Instagram accounts for tenant
+ */
+router.get('/accounts', controller.getAccounts.bind(controller));
+
+/**
+ * POST /api/campaigns/instagram/accounts
+ * Create Instagram account
+ * Body: { unipile_account_id, provider?: 'unipile', username?, display_name?,
+ *         daily_limit? (all actions, 0 = none), action_limits? ({ follow, like, dm, story_view, comment_reply }) }
+ */
+router.post('/accounts', controller.createAccount.bind(controller));
+
+/**
+ * PUT /api/campaigns/instagram/accounts/:id
+ * Update Instagram account
+ */
+router.put('/accounts/:id', validateUuidParam('id'), controller.updateAccount.bind(controller));
+
+/**
+ * DELETE /api/campaigns/instagram/accounts/:id
+ * Delete Instagram account (soft delete)
+ */
+router.delete('/accounts/:id', validateUuidParam('id'), controller.deleteAccount.bind(controller));
+
+module.exports = router;
@@ -0,0 +1,63 @@
+/**
+ * Campaign Job Queue Routes
+ * Admin API routes to inspect queued jobs and replay failed ones
+ */
+
+const express = require('express');
+const router = express.Router();
+const controller = require('../controllers/CampaignJobsController');
+const { authenticateToken: jwtAuth } = require('../../../core/middleware/auth');
+
+// All routes require authentication
+router.use(jwtAuth);
+
+// Job queue inspection is limited to tenant owners and admins
+const requireJobAdmin = (req, res, next) => {
+  const capabilities = req.user?.capabilities || [];
+  const role = req.user?.role;
+
+  if (['owner', 'admin'].includes(role) || capabilities.includes('campaigns.admin')) {
+    return next();
+  }
+
+  return res.status(403).json({
+    success: false,
+    error: 'Admin permission required'
+  });
+};
+
+router.use(requireJobAdmin);
+
+/**
+ * GET /api/campaigns/jobs/dead-letters
+ * List failed jobs (retries exhausted)
+ * Query: name, replayed ('true'|'false'), limit, offset
+ */
+router.get('/dead-letters', controller.listDeadLetters.bind(controller));
+
+/**
+ * GET /api/campaigns/jobs/dead-letters/:id
+ * Get a failed job
+ */
+router.get('/dead-letters/:id', controller.getDeadLetter.bind(controller));
+
+/**
+ * POST /api/campaigns/jobs/dead-letters/:id/replay
+ * Enqueue a failed job again with fresh attempts
+ */
+router.post('/dead-letters/:id/replay', controller.replayDeadLetter.bind(controller));
+
+/**
+ * GET /api/campaigns/jobs
+ * List queued jobs (postgres backend)
+ * Query: status (pending|running|completed|dead), name, limit, offset
+ */
+router.get('/', controller.listJobs.bind(controller));
+
+/**
+ * GET /api/campaigns/jobs/:id
+ * Get a queued job
+ */
+router.get('/:id', controller.getJob.bind(controller));
+
+module.exports = router;
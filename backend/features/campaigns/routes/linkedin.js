@@ -13,6 +13,10 @@ const { pollingScheduler } = require('../services/pollingScheduler');
 const messageTemplatesRoutes = require('./linkedinMessageTemplates');
 router.use('/message-templates', messageTemplatesRoutes);
 
+// Content calendar routes (scheduled posts)
+const linkedinPostsRoutes = require('./linkedinPosts');
+router.use('/posts', linkedinPostsRoutes);
+
 // LinkedIn Search routes (mount before /:id routes to avoid conflicts)
 const LinkedInSearchController = require('../controllers/LinkedInSearchController');
 
@@ -157,12 +161,13 @@ router.get('/status', jwtAuth, async (req, res) => {
     });
   }
 });
-// GET /api/campaigns/linkedin/limits - Get daily limits based on connected accounts
+// GET /api/campaigns/linkedin/limits - Get daily limits based on connected accounts (and warm-up progress)
 router.get('/limits', jwtAuth, async (req, res) => {
   try {
     const tenantId = req.user.tenantId || req.user.userId;
     const { pool } = require('../../../shared/database/connection');
     const LinkedInAccountRepository = require('../repositories/LinkedInAccountRepository');
+    const linkedInWarmupService = require('../services/LinkedInWarmupService');
     const repo = new LinkedInAccountRepository(pool);
 
     // Fallback schema context if needed
@@ -172,13 +177,19 @@ router.get('/limits', jwtAuth, async (req, res) => {
     const activeAccounts = await repo.getAllAccountsForTenant(tenantId, context);
 
     const remainingDailyLimit = Math.max(0, totalDailyLimit - consumedDailyLimit);
+    const warmupAccounts = await linkedInWarmupService.getWarmupProgress(tenantId, context);
 
     res.json({
       success: true,
       totalDailyLimit,
       consumedDailyLimit,
       remainingDailyLimit,
-      activeAccountsCount: activeAccounts.length
+      activeAccountsCount: activeAccounts.length,
+      warmup: {
+        enabled: linkedInWarmupService.isEnabled(),
+        warmingUpCount: warmupAccounts.filter(account => ['active', 'paused'].includes(account.status)).length,
+        accounts: warmupAccounts
+      }
     });
   } catch (error) {
     res.status(500).json({
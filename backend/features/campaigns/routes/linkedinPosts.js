@@ -0,0 +1,61 @@
+/**
+ * LinkedIn Post Routes
+ * API routes for the LinkedIn content calendar (scheduled posts and publish queues)
+ */
+
+const express = require('express');
+const router = express.Router();
+const controller = require('../controllers/LinkedInPostController');
+const { authenticateToken: jwtAuth } = require('../../../core/middleware/auth');
+const { validateUuidParam } = require('../middleware/validation');
+
+// All routes require authentication
+router.use(jwtAuth);
+
+/**
+ * GET /api/campaigns/linkedin/posts
+ * List posts for the calendar
+ * Query: accountId, status, campaignId, from, to, limit, offset
+ */
+router.get('/', controller.list.bind(controller));
+
+/**
+ * GET /api/campaigns/linkedin/posts/queues
+ * Per-account queue state (counts by status, next post, latest failure)
+ * NOTE: Must be before /:id route to avoid conflict
+ */
+router.get('/queues', controller.getQueues.bind(controller));
+
+/**
+ * GET /api/campaigns/linkedin/posts/:id
+ * Get a post with its publish status and last error
+ */
+router.get('/:id', validateUuidParam('id'), controller.get.bind(controller));
+
+/**
+ * POST /api/campaigns/linkedin/posts
+ * Create a post
+ * Body: { accountId, content, imageUrls, scheduledAt, status: 'draft'|'scheduled' }
+ */
+router.post('/', controller.create.bind(controller));
+
+/**
+ * PATCH /api/campaigns/linkedin/posts/:id
+ * Edit, reschedule or schedule a draft/scheduled/failed post
+ * Body: any of { accountId, content, imageUrls, scheduledAt, status }
+ */
+router.patch('/:id', validateUuidParam('id'), controller.update.bind(controller));
+
+/**
+ * POST /api/campaigns/linkedin/posts/:id/cancel
+ * Cancel a post that hasn't been published
+ */
+router.post('/:id/cancel', validateUuidParam('id'), controller.cancel.bind(controller));
+
+/**
+ * POST /api/campaigns/linkedin/posts/:id/retry
+ * Queue a failed post again
+ */
+router.post('/:id/retry', validateUuidParam('id'), controller.retry.bind(controller));
+
+module.exports = router;
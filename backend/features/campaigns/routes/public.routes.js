@@ -9,6 +9,7 @@ const express = require('express');
 const router = express.Router();
 const CampaignDailyController = require('../controllers/CampaignDailyController');
 const logger = require('../../../core/utils/logger');
+const { verifyWebhookSecret } = require('../../../core/utils/webhookSecret');
 
 // Log ALL requests to this router for debugging
 router.use((req, res, next) => {
@@ -75,6 +76,36 @@ const validateCloudTasksAuth = (req, res, next) => {
  */
 router.post('/run-daily', validateCloudTasksAuth, (req, res) => CampaignDailyController.runDaily(req, res));
 
+/**
+ * Strict Cloud Tasks authentication for the job queue
+ * Requires the X-CloudTasks-Secret header; rejects everything when CLOUD_TASKS_SECRET is unset
+ */
+const requireCloudTasksSecret = (req, res, next) => {
+  if (!verifyWebhookSecret('CLOUD_TASKS_SECRET', req.headers['x-cloudtasks-secret'])) {
+    logger.warn('[CloudTasksAuth] Rejected job queue delivery', { path: req.path, ip: req.ip });
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized - Invalid Cloud Tasks secret'
+    });
+  }
+  next();
+};
+
+/**
+ * POST /api/campaigns/jobs/run
+ * Cloud Tasks callback endpoint for jobs on the job queue
+ *
+ * Only mounted with JOB_QUEUE_BACKEND=cloud_tasks. Authentication is via the X-CloudTasks-Secret header.
+ */
+const jobQueueService = require('../services/JobQueueService');
+if (jobQueueService.getBackend() === 'cloud_tasks') {
+  const CampaignJobsController = require('../controllers/CampaignJobsController');
+  if (!process.env.CLOUD_TASKS_SECRET) {
+    logger.error('[CampaignsPublicRoutes] CLOUD_TASKS_SECRET is not set - job queue deliveries will be rejected');
+  }
+  router.post('/jobs/run', requireCloudTasksSecret, CampaignJobsController.runJob.bind(CampaignJobsController));
+}
+
 /**
  * POST /api/campaigns/linkedin/webhooks/account-status
  * Unipile webhook endpoint for LinkedIn account status updates
@@ -94,4 +125,64 @@ router.post('/linkedin/webhooks/account-status', LinkedInWebhookController.handl
  */
 router.post('/linkedin/webhooks/messages', LinkedInWebhookController.handleMessageWebhook);
 
+/**
+ * GET /api/campaigns/track/open/:token.gif
+ * Email open pixel
+ *
+ * NO JWT AUTH - Loaded by mail clients (token is HMAC-signed, verified in service)
+ */
+const EmailTrackingController = require('../controllers/EmailTrackingController');
+router.get('/track/open/:token', EmailTrackingController.trackOpen);
+
+/**
+ * GET /api/campaigns/track/click/:token
+ * Email link click redirect
+ *
+ * NO JWT AUTH - Followed by lead's browser (token is HMAC-signed, verified in service)
+ */
+router.get('/track/click/:token', EmailTrackingController.trackClick);
+
+/**
+ * GET /api/campaigns/whatsapp/webhook
+ * WhatsApp Cloud API webhook verification (hub.challenge handshake)
+ *
+ * NO JWT AUTH - Called by Meta (hub.verify_token checked against WHATSAPP_VERIFY_TOKEN)
+ */
+const WhatsAppController = require('../controllers/WhatsAppController');
+router.get('/whatsapp/webhook', WhatsAppController.verifyCloudApiWebhook.bind(WhatsAppController));
+
+/**
+ * POST /api/campaigns/whatsapp/webhook
+ * WhatsApp Cloud API delivery/read receipts and inbound messages
+ *
+ * NO JWT AUTH - External service webhook (Auth via X-Hub-Signature-256)
+ */
+router.post('/whatsapp/webhook', WhatsAppController.handleCloudApiWebhook.bind(WhatsAppController));
+
+/**
+ * POST /api/campaigns/whatsapp/webhook/unipile
+ * Unipile WhatsApp delivery/read receipts and inbound messages
+ *
+ * NO JWT AUTH - External service webhook (Auth via X-Webhook-Secret / unipile-auth)
+ */
+router.post('/whatsapp/webhook/unipile', WhatsAppController.handleUnipileWebhook.bind(WhatsAppController));
+
+/**
+ * POST /api/campaigns/instagram/webhook/unipile
+ * Unipile Instagram inbound DMs (replies to campaign actions)
+ *
+ * NO JWT AUTH - External service webhook (Auth via X-Webhook-Secret / unipile-auth)
+ */
+const InstagramController = require('../controllers/InstagramController');
+router.post('/instagram/webhook/unipile', InstagramController.handleUnipileWebhook.bind(InstagramController));
+
+/**
+ * POST /api/campaigns/voice/webhook/call-completed
+ * Voice agent call outcome (answered, duration, disposition, transcript)
+ *
+ * NO JWT AUTH - Called by the voice agent (Auth via X-Webhook-Secret)
+ */
+const VoiceCallWebhookController = require('../controllers/VoiceCallWebhookController');
+router.post('/voice/webhook/call-completed', VoiceCallWebhookController.handleCallCompleted);
+
 module.exports = router;
@@ -0,0 +1,40 @@
+/**
+ * Campaign Settings Routes
+ * API routes for tenant-wide campaign settings
+ */
+
+const express = require('express');
+const router = express.Router();
+const controller = require('../controllers/CampaignSettingsController');
+const { authenticateToken: jwtAuth } = require('../../../core/middleware/auth');
+
+// All routes require authentication
+router.use(jwtAuth);
+
+/**
+ * GET /api/campaigns/settings/frequency-caps
+ * Cross-campaign frequency caps: { enabled, rules: [{ maxTouches, windowHours }] }
+ */
+router.get('/frequency-caps', controller.getFrequencyCaps.bind(controller));
+
+/**
+ * PUT /api/campaigns/settings/frequency-caps
+ * Update frequency caps
+ * Body: { enabled?, rules?: [{ maxTouches, windowHours }] }
+ */
+router.put('/frequency-caps', controller.updateFrequencyCaps.bind(controller));
+
+/**
+ * GET /api/campaigns/settings/linkedin-pacing
+ * LinkedIn pacing: { enabled, workingHours: { start, end, days, timezone }, dailyActionLimit, jitter }
+ */
+router.get('/linkedin-pacing', controller.getLinkedInPacing.bind(controller));
+
+/**
+ * PUT /api/campaigns/settings/linkedin-pacing
+ * Update LinkedIn pacing
+ * Body: { enabled?, workingHours?, dailyActionLimit?, jitter? }
+ */
+router.put('/linkedin-pacing', controller.updateLinkedInPacing.bind(controller));
+
+module.exports = router;
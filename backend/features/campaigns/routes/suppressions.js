@@ -0,0 +1,62 @@
+/**
+ * Suppression Routes
+ * API routes for the tenant-wide do-not-contact list
+ */
+
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const controller = require('../controllers/SuppressionController');
+const { authenticateToken: jwtAuth } = require('../../../core/middleware/auth');
+const { validateUuidParam } = require('../middleware/validation');
+
+// CSV uploads are parsed in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }
+});
+
+// All routes require authentication
+router.use(jwtAuth);
+
+/**
+ * GET /api/campaigns/suppressions
+ * List entries
+ * Query: type? (email|phone|linkedin|domain), search?, limit?, offset?
+ */
+router.get('/', controller.list.bind(controller));
+
+/**
+ * POST /api/campaigns/suppressions
+ * Add entries
+ * Body: { type, value, reason? } or { entries: [{ type, value, reason? }] }
+ */
+router.post('/', controller.create.bind(controller));
+
+/**
+ * POST /api/campaigns/suppressions/import
+ * Import a CSV (multipart field "file", or { csv } in the JSON body)
+ * Columns: type,value[,reason] | email,phone,linkedin_url,domain[,reason] | no header
+ */
+router.post('/import', upload.single('file'), controller.importCsv.bind(controller));
+
+/**
+ * GET /api/campaigns/suppressions/:id
+ * Get entry
+ */
+router.get('/:id', validateUuidParam('id'), controller.get.bind(controller));
+
+/**
+ * PATCH /api/campaigns/suppressions/:id
+ * Update reason
+ * Body: { reason }
+ */
+router.patch('/:id', validateUuidParam('id'), controller.update.bind(controller));
+
+/**
+ * DELETE /api/campaigns/suppressions/:id
+ * Remove entry
+ */
+router.delete('/:id', validateUuidParam('id'), controller.delete.bind(controller));
+
+module.exports = router;
@@ -0,0 +1,55 @@
+/**
+ * Campaign Template Routes
+ * API routes for the campaign template library (tenant and global templates)
+ */
+
+const express = require('express');
+const router = express.Router();
+const controller = require('../controllers/CampaignTemplateController');
+const { authenticateToken: jwtAuth } = require('../../../core/middleware/auth');
+const { validateUuidParam } = require('../middleware/validation');
+
+// All routes require authentication
+router.use(jwtAuth);
+
+/**
+ * GET /api/campaigns/templates
+ * List templates visible to the tenant
+ * Query: scope? (tenant|global), category?, search?, limit?, offset?
+ */
+router.get('/', controller.list.bind(controller));
+
+/**
+ * POST /api/campaigns/templates
+ * Save a template
+ * Body: { name?, description?, category?, scope? (tenant|global), campaignId | definition }
+ */
+router.post('/', controller.create.bind(controller));
+
+/**
+ * GET /api/campaigns/templates/:id
+ * Get template with its definition
+ */
+router.get('/:id', validateUuidParam('id'), controller.get.bind(controller));
+
+/**
+ * PATCH /api/campaigns/templates/:id
+ * Update template
+ * Body: { name?, description?, category?, definition? }
+ */
+router.patch('/:id', validateUuidParam('id'), controller.update.bind(controller));
+
+/**
+ * DELETE /api/campaigns/templates/:id
+ * Remove template
+ */
+router.delete('/:id', validateUuidParam('id'), controller.delete.bind(controller));
+
+/**
+ * POST /api/campaigns/templates/:id/use
+ * Create a draft campaign from the template
+ * Body: { name? }
+ */
+router.post('/:id/use', validateUuidParam('id'), controller.use.bind(controller));
+
+module.exports = router;
@@ -0,0 +1,42 @@
+/**
+ * WhatsApp Channel Routes
+ * API routes for WhatsApp sending accounts
+ * (provider webhooks are public and live in public.routes.js)
+ */
+
+const express = require('express');
+const router = express.Router();
+const controller = require('../controllers/WhatsAppController');
+const { authenticateToken: jwtAuth } = require('../../../core/middleware/auth');
+const { validateUuidParam } = require('../middleware/validation');
+
+// All routes require authentication
+router.use(jwtAuth);
+
+/**
+ * GET /api/campaigns/whatsapp/accounts
+ * List WhatsApp accounts for tenant
+ */
+router.get('/accounts', controller.getAccounts.bind(controller));
+
+/**
+ * POST /api/campaigns/whatsapp/accounts
+ * Create WhatsApp account
+ * Body: { provider: 'cloud_api'|'unipile', display_name?, phone_number?,
+ *         phone_number_id?, access_token?, unipile_account_id?, daily_limit? }
+ */
+router.post('/accounts', controller.createAccount.bind(controller));
+
+/**
+ * PUT /api/campaigns/whatsapp/accounts/:id
+ * Update WhatsApp account
+ */
+router.put('/accounts/:id', validateUuidParam('id'), controller.updateAccount.bind(controller));
+
+/**
+ * DELETE /api/campaigns/whatsapp/accounts/:id
+ * Delete WhatsApp account (soft delete)
+ */
+router.delete('/accounts/:id', validateUuidParam('id'), controller.deleteAccount.bind(controller));
+
+module.exports = router;
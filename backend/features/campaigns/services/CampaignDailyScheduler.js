@@ -6,12 +6,18 @@
 const { pool } = require('../../../shared/database/connection');
 const { getSchema } = require('../../../core/utils/schemaHelper');
 const cloudTasksClient = require('../../../shared/services/cloudTasksClient');
+const jobQueueService = require('./JobQueueService');
 const logger = require('../../../core/utils/logger');
+const SendWindowUtil = require('../utils/sendWindowUtil');
+
+// Campaigns with a send window run through the day so each lead is reached inside
+// its own local business hours, not only when the daily task happens to fire
+const SEND_WINDOW_RUN_INTERVAL_MINUTES = Number(process.env.SEND_WINDOW_RUN_INTERVAL_MINUTES) || 60;
 
 class CampaignDailyScheduler {
   /**
    * Run daily campaign and schedule next task
-   * Main entry point called by Cloud Tasks
+   * Main entry point, run as the 'campaign.run_daily' job (or the legacy Cloud Tasks endpoint)
    */
   async runDailyCampaign(campaignId, tenantId, scheduledFor) {
     const schema = getSchema();
@@ -40,8 +46,11 @@ class CampaignDailyScheduler {
         };
       }
 
-      // 2. Idempotency check - prevent running twice in same day
-      const alreadyRanToday = this.hasRunToday(campaign.last_run_date, currentDate);
+      // 2. Idempotency check - prevent running twice in same day (same interval for send-window campaigns)
+      const hasSendWindow = !!SendWindowUtil.normalize(campaign.config);
+      const alreadyRanToday = hasSendWindow
+        ? this.hasRunWithinInterval(campaign.last_run_date, currentDate)
+        : this.hasRunToday(campaign.last_run_date, currentDate);
       if (alreadyRanToday) {
         logger.warn('[CampaignDailyScheduler] Campaign already ran today', {
           campaignId,
@@ -90,14 +99,12 @@ class CampaignDailyScheduler {
       });
 
       // 6. Schedule next day task (self-rescheduling)
-      const nextDayTime = cloudTasksClient.calculateNextDayTime(currentDate);
+      const nextDayTime = hasSendWindow
+        ? new Date(currentDate.getTime() + SEND_WINDOW_RUN_INTERVAL_MINUTES * 60 * 1000)
+        : cloudTasksClient.calculateNextDayTime(currentDate);
 
       if (cloudTasksClient.shouldContinueScheduling(campaign, nextDayTime)) {
-        const taskInfo = await cloudTasksClient.scheduleNextDayTask(
-          campaignId,
-          tenantId,
-          nextDayTime
-        );
+        const taskInfo = await this.scheduleRun(campaignId, tenantId, nextDayTime);
 
         logger.info('[CampaignDailyScheduler] Next task scheduled', {
           campaignId,
@@ -170,6 +177,17 @@ class CampaignDailyScheduler {
     );
   }
 
+  /**
+   * Check if campaign ran within the current send-window run interval (idempotency)
+   * Half an interval of slack lets a slightly early task through
+   */
+  hasRunWithinInterval(lastRunDate, currentDate) {
+    if (!lastRunDate) return false;
+
+    const elapsedMs = new Date(currentDate).getTime() - new Date(lastRunDate).getTime();
+    return elapsedMs >= 0 && elapsedMs < (SEND_WINDOW_RUN_INTERVAL_MINUTES * 60 * 1000) / 2;
+  }
+
   /**
    * Execute campaign workflow
    * Integrates with CampaignProcessor for actual lead processing
@@ -291,9 +309,33 @@ class CampaignDailyScheduler {
       });
     }
 
-    const scheduleDate = startDate ? new Date(startDate) : new Date();
+    const now = new Date();
+    const scheduleDate = startDate && new Date(startDate) > now ? new Date(startDate) : now;
+
+    return await this.scheduleRun(campaignId, tenantId, scheduleDate);
+  }
+
+  /**
+   * Enqueue a daily run on the job queue
+   * @returns {Promise<Object>} { taskName, scheduleTime, backend, deduped }
+   */
+  async scheduleRun(campaignId, tenantId, scheduleTime) {
+    const job = await jobQueueService.enqueue(
+      'campaign.run_daily',
+      { campaignId, tenantId, scheduledFor: scheduleTime.toISOString() },
+      {
+        tenantId,
+        runAt: scheduleTime,
+        dedupeKey: `campaign-run-daily-${campaignId}-${Math.floor(scheduleTime.getTime() / 1000)}`
+      }
+    );
 
-    return await cloudTasksClient.scheduleFirstTask(campaignId, tenantId, scheduleDate);
+    return {
+      taskName: job.id,
+      scheduleTime: scheduleTime.toISOString(),
+      backend: job.backend,
+      deduped: job.deduped
+    };
   }
 }
 
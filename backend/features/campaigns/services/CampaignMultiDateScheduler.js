@@ -1,15 +1,15 @@
 /**
  * Campaign Multi-Date Scheduler Service
- * Business logic for scheduling multiple Cloud Tasks for campaigns
- * LAD Architecture: Service layer - orchestrates cloud tasks scheduling
+ * Business logic for scheduling a campaign's daily runs on the job queue
+ * LAD Architecture: Service layer - orchestrates job queue scheduling
  */
 
-const cloudTasksClient = require('../../../shared/services/cloudTasksClient');
+const campaignDailyScheduler = require('./CampaignDailyScheduler');
 const logger = require('../../../core/utils/logger');
 
 class CampaignSchedulingService {
   /**
-   * Schedule Cloud Tasks for all campaign dates
+   * Schedule daily run jobs for all campaign dates
    * @param {string} campaignId - Campaign UUID
    * @param {string} tenantId - Tenant UUID
    * @param {Date[]} scheduleDates - Array of dates to schedule tasks
@@ -53,7 +53,7 @@ class CampaignSchedulingService {
       const batchResults = await Promise.allSettled(
         batch.map((scheduleDate, batchIndex) => {
           const dayNumber = batchStart + batchIndex + 1;
-          return cloudTasksClient.scheduleNextDayTask(campaignId, tenantId, scheduleDate, 0)
+          return campaignDailyScheduler.scheduleRun(campaignId, tenantId, scheduleDate)
             .then(taskInfo => ({ success: true, scheduleDate, taskName: taskInfo.taskName, dayNumber }))
             .catch(error => ({ success: false, scheduleDate, error: error.message, dayNumber }));
         })
@@ -156,7 +156,7 @@ class CampaignSchedulingService {
     const firstTaskDate = scheduleDates[0] > now ? scheduleDates[0] : now;
 
     try {
-      const firstTaskInfo = await cloudTasksClient.scheduleFirstTask(
+      const firstTaskInfo = await campaignDailyScheduler.scheduleRun(
         campaignId,
         tenantId,
         firstTaskDate
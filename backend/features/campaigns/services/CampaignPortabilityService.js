@@ -0,0 +1,343 @@
+/**
+ * Campaign Portability Service
+ * Clones campaigns and moves them between tenants as versioned JSON
+ *
+ * Export document (format "lad.campaign", version 1):
+ *   {
+ *     format: 'lad.campaign',
+ *     version: 1,
+ *     exportedAt: '<ISO date>',
+ *     campaign: { name, campaign_type, config },
+ *     steps: [{ key, type, order, title, description, config }]
+ *   }
+ * Each step's config keeps the builder node id (config.node_id === key) and its
+ * outgoing edges, so branching workflows survive the round trip. Run-time state
+ * (lead generation cursors, schedule dates) is never copied, and exports also drop
+ * settings bound to the exporting tenant (connected accounts, mailboxes, API keys),
+ * which fall back to the importing tenant's defaults.
+ *
+ * Imports are validated as a whole before anything is written: every step must be
+ * a known type and pass StepValidators (A/B tested steps are checked with their first
+ * variant's copy, as CampaignProcessor does at send time), variants must be valid and
+ * the edges must form a valid workflow graph.
+ *
+ * LAD Architecture: Service layer - no SQL, uses repositories
+ */
+const CampaignRepository = require('../repositories/CampaignRepository');
+const CampaignStepRepository = require('../repositories/CampaignStepRepository');
+const CampaignLeadRepository = require('../repositories/CampaignLeadRepository');
+const { validateStepConfig, isKnownStepType } = require('./StepValidators');
+const messageVariantService = require('./MessageVariantService');
+const { withNodeIds, parseStepConfig, buildWorkflowGraph } = require('../engine/workflowGraph');
+const logger = require('../../../core/utils/logger');
+
+const EXPORT_FORMAT = 'lad.campaign';
+const EXPORT_VERSION = 1;
+const SUPPORTED_VERSIONS = [1];
+const MAX_STEPS = 100;
+// Campaign/step config written while a campaign runs - never copied
+const RUNTIME_CONFIG_KEYS = [
+  'lead_gen_offset',
+  'last_lead_gen_date',
+  'searchCursor',
+  'created_at',
+  'conversationId',
+  'campaign_start_date',
+  'campaign_end_date',
+  'campaign_days',
+  'working_days',
+  'total_schedule_dates',
+  'clonedFromCampaignId'
+];
+// Config that points at the exporting tenant's accounts or credentials
+const TENANT_CONFIG_KEYS = [
+  'linkedinAccountIds',
+  'unipile_account_id',
+  'apollo_api_key',
+  'mailboxId',
+  'mailbox_id',
+  'whatsappAccountId',
+  'whatsapp_account_id'
+];
+
+function badRequest(message, details) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+}
+
+class CampaignPortabilityService {
+  /**
+   * Duplicate a campaign as a new draft
+   * The campaign, its steps and its leads are written in one transaction, so a failed
+   * copy leaves nothing behind
+   * @param {Object} options - { name, includeSteps = true, includeSettings = true, includeLeads = false }
+   * @returns {Promise<Object|null>} { campaign, stepsCopied, leadsCopied }, null if the campaign doesn't exist
+   */
+  async cloneCampaign(campaignId, tenantId, userId, options = {}, context = {}) {
+    const source = await CampaignRepository.getById(campaignId, tenantId, context);
+    if (!source) return null;
+
+    const includeSteps = options.includeSteps !== false;
+    const includeSettings = options.includeSettings !== false;
+    const includeLeads = options.includeLeads === true;
+    if (options.name !== undefined && (typeof options.name !== 'string' || !options.name.trim())) {
+      throw badRequest('name must be a non-empty string');
+    }
+
+    const sourceConfig = this.parseConfig(source.config);
+    const config = includeSettings
+      ? this.cleanConfig(sourceConfig, RUNTIME_CONFIG_KEYS)
+      : this.pickCampaignType(sourceConfig);
+    config.clonedFromCampaignId = source.id;
+
+    let copies = [];
+    if (includeSteps) {
+      const steps = (await CampaignStepRepository.getStepsByCampaignId(campaignId, tenantId, context))
+        .filter(step => !step.is_deleted);
+      // Node ids fall back to the source step ids, which is what existing edges point at
+      copies = withNodeIds(steps).map(step => ({
+        type: step.type || step.step_type,
+        order: step.order ?? step.step_order ?? 0,
+        title: step.title,
+        description: step.description || '',
+        config: this.cleanConfig(parseStepConfig(step), RUNTIME_CONFIG_KEYS)
+      }));
+    }
+
+    const { campaign, stepsCopied, leadsCopied } = await CampaignRepository.withTransaction(async (txContext) => {
+      const created = await CampaignRepository.create({
+        name: (options.name || `${source.name} (copy)`).trim().slice(0, 255),
+        status: 'draft',
+        createdBy: userId,
+        config
+      }, tenantId, txContext);
+      const stepRows = await CampaignStepRepository.bulkCreate(created.id, tenantId, copies, txContext);
+      const leadCount = includeLeads
+        ? await CampaignLeadRepository.copyToCampaign(campaignId, created.id, tenantId, txContext)
+        : 0;
+      return { campaign: created, stepsCopied: stepRows.length, leadsCopied: leadCount };
+    }, context);
+
+    logger.info('[CampaignPortability] Campaign cloned', {
+      sourceCampaignId: campaignId,
+      campaignId: campaign.id,
+      tenantId,
+      includeSettings,
+      stepsCopied,
+      leadsCopied
+    });
+    return { campaign, stepsCopied, leadsCopied };
+  }
+
+  /**
+   * Export a campaign's config and steps
+   * @returns {Promise<Object|null>} export document, null if the campaign doesn't exist
+   */
+  async exportCampaign(campaignId, tenantId, context = {}) {
+    const campaign = await CampaignRepository.getById(campaignId, tenantId, context);
+    if (!campaign) return null;
+    const steps = (await CampaignStepRepository.getStepsByCampaignId(campaignId, tenantId, context))
+      .filter(step => !step.is_deleted);
+    return this.buildDocument(campaign, steps);
+  }
+
+  buildDocument(campaign, steps) {
+    const omit = [...RUNTIME_CONFIG_KEYS, ...TENANT_CONFIG_KEYS];
+    const config = this.cleanConfig(this.parseConfig(campaign.config), omit);
+    return {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      campaign: {
+        name: campaign.name,
+        campaign_type: config.campaign_type || null,
+        config
+      },
+      steps: withNodeIds(steps).map(step => {
+        const stepConfig = this.cleanConfig(parseStepConfig(step), omit);
+        return {
+          key: String(stepConfig.node_id),
+          type: step.type || step.step_type,
+          order: Number(step.order ?? step.step_order ?? 0),
+          title: step.title || '',
+          description: step.description || '',
+          config: stepConfig
+        };
+      })
+    };
+  }
+
+  /**
+   * Create a draft campaign from an export document (campaign and steps in one transaction)
+   * @param {Object} options - { name } to override the document's campaign name
+   * @returns {Promise<Object>} { campaign, stepsCreated }
+   */
+  async importCampaign(document, tenantId, userId, options = {}, context = {}) {
+    const definition = this.validateDocument(document);
+    if (options.name !== undefined && (typeof options.name !== 'string' || !options.name.trim())) {
+      throw badRequest('name must be a non-empty string');
+    }
+
+    const config = { ...definition.campaign.config };
+    if (definition.campaign.campaign_type) {
+      config.campaign_type = definition.campaign.campaign_type;
+    }
+    const { campaign, created } = await CampaignRepository.withTransaction(async (txContext) => {
+      const campaignRow = await CampaignRepository.create({
+        name: (options.name || definition.campaign.name).trim().slice(0, 255),
+        status: 'draft',
+        createdBy: userId,
+        config
+      }, tenantId, txContext);
+      const stepRows = await CampaignStepRepository.bulkCreate(campaignRow.id, tenantId, definition.steps.map(step => ({
+        type: step.type,
+        order: step.order,
+        title: step.title,
+        description: step.description,
+        config: step.config
+      })), txContext);
+      return { campaign: campaignRow, created: stepRows };
+    }, context);
+
+    logger.info('[CampaignPortability] Campaign imported', {
+      campaignId: campaign.id,
+      tenantId,
+      version: definition.version,
+      stepsCreated: created.length
+    });
+    return { campaign, stepsCreated: created.length };
+  }
+
+  /**
+   * Validate an export document and normalise it for insertion
+   * @returns {Object} { format, version, campaign: { name, campaign_type, config }, steps }
+   * @throws {Error} statusCode 400; error.details lists per-step problems
+   */
+  validateDocument(document) {
+    if (!document || typeof document !== 'object' || Array.isArray(document)) {
+      throw badRequest('Campaign definition must be a JSON object');
+    }
+    if (document.format !== EXPORT_FORMAT) {
+      throw badRequest(`Unsupported format "${document.format}" (expected "${EXPORT_FORMAT}")`);
+    }
+    if (!SUPPORTED_VERSIONS.includes(document.version)) {
+      throw badRequest(`Unsupported version ${document.version} (supported: ${SUPPORTED_VERSIONS.join(', ')})`);
+    }
+    const campaign = document.campaign;
+    if (!campaign || typeof campaign !== 'object' || Array.isArray(campaign)) {
+      throw badRequest('campaign must be an object');
+    }
+    if (typeof campaign.name !== 'string' || !campaign.name.trim()) {
+      throw badRequest('campaign.name is required');
+    }
+    if (campaign.config !== undefined && campaign.config !== null &&
+      (typeof campaign.config !== 'object' || Array.isArray(campaign.config))) {
+      throw badRequest('campaign.config must be an object');
+    }
+    if (!Array.isArray(document.steps)) {
+      throw badRequest('steps must be an array');
+    }
+    if (document.steps.length > MAX_STEPS) {
+      throw badRequest(`A campaign can have at most ${MAX_STEPS} steps`);
+    }
+
+    const errors = [];
+    const keys = new Set();
+    const steps = document.steps.map((step, index) => {
+      if (!step || typeof step !== 'object' || Array.isArray(step)) {
+        errors.push({ index, error: 'Step must be an object' });
+        return null;
+      }
+      const key = String(step.key ?? step.config?.node_id ?? index + 1);
+      const label = { index, key, type: step.type };
+      if (keys.has(key)) {
+        errors.push({ ...label, error: `Duplicate step key "${key}"` });
+      }
+      keys.add(key);
+      if (typeof step.type !== 'string' || !isKnownStepType(step.type)) {
+        errors.push({ ...label, error: `Unknown step type "${step.type}"` });
+        return null;
+      }
+      if (step.config !== undefined && step.config !== null &&
+        (typeof step.config !== 'object' || Array.isArray(step.config))) {
+        errors.push({ ...label, error: 'config must be an object' });
+        return null;
+      }
+      if (step.order !== undefined && !Number.isInteger(step.order)) {
+        errors.push({ ...label, error: 'order must be an integer' });
+      }
+
+      const config = { ...(step.config || {}), node_id: key };
+      let checked = config;
+      if (messageVariantService.hasVariants(step.type, config)) {
+        const variantValidation = messageVariantService.validateVariants(config);
+        if (!variantValidation.valid) {
+          errors.push({ ...label, error: variantValidation.error });
+          return null;
+        }
+        checked = messageVariantService.applyVariant(config, config.variants[0]);
+      }
+      const validation = validateStepConfig(step.type, checked);
+      if (!validation.valid) {
+        errors.push({ ...label, error: validation.error, missingFields: validation.missingFields });
+      }
+      return {
+        type: step.type,
+        order: Number.isInteger(step.order) ? step.order : index,
+        title: typeof step.title === 'string' && step.title.trim() ? step.title.trim() : this.defaultTitle(step.type),
+        description: typeof step.description === 'string' ? step.description : '',
+        config
+      };
+    });
+
+    if (errors.length === 0) {
+      try {
+        buildWorkflowGraph(steps.map(step => ({ ...step, id: step.config.node_id })));
+      } catch (error) {
+        errors.push({ error: `Invalid workflow: ${error.message}` });
+      }
+    }
+    if (errors.length > 0) {
+      throw badRequest(`Campaign definition is invalid (${errors.length} problem${errors.length === 1 ? '' : 's'})`, errors);
+    }
+
+    return {
+      format: EXPORT_FORMAT,
+      version: document.version,
+      campaign: {
+        name: campaign.name.trim(),
+        campaign_type: typeof campaign.campaign_type === 'string' ? campaign.campaign_type : null,
+        config: this.cleanConfig(campaign.config || {}, RUNTIME_CONFIG_KEYS)
+      },
+      steps
+    };
+  }
+
+  parseConfig(config) {
+    if (!config) return {};
+    return typeof config === 'string' ? JSON.parse(config) : config;
+  }
+
+  cleanConfig(config, omitKeys) {
+    const cleaned = { ...config };
+    omitKeys.forEach(key => delete cleaned[key]);
+    return cleaned;
+  }
+
+  pickCampaignType(config) {
+    return config.campaign_type ? { campaign_type: config.campaign_type } : {};
+  }
+
+  defaultTitle(stepType) {
+    return stepType
+      .split('_')
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ');
+  }
+}
+
+module.exports = new CampaignPortabilityService();
@@ -6,7 +6,10 @@
 const { pool } = require('../../../shared/database/connection');
 const logger = require('../../../core/utils/logger');
 const { getSchema } = require('../../../core/utils/schemaHelper');
-const { validateStepConfig } = require('./StepValidators');
+const { validateStepConfig, getChannelForStepType } = require('./StepValidators');
+const suppressionService = require('./SuppressionService');
+const frequencyCapService = require('./FrequencyCapService');
+const messageVariantService = require('./MessageVariantService');
 const { createActivity, updateActivityStatus } = require('./CampaignActivityService');
 const { executeLeadGeneration } = require('./LeadGenerationService');
 const { executeLinkedInStep } = require('./LinkedInStepExecutor');
@@ -21,6 +24,8 @@ const {
 const { processLeadThroughWorkflow } = require('./WorkflowProcessor');
 const CampaignModel = require('../models/CampaignModel');
 const { getCampaignCreditUsage } = require('../../../shared/middleware/credit_guard');
+// Step channels that reach out to the lead and must respect the do-not-contact list
+const OUTREACH_CHANNELS = ['linkedin', 'email', 'whatsapp', 'instagram', 'voice'];
 /**
  * Execute a campaign step for a specific lead
  */
@@ -36,7 +41,7 @@ async function executeStepForLead(campaignId, step, campaignLead, userId, tenant
 
   try {
     const stepType = step.step_type || step.type;
-    const stepConfig = typeof step.config === 'string' ? JSON.parse(step.config) : step.config;
+    let stepConfig = typeof step.config === 'string' ? JSON.parse(step.config) : step.config;
 
     logger.info('[executeStepForLead] Step config parsed', {
       campaignId,
@@ -44,6 +49,23 @@ async function executeStepForLead(campaignId, step, campaignLead, userId, tenant
       configKeys: Object.keys(stepConfig || {})
     });
 
+    // A/B test: overlay the copy of the lead's message variant before validating
+    const variantConfig = stepConfig;
+    let variant = null;
+    if (campaignLead && campaignLead.id && messageVariantService.hasVariants(stepType, stepConfig)) {
+      const variantValidation = messageVariantService.validateVariants(stepConfig);
+      if (!variantValidation.valid) {
+        return {
+          success: false,
+          error: variantValidation.error,
+          validationError: true,
+          missingFields: ['variants']
+        };
+      }
+      variant = await messageVariantService.selectVariant(campaignId, step, stepConfig, campaignLead, tenantId);
+      stepConfig = messageVariantService.applyVariant(stepConfig, variant);
+    }
+
     // VALIDATE: Check if all required fields are filled before executing
     const validation = validateStepConfig(stepType, stepConfig);
 
@@ -78,6 +100,54 @@ async function executeStepForLead(campaignId, step, campaignLead, userId, tenant
         activityId = await createActivity(campaignId, tenantId, campaignLead.id, step.id, stepType);
       }
     }
+    // Never contact a lead on the tenant's do-not-contact list
+    if (campaignLead && campaignLead.id && OUTREACH_CHANNELS.includes(getChannelForStepType(stepType))) {
+      let suppression;
+      try {
+        suppression = await suppressionService.findMatchForLead(tenantId, campaignLead);
+      } catch (checkError) {
+        // Fail closed: retry on the next run rather than risk contacting a suppressed lead
+        logger.error('[executeStepForLead] Suppression check failed', { campaignId, stepType, error: checkError.message });
+        if (activityId) {
+          await updateActivityStatus(activityId, 'skipped', `Suppression check failed: ${checkError.message}`);
+        }
+        return { success: false, transientError: true, error: 'Suppression check failed' };
+      }
+      if (suppression) {
+        const reason = suppressionService.describeMatch(suppression);
+        logger.info('[executeStepForLead] Lead is suppressed, skipping step', {
+          campaignId,
+          stepType,
+          campaignLeadId: campaignLead.id,
+          suppressionType: suppression.type
+        });
+        if (activityId) {
+          await updateActivityStatus(activityId, 'skipped', reason);
+        }
+        return { success: false, suppressed: true, error: reason };
+      }
+    }
+    // Respect the tenant's cross-campaign frequency caps - defer rather than drop
+    if (campaignLead && campaignLead.id && frequencyCapService.isTouchStep(stepType)) {
+      let cap;
+      try {
+        cap = await frequencyCapService.checkTouch(tenantId, campaignLead, { excludeActivityId: activityId });
+      } catch (checkError) {
+        logger.error('[executeStepForLead] Frequency cap check failed', { campaignId, stepType, error: checkError.message });
+        if (activityId) {
+          await updateActivityStatus(activityId, 'skipped', `Frequency cap check failed: ${checkError.message}`);
+        }
+        return { success: false, transientError: true, error: 'Frequency cap check failed' };
+      }
+      if (cap) {
+        const reason = frequencyCapService.describeDeferral(cap);
+        if (activityId) {
+          await updateActivityStatus(activityId, 'deferred', reason);
+        }
+        await frequencyCapService.deferLead(campaignId, tenantId, campaignLead, stepType, cap);
+        return { success: false, deferred: true, deferredUntil: cap.deferredUntil, error: reason };
+      }
+    }
     let result = { success: false, error: 'Unknown step type' };
     // Handle all step types dynamically based on step type
     if (stepType === 'lead_generation') {
@@ -95,7 +165,7 @@ async function executeStepForLead(campaignId, step, campaignLead, userId, tenant
         error: result.error
       });
     } else if (stepType && stepType.startsWith('linkedin_')) {
-      // All LinkedIn steps: connect, message, follow, visit, scrape_profile, company_search, employee_list, autopost, comment_reply
+      // All LinkedIn steps: connect, message, follow, visit, scrape_profile, company_search, employee_list, reaction, comment, comment_reply, autopost
       logger.info('[executeStepForLead] Calling executeLinkedInStep', {
         campaignId,
         stepType,
@@ -104,7 +174,7 @@ async function executeStepForLead(campaignId, step, campaignLead, userId, tenant
         userId,
         tenantId
       });
-      result = await executeLinkedInStep(stepType, stepConfig, campaignLead, userId, tenantId);
+      result = await executeLinkedInStep(stepType, stepConfig, campaignLead, userId, tenantId, step.id);
       logger.info('[executeStepForLead] executeLinkedInStep returned', {
         campaignId,
         stepType,
@@ -113,25 +183,28 @@ async function executeStepForLead(campaignId, step, campaignLead, userId, tenant
       });
     } else if (stepType && stepType.startsWith('email_')) {
       // All email steps: send, followup
-      result = await executeEmailStep(stepType, stepConfig, campaignLead, userId, tenantId);
+      result = await executeEmailStep(stepType, stepConfig, campaignLead, userId, tenantId, step.id);
     } else if (stepType && stepType.startsWith('whatsapp_')) {
       // WhatsApp steps: send
-      result = await executeWhatsAppStep(stepType, stepConfig, campaignLead, userId, tenantId);
+      result = await executeWhatsAppStep(stepType, stepConfig, campaignLead, userId, tenantId, step.id);
     } else if (stepType && stepType.startsWith('instagram_')) {
-      // Instagram steps: follow, like, dm, autopost, comment_reply, story_view
-      result = await executeInstagramStep(stepType, stepConfig, campaignLead, userId, tenantId);
+      // Instagram steps: follow, like, dm, story_view, comment_reply (autopost is not supported yet)
+      result = await executeInstagramStep(stepType, stepConfig, campaignLead, userId, tenantId, step.id);
     } else if (stepType === 'voice_agent_call') {
-      result = await executeVoiceAgentStep(stepConfig, campaignLead, userId, tenantId);
+      result = await executeVoiceAgentStep(stepConfig, campaignLead, userId, tenantId, step.id);
     } else if (stepType === 'delay') {
       result = await executeDelayStep(stepConfig);
     } else if (stepType === 'condition') {
-      result = await executeConditionStep(stepConfig, campaignLead);
+      result = await executeConditionStep(stepConfig, campaignLead, tenantId);
     } else if (stepType === 'start' || stepType === 'end') {
       // Start and end nodes are just markers, skip execution
       result = { success: true, message: 'Start/End node - no action needed' };
     } else {
       result = { success: true, message: `Step type ${stepType} not yet implemented, but workflow continues` };
     }
+    if (variant && result.success && !result.skipped) {
+      await messageVariantService.recordSend(campaignId, step, variantConfig, variant, campaignLead, tenantId);
+    }
     // Update activity status (only if activity was created)
     if (activityId) {
       const status = result.success ? 'delivered' : 'error';
@@ -293,9 +366,9 @@ async function processCampaign(campaignId, tenantId, authToken = null) {
     const tryQueries = [
       // Try 1: step_type and step_order columns (newest schema)
       {
-        query: `SELECT id, tenant_id, campaign_id, step_type as type, step_order as "order", title, description, config, is_deleted, created_at, updated_at
+        query: `SELECT id, tenant_id, campaign_id, step_type as type, step_order as "order", title, description, config, workflow_version, is_deleted, created_at, updated_at
                 FROM ${schema}.campaign_steps 
-                WHERE campaign_id = $1 AND tenant_id = $2
+                WHERE campaign_id = $1 AND tenant_id = $2 AND retired_at IS NULL
                 ORDER BY step_order ASC`,
         name: 'step_type/step_order'
       },
@@ -555,17 +628,13 @@ async function processCampaign(campaignId, tenantId, authToken = null) {
       if (isInboundCampaign) {
       }
     }
-    // Process each lead through the workflow (skip lead generation, start, and end steps)
-    const workflowSteps = steps.filter(s => {
-      const stepType = s.step_type || s.type;
-      return stepType !== 'lead_generation' &&
-        stepType !== 'start' &&
-        stepType !== 'end';
-    });
+    // Process each lead through the workflow graph
+    // All steps are passed: edges may route through start/end/lead_generation nodes,
+    // which the workflow engine treats as markers (lead generation already ran above)
 
     // Per TDD: Use tenant_id and created_by_user_id
     for (const lead of leads) {
-      await processLeadThroughWorkflow(campaign, workflowSteps, lead, userIdFromCampaign, tenantIdFromCampaign, authToken);
+      await processLeadThroughWorkflow(campaign, steps, lead, userIdFromCampaign, tenantIdFromCampaign, authToken);
     }
 
     // PRODUCTION-GRADE: After processing all leads, check if we should sleep
@@ -1,6 +1,9 @@
 /**
  * Campaign Scheduler Service
  * Handles periodic checking of campaigns to ensure they run on schedule
+ *
+ * Each interval only enqueues a 'campaign.check_campaigns' job; the job queue
+ * runs checkCampaigns() once per tick across instances.
  */
 
 const { pool } = require('../../../shared/database/connection');
@@ -21,9 +24,16 @@ class CampaignSchedulerService {
         }
         this.isRunning = true;
         // Run immediately
-        this.checkCampaigns();
+        this.enqueueCheck();
         // Then run periodically
-        this.intervalId = setInterval(() => this.checkCampaigns(), this.checkIntervalMs);
+        this.intervalId = setInterval(() => this.enqueueCheck(), this.checkIntervalMs);
+    }
+    async enqueueCheck() {
+        try {
+            await require('./JobQueueService').enqueueRecurring('campaign.check_campaigns');
+        } catch (error) {
+            logger.error('[CampaignSchedulerService] Failed to enqueue campaign check', { error: error.message });
+        }
     }
     stop() {
         if (this.intervalId) {
@@ -35,7 +45,7 @@ class CampaignSchedulerService {
     async checkCampaigns() {
         try {
             // Use configured schema or default to lad_dev
-            const schema = getSchema(req);
+            const schema = getSchema();
             // Query for campaigns that are:
             // 1. 'active' (continuous processing)
             // 2. 'sleeping_until_next_day' AND next_run_at <= NOW()
@@ -74,10 +84,9 @@ class CampaignSchedulerService {
             } else {
             }
         } catch (error) {
-            // Check for common errors (like table not existing if schema is wrong)
-            if (error.code === '42P01') { // undefined_table
-            } else {
-            }
+            logger.error('[CampaignSchedulerService] Campaign check failed', { code: error.code, error: error.message });
+            // Fail the job so the queue records it
+            throw error;
         }
     }
 }
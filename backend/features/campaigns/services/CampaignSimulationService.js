@@ -0,0 +1,366 @@
+/**
+ * Campaign Simulation Service
+ * Dry run of a campaign: what its workflow would do to its real leads, when, and at what cost
+ *
+ * Loads the campaign, the workflow versions its leads run on, the leads themselves and the
+ * tenant's delivery settings (send window, frequency caps, LinkedIn pacing and senders),
+ * validates every step, then runs the workflow simulator (engine/workflowSimulator) with
+ * the no-op channel dispatcher. Planned actions are priced with billingService.quote.
+ * Everything is read-only: nothing is sent, booked, pinned or charged.
+ *
+ * LAD Architecture: Service layer - no SQL, uses repositories
+ */
+const CampaignRepository = require('../repositories/CampaignRepository');
+const CampaignStepRepository = require('../repositories/CampaignStepRepository');
+const CampaignLeadRepository = require('../repositories/CampaignLeadRepository');
+const CampaignWorkflowVersionRepository = require('../repositories/CampaignWorkflowVersionRepository');
+const LinkedInActionQueueRepository = require('../repositories/LinkedInActionQueueRepository');
+const workflowEngine = require('../engine/workflowEngine');
+const workflowSimulator = require('../engine/workflowSimulator');
+const noopDispatcher = require('../engine/channelDispatchers/noop');
+const { buildWorkflowGraph, getStepType, parseStepConfig, BRANCHING_TYPES, PASS_THROUGH_TYPES } = require('../engine/workflowGraph');
+const { validateStepConfig, isKnownStepType, getChannelForStepType } = require('./StepValidators');
+const messageVariantService = require('./MessageVariantService');
+const sendWindowService = require('./SendWindowService');
+const frequencyCapService = require('./FrequencyCapService');
+const linkedInPacingService = require('./LinkedInPacingService');
+const linkedInSenderRotationService = require('./LinkedInSenderRotationService');
+const suppressionService = require('./SuppressionService');
+const billingService = require('../../../core/billing/services/billingService');
+const logger = require('../../../core/utils/logger');
+
+const DEFAULT_LEAD_LIMIT = 50;
+const MAX_LEAD_LIMIT = 200;
+const DEFAULT_HORIZON_DAYS = 30;
+const MAX_HORIZON_DAYS = 180;
+// startAt may lag the server clock by this much (client clock skew)
+const START_AT_TOLERANCE_MS = 5 * 60 * 1000;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// Node types the engine handles itself (no executor, nothing to validate beyond StepValidators)
+const CONTROL_TYPES = [...PASS_THROUGH_TYPES, ...BRANCHING_TYPES, 'delay', 'end'];
+// Estimated length of a campaign voice call when quoting telephony minutes
+const ESTIMATED_CALL_MINUTES = 2;
+// billing_pricing_catalog entry each channel's actions are quoted against; the step type is
+// the model, so a per-step price overrides the provider's '*' price
+const ACTION_PRICING = {
+  linkedin: { category: 'campaign_action', provider: 'linkedin', unit: 'action' },
+  email: { category: 'campaign_action', provider: 'email', unit: 'message' },
+  whatsapp: { category: 'campaign_action', provider: 'whatsapp', unit: 'message' },
+  instagram: { category: 'campaign_action', provider: 'instagram', unit: 'action' },
+  voice: { category: 'telephony', provider: 'twilio', model: 'voice', unit: 'minute' }
+};
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+class CampaignSimulationService {
+  /**
+   * Simulate a campaign against its leads
+   * @param {Object} body - { leadIds?, limit?, startAt?, horizonDays? }
+   * @returns {Promise<Object|null>} Simulation report, or null if the campaign doesn't exist
+   * @throws {Error} with statusCode 400 for invalid options
+   */
+  async simulateCampaign(campaignId, tenantId, body = {}, context = {}) {
+    const options = this.parseOptions(body);
+    const campaign = await CampaignRepository.getById(campaignId, tenantId, context);
+    if (!campaign) {
+      return null;
+    }
+    const currentVersion = parseInt(campaign.workflow_version, 10) || 1;
+    const validationErrors = [];
+    const invalidSteps = new Map();
+    const versions = new Map();
+    const loadVersion = async version => {
+      if (versions.has(version)) {
+        return versions.get(version);
+      }
+      const steps = version === currentVersion
+        ? await CampaignStepRepository.getStepsByCampaignId(campaignId, tenantId, context)
+        : await CampaignWorkflowVersionRepository.getStepsByVersion(campaignId, tenantId, version, context);
+      const loaded = this.prepareVersion(version, steps, validationErrors, invalidSteps);
+      versions.set(version, loaded);
+      return loaded;
+    };
+    const current = await loadVersion(currentVersion);
+    if (current.steps.length === 0) {
+      validationErrors.push({ workflowVersion: currentVersion, error: 'Campaign has no steps' });
+    }
+
+    const leads = await CampaignLeadRepository.getLeadsForSimulation(
+      campaignId,
+      tenantId,
+      { leadIds: options.leadIds, limit: options.limit },
+      context
+    );
+    for (const lead of leads) {
+      await loadVersion(parseInt(lead.workflow_version, 10) || currentVersion);
+    }
+
+    const stepTypes = [...versions.values()].flatMap(version => version.steps.map(step => getStepType(step)));
+    const linkedin = await this.loadLinkedInPlan(campaign, tenantId, stepTypes, context);
+    if (linkedin.error) {
+      validationErrors.push({ channel: 'linkedin', error: linkedin.error });
+    }
+    const frequencyCaps = await frequencyCapService.getFrequencyCaps(tenantId, context);
+    const sendWindow = sendWindowService.getWindow(campaign);
+
+    const entries = [];
+    const skipped = [];
+    for (const lead of leads) {
+      const version = versions.get(parseInt(lead.workflow_version, 10) || currentVersion);
+      if (!version.graph) {
+        skipped.push(this.describeSkippedLead(lead, version));
+        continue;
+      }
+      entries.push({
+        campaignLead: lead,
+        graph: version.graph,
+        version: version.version,
+        actionLog: await workflowEngine.loadLeadActions(campaignId, lead, tenantId),
+        touches: frequencyCaps.enabled && lead.lead_id
+          ? await frequencyCapService.getRecentTouches(tenantId, lead.lead_id, frequencyCaps, options.startAt)
+          : [],
+        suppression: await this.findSuppression(tenantId, lead, context)
+      });
+    }
+
+    const timelines = await workflowSimulator.simulate({
+      startAt: options.startAt,
+      horizonAt: options.horizonAt,
+      leads: entries,
+      invalidSteps,
+      sendWindow,
+      frequencyCaps,
+      linkedin
+    });
+    const names = new Map(leads.map(lead => [lead.id, this.getLeadName(lead)]));
+    const results = [...timelines, ...skipped].map(result => ({ ...result, name: names.get(result.campaignLeadId) || null }));
+    const cost = await this.quoteActions(tenantId, results);
+
+    logger.info('[CampaignSimulationService] Campaign simulated', {
+      campaignId,
+      tenantId,
+      leads: results.length,
+      validationErrors: validationErrors.length,
+      totalCost: cost.totalCost
+    });
+    return {
+      campaignId,
+      workflowVersion: currentVersion,
+      startAt: options.startAt.toISOString(),
+      horizonAt: options.horizonAt.toISOString(),
+      valid: validationErrors.length === 0,
+      validationErrors,
+      leads: {
+        total: leads.length > 0 ? parseInt(leads[0].total_count, 10) : 0,
+        simulated: results.length
+      },
+      summary: this.summarize(results),
+      cost,
+      timelines: results
+    };
+  }
+
+  /**
+   * @returns {Object} { leadIds, limit, startAt, horizonAt }
+   */
+  parseOptions(body = {}) {
+    let leadIds = null;
+    if (body.leadIds !== undefined && body.leadIds !== null) {
+      if (!Array.isArray(body.leadIds) || body.leadIds.length === 0 || body.leadIds.length > MAX_LEAD_LIMIT) {
+        throw badRequest(`leadIds must be an array of 1 to ${MAX_LEAD_LIMIT} campaign lead ids`);
+      }
+      if (!body.leadIds.every(id => typeof id === 'string' && UUID_PATTERN.test(id))) {
+        throw badRequest('leadIds must be campaign lead ids (UUIDs)');
+      }
+      leadIds = body.leadIds;
+    }
+    const limit = body.limit !== undefined ? Number(body.limit) : (leadIds ? leadIds.length : DEFAULT_LEAD_LIMIT);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LEAD_LIMIT) {
+      throw badRequest(`limit must be an integer between 1 and ${MAX_LEAD_LIMIT}`);
+    }
+    const now = new Date();
+    let startAt = now;
+    if (body.startAt !== undefined && body.startAt !== null) {
+      startAt = new Date(body.startAt);
+      if (Number.isNaN(startAt.getTime())) {
+        throw badRequest('startAt must be an ISO date');
+      }
+      if (startAt.getTime() < now.getTime() - START_AT_TOLERANCE_MS) {
+        throw badRequest('startAt must not be in the past');
+      }
+      if (startAt < now) {
+        startAt = now;
+      }
+    }
+    const horizonDays = body.horizonDays !== undefined ? Number(body.horizonDays) : DEFAULT_HORIZON_DAYS;
+    if (!Number.isInteger(horizonDays) || horizonDays < 1 || horizonDays > MAX_HORIZON_DAYS) {
+      throw badRequest(`horizonDays must be an integer between 1 and ${MAX_HORIZON_DAYS}`);
+    }
+    const horizonAt = new Date(startAt.getTime() + horizonDays * 24 * 60 * 60 * 1000);
+    return { leadIds, limit, startAt, horizonAt };
+  }
+
+  /**
+   * Build one workflow version's graph and validate its steps
+   * (A/B tested steps are checked with the first variant's copy, as CampaignProcessor does at send time)
+   * @returns {Object} { version, steps, graph } - graph is null (with error) if it can't be built
+   */
+  prepareVersion(version, steps, validationErrors, invalidSteps) {
+    const active = (steps || []).filter(step => !step.is_deleted);
+    for (const step of active) {
+      const stepType = getStepType(step);
+      const config = parseStepConfig(step);
+      const label = { workflowVersion: version, stepId: step.id, nodeKey: String(config.node_id || step.id), stepType, title: step.title || null };
+      if (!isKnownStepType(stepType)) {
+        // Unknown steps are skipped at run time, the lead moves on
+        validationErrors.push({ ...label, error: `Unknown step type "${stepType}" - it will be skipped` });
+        continue;
+      }
+      let checked = config;
+      if (messageVariantService.hasVariants(stepType, config)) {
+        const variantValidation = messageVariantService.validateVariants(config);
+        if (!variantValidation.valid) {
+          validationErrors.push({ ...label, error: variantValidation.error, missingFields: ['variants'] });
+          invalidSteps.set(String(step.id), { error: variantValidation.error, missingFields: ['variants'] });
+          continue;
+        }
+        checked = messageVariantService.applyVariant(config, config.variants[0]);
+      }
+      const validation = validateStepConfig(stepType, checked);
+      if (!validation.valid) {
+        validationErrors.push({ ...label, error: validation.error, missingFields: validation.missingFields });
+        if (!CONTROL_TYPES.includes(stepType)) {
+          invalidSteps.set(String(step.id), { error: validation.error, missingFields: validation.missingFields });
+        }
+      }
+    }
+    try {
+      const graph = buildWorkflowGraph(active);
+      return { version, steps: active, graph: graph.entryKey ? graph : null, error: graph.entryKey ? null : 'Workflow has no steps' };
+    } catch (error) {
+      validationErrors.push({ workflowVersion: version, error: error.message });
+      return { version, steps: active, graph: null, error: error.message };
+    }
+  }
+
+  /**
+   * LinkedIn senders and pacing, with each sender's timeline starting after its last booked slot
+   * @returns {Promise<Object>} { pacing, accounts, timelines, error }
+   */
+  async loadLinkedInPlan(campaign, tenantId, stepTypes, context = {}) {
+    const plan = { pacing: null, accounts: [], timelines: new Map(), error: null };
+    if (!stepTypes.some(stepType => linkedInPacingService.isPacedStep(stepType))) {
+      return plan;
+    }
+    const { accounts, error } = await linkedInSenderRotationService.getEligibleAccounts(tenantId, campaign.created_by_user_id, campaign);
+    plan.pacing = await linkedInPacingService.getPacing(tenantId, context);
+    plan.accounts = accounts;
+    plan.error = error;
+    for (const account of accounts) {
+      const lastSlot = await LinkedInActionQueueRepository.getLastSlotForAccount(tenantId, account.provider_account_id);
+      plan.timelines.set(account.provider_account_id, linkedInPacingService.createPlanTimeline(lastSlot?.scheduled_at));
+    }
+    return plan;
+  }
+
+  /**
+   * @returns {Promise<string|null>} Why the lead is on the do-not-contact list, or null
+   */
+  async findSuppression(tenantId, lead, context = {}) {
+    try {
+      const match = await suppressionService.findMatchForLead(tenantId, lead, context);
+      return match ? suppressionService.describeMatch(match) : null;
+    } catch (error) {
+      logger.warn('[CampaignSimulationService] Suppression check failed', { campaignLeadId: lead.id, error: error.message });
+      return null;
+    }
+  }
+
+  describeSkippedLead(lead, version) {
+    return {
+      campaignLeadId: lead.id,
+      leadId: lead.lead_id || null,
+      workflowVersion: version.version,
+      status: 'stopped',
+      reason: `Workflow version ${version.version} can't run: ${version.error}`,
+      finishedAt: null,
+      timeline: []
+    };
+  }
+
+  getLeadName(lead) {
+    const data = noopDispatcher.getLeadData(lead);
+    const name = data.name || data.full_name || [data.first_name, data.last_name].filter(Boolean).join(' ');
+    return name || null;
+  }
+
+  /**
+   * Lead statuses, planned actions per step type and the planned date range
+   */
+  summarize(results) {
+    const statuses = {};
+    const plannedActions = {};
+    let failedActions = 0;
+    let firstActionAt = null;
+    let lastActionAt = null;
+    for (const result of results) {
+      statuses[result.status] = (statuses[result.status] || 0) + 1;
+      for (const entry of result.timeline) {
+        if (entry.kind !== 'action') continue;
+        if (entry.status !== 'planned') {
+          failedActions++;
+          continue;
+        }
+        plannedActions[entry.stepType] = (plannedActions[entry.stepType] || 0) + 1;
+        if (!firstActionAt || entry.at < firstActionAt) firstActionAt = entry.at;
+        if (!lastActionAt || entry.at > lastActionAt) lastActionAt = entry.at;
+      }
+    }
+    return { statuses, plannedActions, failedActions, firstActionAt, lastActionAt };
+  }
+
+  /**
+   * Price the planned actions (quote only - the wallet is not touched)
+   * Usage without a price in the catalog is listed under unpriced instead of failing the quote
+   * @returns {Promise<Object>} { items, unpriced, totalCost, currency }
+   */
+  async quoteActions(tenantId, results) {
+    const usage = new Map();
+    for (const result of results) {
+      for (const entry of result.timeline) {
+        if (entry.kind !== 'action' || entry.status !== 'planned') continue;
+        const pricing = ACTION_PRICING[entry.channel || getChannelForStepType(entry.stepType)];
+        if (!pricing) continue;
+        const model = pricing.model || entry.stepType;
+        const key = `${pricing.category}:${pricing.provider}:${model}:${pricing.unit}`;
+        const item = usage.get(key) || { category: pricing.category, provider: pricing.provider, model, unit: pricing.unit, quantity: 0 };
+        item.quantity += entry.channel === 'voice' ? ESTIMATED_CALL_MINUTES : 1;
+        usage.set(key, item);
+      }
+    }
+    const items = [];
+    const unpriced = [];
+    let totalCost = 0;
+    for (const item of usage.values()) {
+      try {
+        const quote = await billingService.quote({ tenantId, items: [item] });
+        items.push(...quote.items);
+        totalCost += quote.totalCost;
+      } catch (error) {
+        unpriced.push({ ...item, error: error.message });
+      }
+    }
+    return {
+      items,
+      unpriced,
+      totalCost: parseFloat(totalCost.toFixed(6)),
+      currency: 'USD'
+    };
+  }
+}
+
+module.exports = new CampaignSimulationService();
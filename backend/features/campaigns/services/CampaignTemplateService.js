@@ -0,0 +1,217 @@
+/**
+ * Campaign Template Service
+ * Library of reusable campaign blueprints, per tenant and global
+ *
+ * A template stores a campaign export document (CampaignPortabilityService), taken
+ * from an existing campaign or supplied as JSON, and is validated the same way an
+ * import is. Using a template imports its document as a new draft campaign.
+ * Tenant templates are managed by the tenant; global templates (tenant_id NULL) are
+ * visible to every tenant and can only be changed by platform template admins.
+ *
+ * LAD Architecture: Service layer - no SQL, uses repositories
+ */
+const CampaignTemplateRepository = require('../repositories/CampaignTemplateRepository');
+const CampaignRepository = require('../repositories/CampaignRepository');
+const CampaignStepRepository = require('../repositories/CampaignStepRepository');
+const portabilityService = require('./CampaignPortabilityService');
+const logger = require('../../../core/utils/logger');
+
+const SCOPES = ['tenant', 'global'];
+const MAX_NAME_LENGTH = 255;
+const MAX_CATEGORY_LENGTH = 100;
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+function forbidden(message) {
+  const error = new Error(message);
+  error.statusCode = 403;
+  return error;
+}
+
+class CampaignTemplateService {
+  /**
+   * @param {Object} query - { scope: 'tenant'|'global' (default both), category, search, limit, offset }
+   */
+  async listTemplates(tenantId, query = {}, context = {}) {
+    if (query.scope !== undefined && !SCOPES.includes(query.scope)) {
+      throw badRequest(`scope must be one of: ${SCOPES.join(', ')}`);
+    }
+    const { templates, total } = await CampaignTemplateRepository.list(tenantId, {
+      scope: query.scope,
+      category: query.category,
+      search: query.search,
+      limit: Math.min(parseInt(query.limit, 10) || 50, 100),
+      offset: Math.max(parseInt(query.offset, 10) || 0, 0)
+    }, context);
+    return { templates: templates.map(template => this.withScope(template)), total };
+  }
+
+  async getTemplate(id, tenantId, context = {}) {
+    const template = await CampaignTemplateRepository.getById(id, tenantId, context);
+    return template ? this.withScope(template) : null;
+  }
+
+  /**
+   * Save a template from a campaign ({ campaignId }) or an export document ({ definition })
+   * @param {Object} body - { name, description, category, scope: 'tenant'|'global', campaignId | definition }
+   * @param {Object} user - { userId, canManageGlobal }
+   * @returns {Promise<Object|null>} template, null if campaignId doesn't exist
+   */
+  async createTemplate(tenantId, body = {}, user = {}, context = {}) {
+    const scope = body.scope || 'tenant';
+    const ownerTenantId = this.resolveOwner(scope, tenantId, user);
+
+    let definition;
+    if (body.campaignId) {
+      const campaign = await CampaignRepository.getById(body.campaignId, tenantId, context);
+      if (!campaign) return null;
+      const steps = (await CampaignStepRepository.getStepsByCampaignId(body.campaignId, tenantId, context))
+        .filter(step => !step.is_deleted);
+      definition = portabilityService.buildDocument(campaign, steps);
+    } else if (body.definition) {
+      definition = body.definition;
+    } else {
+      throw badRequest('campaignId or definition is required');
+    }
+    // Templates are only stored in a shape that imports cleanly
+    const validated = portabilityService.validateDocument(definition);
+
+    const fields = this.validateFields({ name: body.name ?? validated.campaign.name, ...this.pick(body) }, true);
+    const template = await CampaignTemplateRepository.create(ownerTenantId, {
+      ...fields,
+      definition: this.toDocument(validated),
+      stepCount: validated.steps.length,
+      sourceCampaignId: body.campaignId || null,
+      createdByUserId: user.userId
+    }, context);
+
+    logger.info('[CampaignTemplate] Template saved', {
+      templateId: template.id,
+      tenantId,
+      scope,
+      sourceCampaignId: body.campaignId || null,
+      stepCount: validated.steps.length
+    });
+    return this.withScope(template);
+  }
+
+  /**
+   * Update name/description/category and optionally replace the definition
+   * @returns {Promise<Object|null>} template, null if not found
+   */
+  async updateTemplate(id, tenantId, body = {}, user = {}, context = {}) {
+    const ownerTenantId = await this.getOwnerForWrite(id, tenantId, user, context);
+    if (ownerTenantId === undefined) return null;
+
+    const updates = this.validateFields(this.pick(body), false);
+    if (body.definition !== undefined) {
+      const validated = portabilityService.validateDocument(body.definition);
+      updates.definition = this.toDocument(validated);
+      updates.stepCount = validated.steps.length;
+    }
+    const template = await CampaignTemplateRepository.update(id, ownerTenantId, updates, context);
+    return template ? this.withScope(template) : null;
+  }
+
+  /**
+   * @returns {Promise<boolean>} false if not found
+   */
+  async deleteTemplate(id, tenantId, user = {}, context = {}) {
+    const ownerTenantId = await this.getOwnerForWrite(id, tenantId, user, context);
+    if (ownerTenantId === undefined) return false;
+    return CampaignTemplateRepository.delete(id, ownerTenantId, context);
+  }
+
+  /**
+   * Create a draft campaign from a template
+   * @param {Object} body - { name } to override the template's campaign name
+   * @returns {Promise<Object|null>} { campaign, stepsCreated, templateId }, null if not found
+   */
+  async useTemplate(id, tenantId, userId, body = {}, context = {}) {
+    const template = await CampaignTemplateRepository.getById(id, tenantId, context);
+    if (!template) return null;
+    const definition = typeof template.definition === 'string' ? JSON.parse(template.definition) : template.definition;
+    const result = await portabilityService.importCampaign(definition, tenantId, userId, { name: body.name }, context);
+    return { ...result, templateId: template.id };
+  }
+
+  /**
+   * Owner tenant of a template the user may change: the tenant's own id, null for a
+   * global template (admins only), undefined when the template isn't visible
+   */
+  async getOwnerForWrite(id, tenantId, user, context) {
+    const template = await CampaignTemplateRepository.getById(id, tenantId, context);
+    if (!template) return undefined;
+    if (template.tenant_id === null) {
+      return this.resolveOwner('global', tenantId, user);
+    }
+    return template.tenant_id;
+  }
+
+  resolveOwner(scope, tenantId, user) {
+    if (!SCOPES.includes(scope)) {
+      throw badRequest(`scope must be one of: ${SCOPES.join(', ')}`);
+    }
+    if (scope === 'global') {
+      if (!user.canManageGlobal) {
+        throw forbidden('Managing global templates requires the campaigns.templates.global capability');
+      }
+      return null;
+    }
+    return tenantId;
+  }
+
+  pick(body) {
+    const picked = {};
+    ['name', 'description', 'category'].forEach(key => {
+      if (body[key] !== undefined) picked[key] = body[key];
+    });
+    return picked;
+  }
+
+  validateFields(fields, requireName) {
+    const validated = {};
+    if (fields.name !== undefined || requireName) {
+      if (typeof fields.name !== 'string' || !fields.name.trim()) {
+        throw badRequest('name is required');
+      }
+      if (fields.name.trim().length > MAX_NAME_LENGTH) {
+        throw badRequest(`name must be at most ${MAX_NAME_LENGTH} characters`);
+      }
+      validated.name = fields.name.trim();
+    }
+    if (fields.description !== undefined) {
+      if (fields.description !== null && typeof fields.description !== 'string') {
+        throw badRequest('description must be a string');
+      }
+      validated.description = fields.description;
+    }
+    if (fields.category !== undefined) {
+      if (fields.category !== null &&
+        (typeof fields.category !== 'string' || fields.category.trim().length > MAX_CATEGORY_LENGTH)) {
+        throw badRequest(`category must be a string of at most ${MAX_CATEGORY_LENGTH} characters`);
+      }
+      validated.category = fields.category === null ? null : fields.category.trim() || null;
+    }
+    return validated;
+  }
+
+  toDocument(validated) {
+    return {
+      format: validated.format,
+      version: validated.version,
+      campaign: validated.campaign,
+      steps: validated.steps.map(step => ({ key: step.config.node_id, ...step }))
+    };
+  }
+
+  withScope(template) {
+    return { ...template, scope: template.tenant_id === null ? 'global' : 'tenant' };
+  }
+}
+
+module.exports = new CampaignTemplateService();
@@ -0,0 +1,239 @@
+/**
+ * Email Inbox Service
+ * Scans campaign mailboxes over IMAP for replies and bounces
+ *
+ * Inbound mail is matched to the campaign email it answers via In-Reply-To /
+ * References (replies) or the original Message-ID embedded in the delivery
+ * report (bounces), then recorded in campaign_analytics as REPLY_RECEIVED or
+ * EMAIL_BOUNCED. Each mailbox keeps the highest scanned IMAP UID so messages
+ * are only processed once.
+ *
+ * LAD Architecture: Service layer - no SQL, uses repositories
+ */
+const { ImapFlow } = require('imapflow');
+const { simpleParser } = require('mailparser');
+const EmailMailboxRepository = require('../repositories/EmailMailboxRepository');
+const CampaignEmailMessageRepository = require('../repositories/CampaignEmailMessageRepository');
+const CampaignLeadActivityRepository = require('../repositories/CampaignLeadActivityRepository');
+const { campaignStatsTracker } = require('./campaignStatsTracker');
+const inboxService = require('./InboxService');
+const replyIntentService = require('./ReplyIntentService');
+const logger = require('../../../core/utils/logger');
+const { decryptCredential } = require('../../../core/utils/credentialCipher');
+// First scan of a mailbox only looks this far back
+const INITIAL_LOOKBACK_DAYS = 7;
+const BOUNCE_SENDER_PATTERN = /mailer-daemon|postmaster/i;
+const BOUNCE_SUBJECT_PATTERN = /undeliver|delivery status notification|returned mail|failure notice|delivery failure/i;
+const MESSAGE_ID_PATTERN = /^(?:original-)?message-id:\s*(<[^>\s]+>)/gim;
+// A message that fails this many polls in a row is skipped so it can't block the mailbox
+const MAX_MESSAGE_ATTEMPTS = Number(process.env.EMAIL_INBOUND_MAX_ATTEMPTS) || 3;
+class EmailInboxService {
+  /**
+   * Poll every active mailbox that has IMAP configured
+   * @returns {Promise<Object>} { total, successful, failed, replies, bounces }
+   */
+  async pollAllMailboxes() {
+    const mailboxes = await EmailMailboxRepository.getAllWithImap();
+    const summary = { total: mailboxes.length, successful: 0, failed: 0, replies: 0, bounces: 0 };
+    for (const mailbox of mailboxes) {
+      try {
+        const result = await this.pollMailbox(mailbox);
+        summary.successful++;
+        summary.replies += result.replies;
+        summary.bounces += result.bounces;
+      } catch (error) {
+        summary.failed++;
+        logger.error('[EmailInboxService] Mailbox poll failed', {
+          mailboxId: mailbox.id,
+          error: error.message
+        });
+      }
+    }
+    logger.info('[EmailInboxService] Poll completed', summary);
+    return summary;
+  }
+  /**
+   * Scan one mailbox's INBOX for messages newer than its IMAP cursor
+   * The cursor advances after each message, so a failure only retries from that message;
+   * after MAX_MESSAGE_ATTEMPTS failed polls the message is recorded on the mailbox and skipped
+   */
+  async pollMailbox(mailbox) {
+    const client = this.createImapClient(mailbox);
+    const lastUid = Number(mailbox.imap_last_uid || 0);
+    const inbound = [];
+    await client.connect();
+    try {
+      const lock = await client.getMailboxLock('INBOX');
+      try {
+        const range = lastUid > 0
+          ? `${lastUid + 1}:*`
+          : await client.search({ since: new Date(Date.now() - INITIAL_LOOKBACK_DAYS * 24 * 60 * 60 * 1000) }, { uid: true });
+        if (!Array.isArray(range) || range.length > 0) {
+          for await (const message of client.fetch(range, { uid: true, source: true }, { uid: true })) {
+            // "N:*" always returns the newest message, even when it is older than N
+            if (message.uid <= lastUid) continue;
+            inbound.push({ uid: message.uid, source: message.source });
+          }
+        }
+      } finally {
+        lock.release();
+      }
+    } finally {
+      await client.logout().catch(() => {});
+    }
+    const result = { replies: 0, bounces: 0 };
+    if (inbound.length === 0) {
+      // Still records the poll time
+      await EmailMailboxRepository.updateImapCursor(mailbox.id, lastUid);
+      return result;
+    }
+    inbound.sort((a, b) => a.uid - b.uid);
+    for (const { uid, source } of inbound) {
+      try {
+        const parsed = await simpleParser(source);
+        const outcome = await this.processInboundMessage(mailbox, parsed, source.toString('utf8'));
+        if (outcome === 'reply') result.replies++;
+        if (outcome === 'bounce') result.bounces++;
+      } catch (error) {
+        const attempts = await EmailMailboxRepository.recordImapFailure(mailbox.id, uid, error.message);
+        if (attempts < MAX_MESSAGE_ATTEMPTS) {
+          // The cursor stays before this message, so it (and everything after it) is retried next poll
+          logger.error('[EmailInboxService] Failed to process inbound message', {
+            mailboxId: mailbox.id,
+            uid,
+            attempts,
+            error: error.message
+          });
+          throw error;
+        }
+        logger.error('[EmailInboxService] Skipping inbound message after repeated failures', {
+          mailboxId: mailbox.id,
+          uid,
+          attempts,
+          error: error.message
+        });
+      }
+      await EmailMailboxRepository.updateImapCursor(mailbox.id, uid);
+    }
+    return result;
+  }
+  createImapClient(mailbox) {
+    return new ImapFlow({
+      host: mailbox.imap_host,
+      port: Number(mailbox.imap_port) || 993,
+      secure: mailbox.imap_secure !== false,
+      auth: {
+        user: mailbox.imap_username || mailbox.smtp_username || mailbox.email_address,
+        pass: decryptCredential(mailbox.imap_password || mailbox.smtp_password)
+      },
+      logger: false
+    });
+  }
+  /**
+   * Classify and record one inbound message
+   * @returns {Promise<string|null>} 'reply' | 'bounce' | null (unrelated mail)
+   */
+  async processInboundMessage(mailbox, parsed, rawSource = '') {
+    if (this.isBounce(parsed)) {
+      const original = await this.findBouncedMessage(mailbox, parsed, rawSource);
+      if (!original) return null;
+      await CampaignEmailMessageRepository.markBounced(original.id);
+      await this.recordEvent(original, 'EMAIL_BOUNCED', 'bounced', parsed, mailbox);
+      return 'bounce';
+    }
+    const referencedIds = [parsed.inReplyTo]
+      .concat(parsed.references || [])
+      .filter(Boolean);
+    const [original] = (await CampaignEmailMessageRepository.findByMessageIds(referencedIds))
+      .filter(message => message.tenant_id === mailbox.tenant_id);
+    if (!original) return null;
+    await CampaignEmailMessageRepository.markReplied(original.id);
+    await this.recordEvent(original, 'REPLY_RECEIVED', 'replied', parsed, mailbox);
+    await inboxService.recordInbound({
+      tenantId: original.tenant_id,
+      campaignId: original.campaign_id,
+      campaignLeadId: original.campaign_lead_id,
+      leadId: original.lead_id,
+      channel: 'email',
+      accountRef: mailbox.id,
+      chatRef: original.to_email,
+      leadName: parsed.from?.value?.[0]?.name || null,
+      text: (parsed.text || '').trim() || parsed.subject,
+      receivedAt: parsed.date
+    });
+    replyIntentService.classifyInBackground({
+      tenantId: original.tenant_id,
+      campaignId: original.campaign_id,
+      campaignLeadId: original.campaign_lead_id,
+      leadId: original.lead_id,
+      channel: 'email',
+      text: parsed.text,
+      subject: parsed.subject
+    });
+    return 'reply';
+  }
+  /**
+   * Delivery status notifications (RFC 3464) or the usual mailer-daemon heuristics
+   */
+  isBounce(parsed) {
+    const contentType = parsed.headers.get('content-type');
+    if (contentType?.value === 'multipart/report' && /delivery-status/i.test(contentType.params?.['report-type'] || '')) {
+      return true;
+    }
+    const sender = parsed.from?.value?.[0]?.address || '';
+    return BOUNCE_SENDER_PATTERN.test(sender) && BOUNCE_SUBJECT_PATTERN.test(parsed.subject || '');
+  }
+  /**
+   * Find the campaign email a bounce refers to: Message-ID headers quoted in the
+   * report, else the latest message this mailbox sent to the failed recipient
+   */
+  async findBouncedMessage(mailbox, parsed, rawSource) {
+    const quotedIds = [...rawSource.matchAll(MESSAGE_ID_PATTERN)]
+      .map(match => match[1])
+      .filter(id => id !== parsed.messageId);
+    const matches = (await CampaignEmailMessageRepository.findByMessageIds(quotedIds))
+      .filter(message => message.mailbox_id === mailbox.id);
+    if (matches.length > 0) {
+      return matches[0];
+    }
+    const failedRecipient = parsed.headers.get('x-failed-recipients');
+    if (failedRecipient) {
+      return CampaignEmailMessageRepository.findLatestByRecipient(mailbox.id, String(failedRecipient).split(',')[0].trim());
+    }
+    return null;
+  }
+  async recordEvent(original, actionType, activityStatus, parsed, mailbox) {
+    const snippet = (parsed.text || '').trim().slice(0, 2000);
+    await campaignStatsTracker.trackAction(original.campaign_id, actionType, {
+      leadId: original.lead_id || original.campaign_lead_id,
+      channel: 'email',
+      leadEmail: original.to_email,
+      messageContent: snippet || parsed.subject || null,
+      status: 'success',
+      tenantId: original.tenant_id,
+      accountName: mailbox.email_address,
+      responseData: {
+        source: 'imap',
+        mailboxId: mailbox.id,
+        inboundMessageId: parsed.messageId || null,
+        originalMessageId: original.message_id
+      }
+    });
+    await CampaignLeadActivityRepository.create({
+      tenantId: original.tenant_id,
+      campaignId: original.campaign_id,
+      campaignLeadId: original.campaign_lead_id,
+      stepId: original.step_id,
+      stepType: original.step_type,
+      actionType,
+      status: activityStatus,
+      channel: 'email',
+      subject: parsed.subject || null,
+      messageContent: snippet || null,
+      provider: 'imap',
+      providerEventId: parsed.messageId || null,
+      executedAt: parsed.date || new Date()
+    });
+  }
+}
+module.exports = new EmailInboxService();
@@ -0,0 +1,96 @@
+/**
+ * Email Mailbox Service
+ * Business logic for per-tenant campaign mailboxes
+ *
+ * LAD Architecture: Service Layer (NO SQL)
+ */
+
+const logger = require('../../../core/utils/logger');
+const { encryptCredential } = require('../../../core/utils/credentialCipher');
+const repository = require('../repositories/EmailMailboxRepository');
+const { getTransport } = require('../engine/channelDispatchers/emailTransports');
+
+const DEFAULT_SMTP_PORT = 587;
+const DEFAULT_IMAP_PORT = 993;
+const DEFAULT_DAILY_LIMIT = 200;
+// Stored encrypted (decrypted only where the SMTP/IMAP clients are built)
+const CREDENTIAL_FIELDS = ['smtp_password', 'imap_password'];
+
+function encryptCredentials(data) {
+  const encrypted = { ...data };
+  for (const field of CREDENTIAL_FIELDS) {
+    if (encrypted[field] !== undefined) {
+      encrypted[field] = encryptCredential(encrypted[field]);
+    }
+  }
+  return encrypted;
+}
+
+class EmailMailboxService {
+  async listMailboxes(tenantId, context = {}) {
+    return repository.listForTenant(tenantId, context);
+  }
+
+  async getMailbox(id, tenantId, context = {}) {
+    return repository.getById(id, tenantId, context);
+  }
+
+  /**
+   * Create a mailbox
+   * @throws {Error} with statusCode 400 when required fields are missing
+   */
+  async createMailbox(tenantId, userId, data, context = {}) {
+    const missing = ['email_address', 'smtp_host'].filter(field => !data[field]);
+    if (missing.length > 0) {
+      const error = new Error(`Missing required fields: ${missing.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    const smtpPort = Number(data.smtp_port) || DEFAULT_SMTP_PORT;
+    return repository.create(tenantId, {
+      ...encryptCredentials(data),
+      user_id: data.user_id || userId,
+      smtp_port: smtpPort,
+      // Port 465 is implicit TLS; 587/25 upgrade with STARTTLS
+      smtp_secure: data.smtp_secure !== undefined ? !!data.smtp_secure : smtpPort === 465,
+      imap_port: data.imap_host ? (Number(data.imap_port) || DEFAULT_IMAP_PORT) : null,
+      imap_secure: data.imap_secure !== undefined ? !!data.imap_secure : true,
+      daily_limit: Number(data.daily_limit) || DEFAULT_DAILY_LIMIT
+    }, context);
+  }
+
+  async updateMailbox(id, tenantId, updates, context = {}) {
+    return repository.update(id, tenantId, encryptCredentials(updates), context);
+  }
+
+  async deleteMailbox(id, tenantId, context = {}) {
+    return repository.delete(id, tenantId, context);
+  }
+
+  /**
+   * Verify SMTP connectivity/credentials for a mailbox
+   * @returns {Promise<Object|null>} { verified, error? } or null if the mailbox does not exist
+   */
+  async testMailbox(id, tenantId, context = {}) {
+    const mailbox = await repository.getWithCredentials(id, tenantId, context);
+    if (!mailbox) {
+      return null;
+    }
+    const transport = getTransport(mailbox);
+    if (typeof transport.verify !== 'function') {
+      return { verified: true };
+    }
+    try {
+      await transport.verify();
+      return { verified: true };
+    } catch (error) {
+      logger.warn('[EmailMailboxService] SMTP verification failed', {
+        mailboxId: id,
+        error: error.message
+      });
+      return { verified: false, error: error.message };
+    }
+  }
+}
+
+module.exports = new EmailMailboxService();
@@ -0,0 +1,159 @@
+/**
+ * Email Tracking Service
+ * Signed open-pixel and click-redirect links for campaign email
+ *
+ * Tokens are base64url(JSON payload) + '.' + HMAC-SHA256 signature, so the public
+ * tracking routes can attribute a hit to the campaign lead without a lookup and
+ * click redirects can only go to URLs that were in the email we sent.
+ *
+ * The first open of a message and the first click of each link are recorded in
+ * campaign_analytics (EMAIL_OPENED / EMAIL_CLICKED) so rates stay unique; every
+ * hit is published over campaignEventsService.
+ *
+ * LAD Architecture: Service layer - no SQL, uses repositories
+ */
+const crypto = require('crypto');
+const CampaignAnalyticsRepository = require('../repositories/CampaignAnalyticsRepository');
+const { campaignStatsTracker } = require('./campaignStatsTracker');
+const { campaignEventsService } = require('./campaignEventsService');
+const logger = require('../../../core/utils/logger');
+const HREF_PATTERN = /(<a\b[^>]*?\bhref\s*=\s*)(["'])(https?:\/\/[^"']+)\2/gi;
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"']+/gi;
+// 1x1 transparent GIF
+const PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+class EmailTrackingService {
+  get pixel() {
+    return PIXEL;
+  }
+  /**
+   * Public base URL the tracking links point at (null disables tracking)
+   */
+  getBaseUrl() {
+    const base = process.env.EMAIL_TRACKING_BASE_URL || process.env.BACKEND_URL;
+    return base ? base.replace(/\/+$/, '') : null;
+  }
+  /**
+   * Tracking needs a public base URL and its own signing key (EMAIL_TRACKING_SECRET)
+   */
+  isEnabled() {
+    return process.env.EMAIL_TRACKING_ENABLED !== 'false' && !!this.getBaseUrl() && !!process.env.EMAIL_TRACKING_SECRET;
+  }
+  getSecret() {
+    const secret = process.env.EMAIL_TRACKING_SECRET;
+    if (!secret) {
+      throw new Error('EMAIL_TRACKING_SECRET is not configured');
+    }
+    return secret;
+  }
+  sign(payload) {
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const signature = crypto.createHmac('sha256', this.getSecret()).update(body).digest('base64url');
+    return `${body}.${signature}`;
+  }
+  /**
+   * @returns {Object|null} The payload, or null if the token is malformed or tampered with
+   */
+  verify(token) {
+    const [body, signature] = String(token || '').split('.');
+    if (!body || !signature || !process.env.EMAIL_TRACKING_SECRET) return null;
+    const expected = crypto.createHmac('sha256', this.getSecret()).update(body).digest('base64url');
+    const given = Buffer.from(signature);
+    if (given.length !== Buffer.byteLength(expected) || !crypto.timingSafeEqual(given, Buffer.from(expected))) {
+      return null;
+    }
+    try {
+      return JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+  /**
+   * Add the open pixel and rewrite links to tracked redirects
+   * Plain-text bodies are promoted to HTML (opens can only be seen in HTML mail)
+   * @param {Object} content - { html?, text }
+   * @param {Object} ref - { campaignId, campaignLeadId, leadId, tenantId, messageId }
+   * @param {Object} options - { trackOpens = true, trackClicks = true }
+   * @returns {Object} { html, text }
+   */
+  instrument(content, ref, options = {}) {
+    const { trackOpens = true, trackClicks = true } = options;
+    if (!this.isEnabled() || (!trackOpens && !trackClicks)) {
+      return content;
+    }
+    const baseUrl = this.getBaseUrl();
+    const payload = { c: ref.campaignId, cl: ref.campaignLeadId, l: ref.leadId || null, t: ref.tenantId, m: ref.messageId };
+    let html = content.html || this.textToHtml(content.text || '');
+    if (trackClicks) {
+      html = html.replace(HREF_PATTERN, (match, prefix, quote, url) => {
+        const token = this.sign({ ...payload, u: url.replace(/&amp;/g, '&') });
+        return `${prefix}${quote}${baseUrl}/api/campaigns/track/click/${token}${quote}`;
+      });
+    }
+    if (trackOpens) {
+      const pixel = `<img src="${baseUrl}/api/campaigns/track/open/${this.sign(payload)}.gif" width="1" height="1" alt="" style="display:none" />`;
+      html = /<\/body>/i.test(html) ? html.replace(/<\/body>/i, `${pixel}</body>`) : `${html}${pixel}`;
+    }
+    return { html, text: content.text };
+  }
+  textToHtml(text) {
+    const escaped = text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+    return escaped
+      .replace(URL_PATTERN, url => `<a href="${url}">${url}</a>`)
+      .replace(/\r?\n/g, '<br />');
+  }
+  /**
+   * Record an open pixel hit
+   */
+  async recordOpen(token, meta = {}) {
+    const payload = this.verify(token);
+    if (!payload) return false;
+    await this.recordHit('EMAIL_OPENED', payload, null, meta);
+    return true;
+  }
+  /**
+   * Record a click and return the redirect target
+   * @returns {Promise<string|null>} Original URL, or null for an invalid token
+   */
+  async recordClick(token, meta = {}) {
+    const payload = this.verify(token);
+    if (!payload || !/^https?:\/\//i.test(payload.u || '')) return null;
+    await this.recordHit('EMAIL_CLICKED', payload, payload.u, meta);
+    return payload.u;
+  }
+  async recordHit(actionType, payload, url, meta) {
+    const leadId = payload.l || payload.cl;
+    try {
+      const alreadyRecorded = await CampaignAnalyticsRepository.hasEmailAction(
+        payload.c, leadId, actionType, payload.t, payload.m, url
+      );
+      if (!alreadyRecorded) {
+        await campaignStatsTracker.trackAction(payload.c, actionType, {
+          leadId,
+          channel: 'email',
+          status: 'success',
+          tenantId: payload.t,
+          responseData: { messageId: payload.m, url, userAgent: meta.userAgent || null }
+        });
+      }
+      await campaignEventsService.publishLeadEvent(payload.c, {
+        type: actionType,
+        campaignLeadId: payload.cl,
+        leadId,
+        messageId: payload.m,
+        url,
+        firstHit: !alreadyRecorded
+      });
+    } catch (error) {
+      // Tracking must never break the pixel/redirect response
+      logger.error('[EmailTrackingService] Failed to record hit', {
+        actionType,
+        campaignId: payload.c,
+        error: error.message
+      });
+    }
+  }
+}
+module.exports = new EmailTrackingService();
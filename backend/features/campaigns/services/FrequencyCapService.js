@@ -0,0 +1,189 @@
+/**
+ * Frequency Cap Service
+ * Tenant-wide caps on how often one person is touched across campaigns and channels
+ *
+ * A touch is an outreach step execution (message, email, connection request,
+ * call, ...) recorded in campaign_lead_activities for any campaign lead that
+ * shares the person's lead_id. Passive steps (profile visits, follows, likes)
+ * are neither counted nor capped. When a step would exceed a rule, the lead is
+ * deferred (campaign_leads.deferred_until) until the oldest touch in that rule's
+ * window ages out, and the deferral is recorded in the activity feed.
+ *
+ * LAD Architecture: Service layer - no SQL, uses repositories
+ */
+const CampaignTenantSettingsRepository = require('../repositories/CampaignTenantSettingsRepository');
+const CampaignLeadActivityRepository = require('../repositories/CampaignLeadActivityRepository');
+const CampaignLeadRepository = require('../repositories/CampaignLeadRepository');
+const { getChannelForStepType } = require('./StepValidators');
+const { campaignStatsTracker } = require('./campaignStatsTracker');
+const logger = require('../../../core/utils/logger');
+const TOUCH_CHANNELS = ['linkedin', 'email', 'whatsapp', 'instagram', 'voice'];
+// Steps that don't reach the person directly
+const PASSIVE_STEP_TYPES = [
+  'linkedin_visit',
+  'linkedin_visit_profile',
+  'linkedin_follow',
+  'linkedin_reaction',
+  'linkedin_scrape_profile',
+  'linkedin_company_search',
+  'linkedin_employee_list',
+  'linkedin_autopost',
+  'instagram_follow',
+  'instagram_like',
+  'instagram_story_view'
+];
+const DEFAULT_FREQUENCY_CAPS = {
+  enabled: false,
+  rules: [
+    { maxTouches: 1, windowHours: 48 },
+    { maxTouches: 3, windowHours: 168 }
+  ]
+};
+const MAX_RULES = 5;
+const MAX_WINDOW_HOURS = 90 * 24;
+// Settings are read on every outreach step - keep them for a minute
+const SETTINGS_CACHE_TTL_MS = 60 * 1000;
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+class FrequencyCapService {
+  constructor() {
+    this.cache = new Map();
+  }
+  /**
+   * @returns {Promise<Object>} { enabled, rules: [{ maxTouches, windowHours }] }
+   */
+  async getFrequencyCaps(tenantId, context = {}) {
+    const cached = this.cache.get(tenantId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.caps;
+    }
+    const settings = await CampaignTenantSettingsRepository.get(tenantId, context);
+    const stored = settings?.frequency_caps || {};
+    const caps = {
+      enabled: stored.enabled === true,
+      rules: Array.isArray(stored.rules) && stored.rules.length > 0 ? stored.rules : DEFAULT_FREQUENCY_CAPS.rules
+    };
+    this.cache.set(tenantId, { caps, expiresAt: Date.now() + SETTINGS_CACHE_TTL_MS });
+    return caps;
+  }
+  /**
+   * @param {Object} body - { enabled, rules: [{ maxTouches, windowHours }] }
+   * @throws {Error} with statusCode 400 for invalid rules
+   */
+  async updateFrequencyCaps(tenantId, userId, body = {}, context = {}) {
+    const current = await this.getFrequencyCaps(tenantId, context);
+    const enabled = body.enabled !== undefined ? body.enabled : current.enabled;
+    if (typeof enabled !== 'boolean') {
+      throw badRequest('enabled must be a boolean');
+    }
+    const rules = body.rules !== undefined ? body.rules : current.rules;
+    if (!Array.isArray(rules) || rules.length === 0 || rules.length > MAX_RULES) {
+      throw badRequest(`rules must be an array of 1 to ${MAX_RULES} rules`);
+    }
+    const normalized = rules.map(rule => {
+      const maxTouches = Number(rule?.maxTouches);
+      const windowHours = Number(rule?.windowHours);
+      if (!Number.isInteger(maxTouches) || maxTouches < 1) {
+        throw badRequest('maxTouches must be a positive integer');
+      }
+      if (!Number.isFinite(windowHours) || windowHours <= 0 || windowHours > MAX_WINDOW_HOURS) {
+        throw badRequest(`windowHours must be between 0 and ${MAX_WINDOW_HOURS}`);
+      }
+      return { maxTouches, windowHours };
+    });
+    const caps = { enabled, rules: normalized };
+    await CampaignTenantSettingsRepository.upsertFrequencyCaps(tenantId, caps, userId, context);
+    this.cache.delete(tenantId);
+    return caps;
+  }
+  /**
+   * Whether a step type counts as (and is capped as) a touch
+   */
+  isTouchStep(stepType) {
+    return !!stepType && TOUCH_CHANNELS.includes(getChannelForStepType(stepType)) && !PASSIVE_STEP_TYPES.includes(stepType);
+  }
+  /**
+   * Check whether touching the lead now would exceed a cap
+   * @param {Object} options - { excludeActivityId } (the activity of the step being checked)
+   * @returns {Promise<Object|null>} { deferredUntil, rule, touchesInWindow } or null if allowed
+   */
+  async checkTouch(tenantId, campaignLead, options = {}) {
+    if (!campaignLead?.lead_id) return null;
+    const caps = await this.getFrequencyCaps(tenantId);
+    if (!caps.enabled) return null;
+    const now = new Date();
+    const touches = await this.getRecentTouches(tenantId, campaignLead.lead_id, caps, now, options);
+    return this.findBlockingRule(caps.rules, touches, now);
+  }
+  /**
+   * Touches of a person within the caps' longest window, oldest first
+   * @param {Object} options - { excludeActivityId }
+   */
+  async getRecentTouches(tenantId, leadId, caps, now = new Date(), options = {}) {
+    const longestWindowMs = Math.max(...caps.rules.map(rule => rule.windowHours)) * 60 * 60 * 1000;
+    return CampaignLeadActivityRepository.getTouchesForPersonSince(
+      tenantId,
+      leadId,
+      new Date(now.getTime() - longestWindowMs),
+      {
+        channels: TOUCH_CHANNELS,
+        excludeStepTypes: PASSIVE_STEP_TYPES,
+        excludeActivityId: options.excludeActivityId || null
+      }
+    );
+  }
+  /**
+   * The rule a touch at `now` would break, given the person's touches (oldest first)
+   * @returns {Object|null} { deferredUntil, rule, touchesInWindow } or null if allowed
+   */
+  findBlockingRule(rules, touches, now = new Date()) {
+    let blocking = null;
+    for (const rule of rules) {
+      const windowMs = rule.windowHours * 60 * 60 * 1000;
+      const inWindow = touches.filter(touch => new Date(touch.created_at).getTime() > now.getTime() - windowMs);
+      if (inWindow.length < rule.maxTouches) continue;
+      // Allowed again once enough of the oldest touches in the window have aged out
+      const releasing = inWindow[inWindow.length - rule.maxTouches];
+      const allowedAt = new Date(new Date(releasing.created_at).getTime() + windowMs);
+      if (!blocking || allowedAt > blocking.deferredUntil) {
+        blocking = { deferredUntil: allowedAt, rule, touchesInWindow: inWindow.length };
+      }
+    }
+    return blocking;
+  }
+  describeDeferral(cap) {
+    return `Frequency cap reached (${cap.rule.maxTouches} touch${cap.rule.maxTouches === 1 ? '' : 'es'} per ${cap.rule.windowHours}h across campaigns) - deferred until ${cap.deferredUntil.toISOString()}`;
+  }
+  /**
+   * Park the lead until the cap allows the next touch and record the deferral in the activity feed
+   */
+  async deferLead(campaignId, tenantId, campaignLead, stepType, cap) {
+    await CampaignLeadRepository.update(campaignLead.id, tenantId, { deferred_until: cap.deferredUntil });
+    await campaignStatsTracker.trackAction(campaignId, 'TOUCH_DEFERRED', {
+      leadId: campaignLead.lead_id || campaignLead.id,
+      channel: getChannelForStepType(stepType),
+      messageContent: this.describeDeferral(cap),
+      status: 'deferred',
+      tenantId,
+      responseData: {
+        stepType,
+        deferredUntil: cap.deferredUntil.toISOString(),
+        rule: cap.rule,
+        touchesInWindow: cap.touchesInWindow
+      }
+    });
+    logger.info('[FrequencyCapService] Touch deferred', {
+      campaignId,
+      campaignLeadId: campaignLead.id,
+      stepType,
+      deferredUntil: cap.deferredUntil.toISOString()
+    });
+  }
+}
+
+module.exports = new FrequencyCapService();
@@ -0,0 +1,265 @@
+/**
+ * Inbox Service
+ * Unified reply inbox across LinkedIn, email, WhatsApp and Instagram
+ *
+ * Every ingested reply (Unipile LinkedIn webhook, IMAP poller, WhatsApp and Instagram webhooks)
+ * creates or bumps one thread per campaign lead and channel. The thread keeps
+ * the account the campaign used (account_ref) and the conversation key
+ * (chat_ref: Unipile chat id for LinkedIn and Instagram, the lead's email address or phone
+ * number otherwise) so history can be loaded and manual replies go out from
+ * the same account the lead has been talking to.
+ *
+ * LAD Architecture: Service layer - no SQL, uses repositories
+ */
+const InboxThreadRepository = require('../repositories/InboxThreadRepository');
+const CampaignLeadActivityRepository = require('../repositories/CampaignLeadActivityRepository');
+const WhatsAppAccountRepository = require('../repositories/WhatsAppAccountRepository');
+const CampaignWhatsAppMessageRepository = require('../repositories/CampaignWhatsAppMessageRepository');
+const InstagramAccountRepository = require('../repositories/InstagramAccountRepository');
+const unipileService = require('./unipileService');
+const logger = require('../../../core/utils/logger');
+const CHANNELS = ['linkedin', 'email', 'whatsapp', 'instagram'];
+const STATUSES = ['open', 'handled', 'snoozed'];
+const PREVIEW_LENGTH = 280;
+const LOCAL_HISTORY_LIMIT = 200;
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+class InboxService {
+  /**
+   * Record an inbound reply on the lead's thread
+   * Never throws - ingestion must not fail because of the inbox
+   * @param {Object} data - { tenantId, campaignId, campaignLeadId, leadId, channel, accountRef, chatRef, leadName, text, receivedAt }
+   */
+  async recordInbound(data) {
+    try {
+      if (!data.tenantId || !data.campaignId || !data.campaignLeadId) return null;
+      return await InboxThreadRepository.upsertInbound({
+        ...data,
+        preview: data.text ? String(data.text).slice(0, PREVIEW_LENGTH) : null
+      });
+    } catch (error) {
+      logger.error('[InboxService] Failed to record inbound message', {
+        channel: data.channel,
+        campaignLeadId: data.campaignLeadId,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * List threads
+   * @param {Object} query - { campaignId, channel, status, assigned ('me' | 'unassigned' | userId), search, limit, offset }
+   */
+  async listThreads(tenantId, userId, query = {}, context = {}) {
+    if (query.channel && !CHANNELS.includes(query.channel)) {
+      throw badRequest(`channel must be one of: ${CHANNELS.join(', ')}`);
+    }
+    if (query.status && !STATUSES.includes(query.status)) {
+      throw badRequest(`status must be one of: ${STATUSES.join(', ')}`);
+    }
+    const filters = {
+      campaignId: query.campaignId || null,
+      channel: query.channel || null,
+      status: query.status || null,
+      search: query.search || null,
+      limit: Math.min(parseInt(query.limit, 10) || 50, 100),
+      offset: parseInt(query.offset, 10) || 0
+    };
+    if (query.assigned === 'me') {
+      filters.assignedUserId = userId;
+    } else if (query.assigned === 'unassigned') {
+      filters.unassigned = true;
+    } else if (query.assigned) {
+      filters.assignedUserId = query.assigned;
+    }
+    return InboxThreadRepository.list(tenantId, filters, context);
+  }
+
+  async getThread(threadId, tenantId, context = {}) {
+    return InboxThreadRepository.getById(threadId, tenantId, context);
+  }
+
+  /**
+   * Full conversation for a thread (marks the thread read)
+   * Unipile-backed conversations are loaded live from the chat; others from
+   * the lead's campaign activity log
+   * @returns {Promise<Object|null>} { thread, messages, cursor, source } or null if not found
+   */
+  async getMessages(threadId, tenantId, options = {}, context = {}) {
+    const thread = await InboxThreadRepository.getById(threadId, tenantId, context);
+    if (!thread) return null;
+    const unipileChatId = await this.getUnipileChatId(thread, tenantId, context);
+    let history;
+    if (unipileChatId) {
+      const page = await unipileService.getChatMessages(unipileChatId, options);
+      history = {
+        source: 'unipile',
+        cursor: page.cursor,
+        messages: page.items.map(item => ({
+          id: item.id,
+          direction: item.is_sender ? 'outbound' : 'inbound',
+          text: item.text || '',
+          sentAt: item.timestamp || null,
+          attachments: item.attachments || []
+        }))
+      };
+    } else {
+      history = { source: 'activities', cursor: null, messages: await this.getLocalHistory(thread, tenantId, context) };
+    }
+    if (thread.unread_count > 0) {
+      await InboxThreadRepository.markRead(thread.id, tenantId, context);
+    }
+    return { thread: { ...thread, unread_count: 0 }, ...history };
+  }
+
+  /**
+   * Unipile chat id for conversations held in a Unipile account, else null
+   */
+  async getUnipileChatId(thread, tenantId, context) {
+    if (thread.channel === 'linkedin' || thread.channel === 'instagram') {
+      return thread.chat_ref || null;
+    }
+    if (thread.channel === 'whatsapp' && thread.account_ref) {
+      const account = await WhatsAppAccountRepository.getWithCredentials(thread.account_ref, tenantId, context);
+      if (account?.provider === 'unipile') {
+        const latest = await CampaignWhatsAppMessageRepository.findLatestForContact(account.id, { phone: thread.chat_ref }, context);
+        return latest?.provider_chat_id || null;
+      }
+    }
+    return null;
+  }
+
+  async getLocalHistory(thread, tenantId, context) {
+    const activities = await CampaignLeadActivityRepository.getByLeadId(
+      thread.campaign_lead_id,
+      tenantId,
+      LOCAL_HISTORY_LIMIT,
+      context
+    );
+    return activities
+      .filter(activity => activity.channel === thread.channel && activity.message_content)
+      .map(activity => ({
+        id: activity.id,
+        direction: activity.action_type === 'REPLY_RECEIVED' ? 'inbound' : 'outbound',
+        text: activity.message_content,
+        subject: activity.subject || null,
+        sentAt: activity.executed_at || activity.created_at
+      }))
+      .reverse();
+  }
+
+  /**
+   * Send a manual reply from the account the lead has been talking to
+   * The text goes out as typed - it is not run through the message template engine
+   * @throws {Error} with statusCode 400 for an empty reply or a thread that cannot be replied to
+   */
+  async sendReply(threadId, tenantId, userId, text, context = {}) {
+    if (!text || !String(text).trim()) {
+      throw badRequest('Reply text is required');
+    }
+    const thread = await InboxThreadRepository.getById(threadId, tenantId, context);
+    if (!thread) return null;
+    const lead = { id: thread.campaign_lead_id, campaign_id: thread.campaign_id, lead_id: thread.lead_id };
+    let result;
+    switch (thread.channel) {
+      case 'linkedin': {
+        if (!thread.chat_ref) {
+          throw badRequest('Thread has no LinkedIn chat to reply to');
+        }
+        const sent = await unipileService.sendChatMessage(thread.chat_ref, thread.account_ref, text);
+        result = { success: true, data: { messageId: sent.messageId } };
+        break;
+      }
+      case 'email': {
+        const emailDispatcher = require('../engine/channelDispatchers/email');
+        result = await emailDispatcher.execute(
+          'email_followup',
+          { ...lead, lead_data: { email: thread.chat_ref } },
+          { body: text, mailboxId: thread.account_ref, trackOpens: false, trackClicks: false },
+          userId,
+          tenantId,
+          { raw: true }
+        );
+        break;
+      }
+      case 'whatsapp': {
+        const whatsAppDispatcher = require('../engine/channelDispatchers/whatsapp');
+        result = await whatsAppDispatcher.execute(
+          'whatsapp_send',
+          { ...lead, lead_data: { phone: thread.chat_ref } },
+          { whatsappMessage: text, whatsappAccountId: thread.account_ref },
+          userId,
+          tenantId,
+          { raw: true }
+        );
+        break;
+      }
+      case 'instagram': {
+        const account = thread.account_ref
+          ? await InstagramAccountRepository.getById(thread.account_ref, tenantId, context)
+          : null;
+        if (!thread.chat_ref || account?.provider !== 'unipile') {
+          throw badRequest('Thread has no Instagram chat to reply to');
+        }
+        const sent = await unipileService.sendChatMessage(thread.chat_ref, account.unipile_account_id, text);
+        result = { success: true, data: { messageId: sent.messageId } };
+        break;
+      }
+      default:
+        throw badRequest(`Replies are not supported for channel ${thread.channel}`);
+    }
+    if (!result.success) {
+      return { success: false, error: result.error };
+    }
+    await CampaignLeadActivityRepository.create({
+      tenantId,
+      campaignId: thread.campaign_id,
+      campaignLeadId: thread.campaign_lead_id,
+      actionType: 'MANUAL_REPLY_SENT',
+      status: 'delivered',
+      channel: thread.channel,
+      messageContent: text,
+      metadata: { threadId: thread.id, sentBy: userId || null },
+      provider: 'inbox',
+      executedAt: new Date()
+    }, context);
+    await InboxThreadRepository.recordOutbound(thread.id, tenantId, { preview: String(text).slice(0, PREVIEW_LENGTH) }, context);
+    logger.info('[InboxService] Manual reply sent', { threadId: thread.id, channel: thread.channel });
+    return { success: true, data: result.data || null };
+  }
+
+  /**
+   * Update triage state: handled / snoozed (until a date) / open, and the assigned teammate
+   * @param {Object} updates - { status, snoozedUntil, assignedUserId (null to unassign) }
+   * @throws {Error} with statusCode 400 for invalid values
+   */
+  async updateThread(threadId, tenantId, updates = {}, context = {}) {
+    const fields = {};
+    if (updates.status !== undefined) {
+      if (!STATUSES.includes(updates.status)) {
+        throw badRequest(`status must be one of: ${STATUSES.join(', ')}`);
+      }
+      fields.status = updates.status;
+      fields.snoozed_until = null;
+      if (updates.status === 'snoozed') {
+        const until = new Date(updates.snoozedUntil);
+        if (!updates.snoozedUntil || isNaN(until.getTime()) || until.getTime() <= Date.now()) {
+          throw badRequest('snoozedUntil must be a future date when snoozing a thread');
+        }
+        fields.snoozed_until = until;
+      }
+    }
+    if (updates.assignedUserId !== undefined) {
+      fields.assigned_user_id = updates.assignedUserId || null;
+    }
+    return InboxThreadRepository.updateTriage(threadId, tenantId, fields, context);
+  }
+}
+
+module.exports = new InboxService();
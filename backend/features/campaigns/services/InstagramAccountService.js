@@ -0,0 +1,106 @@
+/**
+ * Instagram Account Service
+ * Business logic for per-tenant Instagram accounts and their daily limits
+ *
+ * LAD Architecture: Service Layer (NO SQL)
+ */
+
+const repository = require('../repositories/InstagramAccountRepository');
+const { isKnownProvider } = require('../engine/channelDispatchers/instagramProviders');
+
+const DEFAULT_DAILY_LIMIT = 150;
+const LIMITED_ACTIONS = ['follow', 'like', 'dm', 'story_view', 'comment_reply'];
+const REQUIRED_FIELDS_BY_PROVIDER = {
+  unipile: ['unipile_account_id']
+};
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+class InstagramAccountService {
+  async listAccounts(tenantId, context = {}) {
+    return repository.listForTenant(tenantId, context);
+  }
+
+  /**
+   * Create an account
+   * @throws {Error} with statusCode 400 for an unknown provider, missing fields or invalid limits
+   */
+  async createAccount(tenantId, data, context = {}) {
+    const provider = data.provider || 'unipile';
+    if (!isKnownProvider(provider)) {
+      throw badRequest(`Unknown Instagram provider: ${provider}`);
+    }
+    const missing = (REQUIRED_FIELDS_BY_PROVIDER[provider] || []).filter(field => !data[field]);
+    if (missing.length > 0) {
+      throw badRequest(`Missing required fields: ${missing.join(', ')}`);
+    }
+    return repository.create(tenantId, {
+      ...data,
+      provider,
+      username: this.normalizeUsername(data.username),
+      daily_limit: data.daily_limit !== undefined ? this.normalizeDailyLimit(data.daily_limit) : DEFAULT_DAILY_LIMIT,
+      action_limits: this.normalizeActionLimits(data.action_limits)
+    }, context);
+  }
+
+  /**
+   * @throws {Error} with statusCode 400 for invalid limits
+   */
+  async updateAccount(id, tenantId, updates, context = {}) {
+    const normalized = { ...updates };
+    if (normalized.username !== undefined) {
+      normalized.username = this.normalizeUsername(normalized.username);
+    }
+    if (normalized.daily_limit !== undefined) {
+      normalized.daily_limit = this.normalizeDailyLimit(normalized.daily_limit);
+    }
+    if (normalized.action_limits !== undefined) {
+      normalized.action_limits = this.normalizeActionLimits(normalized.action_limits);
+    }
+    return repository.update(id, tenantId, normalized, context);
+  }
+
+  async deleteAccount(id, tenantId, context = {}) {
+    return repository.delete(id, tenantId, context);
+  }
+
+  normalizeUsername(username) {
+    return username ? String(username).trim().replace(/^@/, '') : null;
+  }
+
+  normalizeDailyLimit(value) {
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 0) {
+      throw badRequest('daily_limit must be a non-negative integer (0 for no overall limit)');
+    }
+    return limit;
+  }
+
+  /**
+   * Per-action daily caps, e.g. { dm: 30, follow: 40 }; unset actions keep the defaults
+   */
+  normalizeActionLimits(limits) {
+    if (limits === undefined || limits === null) return {};
+    if (typeof limits !== 'object' || Array.isArray(limits)) {
+      throw badRequest('action_limits must be an object keyed by action');
+    }
+    const normalized = {};
+    for (const [action, value] of Object.entries(limits)) {
+      if (!LIMITED_ACTIONS.includes(action)) {
+        throw badRequest(`Unknown Instagram action in action_limits: ${action} (expected ${LIMITED_ACTIONS.join(', ')})`);
+      }
+      const limit = Number(value);
+      if (!Number.isInteger(limit) || limit < 0) {
+        throw badRequest(`action_limits.${action} must be a non-negative integer`);
+      }
+      normalized[action] = limit;
+    }
+    return normalized;
+  }
+}
+
+module.exports = new InstagramAccountService();
@@ -0,0 +1,118 @@
+/**
+ * Instagram Webhook Service
+ * Ingests inbound Instagram DMs from Instagram providers
+ *
+ * Provider payloads are normalized by the adapter in instagramProviders, then
+ * matched to the latest campaign action the receiving account took towards the
+ * sender (or in that chat). Replies are recorded as REPLY_RECEIVED on the
+ * instagram channel, whichever step (follow, like, DM, ...) touched the lead last.
+ *
+ * LAD Architecture: Service layer - no SQL, uses repositories
+ */
+const InstagramAccountRepository = require('../repositories/InstagramAccountRepository');
+const CampaignInstagramActionRepository = require('../repositories/CampaignInstagramActionRepository');
+const CampaignLeadActivityRepository = require('../repositories/CampaignLeadActivityRepository');
+const { getProvider } = require('../engine/channelDispatchers/instagramProviders');
+const { campaignStatsTracker } = require('./campaignStatsTracker');
+const inboxService = require('./InboxService');
+const replyIntentService = require('./ReplyIntentService');
+const logger = require('../../../core/utils/logger');
+const { verifyWebhookSecret } = require('../../../core/utils/webhookSecret');
+class InstagramWebhookService {
+  /**
+   * Verify the shared secret Unipile sends with its webhooks (Unipile-Auth / X-Webhook-Secret)
+   * Rejected when WEBHOOK_SECRET is not configured
+   */
+  verifyUnipileSecret(receivedSecret) {
+    return verifyWebhookSecret('WEBHOOK_SECRET', receivedSecret);
+  }
+  /**
+   * Process a webhook payload from a provider
+   * @param {string} providerName - unipile
+   * @param {Object} body - Parsed webhook payload
+   * @returns {Promise<Object>} { received, processed }
+   */
+  async processWebhook(providerName, body) {
+    const events = getProvider(providerName).parseWebhook(body);
+    let processed = 0;
+    for (const event of events) {
+      try {
+        if (await this.handleInboundMessage(providerName, event)) processed++;
+      } catch (error) {
+        logger.error('[InstagramWebhook] Failed to process event', {
+          provider: providerName,
+          providerMessageId: event.providerMessageId,
+          error: error.message
+        });
+      }
+    }
+    return { received: events.length, processed };
+  }
+  async handleInboundMessage(providerName, event) {
+    if (!event.accountRef) return false;
+    const account = await InstagramAccountRepository.findByProviderAccountId(providerName, event.accountRef);
+    if (!account) {
+      logger.debug('[InstagramWebhook] Inbound message for unknown account', { provider: providerName, accountRef: event.accountRef });
+      return false;
+    }
+    const original = await CampaignInstagramActionRepository.findLatestForContact(account.id, {
+      providerUserId: event.from || null,
+      chatId: event.chatId || null
+    });
+    if (!original) return false;
+    await CampaignInstagramActionRepository.markReplied(original.id);
+    await campaignStatsTracker.trackAction(original.campaign_id, 'REPLY_RECEIVED', {
+      leadId: original.lead_id || original.campaign_lead_id,
+      channel: 'instagram',
+      messageContent: event.text ? String(event.text).slice(0, 2000) : null,
+      status: 'success',
+      tenantId: original.tenant_id,
+      accountName: account.username || account.display_name,
+      responseData: {
+        source: 'instagram_webhook',
+        provider: providerName,
+        username: original.target_username,
+        inboundMessageId: event.providerMessageId || null
+      }
+    });
+    await CampaignLeadActivityRepository.create({
+      tenantId: original.tenant_id,
+      campaignId: original.campaign_id,
+      campaignLeadId: original.campaign_lead_id,
+      stepId: original.step_id,
+      stepType: original.step_type,
+      actionType: 'REPLY_RECEIVED',
+      status: 'replied',
+      channel: 'instagram',
+      messageContent: event.text ? String(event.text).slice(0, 2000) : null,
+      provider: providerName,
+      providerEventId: event.providerMessageId || null,
+      executedAt: new Date()
+    });
+    await inboxService.recordInbound({
+      tenantId: original.tenant_id,
+      campaignId: original.campaign_id,
+      campaignLeadId: original.campaign_lead_id,
+      leadId: original.lead_id,
+      channel: 'instagram',
+      accountRef: account.id,
+      chatRef: event.chatId || original.provider_chat_id,
+      text: event.text
+    });
+    replyIntentService.classifyInBackground({
+      tenantId: original.tenant_id,
+      campaignId: original.campaign_id,
+      campaignLeadId: original.campaign_lead_id,
+      leadId: original.lead_id,
+      channel: 'instagram',
+      text: event.text
+    });
+    logger.info('[InstagramWebhook] Reply matched to campaign lead', {
+      campaignId: original.campaign_id,
+      campaignLeadId: original.campaign_lead_id,
+      accountId: account.id
+    });
+    return true;
+  }
+}
+module.exports = new InstagramWebhookService();
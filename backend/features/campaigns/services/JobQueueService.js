@@ -0,0 +1,377 @@
+/**
+ * Job Queue Service
+ * One queue for background jobs (daily campaign runs, ...) with pluggable backends
+ *
+ * BACKENDS (JOB_QUEUE_BACKEND):
+ * - postgres:    jobs are stored in job_queue and run by the local worker (jobQueueWorker)
+ * - cloud_tasks: Google Cloud Tasks delivers each job to POST /api/campaigns/jobs/run,
+ *                which is only mounted for this backend and requires CLOUD_TASKS_SECRET
+ * postgres is the default, so campaigns run on-prem and in tests with nothing but the database.
+ *
+ * Jobs support a delayed start, retries with exponential backoff and dedupe keys.
+ * A job that exhausts its attempts is recorded in job_dead_letters (on either backend),
+ * where admins can inspect and replay it.
+ *
+ * Recurring work (LinkedIn and IMAP polling, pacing, warm-up, post publishing, campaign
+ * checks) runs as jobs too: each scheduler tick only calls enqueueRecurring(), whose
+ * per-tick dedupe key makes the tick run once however many instances fire it.
+ *
+ * LAD Architecture: Service layer - no SQL, uses repositories
+ */
+const JobQueueRepository = require('../repositories/JobQueueRepository');
+const JobDeadLetterRepository = require('../repositories/JobDeadLetterRepository');
+const cloudTasksClient = require('../../../shared/services/cloudTasksClient');
+const logger = require('../../../core/utils/logger');
+
+const BACKENDS = ['postgres', 'cloud_tasks'];
+const JOB_STATUSES = ['pending', 'running', 'completed', 'dead'];
+const JOB_RUN_PATH = '/api/campaigns/jobs/run';
+const DEFAULT_MAX_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const RETRY_MAX_DELAY_MS = 60 * 60 * 1000;
+const MAX_ERROR_LENGTH = 2000;
+const WORKER_BATCH_SIZE = Number(process.env.JOB_QUEUE_BATCH_SIZE) || 10;
+// A job 'running' longer than this belonged to a worker that died - run it again
+const LOCK_TIMEOUT_MINUTES = Number(process.env.JOB_QUEUE_LOCK_TIMEOUT_MINUTES) || 15;
+// Completed jobs are kept (and keep their dedupe key) this long
+const COMPLETED_RETENTION_DAYS = Number(process.env.JOB_QUEUE_RETENTION_DAYS) || 7;
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+function truncateError(error) {
+  const message = error?.message || String(error);
+  return message.length > MAX_ERROR_LENGTH ? message.substring(0, MAX_ERROR_LENGTH) : message;
+}
+
+class JobQueueService {
+  constructor() {
+    // name -> { run(payload, job), maxAttempts }
+    this.handlers = new Map();
+    this.registerHandler(
+      'campaign.run_daily',
+      (payload) => require('./CampaignDailyScheduler').runDailyCampaign(
+        payload.campaignId,
+        payload.tenantId,
+        payload.scheduledFor
+      ),
+      { maxAttempts: 3 }
+    );
+    // Recurring jobs - a failed tick is dead-lettered; the next tick runs again anyway
+    this.registerHandler(
+      'campaign.check_campaigns',
+      () => require('./CampaignSchedulerService').checkCampaigns(),
+      { maxAttempts: 1 }
+    );
+    this.registerHandler(
+      'linkedin.poll_connections',
+      () => require('./LinkedInPollingService').pollAllLinkedInAccounts(),
+      { maxAttempts: 3 }
+    );
+    this.registerHandler(
+      'email.poll_mailboxes',
+      () => require('./EmailInboxService').pollAllMailboxes(),
+      { maxAttempts: 1 }
+    );
+    this.registerHandler(
+      'linkedin.dispatch_paced_actions',
+      () => require('./LinkedInPacingService').dispatchDueSlots(),
+      { maxAttempts: 1 }
+    );
+    this.registerHandler(
+      'linkedin.evaluate_warmup',
+      () => require('./LinkedInWarmupService').evaluateAll(),
+      { maxAttempts: 3 }
+    );
+    this.registerHandler(
+      'linkedin.publish_due_posts',
+      () => require('./LinkedInPostingService').processDuePosts(),
+      { maxAttempts: 1 }
+    );
+  }
+
+  /**
+   * Register the function that runs a job type
+   * @param {string} name - Job name, e.g. 'campaign.run_daily'
+   * @param {Function} run - async (payload, job) => result; throwing schedules a retry
+   * @param {Object} options - { maxAttempts }
+   */
+  registerHandler(name, run, options = {}) {
+    this.handlers.set(name, {
+      run,
+      maxAttempts: options.maxAttempts || DEFAULT_MAX_ATTEMPTS
+    });
+  }
+
+  /**
+   * @returns {string} 'postgres' | 'cloud_tasks'
+   */
+  getBackend() {
+    const configured = process.env.JOB_QUEUE_BACKEND;
+    if (!configured) return 'postgres';
+    if (BACKENDS.includes(configured)) return configured;
+    logger.warn('[JobQueueService] Unknown JOB_QUEUE_BACKEND, falling back to postgres', { backend: configured });
+    return 'postgres';
+  }
+
+  /**
+   * Enqueue a job
+   * @param {string} name - Registered job name
+   * @param {Object} payload - JSON payload passed to the handler
+   * @param {Object} options - { tenantId, runAt, delayMs, dedupeKey, maxAttempts (postgres backend only) }
+   * @returns {Promise<Object>} { id, name, backend, runAt, deduped }
+   */
+  async enqueue(name, payload = {}, options = {}) {
+    const handler = this.handlers.get(name);
+    if (!handler) {
+      throw new Error(`No job handler registered for '${name}'`);
+    }
+    let runAt = options.runAt ? new Date(options.runAt) : new Date();
+    if (options.delayMs) {
+      runAt = new Date(runAt.getTime() + options.delayMs);
+    }
+    const job = {
+      name,
+      payload,
+      tenantId: options.tenantId || null,
+      dedupeKey: options.dedupeKey || null,
+      maxAttempts: options.maxAttempts || handler.maxAttempts,
+      runAt
+    };
+    const backend = this.getBackend();
+
+    if (backend === 'cloud_tasks') {
+      const task = await cloudTasksClient.createHttpTask(
+        JOB_RUN_PATH,
+        {
+          name: job.name,
+          payload: job.payload,
+          tenantId: job.tenantId,
+          dedupeKey: job.dedupeKey
+        },
+        runAt,
+        { taskId: job.dedupeKey, logContext: { job: name, tenantId: job.tenantId } }
+      );
+      return { id: task.taskName, name, backend, runAt, deduped: !!task.alreadyExists };
+    }
+
+    const created = await JobQueueRepository.create(job);
+    if (created) {
+      logger.debug('[JobQueueService] Job enqueued', { jobId: created.id, name, runAt: runAt.toISOString() });
+      return { id: created.id, name, backend, runAt: created.run_at, deduped: false };
+    }
+    const existing = await JobQueueRepository.findLiveByDedupeKey(job.dedupeKey);
+    logger.debug('[JobQueueService] Job deduplicated', { name, dedupeKey: job.dedupeKey, jobId: existing?.id });
+    return { id: existing?.id || null, name, backend, runAt: existing?.run_at || runAt, deduped: true };
+  }
+
+  /**
+   * Enqueue one tick of a recurring job (called by the schedulers' cron ticks)
+   * Instances firing the same tick share its dedupe key, so the tick runs once
+   * @param {string} name - Registered job name
+   * @param {Date} tickAt - Scheduled tick time (truncated to the minute)
+   */
+  async enqueueRecurring(name, tickAt = new Date()) {
+    const minute = new Date(Math.floor(tickAt.getTime() / 60000) * 60000);
+    return this.enqueue(name, {}, { dedupeKey: `${name}:${minute.toISOString()}` });
+  }
+
+  /**
+   * Delay before the next attempt after `attempts` failed ones (exponential, capped)
+   */
+  getRetryDelayMs(attempts) {
+    return Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1));
+  }
+
+  async runHandler(name, payload, job) {
+    const handler = this.handlers.get(name);
+    if (!handler) {
+      const error = new Error(`No job handler registered for '${name}'`);
+      error.permanent = true;
+      throw error;
+    }
+    return handler.run(payload || {}, job);
+  }
+
+  /**
+   * Run due postgres-backend jobs once (worker tick)
+   * @returns {Promise<Object>} { claimed, completed, retried, deadLettered }
+   */
+  async processDueJobs() {
+    const jobs = await JobQueueRepository.claimDueJobs(WORKER_BATCH_SIZE, LOCK_TIMEOUT_MINUTES);
+    const summary = { claimed: jobs.length, completed: 0, retried: 0, deadLettered: 0 };
+
+    for (const job of jobs) {
+      try {
+        await this.runHandler(job.name, job.payload, job);
+        await JobQueueRepository.markCompleted(job.id);
+        summary.completed++;
+      } catch (error) {
+        const lastError = truncateError(error);
+        if (error.permanent || job.attempts >= job.max_attempts) {
+          await JobQueueRepository.markDead(job.id, lastError);
+          await this.recordDeadLetter({
+            jobId: job.id,
+            tenantId: job.tenant_id,
+            name: job.name,
+            payload: job.payload,
+            dedupeKey: job.dedupe_key,
+            backend: 'postgres',
+            attempts: job.attempts,
+            lastError
+          });
+          summary.deadLettered++;
+        } else {
+          const retryAt = new Date(Date.now() + this.getRetryDelayMs(job.attempts));
+          await JobQueueRepository.markRetry(job.id, retryAt, lastError);
+          logger.warn('[JobQueueService] Job failed, retry scheduled', {
+            jobId: job.id,
+            name: job.name,
+            attempts: job.attempts,
+            retryAt: retryAt.toISOString(),
+            error: lastError
+          });
+          summary.retried++;
+        }
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Run a job delivered by Cloud Tasks
+   * Throws to make Cloud Tasks retry (with the queue's backoff); on the last attempt
+   * the failure is dead-lettered instead so the task stops retrying. The attempt limit
+   * always comes from the registered handler, never from the request body.
+   * @param {Object} body - { name, payload, tenantId, dedupeKey }
+   * @param {Object} delivery - { taskName, retryCount }
+   * @returns {Promise<Object>} { success, result } or { success: false, deadLettered, deadLetterId }
+   */
+  async runDeliveredJob(body, delivery = {}) {
+    if (!body?.name) {
+      throw badRequest('name is required');
+    }
+    const attempts = (Number(delivery.retryCount) || 0) + 1;
+    const maxAttempts = this.handlers.get(body.name)?.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+
+    try {
+      const result = await this.runHandler(body.name, body.payload, { ...body, attempts });
+      return { success: true, result };
+    } catch (error) {
+      if (!error.permanent && attempts < maxAttempts) {
+        throw error;
+      }
+      const deadLetter = await this.recordDeadLetter({
+        jobId: delivery.taskName,
+        tenantId: body.tenantId,
+        name: body.name,
+        payload: body.payload,
+        dedupeKey: body.dedupeKey,
+        backend: 'cloud_tasks',
+        attempts,
+        lastError: truncateError(error)
+      });
+      return { success: false, deadLettered: true, deadLetterId: deadLetter.id };
+    }
+  }
+
+  async recordDeadLetter(entry) {
+    const deadLetter = await JobDeadLetterRepository.create(entry);
+    logger.error('[JobQueueService] Job moved to dead letters', {
+      deadLetterId: deadLetter.id,
+      jobId: entry.jobId,
+      name: entry.name,
+      tenantId: entry.tenantId,
+      attempts: entry.attempts,
+      error: entry.lastError
+    });
+    return deadLetter;
+  }
+
+  /**
+   * Delete completed postgres-backend jobs past the retention period
+   */
+  async purgeCompletedJobs() {
+    const before = new Date(Date.now() - COMPLETED_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    return JobQueueRepository.purgeCompleted(before);
+  }
+
+  /**
+   * Postgres-backend jobs for a tenant
+   * @param {Object} query - { status, name, limit, offset }
+   */
+  async listJobs(tenantId, query = {}, context = {}) {
+    if (query.status && !JOB_STATUSES.includes(query.status)) {
+      throw badRequest(`status must be one of: ${JOB_STATUSES.join(', ')}`);
+    }
+    return JobQueueRepository.list(tenantId, {
+      status: query.status,
+      name: query.name,
+      ...this.parsePage(query)
+    }, context);
+  }
+
+  async getJob(id, tenantId, context = {}) {
+    return JobQueueRepository.getById(id, tenantId, context);
+  }
+
+  /**
+   * @param {Object} query - { name, replayed ('true'|'false'), limit, offset }
+   */
+  async listDeadLetters(tenantId, query = {}, context = {}) {
+    let replayed;
+    if (query.replayed === 'true' || query.replayed === true) replayed = true;
+    if (query.replayed === 'false' || query.replayed === false) replayed = false;
+    return JobDeadLetterRepository.list(tenantId, {
+      name: query.name,
+      replayed,
+      ...this.parsePage(query)
+    }, context);
+  }
+
+  parsePage(query) {
+    return {
+      limit: Math.min(parseInt(query.limit, 10) || 50, 500),
+      offset: parseInt(query.offset, 10) || 0
+    };
+  }
+
+  async getDeadLetter(id, tenantId, context = {}) {
+    return JobDeadLetterRepository.getById(id, tenantId, context);
+  }
+
+  /**
+   * Enqueue a dead-lettered job again with a fresh set of attempts
+   * @returns {Promise<Object|null>} { deadLetter, job }, or null if not found
+   */
+  async replayDeadLetter(id, tenantId, context = {}) {
+    const deadLetter = await JobDeadLetterRepository.getById(id, tenantId, context);
+    if (!deadLetter) return null;
+    if (deadLetter.replayed_at) {
+      throw badRequest('Dead letter has already been replayed');
+    }
+
+    // The dedupe key makes a concurrent second replay a no-op
+    const job = await this.enqueue(deadLetter.name, deadLetter.payload, {
+      tenantId: deadLetter.tenant_id,
+      dedupeKey: `replay-${deadLetter.id}`
+    });
+    const updated = await JobDeadLetterRepository.markReplayed(id, tenantId, job.id, context);
+
+    logger.info('[JobQueueService] Dead letter replayed', {
+      deadLetterId: id,
+      tenantId,
+      name: deadLetter.name,
+      jobId: job.id,
+      backend: job.backend
+    });
+
+    return { deadLetter: updated || deadLetter, job };
+  }
+}
+
+module.exports = new JobQueueService();
@@ -11,6 +11,7 @@ const {
   createSnapshot,
   saveLeadToCampaign
 } = require('./LeadGenerationHelpers');
+const suppressionService = require('./SuppressionService');
 /**
  * Save multiple leads to campaign
  * @param {string} campaignId - Campaign ID
@@ -35,6 +36,7 @@ async function saveLeadsToCampaign(campaignId, tenantId, employees, platform = n
     noSourceId: 0,
     uuidFormat: 0,
     alreadyExists: 0,
+    suppressed: 0,
     processingError: 0
   };
   let skippedDetails = [];
@@ -171,6 +173,18 @@ async function saveLeadsToCampaign(campaignId, tenantId, employees, platform = n
           // Store complete Apollo response
           _full_data: employee
         };
+        // Don't add contacts on the tenant's do-not-contact list
+        const suppression = await suppressionService.findMatchForLead(tenantId, leadData);
+        if (suppression) {
+          skippedCount++;
+          skippedReasons.suppressed++;
+          skippedDetails.push({
+            name: extractedName || 'Unknown',
+            reason: suppressionService.describeMatch(suppression),
+            sourceId
+          });
+          continue;
+        }
         // Extract fields and create snapshot
         const fields = extractLeadFields(employee);
         const snapshot = createSnapshot(fields);
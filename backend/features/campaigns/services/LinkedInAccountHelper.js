@@ -104,9 +104,16 @@ async function verifyAccountHealth(unipileAccountId) {
 }
 /**
  * Get LinkedIn account for execution (with fallback strategies)
+ * With options.campaignLead the sender is chosen by rotation (pinned sender, campaign
+ * account subset, remaining capacity) - see LinkedInSenderRotationService
+ * @param {Object} options - { campaignLead, campaign, stepType }
  * @returns {Object|null} - Returns { provider_account_id, account_name } or null
  */
-async function getLinkedInAccountForExecution(tenantId, userId) {
+async function getLinkedInAccountForExecution(tenantId, userId, options = {}) {
+  if (options.campaignLead) {
+    const { account } = await require('./LinkedInSenderRotationService').selectSender(tenantId, userId, options);
+    return account;
+  }
   // Call repository to get primary account (repository handles SQL)
   const account = await linkedInAccountRepository.getPrimaryAccountForTenant(
     tenantId,
@@ -159,7 +166,8 @@ async function sendConnectionRequestWithFallback(
     {
       unipile_account_id: primaryAccountId,
       account_name: primaryAccountDetails.account_name || 'Primary Account',
-      default_daily_limit: primaryAccountDetails.default_daily_limit || 0
+      default_daily_limit: primaryAccountDetails.default_daily_limit || 0,
+      warmup_status: primaryAccountDetails.warmup_status
     },
     ...fallbackAccounts
   ];
@@ -169,6 +177,7 @@ async function sendConnectionRequestWithFallback(
   let actualRateLimitErrors = 0; // Count actual rate limit errors
   let credentialErrors = 0; // Count credential-related errors
   let otherErrors = 0; // Count other errors
+  let warmupPausedAccounts = 0; // Accounts skipped because their warm-up is paused
   let lastAttemptedAccount = null; // Track last account tried for error reporting
 
   for (const account of accountsToTry) {
@@ -183,6 +192,16 @@ async function sendConnectionRequestWithFallback(
       provider_account_id: accountId
     };
 
+    // A paused warm-up (low acceptance rate) stops the account's connection requests
+    if (account.warmup_status === 'paused') {
+      warmupPausedAccounts++;
+      logger.info('[LinkedInAccountHelper] Account warm-up is paused, skipping', {
+        accountId,
+        accountName
+      });
+      continue;
+    }
+
     // Check account-specific daily limit
     if (accountDailyLimit > 0 && tenantId) {
       const todayCount = await linkedInAccountRepository.getTodayConnectionCountForAccount(tenantId, accountId);
@@ -352,6 +371,10 @@ async function sendConnectionRequestWithFallback(
     // Other errors occurred
     errorMessage = `Connection request failed. All available accounts encountered errors. Please check your LinkedIn account configuration.`;
     errorType = 'account_errors';
+  } else if (warmupPausedAccounts > 0) {
+    // Every account left is on a paused warm-up
+    errorMessage = 'Connection requests are paused while your LinkedIn account warm-up recovers from a low acceptance rate. They resume automatically once acceptance improves.';
+    errorType = 'warmup_paused';
   } else {
     // No accounts available at all
     errorMessage = 'No LinkedIn accounts configured. Please connect a LinkedIn account first.';
@@ -372,7 +395,8 @@ async function sendConnectionRequestWithFallback(
       totalAccountsTried: accountsToTry.length,
       actualRateLimitErrors,
       credentialErrors,
-      otherErrors
+      otherErrors,
+      warmupPausedAccounts
     },
     employee: {
       fullname: employee.fullname,
@@ -5,6 +5,7 @@
  */
 
 const LinkedInAccountRepository = require('../repositories/LinkedInAccountRepository');
+const linkedInWarmupService = require('./LinkedInWarmupService');
 const { pool } = require('../../../shared/database/connection');
 const logger = require('../../../core/utils/logger');
 
@@ -61,12 +62,14 @@ class LinkedInAccountStorageService {
       // Attempt to retrieve existing limits if this account was connected before under a different Unipile ID
       let dailyLimit = 20;
       let weeklyLimit = 140;
+      let connectedBefore = false;
       const profileUrl = credentials.profile_url || credentials.public_identifier ?
         (credentials.profile_url || `https://www.linkedin.com/in/${credentials.public_identifier}`) : null;
 
       if (profileUrl) {
         const existingByUrl = await linkedInAccountRepository.checkAccountByProfileUrl(tenantId, profileUrl);
         if (existingByUrl) {
+          connectedBefore = true;
 
           if (existingByUrl.status === 'active' && existingByUrl.provider_account_id !== unipileAccountId) {
             throw new Error('This LinkedIn account is already connected and active. Please disconnect it first if you wish to reconnect.');
@@ -105,6 +108,12 @@ class LinkedInAccountStorageService {
         logger.info('[LinkedInAccountStorage] Creating new account');
 
         result = await linkedInAccountRepository.insertAccount(accountData);
+
+        // Brand-new accounts ramp up to their limits; reconnected ones keep their history
+        if (!connectedBefore) {
+          const warmup = await linkedInWarmupService.startWarmup(result, tenantId);
+          result = { ...result, ...(warmup || {}) };
+        }
       }
 
       logger.info('[LinkedInAccountStorage] Account saved successfully', {
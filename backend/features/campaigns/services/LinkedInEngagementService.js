@@ -0,0 +1,333 @@
+/**
+ * LinkedIn Engagement Service
+ * Runs the warm-up steps that engage with a lead's LinkedIn activity before (or instead of)
+ * a direct touch: linkedin_reaction, linkedin_comment and linkedin_comment_reply
+ *
+ * - linkedin_reaction reacts to the lead's most recent relevant post with
+ *   linkedinReactionType (like, celebrate, support, love, insightful, funny; default like).
+ * - linkedin_comment comments on that post. linkedinCommentText is a message template
+ *   ({{first_name}}, {{post.text | truncate: 40}}); linkedinCommentMode 'ai' drafts the
+ *   comment from the post instead, guided by linkedinCommentPrompt, and falls back to
+ *   linkedinCommentText when no LLM is configured or the draft is unusable.
+ * - linkedin_comment_reply answers the lead's latest comment on the sender's own recent
+ *   posts, with the same text options ({{comment.text}} is available to templates).
+ * - A post is relevant when it is at most linkedinPostMaxAgeDays old (default 30), contains
+ *   one of linkedinPostKeywords (when set) and is not a repost (unless linkedinIncludeReposts).
+ *
+ * The LLM client follows ReplyClassifierService: any { generateContent(prompt) } can be
+ * plugged in with setLlmClient(), otherwise llmClientLoader provides the shared Gemini client.
+ *
+ * LAD Architecture: Service layer - no SQL
+ */
+const unipileService = require('./unipileService');
+const MessageTemplateUtil = require('../utils/messageTemplateUtil');
+const logger = require('../../../core/utils/logger');
+const { loadLlmClient } = require('./llmClientLoader');
+const unipileLeadSearchService = require('../../../shared/services/unipileLeadSearchService');
+
+const REACTION_TYPES = ['like', 'celebrate', 'support', 'love', 'insightful', 'funny'];
+const DEFAULT_REACTION_TYPE = 'like';
+const COMMENT_MODES = ['template', 'ai'];
+const DEFAULT_POST_MAX_AGE_DAYS = 30;
+// Analytics action recorded for each engagement step
+const ENGAGEMENT_ACTION_TYPES = {
+  linkedin_reaction: 'POST_REACTED',
+  linkedin_comment: 'POST_COMMENTED',
+  linkedin_comment_reply: 'COMMENT_REPLIED'
+};
+// Own posts scanned for the lead's comments by linkedin_comment_reply
+const OWN_POSTS_LIMIT = 5;
+// LinkedIn rejects comments over 1250 characters
+const MAX_COMMENT_LENGTH = 1250;
+// Post text longer than this is truncated before it goes to the LLM
+const MAX_POST_LENGTH = 3000;
+
+function toList(value) {
+  const list = Array.isArray(value) ? value : (typeof value === 'string' ? value.split(',') : []);
+  return list
+    .filter(item => typeof item === 'string' || typeof item === 'number')
+    .map(item => String(item).trim())
+    .filter(Boolean);
+}
+
+function postId(post) {
+  return post.social_id || post.id;
+}
+
+/**
+ * Post fields exposed to comment templates and the LLM prompt
+ */
+function describePost(post) {
+  return {
+    text: post.text || '',
+    url: post.share_url || null,
+    posted_at: post.parsed_datetime || post.date || null
+  };
+}
+
+class LinkedInEngagementService {
+  constructor() {
+    // undefined = not resolved yet, null = no LLM (template text only)
+    this.llmClient = undefined;
+  }
+
+  isEngagementStep(stepType) {
+    return Object.prototype.hasOwnProperty.call(ENGAGEMENT_ACTION_TYPES, stepType);
+  }
+
+  getActionType(stepType) {
+    return ENGAGEMENT_ACTION_TYPES[stepType] || null;
+  }
+
+  /**
+   * @param {Object|null} client - { generateContent(prompt): Promise<string> }
+   */
+  setLlmClient(client) {
+    this.llmClient = client || null;
+  }
+
+  getLlmClient() {
+    if (this.llmClient === undefined) {
+      this.llmClient = loadLlmClient('LinkedInEngagementService', 'using template comments only');
+    }
+    return this.llmClient;
+  }
+
+  /**
+   * Reaction of a linkedin_reaction step, or null when the configured one is unknown
+   */
+  getReactionType(stepConfig = {}) {
+    const reaction = String(stepConfig.linkedinReactionType || DEFAULT_REACTION_TYPE).trim().toLowerCase();
+    return REACTION_TYPES.includes(reaction) ? reaction : null;
+  }
+
+  getCommentMode(stepConfig = {}) {
+    const mode = String(stepConfig.linkedinCommentMode || 'template').trim().toLowerCase();
+    return COMMENT_MODES.includes(mode) ? mode : null;
+  }
+
+  /**
+   * @returns {Object} { keywords, maxAgeDays, includeReposts }
+   */
+  getPostFilters(stepConfig = {}) {
+    const maxAgeDays = parseInt(stepConfig.linkedinPostMaxAgeDays, 10);
+    return {
+      keywords: toList(stepConfig.linkedinPostKeywords).map(keyword => keyword.toLowerCase()),
+      maxAgeDays: maxAgeDays > 0 ? maxAgeDays : DEFAULT_POST_MAX_AGE_DAYS,
+      includeReposts: stepConfig.linkedinIncludeReposts === true
+    };
+  }
+
+  /**
+   * Newest post that passes the step's filters
+   * Posts without a parseable date are kept - Unipile only returns recent activity.
+   */
+  pickRelevantPost(posts = [], filters, now = Date.now()) {
+    const relevant = posts.filter(post => {
+      if (!postId(post)) return false;
+      if (post.is_repost && !filters.includeReposts) return false;
+      const postedAt = Date.parse(post.parsed_datetime || '');
+      if (!Number.isNaN(postedAt) && now - postedAt > filters.maxAgeDays * 24 * 60 * 60 * 1000) return false;
+      if (filters.keywords.length > 0) {
+        const text = String(post.text || '').toLowerCase();
+        if (!filters.keywords.some(keyword => text.includes(keyword))) return false;
+      }
+      return true;
+    });
+    return relevant.sort((a, b) => (Date.parse(b.parsed_datetime || '') || 0) - (Date.parse(a.parsed_datetime || '') || 0))[0] || null;
+  }
+
+  /**
+   * Whether a comment was written by the lead
+   */
+  isLeadComment(comment, lead) {
+    const author = comment.author_details || {};
+    if (lead.providerId && (author.id === lead.providerId || comment.author_id === lead.providerId)) {
+      return true;
+    }
+    const slug = lead.publicIdentifier;
+    return !!slug && String(author.profile_url || '').toLowerCase().includes(`/in/${slug}`);
+  }
+
+  /**
+   * Text of a comment or reply: AI draft when requested and available, else the template
+   * @param {Object} context - { post, comment } the text responds to
+   * @returns {Promise<Object>} { text, source: 'llm'|'template' } - text is empty when neither works
+   */
+  async composeComment(stepType, stepConfig, leadData, context, seed) {
+    if (this.getCommentMode(stepConfig) === 'ai') {
+      const client = this.getLlmClient();
+      if (client) {
+        try {
+          const draft = await this.draftWithLlm(client, stepType, stepConfig, leadData, context);
+          if (draft) return { text: draft, source: 'llm' };
+        } catch (error) {
+          logger.warn('[LinkedInEngagementService] AI comment draft failed, using template text', {
+            stepType,
+            error: error.message
+          });
+        }
+      }
+    }
+    const text = MessageTemplateUtil.render(stepConfig.linkedinCommentText || '', leadData, {
+      seed,
+      defaults: { first_name: 'there' },
+      variables: context
+    }).trim();
+    return { text: text.slice(0, MAX_COMMENT_LENGTH), source: 'template' };
+  }
+
+  /**
+   * @returns {Promise<string|null>} Comment text, or null if the answer was unusable
+   */
+  async draftWithLlm(client, stepType, stepConfig, leadData, context) {
+    const name = [leadData.first_name, leadData.last_name].filter(Boolean).join(' ') || leadData.name || 'the author';
+    const role = [leadData.title, leadData.company_name].filter(Boolean).join(' at ');
+    const postText = String(context.post?.text || '').slice(0, MAX_POST_LENGTH);
+    const task = stepType === 'linkedin_comment_reply'
+      ? `${name}${role ? ` (${role})` : ''} commented on one of my LinkedIn posts. Write my reply to their comment.
+
+My post:
+"""${postText}"""
+
+Their comment:
+"""${String(context.comment?.text || '').slice(0, MAX_POST_LENGTH)}"""`
+      : `Write a comment on this LinkedIn post by ${name}${role ? ` (${role})` : ''}.
+
+Post:
+"""${postText}"""`;
+    const prompt = `${task}
+
+Rules:
+- 1 to 3 short sentences, under 300 characters
+- Specific to what was written, genuine and conversational
+- No sales pitch, no links, no hashtags
+${stepConfig.linkedinCommentPrompt ? `- ${String(stepConfig.linkedinCommentPrompt).trim()}\n` : ''}
+Respond with the comment text only.`;
+    const responseText = await client.generateContent(prompt);
+    const text = String(responseText || '').trim().replace(/^["'“]+|["'”]+$/g, '').trim();
+    if (!text || text.length > MAX_COMMENT_LENGTH) {
+      return null;
+    }
+    return text;
+  }
+
+  /**
+   * Execute an engagement step for a lead
+   * @param {Object} lead - { linkedinUrl, leadData, seed } of the campaign lead
+   * @param {string} accountId - Unipile account of the sender
+   * @returns {Promise<Object>} { success, message, postId, postUrl, reactionType, commentText, commentSource }
+   *   or { success: false, error }
+   */
+  async executeEngagementStep(stepType, stepConfig, lead, accountId) {
+    if (!unipileService.isConfigured()) {
+      return { success: false, error: 'LinkedIn service is not configured' };
+    }
+    if (stepType === 'linkedin_comment_reply') {
+      return this.replyToLeadComment(stepConfig, lead, accountId);
+    }
+
+    const leadName = [lead.leadData.first_name, lead.leadData.last_name].filter(Boolean).join(' ') || lead.leadData.name;
+    // A scraped profile already knows the lead's provider id, which skips Unipile's URL lookup
+    const postsResult = await unipileLeadSearchService.getLinkedInPosts(
+      lead.leadData.linkedin_profile?.provider_id || lead.linkedinUrl,
+      accountId,
+      leadName
+    );
+    // success: false without an error just means the lead has no posts
+    if (!postsResult.success && postsResult.error) {
+      return { success: false, error: postsResult.error, transientError: true };
+    }
+    const post = this.pickRelevantPost(postsResult.posts || [], this.getPostFilters(stepConfig));
+    if (!post) {
+      return { success: false, error: 'No recent relevant LinkedIn post found for lead' };
+    }
+    const engagement = { postId: postId(post), postUrl: post.share_url || null };
+
+    if (stepType === 'linkedin_reaction') {
+      const reactionType = this.getReactionType(stepConfig) || DEFAULT_REACTION_TYPE;
+      const reaction = await unipileService.reactToPost(engagement.postId, reactionType, accountId);
+      if (!reaction.success) {
+        return { success: false, error: reaction.error || 'Failed to react to LinkedIn post', ...engagement };
+      }
+      return { success: true, message: `Reacted "${reactionType}" to lead's post`, reactionType, ...engagement };
+    }
+
+    const comment = await this.composeComment(stepType, stepConfig, lead.leadData, { post: describePost(post) }, lead.seed);
+    if (!comment.text) {
+      return { success: false, error: 'Comment text is empty for this lead', ...engagement };
+    }
+    const posted = await unipileService.commentOnPost(engagement.postId, comment.text, accountId);
+    if (!posted.success) {
+      return { success: false, error: posted.error || 'Failed to comment on LinkedIn post', commentText: comment.text, ...engagement };
+    }
+    return {
+      success: true,
+      message: 'Commented on lead\'s post',
+      commentText: comment.text,
+      commentSource: comment.source,
+      ...engagement
+    };
+  }
+
+  /**
+   * Reply to the lead's latest comment on the sender's own recent posts
+   */
+  async replyToLeadComment(stepConfig, lead, accountId) {
+    const leadIdentity = {
+      providerId: lead.leadData.linkedin_profile?.provider_id || lead.leadData.provider_id || null,
+      publicIdentifier: (String(lead.linkedinUrl).match(/linkedin\.com\/in\/([^\/?#]+)/i)?.[1] || '').toLowerCase() || null
+    };
+    if (!leadIdentity.providerId) {
+      try {
+        leadIdentity.providerId = await unipileService.lookupLinkedInUrn(lead.linkedinUrl, accountId);
+      } catch (error) {
+        logger.warn('[LinkedInEngagementService] Lead provider id lookup failed, matching comments by profile URL', {
+          error: error.message
+        });
+      }
+    }
+
+    const ownPosts = await unipileService.getOwnPosts(accountId, OWN_POSTS_LIMIT);
+    if (!ownPosts.success) {
+      return { success: false, error: ownPosts.error || 'Failed to fetch own LinkedIn posts', transientError: true };
+    }
+    let target = null;
+    for (const post of ownPosts.posts) {
+      if (!postId(post) || !(Number(post.comment_counter) > 0)) continue;
+      const comments = await unipileService.getPostComments(postId(post), accountId);
+      const leadComments = comments.comments
+        .filter(comment => comment.id && this.isLeadComment(comment, leadIdentity))
+        .sort((a, b) => (Date.parse(b.date || '') || 0) - (Date.parse(a.date || '') || 0));
+      if (leadComments.length > 0) {
+        target = { post, comment: leadComments[0] };
+        break;
+      }
+    }
+    if (!target) {
+      return { success: false, error: 'Lead has not commented on any recent post of the sender' };
+    }
+
+    const engagement = { postId: postId(target.post), postUrl: target.post.share_url || null, commentId: target.comment.id };
+    const reply = await this.composeComment('linkedin_comment_reply', stepConfig, lead.leadData, {
+      post: describePost(target.post),
+      comment: { text: target.comment.text || '', posted_at: target.comment.date || null }
+    }, lead.seed);
+    if (!reply.text) {
+      return { success: false, error: 'Reply text is empty for this lead', ...engagement };
+    }
+    const posted = await unipileService.commentOnPost(engagement.postId, reply.text, accountId, { commentId: target.comment.id });
+    if (!posted.success) {
+      return { success: false, error: posted.error || 'Failed to reply to LinkedIn comment', commentText: reply.text, ...engagement };
+    }
+    return {
+      success: true,
+      message: 'Replied to lead\'s comment',
+      commentText: reply.text,
+      commentSource: reply.source,
+      ...engagement
+    };
+  }
+}
+
+module.exports = new LinkedInEngagementService();
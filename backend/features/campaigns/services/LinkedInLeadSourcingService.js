@@ -0,0 +1,247 @@
+/**
+ * LinkedIn Lead Sourcing Service
+ * Runs linkedin_company_search / linkedin_employee_list steps: resolves a company on LinkedIn
+ * and enrolls its employees into the campaign, so account-based campaigns can fan out from
+ * one lead per account to the people who work there
+ *
+ * - linkedin_company_search finds the company by name (linkedinCompanyName),
+ *   linkedin_employee_list by its LinkedIn page (linkedinCompanyUrl). Both accept template
+ *   variables, e.g. {{company_name}}, rendered for the lead that reaches the step.
+ * - linkedinEmployeeTitles narrows the employee search by job title;
+ *   linkedinEmployeeSeniority (Owner, CXO, VP, Director, Manager) is matched on the title.
+ * - linkedinEmployeeLimit caps how many people one company adds (default 25).
+ * - Employees are saved through LeadSaveService (deduplicated against the campaign's leads,
+ *   do-not-contact list applied) and start the sequence from its first step.
+ * - Progress is kept per campaign and company query (CampaignSourcedCompanyRepository): the
+ *   employee list is paged across runs and leads that reach the step for a company that was
+ *   already sourced don't search again.
+ *
+ * LAD Architecture: Service layer - no SQL, uses repositories
+ */
+const CampaignSourcedCompanyRepository = require('../repositories/CampaignSourcedCompanyRepository');
+const linkedInSenderRotation = require('./LinkedInSenderRotationService');
+const { saveLeadsToCampaign } = require('./LeadSaveService');
+const MessageTemplateUtil = require('../utils/messageTemplateUtil');
+const logger = require('../../../core/utils/logger');
+const unipileLeadSearchService = require('../../../shared/services/unipileLeadSearchService');
+
+const SOURCING_STEP_TYPES = ['linkedin_company_search', 'linkedin_employee_list'];
+const DEFAULT_EMPLOYEE_LIMIT = 25;
+const MAX_EMPLOYEE_LIMIT = 200;
+const PAGE_SIZE = 50;
+// Employee pages fetched per lead that reaches the step; the rest are fetched on later runs
+const MAX_PAGES_PER_RUN = 4;
+// Title patterns for the seniority levels the LinkedIn search assistant uses
+const SENIORITY_TITLE_PATTERNS = {
+  owner: /\b(owner|founder|co-?founder|partner)\b/i,
+  cxo: /\b(chief|ceo|cto|cfo|coo|cmo|cio|cro|cpo|cso)\b/i,
+  vp: /\b(vp|svp|evp|vice president)\b/i,
+  director: /\b(director|head of)\b/i,
+  manager: /\b(manager|lead|supervisor)\b/i
+};
+
+function toList(value) {
+  const list = Array.isArray(value) ? value : (typeof value === 'string' ? value.split(',') : []);
+  return list
+    .filter(item => typeof item === 'string' || typeof item === 'number')
+    .map(item => String(item).trim())
+    .filter(Boolean);
+}
+
+class LinkedInLeadSourcingService {
+  isSourcingStep(stepType) {
+    return SOURCING_STEP_TYPES.includes(stepType);
+  }
+
+  /**
+   * Title and seniority filters of a step
+   * @returns {Object} { titles, seniority, unknownSeniority }
+   */
+  getEmployeeFilters(stepConfig = {}) {
+    const titles = toList(stepConfig.linkedinEmployeeTitles);
+    const requested = toList(stepConfig.linkedinEmployeeSeniority).map(level => level.toLowerCase());
+    return {
+      titles,
+      seniority: requested.filter(level => SENIORITY_TITLE_PATTERNS[level]),
+      unknownSeniority: requested.filter(level => !SENIORITY_TITLE_PATTERNS[level])
+    };
+  }
+
+  getEmployeeLimit(stepConfig = {}) {
+    const limit = parseInt(stepConfig.linkedinEmployeeLimit, 10);
+    if (!limit || limit < 1) return DEFAULT_EMPLOYEE_LIMIT;
+    return Math.min(limit, MAX_EMPLOYEE_LIMIT);
+  }
+
+  /**
+   * Company the step looks for, rendered for the lead
+   * @returns {Object} { keywords, slug, queryKey } - keywords is empty when the rendered value is
+   */
+  getCompanyQuery(stepType, stepConfig, leadData) {
+    const { titles, seniority } = this.getEmployeeFilters(stepConfig);
+    const filters = `titles:${titles.map(t => t.toLowerCase()).sort().join(',')}|seniority:${[...seniority].sort().join(',')}`;
+    if (stepType === 'linkedin_employee_list') {
+      const url = MessageTemplateUtil.render(stepConfig.linkedinCompanyUrl || '', leadData).trim();
+      const slug = (url.match(/linkedin\.com\/company\/([^\/?#]+)/i)?.[1] || url).toLowerCase();
+      return {
+        keywords: slug.replace(/[-_]+/g, ' ').trim(),
+        slug,
+        queryKey: `url:${slug}|${filters}`
+      };
+    }
+    const name = MessageTemplateUtil.render(stepConfig.linkedinCompanyName || '', leadData).trim();
+    return {
+      keywords: name,
+      slug: null,
+      queryKey: `name:${name.toLowerCase().replace(/\s+/g, ' ')}|${filters}`
+    };
+  }
+
+  /**
+   * Pick the company a query means from the company search results
+   * A URL matches on its page slug, a name on the exact (case-insensitive) name; otherwise
+   * LinkedIn's top result is used
+   */
+  pickCompany(companies, query) {
+    if (query.slug) {
+      const bySlug = companies.find(company =>
+        String(company.public_identifier || '').toLowerCase() === query.slug ||
+        String(company.profile_url || '').toLowerCase().includes(`/company/${query.slug}`) ||
+        String(company.id) === query.slug
+      );
+      if (bySlug) return bySlug;
+    } else {
+      const byName = companies.find(company => String(company.name || '').toLowerCase() === query.keywords.toLowerCase());
+      if (byName) return byName;
+    }
+    return companies[0] || null;
+  }
+
+  matchesSeniority(person, seniority) {
+    if (seniority.length === 0) return true;
+    const title = person.title || person.headline || '';
+    return seniority.some(level => SENIORITY_TITLE_PATTERNS[level].test(title));
+  }
+
+  /**
+   * Execute a sourcing step for the lead that reached it
+   * @returns {Promise<Object>} { success, message, enrolledCount, companyName, exhausted } or { success: false, error }
+   */
+  async executeSourcingStep(stepType, stepConfig, campaignLead, leadData, userId, tenantId) {
+    const campaignId = campaignLead.campaign_id;
+    const query = this.getCompanyQuery(stepType, stepConfig, leadData);
+    if (!query.keywords) {
+      return {
+        success: false,
+        error: stepType === 'linkedin_employee_list'
+          ? 'Company LinkedIn URL is empty for this lead'
+          : 'Company name is empty for this lead'
+      };
+    }
+    const limit = this.getEmployeeLimit(stepConfig);
+    let record = await CampaignSourcedCompanyRepository.getByQuery(campaignId, query.queryKey, tenantId);
+    if (record && (record.exhausted || record.enrolled_count >= limit)) {
+      return {
+        success: true,
+        message: `Employees of ${record.company_name || query.keywords} already sourced`,
+        enrolledCount: 0,
+        companyName: record.company_name
+      };
+    }
+
+    const senderSelection = await linkedInSenderRotation.selectSender(tenantId, userId, { campaignLead, stepType });
+    const accountId = senderSelection.account?.provider_account_id;
+    if (!accountId) {
+      return {
+        success: false,
+        error: senderSelection.error,
+        userAction: 'Connect LinkedIn account in Settings'
+      };
+    }
+
+    if (!record) {
+      const search = await unipileLeadSearchService.searchCompanies({ keywords: query.keywords, accountId, limit: 10 });
+      if (!search.success) {
+        return { success: false, error: search.error || 'LinkedIn company search failed', transientError: true };
+      }
+      const company = this.pickCompany(search.companies, query);
+      if (!company) {
+        return { success: false, error: `No LinkedIn company found for "${query.keywords}"` };
+      }
+      record = await CampaignSourcedCompanyRepository.create(tenantId, {
+        campaignId,
+        stepType,
+        queryKey: query.queryKey,
+        companyId: String(company.id),
+        companyName: company.name || query.keywords,
+        companyUrl: company.profile_url || null
+      });
+    }
+
+    const { titles, seniority } = this.getEmployeeFilters(stepConfig);
+    let cursor = record.cursor;
+    let pagesFetched = 0;
+    let foundCount = 0;
+    let enrolledCount = 0;
+    let exhausted = false;
+    let searchError = null;
+    while (pagesFetched < MAX_PAGES_PER_RUN && record.enrolled_count + enrolledCount < limit) {
+      const page = await unipileLeadSearchService.searchPeople({
+        company: [record.company_id],
+        designation: titles.length > 0 ? titles.join(' OR ') : undefined,
+        accountId,
+        limit: PAGE_SIZE,
+        cursor
+      });
+      if (!page.success) {
+        searchError = page.error || 'LinkedIn employee search failed';
+        break;
+      }
+      pagesFetched++;
+      foundCount += page.people.length;
+      const remaining = limit - (record.enrolled_count + enrolledCount);
+      const people = page.people
+        .filter(person => this.matchesSeniority(person, seniority))
+        .slice(0, remaining)
+        .map(person => ({ ...person, company_name: person.company_name || record.company_name }));
+      if (people.length > 0) {
+        const saved = await saveLeadsToCampaign(campaignId, tenantId, people, 'unipile');
+        enrolledCount += saved.savedCount;
+      }
+      cursor = page.cursor || null;
+      if (!cursor || page.people.length === 0) {
+        exhausted = true;
+        break;
+      }
+    }
+
+    await CampaignSourcedCompanyRepository.recordProgress(record.id, tenantId, {
+      cursor,
+      pagesFetched,
+      foundCount,
+      enrolledCount,
+      exhausted
+    });
+    logger.info('[LinkedInLeadSourcingService] Company employees sourced', {
+      campaignId,
+      stepType,
+      companyId: record.company_id,
+      pagesFetched,
+      foundCount,
+      enrolledCount,
+      exhausted
+    });
+    if (searchError && pagesFetched === 0) {
+      return { success: false, error: searchError, transientError: true };
+    }
+    return {
+      success: true,
+      message: `Enrolled ${enrolledCount} employee(s) of ${record.company_name}`,
+      enrolledCount,
+      companyName: record.company_name,
+      exhausted
+    };
+  }
+}
+
+module.exports = new LinkedInLeadSourcingService();
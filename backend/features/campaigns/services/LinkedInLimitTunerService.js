@@ -26,6 +26,9 @@ const logger = require('../../../core/utils/logger');
 // Safety floor — never auto-tune below these values
 const MIN_DAILY_LIMIT = 5;
 const MIN_WEEKLY_LIMIT = 20;
+// Assumed limits for accounts that have none configured
+const DEFAULT_DAILY_LIMIT = 20;
+const DEFAULT_WEEKLY_LIMIT = 140;
 
 class LinkedInLimitTunerService {
     constructor() {
@@ -166,6 +169,40 @@ class LinkedInLimitTunerService {
             return null;
         }
     }
+
+    /**
+     * Connection requests an account can still send today and this week
+     * Used by sender rotation to balance work across a tenant's accounts
+     * An account whose warm-up is paused has none left
+     * 
+     * @param {string} tenantId - Tenant ID
+     * @param {Object} account - { unipile_account_id | provider_account_id, default_daily_limit, default_weekly_limit, warmup_status }
+     * @returns {Promise<Object>} { dailyLimit, weeklyLimit, sentToday, sentThisWeek, dailyRemaining, weeklyRemaining, remaining }
+     */
+    async getRemainingCapacity(tenantId, account) {
+        const providerAccountId = account.unipile_account_id || account.provider_account_id;
+        const paused = account.warmup_status === 'paused';
+        const dailyLimit = paused ? 0 : parseInt(account.default_daily_limit, 10) || DEFAULT_DAILY_LIMIT;
+        const weeklyLimit = paused ? 0 : parseInt(account.default_weekly_limit, 10) || DEFAULT_WEEKLY_LIMIT;
+
+        // Repository counts fall back to 0 on error, so capacity never blocks execution
+        const [sentToday, sentThisWeek] = await Promise.all([
+            this.repository.getTodayConnectionCountForAccount(tenantId, providerAccountId),
+            this.repository.getWeeklyConnectionCountForAccount(tenantId, providerAccountId)
+        ]);
+
+        const dailyRemaining = Math.max(dailyLimit - sentToday, 0);
+        const weeklyRemaining = Math.max(weeklyLimit - sentThisWeek, 0);
+        return {
+            dailyLimit,
+            weeklyLimit,
+            sentToday,
+            sentThisWeek,
+            dailyRemaining,
+            weeklyRemaining,
+            remaining: Math.min(dailyRemaining, weeklyRemaining)
+        };
+    }
 }
 
 // Singleton instance
@@ -10,6 +10,7 @@
 
 const logger = require('../../../core/utils/logger');
 const repository = require('../repositories/LinkedInMessageTemplatesRepository');
+const MessageTemplateUtil = require('../utils/messageTemplateUtil');
 
 class LinkedInMessageTemplatesService {
   /**
@@ -93,6 +94,8 @@ class LinkedInMessageTemplatesService {
         throw new Error('Connection message must be 300 characters or less (LinkedIn limit)');
       }
 
+      this.validateTemplateSyntax(data);
+
       const template = await repository.create(data, tenantId, userId, context);
       
       logger.info('[LinkedInMessageTemplatesService] Template created', {
@@ -128,6 +131,8 @@ class LinkedInMessageTemplatesService {
         throw new Error('Connection message must be 300 characters or less (LinkedIn limit)');
       }
 
+      this.validateTemplateSyntax(data);
+
       const template = await repository.update(id, data, tenantId, context);
       
       if (template) {
@@ -202,6 +207,21 @@ class LinkedInMessageTemplatesService {
       });
     }
   }
+
+  /**
+   * Reject messages the template engine can't parse (unclosed {% if %}, unknown filters, ...)
+   * @param {Object} data - Template data
+   */
+  validateTemplateSyntax(data) {
+    for (const field of ['connection_message', 'followup_message']) {
+      const { valid, errors } = MessageTemplateUtil.validate(data[field]);
+      if (!valid) {
+        const error = new Error(`Invalid template syntax in ${field}: ${errors.join('; ')}`);
+        error.statusCode = 400;
+        throw error;
+      }
+    }
+  }
 }
 
 module.exports = new LinkedInMessageTemplatesService();
@@ -0,0 +1,336 @@
+/**
+ * LinkedIn Pacing Service
+ * Spreads campaign LinkedIn actions over each account's working day
+ *
+ * Before a LinkedIn step runs, the lead gets a slot on its account's timeline
+ * (linkedin_action_queue). Slots follow each other with a randomized gap sized so
+ * the account's daily quota fills its working hours, honour per-action-type
+ * spacing (a connect waits a while after the lead's profile visit), and roll over
+ * to the next working day once the day's quota is booked. The lead is parked
+ * (campaign_leads.deferred_until) until its slot; the pacing scheduler wakes it
+ * when the slot comes due, or the next campaign run picks it up.
+ *
+ * LAD Architecture: Service layer - no SQL, uses repositories
+ */
+const LinkedInActionQueueRepository = require('../repositories/LinkedInActionQueueRepository');
+const CampaignTenantSettingsRepository = require('../repositories/CampaignTenantSettingsRepository');
+const CampaignLeadRepository = require('../repositories/CampaignLeadRepository');
+const CampaignRepository = require('../repositories/CampaignRepository');
+const CampaignStepRepository = require('../repositories/CampaignStepRepository');
+const { getLinkedInAccountForExecution } = require('./LinkedInAccountHelper');
+const SendWindowUtil = require('../utils/sendWindowUtil');
+const LeadTimezoneUtil = require('../utils/leadTimezoneUtil');
+const logger = require('../../../core/utils/logger');
+// Lazy load to avoid circular dependency
+// (WorkflowProcessor -> workflowEngine -> here -> WorkflowProcessor)
+let processLeadThroughWorkflow = null;
+
+const DEFAULT_PACING = {
+  enabled: true,
+  workingHours: { start: '09:00', end: '18:00', days: [1, 2, 3, 4, 5], timezone: 'UTC' },
+  dailyActionLimit: 80,
+  // Gaps vary by +/- this fraction of the average gap
+  jitter: 0.4
+};
+// minGapMinutes: between two actions of this type on the same account
+// afterLeadMinutes: after the lead's previous LinkedIn action (e.g. visit before connect)
+const ACTION_SPACING = {
+  linkedin_visit: { minGapMinutes: 2, afterLeadMinutes: 0 },
+  linkedin_visit_profile: { minGapMinutes: 2, afterLeadMinutes: 0 },
+  linkedin_scrape_profile: { minGapMinutes: 2, afterLeadMinutes: 0 },
+  linkedin_follow: { minGapMinutes: 3, afterLeadMinutes: 10 },
+  linkedin_reaction: { minGapMinutes: 3, afterLeadMinutes: 10 },
+  linkedin_comment: { minGapMinutes: 5, afterLeadMinutes: 15 },
+  linkedin_comment_reply: { minGapMinutes: 5, afterLeadMinutes: 15 },
+  linkedin_connect: { minGapMinutes: 5, afterLeadMinutes: 30 },
+  linkedin_message: { minGapMinutes: 4, afterLeadMinutes: 15 }
+};
+const DEFAULT_SPACING = { minGapMinutes: 3, afterLeadMinutes: 10 };
+// A slot this close to now runs straight away
+const RUN_NOW_TOLERANCE_MS = 30 * 1000;
+// Days searched for room in the quota before giving up on a slot
+const MAX_ROLLOVER_DAYS = 14;
+const MAX_DAILY_ACTION_LIMIT = 500;
+const SETTINGS_CACHE_TTL_MS = 60 * 1000;
+// Slots woken per scheduler tick
+const DISPATCH_BATCH_SIZE = 25;
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+class LinkedInPacingService {
+  constructor() {
+    this.cache = new Map();
+  }
+  /**
+   * @returns {Promise<Object>} { enabled, workingHours, dailyActionLimit, jitter }
+   */
+  async getPacing(tenantId, context = {}) {
+    const cached = this.cache.get(tenantId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.pacing;
+    }
+    const settings = await CampaignTenantSettingsRepository.get(tenantId, context);
+    const stored = settings?.linkedin_pacing || {};
+    const pacing = {
+      ...DEFAULT_PACING,
+      ...stored,
+      workingHours: { ...DEFAULT_PACING.workingHours, ...(stored.workingHours || {}) }
+    };
+    this.cache.set(tenantId, { pacing, expiresAt: Date.now() + SETTINGS_CACHE_TTL_MS });
+    return pacing;
+  }
+  /**
+   * @param {Object} body - { enabled?, workingHours?: { start, end, days, timezone }, dailyActionLimit?, jitter? }
+   * @throws {Error} with statusCode 400 for invalid settings
+   */
+  async updatePacing(tenantId, userId, body = {}, context = {}) {
+    const current = await this.getPacing(tenantId, context);
+    const pacing = {
+      enabled: body.enabled !== undefined ? body.enabled : current.enabled,
+      workingHours: { ...current.workingHours, ...(body.workingHours || {}) },
+      dailyActionLimit: body.dailyActionLimit !== undefined ? Number(body.dailyActionLimit) : current.dailyActionLimit,
+      jitter: body.jitter !== undefined ? Number(body.jitter) : current.jitter
+    };
+    if (typeof pacing.enabled !== 'boolean') {
+      throw badRequest('enabled must be a boolean');
+    }
+    if (!Number.isInteger(pacing.dailyActionLimit) || pacing.dailyActionLimit < 1 || pacing.dailyActionLimit > MAX_DAILY_ACTION_LIMIT) {
+      throw badRequest(`dailyActionLimit must be an integer between 1 and ${MAX_DAILY_ACTION_LIMIT}`);
+    }
+    if (!Number.isFinite(pacing.jitter) || pacing.jitter < 0 || pacing.jitter > 0.9) {
+      throw badRequest('jitter must be between 0 and 0.9');
+    }
+    const { start, end, timezone } = pacing.workingHours;
+    const timePattern = /^\d{1,2}:\d{2}$/;
+    if (!timePattern.test(start || '') || !timePattern.test(end || '') || start.padStart(5, '0') >= end.padStart(5, '0')) {
+      throw badRequest('workingHours.start and workingHours.end must be HH:MM with start before end');
+    }
+    if (!LeadTimezoneUtil.isValidTimeZone(timezone)) {
+      throw badRequest('workingHours.timezone must be a valid IANA timezone');
+    }
+    const window = SendWindowUtil.normalize({ sendWindow: pacing.workingHours });
+    pacing.workingHours.days = window.days;
+    await CampaignTenantSettingsRepository.upsertLinkedInPacing(tenantId, pacing, userId, context);
+    this.cache.delete(tenantId);
+    return pacing;
+  }
+  isPacedStep(stepType) {
+    // Autoposts only schedule a post - LinkedInPostingService spaces the publishing
+    return typeof stepType === 'string' && stepType.startsWith('linkedin_') && stepType !== 'linkedin_autopost';
+  }
+  /**
+   * Get the lead's slot for a LinkedIn step, booking one if needed
+   * @returns {Promise<Object>} { wait: false } to run now, or { wait: true, scheduledAt, reason }
+   */
+  async acquireSlot(campaign, campaignLead, step, tenantId, userId, now = new Date()) {
+    const pacing = await this.getPacing(tenantId);
+    if (!pacing.enabled) {
+      return { wait: false };
+    }
+    // Book the slot on the account that will send (this pins the lead to it)
+    const account = await getLinkedInAccountForExecution(tenantId, userId, {
+      campaignLead,
+      campaign,
+      stepType: step.step_type || step.type
+    });
+    if (!account?.provider_account_id) {
+      // The executor reports the missing account
+      return { wait: false };
+    }
+    const stepType = step.step_type || step.type;
+    // Read the timeline and book under the account lock so concurrent runs can't take the same slot
+    const { slot, existing, scheduledAt, runNow } = await LinkedInActionQueueRepository.withAccountLock(
+      tenantId,
+      account.provider_account_id,
+      async context => {
+        const open = await LinkedInActionQueueRepository.findOpenSlot(tenantId, campaignLead.id, step.id, context);
+        if (open) {
+          return { slot: open, existing: true };
+        }
+        const nextAt = await this.nextSlotTime(tenantId, account.provider_account_id, campaignLead.id, stepType, pacing, now, context);
+        const immediate = nextAt.getTime() - now.getTime() <= RUN_NOW_TOLERANCE_MS;
+        const created = await LinkedInActionQueueRepository.create(tenantId, {
+          providerAccountId: account.provider_account_id,
+          campaignId: campaign.id,
+          campaignLeadId: campaignLead.id,
+          stepId: step.id,
+          stepType,
+          scheduledAt: immediate ? now : nextAt,
+          status: immediate ? 'released' : 'scheduled'
+        }, context);
+        return { slot: created, scheduledAt: nextAt, runNow: immediate };
+      }
+    );
+    if (existing) {
+      return this.useSlot(slot, campaignLead, tenantId, now);
+    }
+    if (runNow) {
+      return { wait: false, slot };
+    }
+    logger.info('[LinkedInPacingService] Action paced', {
+      campaignId: campaign.id,
+      campaignLeadId: campaignLead.id,
+      stepType,
+      providerAccountId: account.provider_account_id,
+      scheduledAt: scheduledAt.toISOString()
+    });
+    return this.useSlot(slot, campaignLead, tenantId, now);
+  }
+  /**
+   * Release a due slot, or park the lead until it comes due
+   */
+  async useSlot(slot, campaignLead, tenantId, now) {
+    const scheduledAt = new Date(slot.scheduled_at);
+    if (scheduledAt.getTime() - now.getTime() <= RUN_NOW_TOLERANCE_MS) {
+      await LinkedInActionQueueRepository.updateStatus(slot.id, tenantId, 'released');
+      return { wait: false, slot };
+    }
+    await CampaignLeadRepository.update(campaignLead.id, tenantId, { deferred_until: scheduledAt });
+    return {
+      wait: true,
+      scheduledAt,
+      reason: `LinkedIn pacing - ${slot.step_type} scheduled for ${scheduledAt.toISOString()}`
+    };
+  }
+  /**
+   * Earliest time the account can take the next action of this type for this lead
+   * @param {Object} context - from LinkedInActionQueueRepository.withAccountLock
+   */
+  async nextSlotTime(tenantId, providerAccountId, campaignLeadId, stepType, pacing, now, context = {}) {
+    const window = SendWindowUtil.normalize({ sendWindow: pacing.workingHours });
+    const timezone = window.timezone;
+    const spacing = ACTION_SPACING[stepType] || DEFAULT_SPACING;
+    const workingMinutes = window.endMinutes - window.startMinutes;
+    const averageGapMs = (workingMinutes / pacing.dailyActionLimit) * 60 * 1000;
+    const gapMs = averageGapMs * (1 - pacing.jitter + Math.random() * pacing.jitter * 2);
+
+    const [lastForAccount, lastOfType, lastForLead] = await Promise.all([
+      LinkedInActionQueueRepository.getLastSlotForAccount(tenantId, providerAccountId, null, context),
+      LinkedInActionQueueRepository.getLastSlotForAccount(tenantId, providerAccountId, stepType, context),
+      LinkedInActionQueueRepository.getLastSlotForLead(tenantId, campaignLeadId, context)
+    ]);
+    const earliest = [now.getTime()];
+    if (lastForAccount) earliest.push(new Date(lastForAccount.scheduled_at).getTime() + gapMs);
+    if (lastOfType) earliest.push(new Date(lastOfType.scheduled_at).getTime() + spacing.minGapMinutes * 60 * 1000);
+    if (lastForLead) earliest.push(new Date(lastForLead.scheduled_at).getTime() + spacing.afterLeadMinutes * 60 * 1000);
+    let candidate = new Date(Math.max(...earliest));
+
+    for (let day = 0; day <= MAX_ROLLOVER_DAYS; day++) {
+      const opening = SendWindowUtil.getNextOpening(window, timezone, candidate);
+      if (!opening) break;
+      if (opening > candidate) {
+        // Don't start every account's day on the stroke of the hour
+        candidate = new Date(opening.getTime() + Math.random() * averageGapMs);
+      }
+      const local = SendWindowUtil.getLocalParts(candidate, timezone);
+      const dayStart = SendWindowUtil.zonedTimeToUtc(local.year, local.month, local.day, 0, timezone);
+      const dayEnd = SendWindowUtil.zonedTimeToUtc(local.year, local.month, local.day + 1, 0, timezone);
+      const booked = await LinkedInActionQueueRepository.countSlotsForAccount(tenantId, providerAccountId, dayStart, dayEnd, context);
+      if (booked < pacing.dailyActionLimit) {
+        return candidate;
+      }
+      candidate = dayEnd;
+    }
+    logger.warn('[LinkedInPacingService] No room in the account quota within the rollover window', {
+      tenantId,
+      providerAccountId,
+      stepType
+    });
+    return candidate;
+  }
+  /**
+   * Empty in-memory account timeline for planSlot (campaign simulations)
+   * @param {Date|string|null} lastScheduledAt - the account's latest booked slot
+   */
+  createPlanTimeline(lastScheduledAt = null) {
+    return { lastAt: lastScheduledAt ? new Date(lastScheduledAt) : null, lastByType: {}, perDay: {}, booked: 0 };
+  }
+  /**
+   * Plan a slot on an in-memory account timeline - nothing is booked (campaign simulations)
+   * Same rules as nextSlotTime, with the average gap instead of a randomized one
+   * @param {Object} timeline - from createPlanTimeline(), updated with the planned slot
+   * @param {Date|null} lastForLead - the lead's previous planned LinkedIn action
+   * @returns {Date} When the action would run
+   */
+  planSlot(timeline, stepType, pacing, earliest, lastForLead = null) {
+    const window = SendWindowUtil.normalize({ sendWindow: pacing.workingHours });
+    const timezone = window.timezone;
+    const spacing = ACTION_SPACING[stepType] || DEFAULT_SPACING;
+    const averageGapMs = ((window.endMinutes - window.startMinutes) / pacing.dailyActionLimit) * 60 * 1000;
+
+    const lastOfType = timeline.lastByType[stepType];
+    const bounds = [earliest.getTime()];
+    if (timeline.lastAt) bounds.push(timeline.lastAt.getTime() + averageGapMs);
+    if (lastOfType) bounds.push(lastOfType.getTime() + spacing.minGapMinutes * 60 * 1000);
+    if (lastForLead) bounds.push(lastForLead.getTime() + spacing.afterLeadMinutes * 60 * 1000);
+    let candidate = new Date(Math.max(...bounds));
+
+    for (let day = 0; day <= MAX_ROLLOVER_DAYS; day++) {
+      const opening = SendWindowUtil.getNextOpening(window, timezone, candidate);
+      if (!opening) break;
+      candidate = opening;
+      const local = SendWindowUtil.getLocalParts(candidate, timezone);
+      if ((timeline.perDay[local.date] || 0) < pacing.dailyActionLimit) break;
+      candidate = SendWindowUtil.zonedTimeToUtc(local.year, local.month, local.day + 1, 0, timezone);
+    }
+    const bookedDay = SendWindowUtil.getLocalParts(candidate, timezone).date;
+    timeline.perDay[bookedDay] = (timeline.perDay[bookedDay] || 0) + 1;
+    timeline.lastAt = candidate;
+    timeline.lastByType[stepType] = candidate;
+    timeline.booked++;
+    return candidate;
+  }
+  /**
+   * Wake the leads whose slots have come due (pacing scheduler tick)
+   * @returns {Promise<Object>} { dispatched, cancelled }
+   */
+  async dispatchDueSlots(limit = DISPATCH_BATCH_SIZE) {
+    const slots = await LinkedInActionQueueRepository.claimDueSlots(limit);
+    let dispatched = 0;
+    let cancelled = 0;
+    const campaigns = new Map();
+    if (!processLeadThroughWorkflow) {
+      processLeadThroughWorkflow = require('./WorkflowProcessor').processLeadThroughWorkflow;
+    }
+    for (const slot of slots) {
+      try {
+        const tenantId = slot.tenant_id;
+        if (!campaigns.has(slot.campaign_id)) {
+          const campaign = await CampaignRepository.getById(slot.campaign_id, tenantId);
+          const steps = campaign ? await CampaignStepRepository.getStepsByCampaignId(slot.campaign_id, tenantId) : [];
+          campaigns.set(slot.campaign_id, { campaign, steps });
+        }
+        const { campaign, steps } = campaigns.get(slot.campaign_id);
+        const campaignLead = await CampaignLeadRepository.getById(slot.campaign_lead_id, tenantId);
+        const stillWaiting = campaign && campaign.status === 'running' && campaignLead &&
+          ['pending', 'active'].includes(campaignLead.status) &&
+          campaignLead.current_step_id === slot.step_id;
+        if (!stillWaiting) {
+          // Campaign stopped or the lead left the step - free the slot
+          await LinkedInActionQueueRepository.updateStatus(slot.id, tenantId, 'cancelled');
+          cancelled++;
+          continue;
+        }
+        await processLeadThroughWorkflow(campaign, steps, campaignLead, campaign.created_by_user_id, tenantId);
+        dispatched++;
+      } catch (error) {
+        logger.error('[LinkedInPacingService] Failed to dispatch paced action', {
+          slotId: slot.id,
+          campaignId: slot.campaign_id,
+          campaignLeadId: slot.campaign_lead_id,
+          error: error.message
+        });
+      }
+    }
+    if (slots.length > 0) {
+      logger.info('[LinkedInPacingService] Dispatched due slots', { claimed: slots.length, dispatched, cancelled });
+    }
+    return { dispatched, cancelled };
+  }
+}
+
+module.exports = new LinkedInPacingService();
@@ -14,6 +14,10 @@ const unipileService = require('./unipileService');
 const { campaignStatsTracker } = require('./campaignStatsTracker');
 const linkedInPollingRepository = require('../repositories/LinkedInPollingRepository');
 const pollingConstants = require('../constants/pollingConstants');
+const MessageTemplateUtil = require('../utils/messageTemplateUtil');
+const suppressionService = require('./SuppressionService');
+const frequencyCapService = require('./FrequencyCapService');
+const CampaignLeadActivityRepository = require('../repositories/CampaignLeadActivityRepository');
 
 class LinkedInPollingService {
   /**
@@ -840,6 +844,22 @@ class LinkedInPollingService {
       // The campaign_analytics.lead_id has a foreign key to leads.id, not campaign_leads.id
       const correctLeadId = leadId;
       
+      // Never message a lead on the tenant's do-not-contact list (a failed check throws and nothing is sent)
+      const suppression = await suppressionService.findMatchForLead(tenantId, campaignLead || { lead_data: leadData });
+      if (suppression) {
+        const reason = suppressionService.describeMatch(suppression);
+        await this.recordSkippedMessage(campaignId, tenantId, campaignLead, reason, { suppressionType: suppression.type });
+        return { success: false, suppressed: true, error: reason };
+      }
+      
+      // Respect the tenant's cross-campaign frequency caps - the workflow's own message steps still follow
+      const cap = await frequencyCapService.checkTouch(tenantId, { ...campaignLead, lead_id: correctLeadId });
+      if (cap) {
+        const reason = frequencyCapService.describeDeferral(cap);
+        await this.recordSkippedMessage(campaignId, tenantId, campaignLead, reason, { deferredUntil: cap.deferredUntil.toISOString() });
+        return { success: false, capped: true, error: reason };
+      }
+      
       logger.info('[LinkedInPolling] Preparing to send message', {
         campaignId,
         leadId: correctLeadId,
@@ -848,12 +868,16 @@ class LinkedInPollingService {
       });
       
       // Replace variables in message template
-      let personalizedMessage = messageTemplate;
-      personalizedMessage = personalizedMessage.replace(/\{\{first_name\}\}/gi, leadData.first_name || leadData.fullname?.split(' ')[0] || '');
-      personalizedMessage = personalizedMessage.replace(/\{\{last_name\}\}/gi, leadData.last_name || leadData.fullname?.split(' ').slice(1).join(' ') || '');
-      personalizedMessage = personalizedMessage.replace(/\{\{fullname\}\}/gi, leadData.fullname || '');
-      personalizedMessage = personalizedMessage.replace(/\{\{company\}\}/gi, leadData.company || leadData.organization || '');
-      personalizedMessage = personalizedMessage.replace(/\{\{title\}\}/gi, leadData.title || '');
+      const rendered = MessageTemplateUtil.renderWithReport(messageTemplate, leadData, {
+        seed: campaignLead?.id || correctLeadId
+      });
+      if (rendered.errors.length > 0) {
+        // A broken template would go out blank or cut short - send nothing
+        const reason = `Message template is invalid: ${rendered.errors.join('; ')}`;
+        await this.recordSkippedMessage(campaignId, tenantId, campaignLead, reason, { templateErrors: rendered.errors });
+        return { success: false, validationError: true, error: reason };
+      }
+      const personalizedMessage = rendered.text;
       
       logger.info('[LinkedInPolling] Personalized message ready', {
         campaignId,
@@ -997,6 +1021,30 @@ class LinkedInPollingService {
     }
   }
 
+  /**
+   * Record an immediate message that was not sent as a skipped activity on the lead
+   * (leads matched only through connection data have no campaign_leads row to record on)
+   */
+  async recordSkippedMessage(campaignId, tenantId, campaignLead, reason, metadata = {}) {
+    logger.info('[LinkedInPolling] Immediate message skipped', {
+      campaignId,
+      campaignLeadId: campaignLead?.id || null,
+      reason
+    });
+    if (!campaignLead) return;
+    await CampaignLeadActivityRepository.create({
+      tenantId,
+      campaignId,
+      campaignLeadId: campaignLead.id,
+      actionType: 'CONTACTED',
+      status: 'skipped',
+      channel: 'linkedin',
+      errorMessage: reason,
+      metadata: { trigger: 'connection_accepted', ...metadata },
+      executedAt: new Date()
+    });
+  }
+
   /**
    * Normalize LinkedIn URL for consistent matching
    * @param {string} url - LinkedIn URL
@@ -0,0 +1,116 @@
+/**
+ * LinkedIn Posting Adapters
+ * Pluggable publishers used by LinkedInPostingService
+ *
+ * LINKEDIN_POSTING_ADAPTER selects the adapter (default unipile):
+ *   unipile - publishes through the tenant's Unipile-connected LinkedIn account
+ *   stub    - publishes nothing; keeps the posts in memory (tests, local development)
+ * Other adapters can be added with registerAdapter(name, adapter).
+ *
+ * Adapter contract:
+ *   publish(account, { text, imageUrls }) => { providerPostId, postUrl }
+ *   Failures throw; error.retryable === false means retrying cannot help (rejected content,
+ *   missing image), anything else is retried by the scheduler.
+ */
+const axios = require('axios');
+const unipileService = require('./unipileService');
+const logger = require('../../../core/utils/logger');
+
+const IMAGE_DOWNLOAD_TIMEOUT_MS = Number(process.env.LINKEDIN_POST_IMAGE_TIMEOUT_MS) || 30000;
+// LinkedIn rejects images over 5 MB
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+function publishError(message, retryable) {
+  const error = new Error(message);
+  error.retryable = retryable;
+  return error;
+}
+
+/**
+ * 4xx answers (other than rate limiting) won't change on a retry
+ */
+function isRetryableStatus(statusCode) {
+  return !statusCode || statusCode === 429 || statusCode >= 500;
+}
+
+async function downloadImage(url, index) {
+  let response;
+  try {
+    response = await axios.get(url, {
+      responseType: 'arraybuffer',
+      timeout: IMAGE_DOWNLOAD_TIMEOUT_MS,
+      maxContentLength: MAX_IMAGE_BYTES
+    });
+  } catch (error) {
+    throw publishError(`Image ${index + 1} could not be downloaded: ${error.message}`, isRetryableStatus(error.response?.status));
+  }
+  const contentType = String(response.headers?.['content-type'] || '').split(';')[0].trim();
+  if (!contentType.startsWith('image/')) {
+    throw publishError(`Image ${index + 1} is not an image (${contentType || 'unknown content type'})`, false);
+  }
+  const extension = contentType.split('/')[1].replace('jpeg', 'jpg');
+  return {
+    data: Buffer.from(response.data),
+    contentType,
+    filename: `image-${index + 1}.${extension}`
+  };
+}
+
+function buildPostUrl(postId) {
+  return postId && String(postId).startsWith('urn:li:') ? `https://www.linkedin.com/feed/update/${postId}/` : null;
+}
+
+const adapters = {
+  unipile: {
+    async publish(account, { text, imageUrls = [] }) {
+      if (!unipileService.isConfigured()) {
+        throw publishError('LinkedIn service is not configured', true);
+      }
+      const attachments = [];
+      for (const [index, url] of imageUrls.entries()) {
+        attachments.push(await downloadImage(url, index));
+      }
+      const result = await unipileService.createPost(account.provider_account_id, text, attachments);
+      if (!result.success) {
+        throw publishError(result.error || 'LinkedIn rejected the post', isRetryableStatus(result.statusCode));
+      }
+      return {
+        providerPostId: result.postId,
+        postUrl: buildPostUrl(result.postId)
+      };
+    }
+  },
+  stub: {
+    published: [],
+    async publish(account, { text, imageUrls = [] }) {
+      const providerPostId = `stub-post-${this.published.length + 1}`;
+      this.published.push({ accountId: account.provider_account_id, text, imageUrls, providerPostId });
+      logger.info('[LinkedInPostingAdapters] Stub adapter published post', {
+        accountId: account.provider_account_id,
+        providerPostId,
+        images: imageUrls.length
+      });
+      return { providerPostId, postUrl: null };
+    }
+  }
+};
+
+function registerAdapter(name, adapter) {
+  if (!adapter || typeof adapter.publish !== 'function') {
+    throw new Error('LinkedIn posting adapter must implement publish()');
+  }
+  adapters[name] = adapter;
+}
+
+function getAdapter(name = process.env.LINKEDIN_POSTING_ADAPTER || 'unipile') {
+  const adapter = adapters[name];
+  if (!adapter) {
+    throw new Error(`Unknown LinkedIn posting adapter: ${name}`);
+  }
+  return adapter;
+}
+
+module.exports = {
+  registerAdapter,
+  getAdapter
+};
@@ -0,0 +1,429 @@
+/**
+ * LinkedIn Posting Service
+ * Content calendar and publish queue for tenants' connected LinkedIn accounts
+ *
+ * - Posts belong to one account (social_linkedin_accounts.provider_account_id), carry text
+ *   and up to 9 image URLs, and are created as drafts or scheduled for a time.
+ * - Lifecycle: draft -> scheduled -> publishing -> published | failed; drafts, scheduled and
+ *   failed posts can be edited or cancelled, failed ones re-queued with retryPost().
+ * - linkedInPostingScheduler publishes due posts through the configured adapter
+ *   (LinkedInPostingAdapters), one post at a time per account and at least
+ *   LINKEDIN_POST_MIN_GAP_MINUTES apart. Temporary failures are retried with backoff; the
+ *   error of the last attempt stays on the post and in the per-account queue summary.
+ * - linkedin_autopost campaign steps schedule one post per step (linkedinPostContent,
+ *   linkedinPostImageUrls, linkedinPostScheduledAt, linkedinPostAccountId); its outcome is
+ *   recorded in campaign_analytics as POST_PUBLISHED / POST_PUBLISH_FAILED.
+ *
+ * LAD Architecture: Service layer - no SQL, uses repositories
+ */
+const { pool } = require('../../../shared/database/connection');
+const LinkedInScheduledPostRepository = require('../repositories/LinkedInScheduledPostRepository');
+const LinkedInAccountRepository = require('../repositories/LinkedInAccountRepository');
+const linkedInSenderRotation = require('./LinkedInSenderRotationService');
+const linkedInPostingAdapters = require('./LinkedInPostingAdapters');
+const { campaignStatsTracker } = require('./campaignStatsTracker');
+const MessageTemplateUtil = require('../utils/messageTemplateUtil');
+const logger = require('../../../core/utils/logger');
+
+const STATUSES = ['draft', 'scheduled', 'publishing', 'published', 'failed', 'cancelled'];
+// Statuses a post can still be edited or cancelled in
+const EDITABLE_STATUSES = ['draft', 'scheduled', 'failed'];
+// LinkedIn's limits for a feed post
+const MAX_CONTENT_LENGTH = 3000;
+const MAX_IMAGES = 9;
+// Wait before retry N after a temporary failure (the post's max_attempts caps the retries)
+const RETRY_DELAYS_MINUTES = [5, 30, 120];
+const DEFAULT_MIN_GAP_MINUTES = 30;
+const CLAIM_BATCH_SIZE = 20;
+// A post still 'publishing' after this long was interrupted (scheduler restart)
+const PUBLISH_LOCK_TIMEOUT_MINUTES = 15;
+const MAX_LIST_LIMIT = 500;
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+function conflict(message) {
+  const error = new Error(message);
+  error.statusCode = 409;
+  return error;
+}
+
+function parseDate(value, field) {
+  const date = new Date(value);
+  if (value === null || value === '' || Number.isNaN(date.getTime())) {
+    throw badRequest(`${field} must be a valid date`);
+  }
+  return date;
+}
+
+class LinkedInPostingService {
+  constructor() {
+    this.accountRepository = new LinkedInAccountRepository(pool);
+    // undefined = resolve from LINKEDIN_POSTING_ADAPTER on first use
+    this.adapter = undefined;
+  }
+
+  /**
+   * @param {Object|null} adapter - { publish(account, { text, imageUrls }) }, null restores the configured one
+   */
+  setAdapter(adapter) {
+    this.adapter = adapter || undefined;
+  }
+
+  getAdapter() {
+    if (this.adapter === undefined) {
+      this.adapter = linkedInPostingAdapters.getAdapter();
+    }
+    return this.adapter;
+  }
+
+  getMinGapMinutes() {
+    const minutes = parseInt(process.env.LINKEDIN_POST_MIN_GAP_MINUTES, 10);
+    return minutes >= 0 ? minutes : DEFAULT_MIN_GAP_MINUTES;
+  }
+
+  /**
+   * Validated post fields from an API body, on top of the existing post when editing
+   * @returns {Object} { providerAccountId, content, imageUrls, scheduledAt, status }
+   * @throws {Error} with statusCode 400 for invalid fields
+   */
+  normalizePost(body = {}, existing = null) {
+    const providerAccountId = body.accountId !== undefined ? body.accountId : existing?.provider_account_id;
+    if (typeof providerAccountId !== 'string' || !providerAccountId.trim()) {
+      throw badRequest('accountId is required');
+    }
+
+    const content = body.content !== undefined ? body.content : existing?.content;
+    if (typeof content !== 'string' || !content.trim()) {
+      throw badRequest('content is required');
+    }
+    if (content.length > MAX_CONTENT_LENGTH) {
+      throw badRequest(`content must be at most ${MAX_CONTENT_LENGTH} characters`);
+    }
+
+    const imageUrls = body.imageUrls !== undefined ? body.imageUrls : (existing?.image_urls || []);
+    if (!Array.isArray(imageUrls) || imageUrls.length > MAX_IMAGES) {
+      throw badRequest(`imageUrls must be an array of at most ${MAX_IMAGES} URLs`);
+    }
+    const invalidUrl = imageUrls.find(url => typeof url !== 'string' || !/^https?:\/\/\S+$/i.test(url.trim()));
+    if (invalidUrl !== undefined) {
+      throw badRequest(`Invalid image URL: ${invalidUrl}`);
+    }
+
+    const status = body.status !== undefined ? body.status : (existing?.status === 'draft' ? 'draft' : 'scheduled');
+    if (!['draft', 'scheduled'].includes(status)) {
+      throw badRequest('status must be draft or scheduled');
+    }
+
+    let scheduledAt = body.scheduledAt !== undefined ? body.scheduledAt : existing?.scheduled_at;
+    if (scheduledAt !== undefined && scheduledAt !== null) {
+      scheduledAt = parseDate(scheduledAt, 'scheduledAt');
+    } else if (status === 'scheduled') {
+      // Scheduled without a time = publish as soon as the account's queue allows
+      scheduledAt = new Date();
+    }
+
+    return {
+      providerAccountId: providerAccountId.trim(),
+      content: content.trim(),
+      imageUrls: imageUrls.map(url => url.trim()),
+      scheduledAt: scheduledAt || null,
+      status
+    };
+  }
+
+  async requireAccount(tenantId, providerAccountId, context = {}) {
+    const account = await this.accountRepository.getAccountByProviderIdForTenant(tenantId, providerAccountId, context);
+    if (!account) {
+      throw badRequest('LinkedIn account not found or not connected');
+    }
+    return account;
+  }
+
+  /**
+   * Calendar of the tenant's posts
+   * @param {Object} query - { accountId, status, campaignId, from, to, limit, offset }
+   */
+  async listPosts(tenantId, query = {}, context = {}) {
+    if (query.status && !STATUSES.includes(query.status)) {
+      throw badRequest(`status must be one of: ${STATUSES.join(', ')}`);
+    }
+    const limit = parseInt(query.limit, 10);
+    const offset = parseInt(query.offset, 10);
+    return LinkedInScheduledPostRepository.list(tenantId, {
+      accountId: query.accountId,
+      status: query.status,
+      campaignId: query.campaignId,
+      from: query.from ? parseDate(query.from, 'from') : null,
+      to: query.to ? parseDate(query.to, 'to') : null,
+      limit: limit > 0 ? Math.min(limit, MAX_LIST_LIMIT) : undefined,
+      offset: offset > 0 ? offset : 0
+    }, context);
+  }
+
+  async getPost(id, tenantId, context = {}) {
+    return LinkedInScheduledPostRepository.getById(id, tenantId, context);
+  }
+
+  /**
+   * Per-account queues: counts by status, next scheduled post and the latest failure
+   */
+  async getQueueSummary(tenantId, context = {}) {
+    return LinkedInScheduledPostRepository.getQueueSummary(tenantId, context);
+  }
+
+  async createPost(tenantId, userId, body = {}, context = {}) {
+    const post = this.normalizePost(body);
+    await this.requireAccount(tenantId, post.providerAccountId, context);
+    return LinkedInScheduledPostRepository.create(tenantId, { ...post, createdBy: userId || null }, context);
+  }
+
+  /**
+   * Edit a draft, scheduled or failed post; saving it as scheduled queues it again
+   * @returns {Promise<Object|null>} Updated post, null if it doesn't exist
+   */
+  async updatePost(id, tenantId, body = {}, context = {}) {
+    const existing = await LinkedInScheduledPostRepository.getById(id, tenantId, context);
+    if (!existing) {
+      return null;
+    }
+    if (!EDITABLE_STATUSES.includes(existing.status)) {
+      throw conflict(`A ${existing.status} post can't be edited`);
+    }
+    const post = this.normalizePost(body, existing);
+    if (post.providerAccountId !== existing.provider_account_id) {
+      await this.requireAccount(tenantId, post.providerAccountId, context);
+    }
+    const changes = { ...post };
+    if (post.status === 'scheduled') {
+      Object.assign(changes, { attempts: 0, nextAttemptAt: null, lastError: null, failedAt: null });
+    }
+    const updated = await LinkedInScheduledPostRepository.update(id, tenantId, changes, [existing.status], context);
+    if (!updated) {
+      throw conflict('The post is being published and can no longer be edited');
+    }
+    return updated;
+  }
+
+  async cancelPost(id, tenantId, context = {}) {
+    const existing = await LinkedInScheduledPostRepository.getById(id, tenantId, context);
+    if (!existing) {
+      return null;
+    }
+    if (!EDITABLE_STATUSES.includes(existing.status)) {
+      throw conflict(`A ${existing.status} post can't be cancelled`);
+    }
+    const cancelled = await LinkedInScheduledPostRepository.update(id, tenantId, {
+      status: 'cancelled',
+      nextAttemptAt: null,
+      cancelledAt: new Date()
+    }, EDITABLE_STATUSES, context);
+    if (!cancelled) {
+      throw conflict('The post is being published and can no longer be cancelled');
+    }
+    return cancelled;
+  }
+
+  /**
+   * Queue a failed post again, to publish now
+   */
+  async retryPost(id, tenantId, context = {}) {
+    const existing = await LinkedInScheduledPostRepository.getById(id, tenantId, context);
+    if (!existing) {
+      return null;
+    }
+    if (existing.status !== 'failed') {
+      throw conflict('Only failed posts can be retried');
+    }
+    return LinkedInScheduledPostRepository.update(id, tenantId, {
+      status: 'scheduled',
+      scheduledAt: new Date(),
+      attempts: 0,
+      nextAttemptAt: null,
+      lastError: null,
+      failedAt: null
+    }, ['failed'], context);
+  }
+
+  /**
+   * Run a linkedin_autopost step: the first lead to reach it schedules the step's post,
+   * every later lead just moves on
+   * @returns {Promise<Object>} { success, message, postId, scheduledAt } or { success: false, error }
+   */
+  async scheduleFromStep(stepConfig, campaignLead, userId, tenantId, stepId) {
+    const campaignId = campaignLead.campaign_id;
+    if (!stepId) {
+      return { success: false, error: 'Autopost step has no id' };
+    }
+    const existing = await LinkedInScheduledPostRepository.getByCampaignStep(campaignId, stepId, tenantId);
+    if (existing) {
+      return { success: true, message: `Post already ${existing.status}`, postId: existing.id };
+    }
+
+    let providerAccountId = stepConfig.linkedinPostAccountId;
+    if (providerAccountId) {
+      const account = await this.accountRepository.getAccountByProviderIdForTenant(tenantId, providerAccountId);
+      if (!account) {
+        return { success: false, error: 'LinkedIn account for the post is not connected' };
+      }
+    } else {
+      const senderSelection = await linkedInSenderRotation.selectSender(tenantId, userId, { campaignLead, stepType: 'linkedin_autopost' });
+      providerAccountId = senderSelection.account?.provider_account_id;
+      if (!providerAccountId) {
+        return {
+          success: false,
+          error: senderSelection.error,
+          userAction: 'Connect LinkedIn account in Settings'
+        };
+      }
+    }
+
+    let post;
+    try {
+      post = this.normalizePost({
+        accountId: providerAccountId,
+        // Company posts aren't personalised per lead - only spintax and defaults apply
+        content: MessageTemplateUtil.render(stepConfig.linkedinPostContent || '', {}, { seed: campaignId }),
+        imageUrls: stepConfig.linkedinPostImageUrls || [],
+        scheduledAt: stepConfig.linkedinPostScheduledAt || null,
+        status: 'scheduled'
+      });
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+    const created = await LinkedInScheduledPostRepository.create(tenantId, {
+      ...post,
+      campaignId,
+      campaignStepId: stepId,
+      createdBy: userId || null
+    });
+    if (!created) {
+      // Another lead scheduled it at the same time
+      return { success: true, message: 'Post already scheduled' };
+    }
+    logger.info('[LinkedInPostingService] Autopost scheduled', {
+      campaignId,
+      stepId,
+      postId: created.id,
+      scheduledAt: created.scheduled_at
+    });
+    return {
+      success: true,
+      message: `Post scheduled for ${new Date(created.scheduled_at).toISOString()}`,
+      postId: created.id,
+      scheduledAt: created.scheduled_at
+    };
+  }
+
+  /**
+   * Publish due posts ('linkedin.publish_due_posts' job, queued by linkedInPostingScheduler)
+   * @returns {Promise<Object>} { claimed, published, retrying, failed, interrupted }
+   */
+  async processDuePosts() {
+    const summary = { claimed: 0, published: 0, retrying: 0, failed: 0, interrupted: 0 };
+    const interrupted = await LinkedInScheduledPostRepository.failStalePublishing(
+      PUBLISH_LOCK_TIMEOUT_MINUTES,
+      'Publishing was interrupted - check the LinkedIn feed before retrying'
+    );
+    for (const post of interrupted) {
+      summary.interrupted++;
+      await this.reportFailure(post, post.last_error);
+    }
+
+    const posts = await LinkedInScheduledPostRepository.claimDuePosts(CLAIM_BATCH_SIZE, this.getMinGapMinutes());
+    summary.claimed = posts.length;
+    for (const post of posts) {
+      const outcome = await this.publishPost(post);
+      summary[outcome]++;
+    }
+    return summary;
+  }
+
+  /**
+   * Publish one claimed post
+   * @returns {Promise<string>} 'published', 'retrying' or 'failed'
+   */
+  async publishPost(post) {
+    const account = await this.accountRepository.getAccountByProviderIdForTenant(post.tenant_id, post.provider_account_id);
+    if (!account) {
+      const error = 'LinkedIn account is no longer connected';
+      await LinkedInScheduledPostRepository.markFailed(post.id, error);
+      await this.reportFailure(post, error);
+      return 'failed';
+    }
+
+    try {
+      const published = await this.getAdapter().publish(account, {
+        text: post.content,
+        imageUrls: post.image_urls || []
+      });
+      const saved = await LinkedInScheduledPostRepository.markPublished(post.id, published);
+      logger.info('[LinkedInPostingService] Post published', {
+        postId: post.id,
+        accountId: post.provider_account_id,
+        providerPostId: published.providerPostId
+      });
+      if (post.campaign_id) {
+        await this.trackCampaignPost(saved || post, account, 'success', null);
+      }
+      return 'published';
+    } catch (error) {
+      const attempts = parseInt(post.attempts, 10) || 1;
+      if (error.retryable !== false && attempts < (parseInt(post.max_attempts, 10) || RETRY_DELAYS_MINUTES.length)) {
+        const delayMinutes = RETRY_DELAYS_MINUTES[Math.min(attempts - 1, RETRY_DELAYS_MINUTES.length - 1)];
+        await LinkedInScheduledPostRepository.markRetry(post.id, new Date(Date.now() + delayMinutes * 60 * 1000), error.message);
+        logger.warn('[LinkedInPostingService] Post publish failed, will retry', {
+          postId: post.id,
+          attempts,
+          retryInMinutes: delayMinutes,
+          error: error.message
+        });
+        return 'retrying';
+      }
+      await LinkedInScheduledPostRepository.markFailed(post.id, error.message);
+      await this.reportFailure(post, error.message, account);
+      return 'failed';
+    }
+  }
+
+  /**
+   * Log a post that won't be published; campaign posts also show up in the Live Activity Feed
+   */
+  async reportFailure(post, errorMessage, account = null) {
+    logger.error('[LinkedInPostingService] Post failed', {
+      postId: post.id,
+      tenantId: post.tenant_id,
+      accountId: post.provider_account_id,
+      campaignId: post.campaign_id,
+      attempts: post.attempts,
+      error: errorMessage
+    });
+    if (post.campaign_id) {
+      await this.trackCampaignPost(post, account, 'failed', errorMessage);
+    }
+  }
+
+  async trackCampaignPost(post, account, status, errorMessage) {
+    try {
+      await campaignStatsTracker.trackAction(post.campaign_id, status === 'success' ? 'POST_PUBLISHED' : 'POST_PUBLISH_FAILED', {
+        leadId: null,
+        channel: 'linkedin',
+        messageContent: post.content,
+        status,
+        errorMessage,
+        responseData: { scheduledPostId: post.id, postUrl: post.post_url || null },
+        tenantId: post.tenant_id,
+        accountName: account?.account_name || null,
+        providerAccountId: post.provider_account_id,
+        stepId: post.campaign_step_id
+      });
+    } catch (trackErr) {
+      logger.warn('[LinkedInPostingService] Failed to track campaign post', { postId: post.id, error: trackErr.message });
+    }
+  }
+}
+
+module.exports = new LinkedInPostingService();
@@ -0,0 +1,172 @@
+/**
+ * LinkedIn Profile Snapshot Service
+ * Turns the profile a linkedin_scrape_profile step pulled from Unipile into a structured,
+ * versioned snapshot on the campaign lead
+ *
+ * - linkedinScrapeFields picks the sections to keep: experience, education, skills,
+ *   recent_activity (array or comma-separated string). Basics (name, headline, current
+ *   title/company, location) are always kept.
+ * - Every scrape is stored as a new version (campaign_lead_profile_snapshots); the latest
+ *   one is also lead_data.linkedin_profile, so templates can use
+ *   {{linkedin_profile.current_company}} / {% if linkedin_profile.skills contains "Python" %}
+ *   and profile_matches conditions can check skills, companies and schools.
+ *
+ * LAD Architecture: Service layer - no SQL, uses repositories
+ */
+const CampaignLeadProfileSnapshotRepository = require('../repositories/CampaignLeadProfileSnapshotRepository');
+
+const SCRAPE_FIELDS = ['experience', 'education', 'skills', 'recent_activity'];
+const DEFAULT_ACTIVITY_LIMIT = 5;
+const MAX_ACTIVITY_LIMIT = 20;
+
+/**
+ * First non-empty string among the candidates
+ */
+function pickText(...values) {
+  const value = values.find(candidate => typeof candidate === 'string' && candidate.trim());
+  return value ? value.trim() : null;
+}
+
+/**
+ * Unipile dates come as strings ("1/2020") or { year, month } objects
+ */
+function formatDate(value) {
+  if (!value) return null;
+  if (typeof value === 'string') return value;
+  if (typeof value === 'object' && value.year) {
+    return value.month ? `${value.year}-${String(value.month).padStart(2, '0')}` : String(value.year);
+  }
+  return null;
+}
+
+function companyName(entry) {
+  return typeof entry.company === 'object' && entry.company !== null
+    ? pickText(entry.company.name)
+    : pickText(entry.company, entry.company_name, entry.organization);
+}
+
+class LinkedInProfileSnapshotService {
+  /**
+   * Sections requested by a step, normalised ("Recent Activity" -> recent_activity)
+   * Unknown names are kept so the step validator can report them.
+   */
+  getScrapeFields(stepConfig = {}) {
+    const raw = stepConfig.linkedinScrapeFields;
+    const list = Array.isArray(raw) ? raw : (typeof raw === 'string' ? raw.split(',') : []);
+    const fields = list
+      .filter(field => typeof field === 'string')
+      .map(field => field.trim().toLowerCase().replace(/[\s-]+/g, '_'))
+      .filter(Boolean);
+    return [...new Set(fields)];
+  }
+
+  getUnknownFields(fields) {
+    return fields.filter(field => !SCRAPE_FIELDS.includes(field));
+  }
+
+  /**
+   * How many recent posts to keep (linkedinActivityLimit, 1-20)
+   */
+  getActivityLimit(stepConfig = {}) {
+    const limit = parseInt(stepConfig.linkedinActivityLimit, 10);
+    if (!limit || limit < 1) return DEFAULT_ACTIVITY_LIMIT;
+    return Math.min(limit, MAX_ACTIVITY_LIMIT);
+  }
+
+  /**
+   * Structured profile from a Unipile /users profile and its posts
+   * @param {Object} rawProfile - Unipile user profile (linkedin_sections=*)
+   * @param {Array} posts - Unipile posts, newest first
+   * @param {Array<string>} fields - Requested sections
+   */
+  buildProfile(rawProfile = {}, posts = [], fields = SCRAPE_FIELDS) {
+    const experience = (rawProfile.work_experience || rawProfile.experience || [])
+      .map(entry => ({
+        title: pickText(entry.position, entry.title),
+        company: companyName(entry),
+        location: pickText(entry.location),
+        start: formatDate(entry.start || entry.start_date),
+        end: formatDate(entry.end || entry.end_date),
+        current: entry.current === true || (!entry.end && !entry.end_date),
+        description: pickText(entry.description)
+      }))
+      .filter(entry => entry.title || entry.company);
+    const current = experience.find(entry => entry.current) || experience[0] || {};
+
+    const profile = {
+      name: pickText([rawProfile.first_name, rawProfile.last_name].filter(Boolean).join(' ')),
+      headline: pickText(rawProfile.headline),
+      summary: pickText(rawProfile.summary, rawProfile.about),
+      location: pickText(rawProfile.location),
+      public_identifier: rawProfile.public_identifier || null,
+      provider_id: rawProfile.provider_id || null,
+      current_title: current.title || pickText(rawProfile.headline),
+      current_company: current.company || null
+    };
+
+    if (fields.includes('experience')) {
+      profile.experience = experience;
+      profile.previous_companies = [...new Set(experience
+        .filter(entry => !entry.current && entry.company)
+        .map(entry => entry.company))];
+    }
+    if (fields.includes('education')) {
+      profile.education = (rawProfile.education || [])
+        .map(entry => ({
+          school: typeof entry.school === 'object' && entry.school !== null
+            ? pickText(entry.school.name)
+            : pickText(entry.school, entry.school_name),
+          degree: pickText(entry.degree),
+          field_of_study: pickText(entry.field_of_study, entry.field),
+          start: formatDate(entry.start || entry.start_date),
+          end: formatDate(entry.end || entry.end_date)
+        }))
+        .filter(entry => entry.school);
+      profile.schools = [...new Set(profile.education.map(entry => entry.school))];
+    }
+    if (fields.includes('skills')) {
+      profile.skills = [...new Set((rawProfile.skills || [])
+        .map(skill => (typeof skill === 'string' ? pickText(skill) : pickText(skill?.name)))
+        .filter(Boolean))];
+    }
+    if (fields.includes('recent_activity')) {
+      profile.recent_activity = posts
+        .map(post => ({
+          text: pickText(post.text, post.commentary),
+          posted_at: post.parsed_datetime || post.date || null,
+          url: post.share_url || null,
+          is_repost: !!post.is_repost,
+          reactions: Number(post.reaction_counter) || 0,
+          comments: Number(post.comment_counter) || 0
+        }))
+        .filter(post => post.text || post.url);
+      profile.latest_post = profile.recent_activity[0]?.text || null;
+    }
+    return profile;
+  }
+
+  /**
+   * Store a scraped profile as the lead's next snapshot version
+   * @param {Object} scrape - { fields, rawProfile, posts, providerAccountId }
+   * @returns {Promise<Object|null>} Snapshot row ({ version, profile, captured_at, ... })
+   */
+  async captureSnapshot(campaignLead, tenantId, scrape, context = {}) {
+    const { fields, rawProfile, posts = [], providerAccountId = null } = scrape;
+    const profile = this.buildProfile(rawProfile, posts, fields);
+    return CampaignLeadProfileSnapshotRepository.createSnapshot(campaignLead.id, tenantId, {
+      campaignId: campaignLead.campaign_id,
+      fields,
+      profile,
+      providerAccountId
+    }, context);
+  }
+
+  /**
+   * Snapshot history of a campaign lead, newest first
+   */
+  async listSnapshots(campaignId, campaignLeadId, tenantId, context = {}) {
+    return CampaignLeadProfileSnapshotRepository.listSnapshots(campaignId, campaignLeadId, tenantId, context);
+  }
+}
+
+module.exports = new LinkedInProfileSnapshotService();
@@ -0,0 +1,204 @@
+/**
+ * LinkedIn Sender Rotation Service
+ * Chooses which of a tenant's LinkedIn accounts performs a campaign lead's LinkedIn steps
+ *
+ * - A campaign can restrict itself to a subset of accounts with
+ *   campaigns.config.linkedinAccountIds (social_linkedin_accounts.id or provider_account_id).
+ * - A lead is pinned to one sender (campaign_leads.linkedin_account_id) the first time an
+ *   account is chosen for it, so follow-up messages come from the account that connected.
+ * - An unpinned lead that a tenant account already reached in another campaign goes back
+ *   to that account.
+ * - Otherwise the lead goes to the eligible account with the most remaining daily/weekly
+ *   connection capacity (LinkedInLimitTunerService), which spreads work across accounts.
+ *
+ * LAD Architecture: Service layer - no SQL, uses repositories
+ */
+const { pool } = require('../../../shared/database/connection');
+const LinkedInAccountRepository = require('../repositories/LinkedInAccountRepository');
+const CampaignLeadRepository = require('../repositories/CampaignLeadRepository');
+const CampaignAnalyticsRepository = require('../repositories/CampaignAnalyticsRepository');
+const CampaignRepository = require('../repositories/CampaignRepository');
+const { linkedInLimitTuner } = require('./LinkedInLimitTunerService');
+const logger = require('../../../core/utils/logger');
+
+const NO_ACCOUNT_ERROR = 'No active LinkedIn account connected. Please connect a LinkedIn account in Settings → LinkedIn Integration to enable LinkedIn campaign steps.';
+const NO_CAMPAIGN_ACCOUNT_ERROR = 'None of the LinkedIn accounts selected for this campaign is connected and active. Update the campaign\'s LinkedIn accounts or reconnect them in Settings → LinkedIn Integration.';
+const PINNED_ACCOUNT_ERROR = 'The LinkedIn account that contacted this lead is no longer available to this campaign. Reconnect it in Settings → LinkedIn Integration so follow-ups come from the same sender.';
+// Steps that continue an existing conversation - only the pinned sender can do them
+const PINNED_ONLY_STEP_TYPES = ['linkedin_message'];
+
+class LinkedInSenderRotationService {
+  constructor() {
+    this.repository = new LinkedInAccountRepository(pool);
+  }
+
+  /**
+   * Choose the sender account for a lead's LinkedIn step
+   * @param {Object} options - { campaignLead, campaign, stepType }; without a campaign lead
+   *   the tenant's primary eligible account is returned
+   * @returns {Promise<Object>} { account, candidates, reason, error } - account is null when
+   *   no sender can be used (error explains why); candidates lists the eligible accounts,
+   *   the chosen one first, in connection fallback order
+   */
+  async selectSender(tenantId, userId, options = {}) {
+    const { campaignLead, stepType } = options;
+    const campaign = options.campaign || (campaignLead?.campaign_id
+      ? await CampaignRepository.getById(campaignLead.campaign_id, tenantId)
+      : null);
+    const { accounts: eligible, error } = await this.getEligibleAccounts(tenantId, userId, campaign);
+    if (error) {
+      return { account: null, candidates: [], error };
+    }
+    if (!campaignLead?.id) {
+      return { account: eligible[0], candidates: eligible, reason: 'primary' };
+    }
+
+    const pinnedId = await this.getPinnedSender(campaignLead, tenantId);
+    if (pinnedId) {
+      const pinned = eligible.find(account => account.provider_account_id === pinnedId);
+      if (pinned) {
+        return { account: pinned, candidates: this.withFirst(eligible, pinned), reason: 'pinned' };
+      }
+      if (PINNED_ONLY_STEP_TYPES.includes(stepType)) {
+        logger.warn('[LinkedInSenderRotation] Pinned sender unavailable for follow-up', {
+          tenantId,
+          campaignLeadId: campaignLead.id,
+          pinnedAccountId: pinnedId,
+          stepType
+        });
+        return { account: null, candidates: [], error: PINNED_ACCOUNT_ERROR };
+      }
+    }
+
+    let account = null;
+    let reason = 'capacity';
+    let ranked = eligible;
+    const previousId = await CampaignAnalyticsRepository.getFirstLinkedInSender(
+      [campaignLead.lead_id, campaignLead.id],
+      tenantId
+    ).catch(() => null);
+    if (previousId) {
+      account = eligible.find(candidate => candidate.provider_account_id === previousId) || null;
+      reason = 'previous_contact';
+    }
+    if (!account) {
+      ranked = await this.rankByCapacity(tenantId, eligible);
+      account = ranked[0];
+      reason = 'capacity';
+    }
+
+    await this.pin(campaignLead, tenantId, account.provider_account_id);
+    logger.info('[LinkedInSenderRotation] Sender assigned', {
+      tenantId,
+      campaignId: campaignLead.campaign_id,
+      campaignLeadId: campaignLead.id,
+      providerAccountId: account.provider_account_id,
+      accountName: account.account_name,
+      remaining: account.capacity?.remaining,
+      reason,
+      eligibleAccounts: eligible.length
+    });
+    return { account, candidates: this.withFirst(ranked, account), reason };
+  }
+
+  /**
+   * Active accounts a campaign may send from (all of the tenant's, or its configured subset)
+   * @returns {Promise<Object>} { accounts, error } - error explains an empty list
+   */
+  async getEligibleAccounts(tenantId, userId, campaign = null) {
+    const accounts = (await this.repository.getAllAccountsForTenant(
+      tenantId,
+      { user: { tenant_id: tenantId || userId } }
+    )).map(account => this.normalizeAccount(account));
+    if (accounts.length === 0) {
+      return { accounts: [], error: NO_ACCOUNT_ERROR };
+    }
+    const allowedIds = this.getCampaignAccountIds(campaign);
+    const eligible = allowedIds.length > 0
+      ? accounts.filter(account => allowedIds.includes(account.id) || allowedIds.includes(account.provider_account_id))
+      : accounts;
+    if (eligible.length === 0) {
+      return { accounts: [], error: NO_CAMPAIGN_ACCOUNT_ERROR };
+    }
+    return { accounts: eligible, error: null };
+  }
+
+  /**
+   * Eligible accounts, most remaining capacity first (ties: fewest sent today, then primary order)
+   */
+  async rankByCapacity(tenantId, accounts) {
+    if (accounts.length === 1) {
+      return accounts;
+    }
+    const withCapacity = await Promise.all(accounts.map(async (account, index) => ({
+      ...account,
+      order: index,
+      capacity: await linkedInLimitTuner.getRemainingCapacity(tenantId, account)
+    })));
+    return withCapacity.sort((a, b) =>
+      (b.capacity.remaining - a.capacity.remaining) ||
+      (a.capacity.sentToday - b.capacity.sentToday) ||
+      (a.order - b.order)
+    );
+  }
+
+  /**
+   * Pin a lead to the account that actually contacted it
+   */
+  async pin(campaignLead, tenantId, providerAccountId) {
+    if (!campaignLead?.id || !providerAccountId) {
+      return;
+    }
+    try {
+      await CampaignLeadRepository.setLinkedInSender(campaignLead.id, tenantId, providerAccountId);
+    } catch (error) {
+      logger.warn('[LinkedInSenderRotation] Failed to pin lead to sender', {
+        campaignLeadId: campaignLead.id,
+        providerAccountId,
+        error: error.message
+      });
+    }
+  }
+
+  async getPinnedSender(campaignLead, tenantId) {
+    // Read fresh - pacing may have pinned the lead earlier in this run
+    try {
+      return await CampaignLeadRepository.getLinkedInSender(campaignLead.id, tenantId);
+    } catch (error) {
+      logger.warn('[LinkedInSenderRotation] Failed to read pinned sender', {
+        campaignLeadId: campaignLead.id,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Account ids a campaign is restricted to (empty = every active account)
+   */
+  getCampaignAccountIds(campaign) {
+    if (!campaign) {
+      return [];
+    }
+    const config = typeof campaign.config === 'string' ? JSON.parse(campaign.config) : (campaign.config || {});
+    const ids = config.linkedinAccountIds;
+    return Array.isArray(ids) ? ids.filter(Boolean).map(String) : [];
+  }
+
+  /**
+   * Repository rows carry unipile_account_id; executors expect provider_account_id
+   */
+  normalizeAccount(account) {
+    return {
+      ...account,
+      provider_account_id: account.unipile_account_id,
+      account_name: account.account_name || 'LinkedIn Account'
+    };
+  }
+
+  withFirst(accounts, first) {
+    return [first, ...accounts.filter(account => account.provider_account_id !== first.provider_account_id)];
+  }
+}
+
+module.exports = new LinkedInSenderRotationService();
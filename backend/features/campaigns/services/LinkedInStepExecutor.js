@@ -5,15 +5,17 @@
 const { pool } = require('../../../shared/database/connection');
 const unipileService = require('./unipileService');
 const { getLeadData } = require('./StepExecutors');
-const {
-  getAllLinkedInAccountsForTenant,
-  getLinkedInAccountForExecution,
-  sendConnectionRequestWithFallback
-} = require('./LinkedInAccountHelper');
+const { sendConnectionRequestWithFallback } = require('./LinkedInAccountHelper');
 const { generateAndSaveProfileSummary } = require('./LinkedInProfileSummaryService');
 const { campaignStatsTracker } = require('./campaignStatsTracker');
 const { linkedInLimitTuner } = require('./LinkedInLimitTunerService');
+const linkedInSenderRotation = require('./LinkedInSenderRotationService');
 const linkedInPollingRepository = require('../repositories/LinkedInPollingRepository');
+const linkedInProfileSnapshotService = require('./LinkedInProfileSnapshotService');
+const linkedInLeadSourcingService = require('./LinkedInLeadSourcingService');
+const linkedInEngagementService = require('./LinkedInEngagementService');
+const linkedInPostingService = require('./LinkedInPostingService');
+const MessageTemplateUtil = require('../utils/messageTemplateUtil');
 
 // Import ApolloRevealService for data enrichment
 // TODO: ARCHITECTURE EXCEPTION - Direct cross-feature import
@@ -296,8 +298,9 @@ async function enrichLeadForLinkedIn(leadData, tenantId, databaseLeadId = null,
 
 /**
  * Execute LinkedIn step
+ * stepId is only used by linkedin_autopost, which schedules one post per step
  */
-async function executeLinkedInStep(stepType, stepConfig, campaignLead, userId, tenantId) {
+async function executeLinkedInStep(stepType, stepConfig, campaignLead, userId, tenantId, stepId = null) {
   try {
     const logger = require('../../../core/utils/logger');
 
@@ -317,9 +320,21 @@ async function executeLinkedInStep(stepType, stepConfig, campaignLead, userId, t
       return { success: false, error: 'Lead not found' };
     }
 
-    // AUTO-ENRICHMENT: For linkedin_visit, linkedin_connect, linkedin_message steps
+    // Lead sourcing steps search the lead's company, not the lead's own profile
+    if (linkedInLeadSourcingService.isSourcingStep(stepType)) {
+      return await linkedInLeadSourcingService.executeSourcingStep(stepType, stepConfig, campaignLead, leadData, userId, tenantId);
+    }
+    // Autopost publishes on the sender's own feed - the lead only triggers scheduling it
+    if (stepType === 'linkedin_autopost') {
+      return await linkedInPostingService.scheduleFromStep(stepConfig, campaignLead, userId, tenantId, stepId);
+    }
+
+    // AUTO-ENRICHMENT: For linkedin_visit, linkedin_connect, linkedin_message, linkedin_scrape_profile and post engagement steps
     // Automatically enrich lead to reveal email and LinkedIn URL if not available
-    const linkedInStepsNeedingEnrichment = ['linkedin_visit', 'linkedin_connect', 'linkedin_message'];
+    const linkedInStepsNeedingEnrichment = [
+      'linkedin_visit', 'linkedin_connect', 'linkedin_message', 'linkedin_scrape_profile',
+      'linkedin_reaction', 'linkedin_comment', 'linkedin_comment_reply'
+    ];
     const isUnipileSourced = leadData.source === 'linkedin_search' || leadData._source === 'linkedin_search';
 
     if (linkedInStepsNeedingEnrichment.includes(stepType)) {
@@ -369,8 +384,9 @@ async function executeLinkedInStep(stepType, stepConfig, campaignLead, userId, t
     if (!linkedinUrl) {
       return { success: false, error: 'LinkedIn URL not found for lead' };
     }
-    // Get LinkedIn account with Unipile account ID (using helper)
-    const linkedinAccount = await getLinkedInAccountForExecution(tenantId, userId);
+    // Rotate across the tenant's (or campaign's) accounts - a lead keeps the sender it was assigned
+    const senderSelection = await linkedInSenderRotation.selectSender(tenantId, userId, { campaignLead, stepType });
+    const linkedinAccount = senderSelection.account;
     const linkedinAccountId = linkedinAccount?.provider_account_id || null;
     const linkedinAccountName = linkedinAccount?.account_name || 'LinkedIn Account';
     const linkedinAccountUserId = linkedinAccount?.user_id || userId;  // User ID from social_linkedin_accounts
@@ -381,7 +397,8 @@ async function executeLinkedInStep(stepType, stepConfig, campaignLead, userId, t
       userId,
       hasLinkedInAccountId: !!linkedinAccountId,
       linkedinAccountId,
-      linkedinAccountName
+      linkedinAccountName,
+      senderReason: senderSelection.reason
     });
 
     if (!linkedinAccountId) {
@@ -389,11 +406,11 @@ async function executeLinkedInStep(stepType, stepConfig, campaignLead, userId, t
         stepType,
         tenantId,
         userId,
-        error: 'No active LinkedIn account connected'
+        error: senderSelection.error
       });
       return {
         success: false,
-        error: 'No active LinkedIn account connected. Please connect a LinkedIn account in Settings → LinkedIn Integration to enable LinkedIn campaign steps.',
+        error: senderSelection.error,
         userAction: 'Connect LinkedIn account in Settings'
       };
     }
@@ -434,22 +451,13 @@ async function executeLinkedInStep(stepType, stepConfig, campaignLead, userId, t
 
       // Replace variables in message if message exists
       if (message) {
-        const firstName = (leadData.name || leadData.employee_name || 'there').split(' ')[0];
-        const lastName = (leadData.name || leadData.employee_name || '').split(' ').slice(1).join(' ');
-        const title = leadData.title || leadData.employee_data?.title || '';
-        const companyName = leadData.company_name || leadData.organization || leadData.company || leadData.employee_data?.organization?.name || '';
-        const industry = leadData.employee_data?.organization?.industry || '';
-
-        message = message
-          .replace(/\{\{first_name\}\}/g, firstName)
-          .replace(/\{\{last_name\}\}/g, lastName)
-          .replace(/\{\{title\}\}/g, title)
-          .replace(/\{\{company_name\}\}/g, companyName)
-          .replace(/\{\{company\}\}/g, companyName)
-          .replace(/\{\{industry\}\}/g, industry);
+        message = MessageTemplateUtil.renderForSend(message, leadData, {
+          seed: campaignLead.id,
+          defaults: { first_name: 'there' }
+        });
       }
-      // Get all available LinkedIn accounts for fallback
-      const allAccounts = await getAllLinkedInAccountsForTenant(tenantId, userId);
+      // Fallback accounts: the campaign's eligible accounts, most remaining capacity first
+      const allAccounts = senderSelection.candidates;
       // Try connection request with smart fallback logic
       // Pass tenantId for credit deduction on success
 
@@ -503,6 +511,12 @@ async function executeLinkedInStep(stepType, stepConfig, campaignLead, userId, t
         employeeName: employee.fullname
       });
 
+      // A fallback account made the contact - follow-ups must come from it
+      const contactedAccountId = result.accountInfo?.provider_account_id;
+      if (result.success && contactedAccountId && contactedAccountId !== linkedinAccountId) {
+        await linkedInSenderRotation.pin(campaignLead, tenantId, contactedAccountId);
+      }
+
       // AUTO-TUNE: If LinkedIn rate limit detected, trigger limit auto-tuning
       // This learns the real LinkedIn limit for this account and adjusts DB automatically
       if (result.isRateLimit) {
@@ -546,19 +560,10 @@ async function executeLinkedInStep(stepType, stepConfig, campaignLead, userId, t
       let message = stepConfig.message || stepConfig.body || 'Hello!';
 
       // Replace variables in message
-      const firstName = (leadData.name || leadData.employee_name || 'there').split(' ')[0];
-      const lastName = (leadData.name || leadData.employee_name || '').split(' ').slice(1).join(' ');
-      const title = leadData.title || leadData.employee_data?.title || '';
-      const companyName = leadData.company_name || leadData.organization || leadData.company || leadData.employee_data?.organization?.name || '';
-      const industry = leadData.employee_data?.organization?.industry || '';
-
-      message = message
-        .replace(/\{\{first_name\}\}/g, firstName)
-        .replace(/\{\{last_name\}\}/g, lastName)
-        .replace(/\{\{title\}\}/g, title)
-        .replace(/\{\{company_name\}\}/g, companyName)
-        .replace(/\{\{company\}\}/g, companyName)
-        .replace(/\{\{industry\}\}/g, industry);
+      message = MessageTemplateUtil.renderForSend(message, leadData, {
+        seed: campaignLead.id,
+        defaults: { first_name: 'there' }
+      });
 
       // ✅ Check if connection was accepted before sending message
       // Get the lead_id from campaign_leads (the actual lead UUID, not campaign_lead ID)
@@ -691,9 +696,8 @@ async function executeLinkedInStep(stepType, stepConfig, campaignLead, userId, t
         });
         // Check if account credentials expired or requires user intervention
         if (profileResult && (profileResult.accountExpired || profileResult.statusCode === 401)) {
-          // Try to get another active account
-          const allAccounts = await getAllLinkedInAccountsForTenant(tenantId, userId);
-          const otherAccount = allAccounts.find(acc => acc.unipile_account_id !== linkedinAccountId);
+          // Try another of the campaign's accounts
+          const otherAccount = senderSelection.candidates.find(acc => acc.unipile_account_id !== linkedinAccountId);
           if (otherAccount && otherAccount.unipile_account_id) {
             const retryResult = await unipileService.getLinkedInContactDetails(linkedinUrl, otherAccount.unipile_account_id);
             if (retryResult && retryResult.success !== false) {
@@ -760,8 +764,115 @@ async function executeLinkedInStep(stepType, stepConfig, campaignLead, userId, t
         });
       } catch (trackErr) {
       }
+    } else if (stepType === 'linkedin_scrape_profile') {
+      if (!unipileService.isConfigured()) {
+        return { success: false, error: 'LinkedIn service is not configured' };
+      }
+      const fields = linkedInProfileSnapshotService.getScrapeFields(stepConfig);
+      const scrape = await unipileService.getLinkedInProfileSnapshot(linkedinUrl, linkedinAccountId, {
+        includeActivity: fields.includes('recent_activity'),
+        activityLimit: linkedInProfileSnapshotService.getActivityLimit(stepConfig)
+      });
+      if (scrape.success) {
+        const snapshot = await linkedInProfileSnapshotService.captureSnapshot(campaignLead, tenantId, {
+          fields,
+          rawProfile: scrape.profile,
+          posts: scrape.posts,
+          providerAccountId: linkedinAccountId
+        });
+        if (snapshot) {
+          logger.info('[LinkedInStepExecutor] Profile snapshot saved', {
+            campaignLeadId: campaignLead.id,
+            version: snapshot.version,
+            fields
+          });
+          result = {
+            success: true,
+            message: `Profile snapshot v${snapshot.version} saved`,
+            snapshotVersion: snapshot.version,
+            // Same value the repository wrote to lead_data - later nodes in this run read it
+            leadDataUpdates: {
+              linkedin_profile: {
+                ...snapshot.profile,
+                version: snapshot.version,
+                captured_at: new Date(snapshot.captured_at).toISOString()
+              }
+            }
+          };
+        } else {
+          result = { success: false, error: 'Lead not found' };
+        }
+      } else if (scrape.transientError) {
+        result = {
+          success: false,
+          error: scrape.error || 'Temporary connection issue. Campaign will retry.',
+          transientError: true,
+          userAction: 'Campaign will automatically retry this step'
+        };
+      } else if (scrape.accountExpired) {
+        result = {
+          success: false,
+          error: 'LinkedIn account credentials expired. Please reconnect your LinkedIn account in Settings → LinkedIn Integration.',
+          accountExpired: true
+        };
+      } else {
+        result = { success: false, error: scrape.error || 'Failed to fetch LinkedIn profile' };
+      }
+      // Track the scrape in campaign_analytics for Live Activity Feed
+      try {
+        await campaignStatsTracker.trackAction(campaignLead.campaign_id, 'PROFILE_SCRAPED', {
+          leadId: campaignLead.lead_id || campaignLead.id,
+          channel: 'linkedin',
+          leadName: employee.fullname,
+          status: result.success ? 'success' : 'failed',
+          errorMessage: result.error || null,
+          tenantId: tenantId,
+          accountName: linkedinAccountName,
+          providerAccountId: linkedinAccountId,
+          userId: linkedinAccountUserId,  // User ID from social_linkedin_accounts
+          leadLinkedIn: linkedinUrl
+        });
+      } catch (trackErr) {
+      }
+    } else if (linkedInEngagementService.isEngagementStep(stepType)) {
+      result = await linkedInEngagementService.executeEngagementStep(stepType, stepConfig, {
+        linkedinUrl,
+        leadData,
+        seed: campaignLead.id
+      }, linkedinAccountId);
+      if (!result.success) {
+        logger.info('[LinkedInStepExecutor] Post engagement not done', {
+          stepType,
+          campaignLeadId: campaignLead.id,
+          error: result.error
+        });
+      }
+      // Each engagement is its own action type in campaign_analytics (POST_REACTED, POST_COMMENTED, COMMENT_REPLIED)
+      try {
+        await campaignStatsTracker.trackAction(campaignLead.campaign_id, linkedInEngagementService.getActionType(stepType), {
+          leadId: campaignLead.lead_id || campaignLead.id,
+          channel: 'linkedin',
+          leadName: employee.fullname,
+          messageContent: result.commentText || null,
+          status: result.success ? 'success' : 'failed',
+          errorMessage: result.error || null,
+          responseData: result.postId ? {
+            postId: result.postId,
+            postUrl: result.postUrl,
+            commentId: result.commentId || null,
+            reactionType: result.reactionType || null,
+            commentSource: result.commentSource || null
+          } : null,
+          tenantId: tenantId,
+          accountName: linkedinAccountName,
+          providerAccountId: linkedinAccountId,
+          userId: linkedinAccountUserId,  // User ID from social_linkedin_accounts
+          leadLinkedIn: linkedinUrl
+        });
+      } catch (trackErr) {
+      }
     } else {
-      // For other LinkedIn steps (scrape_profile, company_search, employee_list, autopost, comment_reply)
+      // For other LinkedIn steps
       result = { success: true, message: `LinkedIn step ${stepType} recorded` };
     }
     return result;
@@ -773,6 +884,10 @@ async function executeLinkedInStep(stepType, stepConfig, campaignLead, userId, t
       stack: error.stack,
       campaignLeadId: campaignLead?.id
     });
+    if (error.validationError) {
+      // Broken message template - stop the lead rather than send a blank or partial message
+      return { success: false, error: error.message, validationError: true };
+    }
     return { success: false, error: error.message };
   }
 }
@@ -0,0 +1,275 @@
+/**
+ * LinkedIn Warm-up Service
+ * Ramps connection caps for newly connected LinkedIn accounts
+ *
+ * A brand-new account (first connected through LinkedInAuthController) starts at a
+ * fraction of its configured daily limit and moves up one stage at a time as it ages.
+ * A healthy acceptance rate shortens each stage. An acceptance rate below the pause
+ * threshold pauses the program: the account sends no connection requests until
+ * acceptance recovers, and resumes one stage lower. The current cap is kept in
+ * warmup_daily_limit/warmup_weekly_limit; account reads (LinkedInAccountRepository)
+ * apply the lower of it and the configured limit, so manual changes and cuts made by
+ * LinkedInLimitTunerService are never overwritten and take effect straight away.
+ *
+ * LAD Architecture: Service layer - no SQL, uses repositories
+ */
+const { pool } = require('../../../shared/database/connection');
+const LinkedInAccountRepository = require('../repositories/LinkedInAccountRepository');
+const logger = require('../../../core/utils/logger');
+
+// Share of the target daily cap per stage, unlocked by account age
+const WARMUP_STAGES = [
+  { minDays: 0, share: 0.25 },
+  { minDays: 7, share: 0.4 },
+  { minDays: 14, share: 0.6 },
+  { minDays: 21, share: 0.8 },
+  { minDays: 28, share: 1 }
+];
+const MIN_WARMUP_DAILY_LIMIT = 3;
+// Acceptance is measured on requests 3-21 days old, once there are enough of them
+const ACCEPTANCE_WINDOW_DAYS = 21;
+const ACCEPTANCE_MATURITY_DAYS = 3;
+const MIN_ACCEPTANCE_SAMPLE = 15;
+const PAUSE_BELOW_RATE = 0.15;
+const RESUME_AT_RATE = 0.2;
+// Accounts accepting at this rate move through stages 25% faster
+const FAST_TRACK_RATE = 0.35;
+const FAST_TRACK_FACTOR = 0.75;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class LinkedInWarmupService {
+  constructor() {
+    this.repository = new LinkedInAccountRepository(pool);
+  }
+
+  isEnabled() {
+    return process.env.LINKEDIN_WARMUP_ENABLED !== 'false';
+  }
+
+  /**
+   * Start warm-up for a newly connected account
+   * @param {Object} account - saved social_linkedin_accounts row { id, default_daily_limit, default_weekly_limit }
+   * @returns {Promise<Object|null>} updated account, null when warm-up is disabled
+   */
+  async startWarmup(account, tenantId) {
+    if (!this.isEnabled() || !account?.id) {
+      return null;
+    }
+    const { targetDailyLimit, targetWeeklyLimit } = this.getTargets(account);
+    const caps = this.getStageCaps(0, targetDailyLimit, targetWeeklyLimit);
+    const updated = await this.repository.startWarmup(account.id, tenantId, caps);
+    if (updated) {
+      logger.info('[LinkedInWarmup] Warm-up started', {
+        accountId: account.id,
+        tenantId,
+        dailyLimit: caps.dailyLimit,
+        targetDailyLimit
+      });
+    }
+    return updated;
+  }
+
+  /**
+   * Re-evaluate every account still warming up (warm-up scheduler tick)
+   * @returns {Promise<Object>} { evaluated, advanced, paused, resumed, completed }
+   */
+  async evaluateAll(now = new Date()) {
+    const summary = { evaluated: 0, advanced: 0, paused: 0, resumed: 0, completed: 0 };
+    if (!this.isEnabled()) {
+      return summary;
+    }
+    const accounts = await this.repository.getWarmingUpAccounts();
+    for (const account of accounts) {
+      try {
+        const outcome = await this.evaluateAccount(account, now);
+        summary.evaluated++;
+        if (outcome.event) {
+          summary[outcome.event]++;
+        }
+      } catch (error) {
+        logger.error('[LinkedInWarmup] Failed to evaluate account', {
+          accountId: account.id,
+          tenantId: account.tenant_id,
+          error: error.message
+        });
+      }
+    }
+    if (summary.evaluated > 0) {
+      logger.info('[LinkedInWarmup] Warm-up evaluated', summary);
+    }
+    return summary;
+  }
+
+  /**
+   * Work out and save an account's warm-up stage and caps (never its configured limits)
+   * @returns {Promise<Object>} { event: 'advanced'|'paused'|'resumed'|'completed'|null, state }
+   */
+  async evaluateAccount(account, now = new Date()) {
+    const { sent, accepted } = await this.repository.getAcceptanceStatsForAccount(
+      account.tenant_id,
+      account.provider_account_id,
+      ACCEPTANCE_WINDOW_DAYS,
+      ACCEPTANCE_MATURITY_DAYS
+    );
+    const state = this.nextState(account, { sent, accepted }, now);
+    await this.repository.updateWarmup(account.id, account.tenant_id, state);
+    if (state.event) {
+      logger.info('[LinkedInWarmup] Warm-up state changed', {
+        accountId: account.id,
+        tenantId: account.tenant_id,
+        event: state.event,
+        stage: state.stage,
+        dailyLimit: state.dailyLimit,
+        acceptanceRate: state.acceptanceRate,
+        sampleSize: sent
+      });
+    }
+    return { event: state.event, state };
+  }
+
+  /**
+   * Pure warm-up transition for an account given its recent acceptance stats
+   * @returns {Object} { status, stage, dailyLimit, weeklyLimit, acceptanceRate, pausedAt, pauseReason, completedAt, event }
+   */
+  nextState(account, { sent, accepted }, now = new Date()) {
+    const rate = sent >= MIN_ACCEPTANCE_SAMPLE ? accepted / sent : null;
+    const { targetDailyLimit, targetWeeklyLimit } = this.getTargets(account);
+    const ageDays = (now.getTime() - new Date(account.warmup_started_at).getTime()) / DAY_MS;
+    const lastStage = WARMUP_STAGES.length - 1;
+
+    let status = account.warmup_status;
+    let stage = Math.min(Math.max(parseInt(account.warmup_stage, 10) || 0, 0), lastStage);
+    let pausedAt = account.warmup_paused_at || null;
+    let pauseReason = account.warmup_pause_reason || null;
+    let completedAt = null;
+    let event = null;
+
+    if (rate !== null && rate < PAUSE_BELOW_RATE) {
+      if (status !== 'paused') {
+        status = 'paused';
+        stage = Math.max(stage - 1, 0);
+        pausedAt = now;
+        pauseReason = `Acceptance rate ${this.formatRate(rate)} is below ${this.formatRate(PAUSE_BELOW_RATE)} over the last ${ACCEPTANCE_WINDOW_DAYS} days`;
+        event = 'paused';
+      }
+    } else if (status === 'paused' && (rate === null || rate >= RESUME_AT_RATE)) {
+      status = 'active';
+      pausedAt = null;
+      pauseReason = null;
+      event = 'resumed';
+    }
+
+    if (status === 'active') {
+      const pace = rate !== null && rate >= FAST_TRACK_RATE ? FAST_TRACK_FACTOR : 1;
+      const earned = WARMUP_STAGES.reduce((best, candidate, index) =>
+        (ageDays >= candidate.minDays * pace ? index : best), 0);
+      // One stage per evaluation, never backwards while active
+      if (earned > stage) {
+        stage += 1;
+        event = event || 'advanced';
+      }
+      if (stage === lastStage) {
+        status = 'completed';
+        completedAt = now;
+        event = 'completed';
+      }
+    }
+
+    const caps = status === 'completed'
+      ? { dailyLimit: targetDailyLimit, weeklyLimit: targetWeeklyLimit }
+      : this.getStageCaps(stage, targetDailyLimit, targetWeeklyLimit);
+    return {
+      status,
+      stage,
+      ...caps,
+      acceptanceRate: rate === null ? null : Math.round(rate * 10000) / 100,
+      pausedAt,
+      pauseReason,
+      completedAt,
+      event
+    };
+  }
+
+  /**
+   * Caps warm-up ramps towards: the account's configured (or tuned) limits, lowered to
+   * what LinkedIn allowed if the limit tuner learned a limit
+   */
+  getTargets(account) {
+    let targetDailyLimit = parseInt(account.default_daily_limit, 10) || 20;
+    let targetWeeklyLimit = parseInt(account.default_weekly_limit, 10) || targetDailyLimit * 7;
+    const detectedWeekly = parseInt(account.detected_weekly_limit, 10);
+    if (detectedWeekly > 0) {
+      targetWeeklyLimit = Math.min(targetWeeklyLimit, detectedWeekly);
+      targetDailyLimit = Math.min(targetDailyLimit, Math.max(Math.floor(detectedWeekly / 7), MIN_WARMUP_DAILY_LIMIT));
+    }
+    return { targetDailyLimit, targetWeeklyLimit };
+  }
+
+  getStageCaps(stage, targetDailyLimit, targetWeeklyLimit) {
+    const dailyLimit = Math.min(
+      targetDailyLimit,
+      Math.max(Math.round(targetDailyLimit * WARMUP_STAGES[stage].share), MIN_WARMUP_DAILY_LIMIT)
+    );
+    return { dailyLimit, weeklyLimit: Math.min(targetWeeklyLimit, dailyLimit * 7) };
+  }
+
+  /**
+   * Warm-up progress of a tenant's accounts (for /linkedin/limits)
+   * dailyLimit/weeklyLimit are the limits in force (0 while paused); warmupDailyLimit is
+   * the current warm-up cap and targetDailyLimit the configured limit it ramps towards
+   * @returns {Promise<Array>} [{ accountId, providerAccountId, accountName, status, stage, totalStages,
+   *   progress, dayOfWarmup, dailyLimit, warmupDailyLimit, targetDailyLimit, nextStageAt, acceptanceRate, pauseReason, ... }]
+   */
+  async getWarmupProgress(tenantId, context = {}) {
+    const accounts = await this.repository.getWarmupStateForTenant(tenantId, context);
+    const now = Date.now();
+    return accounts.map(account => {
+      if (!account.warmup_status) {
+        return {
+          accountId: account.id,
+          providerAccountId: account.provider_account_id,
+          accountName: account.account_name,
+          status: 'not_enrolled',
+          dailyLimit: account.daily_limit,
+          weeklyLimit: account.weekly_limit
+        };
+      }
+      const stage = Math.min(parseInt(account.warmup_stage, 10) || 0, WARMUP_STAGES.length - 1);
+      const { targetDailyLimit, targetWeeklyLimit } = this.getTargets(account);
+      const startedAt = new Date(account.warmup_started_at);
+      const next = account.warmup_status === 'active' ? WARMUP_STAGES[stage + 1] : null;
+      return {
+        accountId: account.id,
+        providerAccountId: account.provider_account_id,
+        accountName: account.account_name,
+        status: account.warmup_status,
+        stage: stage + 1,
+        totalStages: WARMUP_STAGES.length,
+        progress: account.warmup_status === 'completed' ? 100 : Math.round((stage / (WARMUP_STAGES.length - 1)) * 100),
+        startedAt: account.warmup_started_at,
+        dayOfWarmup: Math.floor((now - startedAt.getTime()) / DAY_MS) + 1,
+        dailyLimit: account.daily_limit,
+        weeklyLimit: account.weekly_limit,
+        warmupDailyLimit: account.warmup_daily_limit,
+        warmupWeeklyLimit: account.warmup_weekly_limit,
+        targetDailyLimit,
+        targetWeeklyLimit,
+        // Without fast-tracking; a healthy acceptance rate gets there sooner
+        nextStageAt: next ? new Date(startedAt.getTime() + next.minDays * DAY_MS).toISOString() : null,
+        acceptanceRate: account.warmup_acceptance_rate !== null && account.warmup_acceptance_rate !== undefined
+          ? Number(account.warmup_acceptance_rate)
+          : null,
+        pausedAt: account.warmup_paused_at,
+        pauseReason: account.warmup_pause_reason,
+        completedAt: account.warmup_completed_at,
+        evaluatedAt: account.warmup_evaluated_at
+      };
+    });
+  }
+
+  formatRate(rate) {
+    return `${Math.round(rate * 100)}%`;
+  }
+}
+
+module.exports = new LinkedInWarmupService();
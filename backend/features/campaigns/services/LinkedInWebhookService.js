@@ -220,6 +220,32 @@ class LinkedInWebhookService {
         tenant_id, campaign_id, campaign_lead_id, msg.text || 'Reply received'
       ]);
 
+      // 4. Surface the conversation in the unified inbox
+      await require('./InboxService').recordInbound({
+        tenantId: tenant_id,
+        campaignId: campaign_id,
+        campaignLeadId: campaign_lead_id,
+        leadId: lead_id,
+        channel: 'linkedin',
+        accountRef: msg.account_id || provider_account_id,
+        chatRef: msg.chat_id,
+        leadName: lead_name,
+        text: msg.text
+      });
+
+      // 5. Classify the reply's intent (updates the lead status, stops the sequence)
+      require('./ReplyIntentService').classifyInBackground({
+        tenantId: tenant_id,
+        campaignId: campaign_id,
+        campaignLeadId: campaign_lead_id,
+        leadId: lead_id,
+        channel: 'linkedin',
+        text: msg.text
+      });
+
+      // 6. Resume the lead right away if it is parked on a wait_for_event step
+      require('./WorkflowEventService').notify(campaign_id, lead_id, 'REPLY_RECEIVED', tenant_id);
+
       logger.info('[LinkedInWebhook] Successfully processed incoming reply', { campaign_id, lead_id });
     } catch (e) {
       const logger = require('../../../core/utils/logger');
@@ -0,0 +1,193 @@
+/**
+ * Message Preview Service
+ * Renders message templates against a sample lead and flags what would go out broken
+ *
+ * Used before a campaign starts: every step's message fields are rendered with the
+ * shared template engine (utils/messageTemplateUtil) for a real campaign lead or a
+ * sample lead, and variables that resolve to nothing (no value, no default) are
+ * reported per field together with syntax problems.
+ *
+ * LAD Architecture: Service layer - no SQL, uses repositories
+ */
+const CampaignRepository = require('../repositories/CampaignRepository');
+const CampaignStepRepository = require('../repositories/CampaignStepRepository');
+const CampaignLeadRepository = require('../repositories/CampaignLeadRepository');
+const { getLeadData } = require('./StepExecutors');
+const MessageTemplateUtil = require('../utils/messageTemplateUtil');
+
+// Step config (and A/B variant) fields that hold personalised text
+const TEMPLATE_FIELDS = [
+  'message',
+  'connectionMessage',
+  'linkedinCommentText',
+  'linkedinPostContent',
+  'subject',
+  'emailSubject',
+  'body',
+  'emailBody',
+  'whatsappMessage',
+  'instagramDmMessage',
+  'instagramCommentText',
+  'voiceContext',
+  'added_context'
+];
+const TEMPLATE_LIST_FIELDS = ['whatsappTemplateParams', 'templateParams'];
+const MAX_PREVIEW_FIELDS = 50;
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+class MessagePreviewService {
+  /**
+   * Render ad-hoc templates
+   * @param {Object} body - { template } or { templates: { name: text } }, plus { lead, seed, timezone }
+   * @returns {Object} { fields: { name: { text, unresolved, errors } }, unresolved, errors }
+   */
+  previewTemplates(body = {}) {
+    let templates = body.templates;
+    if (typeof body.template === 'string') {
+      templates = { template: body.template };
+    }
+    if (!templates || typeof templates !== 'object' || Array.isArray(templates)) {
+      throw badRequest('template (string) or templates (object of strings) is required');
+    }
+    const entries = Object.entries(templates).filter(([, text]) => typeof text === 'string');
+    if (entries.length === 0 || entries.length > MAX_PREVIEW_FIELDS) {
+      throw badRequest(`Provide 1 to ${MAX_PREVIEW_FIELDS} templates`);
+    }
+    if (body.lead !== undefined && (typeof body.lead !== 'object' || body.lead === null)) {
+      throw badRequest('lead must be an object');
+    }
+
+    return this.renderFields(entries, body.lead || {}, { seed: body.seed, timezone: body.timezone });
+  }
+
+  /**
+   * Render every step's message fields for a campaign
+   * @param {Object} body - { campaignLeadId } for a real lead, or { lead } sample data;
+   *   defaults to the campaign's most recent lead
+   * @returns {Promise<Object|null>} null if the campaign doesn't exist
+   */
+  async previewCampaign(campaignId, tenantId, body = {}, context = {}) {
+    const campaign = await CampaignRepository.getById(campaignId, tenantId, context);
+    if (!campaign) return null;
+
+    const { lead, source, campaignLeadId } = await this.resolveSampleLead(campaignId, tenantId, body, context);
+    const steps = await CampaignStepRepository.getStepsByCampaignId(campaignId, tenantId, context);
+    const campaignConfig = typeof campaign.config === 'string' ? JSON.parse(campaign.config) : (campaign.config || {});
+    const options = { seed: campaignLeadId || undefined, timezone: body.timezone };
+
+    const stepPreviews = [];
+    const unresolved = new Set();
+    let errorCount = 0;
+    for (const step of steps) {
+      if (step.is_deleted) continue;
+      const config = typeof step.config === 'string' ? JSON.parse(step.config) : (step.config || {});
+      const entries = this.collectTemplateFields(step.type, config, campaignConfig);
+      if (entries.length === 0) continue;
+
+      const preview = this.renderFields(entries, lead, options);
+      preview.unresolved.forEach(variable => unresolved.add(variable));
+      errorCount += preview.errors.length;
+      stepPreviews.push({
+        stepId: step.id,
+        type: step.type,
+        title: step.title,
+        ...preview
+      });
+    }
+
+    return {
+      campaignId,
+      sampleLead: { source, campaignLeadId: campaignLeadId || null },
+      steps: stepPreviews,
+      unresolved: [...unresolved],
+      ready: unresolved.size === 0 && errorCount === 0
+    };
+  }
+
+  /**
+   * Sample lead for a campaign preview
+   * @returns {Promise<Object>} { lead, source: 'campaign_lead'|'sample'|'none', campaignLeadId }
+   */
+  async resolveSampleLead(campaignId, tenantId, body, context) {
+    if (body.lead !== undefined) {
+      if (typeof body.lead !== 'object' || body.lead === null) {
+        throw badRequest('lead must be an object');
+      }
+      return { lead: body.lead, source: 'sample', campaignLeadId: null };
+    }
+
+    let campaignLeadId = body.campaignLeadId || null;
+    if (campaignLeadId) {
+      const campaignLead = await CampaignLeadRepository.getById(campaignLeadId, tenantId, context);
+      if (!campaignLead || campaignLead.campaign_id !== campaignId) {
+        throw badRequest('campaignLeadId does not belong to this campaign');
+      }
+    } else {
+      const [latest] = await CampaignLeadRepository.getByCampaignId(campaignId, tenantId, { limit: 1 }, context);
+      campaignLeadId = latest?.id || null;
+    }
+    if (!campaignLeadId) {
+      return { lead: {}, source: 'none', campaignLeadId: null };
+    }
+
+    const lead = await getLeadData(campaignLeadId, context, tenantId);
+    return { lead: lead || {}, source: 'campaign_lead', campaignLeadId };
+  }
+
+  /**
+   * [field, template] pairs for a step (connection requests fall back to the campaign's message)
+   */
+  collectTemplateFields(stepType, config, campaignConfig = {}) {
+    const entries = [];
+    for (const field of TEMPLATE_FIELDS) {
+      if (typeof config[field] === 'string' && config[field].trim()) {
+        entries.push([field, config[field]]);
+      }
+    }
+    for (const field of TEMPLATE_LIST_FIELDS) {
+      if (Array.isArray(config[field])) {
+        config[field].forEach((param, index) => entries.push([`${field}[${index}]`, String(param)]));
+      }
+    }
+    // A/B tested steps: each variant's copy is sent to some leads
+    if (Array.isArray(config.variants)) {
+      config.variants.forEach((variant, index) => {
+        if (!variant || typeof variant !== 'object') return;
+        const label = variant.id ?? index;
+        for (const field of TEMPLATE_FIELDS) {
+          if (typeof variant[field] === 'string' && variant[field].trim()) {
+            entries.push([`variants[${label}].${field}`, variant[field]]);
+          }
+        }
+      });
+    }
+    if (stepType === 'linkedin_connect' && !entries.some(([field]) => field === 'message' || field === 'connectionMessage') &&
+        typeof campaignConfig.connectionMessage === 'string' && campaignConfig.connectionMessage.trim()) {
+      entries.push(['campaign.connectionMessage', campaignConfig.connectionMessage]);
+    }
+    return entries;
+  }
+
+  renderFields(entries, lead, options) {
+    const fields = {};
+    const unresolved = new Set();
+    const errors = [];
+    for (const [name, template] of entries) {
+      const report = MessageTemplateUtil.renderWithReport(template, lead, options);
+      // Syntax problems in branches that didn't render still matter
+      const syntaxErrors = MessageTemplateUtil.validate(template).errors;
+      const fieldErrors = [...new Set([...report.errors, ...syntaxErrors])];
+      fields[name] = { text: report.text, unresolved: report.unresolved, errors: fieldErrors };
+      report.unresolved.forEach(variable => unresolved.add(variable));
+      fieldErrors.forEach(error => errors.push(`${name}: ${error}`));
+    }
+    return { fields, unresolved: [...unresolved], errors };
+  }
+}
+
+module.exports = new MessagePreviewService();
@@ -0,0 +1,545 @@
+/**
+ * Message Variant Service
+ * A/B tests message copy on outreach steps
+ *
+ * A step opts in with config.variants - each variant carries an id, an optional
+ * weight and its own copy (message, subject, body, ...), which is overlaid on the
+ * step config for the leads it is shown to. Allocation is either a weighted split
+ * (stable per lead) or a Thompson-sampling bandit that shifts traffic towards the
+ * variant with the best acceptance/reply rate so far. Every send is recorded as a
+ * VARIANT_SENT row in campaign_analytics, and variant results are compared with
+ * two-proportion z-tests. With autoPromote enabled, the test is only looked at on
+ * fixed checkpoints - every minSends mature sends, at most maxLooks times - and each
+ * look spends part of the error budget (Pocock-type alpha spending), so repeated looks
+ * don't inflate false positives. Only sends older than the response window
+ * (maturityHours) count, as newer ones have not had time to be accepted or answered.
+ * The leader is promoted (config.winnerVariantId) once it beats every other variant
+ * (Bonferroni-corrected); new leads then only get the winner.
+ *
+ * Step config:
+ *   variants: [{ id, name, weight, message | connectionMessage | subject | body | ... }]
+ *   variantAllocation: 'weighted' (default) | 'bandit'
+ *   variantMetric: 'acceptance' | 'reply' (default: acceptance for linkedin_connect, reply otherwise)
+ *   autoPromote: { enabled, minSends, confidence, maxLooks, maturityHours }
+ *   winnerVariantId: set by auto-promotion (or by hand) to stop the test
+ *   variantLooks: checkpoints already evaluated (set by auto-promotion)
+ *
+ * LAD Architecture: Service layer - no SQL, uses repositories
+ */
+const crypto = require('crypto');
+const CampaignAnalyticsRepository = require('../repositories/CampaignAnalyticsRepository');
+const CampaignStepRepository = require('../repositories/CampaignStepRepository');
+const { campaignStatsTracker } = require('./campaignStatsTracker');
+const { getChannelForStepType } = require('./StepValidators');
+const MessageTemplateUtil = require('../utils/messageTemplateUtil');
+const logger = require('../../../core/utils/logger');
+
+// Steps whose copy can be split-tested
+const VARIANT_STEP_TYPES = [
+  'linkedin_connect',
+  'linkedin_message',
+  'email_send',
+  'email_followup',
+  'whatsapp_send',
+  'instagram_dm'
+];
+// Variant fields overlaid on the step config
+const VARIANT_FIELDS = [
+  'message',
+  'connectionMessage',
+  'subject',
+  'emailSubject',
+  'body',
+  'emailBody',
+  'whatsappMessage',
+  'instagramDmMessage'
+];
+const ALLOCATIONS = ['weighted', 'bandit'];
+const METRICS = ['acceptance', 'reply'];
+const MAX_VARIANTS = 10;
+const MAX_VARIANT_ID_LENGTH = 50;
+const DEFAULT_MIN_SENDS = 100;
+const DEFAULT_CONFIDENCE = 0.95;
+const DEFAULT_MAX_LOOKS = 5;
+const MAX_LOOKS = 20;
+// Sends younger than this have not had time to be accepted / answered yet
+const DEFAULT_MATURITY_HOURS = { acceptance: 7 * 24, reply: 3 * 24 };
+const HOUR_MS = 60 * 60 * 1000;
+// The bandit reads variant stats on every send - keep them for a minute
+const STATS_CACHE_TTL_MS = 60 * 1000;
+
+class MessageVariantService {
+  constructor() {
+    this.statsCache = new Map();
+    this.promotedSteps = new Set();
+    // Checkpoints evaluated per step, ahead of the config the step was loaded with
+    this.stepLooks = new Map();
+  }
+
+  /**
+   * Whether a step runs an A/B test
+   */
+  hasVariants(stepType, config) {
+    return VARIANT_STEP_TYPES.includes(stepType) && Array.isArray(config?.variants) && config.variants.length > 0;
+  }
+
+  /**
+   * Validate the variant settings of a step config
+   * @returns {Object} { valid, error }
+   */
+  validateVariants(config = {}) {
+    const { variants } = config;
+    if (!Array.isArray(variants) || variants.length < 2 || variants.length > MAX_VARIANTS) {
+      return { valid: false, error: `variants must list 2 to ${MAX_VARIANTS} message variants` };
+    }
+    const ids = new Set();
+    for (const variant of variants) {
+      if (!variant || typeof variant !== 'object') {
+        return { valid: false, error: 'Every variant must be an object' };
+      }
+      const id = variant.id === undefined || variant.id === null ? '' : String(variant.id).trim();
+      if (!id || id.length > MAX_VARIANT_ID_LENGTH) {
+        return { valid: false, error: `Every variant needs an id (max ${MAX_VARIANT_ID_LENGTH} characters)` };
+      }
+      if (ids.has(id)) {
+        return { valid: false, error: `Duplicate variant id: ${id}` };
+      }
+      ids.add(id);
+      if (variant.weight !== undefined && !(typeof variant.weight === 'number' && variant.weight >= 0)) {
+        return { valid: false, error: `Variant ${id}: weight must be a number >= 0` };
+      }
+      const fields = VARIANT_FIELDS.filter(field => typeof variant[field] === 'string' && variant[field].trim());
+      if (fields.length === 0) {
+        return { valid: false, error: `Variant ${id} has no message copy (${VARIANT_FIELDS.join(', ')})` };
+      }
+      for (const field of fields) {
+        const { valid, errors } = MessageTemplateUtil.validate(variant[field]);
+        if (!valid) {
+          return { valid: false, error: `Variant ${id} ${field}: ${errors.join('; ')}` };
+        }
+      }
+    }
+    if (!variants.some(variant => this.getWeight(variant) > 0)) {
+      return { valid: false, error: 'At least one variant needs a weight above 0' };
+    }
+    if (config.variantAllocation !== undefined && !ALLOCATIONS.includes(config.variantAllocation)) {
+      return { valid: false, error: `variantAllocation must be one of: ${ALLOCATIONS.join(', ')}` };
+    }
+    if (config.variantMetric !== undefined && !METRICS.includes(config.variantMetric)) {
+      return { valid: false, error: `variantMetric must be one of: ${METRICS.join(', ')}` };
+    }
+    const autoPromote = config.autoPromote;
+    if (autoPromote !== undefined && autoPromote !== null) {
+      if (typeof autoPromote !== 'object') {
+        return { valid: false, error: 'autoPromote must be an object' };
+      }
+      if (autoPromote.minSends !== undefined && !(Number.isInteger(autoPromote.minSends) && autoPromote.minSends > 0)) {
+        return { valid: false, error: 'autoPromote.minSends must be a positive integer' };
+      }
+      if (autoPromote.confidence !== undefined &&
+        !(typeof autoPromote.confidence === 'number' && autoPromote.confidence >= 0.5 && autoPromote.confidence < 1)) {
+        return { valid: false, error: 'autoPromote.confidence must be between 0.5 and 1 (e.g. 0.95)' };
+      }
+      if (autoPromote.maxLooks !== undefined &&
+        !(Number.isInteger(autoPromote.maxLooks) && autoPromote.maxLooks > 0 && autoPromote.maxLooks <= MAX_LOOKS)) {
+        return { valid: false, error: `autoPromote.maxLooks must be an integer from 1 to ${MAX_LOOKS}` };
+      }
+      if (autoPromote.maturityHours !== undefined &&
+        !(typeof autoPromote.maturityHours === 'number' && autoPromote.maturityHours >= 0)) {
+        return { valid: false, error: 'autoPromote.maturityHours must be a number of hours >= 0' };
+      }
+    }
+    if (config.winnerVariantId !== undefined && config.winnerVariantId !== null && !ids.has(String(config.winnerVariantId))) {
+      return { valid: false, error: 'winnerVariantId does not match any variant' };
+    }
+    return { valid: true };
+  }
+
+  getWeight(variant) {
+    return variant.weight === undefined ? 1 : variant.weight;
+  }
+
+  /**
+   * Metric a step's variants compete on
+   */
+  getMetric(stepType, config = {}) {
+    if (METRICS.includes(config.variantMetric)) {
+      return config.variantMetric;
+    }
+    return stepType === 'linkedin_connect' ? 'acceptance' : 'reply';
+  }
+
+  /**
+   * Pick the variant shown to a lead - a lead keeps the variant it was first sent
+   * @returns {Promise<Object>} variant from config.variants
+   */
+  async selectVariant(campaignId, step, config, campaignLead, tenantId) {
+    const variants = config.variants;
+    const leadKey = campaignLead.lead_id || campaignLead.id;
+    const assignedId = await CampaignAnalyticsRepository.getAssignedVariant(campaignId, step.id, leadKey, tenantId);
+    const assigned = assignedId && variants.find(variant => String(variant.id) === assignedId);
+    if (assigned) {
+      return assigned;
+    }
+    const winner = config.winnerVariantId !== undefined && config.winnerVariantId !== null &&
+      variants.find(variant => String(variant.id) === String(config.winnerVariantId));
+    if (winner) {
+      return winner;
+    }
+    const active = variants.filter(variant => this.getWeight(variant) > 0);
+    if (config.variantAllocation === 'bandit') {
+      const stats = await this.getStepStats(campaignId, step.id, tenantId);
+      return this.pickBandit(active, stats, this.getMetric(step.step_type || step.type, config));
+    }
+    return this.pickWeighted(active, `${step.id}:${leadKey}`);
+  }
+
+  /**
+   * Variant a lead would be sent, without reading assignments or stats (campaign simulations)
+   * Bandit tests are planned on their weights
+   * @returns {Object} variant from config.variants
+   */
+  planVariant(step, config, campaignLead) {
+    const variants = config.variants;
+    const winner = config.winnerVariantId !== undefined && config.winnerVariantId !== null &&
+      variants.find(variant => String(variant.id) === String(config.winnerVariantId));
+    if (winner) {
+      return winner;
+    }
+    const active = variants.filter(variant => this.getWeight(variant) > 0);
+    return this.pickWeighted(active, `${step.id}:${campaignLead.lead_id || campaignLead.id}`);
+  }
+
+  /**
+   * Weighted split, stable for a given key
+   */
+  pickWeighted(variants, key) {
+    const total = variants.reduce((sum, variant) => sum + this.getWeight(variant), 0);
+    const hash = crypto.createHash('md5').update(String(key)).digest();
+    let point = (hash.readUInt32BE(0) / 0x100000000) * total;
+    for (const variant of variants) {
+      point -= this.getWeight(variant);
+      if (point < 0) {
+        return variant;
+      }
+    }
+    return variants[variants.length - 1];
+  }
+
+  /**
+   * Thompson sampling - draw from each variant's Beta posterior and take the best draw
+   */
+  pickBandit(variants, stats, metric) {
+    let best = variants[0];
+    let bestDraw = -1;
+    for (const variant of variants) {
+      const row = stats.find(stat => stat.variant_id === String(variant.id));
+      const sends = row ? row.sends : 0;
+      const successes = row ? this.getSuccesses(row, metric) : 0;
+      const draw = this.sampleBeta(successes + 1, Math.max(sends - successes, 0) + 1);
+      if (draw > bestDraw) {
+        best = variant;
+        bestDraw = draw;
+      }
+    }
+    return best;
+  }
+
+  getSuccesses(row, metric) {
+    return metric === 'acceptance' ? row.accepted : row.replied;
+  }
+
+  /**
+   * Step config with the variant's copy overlaid (variants list removed)
+   */
+  applyVariant(config, variant) {
+    const applied = { ...config };
+    delete applied.variants;
+    for (const field of VARIANT_FIELDS) {
+      if (typeof variant[field] === 'string' && variant[field].trim()) {
+        applied[field] = variant[field];
+      }
+    }
+    return applied;
+  }
+
+  /**
+   * Record that a lead was sent a variant, then check whether the test has a winner
+   */
+  async recordSend(campaignId, step, config, variant, campaignLead, tenantId) {
+    const stepType = step.step_type || step.type;
+    const copyField = VARIANT_FIELDS.find(field => typeof variant[field] === 'string' && variant[field].trim());
+    await campaignStatsTracker.trackAction(campaignId, 'VARIANT_SENT', {
+      leadId: campaignLead.lead_id || campaignLead.id,
+      channel: getChannelForStepType(stepType),
+      tenantId,
+      stepId: step.id,
+      variantId: String(variant.id),
+      messageContent: copyField ? variant[copyField] : null
+    });
+    try {
+      await this.maybeAutoPromote(campaignId, step, config, tenantId);
+    } catch (error) {
+      logger.error('[MessageVariantService] Auto-promotion check failed', {
+        campaignId,
+        stepId: step.id,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Evaluate the test when its mature sends reach the next checkpoint and promote the
+   * leader if it beats every other variant at that look's share of the error budget
+   * @returns {Promise<string|null>} promoted variant id
+   */
+  async maybeAutoPromote(campaignId, step, config, tenantId) {
+    const autoPromote = config.autoPromote;
+    if (!autoPromote?.enabled || (config.winnerVariantId !== undefined && config.winnerVariantId !== null) ||
+      this.promotedSteps.has(step.id)) {
+      return null;
+    }
+    const minSends = autoPromote.minSends || DEFAULT_MIN_SENDS;
+    const maxLooks = autoPromote.maxLooks || DEFAULT_MAX_LOOKS;
+    const looksDone = Math.max(config.variantLooks || 0, this.stepLooks.get(step.id) || 0);
+    if (looksDone >= maxLooks) {
+      return null;
+    }
+    const stepType = step.step_type || step.type;
+    const metric = this.getMetric(stepType, config);
+    const sentBefore = new Date(Date.now() - this.getMaturityHours(metric, autoPromote) * HOUR_MS);
+    const stats = await this.getStepStats(campaignId, step.id, tenantId, sentBefore);
+    const matureSends = stats.reduce((sum, row) => sum + row.sends, 0);
+    const look = Math.min(Math.floor(matureSends / minSends), maxLooks);
+    if (look <= looksDone) {
+      return null;
+    }
+
+    const alpha = this.getLookAlpha(looksDone, look, maxLooks, autoPromote.confidence);
+    const evaluation = this.evaluate(config.variants, stats, metric, autoPromote.confidence, alpha);
+    this.stepLooks.set(step.id, look);
+    if (!evaluation.leader?.significant) {
+      await CampaignStepRepository.mergeConfig(step.id, tenantId, { variantLooks: look });
+      logger.info('[MessageVariantService] Variant checkpoint without a winner', {
+        campaignId,
+        stepId: step.id,
+        look,
+        maxLooks,
+        matureSends,
+        alpha
+      });
+      return null;
+    }
+    const winnerVariantId = evaluation.leader.variantId;
+    await CampaignStepRepository.mergeConfig(step.id, tenantId, {
+      variantLooks: look,
+      winnerVariantId,
+      variantPromotedAt: new Date().toISOString()
+    });
+    this.promotedSteps.add(step.id);
+    logger.info('[MessageVariantService] Variant auto-promoted', {
+      campaignId,
+      stepId: step.id,
+      winnerVariantId,
+      metric: evaluation.metric,
+      pValue: evaluation.leader.pValue,
+      look,
+      alpha,
+      matureSends
+    });
+    return winnerVariantId;
+  }
+
+  /**
+   * Hours a send needs before its acceptance/reply is counted
+   */
+  getMaturityHours(metric, autoPromote = {}) {
+    return typeof autoPromote.maturityHours === 'number' ? autoPromote.maturityHours : DEFAULT_MATURITY_HOURS[metric];
+  }
+
+  /**
+   * Error budget for the looks from fromLook (exclusive) to toLook, out of maxLooks
+   * Pocock-type spending function a(t) = alpha * ln(1 + (e - 1) * t): the budgets of all
+   * looks add up to 1 - confidence; looks skipped in between are spent on this one
+   */
+  getLookAlpha(fromLook, toLook, maxLooks, confidence = DEFAULT_CONFIDENCE) {
+    const alpha = 1 - (confidence || DEFAULT_CONFIDENCE);
+    const spent = fraction => alpha * Math.log(1 + (Math.E - 1) * fraction);
+    return spent(toLook / maxLooks) - spent(fromLook / maxLooks);
+  }
+
+  /**
+   * Per-variant results for every A/B tested step of a campaign (analytics summary)
+   * @returns {Promise<Array>} [{ stepId, stepType, title, allocation, metric, winnerVariantId, totalSends, variants, leader }]
+   */
+  async getCampaignResults(campaignId, tenantId, context = {}) {
+    const [steps, stats] = await Promise.all([
+      CampaignStepRepository.getStepsByCampaignId(campaignId, tenantId, context),
+      CampaignAnalyticsRepository.getVariantStats(campaignId, tenantId, null, context)
+    ]);
+    const results = [];
+    for (const step of steps) {
+      const config = typeof step.config === 'string' ? JSON.parse(step.config) : (step.config || {});
+      const stepStats = stats.filter(row => row.step_id === step.id);
+      if ((step.is_deleted || !this.hasVariants(step.type, config)) && stepStats.length === 0) continue;
+
+      const metric = this.getMetric(step.type, config);
+      const evaluation = this.evaluate(config.variants || [], stepStats, metric, config.autoPromote?.confidence);
+      results.push({
+        stepId: step.id,
+        stepType: step.type,
+        title: step.title,
+        allocation: ALLOCATIONS.includes(config.variantAllocation) ? config.variantAllocation : 'weighted',
+        winnerVariantId: config.winnerVariantId ?? null,
+        promotedAt: config.variantPromotedAt || null,
+        totalSends: stepStats.reduce((sum, row) => sum + row.sends, 0),
+        ...evaluation
+      });
+    }
+    return results;
+  }
+
+  /**
+   * Compare variants: rates per variant, each variant against the control (first
+   * variant), and the leader against every other variant on the step's metric
+   * The leader is significant when it beats all of them at alpha split across the
+   * comparisons (Bonferroni); alpha defaults to 1 - confidence
+   */
+  evaluate(variants, stats, metric, confidence = DEFAULT_CONFIDENCE, alpha = null) {
+    const testAlpha = alpha === null ? 1 - (confidence || DEFAULT_CONFIDENCE) : alpha;
+    // Variants removed from the config still show up with their recorded sends
+    const ids = [...new Set([...variants.map(variant => String(variant.id)), ...stats.map(row => row.variant_id)])];
+    const rows = ids.map(id => {
+      const variant = variants.find(candidate => String(candidate.id) === id);
+      const row = stats.find(stat => stat.variant_id === id) || { sends: 0, accepted: 0, replied: 0 };
+      return {
+        variantId: id,
+        name: variant?.name || null,
+        weight: variant ? this.getWeight(variant) : null,
+        removed: !variant,
+        sends: row.sends,
+        accepted: row.accepted,
+        replied: row.replied,
+        acceptanceRate: this.rate(row.accepted, row.sends),
+        replyRate: this.rate(row.replied, row.sends)
+      };
+    });
+
+    const control = rows[0];
+    rows.forEach((row, index) => {
+      row.isControl = index === 0;
+      row.vsControl = index === 0 ? null : {
+        acceptance: this.twoProportionTest(row.accepted, row.sends, control.accepted, control.sends),
+        reply: this.twoProportionTest(row.replied, row.sends, control.replied, control.sends)
+      };
+    });
+
+    const successKey = metric === 'acceptance' ? 'accepted' : 'replied';
+    const ranked = rows
+      .filter(row => row.sends > 0)
+      .sort((a, b) => (b[successKey] / b.sends) - (a[successKey] / a.sends));
+    let leader = null;
+    if (ranked.length >= 2) {
+      const [best, ...others] = ranked;
+      const comparisons = others.map(other => ({
+        variantId: other.variantId,
+        ...this.twoProportionTest(best[successKey], best.sends, other[successKey], other.sends)
+      }));
+      const comparisonAlpha = testAlpha / comparisons.length;
+      // Reported against the closest challenger
+      const closest = comparisons.reduce((worst, comparison) => (comparison.pValue > worst.pValue ? comparison : worst));
+      leader = {
+        variantId: best.variantId,
+        runnerUpVariantId: others[0].variantId,
+        zScore: closest.zScore,
+        pValue: closest.pValue,
+        confidence: confidence || DEFAULT_CONFIDENCE,
+        alpha: testAlpha,
+        comparisons,
+        significant: comparisons.every(comparison => comparison.zScore > 0 && comparison.pValue < comparisonAlpha)
+      };
+    }
+    return { metric, variants: rows, leader };
+  }
+
+  rate(successes, sends) {
+    return sends > 0 ? Math.round((successes / sends) * 10000) / 100 : 0;
+  }
+
+  /**
+   * Two-sided two-proportion z-test
+   * @returns {Object|null} { zScore, pValue } - null without sends on both sides
+   */
+  twoProportionTest(successesA, sendsA, successesB, sendsB) {
+    if (!sendsA || !sendsB) {
+      return null;
+    }
+    const pooled = (successesA + successesB) / (sendsA + sendsB);
+    const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / sendsA + 1 / sendsB));
+    if (standardError === 0) {
+      return { zScore: 0, pValue: 1 };
+    }
+    const zScore = (successesA / sendsA - successesB / sendsB) / standardError;
+    const pValue = 2 * (1 - this.normalCdf(Math.abs(zScore)));
+    return {
+      zScore: Math.round(zScore * 1000) / 1000,
+      pValue: Math.round(Math.max(pValue, 0) * 10000) / 10000
+    };
+  }
+
+  /**
+   * Standard normal CDF (Abramowitz & Stegun 7.1.26 erf approximation)
+   */
+  normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - poly * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+  }
+
+  sampleBeta(alpha, beta) {
+    const x = this.sampleGamma(alpha);
+    const y = this.sampleGamma(beta);
+    return x / (x + y);
+  }
+
+  /**
+   * Gamma(shape, 1) sample for shape >= 1 (Marsaglia & Tsang)
+   */
+  sampleGamma(shape) {
+    const d = shape - 1 / 3;
+    const c = 1 / Math.sqrt(9 * d);
+    for (;;) {
+      let x;
+      let v;
+      do {
+        // Box-Muller standard normal
+        x = Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+        v = 1 + c * x;
+      } while (v <= 0);
+      v = v * v * v;
+      const u = 1 - Math.random();
+      if (Math.log(u) < 0.5 * x * x + d - d * v + d * Math.log(v)) {
+        return d * v;
+      }
+    }
+  }
+
+  /**
+   * Variant stats for a step, cached for a minute
+   * @param {Date} sentBefore - only count sends before this (mature sends for auto-promotion)
+   */
+  async getStepStats(campaignId, stepId, tenantId, sentBefore = null) {
+    const key = `${campaignId}:${stepId}:${sentBefore ? 'mature' : 'all'}`;
+    const cached = this.statsCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.stats;
+    }
+    const stats = await CampaignAnalyticsRepository.getVariantStats(campaignId, tenantId, stepId, null, sentBefore);
+    this.statsCache.set(key, { stats, expiresAt: Date.now() + STATS_CACHE_TTL_MS });
+    return stats;
+  }
+}
+
+module.exports = new MessageVariantService();
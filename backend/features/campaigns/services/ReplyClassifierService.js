@@ -0,0 +1,229 @@
+/**
+ * Reply Classifier Service
+ * Classifies inbound replies into intent buckets
+ *
+ * The classifier asks an LLM client first and falls back to deterministic
+ * keyword rules when no client is configured, the call fails or the answer
+ * is not a known intent. Any client exposing generateContent(prompt) ->
+ * Promise<string> can be plugged in with setLlmClient(); by default the
+ * shared Gemini client is used when GEMINI_API_KEY is set.
+ * REPLY_CLASSIFIER=rules forces the rules (tests, local development).
+ *
+ * LAD Architecture: Service layer - no SQL
+ */
+const logger = require('../../../core/utils/logger');
+const { loadLlmClient } = require('./llmClientLoader');
+const INTENTS = ['interested', 'not_interested', 'out_of_office', 'referral', 'unsubscribe', 'question'];
+// Returned when neither the LLM nor the rules recognise the reply
+const UNCLASSIFIED = 'unclassified';
+// Replies longer than this are truncated before they go to the LLM
+const MAX_REPLY_LENGTH = 4000;
+// Checked in order - the first bucket with a matching pattern wins, so the
+// stronger signals (unsubscribe, auto-replies) come before softer ones
+const INTENT_RULES = [
+  {
+    intent: 'unsubscribe',
+    patterns: [
+      /\bunsubscribe\b/i,
+      /\b(remove|take) me (from|off)\b/i,
+      /\bstop (emailing|messaging|contacting|texting|sending)\b/i,
+      /\bdo not (contact|email|message) me\b/i,
+      /\bdon'?t (contact|email|message) me\b/i,
+      /\bopt[\s-]?out\b/i,
+      /^\s*stop\s*\.?\s*$/i
+    ]
+  },
+  {
+    intent: 'out_of_office',
+    patterns: [
+      /\bout of (the )?office\b/i,
+      /\bautomatic reply\b/i,
+      /\bauto[\s-]?reply\b/i,
+      /\b(on|currently on) (annual |parental |maternity |paternity )?(leave|vacation|holiday)\b/i,
+      /\bI am (currently )?away\b/i,
+      /\bI'?m (currently )?away\b/i,
+      /\blimited access to (my )?email\b/i,
+      /\bback in the office\b/i,
+      /\bwill (be )?(return|back)(ing)? on\b/i
+    ]
+  },
+  {
+    intent: 'referral',
+    patterns: [
+      /\b(reach out|talk|speak) to (my colleague|[A-Z][a-z]+)\b/,
+      /\b(better|right) (person|contact) (to|for|would be)\b/i,
+      /\bnot the right person\b/i,
+      /\b(cc'?d|copied|looping in|loop in|forwarded (this|your message) to)\b/i,
+      /\b(he|she|they) (handles?|is responsible for|looks after)\b/i,
+      /\bcontact (my colleague|our)\b/i
+    ]
+  },
+  {
+    intent: 'not_interested',
+    patterns: [
+      /\bnot interested\b/i,
+      /\bno,? thank(s| you)\b/i,
+      /\bnot (a|the) (good )?(fit|priority)\b/i,
+      /\bnot (right )?now\b/i,
+      /\bwe('re| are) (all )?(set|good)\b/i,
+      /\balready (have|use|work with)\b/i,
+      /\bno need\b/i,
+      /\bpass on this\b/i,
+      /\bnot looking\b/i
+    ]
+  },
+  {
+    intent: 'interested',
+    patterns: [
+      /\b(sounds|looks) (good|great|interesting)\b/i,
+      /\b(i'?m|we'?re|i am|we are) interested\b/i,
+      /\binterested in\b/i,
+      /\blet'?s (talk|chat|connect|schedule|set up|book)\b/i,
+      /\b(book|schedule|set up) (a )?(call|meeting|demo|time)\b/i,
+      /\bhappy to (chat|talk|connect|meet)\b/i,
+      /\bsend (me )?(more )?(info|information|details)\b/i,
+      /\b(calendar|calendly)\b/i,
+      /\bwhen are you (free|available)\b/i
+    ]
+  },
+  {
+    intent: 'question',
+    patterns: [
+      /\?/,
+      /^\s*(what|how|who|why|when|where|which|can you|could you|do you|is it|are you)\b/im
+    ]
+  }
+];
+// Quoted history starts at the first of these lines (email clients, LinkedIn forwards)
+const QUOTE_MARKERS = [
+  /^On .+wrote:\s*$/m,
+  /^-{2,}\s*Original Message\s*-{2,}/im,
+  /^From:\s.+$/m,
+  /^Sent from my /m
+];
+
+class ReplyClassifierService {
+  constructor() {
+    // undefined = not resolved yet, null = rules only
+    this.llmClient = undefined;
+  }
+  /**
+   * Plug in the LLM client used for classification (null = rules only)
+   * @param {Object|null} client - { generateContent(prompt): Promise<string> }
+   */
+  setLlmClient(client) {
+    this.llmClient = client || null;
+  }
+  getLlmClient() {
+    if (this.llmClient === undefined) {
+      this.llmClient = process.env.REPLY_CLASSIFIER === 'rules'
+        ? null
+        : loadLlmClient('ReplyClassifier', 'using rules only');
+    }
+    return this.llmClient;
+  }
+  /**
+   * Classify a reply
+   * @param {string} text - Reply body
+   * @param {Object} options - { subject, channel }
+   * @returns {Promise<Object>} { intent, confidence, source: 'llm'|'rules', reason }
+   */
+  async classify(text, options = {}) {
+    const reply = this.extractLatestReply(text);
+    if (!reply && !options.subject) {
+      return { intent: UNCLASSIFIED, confidence: 0, source: 'rules', reason: 'Empty reply' };
+    }
+    const client = this.getLlmClient();
+    if (client) {
+      try {
+        const result = await this.classifyWithLlm(client, reply, options);
+        if (result) return result;
+      } catch (error) {
+        logger.warn('[ReplyClassifier] LLM classification failed, falling back to rules', {
+          channel: options.channel,
+          error: error.message
+        });
+      }
+    }
+    return this.classifyWithRules(reply, options);
+  }
+  /**
+   * @returns {Promise<Object|null>} Classification, or null if the answer was unusable
+   */
+  async classifyWithLlm(client, reply, options) {
+    const prompt = `You classify replies to B2B sales outreach sent over ${options.channel || 'a messaging channel'}.
+
+Choose exactly one intent:
+- interested: wants to talk, book a meeting, or hear more
+- not_interested: declines, already has a solution, not a fit right now
+- out_of_office: automatic reply, away, on leave
+- referral: points to someone else who should be contacted
+- unsubscribe: asks to stop being contacted or to be removed
+- question: asks a question without clearly accepting or declining
+
+Return JSON only: {"intent": "<intent>", "confidence": <0-1>, "reason": "<short reason>"}
+${options.subject ? `\nSubject: "${options.subject}"` : ''}
+Reply: "${reply.slice(0, MAX_REPLY_LENGTH)}"`;
+    const responseText = await client.generateContent(prompt);
+    const cleaned = String(responseText || '').trim().replace(/```json\s*/gi, '').replace(/```\s*/gi, '');
+    const parsed = JSON.parse(cleaned);
+    const intent = String(parsed.intent || '').trim().toLowerCase();
+    if (!INTENTS.includes(intent)) {
+      logger.warn('[ReplyClassifier] LLM returned an unknown intent', { intent: parsed.intent });
+      return null;
+    }
+    const confidence = Number(parsed.confidence);
+    return {
+      intent,
+      confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : 0.5,
+      source: 'llm',
+      reason: parsed.reason ? String(parsed.reason).slice(0, 500) : null
+    };
+  }
+  /**
+   * Deterministic keyword classification
+   */
+  classifyWithRules(reply, options = {}) {
+    // The subject usually echoes our own outreach ("Re: ..."), so it only counts
+    // for auto-replies, which put the signal there ("Automatic reply: ...")
+    const withSubject = [options.subject, reply].filter(Boolean).join('\n');
+    for (const rule of INTENT_RULES) {
+      const text = rule.intent === 'out_of_office' ? withSubject : reply;
+      const pattern = rule.patterns.find(candidate => candidate.test(text));
+      if (pattern) {
+        return {
+          intent: rule.intent,
+          confidence: rule.intent === 'question' ? 0.5 : 0.7,
+          source: 'rules',
+          reason: `Matched ${pattern}`
+        };
+      }
+    }
+    return { intent: UNCLASSIFIED, confidence: 0, source: 'rules', reason: 'No rule matched' };
+  }
+  /**
+   * Strip quoted history so only the lead's new text is classified
+   */
+  extractLatestReply(text) {
+    if (!text) return '';
+    let reply = String(text).replace(/\r\n/g, '\n');
+    for (const marker of QUOTE_MARKERS) {
+      const match = reply.match(marker);
+      if (match && match.index > 0) {
+        reply = reply.slice(0, match.index);
+      }
+    }
+    return reply
+      .split('\n')
+      .filter(line => !line.trim().startsWith('>'))
+      .join('\n')
+      .trim();
+  }
+  /**
+   * Known intents (plus 'unclassified', which the classifier returns when nothing matched)
+   */
+  getIntents() {
+    return [...INTENTS, UNCLASSIFIED];
+  }
+}
+module.exports = new ReplyClassifierService();
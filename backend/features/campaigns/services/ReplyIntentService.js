@@ -0,0 +1,131 @@
+/**
+ * Reply Intent Service
+ * Classifies every inbound reply and applies the resulting lead status transition
+ *
+ * Called by the reply ingestion paths (LinkedIn webhook, IMAP poller, WhatsApp
+ * webhook) after the reply itself is recorded. The intent is stored on the
+ * campaign lead and in campaign_analytics as REPLY_CLASSIFIED (response_data
+ * carries the intent), where the condition evaluator reads it for reply_intent
+ * branching. Any classified reply stops the lead's sequence by moving it out of
+ * pending/active, except intents the campaign lists in
+ * config.replyHandling.continueOnIntents (out-of-office replies by default).
+ * Unsubscribe requests also put the lead on the tenant's do-not-contact list.
+ *
+ * LAD Architecture: Service layer - no SQL, uses repositories
+ */
+const CampaignLeadRepository = require('../repositories/CampaignLeadRepository');
+const CampaignLeadActivityRepository = require('../repositories/CampaignLeadActivityRepository');
+const CampaignRepository = require('../repositories/CampaignRepository');
+const replyClassifier = require('./ReplyClassifierService');
+const suppressionService = require('./SuppressionService');
+const { campaignStatsTracker } = require('./campaignStatsTracker');
+const logger = require('../../../core/utils/logger');
+// Lead status each intent moves the lead to (the sequence only processes pending/active leads)
+const INTENT_STATUS = {
+  interested: 'interested',
+  not_interested: 'not_interested',
+  out_of_office: 'replied',
+  referral: 'referred',
+  unsubscribe: 'unsubscribed',
+  question: 'replied',
+  unclassified: 'replied'
+};
+const DEFAULT_CONTINUE_ON_INTENTS = ['out_of_office'];
+// An opt-out is final - later replies never move the lead back
+const STICKY_STATUSES = ['unsubscribed'];
+class ReplyIntentService {
+  /**
+   * Classify a reply and update the lead
+   * @param {Object} reply - { tenantId, campaignId, campaignLeadId, leadId, channel, text, subject }
+   * @returns {Promise<Object|null>} { intent, confidence, source, status, stopped } or null if the lead is unknown
+   */
+  async handleInboundReply(reply) {
+    const { tenantId, campaignId, campaignLeadId } = reply;
+    if (!tenantId || !campaignId || !campaignLeadId) return null;
+    const campaignLead = await CampaignLeadRepository.getById(campaignLeadId, tenantId);
+    if (!campaignLead) return null;
+    const classification = await replyClassifier.classify(reply.text, {
+      subject: reply.subject,
+      channel: reply.channel
+    });
+    const continueOn = await this.getContinueOnIntents(campaignId, tenantId);
+    const currentStatus = campaignLead.status;
+    let status = currentStatus;
+    if (!continueOn.includes(classification.intent) && !STICKY_STATUSES.includes(currentStatus)) {
+      status = INTENT_STATUS[classification.intent] || 'replied';
+    }
+    const stopped = ['pending', 'active'].includes(currentStatus) && !['pending', 'active'].includes(status);
+    await CampaignLeadRepository.update(campaignLead.id, tenantId, {
+      status,
+      reply_intent: classification.intent,
+      reply_intent_confidence: classification.confidence,
+      reply_classified_at: new Date()
+    });
+    if (classification.intent === 'unsubscribe') {
+      // Opt-outs apply tenant-wide, not just to this campaign
+      await suppressionService.suppressLead(tenantId, campaignLead, `Asked to unsubscribe (${reply.channel} reply)`);
+    }
+    await campaignStatsTracker.trackAction(campaignId, 'REPLY_CLASSIFIED', {
+      leadId: campaignLead.lead_id || campaignLead.id,
+      channel: reply.channel,
+      messageContent: reply.text ? String(reply.text).slice(0, 2000) : null,
+      status: 'success',
+      tenantId,
+      responseData: {
+        intent: classification.intent,
+        confidence: classification.confidence,
+        source: classification.source,
+        reason: classification.reason,
+        leadStatus: status
+      }
+    });
+    await CampaignLeadActivityRepository.create({
+      tenantId,
+      campaignId,
+      campaignLeadId: campaignLead.id,
+      actionType: 'REPLY_CLASSIFIED',
+      status: classification.intent,
+      channel: reply.channel,
+      metadata: {
+        intent: classification.intent,
+        confidence: classification.confidence,
+        source: classification.source,
+        previousStatus: currentStatus,
+        leadStatus: status
+      },
+      provider: classification.source,
+      executedAt: new Date()
+    });
+    logger.info('[ReplyIntentService] Reply classified', {
+      campaignId,
+      campaignLeadId: campaignLead.id,
+      intent: classification.intent,
+      source: classification.source,
+      status,
+      stopped
+    });
+    return { ...classification, status, stopped };
+  }
+  /**
+   * Fire-and-forget wrapper for ingestion paths (webhooks, pollers) that must
+   * not wait on the LLM or fail because of it
+   */
+  classifyInBackground(reply) {
+    setImmediate(() => {
+      this.handleInboundReply(reply).catch(error => {
+        logger.error('[ReplyIntentService] Failed to classify reply', {
+          campaignId: reply.campaignId,
+          campaignLeadId: reply.campaignLeadId,
+          channel: reply.channel,
+          error: error.message
+        });
+      });
+    });
+  }
+  async getContinueOnIntents(campaignId, tenantId) {
+    const config = await CampaignRepository.getConfigById(campaignId, tenantId);
+    const configured = config?.replyHandling?.continueOnIntents;
+    return Array.isArray(configured) ? configured : DEFAULT_CONTINUE_ON_INTENTS;
+  }
+}
+module.exports = new ReplyIntentService();
@@ -0,0 +1,76 @@
+/**
+ * Send Window Service
+ * Releases workflow actions only inside the campaign's send window in the lead's local time
+ *
+ * The window (business hours, weekdays, holidays) comes from campaigns.config.sendWindow
+ * (see utils/sendWindowUtil). The lead's timezone is campaign_leads.timezone when set,
+ * otherwise it is inferred from the lead's location data and stored there; leads with
+ * no usable location fall back to the window's own timezone. A lead outside its window
+ * keeps its place and is parked (campaign_leads.deferred_until) until the window opens.
+ *
+ * LAD Architecture: Service layer - no SQL, uses repositories
+ */
+const CampaignLeadRepository = require('../repositories/CampaignLeadRepository');
+const SendWindowUtil = require('../utils/sendWindowUtil');
+const LeadTimezoneUtil = require('../utils/leadTimezoneUtil');
+const logger = require('../../../core/utils/logger');
+// Retry interval when no open day exists within the lookahead (e.g. a long holiday list)
+const NO_OPENING_RETRY_MS = 24 * 60 * 60 * 1000;
+
+class SendWindowService {
+  /**
+   * @returns {Object|null} Normalised send window, or null if the campaign has none
+   */
+  getWindow(campaign) {
+    return SendWindowUtil.normalize(campaign?.config);
+  }
+  /**
+   * Timezone the window is evaluated in for a lead
+   * @param {string|null} storedTimezone - campaign_leads.timezone
+   * @returns {Object} { timezone, source: 'stored'|'explicit'|'city'|'region'|'country'|'campaign' }
+   */
+  resolveTimezone(campaignLead, window, storedTimezone = null) {
+    if (LeadTimezoneUtil.isValidTimeZone(storedTimezone)) {
+      return { timezone: storedTimezone, source: 'stored' };
+    }
+    const inferred = LeadTimezoneUtil.inferTimezone(campaignLead);
+    if (inferred) {
+      return { timezone: inferred.timezone, source: inferred.source };
+    }
+    return { timezone: window.timezone, source: 'campaign' };
+  }
+  /**
+   * Check the send window for a lead and park it until the window opens if it is closed
+   * @param {string|null} storedTimezone - campaign_leads.timezone (from the workflow cursor)
+   * @returns {Promise<Object|null>} null if the action may run now, else { opensAt, timezone, reason }
+   */
+  async holdUntilOpen(campaign, campaignLead, tenantId, storedTimezone = null, now = new Date()) {
+    const window = this.getWindow(campaign);
+    if (!window) return null;
+    const { timezone, source } = this.resolveTimezone(campaignLead, window, storedTimezone);
+    if (!storedTimezone && source !== 'campaign') {
+      // Keep the inference so it is visible on the lead and can be corrected
+      await CampaignLeadRepository.update(campaignLead.id, tenantId, { timezone });
+    }
+    if (SendWindowUtil.isOpen(window, timezone, now)) {
+      return null;
+    }
+    let opensAt = SendWindowUtil.getNextOpening(window, timezone, now);
+    let reason;
+    if (opensAt) {
+      reason = `Outside send window (${timezone}) - deferred until ${opensAt.toISOString()}`;
+    } else {
+      opensAt = new Date(now.getTime() + NO_OPENING_RETRY_MS);
+      reason = `No open send window day ahead (${timezone}) - retrying at ${opensAt.toISOString()}`;
+      logger.warn('[SendWindowService] Send window never opens within lookahead', {
+        campaignId: campaign.id,
+        campaignLeadId: campaignLead.id,
+        timezone
+      });
+    }
+    await CampaignLeadRepository.update(campaignLead.id, tenantId, { deferred_until: opensAt });
+    return { opensAt, timezone, reason };
+  }
+}
+
+module.exports = new SendWindowService();
@@ -5,11 +5,6 @@
 const { pool } = require('../../../shared/database/connection');
 const { getSchema } = require('../../../core/utils/schemaHelper');
 const logger = require('../../../core/utils/logger');
-const axios = require('axios');
-const BACKEND_URL = process.env.BACKEND_INTERNAL_URL || process.env.NEXT_PUBLIC_BACKEND_URL || process.env.BACKEND_URL;
-if (!BACKEND_URL) {
-  throw new Error('BACKEND_URL, BACKEND_INTERNAL_URL, or NEXT_PUBLIC_BACKEND_URL must be set');
-}
 /**
  * Helper function to get lead data from campaign_leads table
  * Tries lead_data first, falls back to custom_fields if lead_data doesn't exist
@@ -217,10 +212,28 @@ async function getLeadData(campaignLeadId, req = null, tenantId = null) {
     throw err;
   }
 }
+/**
+ * Record a channel dispatch in campaign_analytics
+ * @param {Object} fields - channel, responseData and the channel's own fields (leadEmail, leadPhone, messageContent)
+ */
+async function trackDispatch(actionType, campaignLead, leadData, result, userId, tenantId, fields) {
+  const { campaignStatsTracker } = require('./campaignStatsTracker');
+  await campaignStatsTracker.trackAction(campaignLead.campaign_id, actionType, {
+    leadId: campaignLead.lead_id || campaignLead.id,
+    leadName: leadData.name || [leadData.first_name, leadData.last_name].filter(Boolean).join(' ') || null,
+    status: result.success ? 'success' : 'failed',
+    errorMessage: result.error || null,
+    tenantId,
+    accountName: result.data?.from || null,
+    userId,
+    ...fields
+  });
+}
 /**
  * Execute email step
+ * Sends over SMTP via the email channel dispatcher and records EMAIL_SENT
  */
-async function executeEmailStep(stepType, stepConfig, campaignLead, userId, tenantId) {
+async function executeEmailStep(stepType, stepConfig, campaignLead, userId, tenantId, stepId = null) {
   try {
     // Get lead data
     const leadData = await getLeadData(campaignLead.id, null, tenantId);
@@ -231,18 +244,38 @@ async function executeEmailStep(stepType, stepConfig, campaignLead, userId, tena
     if (!email) {
       return { success: false, error: 'Email not found for lead' };
     }
-    const subject = stepConfig.subject || stepConfig.emailSubject || 'Re: {{company_name}}';
-    const body = stepConfig.body || stepConfig.emailBody || stepConfig.message || 'Hi {{first_name}},...';
-    // TODO: Implement actual email sending via SMTP or email service
-    return { success: true, email, subject, body };
+    const emailDispatcher = require('../engine/channelDispatchers/email');
+    const result = await emailDispatcher.execute(
+      stepType,
+      { ...campaignLead, lead_data: { ...leadData, email } },
+      stepConfig,
+      userId,
+      tenantId,
+      { stepId }
+    );
+    // Deferred sends (daily mailbox limit) are retried on a later run, nothing to record yet;
+    // nothing went out for a broken template either - the workflow engine records that failure
+    if (result.skipped || result.validationError) {
+      return result;
+    }
+    await trackDispatch('EMAIL_SENT', campaignLead, leadData, result, userId, tenantId, {
+      channel: 'email',
+      leadEmail: email,
+      messageContent: result.data?.subject || null,
+      responseData: result.success
+        ? { messageId: result.data.messageId, mailboxId: result.data.mailboxId, stepType }
+        : null
+    });
+    return result;
   } catch (error) {
     return { success: false, error: error.message };
   }
 }
 /**
  * Execute WhatsApp step
+ * Sends through the lead's WhatsApp provider via the WhatsApp channel dispatcher and records WHATSAPP_SENT
  */
-async function executeWhatsAppStep(stepType, stepConfig, campaignLead, userId, tenantId) {
+async function executeWhatsAppStep(stepType, stepConfig, campaignLead, userId, tenantId, stepId = null) {
   try {
     // Get lead data
     const leadData = await getLeadData(campaignLead.id, null, tenantId);
@@ -253,33 +286,89 @@ async function executeWhatsAppStep(stepType, stepConfig, campaignLead, userId, t
     if (!phone) {
       return { success: false, error: 'Phone number not found for lead' };
     }
-    const message = stepConfig.whatsappMessage || stepConfig.message || 'Hi {{first_name}},...';
-    // TODO: Implement actual WhatsApp sending
-    return { success: true, phone, message };
+    const whatsAppDispatcher = require('../engine/channelDispatchers/whatsapp');
+    const result = await whatsAppDispatcher.execute(
+      stepType,
+      { ...campaignLead, lead_data: { ...leadData, phone } },
+      stepConfig,
+      userId,
+      tenantId,
+      { stepId }
+    );
+    // Deferred sends (daily account limit) are retried on a later run, nothing to record yet;
+    // nothing went out for a broken template either - the workflow engine records that failure
+    if (result.skipped || result.validationError) {
+      return result;
+    }
+    await trackDispatch('WHATSAPP_SENT', campaignLead, leadData, result, userId, tenantId, {
+      channel: 'whatsapp',
+      leadPhone: phone,
+      messageContent: result.data?.message || result.data?.templateName || null,
+      responseData: result.success
+        ? {
+          providerMessageId: result.data.providerMessageId,
+          accountId: result.data.accountId,
+          messageType: result.data.messageType,
+          stepType
+        }
+        : null
+    });
+    return result;
   } catch (error) {
     return { success: false, error: error.message };
   }
 }
 /**
  * Execute Instagram step
+ * Runs the action through the Instagram channel dispatcher and records its INSTAGRAM_* action
  */
-async function executeInstagramStep(stepType, stepConfig, campaignLead, userId, tenantId) {
+async function executeInstagramStep(stepType, stepConfig, campaignLead, userId, tenantId, stepId = null) {
   try {
     // Get lead data
     const leadData = await getLeadData(campaignLead.id, null, tenantId);
     if (!leadData) {
       return { success: false, error: 'Lead not found' };
     }
-    // TODO: Implement actual Instagram actions
-    return { success: true, stepType };
+    const instagramDispatcher = require('../engine/channelDispatchers/instagram');
+    const result = await instagramDispatcher.execute(
+      stepType,
+      { ...campaignLead, lead_data: leadData },
+      stepConfig,
+      userId,
+      tenantId,
+      { stepId }
+    );
+    // Deferred actions (daily account limit) are retried on a later run, nothing to record yet;
+    // nothing went out for a broken template either - the workflow engine records that failure
+    const actionType = instagramDispatcher.getActionType(stepType);
+    if (result.skipped || result.validationError || !actionType) {
+      return result;
+    }
+    await trackDispatch(actionType, campaignLead, leadData, result, userId, tenantId, {
+      channel: 'instagram',
+      messageContent: result.data?.message || null,
+      responseData: result.success
+        ? {
+          accountId: result.data.accountId,
+          username: result.data.username || null,
+          providerUserId: result.data.providerUserId || null,
+          providerPostId: result.data.providerPostId || null,
+          providerMessageId: result.data.providerMessageId || null,
+          stepType
+        }
+        : null
+    });
+    return result;
   } catch (error) {
     return { success: false, error: error.message };
   }
 }
 /**
  * Execute voice agent step
+ * Starts the call via the voice channel dispatcher and records VOICE_CALL_MADE;
+ * the outcome arrives later through the call-completion webhook
  */
-async function executeVoiceAgentStep(stepConfig, campaignLead, userId, tenantId) {
+async function executeVoiceAgentStep(stepConfig, campaignLead, userId, tenantId, stepId = null) {
   try {
     // Get lead data
     const leadData = await getLeadData(campaignLead.id, null, tenantId);
@@ -290,31 +379,34 @@ async function executeVoiceAgentStep(stepConfig, campaignLead, userId, tenantId)
     if (!phone) {
       return { success: false, error: 'Phone number not found for lead' };
     }
-    const leadName = leadData.name || leadData.employee_name || 'there';
-    const agentId = stepConfig.voiceAgentId || stepConfig.agent_id;
-    const addedContext = stepConfig.voiceContext || stepConfig.added_context || '';
-    // Call voice agent API (internal call, no auth needed)
-    const response = await axios.post(
-      `${BACKEND_URL}/api/voiceagents/calls`,
-      {
-        agent_id: agentId,
-        to_number: phone,
-        lead_name: leadName,
-        added_context: addedContext,
-        initiated_by: userId
-      },
-      {
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        timeout: 30000 // 30 second timeout
-      }
+    const voiceDispatcher = require('../engine/channelDispatchers/voice');
+    const { campaignStatsTracker } = require('./campaignStatsTracker');
+    const result = await voiceDispatcher.execute(
+      'voice_agent_call',
+      { ...campaignLead, lead_data: { ...leadData, phone, name: leadData.name || leadData.employee_name } },
+      stepConfig,
+      userId,
+      tenantId,
+      { stepId }
     );
-    if (response.data && response.data.success !== false) {
-      return { success: true };
-    } else {
-      return { success: false, error: response.data?.error || 'Failed to initiate call' };
+    // No call was placed for a broken context template - the workflow engine records that failure
+    if (result.validationError) {
+      return result;
     }
+    await campaignStatsTracker.trackAction(campaignLead.campaign_id, 'VOICE_CALL_MADE', {
+      leadId: campaignLead.lead_id || campaignLead.id,
+      channel: 'voice',
+      leadName: leadData.name || leadData.employee_name || null,
+      leadPhone: phone,
+      status: result.success ? 'success' : 'failed',
+      errorMessage: result.error || null,
+      tenantId,
+      userId,
+      responseData: result.success
+        ? { callId: result.data.callId, agentId: result.data.agentId }
+        : null
+    });
+    return result;
   } catch (error) {
     return { success: false, error: error.message };
   }
@@ -332,32 +424,27 @@ async function executeDelayStep(stepConfig) {
 }
 /**
  * Execute condition step
+ * Evaluated against the lead's recorded campaign_analytics actions
  */
-async function executeConditionStep(stepConfig, campaignLead) {
+async function executeConditionStep(stepConfig, campaignLead, tenantId = null) {
+  const conditionEvaluator = require('../engine/conditionEvaluator');
+  const CampaignAnalyticsRepository = require('../repositories/CampaignAnalyticsRepository');
+  const actualTenantId = tenantId || campaignLead.tenant_id;
+  let actionLog = [];
+  if (actualTenantId) {
+    actionLog = await CampaignAnalyticsRepository.getSuccessfulActionsForLead(
+      campaignLead.campaign_id,
+      [campaignLead.lead_id, campaignLead.id],
+      actualTenantId
+    );
+  }
   const conditionType = stepConfig.condition || stepConfig.conditionType;
-  // Per TDD: Use dynamic schema
-  const schema = getSchema(req);
-  const activitiesResult = await pool.query(
-    `SELECT status FROM ${schema}.campaign_lead_activities 
-     WHERE campaign_lead_id = $1 AND is_deleted = FALSE
-     ORDER BY created_at DESC LIMIT 10`,
-    [campaignLead.id]
+  const conditionMet = await conditionEvaluator.evaluateCondition(
+    { config: { ...stepConfig, conditionType } },
+    campaignLead,
+    null,
+    { actions: actionLog.map(row => row.action_type), actionLog, unknownConditionMet: true }
   );
-  const activities = activitiesResult.rows;
-  let conditionMet = false;
-  switch (conditionType) {
-    case 'connected':
-      conditionMet = activities.some(a => a.status === 'connected');
-      break;
-    case 'replied':
-      conditionMet = activities.some(a => a.status === 'replied');
-      break;
-    case 'opened':
-      conditionMet = activities.some(a => a.status === 'opened');
-      break;
-    default:
-      conditionMet = true; // Default to true if condition type unknown
-  }
   return { success: true, conditionMet };
 }
 module.exports = {
@@ -3,37 +3,51 @@
  * Handles validation of campaign step configurations
  */
 /**
- * Get required fields for each step type (matches frontend validation)
+ * Required fields for each step type (matches frontend validation)
+ */
+const REQUIRED_FIELDS = {
+  linkedin_connect: [], // Message is optional due to LinkedIn's 4-5 connection messages/month limit
+  linkedin_message: ['message'],
+  email_send: ['subject', 'body'],
+  email_followup: ['body'], // Subject defaults to the thread's "Re: ..." subject
+  whatsapp_send: ['whatsappMessage'], // Or an approved template (whatsappTemplateName)
+  voice_agent_call: ['voiceAgentId', 'voiceContext'], // voiceContext maps to added_context (required by API)
+  instagram_dm: ['instagramUsername', 'instagramDmMessage'],
+  delay: ['delayDays', 'delayHours'], // At least one time unit must be > 0
+  condition: [], // Handled specially - accepts 'condition' or 'conditionType'
+  switch: [], // Handled specially - requires a non-empty 'branches' array
+  merge: [],
+  wait_for_event: [], // Handled specially - requires 'events' (or 'event')
+  linkedin_scrape_profile: ['linkedinScrapeFields'],
+  linkedin_company_search: ['linkedinCompanyName'],
+  linkedin_employee_list: ['linkedinCompanyUrl'],
+  linkedin_autopost: ['linkedinPostContent'], // Optional: linkedinPostImageUrls, linkedinPostScheduledAt, linkedinPostAccountId
+  linkedin_reaction: [], // Handled specially - linkedinReactionType defaults to 'like'
+  linkedin_comment: ['linkedinCommentText'], // Not required when linkedinCommentMode is 'ai'
+  linkedin_comment_reply: ['linkedinCommentText'], // Not required when linkedinCommentMode is 'ai'
+  instagram_follow: ['instagramUsername'],
+  instagram_like: ['instagramPostUrl'],
+  instagram_autopost: ['instagramPostCaption', 'instagramPostImageUrl'],
+  instagram_comment_reply: ['instagramCommentText'],
+  instagram_story_view: ['instagramUsername'],
+  lead_generation: [], // Handled specially - uses leadGenerationFilters
+  // No required fields for these
+  linkedin_visit: [],
+  linkedin_follow: [],
+  start: [],
+  end: [],
+};
+/**
+ * Get required fields for each step type
  */
 function getRequiredFieldsForStepType(stepType) {
-  const requiredFields = {
-    linkedin_connect: [], // Message is optional due to LinkedIn's 4-5 connection messages/month limit
-    linkedin_message: ['message'],
-    email_send: ['subject', 'body'],
-    email_followup: ['subject', 'body'],
-    whatsapp_send: ['whatsappMessage'],
-    voice_agent_call: ['voiceAgentId', 'voiceContext'], // voiceContext maps to added_context (required by API)
-    instagram_dm: ['instagramUsername', 'instagramDmMessage'],
-    delay: ['delayDays', 'delayHours'], // At least one time unit must be > 0
-    condition: [], // Handled specially - accepts 'condition' or 'conditionType'
-    linkedin_scrape_profile: ['linkedinScrapeFields'],
-    linkedin_company_search: ['linkedinCompanyName'],
-    linkedin_employee_list: ['linkedinCompanyUrl'],
-    linkedin_autopost: ['linkedinPostContent'],
-    linkedin_comment_reply: ['linkedinCommentText'],
-    instagram_follow: ['instagramUsername'],
-    instagram_like: ['instagramPostUrl'],
-    instagram_autopost: ['instagramPostCaption', 'instagramPostImageUrl'],
-    instagram_comment_reply: ['instagramCommentText'],
-    instagram_story_view: ['instagramUsername'],
-    lead_generation: [], // Handled specially - uses leadGenerationFilters
-    // No required fields for these
-    linkedin_visit: [],
-    linkedin_follow: [],
-    start: [],
-    end: [],
-  };
-  return requiredFields[stepType] || [];
+  return REQUIRED_FIELDS[stepType] || [];
+}
+/**
+ * Whether a step type is one the workflow engine knows about
+ */
+function isKnownStepType(stepType) {
+  return Object.prototype.hasOwnProperty.call(REQUIRED_FIELDS, stepType);
 }
 /**
  * Check if a field value is valid (not empty, null, or undefined)
@@ -54,8 +68,51 @@ function isDelayValid(stepConfig) {
   const minutes = parseInt(stepConfig.delayMinutes || stepConfig.delay_minutes || 0);
   return days > 0 || hours > 0 || minutes > 0;
 }
+/**
+ * Check a step's message copy (and A/B variant copy) for template syntax errors
+ * such as an unclosed {% if %} or an unknown filter
+ * @returns {Object} { valid, error, invalidFields }
+ */
+function validateStepTemplates(stepType, stepConfig = {}) {
+  const MessageTemplateUtil = require('../utils/messageTemplateUtil');
+  const messagePreviewService = require('./MessagePreviewService');
+  const invalidFields = [];
+  const errors = [];
+  for (const [field, template] of messagePreviewService.collectTemplateFields(stepType, stepConfig)) {
+    const validation = MessageTemplateUtil.validate(template);
+    if (!validation.valid) {
+      invalidFields.push(field);
+      errors.push(`${field}: ${validation.errors.join('; ')}`);
+    }
+  }
+  if (errors.length > 0) {
+    return {
+      valid: false,
+      error: `Invalid message template - ${errors.join('. ')}`,
+      invalidFields
+    };
+  }
+  return { valid: true };
+}
+/**
+ * Check the message templates of every step in a workflow before it is saved
+ * @param {Array} steps - Steps as sent by the builder ({ type | step_type, config })
+ * @returns {Object} { valid, error } - error names the first broken step
+ */
+function validateWorkflowTemplates(steps = []) {
+  const { parseStepConfig, getStepType } = require('../engine/workflowGraph');
+  for (const [index, step] of steps.entries()) {
+    if (!step || typeof step !== 'object') continue;
+    const validation = validateStepTemplates(getStepType(step), parseStepConfig(step));
+    if (!validation.valid) {
+      return { valid: false, error: `Step ${index + 1} (${step.title || getStepType(step)}): ${validation.error}` };
+    }
+  }
+  return { valid: true };
+}
 /**
  * Validate step configuration - check if all required fields are filled
+ * and that the message copy is a valid template
  */
 function validateStepConfig(stepType, stepConfig) {
   let requiredFields = getRequiredFieldsForStepType(stepType);
@@ -71,9 +128,159 @@ function validateStepConfig(stepType, stepConfig) {
         missingFields: ['condition']
       };
     }
+    // call_disposition branches on the latest call outcome - needs the disposition(s) to match
+    if ((stepConfig.conditionType || stepConfig.condition) === 'call_disposition' &&
+      !isFieldValid(stepConfig.disposition) && !isFieldValid(stepConfig.dispositions)) {
+      return {
+        valid: false,
+        error: 'Call disposition condition requires a disposition (interested, callback, voicemail, not_interested or no_answer)',
+        missingFields: ['disposition']
+      };
+    }
+    // reply_intent branches on the latest classified reply - needs the intent(s) to match
+    if ((stepConfig.conditionType || stepConfig.condition) === 'reply_intent' &&
+      !isFieldValid(stepConfig.intent) && !isFieldValid(stepConfig.intents)) {
+      return {
+        valid: false,
+        error: 'Reply intent condition requires an intent (interested, not_interested, out_of_office, referral, unsubscribe or question)',
+        missingFields: ['intent']
+      };
+    }
     // Condition validation passed
     return { valid: true };
   }
+  // Special handling for switch - every branch needs a handle and a condition
+  if (stepType === 'switch') {
+    const branches = stepConfig.branches;
+    if (!Array.isArray(branches) || branches.length === 0) {
+      return {
+        valid: false,
+        error: 'Switch step requires at least one branch',
+        missingFields: ['branches']
+      };
+    }
+    const incomplete = branches.filter(branch =>
+      !branch ||
+      !(isFieldValid(branch.handle) || isFieldValid(branch.id)) ||
+      !(isFieldValid(branch.conditionType) || isFieldValid(branch.condition))
+    );
+    if (incomplete.length > 0) {
+      return {
+        valid: false,
+        error: 'Every switch branch needs a handle and a condition (condition or conditionType field)',
+        missingFields: ['branches']
+      };
+    }
+    return { valid: true };
+  }
+  // Special handling for wait_for_event - needs at least one known event
+  if (stepType === 'wait_for_event') {
+    const conditionEvaluator = require('../engine/conditionEvaluator');
+    const { events } = conditionEvaluator.getWaitConfig({ config: stepConfig });
+    if (events.length === 0) {
+      return {
+        valid: false,
+        error: 'Wait for event step requires at least one event',
+        missingFields: ['events']
+      };
+    }
+    const unknown = events.filter(eventName => !conditionEvaluator.isWaitEvent(eventName));
+    if (unknown.length > 0) {
+      return {
+        valid: false,
+        error: `Unknown wait event(s): ${unknown.join(', ')}`,
+        missingFields: ['events']
+      };
+    }
+    return { valid: true };
+  }
+  // Special handling for linkedin_scrape_profile - every requested section must be one we can scrape
+  if (stepType === 'linkedin_scrape_profile') {
+    const linkedInProfileSnapshotService = require('./LinkedInProfileSnapshotService');
+    const fields = linkedInProfileSnapshotService.getScrapeFields(stepConfig);
+    if (fields.length === 0) {
+      return {
+        valid: false,
+        error: 'Scrape profile step requires at least one profile field (experience, education, skills or recent_activity)',
+        missingFields: ['linkedinScrapeFields']
+      };
+    }
+    const unknown = linkedInProfileSnapshotService.getUnknownFields(fields);
+    if (unknown.length > 0) {
+      return {
+        valid: false,
+        error: `Unknown profile field(s): ${unknown.join(', ')}. Supported: experience, education, skills, recent_activity`,
+        missingFields: ['linkedinScrapeFields']
+      };
+    }
+    return { valid: true };
+  }
+  // Lead sourcing steps - seniority levels must be ones the employee filter knows
+  if (stepType === 'linkedin_company_search' || stepType === 'linkedin_employee_list') {
+    const linkedInLeadSourcingService = require('./LinkedInLeadSourcingService');
+    const { unknownSeniority } = linkedInLeadSourcingService.getEmployeeFilters(stepConfig);
+    if (unknownSeniority.length > 0) {
+      return {
+        valid: false,
+        error: `Unknown seniority level(s): ${unknownSeniority.join(', ')}. Supported: Owner, CXO, VP, Director, Manager`,
+        missingFields: ['linkedinEmployeeSeniority']
+      };
+    }
+  }
+  // Autopost - images and schedule must be usable by the posting scheduler
+  if (stepType === 'linkedin_autopost') {
+    const imageUrls = stepConfig.linkedinPostImageUrls;
+    if (imageUrls !== undefined && imageUrls !== null &&
+      (!Array.isArray(imageUrls) || imageUrls.length > 9 || imageUrls.some(url => typeof url !== 'string' || !/^https?:\/\/\S+$/i.test(url.trim())))) {
+      return {
+        valid: false,
+        error: 'Post images must be a list of at most 9 image URLs (http or https)',
+        missingFields: ['linkedinPostImageUrls']
+      };
+    }
+    if (isFieldValid(stepConfig.linkedinPostScheduledAt) && Number.isNaN(new Date(stepConfig.linkedinPostScheduledAt).getTime())) {
+      return {
+        valid: false,
+        error: 'Post schedule time must be a valid date',
+        missingFields: ['linkedinPostScheduledAt']
+      };
+    }
+  }
+  // The Instagram dispatcher cannot publish posts yet - fail here instead of at run time
+  if (stepType === 'instagram_autopost') {
+    return {
+      valid: false,
+      error: 'Instagram autopost is not supported yet. Remove the step or publish the post manually',
+      missingFields: []
+    };
+  }
+  // Post engagement steps - reaction type and comment mode must be known ones
+  if (stepType === 'linkedin_reaction') {
+    const linkedInEngagementService = require('./LinkedInEngagementService');
+    if (!linkedInEngagementService.getReactionType(stepConfig)) {
+      return {
+        valid: false,
+        error: `Unknown reaction type: ${stepConfig.linkedinReactionType}. Supported: like, celebrate, support, love, insightful, funny`,
+        missingFields: ['linkedinReactionType']
+      };
+    }
+    return { valid: true };
+  }
+  if (stepType === 'linkedin_comment' || stepType === 'linkedin_comment_reply') {
+    const linkedInEngagementService = require('./LinkedInEngagementService');
+    const mode = linkedInEngagementService.getCommentMode(stepConfig);
+    if (!mode) {
+      return {
+        valid: false,
+        error: `Unknown comment mode: ${stepConfig.linkedinCommentMode}. Supported: template, ai`,
+        missingFields: ['linkedinCommentMode']
+      };
+    }
+    // AI-drafted comments only fall back to linkedinCommentText, so it is optional
+    if (mode === 'ai') {
+      requiredFields = requiredFields.filter(field => field !== 'linkedinCommentText');
+    }
+  }
   // Special validation for delay step
   if (stepType === 'delay') {
     if (!isDelayValid(stepConfig)) {
@@ -182,6 +389,11 @@ function validateStepConfig(stepType, stepConfig) {
     // Remove voiceContext from requiredFields check since we handled it above
     requiredFields = requiredFields.filter(f => f !== 'voiceContext');
   }
+  // Special handling for whatsapp_send - a session message or an approved template
+  if (stepType === 'whatsapp_send' &&
+    (isFieldValid(stepConfig.whatsappTemplateName) || isFieldValid(stepConfig.templateName))) {
+    requiredFields = requiredFields.filter(f => f !== 'whatsappMessage');
+  }
   // Check all required fields
   for (const field of requiredFields) {
     const fieldValue = stepConfig[field];
@@ -197,6 +409,11 @@ function validateStepConfig(stepType, stepConfig) {
       missingFields: missingFields
     };
   }
+  // A broken template would go out blank or cut short
+  const templateValidation = validateStepTemplates(stepType, stepConfig);
+  if (!templateValidation.valid) {
+    return templateValidation;
+  }
   return { valid: true };
 }
 /**
@@ -213,8 +430,11 @@ function getChannelForStepType(stepType) {
 }
 module.exports = {
   getRequiredFieldsForStepType,
+  isKnownStepType,
   isFieldValid,
   isDelayValid,
   validateStepConfig,
+  validateStepTemplates,
+  validateWorkflowTemplates,
   getChannelForStepType
 };
@@ -0,0 +1,363 @@
+/**
+ * Suppression Service
+ * Tenant-wide do-not-contact list (emails, phone numbers, LinkedIn profiles, company domains)
+ *
+ * Entries are normalized on the way in so they can be matched exactly against
+ * the identifiers collected from a lead: every outreach step checks the list
+ * before dispatching (CampaignProcessor) and lead saving skips suppressed
+ * contacts (LeadSaveService). A domain entry also covers its subdomains.
+ *
+ * LAD Architecture: Service layer - no SQL, uses repositories
+ */
+const SuppressionRepository = require('../repositories/SuppressionRepository');
+const logger = require('../../../core/utils/logger');
+const TYPES = ['email', 'phone', 'linkedin', 'domain'];
+const MAX_ENTRIES_PER_REQUEST = 1000;
+const MAX_IMPORT_ROWS = 50000;
+// CSV header aliases -> entry type
+const CSV_COLUMNS = {
+  email: 'email',
+  email_address: 'email',
+  phone: 'phone',
+  phone_number: 'phone',
+  mobile: 'phone',
+  whatsapp: 'phone',
+  linkedin: 'linkedin',
+  linkedin_url: 'linkedin',
+  linkedin_profile: 'linkedin',
+  provider_id: 'linkedin',
+  domain: 'domain',
+  company_domain: 'domain',
+  website: 'domain'
+};
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+class SuppressionService {
+  /**
+   * Normalize a value for storage/matching
+   * @returns {string|null} Normalized value, or null if it is not a valid value of that type
+   */
+  normalize(type, value) {
+    if (value === undefined || value === null) return null;
+    const raw = String(value).trim();
+    if (!raw) return null;
+    switch (type) {
+      case 'email': {
+        const email = raw.toLowerCase().replace(/^mailto:/, '');
+        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) ? email : null;
+      }
+      case 'phone': {
+        const digits = raw.replace(/\D/g, '').replace(/^00/, '');
+        return digits.length >= 7 ? digits : null;
+      }
+      case 'linkedin': {
+        const profileMatch = raw.match(/linkedin\.com\/(?:in|pub)\/([^/?#\s]+)/i);
+        if (profileMatch) {
+          try {
+            return decodeURIComponent(profileMatch[1]).toLowerCase();
+          } catch (error) {
+            return profileMatch[1].toLowerCase();
+          }
+        }
+        // Unipile provider id or bare public identifier
+        return /^[\w-]+$/.test(raw) ? raw.toLowerCase() : null;
+      }
+      case 'domain': {
+        const domain = raw.toLowerCase()
+          .replace(/^[a-z]+:\/\//, '')
+          .replace(/^[^@]*@/, '')
+          .split(/[/?#:]/)[0]
+          .replace(/^www\./, '')
+          .replace(/\.$/, '');
+        return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain) ? domain : null;
+      }
+      default:
+        return null;
+    }
+  }
+  /**
+   * Validate and normalize entries from an API request
+   * @returns {Object} { valid: [{ type, value, reason }], invalid: [{ type, value, error }] }
+   */
+  prepareEntries(entries) {
+    const valid = [];
+    const invalid = [];
+    const seen = new Set();
+    for (const entry of entries) {
+      const type = entry?.type ? String(entry.type).toLowerCase() : this.inferType(entry?.value);
+      if (!TYPES.includes(type)) {
+        invalid.push({ type: entry?.type || null, value: entry?.value ?? null, error: `type must be one of: ${TYPES.join(', ')}` });
+        continue;
+      }
+      const value = this.normalize(type, entry.value);
+      if (!value) {
+        invalid.push({ type, value: entry.value ?? null, error: `Invalid ${type}` });
+        continue;
+      }
+      const key = `${type}:${value}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      valid.push({ type, value, reason: entry.reason ? String(entry.reason).slice(0, 1000) : null });
+    }
+    return { valid, invalid };
+  }
+  /**
+   * Guess the type of an untyped value (header-less CSV files, entries without a type)
+   */
+  inferType(value) {
+    const raw = value ? String(value).trim() : '';
+    if (!raw) return null;
+    if (/linkedin\.com\//i.test(raw)) return 'linkedin';
+    if (raw.includes('@')) return 'email';
+    if (/^\+?[\d\s().-]{7,}$/.test(raw)) return 'phone';
+    if (/^(https?:\/\/)?(www\.)?[a-z0-9-]+(\.[a-z0-9-]+)+\/?$/i.test(raw)) return 'domain';
+    return null;
+  }
+  async listEntries(tenantId, query = {}, context = {}) {
+    if (query.type && !TYPES.includes(query.type)) {
+      throw badRequest(`type must be one of: ${TYPES.join(', ')}`);
+    }
+    return SuppressionRepository.list(tenantId, {
+      type: query.type || null,
+      search: query.search || null,
+      limit: Math.min(parseInt(query.limit, 10) || 50, 500),
+      offset: parseInt(query.offset, 10) || 0
+    }, context);
+  }
+  async getEntry(id, tenantId, context = {}) {
+    return SuppressionRepository.getById(id, tenantId, context);
+  }
+  /**
+   * Add one entry ({ type, value, reason }) or many ({ entries: [...] })
+   * @returns {Promise<Object>} { added, duplicates, invalid, entries }
+   */
+  async addEntries(tenantId, userId, body = {}, context = {}) {
+    const entries = Array.isArray(body.entries) ? body.entries : [body];
+    if (entries.length === 0) {
+      throw badRequest('At least one entry is required');
+    }
+    if (entries.length > MAX_ENTRIES_PER_REQUEST) {
+      throw badRequest(`At most ${MAX_ENTRIES_PER_REQUEST} entries per request - use the CSV import for larger lists`);
+    }
+    const { valid, invalid } = this.prepareEntries(entries);
+    if (valid.length === 0) {
+      throw badRequest(invalid[0]?.error || 'No valid entries');
+    }
+    const inserted = await SuppressionRepository.bulkInsert(tenantId, valid, { source: 'manual', createdByUserId: userId }, context);
+    return {
+      added: inserted.length,
+      duplicates: valid.length - inserted.length,
+      invalid,
+      entries: inserted
+    };
+  }
+  /**
+   * Import a CSV file
+   * Accepts a header row with type,value[,reason] columns, one column per type
+   * (email, phone, linkedin_url, domain, ...), or no header at all (types inferred)
+   * @returns {Promise<Object>} { rows, added, duplicates, invalid (count), errors (first 20) }
+   */
+  async importCsv(tenantId, userId, csvText, options = {}, context = {}) {
+    if (!csvText || !String(csvText).trim()) {
+      throw badRequest('CSV content is required (upload a file or send { csv })');
+    }
+    const rows = this.parseCsv(String(csvText));
+    if (rows.length > MAX_IMPORT_ROWS + 1) {
+      throw badRequest(`CSV import is limited to ${MAX_IMPORT_ROWS} rows`);
+    }
+    const entries = this.entriesFromRows(rows, options.reason);
+    const { valid, invalid } = this.prepareEntries(entries);
+    const inserted = valid.length > 0
+      ? await SuppressionRepository.bulkInsert(tenantId, valid, { source: 'csv_import', createdByUserId: userId }, context)
+      : [];
+    logger.info('[SuppressionService] CSV imported', {
+      tenantId,
+      rows: rows.length,
+      added: inserted.length,
+      invalid: invalid.length
+    });
+    return {
+      rows: rows.length,
+      added: inserted.length,
+      duplicates: valid.length - inserted.length,
+      invalid: invalid.length,
+      errors: invalid.slice(0, 20)
+    };
+  }
+  entriesFromRows(rows, defaultReason = null) {
+    if (rows.length === 0) return [];
+    const header = rows[0].map(cell => cell.trim().toLowerCase().replace(/[\s-]+/g, '_'));
+    const typeIndex = header.indexOf('type');
+    const valueIndex = header.indexOf('value');
+    const reasonIndex = header.indexOf('reason');
+    const reasonOf = row => (reasonIndex >= 0 && row[reasonIndex]) || defaultReason;
+    if (typeIndex >= 0 && valueIndex >= 0) {
+      return rows.slice(1).map(row => ({ type: row[typeIndex], value: row[valueIndex], reason: reasonOf(row) }));
+    }
+    const typedColumns = header
+      .map((name, index) => ({ index, type: CSV_COLUMNS[name] }))
+      .filter(column => column.type);
+    if (typedColumns.length > 0) {
+      const entries = [];
+      for (const row of rows.slice(1)) {
+        for (const column of typedColumns) {
+          if (row[column.index] && row[column.index].trim()) {
+            entries.push({ type: column.type, value: row[column.index], reason: reasonOf(row) });
+          }
+        }
+      }
+      return entries;
+    }
+    // No recognised header - every non-empty cell is a value of an inferred type
+    return rows.flatMap(row => row
+      .filter(cell => cell && cell.trim())
+      .map(cell => ({ type: this.inferType(cell), value: cell, reason: defaultReason })));
+  }
+  /**
+   * Minimal RFC 4180 parser (quoted fields, escaped quotes, CRLF, comma or semicolon delimiter)
+   * @returns {Array<Array<string>>} Non-empty rows
+   */
+  parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const source = text.replace(/^\uFEFF/, '');
+    // Spreadsheet exports in some locales use semicolons
+    const firstLine = source.split(/\r?\n/, 1)[0];
+    const delimiter = firstLine.includes(';') && !firstLine.includes(',') ? ';' : ',';
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
+      if (inQuotes) {
+        if (char === '"' && source[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && source[i + 1] === '\n') i++;
+        row.push(field);
+        if (row.some(cell => cell.trim())) rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    row.push(field);
+    if (row.some(cell => cell.trim())) rows.push(row);
+    return rows;
+  }
+  async updateEntry(id, tenantId, updates = {}, context = {}) {
+    if (updates.reason === undefined) {
+      throw badRequest('Only reason can be updated - delete and re-add to change the value');
+    }
+    return SuppressionRepository.updateReason(id, tenantId, updates.reason ? String(updates.reason).slice(0, 1000) : null, context);
+  }
+  async removeEntry(id, tenantId, context = {}) {
+    return SuppressionRepository.delete(id, tenantId, context);
+  }
+  /**
+   * Check a lead against the list
+   * @param {Object} lead - campaign_leads row (lead_data/snapshot/enriched_*) or a raw lead_data object
+   * @returns {Promise<Object|null>} Matching entry or null
+   */
+  async findMatchForLead(tenantId, lead, context = {}) {
+    const identifiers = this.collectIdentifiers(lead);
+    const total = identifiers.email.length + identifiers.phone.length + identifiers.linkedin.length + identifiers.domain.length;
+    if (total === 0) return null;
+    return SuppressionRepository.findMatch(tenantId, identifiers, context);
+  }
+  /**
+   * Human-readable reason recorded on skipped activities
+   */
+  describeMatch(match) {
+    return `Lead is on the do-not-contact list (${match.type}: ${match.value})${match.reason ? ` - ${match.reason}` : ''}`;
+  }
+  /**
+   * Normalized identifiers of a lead, from campaign_leads columns, lead_data and snapshot
+   * @returns {Object} { email: [], phone: [], linkedin: [], domain: [] }
+   */
+  collectIdentifiers(lead) {
+    const parse = value => (typeof value === 'string' ? this.safeParse(value) : (value || {}));
+    const leadData = parse(lead?.lead_data);
+    const snapshot = parse(lead?.snapshot);
+    const sources = [lead || {}, leadData, snapshot];
+    const pick = keys => sources.flatMap(source => keys.flatMap(key => [].concat(source[key] ?? [])));
+    const collected = { email: new Set(), phone: new Set(), linkedin: new Set(), domain: new Set() };
+    const add = (type, value) => {
+      const raw = value && typeof value === 'object'
+        ? value.sanitized_number || value.raw_number || value.email || value.number
+        : value;
+      const normalized = this.normalize(type, raw);
+      if (normalized) collected[type].add(normalized);
+    };
+    pick(['email', 'work_email', 'enriched_email', 'personal_emails']).forEach(value => add('email', value));
+    pick(['phone', 'phone_number', 'sanitized_phone', 'whatsapp', 'phone_numbers']).forEach(value => add('phone', value));
+    pick(['linkedin', 'linkedin_url', 'enriched_linkedin_url', 'profile_url', 'public_profile_url', 'public_identifier', 'provider_id', 'linkedin_provider_id'])
+      .forEach(value => add('linkedin', value));
+    pick(['company_domain', 'website', 'company_website']).forEach(value => add('domain', value));
+    add('domain', leadData.organization?.primary_domain);
+    for (const email of collected.email) {
+      add('domain', email.split('@')[1]);
+    }
+    // A domain entry covers subdomains: mail.eu.acme.com also checks eu.acme.com and acme.com
+    for (const domain of [...collected.domain]) {
+      const labels = domain.split('.');
+      for (let i = 1; i < labels.length - 1; i++) {
+        collected.domain.add(labels.slice(i).join('.'));
+      }
+    }
+    return {
+      email: [...collected.email],
+      phone: [...collected.phone],
+      linkedin: [...collected.linkedin],
+      domain: [...collected.domain]
+    };
+  }
+  /**
+   * Suppress a lead's own contact points after they asked to be left alone (never throws)
+   */
+  async suppressLead(tenantId, lead, reason, source = 'unsubscribe_reply') {
+    try {
+      const identifiers = this.collectIdentifiers(lead);
+      const entries = [
+        ...identifiers.email.map(value => ({ type: 'email', value, reason })),
+        ...identifiers.phone.map(value => ({ type: 'phone', value, reason })),
+        ...identifiers.linkedin.map(value => ({ type: 'linkedin', value, reason }))
+      ];
+      if (entries.length === 0) return 0;
+      const inserted = await SuppressionRepository.bulkInsert(tenantId, entries, { source });
+      return inserted.length;
+    } catch (error) {
+      logger.error('[SuppressionService] Failed to suppress lead', {
+        tenantId,
+        campaignLeadId: lead?.id,
+        error: error.message
+      });
+      return 0;
+    }
+  }
+  safeParse(value) {
+    try {
+      return JSON.parse(value) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+}
+
+module.exports = new SuppressionService();
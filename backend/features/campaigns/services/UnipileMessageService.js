@@ -240,5 +240,71 @@ class UnipileMessageService {
             };
         }
     }
+
+    /**
+     * List messages in an existing chat (newest first, Unipile cursor pagination)
+     * Works for any Unipile-connected account (LinkedIn, WhatsApp, ...)
+     *
+     * @param {string} chatId - Unipile chat ID
+     * @param {Object} options - { limit, cursor }
+     * @returns {Promise<Object>} { items, cursor }
+     */
+    async getChatMessages(chatId, options = {}) {
+        if (!this.base.isConfigured()) {
+            throw new Error('Unipile is not configured');
+        }
+        if (!chatId) {
+            throw new Error('Chat ID is required');
+        }
+        const response = await axios.get(
+            `${this.base.getBaseUrl()}/chats/${chatId}/messages`,
+            {
+                headers: this.base.getAuthHeaders(),
+                params: {
+                    limit: options.limit || 50,
+                    ...(options.cursor ? { cursor: options.cursor } : {})
+                },
+                timeout: Number(process.env.UNIPILE_PROFILE_TIMEOUT_MS) || 30000
+            }
+        );
+        const data = response.data?.data || response.data || {};
+        return {
+            items: data.items || [],
+            cursor: data.cursor || null
+        };
+    }
+
+    /**
+     * Send a message into an existing chat
+     *
+     * @param {string} chatId - Unipile chat ID
+     * @param {string} accountId - Unipile account ID (sender)
+     * @param {string} messageText - Message text to send
+     * @returns {Promise<Object>} { messageId }
+     */
+    async sendChatMessage(chatId, accountId, messageText) {
+        if (!this.base.isConfigured()) {
+            throw new Error('Unipile is not configured');
+        }
+        if (!chatId) {
+            throw new Error('Chat ID is required');
+        }
+        if (!messageText || !messageText.trim()) {
+            throw new Error('Message text is required');
+        }
+        const response = await axios.post(
+            `${this.base.getBaseUrl()}/chats/${chatId}/messages`,
+            {
+                ...(accountId ? { account_id: accountId } : {}),
+                text: messageText
+            },
+            {
+                headers: this.base.getAuthHeaders(),
+                timeout: Number(process.env.UNIPILE_PROFILE_TIMEOUT_MS) || 30000
+            }
+        );
+        const data = response.data?.data || response.data || {};
+        return { messageId: data.message_id || data.id || null };
+    }
 }
 module.exports = UnipileMessageService;
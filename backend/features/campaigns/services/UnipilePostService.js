@@ -0,0 +1,201 @@
+/**
+ * Unipile Post Service
+ * Handles LinkedIn posts: publishing and engagement (reactions, comments, replies to comments)
+ * LAD Architecture Compliant - Uses logger instead of console
+ */
+const axios = require('axios');
+const logger = require('../../../core/utils/logger');
+class UnipilePostService {
+    constructor(baseService) {
+        this.base = baseService;
+        // Unipile account id -> provider_id of the LinkedIn member who owns it
+        this.ownProviderIds = new Map();
+    }
+    getRequestConfig(params = {}) {
+        return {
+            headers: this.base.getAuthHeaders(),
+            params,
+            timeout: Number(process.env.UNIPILE_PROFILE_TIMEOUT_MS) || 30000
+        };
+    }
+    /**
+     * Publish a post on the account's LinkedIn feed
+     *
+     * @param {string} accountId - Unipile account ID
+     * @param {string} text - Post text
+     * @param {Array<Object>} attachments - Images { data: Buffer, filename, contentType }
+     * @returns {Promise<Object>} { success, postId } or { success: false, error, statusCode }
+     */
+    async createPost(accountId, text, attachments = []) {
+        if (!this.base.isConfigured()) {
+            throw new Error('Unipile is not configured');
+        }
+        try {
+            // Unipile takes posts as multipart/form-data so images can be attached
+            const form = new FormData();
+            form.append('account_id', accountId);
+            form.append('text', text);
+            for (const attachment of attachments) {
+                form.append('attachments', new Blob([attachment.data], { type: attachment.contentType }), attachment.filename);
+            }
+            const headers = { ...this.base.getAuthHeaders() };
+            // axios sets the multipart Content-Type (with its boundary) from the form
+            delete headers['Content-Type'];
+            const response = await axios.post(`${this.base.getBaseUrl()}/posts`, form, {
+                headers,
+                timeout: Number(process.env.UNIPILE_PROFILE_TIMEOUT_MS) || 30000
+            });
+            return {
+                success: true,
+                postId: response.data?.post_id || response.data?.id || null
+            };
+        } catch (error) {
+            logger.warn('[Unipile Post] Publishing failed', {
+                accountId,
+                attachments: attachments.length,
+                status: error.response?.status,
+                error: error.response?.data?.detail || error.message
+            });
+            return {
+                success: false,
+                error: error.response?.data?.detail || error.message,
+                statusCode: error.response?.status
+            };
+        }
+    }
+    /**
+     * React to a LinkedIn post
+     *
+     * @param {string} postId - Post social_id (urn:li:activity:...)
+     * @param {string} reactionType - like, celebrate, support, love, insightful or funny
+     * @param {string} accountId - Unipile account ID
+     */
+    async reactToPost(postId, reactionType, accountId) {
+        if (!this.base.isConfigured()) {
+            throw new Error('Unipile is not configured');
+        }
+        try {
+            const response = await axios.post(
+                `${this.base.getBaseUrl()}/posts/reaction`,
+                { account_id: accountId, post_id: postId, reaction_type: reactionType },
+                this.getRequestConfig()
+            );
+            return {
+                success: true,
+                data: response.data
+            };
+        } catch (error) {
+            logger.warn('[Unipile Post] Reaction failed', {
+                postId,
+                status: error.response?.status,
+                error: error.response?.data?.detail || error.message
+            });
+            return {
+                success: false,
+                error: error.response?.data?.detail || error.message,
+                statusCode: error.response?.status
+            };
+        }
+    }
+    /**
+     * Comment on a LinkedIn post, or reply to one of its comments
+     *
+     * @param {string} postId - Post social_id
+     * @param {string} text - Comment text
+     * @param {string} accountId - Unipile account ID
+     * @param {Object} options - { commentId } to reply to a comment
+     */
+    async commentOnPost(postId, text, accountId, options = {}) {
+        if (!this.base.isConfigured()) {
+            throw new Error('Unipile is not configured');
+        }
+        try {
+            const payload = { account_id: accountId, text };
+            if (options.commentId) {
+                payload.comment_id = options.commentId;
+            }
+            const response = await axios.post(
+                `${this.base.getBaseUrl()}/posts/${encodeURIComponent(postId)}/comments`,
+                payload,
+                this.getRequestConfig()
+            );
+            return {
+                success: true,
+                data: response.data
+            };
+        } catch (error) {
+            logger.warn('[Unipile Post] Comment failed', {
+                postId,
+                isReply: !!options.commentId,
+                status: error.response?.status,
+                error: error.response?.data?.detail || error.message
+            });
+            return {
+                success: false,
+                error: error.response?.data?.detail || error.message,
+                statusCode: error.response?.status
+            };
+        }
+    }
+    /**
+     * Comments on a LinkedIn post
+     * @returns {Promise<Object>} { success, comments }
+     */
+    async getPostComments(postId, accountId, limit = 50) {
+        if (!this.base.isConfigured()) {
+            throw new Error('Unipile is not configured');
+        }
+        try {
+            const response = await axios.get(
+                `${this.base.getBaseUrl()}/posts/${encodeURIComponent(postId)}/comments`,
+                this.getRequestConfig({ account_id: accountId, limit })
+            );
+            return {
+                success: true,
+                comments: response.data?.items || response.data?.data || []
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.response?.data?.detail || error.message,
+                comments: []
+            };
+        }
+    }
+    /**
+     * Recent posts published by the account's own LinkedIn member
+     * @returns {Promise<Object>} { success, posts }
+     */
+    async getOwnPosts(accountId, limit = 10) {
+        if (!this.base.isConfigured()) {
+            throw new Error('Unipile is not configured');
+        }
+        try {
+            const baseUrl = this.base.getBaseUrl();
+            let providerId = this.ownProviderIds.get(accountId);
+            if (!providerId) {
+                const me = await axios.get(`${baseUrl}/users/me`, this.getRequestConfig({ account_id: accountId }));
+                providerId = (me.data?.data || me.data)?.provider_id;
+                if (!providerId) {
+                    throw new Error('No provider_id found for the LinkedIn account');
+                }
+                this.ownProviderIds.set(accountId, providerId);
+            }
+            const response = await axios.get(
+                `${baseUrl}/users/${encodeURIComponent(providerId)}/posts`,
+                this.getRequestConfig({ account_id: accountId, limit })
+            );
+            return {
+                success: true,
+                posts: response.data?.items || response.data?.data || []
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.response?.data?.detail || error.message,
+                posts: []
+            };
+        }
+    }
+}
+module.exports = UnipilePostService;
@@ -1,6 +1,6 @@
 /**
  * Unipile Profile Service
- * Handles LinkedIn profile operations (follow, get contact details)
+ * Handles LinkedIn profile operations (follow, get contact details, full profile snapshots)
  * LAD Architecture Compliant - Uses logger instead of console
  */
 const axios = require('axios');
@@ -326,5 +326,122 @@ class UnipileProfileService {
             };
         }
     }
+    /**
+     * Get a full LinkedIn profile (experience, education, skills) and, optionally,
+     * the person's recent posts - used by linkedin_scrape_profile steps
+     *
+     * @param {string} linkedinUrl - LinkedIn profile URL, public identifier or provider_id
+     * @param {string} accountId - Unipile account ID
+     * @param {Object} options - { includeActivity, activityLimit }
+     * @returns {Promise<Object>} { success, profile, posts } - raw Unipile profile and posts;
+     *   failures carry accountExpired / transientError like getLinkedInContactDetails
+     */
+    async getLinkedInProfileSnapshot(linkedinUrl, accountId, options = {}) {
+        if (!this.base.isConfigured()) {
+            throw new Error('Unipile is not configured');
+        }
+        if (!accountId) {
+            throw new Error('Account ID is required to fetch a LinkedIn profile');
+        }
+        const logger = require('../../../core/utils/logger');
+        try {
+            let identifier = linkedinUrl;
+            const match = linkedinUrl.match(/linkedin\.com\/in\/([^\/\?]+)/);
+            if (match) {
+                identifier = match[1];
+            }
+            const baseUrl = this.base.getBaseUrl();
+            const profileResult = await this.getWithReconnect(
+                accountId,
+                `${baseUrl}/users/${encodeURIComponent(identifier)}`,
+                { account_id: accountId, linkedin_sections: '*' }
+            );
+            if (profileResult.failure) {
+                return profileResult.failure;
+            }
+            const profile = profileResult.data || {};
+            let posts = [];
+            if (options.includeActivity && profile.provider_id) {
+                // Posts are best-effort - a profile without its activity is still a usable snapshot
+                try {
+                    const postsResult = await this.getWithReconnect(
+                        accountId,
+                        `${baseUrl}/users/${encodeURIComponent(profile.provider_id)}/posts`,
+                        { account_id: accountId, limit: options.activityLimit || 5 }
+                    );
+                    posts = postsResult.failure ? [] : (postsResult.data?.items || []);
+                } catch (error) {
+                    logger.warn('[Unipile Profile] Recent posts lookup failed', {
+                        providerId: profile.provider_id,
+                        error: error.message
+                    });
+                }
+            }
+            return {
+                success: true,
+                profile,
+                posts
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+    /**
+     * GET a Unipile endpoint, reconnecting the account once on 401
+     * @returns {Promise<Object>} { data } on success, or { failure } - a result object the caller returns as-is
+     */
+    async getWithReconnect(accountId, endpoint, params) {
+        const request = () => axios.get(endpoint, {
+            headers: this.base.getAuthHeaders(),
+            params,
+            timeout: Number(process.env.UNIPILE_LOOKUP_TIMEOUT_MS) || 60000
+        });
+        try {
+            const response = await request();
+            return { data: response.data };
+        } catch (error) {
+            if (error.response && error.response.status === 404) {
+                const errorDetail = error.response.data?.detail || error.response.data?.message || 'Profile not found';
+                return {
+                    failure: {
+                        success: false,
+                        error: `LinkedIn profile not accessible: ${errorDetail}`,
+                        errorType: 'profile_not_found',
+                        statusCode: 404
+                    }
+                };
+            }
+            if (!error.response || error.response.status !== 401) {
+                throw error;
+            }
+            const reconnectResult = await this.reconnectionService.handle401Error(accountId, error, request);
+            if (reconnectResult.success && reconnectResult.retried && reconnectResult.result) {
+                return { data: reconnectResult.result.data };
+            }
+            if (reconnectResult.requiresUserIntervention) {
+                return {
+                    failure: {
+                        success: false,
+                        error: reconnectResult.userMessage || 'Account requires re-authentication',
+                        accountExpired: true,
+                        errorType: 'requires_user_intervention',
+                        statusCode: 401
+                    }
+                };
+            }
+            return {
+                failure: {
+                    success: false,
+                    error: reconnectResult.userMessage || 'Temporary connection issue. Please retry.',
+                    transientError: true,
+                    errorType: 'transient_error',
+                    statusCode: 401
+                }
+            };
+        }
+    }
 }
 module.exports = UnipileProfileService;
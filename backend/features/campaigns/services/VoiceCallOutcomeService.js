@@ -0,0 +1,193 @@
+/**
+ * Voice Call Outcome Service
+ * Ingests call-completion webhooks from the voice agent
+ *
+ * The outcome is matched to the call a voice_agent_call step started (by call
+ * id), normalized to a disposition and recorded in campaign_analytics as
+ * VOICE_CALL_ANSWERED or VOICE_CALL_NOT_ANSWERED with the disposition,
+ * duration and transcript in response_data, where the condition evaluator
+ * reads it for call_disposition branching. Connected minutes are charged
+ * once per call through deductCredits before the call is marked completed, so
+ * a failed charge is retried with the webhook instead of being dropped.
+ *
+ * LAD Architecture: Service layer - no SQL, uses repositories
+ */
+const CampaignVoiceCallRepository = require('../repositories/CampaignVoiceCallRepository');
+const CampaignLeadActivityRepository = require('../repositories/CampaignLeadActivityRepository');
+const { campaignStatsTracker } = require('./campaignStatsTracker');
+const { deductCredits } = require('../../../shared/middleware/credit_guard');
+const { VOICE_CALL_CONFIG } = require('../constants');
+const logger = require('../../../core/utils/logger');
+const { verifyWebhookSecret } = require('../../../core/utils/webhookSecret');
+// Voice agent outcome labels -> campaign dispositions
+const DISPOSITION_ALIASES = {
+  interested: ['interested', 'positive', 'meeting_booked', 'qualified', 'hot'],
+  callback: ['callback', 'call_back', 'call_later', 'reschedule', 'follow_up'],
+  voicemail: ['voicemail', 'voice_mail', 'left_voicemail', 'machine', 'answering_machine'],
+  not_interested: ['not_interested', 'negative', 'rejected', 'do_not_call', 'dnc']
+};
+// Call statuses that mean nobody picked up
+const UNANSWERED_STATUSES = ['no_answer', 'no-answer', 'busy', 'failed', 'canceled', 'cancelled', 'rejected'];
+const TRANSCRIPT_MAX_LENGTH = 20000;
+class VoiceCallOutcomeService {
+  /**
+   * Verify the shared secret the voice agent sends in X-Webhook-Secret
+   * Rejected when VOICE_WEBHOOK_SECRET is not configured
+   */
+  verifyWebhookSecret(receivedSecret) {
+    return verifyWebhookSecret('VOICE_WEBHOOK_SECRET', receivedSecret);
+  }
+  /**
+   * Process a call-completion payload
+   * @param {Object} payload - { call_id, status, answered?, duration_seconds, disposition, transcript, recording_url }
+   * @returns {Promise<Object>} { matched, duplicate?, disposition?, creditsCharged? }
+   */
+  async handleCallCompleted(payload) {
+    const callId = payload?.call_id || payload?.callId || payload?.id;
+    if (!callId) {
+      const error = new Error('call_id is required');
+      error.statusCode = 400;
+      throw error;
+    }
+    const call = await CampaignVoiceCallRepository.findByCallId(String(callId));
+    if (!call) {
+      logger.debug('[VoiceCallOutcome] Outcome for unknown call', { callId });
+      return { matched: false };
+    }
+    if (call.status === 'completed') {
+      // Webhook retry - outcome already recorded and charged
+      return { matched: true, duplicate: true };
+    }
+    const outcome = this.normalizeOutcome(payload);
+    const creditsCharged = await this.chargeMinutes(call, outcome.durationSeconds);
+    const completed = await CampaignVoiceCallRepository.markCompleted(call.id, outcome);
+    if (!completed) {
+      // A concurrent delivery of the same outcome got here first
+      return { matched: true, duplicate: true };
+    }
+    const actionType = outcome.answered ? 'VOICE_CALL_ANSWERED' : 'VOICE_CALL_NOT_ANSWERED';
+    await campaignStatsTracker.trackAction(call.campaign_id, actionType, {
+      leadId: call.lead_id || call.campaign_lead_id,
+      channel: 'voice',
+      leadPhone: call.to_phone,
+      messageContent: payload.summary || (outcome.transcript ? outcome.transcript.slice(0, 2000) : null),
+      status: 'success',
+      tenantId: call.tenant_id,
+      responseData: {
+        source: 'voice_webhook',
+        callId: call.call_id,
+        disposition: outcome.disposition,
+        rawDisposition: outcome.rawDisposition,
+        durationSeconds: outcome.durationSeconds,
+        transcript: outcome.transcript,
+        recordingUrl: outcome.recordingUrl,
+        creditsCharged
+      }
+    });
+    await CampaignLeadActivityRepository.create({
+      tenantId: call.tenant_id,
+      campaignId: call.campaign_id,
+      campaignLeadId: call.campaign_lead_id,
+      stepId: call.step_id,
+      stepType: 'voice_agent_call',
+      actionType,
+      status: outcome.answered ? 'answered' : 'not_answered',
+      channel: 'voice',
+      messageContent: outcome.transcript ? outcome.transcript.slice(0, 2000) : null,
+      metadata: {
+        callId: call.call_id,
+        disposition: outcome.disposition,
+        durationSeconds: outcome.durationSeconds,
+        recordingUrl: outcome.recordingUrl
+      },
+      provider: 'voice_agent',
+      providerEventId: call.call_id,
+      executedAt: new Date()
+    });
+    logger.info('[VoiceCallOutcome] Call outcome recorded', {
+      campaignId: call.campaign_id,
+      campaignLeadId: call.campaign_lead_id,
+      disposition: outcome.disposition,
+      durationSeconds: outcome.durationSeconds,
+      creditsCharged
+    });
+    return { matched: true, disposition: outcome.disposition, creditsCharged };
+  }
+  /**
+   * Normalize the voice agent payload
+   * Voicemail counts as not answered; so does any call without connected time
+   */
+  normalizeOutcome(payload) {
+    const rawDisposition = payload.disposition || payload.outcome || payload.call_disposition || null;
+    const status = String(payload.status || payload.call_status || '').toLowerCase();
+    const durationSeconds = Math.max(0, Math.round(Number(
+      payload.duration_seconds ?? payload.duration ?? payload.call_duration ?? 0
+    ) || 0));
+    let disposition = this.normalizeDisposition(rawDisposition);
+    let answered;
+    if (disposition === 'voicemail') {
+      answered = false;
+    } else if (typeof payload.answered === 'boolean') {
+      answered = payload.answered;
+    } else {
+      answered = !UNANSWERED_STATUSES.includes(status) && durationSeconds > 0;
+    }
+    if (!disposition) {
+      disposition = answered ? 'unknown' : 'no_answer';
+    }
+    const transcript = payload.transcript || payload.transcription || null;
+    return {
+      answered,
+      disposition,
+      rawDisposition,
+      durationSeconds,
+      transcript: transcript ? String(transcript).slice(0, TRANSCRIPT_MAX_LENGTH) : null,
+      recordingUrl: payload.recording_url || payload.recordingUrl || null
+    };
+  }
+  normalizeDisposition(rawDisposition) {
+    if (!rawDisposition) return null;
+    const key = String(rawDisposition).trim().toLowerCase().replace(/[\s-]+/g, '_');
+    for (const [disposition, aliases] of Object.entries(DISPOSITION_ALIASES)) {
+      if (aliases.includes(key)) {
+        return disposition;
+      }
+    }
+    return null;
+  }
+  /**
+   * Charge credits per started minute of connected time
+   * The call row is claimed first so retries and concurrent deliveries charge once;
+   * a failed deduction releases the claim and throws so the webhook is retried.
+   * @returns {Promise<number>} Credits charged for the call (0 if nothing to charge)
+   */
+  async chargeMinutes(call, durationSeconds) {
+    if (!durationSeconds || durationSeconds <= 0) {
+      return 0;
+    }
+    const minutes = Math.ceil(durationSeconds / 60);
+    const credits = minutes * VOICE_CALL_CONFIG.CREDITS_PER_MINUTE;
+    const claimed = await CampaignVoiceCallRepository.claimCreditsCharge(call.id, credits);
+    if (!claimed) {
+      // Charged by an earlier delivery that failed before marking the call completed
+      return Number(call.credits_charged) || credits;
+    }
+    try {
+      await deductCredits(call.tenant_id, 'campaigns', 'voice_call_minute', credits, null, {
+        campaignId: call.campaign_id,
+        leadId: call.lead_id || call.campaign_lead_id,
+        stepType: 'voice_agent_call'
+      });
+    } catch (error) {
+      logger.error('[VoiceCallOutcome] Failed to charge call minutes', {
+        callId: call.call_id,
+        credits,
+        error: error.message
+      });
+      await CampaignVoiceCallRepository.releaseCreditsCharge(call.id);
+      throw error;
+    }
+    return credits;
+  }
+}
+module.exports = new VoiceCallOutcomeService();
@@ -0,0 +1,62 @@
+/**
+ * WhatsApp Account Service
+ * Business logic for per-tenant WhatsApp sending accounts
+ *
+ * LAD Architecture: Service Layer (NO SQL)
+ */
+
+const repository = require('../repositories/WhatsAppAccountRepository');
+const { isKnownProvider } = require('../engine/channelDispatchers/whatsappProviders');
+
+const DEFAULT_DAILY_LIMIT = 250;
+const REQUIRED_FIELDS_BY_PROVIDER = {
+  cloud_api: ['phone_number_id', 'access_token'],
+  unipile: ['unipile_account_id']
+};
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+class WhatsAppAccountService {
+  async listAccounts(tenantId, context = {}) {
+    return repository.listForTenant(tenantId, context);
+  }
+
+  /**
+   * Create an account
+   * @throws {Error} with statusCode 400 for an unknown provider or missing credentials
+   */
+  async createAccount(tenantId, data, context = {}) {
+    const provider = data.provider || 'cloud_api';
+    if (!isKnownProvider(provider)) {
+      throw badRequest(`Unknown WhatsApp provider: ${provider}`);
+    }
+    const missing = (REQUIRED_FIELDS_BY_PROVIDER[provider] || []).filter(field => !data[field]);
+    if (missing.length > 0) {
+      throw badRequest(`Missing required fields: ${missing.join(', ')}`);
+    }
+    return repository.create(tenantId, {
+      ...data,
+      provider,
+      phone_number: data.phone_number ? String(data.phone_number).replace(/\D/g, '') : null,
+      daily_limit: Number(data.daily_limit) || DEFAULT_DAILY_LIMIT
+    }, context);
+  }
+
+  async updateAccount(id, tenantId, updates, context = {}) {
+    const normalized = { ...updates };
+    if (normalized.phone_number) {
+      normalized.phone_number = String(normalized.phone_number).replace(/\D/g, '');
+    }
+    return repository.update(id, tenantId, normalized, context);
+  }
+
+  async deleteAccount(id, tenantId, context = {}) {
+    return repository.delete(id, tenantId, context);
+  }
+}
+
+module.exports = new WhatsAppAccountService();
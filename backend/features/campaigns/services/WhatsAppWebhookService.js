@@ -0,0 +1,191 @@
+/**
+ * WhatsApp Webhook Service
+ * Ingests delivery/read receipts and inbound replies from WhatsApp providers
+ *
+ * Provider payloads are normalized by the adapter in whatsappProviders, then
+ * matched to the campaign message they refer to: receipts by provider message
+ * id, replies by the quoted message or the latest message the receiving account
+ * sent to that phone/chat. Receipts are recorded as WHATSAPP_DELIVERED /
+ * WHATSAPP_READ and replies as REPLY_RECEIVED on the whatsapp channel.
+ *
+ * LAD Architecture: Service layer - no SQL, uses repositories
+ */
+const crypto = require('crypto');
+const WhatsAppAccountRepository = require('../repositories/WhatsAppAccountRepository');
+const CampaignWhatsAppMessageRepository = require('../repositories/CampaignWhatsAppMessageRepository');
+const CampaignLeadActivityRepository = require('../repositories/CampaignLeadActivityRepository');
+const { getProvider } = require('../engine/channelDispatchers/whatsappProviders');
+const { campaignStatsTracker } = require('./campaignStatsTracker');
+const inboxService = require('./InboxService');
+const replyIntentService = require('./ReplyIntentService');
+const logger = require('../../../core/utils/logger');
+const { safeEqual, verifyWebhookSecret } = require('../../../core/utils/webhookSecret');
+const RECEIPT_ACTIONS = {
+  delivered: 'WHATSAPP_DELIVERED',
+  read: 'WHATSAPP_READ'
+};
+class WhatsAppWebhookService {
+  /**
+   * Meta webhook subscription handshake (GET hub.mode=subscribe)
+   */
+  verifySubscription(mode, token) {
+    return mode === 'subscribe' && safeEqual(process.env.WHATSAPP_VERIFY_TOKEN, token);
+  }
+  /**
+   * Verify X-Hub-Signature-256 (HMAC-SHA256 of the raw body with the Meta app secret)
+   * Rejected when WHATSAPP_APP_SECRET is not configured
+   */
+  verifyCloudApiSignature(rawBody, signatureHeader) {
+    const appSecret = process.env.WHATSAPP_APP_SECRET;
+    if (!appSecret) {
+      logger.error('[WhatsAppWebhook] WHATSAPP_APP_SECRET is not configured - rejecting Cloud API webhook');
+      return false;
+    }
+    if (!rawBody || !signatureHeader) return false;
+    const expected = `sha256=${crypto.createHmac('sha256', appSecret).update(rawBody).digest('hex')}`;
+    return safeEqual(expected, signatureHeader);
+  }
+  /**
+   * Verify the shared secret Unipile sends with its webhooks (Unipile-Auth / X-Webhook-Secret)
+   * Rejected when WEBHOOK_SECRET is not configured
+   */
+  verifyUnipileSecret(receivedSecret) {
+    return verifyWebhookSecret('WEBHOOK_SECRET', receivedSecret);
+  }
+  /**
+   * Process a webhook payload from a provider
+   * @param {string} providerName - cloud_api | unipile
+   * @param {Object} body - Parsed webhook payload
+   * @returns {Promise<Object>} { received, processed }
+   */
+  async processWebhook(providerName, body) {
+    const events = getProvider(providerName).parseWebhook(body);
+    let processed = 0;
+    for (const event of events) {
+      try {
+        const handled = event.type === 'status'
+          ? await this.handleStatus(providerName, event)
+          : await this.handleInboundMessage(providerName, event);
+        if (handled) processed++;
+      } catch (error) {
+        logger.error('[WhatsAppWebhook] Failed to process event', {
+          provider: providerName,
+          type: event.type,
+          providerMessageId: event.providerMessageId,
+          error: error.message
+        });
+      }
+    }
+    return { received: events.length, processed };
+  }
+  async handleStatus(providerName, event) {
+    if (!event.providerMessageId) return false;
+    const message = await CampaignWhatsAppMessageRepository.findByProviderMessageId(providerName, event.providerMessageId);
+    if (!message) return false;
+    if (event.status === 'failed') {
+      const changed = await CampaignWhatsAppMessageRepository.applyStatus(message.id, 'failed', event.error || 'Delivery failed');
+      if (changed) {
+        await this.recordActivity(message, 'WHATSAPP_FAILED', 'failed', { errorMessage: event.error, providerEventId: event.providerMessageId });
+      }
+      return changed;
+    }
+    const actionType = RECEIPT_ACTIONS[event.status];
+    if (!actionType) return false;
+    // A "read" receipt implies delivery; providers don't always send both
+    const wasDelivered = !!message.delivered_at;
+    const changed = await CampaignWhatsAppMessageRepository.applyStatus(message.id, event.status);
+    if (!changed) return false;
+    if (event.status === 'read' && !wasDelivered) {
+      await this.trackEvent(message, 'WHATSAPP_DELIVERED');
+    }
+    await this.trackEvent(message, actionType);
+    return true;
+  }
+  async handleInboundMessage(providerName, event) {
+    if (!event.accountRef) return false;
+    const account = await WhatsAppAccountRepository.findByProviderAccountId(providerName, event.accountRef);
+    if (!account) {
+      logger.debug('[WhatsAppWebhook] Inbound message for unknown account', { provider: providerName, accountRef: event.accountRef });
+      return false;
+    }
+    let original = null;
+    if (event.replyToMessageId) {
+      const quoted = await CampaignWhatsAppMessageRepository.findByProviderMessageId(providerName, event.replyToMessageId);
+      original = quoted && quoted.account_id === account.id ? quoted : null;
+    }
+    if (!original) {
+      const phone = event.from ? String(event.from).replace(/\D/g, '') : null;
+      original = await CampaignWhatsAppMessageRepository.findLatestForContact(account.id, { phone, chatId: event.chatId || null });
+    }
+    if (!original) return false;
+    await CampaignWhatsAppMessageRepository.markReplied(original.id);
+    await this.trackEvent(original, 'REPLY_RECEIVED', {
+      messageContent: event.text,
+      accountName: account.display_name || account.phone_number,
+      inboundMessageId: event.providerMessageId
+    });
+    await this.recordActivity(original, 'REPLY_RECEIVED', 'replied', {
+      messageContent: event.text,
+      providerEventId: event.providerMessageId
+    });
+    await inboxService.recordInbound({
+      tenantId: original.tenant_id,
+      campaignId: original.campaign_id,
+      campaignLeadId: original.campaign_lead_id,
+      leadId: original.lead_id,
+      channel: 'whatsapp',
+      accountRef: account.id,
+      chatRef: original.to_phone,
+      text: event.text
+    });
+    replyIntentService.classifyInBackground({
+      tenantId: original.tenant_id,
+      campaignId: original.campaign_id,
+      campaignLeadId: original.campaign_lead_id,
+      leadId: original.lead_id,
+      channel: 'whatsapp',
+      text: event.text
+    });
+    logger.info('[WhatsAppWebhook] Reply matched to campaign lead', {
+      campaignId: original.campaign_id,
+      campaignLeadId: original.campaign_lead_id,
+      accountId: account.id
+    });
+    return true;
+  }
+  async trackEvent(message, actionType, details = {}) {
+    await campaignStatsTracker.trackAction(message.campaign_id, actionType, {
+      leadId: message.lead_id || message.campaign_lead_id,
+      channel: 'whatsapp',
+      leadPhone: message.to_phone,
+      messageContent: details.messageContent ? String(details.messageContent).slice(0, 2000) : null,
+      status: 'success',
+      tenantId: message.tenant_id,
+      accountName: details.accountName || null,
+      responseData: {
+        source: 'whatsapp_webhook',
+        provider: message.provider,
+        providerMessageId: message.provider_message_id,
+        inboundMessageId: details.inboundMessageId || null
+      }
+    });
+  }
+  async recordActivity(message, actionType, status, details = {}) {
+    await CampaignLeadActivityRepository.create({
+      tenantId: message.tenant_id,
+      campaignId: message.campaign_id,
+      campaignLeadId: message.campaign_lead_id,
+      stepId: message.step_id,
+      stepType: 'whatsapp_send',
+      actionType,
+      status,
+      channel: 'whatsapp',
+      messageContent: details.messageContent ? String(details.messageContent).slice(0, 2000) : null,
+      errorMessage: details.errorMessage || null,
+      provider: message.provider,
+      providerEventId: details.providerEventId || null,
+      executedAt: new Date()
+    });
+  }
+}
+module.exports = new WhatsAppWebhookService();
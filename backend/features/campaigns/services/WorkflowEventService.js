@@ -0,0 +1,82 @@
+/**
+ * Workflow Event Service
+ * Resumes leads parked on wait_for_event steps as soon as the event is recorded
+ *
+ * LAD Architecture: Service layer - no SQL, uses repositories
+ */
+const CampaignLeadRepository = require('../repositories/CampaignLeadRepository');
+const CampaignRepository = require('../repositories/CampaignRepository');
+const CampaignStepRepository = require('../repositories/CampaignStepRepository');
+const conditionEvaluator = require('../engine/conditionEvaluator');
+const logger = require('../../../core/utils/logger');
+// Lazy load to avoid circular dependency
+// (WorkflowProcessor -> workflowEngine -> CampaignProcessor -> executors -> campaignStatsTracker -> here)
+let processLeadThroughWorkflow = null;
+class WorkflowEventService {
+  /**
+   * Whether a recorded action type can wake a waiting lead
+   */
+  isResumableAction(actionType) {
+    return conditionEvaluator.getWaitEventsForAction(actionType).length > 0;
+  }
+  /**
+   * Handle a lead event recorded in campaign_analytics
+   * @param {string} campaignId
+   * @param {string} leadId - campaign_analytics.lead_id (campaign_leads.lead_id or campaign_leads.id)
+   * @param {string} actionType - e.g. CONNECTION_ACCEPTED, REPLY_RECEIVED
+   * @param {string} tenantId
+   * @returns {Promise<Object>} { resumed: number }
+   */
+  async handleLeadEvent(campaignId, leadId, actionType, tenantId) {
+    const eventNames = conditionEvaluator.getWaitEventsForAction(actionType);
+    if (!campaignId || !leadId || !tenantId || eventNames.length === 0) {
+      return { resumed: 0 };
+    }
+    const waitingLeads = await CampaignLeadRepository.getLeadsWaitingForEvent(campaignId, leadId, tenantId);
+    const listening = waitingLeads.filter(lead => {
+      const { events } = conditionEvaluator.getWaitConfig({ config: lead.wait_step_config });
+      return events.some(eventName => eventNames.includes(eventName));
+    });
+    if (listening.length === 0) {
+      return { resumed: 0 };
+    }
+    const campaign = await CampaignRepository.getById(campaignId, tenantId);
+    if (!campaign || campaign.status !== 'running') {
+      logger.info('[WorkflowEventService] Campaign not running, lead stays parked', { campaignId, actionType });
+      return { resumed: 0 };
+    }
+    const steps = await CampaignStepRepository.getStepsByCampaignId(campaignId, tenantId);
+    if (!processLeadThroughWorkflow) {
+      processLeadThroughWorkflow = require('./WorkflowProcessor').processLeadThroughWorkflow;
+    }
+    let resumed = 0;
+    for (const lead of listening) {
+      const result = await processLeadThroughWorkflow(campaign, steps, lead, campaign.created_by_user_id, tenantId);
+      logger.info('[WorkflowEventService] Resumed waiting lead', {
+        campaignId,
+        campaignLeadId: lead.id,
+        actionType,
+        status: result?.status
+      });
+      resumed++;
+    }
+    return { resumed };
+  }
+  /**
+   * Fire-and-forget wrapper for recording paths (webhooks, trackers) that must not fail
+   */
+  notify(campaignId, leadId, actionType, tenantId) {
+    if (!this.isResumableAction(actionType)) return;
+    setImmediate(() => {
+      this.handleLeadEvent(campaignId, leadId, actionType, tenantId).catch(error => {
+        logger.error('[WorkflowEventService] Failed to resume waiting leads', {
+          campaignId,
+          leadId,
+          actionType,
+          error: error.message
+        });
+      });
+    });
+  }
+}
+module.exports = new WorkflowEventService();
@@ -0,0 +1,334 @@
+/**
+ * Workflow Version Service
+ * Publishes campaign workflow edits as versions and moves in-flight leads explicitly
+ *
+ * Every lead runs on the workflow version it entered (campaign_leads.workflow_version,
+ * pinned by the workflow engine on the lead's first step). Saving steps:
+ * - while no lead has entered the current version, replaces its steps in place;
+ * - otherwise publishes version N+1: version N's steps are retired but kept, so leads
+ *   pinned to N finish the sequence they started, and new leads start on N+1.
+ * A publish can carry a step mapping { <old step id or node key>: <new node key> } that
+ * moves leads parked on an old step onto a new one (keeping the time they arrived,
+ * so delays are not restarted). Leads on unmapped steps stay on their version.
+ *
+ * LAD Architecture: Service layer - no SQL, uses repositories
+ */
+const CampaignRepository = require('../repositories/CampaignRepository');
+const CampaignStepRepository = require('../repositories/CampaignStepRepository');
+const CampaignWorkflowVersionRepository = require('../repositories/CampaignWorkflowVersionRepository');
+const { withNodeIds, parseStepConfig, getStepType } = require('../engine/workflowGraph');
+const { validateWorkflowTemplates } = require('./StepValidators');
+const logger = require('../../../core/utils/logger');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// Step fields compared by diffs (config is compared key by key)
+const DIFF_FIELDS = ['type', 'title', 'description', 'order'];
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+function conflict(message) {
+  const error = new Error(message);
+  error.statusCode = 409;
+  return error;
+}
+
+class WorkflowVersionService {
+  /**
+   * Save a campaign's steps (POST /:id/steps and version publishing)
+   * @param {Object} body - { steps, mapping?, notes?, baseVersion? }
+   * @returns {Promise<Object|null>} { version, published, steps, migration }, null if the campaign doesn't exist
+   */
+  async saveSteps(campaignId, tenantId, userId, body = {}, context = {}) {
+    const campaign = await CampaignRepository.getById(campaignId, tenantId, context);
+    if (!campaign) return null;
+    const { steps, mapping, notes } = body;
+    if (!Array.isArray(steps)) {
+      throw badRequest('Steps array is required');
+    }
+    const templateValidation = validateWorkflowTemplates(steps);
+    if (!templateValidation.valid) {
+      throw badRequest(templateValidation.error);
+    }
+    if (mapping !== undefined && mapping !== null && (typeof mapping !== 'object' || Array.isArray(mapping))) {
+      throw badRequest('mapping must be an object of { oldStepIdOrKey: newStepKey }');
+    }
+    if (notes !== undefined && notes !== null && typeof notes !== 'string') {
+      throw badRequest('notes must be a string');
+    }
+
+    const currentVersion = this.getCurrentVersion(campaign);
+    const baseVersion = body.baseVersion === undefined ? currentVersion : parseInt(body.baseVersion, 10);
+    if (baseVersion !== currentVersion) {
+      throw conflict(`Workflow was changed by someone else (now version ${currentVersion}, edited version ${body.baseVersion}). Reload and try again.`);
+    }
+
+    const newSteps = this.prepareSteps(steps);
+    const inUse = await CampaignWorkflowVersionRepository.hasLeadsOnVersion(campaignId, tenantId, currentVersion, context);
+    const hasMapping = mapping && Object.keys(mapping).length > 0;
+    if (!inUse && !hasMapping) {
+      const replaced = await CampaignWorkflowVersionRepository.replaceVersionSteps(
+        campaignId, tenantId, currentVersion, newSteps, context
+      );
+      this.assertNoConflict(replaced);
+      return { version: currentVersion, published: false, steps: replaced.steps, migration: null };
+    }
+
+    const moves = await this.resolveMapping(campaignId, tenantId, mapping || {}, newSteps, context);
+    const result = await CampaignWorkflowVersionRepository.publishVersion(campaignId, tenantId, {
+      baseVersion: currentVersion,
+      version: currentVersion + 1,
+      steps: newSteps,
+      moves,
+      notes: notes || null,
+      userId
+    }, context);
+    this.assertNoConflict(result);
+
+    const migration = {
+      fromVersion: currentVersion,
+      migratedLeads: result.moved.length,
+      pinnedLeads: result.pinnedCount,
+      stepMapping: result.stepMapping
+    };
+    logger.info('[WorkflowVersion] Workflow version published', {
+      campaignId,
+      tenantId,
+      version: result.currentVersion,
+      ...migration
+    });
+    return { version: result.currentVersion, published: true, steps: result.steps, migration };
+  }
+
+  /**
+   * Steps as inserted rows; builder node ids are kept in config so edges and mappings resolve
+   */
+  prepareSteps(steps) {
+    const keys = new Set();
+    return withNodeIds(steps).map((step, index) => {
+      if (!step || typeof step !== 'object') {
+        throw badRequest(`Step ${index + 1} must be an object`);
+      }
+      const type = getStepType(step);
+      if (typeof type !== 'string' || !type) {
+        throw badRequest(`Step ${index + 1} has no type`);
+      }
+      const config = parseStepConfig(step);
+      if (config.node_id !== undefined) {
+        const key = String(config.node_id);
+        if (keys.has(key)) {
+          throw badRequest(`Duplicate step id "${key}"`);
+        }
+        keys.add(key);
+      }
+      return {
+        type,
+        order: step.step_order ?? step.order ?? 0,
+        title: step.title,
+        description: step.description || '',
+        config
+      };
+    });
+  }
+
+  /**
+   * Turn { oldStepIdOrKey: newKey } into [{ fromStepId, toNodeKey }]
+   * Old steps are current-version node keys or step ids of any version of the campaign
+   */
+  async resolveMapping(campaignId, tenantId, mapping, newSteps, context) {
+    const entries = Object.entries(mapping).filter(([, target]) => target !== null && target !== undefined);
+    if (entries.length === 0) return [];
+
+    const newKeys = new Set(newSteps.map(step => step.config.node_id).filter(key => key !== undefined).map(String));
+    const currentSteps = await CampaignStepRepository.getStepsByCampaignId(campaignId, tenantId, context);
+    const byKey = new Map();
+    for (const step of currentSteps) {
+      byKey.set(String(step.id), step.id);
+      byKey.set(String(parseStepConfig(step).node_id || step.id), step.id);
+    }
+    const unknownIds = entries.map(([source]) => source).filter(source => !byKey.has(source) && UUID_PATTERN.test(source));
+    if (unknownIds.length > 0) {
+      const olderSteps = await CampaignWorkflowVersionRepository.getStepsByIds(campaignId, tenantId, unknownIds, context);
+      olderSteps.forEach(step => byKey.set(String(step.id), step.id));
+    }
+
+    const mapped = new Set();
+    return entries.map(([source, target]) => {
+      const fromStepId = byKey.get(source);
+      if (!fromStepId) {
+        throw badRequest(`mapping: "${source}" is not a step of this campaign`);
+      }
+      if (mapped.has(fromStepId)) {
+        throw badRequest(`mapping: step "${source}" is mapped more than once`);
+      }
+      mapped.add(fromStepId);
+      if (!newKeys.has(String(target))) {
+        throw badRequest(`mapping: "${source}" points to "${target}", which is not one of the new steps`);
+      }
+      return { fromStepId, toNodeKey: String(target) };
+    });
+  }
+
+  /**
+   * Version history with lead counts
+   * @returns {Promise<Object|null>} { currentVersion, versions: [...] }, null if the campaign doesn't exist
+   */
+  async listVersions(campaignId, tenantId, context = {}) {
+    const campaign = await CampaignRepository.getById(campaignId, tenantId, context);
+    if (!campaign) return null;
+    const currentVersion = this.getCurrentVersion(campaign);
+    const [versions, leadCounts] = await Promise.all([
+      CampaignWorkflowVersionRepository.listVersions(campaignId, tenantId, context),
+      CampaignWorkflowVersionRepository.countLeadsByVersion(campaignId, tenantId, currentVersion, context)
+    ]);
+    return {
+      currentVersion,
+      versions: versions.map(row => {
+        const leads = leadCounts.find(count => count.version === row.version);
+        return {
+          version: row.version,
+          current: row.version === currentVersion,
+          baseVersion: row.base_version ?? null,
+          stepCount: row.step_count,
+          publishedAt: row.published_at || row.steps_created_at,
+          publishedBy: row.created_by_user_id || null,
+          retiredAt: row.retired_at,
+          notes: row.notes || null,
+          migration: row.published_at
+            ? { migratedLeads: row.migrated_lead_count, pinnedLeads: row.pinned_lead_count, stepMapping: row.step_mapping }
+            : null,
+          leads: { total: leads?.total || 0, inProgress: leads?.in_progress || 0 }
+        };
+      })
+    };
+  }
+
+  /**
+   * Steps of one version
+   * @returns {Promise<Object|null>} { version, current, steps }, null if campaign or version doesn't exist
+   */
+  async getVersion(campaignId, tenantId, version, context = {}) {
+    const campaign = await CampaignRepository.getById(campaignId, tenantId, context);
+    if (!campaign) return null;
+    const number = this.parseVersion(version);
+    const steps = await CampaignWorkflowVersionRepository.getStepsByVersion(campaignId, tenantId, number, context);
+    if (steps.length === 0) return null;
+    return { version: number, current: number === this.getCurrentVersion(campaign), steps };
+  }
+
+  /**
+   * Compare two versions by step (node key)
+   * @param {string|number} against - version to compare with (default: version - 1)
+   * @returns {Promise<Object|null>} { from, to, summary, added, removed, changed }
+   */
+  async diffVersions(campaignId, tenantId, version, against, context = {}) {
+    const campaign = await CampaignRepository.getById(campaignId, tenantId, context);
+    if (!campaign) return null;
+    const to = this.parseVersion(version);
+    const from = against === undefined ? to - 1 : this.parseVersion(against);
+    if (from < 1) {
+      throw badRequest('Version 1 has no previous version; pass ?against=<version>');
+    }
+    const [fromSteps, toSteps] = await Promise.all([
+      CampaignWorkflowVersionRepository.getStepsByVersion(campaignId, tenantId, from, context),
+      CampaignWorkflowVersionRepository.getStepsByVersion(campaignId, tenantId, to, context)
+    ]);
+    if (fromSteps.length === 0 || toSteps.length === 0) return null;
+    return { from, to, ...this.diffSteps(fromSteps, toSteps) };
+  }
+
+  diffSteps(fromSteps, toSteps) {
+    const index = steps => new Map(steps.filter(step => !step.is_deleted).map(step => [this.getNodeKey(step), step]));
+    const before = index(fromSteps);
+    const after = index(toSteps);
+    const describe = (key, step) => ({ key, stepId: step.id, type: getStepType(step), title: step.title });
+
+    const added = [];
+    const removed = [];
+    const changed = [];
+    let unchanged = 0;
+    for (const [key, step] of after) {
+      const previous = before.get(key);
+      if (!previous) {
+        added.push(describe(key, step));
+        continue;
+      }
+      const changes = this.compareSteps(previous, step);
+      if (changes.length > 0) {
+        changed.push({ ...describe(key, step), previousStepId: previous.id, changes });
+      } else {
+        unchanged++;
+      }
+    }
+    for (const [key, step] of before) {
+      if (!after.has(key)) {
+        removed.push(describe(key, step));
+      }
+    }
+    return {
+      summary: { added: added.length, removed: removed.length, changed: changed.length, unchanged },
+      added,
+      removed,
+      changed
+    };
+  }
+
+  /**
+   * Changed fields between two versions of a step: [{ field, before, after }]
+   * Config fields are reported as config.<key>; edges are compared as a whole
+   */
+  compareSteps(previous, step) {
+    const changes = [];
+    for (const field of DIFF_FIELDS) {
+      const before = field === 'type' ? getStepType(previous) : previous[field];
+      const after = field === 'type' ? getStepType(step) : step[field];
+      if (String(before ?? '') !== String(after ?? '')) {
+        changes.push({ field, before: before ?? null, after: after ?? null });
+      }
+    }
+    const beforeConfig = parseStepConfig(previous);
+    const afterConfig = parseStepConfig(step);
+    const keys = new Set([...Object.keys(beforeConfig), ...Object.keys(afterConfig)]);
+    keys.delete('node_id');
+    for (const key of [...keys].sort()) {
+      if (JSON.stringify(beforeConfig[key]) !== JSON.stringify(afterConfig[key])) {
+        changes.push({
+          field: key === 'edges' ? 'edges' : `config.${key}`,
+          before: beforeConfig[key] ?? null,
+          after: afterConfig[key] ?? null
+        });
+      }
+    }
+    return changes;
+  }
+
+  getNodeKey(step) {
+    return String(parseStepConfig(step).node_id || step.id);
+  }
+
+  getCurrentVersion(campaign) {
+    return parseInt(campaign.workflow_version, 10) || 1;
+  }
+
+  parseVersion(value) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+      throw badRequest('version must be a positive integer');
+    }
+    return number;
+  }
+
+  assertNoConflict(result) {
+    if (result.currentVersion === null) {
+      throw badRequest('Campaign not found');
+    }
+    if (result.conflict) {
+      throw conflict(`Workflow was changed by someone else (now version ${result.currentVersion}). Reload and try again.`);
+    }
+  }
+}
+
+module.exports = new WorkflowVersionService();
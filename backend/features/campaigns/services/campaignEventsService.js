@@ -47,6 +47,29 @@ class CampaignEventsService {
     } catch (error) {
     }
   }
+  /**
+   * Publish a per-lead engagement event (email open, link click, ...)
+   * Sent on the campaign's stats channel so existing SSE subscribers receive it
+   * @param {string} campaignId
+   * @param {object} leadEvent - { type, campaignLeadId, leadId, ... }
+   */
+  async publishLeadEvent(campaignId, leadEvent) {
+    const event = {
+      type: 'CAMPAIGN_LEAD_EVENT',
+      campaignId,
+      event: leadEvent,
+      timestamp: new Date().toISOString()
+    };
+    const channel = `campaign:${campaignId}:stats`;
+    try {
+      if (this.publisher) {
+        await this.publisher.publish(channel, JSON.stringify(event));
+      } else {
+        this._emitInMemory(channel, event);
+      }
+    } catch (error) {
+    }
+  }
   /**
    * Publish campaign list update event (for campaigns table)
    */
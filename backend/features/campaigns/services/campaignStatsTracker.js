@@ -13,7 +13,7 @@ class CampaignStatsTracker {
    * Track campaign action and update stats atomically
    * @param {string} campaignId 
    * @param {string} actionType - CONNECTION_SENT, CONNECTION_ACCEPTED, MESSAGE_SENT, REPLY_RECEIVED, etc.
-   * @param {object} metadata - { leadId, channel: 'linkedin'|'email'|'whatsapp'|'voice'|'instagram', leadName, leadPhone, leadEmail, messageContent, status }
+   * @param {object} metadata - { leadId, channel: 'linkedin'|'email'|'whatsapp'|'voice'|'instagram', leadName, leadPhone, leadEmail, messageContent, status, stepId, variantId }
    */
   async trackAction(campaignId, actionType, metadata = {}) {
     const {
@@ -30,7 +30,9 @@ class CampaignStatsTracker {
       accountName,
       providerAccountId,
       userId,  // ✅ User ID from social_linkedin_accounts
-      leadLinkedIn
+      leadLinkedIn,
+      stepId,
+      variantId
     } = metadata;
 
     const schema = getSchema(null);
@@ -39,8 +41,8 @@ class CampaignStatsTracker {
       // Insert into campaign_analytics for real-time tracking using pool
       await pool.query(
         `INSERT INTO ${schema}.campaign_analytics 
-         (campaign_id, lead_id, action_type, platform, status, lead_name, lead_phone, lead_email, message_content, error_message, response_data, tenant_id, account_name, provider_account_id, user_id, lead_linkedin, created_at)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, NOW())`,
+         (campaign_id, lead_id, action_type, platform, status, lead_name, lead_phone, lead_email, message_content, error_message, response_data, tenant_id, account_name, provider_account_id, user_id, lead_linkedin, step_id, variant_id, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, NOW())`,
         [
           campaignId,
           leadId,
@@ -57,7 +59,9 @@ class CampaignStatsTracker {
           accountName,
           providerAccountId,
           userId,  // ✅ Store user_id from social_linkedin_accounts
-          leadLinkedIn
+          leadLinkedIn,
+          stepId || null,
+          variantId || null
         ]
       );
 
@@ -70,6 +74,11 @@ class CampaignStatsTracker {
 
       // Emit stats update event
       await this._emitStatsUpdate(campaignId);
+
+      // Wake leads parked on a wait_for_event step for this action
+      if (status === 'success') {
+        require('./WorkflowEventService').notify(campaignId, leadId, actionType, tenantId);
+      }
     } catch (error) {
       logger.error('[CampaignStatsTracker] Failed to track action', {
         campaignId,
@@ -238,7 +247,7 @@ class CampaignStatsTracker {
       const platformMetrics = {
         linkedin: { sent: 0, connected: 0, replied: 0, profile_views: 0 },
         email: { sent: 0, connected: 0, replied: 0, opened: 0, clicked: 0 },
-        whatsapp: { sent: 0, connected: 0, replied: 0, delivered: 0 },
+        whatsapp: { sent: 0, connected: 0, replied: 0, delivered: 0, opened: 0 },
         voice: { sent: 0, connected: 0, replied: 0 },
         instagram: { sent: 0, connected: 0, replied: 0 }
       };
@@ -266,6 +275,7 @@ class CampaignStatsTracker {
           case 'MESSAGE_SENT':
           case 'EMAIL_SENT':
           case 'WHATSAPP_SENT':
+          case 'INSTAGRAM_DM_SENT':
           case 'VOICE_CALL_MADE':
             stats.sent_count += count;
             if (platformData) platformData.sent += count;
@@ -288,12 +298,14 @@ class CampaignStatsTracker {
             break;
           case 'MESSAGE_OPENED':
           case 'EMAIL_OPENED':
+          case 'WHATSAPP_READ':
             stats.opened_count += count;
             if (platformData && platformData.opened !== undefined) {
               platformData.opened += count;
             }
             break;
           case 'MESSAGE_CLICKED':
+          case 'EMAIL_CLICKED':
             stats.clicked_count += count;
             if (platformData && platformData.clicked !== undefined) {
               platformData.clicked += count;
@@ -326,11 +338,24 @@ class CampaignStatsTracker {
       'MESSAGE_CLICKED': 'clicked_count',
       'REPLY_RECEIVED': 'replied_count',
       'PROFILE_VISITED': null, // Don't count as sent
+      'PROFILE_SCRAPED': null, // Don't count as sent
+      'POST_REACTED': null, // Warm-up touches - don't count as sent
+      'POST_COMMENTED': null,
+      'COMMENT_REPLIED': null,
+      'POST_PUBLISHED': null, // Company posts (linkedin_autopost) - not sent to a lead
+      'POST_PUBLISH_FAILED': null,
       'MESSAGE_SKIPPED': null, // Don't count - connection not accepted yet
       'EMAIL_SENT': 'sent_count',
       'EMAIL_OPENED': 'opened_count',
+      'EMAIL_CLICKED': 'clicked_count',
       'WHATSAPP_SENT': 'sent_count',
       'WHATSAPP_DELIVERED': 'delivered_count',
+      'WHATSAPP_READ': 'opened_count',
+      'INSTAGRAM_DM_SENT': 'sent_count',
+      'INSTAGRAM_FOLLOWED': null, // Engagement touches - don't count as sent
+      'INSTAGRAM_POST_LIKED': null,
+      'INSTAGRAM_STORY_VIEWED': null,
+      'INSTAGRAM_COMMENT_REPLIED': null,
       'VOICE_CALL_MADE': 'sent_count',
       'VOICE_CALL_ANSWERED': 'connected_count'
     };
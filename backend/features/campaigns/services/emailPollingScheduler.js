@@ -0,0 +1,104 @@
+/**
+ * Email Polling Scheduler
+ * Periodically scans campaign mailboxes over IMAP for replies and bounces
+ *
+ * SCHEDULE:
+ * - EMAIL_IMAP_POLL_CRON (default every 5 minutes)
+ * - Each tick enqueues an 'email.poll_mailboxes' job, run once per tick by the job queue
+ * - Manual runs never overlap; a slow manual poll makes the next one a no-op
+ */
+
+const cron = require('node-cron');
+const emailInboxService = require('./EmailInboxService');
+const jobQueueService = require('./JobQueueService');
+const logger = require('../../../core/utils/logger');
+
+const DEFAULT_POLL_CRON = '*/5 * * * *';
+
+class EmailPollingScheduler {
+  constructor() {
+    this.job = null;
+    this.isRunning = false;
+    this.isPolling = false;
+  }
+
+  /**
+   * Start the polling job
+   */
+  start() {
+    if (this.isRunning) {
+      logger.warn('[EmailPollingScheduler] Scheduler is already running');
+      return;
+    }
+
+    const cronExpression = process.env.EMAIL_IMAP_POLL_CRON || DEFAULT_POLL_CRON;
+    this.job = cron.schedule(cronExpression, () => this.enqueuePoll(), { scheduled: true });
+    this.isRunning = true;
+    logger.info('[EmailPollingScheduler] Email inbox polling scheduled', { cron: cronExpression });
+  }
+
+  /**
+   * Stop the polling job
+   */
+  stop() {
+    if (!this.isRunning) {
+      logger.warn('[EmailPollingScheduler] Scheduler is not running');
+      return;
+    }
+
+    this.job.stop();
+    this.job = null;
+    this.isRunning = false;
+    logger.info('[EmailPollingScheduler] Email inbox polling stopped');
+  }
+
+  /**
+   * Queue this tick's poll
+   */
+  async enqueuePoll() {
+    try {
+      await jobQueueService.enqueueRecurring('email.poll_mailboxes');
+    } catch (error) {
+      logger.error('[EmailPollingScheduler] Failed to enqueue polling job', { error: error.message });
+    }
+  }
+
+  /**
+   * Poll all mailboxes once (manual trigger)
+   */
+  async runPoll() {
+    if (this.isPolling) {
+      logger.info('[EmailPollingScheduler] Previous poll still running, skipping');
+      return { success: false, error: 'Poll already in progress' };
+    }
+
+    this.isPolling = true;
+    try {
+      const result = await emailInboxService.pollAllMailboxes();
+      return { success: true, result };
+    } catch (error) {
+      logger.error('[EmailPollingScheduler] Polling job failed', {
+        error: error.message,
+        stack: error.stack
+      });
+      return { success: false, error: error.message };
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  /**
+   * Get scheduler status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      isPolling: this.isPolling,
+      schedule: process.env.EMAIL_IMAP_POLL_CRON || DEFAULT_POLL_CRON
+    };
+  }
+}
+
+// Export singleton instance
+const emailPollingScheduler = new EmailPollingScheduler();
+module.exports = { emailPollingScheduler };
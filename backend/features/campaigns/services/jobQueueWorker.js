@@ -0,0 +1,114 @@
+/**
+ * Job Queue Worker
+ * Local runner for the postgres job queue backend
+ *
+ * Claims due jobs from job_queue and runs them through JobQueueService, which
+ * handles retries and dead letters. With the cloud_tasks backend the queue stays
+ * empty and ticks are cheap no-ops (jobs left over from a backend switch still run).
+ *
+ * SCHEDULE:
+ * - JOB_QUEUE_POLL_CRON (default every 15 seconds)
+ * - Completed jobs past retention are purged once an hour
+ * - Ticks never overlap; a slow tick makes the next one a no-op
+ */
+
+const cron = require('node-cron');
+const jobQueueService = require('./JobQueueService');
+const logger = require('../../../core/utils/logger');
+
+const DEFAULT_POLL_CRON = '*/15 * * * * *';
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+class JobQueueWorker {
+  constructor() {
+    this.job = null;
+    this.isRunning = false;
+    this.isProcessing = false;
+    this.lastPurgeAt = 0;
+  }
+
+  /**
+   * Start the worker
+   */
+  start() {
+    if (this.isRunning) {
+      logger.warn('[JobQueueWorker] Worker is already running');
+      return;
+    }
+
+    const cronExpression = process.env.JOB_QUEUE_POLL_CRON || DEFAULT_POLL_CRON;
+    this.job = cron.schedule(cronExpression, () => this.runTick(), { scheduled: true });
+    this.isRunning = true;
+    logger.info('[JobQueueWorker] Job queue worker scheduled', {
+      cron: cronExpression,
+      backend: jobQueueService.getBackend()
+    });
+  }
+
+  /**
+   * Stop the worker
+   */
+  stop() {
+    if (!this.isRunning) {
+      logger.warn('[JobQueueWorker] Worker is not running');
+      return;
+    }
+
+    this.job.stop();
+    this.job = null;
+    this.isRunning = false;
+    logger.info('[JobQueueWorker] Job queue worker stopped');
+  }
+
+  /**
+   * Run due jobs once (scheduled tick or manual trigger)
+   */
+  async runTick() {
+    if (this.isProcessing) {
+      logger.info('[JobQueueWorker] Previous tick still running, skipping');
+      return { success: false, error: 'Tick already in progress' };
+    }
+
+    this.isProcessing = true;
+    try {
+      const result = await jobQueueService.processDueJobs();
+      if (result.claimed > 0) {
+        logger.info('[JobQueueWorker] Processed due jobs', result);
+      }
+
+      if (Date.now() - this.lastPurgeAt >= PURGE_INTERVAL_MS) {
+        this.lastPurgeAt = Date.now();
+        const purged = await jobQueueService.purgeCompletedJobs();
+        if (purged > 0) {
+          logger.info('[JobQueueWorker] Purged completed jobs', { purged });
+        }
+      }
+
+      return { success: true, result };
+    } catch (error) {
+      logger.error('[JobQueueWorker] Worker tick failed', {
+        error: error.message,
+        stack: error.stack
+      });
+      return { success: false, error: error.message };
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Get worker status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      isProcessing: this.isProcessing,
+      backend: jobQueueService.getBackend(),
+      schedule: process.env.JOB_QUEUE_POLL_CRON || DEFAULT_POLL_CRON
+    };
+  }
+}
+
+// Export singleton instance
+const jobQueueWorker = new JobQueueWorker();
+module.exports = { jobQueueWorker };
@@ -0,0 +1,80 @@
+/**
+ * LinkedIn Pacing Scheduler
+ * Local scheduler backend for paced LinkedIn actions
+ *
+ * Wakes leads whose linkedin_action_queue slot has come due, so paced actions go
+ * out through the day without waiting for the next Cloud Tasks campaign run.
+ *
+ * SCHEDULE:
+ * - LINKEDIN_PACING_CRON (default every minute)
+ * - Each tick enqueues a 'linkedin.dispatch_paced_actions' job, run once per tick by the job queue
+ *   (LinkedInPacingService.dispatchDueSlots)
+ */
+
+const cron = require('node-cron');
+const jobQueueService = require('./JobQueueService');
+const logger = require('../../../core/utils/logger');
+
+const DEFAULT_PACING_CRON = '* * * * *';
+
+class LinkedInPacingScheduler {
+  constructor() {
+    this.job = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Start the scheduler
+   */
+  start() {
+    if (this.isRunning) {
+      logger.warn('[LinkedInPacingScheduler] Scheduler is already running');
+      return;
+    }
+
+    const cronExpression = process.env.LINKEDIN_PACING_CRON || DEFAULT_PACING_CRON;
+    this.job = cron.schedule(cronExpression, () => this.enqueueTick(), { scheduled: true });
+    this.isRunning = true;
+    logger.info('[LinkedInPacingScheduler] LinkedIn pacing scheduled', { cron: cronExpression });
+  }
+
+  /**
+   * Stop the scheduler
+   */
+  stop() {
+    if (!this.isRunning) {
+      logger.warn('[LinkedInPacingScheduler] Scheduler is not running');
+      return;
+    }
+
+    this.job.stop();
+    this.job = null;
+    this.isRunning = false;
+    logger.info('[LinkedInPacingScheduler] LinkedIn pacing stopped');
+  }
+
+  /**
+   * Queue this tick's dispatch
+   */
+  async enqueueTick() {
+    try {
+      await jobQueueService.enqueueRecurring('linkedin.dispatch_paced_actions');
+    } catch (error) {
+      logger.error('[LinkedInPacingScheduler] Failed to enqueue pacing job', { error: error.message });
+    }
+  }
+
+  /**
+   * Get scheduler status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      schedule: process.env.LINKEDIN_PACING_CRON || DEFAULT_PACING_CRON
+    };
+  }
+}
+
+// Export singleton instance
+const linkedInPacingScheduler = new LinkedInPacingScheduler();
+module.exports = { linkedInPacingScheduler };
@@ -0,0 +1,80 @@
+/**
+ * LinkedIn Posting Scheduler
+ * Publishes due posts from the LinkedIn content calendar
+ *
+ * Each tick claims due posts (one per account) and publishes them through the
+ * configured posting adapter (see LinkedInPostingService).
+ *
+ * SCHEDULE:
+ * - LINKEDIN_POSTING_CRON (default every minute)
+ * - Each tick enqueues a 'linkedin.publish_due_posts' job, run once per tick by the job queue
+ *   (LinkedInPostingService.processDuePosts)
+ */
+
+const cron = require('node-cron');
+const jobQueueService = require('./JobQueueService');
+const logger = require('../../../core/utils/logger');
+
+const DEFAULT_POSTING_CRON = '* * * * *';
+
+class LinkedInPostingScheduler {
+  constructor() {
+    this.job = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Start the scheduler
+   */
+  start() {
+    if (this.isRunning) {
+      logger.warn('[LinkedInPostingScheduler] Scheduler is already running');
+      return;
+    }
+
+    const cronExpression = process.env.LINKEDIN_POSTING_CRON || DEFAULT_POSTING_CRON;
+    this.job = cron.schedule(cronExpression, () => this.enqueueTick(), { scheduled: true });
+    this.isRunning = true;
+    logger.info('[LinkedInPostingScheduler] LinkedIn posting scheduled', { cron: cronExpression });
+  }
+
+  /**
+   * Stop the scheduler
+   */
+  stop() {
+    if (!this.isRunning) {
+      logger.warn('[LinkedInPostingScheduler] Scheduler is not running');
+      return;
+    }
+
+    this.job.stop();
+    this.job = null;
+    this.isRunning = false;
+    logger.info('[LinkedInPostingScheduler] LinkedIn posting stopped');
+  }
+
+  /**
+   * Queue this tick's publishing run
+   */
+  async enqueueTick() {
+    try {
+      await jobQueueService.enqueueRecurring('linkedin.publish_due_posts');
+    } catch (error) {
+      logger.error('[LinkedInPostingScheduler] Failed to enqueue posting job', { error: error.message });
+    }
+  }
+
+  /**
+   * Get scheduler status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      schedule: process.env.LINKEDIN_POSTING_CRON || DEFAULT_POSTING_CRON
+    };
+  }
+}
+
+// Export singleton instance
+const linkedInPostingScheduler = new LinkedInPostingScheduler();
+module.exports = { linkedInPostingScheduler };
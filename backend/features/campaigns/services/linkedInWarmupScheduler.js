@@ -0,0 +1,80 @@
+/**
+ * LinkedIn Warm-up Scheduler
+ * Re-evaluates LinkedIn accounts on the warm-up program
+ *
+ * Each tick moves accounts up the warm-up schedule as they age, and pauses or
+ * resumes them on their acceptance rate (see LinkedInWarmupService).
+ *
+ * SCHEDULE:
+ * - LINKEDIN_WARMUP_CRON (default hourly)
+ * - Each tick enqueues a 'linkedin.evaluate_warmup' job, run once per tick by the job queue
+ *   (LinkedInWarmupService.evaluateAll)
+ */
+
+const cron = require('node-cron');
+const jobQueueService = require('./JobQueueService');
+const logger = require('../../../core/utils/logger');
+
+const DEFAULT_WARMUP_CRON = '0 * * * *';
+
+class LinkedInWarmupScheduler {
+  constructor() {
+    this.job = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Start the scheduler
+   */
+  start() {
+    if (this.isRunning) {
+      logger.warn('[LinkedInWarmupScheduler] Scheduler is already running');
+      return;
+    }
+
+    const cronExpression = process.env.LINKEDIN_WARMUP_CRON || DEFAULT_WARMUP_CRON;
+    this.job = cron.schedule(cronExpression, () => this.enqueueTick(), { scheduled: true });
+    this.isRunning = true;
+    logger.info('[LinkedInWarmupScheduler] LinkedIn warm-up scheduled', { cron: cronExpression });
+  }
+
+  /**
+   * Stop the scheduler
+   */
+  stop() {
+    if (!this.isRunning) {
+      logger.warn('[LinkedInWarmupScheduler] Scheduler is not running');
+      return;
+    }
+
+    this.job.stop();
+    this.job = null;
+    this.isRunning = false;
+    logger.info('[LinkedInWarmupScheduler] LinkedIn warm-up stopped');
+  }
+
+  /**
+   * Queue this tick's evaluation
+   */
+  async enqueueTick() {
+    try {
+      await jobQueueService.enqueueRecurring('linkedin.evaluate_warmup');
+    } catch (error) {
+      logger.error('[LinkedInWarmupScheduler] Failed to enqueue warm-up job', { error: error.message });
+    }
+  }
+
+  /**
+   * Get scheduler status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      schedule: process.env.LINKEDIN_WARMUP_CRON || DEFAULT_WARMUP_CRON
+    };
+  }
+}
+
+// Export singleton instance
+const linkedInWarmupScheduler = new LinkedInWarmupScheduler();
+module.exports = { linkedInWarmupScheduler };
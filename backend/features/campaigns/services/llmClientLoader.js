@@ -0,0 +1,30 @@
+/**
+ * LLM Client Loader
+ * Loads the shared Gemini client for services that ask an LLM and fall back to their own
+ * rules or templates without one (ReplyClassifierService, LinkedInEngagementService)
+ *
+ * Callers resolve the client once and keep it (null = no LLM); any client exposing
+ * generateContent(prompt) -> Promise<string> can replace it through their setLlmClient().
+ */
+const logger = require('../../../core/utils/logger');
+
+/**
+ * @param {string} owner - Log prefix of the calling service
+ * @param {string} fallback - What the caller does without a client (for the warning)
+ * @returns {Object|null} The Gemini client, or null when GEMINI_API_KEY is unset or it fails to load
+ */
+function loadLlmClient(owner, fallback) {
+  if (!process.env.GEMINI_API_KEY) {
+    return null;
+  }
+  try {
+    return require('../../ai-icp-assistant/services/gemini-client.service');
+  } catch (error) {
+    logger.warn(`[${owner}] Gemini client unavailable, ${fallback}`, { error: error.message });
+    return null;
+  }
+}
+
+module.exports = {
+  loadLlmClient
+};
@@ -18,10 +18,14 @@
  * WORKFLOW:
  * CONNECTION_SENT → (wait) → CONNECTION_ACCEPTED → CONTACTED
  * MESSAGE_SKIPPED → (triggered) → CONTACTED
+ *
+ * Each cron tick enqueues a 'linkedin.poll_connections' job; the job queue runs
+ * the poll once per tick across instances and records failures.
  */
 
 const cron = require('node-cron');
 const linkedInPollingService = require('./LinkedInPollingService');
+const jobQueueService = require('./JobQueueService');
 const logger = require('../../../core/utils/logger');
 const { POLLING_SCHEDULE } = require('../constants/pollingConstants');
 
@@ -53,13 +57,11 @@ class PollingScheduler {
     scheduleEntries.forEach(({ name, cron: cronExpression, time }, index) => {
       const job = cron.schedule(cronExpression, async () => {
         try {
-          logger.info(`[PollingScheduler] Running scheduled polling at ${time} GST`);
+          logger.info(`[PollingScheduler] Queueing scheduled polling at ${time} GST`);
           
-          await linkedInPollingService.pollAllLinkedInAccounts();
-          
-          logger.info(`[PollingScheduler] Polling completed successfully at ${time} GST`);
+          await jobQueueService.enqueueRecurring('linkedin.poll_connections');
         } catch (error) {
-          logger.error('[PollingScheduler] Polling job failed', {
+          logger.error('[PollingScheduler] Failed to enqueue polling job', {
             error: error.message,
             stack: error.stack,
             time: new Date().toISOString()
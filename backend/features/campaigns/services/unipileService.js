@@ -8,17 +8,21 @@
  * - Sending LinkedIn messages
  * - Following LinkedIn profiles
  * - Getting LinkedIn contact details
+ * - Getting full LinkedIn profiles (experience, education, skills, recent posts)
+ * - Publishing, reacting to and commenting on LinkedIn posts
  * 
  * This is a composite service that combines:
  * - UnipileBaseService: Base configuration and utilities
  * - UnipileConnectionService: Connection requests
  * - UnipileMessageService: Direct messaging
  * - UnipileProfileService: Profile operations
+ * - UnipilePostService: Post engagement
  */
 const UnipileBaseService = require('./UnipileBaseService');
 const UnipileConnectionService = require('./UnipileConnectionService');
 const UnipileMessageService = require('./UnipileMessageService');
 const UnipileProfileService = require('./UnipileProfileService');
+const UnipilePostService = require('./UnipilePostService');
 class UnipileService {
     constructor() {
         // Initialize base service
@@ -27,6 +31,7 @@ class UnipileService {
         this.connection = new UnipileConnectionService(this.base);
         this.message = new UnipileMessageService(this.base);
         this.profile = new UnipileProfileService(this.base);
+        this.post = new UnipilePostService(this.base);
     }
     // Base service methods
     getBaseUrl() {
@@ -55,6 +60,12 @@ class UnipileService {
     async sendLinkedInMessage(employee, messageText, accountId, options = {}) {
         return this.message.sendLinkedInMessage(employee, messageText, accountId, options);
     }
+    async getChatMessages(chatId, options = {}) {
+        return this.message.getChatMessages(chatId, options);
+    }
+    async sendChatMessage(chatId, accountId, messageText) {
+        return this.message.sendChatMessage(chatId, accountId, messageText);
+    }
     // Profile service methods
     async followLinkedInProfile(employee, accountId) {
         return this.profile.followLinkedInProfile(employee, accountId);
@@ -62,6 +73,25 @@ class UnipileService {
     async getLinkedInContactDetails(linkedinUrl, accountId) {
         return this.profile.getLinkedInContactDetails(linkedinUrl, accountId);
     }
+    async getLinkedInProfileSnapshot(linkedinUrl, accountId, options = {}) {
+        return this.profile.getLinkedInProfileSnapshot(linkedinUrl, accountId, options);
+    }
+    // Post service methods
+    async createPost(accountId, text, attachments = []) {
+        return this.post.createPost(accountId, text, attachments);
+    }
+    async reactToPost(postId, reactionType, accountId) {
+        return this.post.reactToPost(postId, reactionType, accountId);
+    }
+    async commentOnPost(postId, text, accountId, options = {}) {
+        return this.post.commentOnPost(postId, text, accountId, options);
+    }
+    async getPostComments(postId, accountId, limit) {
+        return this.post.getPostComments(postId, accountId, limit);
+    }
+    async getOwnPosts(accountId, limit) {
+        return this.post.getOwnPosts(accountId, limit);
+    }
 }
 // Export singleton instance for backward compatibility
 module.exports = new UnipileService();
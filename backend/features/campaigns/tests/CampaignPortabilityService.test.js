@@ -0,0 +1,157 @@
+jest.mock('../repositories/CampaignRepository');
+jest.mock('../repositories/CampaignStepRepository');
+jest.mock('../repositories/CampaignLeadRepository');
+
+const { pool } = require('../../../shared/database/connection');
+const CampaignRepository = require('../repositories/CampaignRepository');
+const CampaignStepRepository = require('../repositories/CampaignStepRepository');
+const CampaignLeadRepository = require('../repositories/CampaignLeadRepository');
+const portabilityService = require('../services/CampaignPortabilityService');
+
+const TX = { schema: 'lad_test', client: 'tx-client' };
+const SOURCE = {
+  id: 'campaign-1',
+  name: 'Q4 outreach',
+  config: JSON.stringify({ campaign_type: 'linkedin', leads_per_day: 20, lead_gen_offset: 40, linkedinAccountIds: ['acc-1'] })
+};
+const STEPS = [
+  { id: 'step-1', type: 'linkedin_visit', order: 0, title: 'Visit', config: { searchCursor: 'abc' } },
+  { id: 'step-2', type: 'linkedin_message', order: 1, title: 'Message', config: { message: 'Hi {{first_name}}', unipile_account_id: 'u-1' } },
+  { id: 'step-3', type: 'linkedin_visit', order: 2, title: 'Removed', is_deleted: true, config: {} }
+];
+
+describe('CampaignPortabilityService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    CampaignRepository.getById.mockResolvedValue(SOURCE);
+    CampaignRepository.withTransaction.mockImplementation(fn => fn(TX));
+    CampaignRepository.create.mockImplementation(async (data) => ({ id: 'campaign-2', ...data }));
+    CampaignStepRepository.getStepsByCampaignId.mockResolvedValue(STEPS);
+    CampaignStepRepository.bulkCreate.mockImplementation(async (campaignId, tenantId, steps) => steps);
+    CampaignLeadRepository.copyToCampaign.mockResolvedValue(3);
+  });
+
+  describe('cloneCampaign', () => {
+    it('copies the campaign, its live steps and its leads in one transaction', async () => {
+      const result = await portabilityService.cloneCampaign('campaign-1', 't1', 'user-1', { includeLeads: true }, { schema: 'lad_test' });
+      expect(result).toMatchObject({ stepsCopied: 2, leadsCopied: 3, campaign: { id: 'campaign-2', name: 'Q4 outreach (copy)', status: 'draft' } });
+      expect(CampaignRepository.withTransaction).toHaveBeenCalledWith(expect.any(Function), { schema: 'lad_test' });
+      expect(CampaignRepository.create).toHaveBeenCalledWith(expect.any(Object), 't1', TX);
+      expect(CampaignStepRepository.bulkCreate).toHaveBeenCalledWith('campaign-2', 't1', expect.any(Array), TX);
+      expect(CampaignLeadRepository.copyToCampaign).toHaveBeenCalledWith('campaign-1', 'campaign-2', 't1', TX);
+    });
+
+    it('drops run-time state but keeps the tenant\'s own settings', async () => {
+      await portabilityService.cloneCampaign('campaign-1', 't1', 'user-1');
+      expect(CampaignRepository.create.mock.calls[0][0].config).toEqual({
+        campaign_type: 'linkedin',
+        leads_per_day: 20,
+        linkedinAccountIds: ['acc-1'],
+        clonedFromCampaignId: 'campaign-1'
+      });
+      const copies = CampaignStepRepository.bulkCreate.mock.calls[0][2];
+      expect(copies.map(step => step.config)).toEqual([
+        { node_id: 'step-1' },
+        { node_id: 'step-2', message: 'Hi {{first_name}}', unipile_account_id: 'u-1' }
+      ]);
+      expect(CampaignLeadRepository.copyToCampaign).not.toHaveBeenCalled();
+    });
+
+    it('fails as a whole when a write fails', async () => {
+      CampaignLeadRepository.copyToCampaign.mockRejectedValue(new Error('insert failed'));
+      await expect(portabilityService.cloneCampaign('campaign-1', 't1', 'user-1', { includeLeads: true })).rejects.toThrow('insert failed');
+    });
+
+    it('returns null for an unknown campaign and rejects a blank name', async () => {
+      CampaignRepository.getById.mockResolvedValueOnce(null);
+      await expect(portabilityService.cloneCampaign('missing', 't1', 'user-1')).resolves.toBeNull();
+      await expect(portabilityService.cloneCampaign('campaign-1', 't1', 'user-1', { name: ' ' })).rejects.toMatchObject({ statusCode: 400 });
+      expect(CampaignRepository.withTransaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('export and import', () => {
+    it('exports without run-time state or settings bound to the tenant', async () => {
+      const document = await portabilityService.exportCampaign('campaign-1', 't1');
+      expect(document).toMatchObject({
+        format: 'lad.campaign',
+        version: 1,
+        campaign: { name: 'Q4 outreach', campaign_type: 'linkedin', config: { campaign_type: 'linkedin', leads_per_day: 20 } }
+      });
+      expect(document.campaign.config).not.toHaveProperty('linkedinAccountIds');
+      expect(document.steps).toEqual([
+        { key: 'step-1', type: 'linkedin_visit', order: 0, title: 'Visit', description: '', config: { node_id: 'step-1' } },
+        { key: 'step-2', type: 'linkedin_message', order: 1, title: 'Message', description: '', config: { node_id: 'step-2', message: 'Hi {{first_name}}' } }
+      ]);
+    });
+
+    it('imports an exported campaign as a draft in one transaction', async () => {
+      const document = await portabilityService.exportCampaign('campaign-1', 't1');
+      const result = await portabilityService.importCampaign(document, 't2', 'user-2', { name: 'Imported' });
+      expect(result).toMatchObject({ stepsCreated: 2, campaign: { name: 'Imported', status: 'draft' } });
+      expect(CampaignRepository.create).toHaveBeenCalledWith(expect.any(Object), 't2', TX);
+      expect(CampaignStepRepository.bulkCreate).toHaveBeenCalledWith('campaign-2', 't2', expect.any(Array), TX);
+    });
+
+    it('lists every invalid step before writing anything', async () => {
+      let error;
+      try {
+        await portabilityService.importCampaign({
+          format: 'lad.campaign',
+          version: 1,
+          campaign: { name: 'Broken' },
+          steps: [
+            { key: 'a', type: 'carrier_pigeon' },
+            { key: 'b', type: 'linkedin_message', config: { message: 'Hi {% if company %}' } },
+            { key: 'b', type: 'linkedin_visit' }
+          ]
+        }, 't1', 'user-1');
+      } catch (thrown) {
+        error = thrown;
+      }
+      expect(error).toMatchObject({ statusCode: 400, message: 'Campaign definition is invalid (3 problems)' });
+      expect(error.details.map(detail => detail.key)).toEqual(['a', 'b', 'b']);
+      expect(error.details[1].error).toContain('never closed');
+      expect(CampaignRepository.withTransaction).not.toHaveBeenCalled();
+    });
+
+    it('rejects unsupported documents', () => {
+      expect(() => portabilityService.validateDocument({ format: 'other' })).toThrow('Unsupported format "other"');
+      expect(() => portabilityService.validateDocument({ format: 'lad.campaign', version: 2 })).toThrow('Unsupported version 2');
+    });
+  });
+
+  describe('repositories', () => {
+    const ActualCampaignRepository = jest.requireActual('../repositories/CampaignRepository');
+    const ActualCampaignLeadRepository = jest.requireActual('../repositories/CampaignLeadRepository');
+    let client;
+
+    beforeEach(() => {
+      client = { query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() };
+      pool.connect = jest.fn().mockResolvedValue(client);
+    });
+
+    it('commits a transaction that succeeds and rolls back one that fails', async () => {
+      await expect(ActualCampaignRepository.withTransaction(async (context) => {
+        expect(context).toEqual({ schema: 'lad_test', client });
+        return 'done';
+      }, { schema: 'lad_test' })).resolves.toBe('done');
+      expect(client.query.mock.calls.map(call => call[0])).toEqual(['BEGIN', 'COMMIT']);
+
+      client.query.mockClear();
+      await expect(ActualCampaignRepository.withTransaction(async () => {
+        throw new Error('step insert failed');
+      })).rejects.toThrow('step insert failed');
+      expect(client.query.mock.calls.map(call => call[0])).toEqual(['BEGIN', 'ROLLBACK']);
+      expect(client.release).toHaveBeenCalledTimes(2);
+    });
+
+    it('copies only leads still in the sequence, on the transaction client', async () => {
+      client.query.mockResolvedValue({ rows: [{ id: 'cl-1' }, { id: 'cl-2' }] });
+      await expect(ActualCampaignLeadRepository.copyToCampaign('campaign-1', 'campaign-2', 't1', { client })).resolves.toBe(2);
+      const [sql, params] = client.query.mock.calls[0];
+      expect(sql).toContain("status IN ('pending', 'active')");
+      expect(params).toEqual(['campaign-1', 'campaign-2', 't1']);
+    });
+  });
+});
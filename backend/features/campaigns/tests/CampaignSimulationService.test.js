@@ -0,0 +1,196 @@
+jest.mock('../services/unipileService', () => ({}));
+jest.mock('../../../core/billing/services/billingService', () => ({ quote: jest.fn() }));
+jest.mock('../repositories/CampaignRepository');
+jest.mock('../repositories/CampaignStepRepository');
+jest.mock('../repositories/CampaignLeadRepository');
+jest.mock('../repositories/CampaignWorkflowVersionRepository');
+jest.mock('../repositories/LinkedInActionQueueRepository');
+
+const billingService = require('../../../core/billing/services/billingService');
+const CampaignRepository = require('../repositories/CampaignRepository');
+const CampaignStepRepository = require('../repositories/CampaignStepRepository');
+const CampaignLeadRepository = require('../repositories/CampaignLeadRepository');
+const CampaignWorkflowVersionRepository = require('../repositories/CampaignWorkflowVersionRepository');
+const LinkedInActionQueueRepository = require('../repositories/LinkedInActionQueueRepository');
+const workflowEngine = require('../engine/workflowEngine');
+const workflowSimulator = require('../engine/workflowSimulator');
+const { buildWorkflowGraph } = require('../engine/workflowGraph');
+const frequencyCapService = require('../services/FrequencyCapService');
+const linkedInPacingService = require('../services/LinkedInPacingService');
+const linkedInSenderRotationService = require('../services/LinkedInSenderRotationService');
+const suppressionService = require('../services/SuppressionService');
+const SendWindowUtil = require('../utils/sendWindowUtil');
+const campaignSimulationService = require('../services/CampaignSimulationService');
+
+// A Monday
+const START = new Date('2026-10-19T09:00:00Z');
+const HORIZON = new Date('2026-11-18T09:00:00Z');
+const STEPS = [
+  { id: 's1', type: 'linkedin_visit', order: 0, title: 'Visit', config: {} },
+  { id: 's2', type: 'delay', order: 1, config: { delay_days: 2 } },
+  { id: 's3', type: 'linkedin_message', order: 2, title: 'Message', config: { message: 'Hi {{first_name}}' } }
+];
+const lead = (id, overrides = {}) => ({
+  id,
+  lead_id: `lead-${id}`,
+  lead_data: { first_name: 'Jane', last_name: 'Doe', linkedin_url: 'https://linkedin.com/in/jane' },
+  ...overrides
+});
+const entry = (campaignLead, steps = STEPS) => ({
+  campaignLead,
+  graph: buildWorkflowGraph(steps),
+  version: 1,
+  actionLog: [],
+  touches: [],
+  suppression: null
+});
+const plan = (leads, overrides = {}) => ({
+  startAt: START,
+  horizonAt: HORIZON,
+  leads,
+  invalidSteps: new Map(),
+  sendWindow: null,
+  frequencyCaps: { enabled: false },
+  linkedin: {
+    pacing: { enabled: false },
+    accounts: [{ provider_account_id: 'u-1' }, { provider_account_id: 'u-2' }],
+    timelines: new Map([['u-1', linkedInPacingService.createPlanTimeline()], ['u-2', linkedInPacingService.createPlanTimeline()]]),
+    error: null
+  },
+  ...overrides
+});
+
+describe('workflowSimulator', () => {
+  it('walks each lead through the workflow on a virtual clock', async () => {
+    const [result] = await workflowSimulator.simulate(plan([entry(lead('cl-1'))]));
+    expect(result).toMatchObject({ campaignLeadId: 'cl-1', status: 'completed', finishedAt: '2026-10-21T09:00:00.000Z' });
+    expect(result.timeline.map(step => [step.stepType, step.kind, step.at])).toEqual([
+      ['linkedin_visit', 'action', '2026-10-19T09:00:00.000Z'],
+      ['delay', 'delay', '2026-10-21T09:00:00.000Z'],
+      ['linkedin_message', 'action', '2026-10-21T09:00:00.000Z']
+    ]);
+    expect(result.timeline[2]).toMatchObject({ status: 'planned', senderAccountId: 'u-1', preview: { message: 'Hi Jane' } });
+  });
+
+  it('spreads leads over senders and keeps each lead on its sender', async () => {
+    const results = await workflowSimulator.simulate(plan([entry(lead('cl-1')), entry(lead('cl-2')), entry(lead('cl-3', { linkedin_account_id: 'u-1' }))]));
+    expect(results.map(result => result.timeline.filter(step => step.kind === 'action').map(step => step.senderAccountId)))
+      .toEqual([['u-1', 'u-1'], ['u-2', 'u-2'], ['u-1', 'u-1']]);
+  });
+
+  it('defers actions to the send window and the daily pacing quota', async () => {
+    const sendWindow = SendWindowUtil.normalize({ sendWindow: { start: '09:00', end: '17:00', days: [1, 2, 3, 4, 5], timezone: 'UTC' } });
+    const pacing = { enabled: true, dailyActionLimit: 1, workingHours: { start: '09:00', end: '17:00', days: [1, 2, 3, 4, 5], timezone: 'UTC' } };
+    const visitOnly = [STEPS[0]];
+    const base = plan([entry(lead('cl-1'), visitOnly), entry(lead('cl-2'), visitOnly)]);
+    const results = await workflowSimulator.simulate({
+      ...base,
+      // A Saturday
+      startAt: new Date('2026-10-24T10:00:00Z'),
+      sendWindow,
+      linkedin: { ...base.linkedin, pacing, accounts: [{ provider_account_id: 'u-1' }] }
+    });
+    expect(results.map(result => result.timeline[0].at)).toEqual(['2026-10-26T09:00:00.000Z', '2026-10-27T09:00:00.000Z']);
+    expect(results[0].timeline[0].deferredBy).toEqual(['send_window']);
+    expect(results[1].timeline[0].deferredBy).toEqual(['send_window', 'linkedin_pacing']);
+  });
+
+  it('stops leads on invalid steps and suppressed leads, and waits past the horizon', async () => {
+    const invalid = plan([entry(lead('cl-1'))], { invalidSteps: new Map([['s3', { error: 'Message is required' }]]) });
+    const [stopped] = await workflowSimulator.simulate(invalid);
+    expect(stopped).toMatchObject({ status: 'stopped', reason: 'Message is required' });
+    expect(stopped.timeline[2]).toMatchObject({ kind: 'action', status: 'invalid' });
+
+    const [suppressed] = await workflowSimulator.simulate(plan([{ ...entry(lead('cl-1')), suppression: 'Email domain example.com' }]));
+    expect(suppressed).toMatchObject({ status: 'suppressed', timeline: [] });
+
+    const [waiting] = await workflowSimulator.simulate(plan([entry(lead('cl-1'))], { horizonAt: new Date('2026-10-20T09:00:00Z') }));
+    expect(waiting).toMatchObject({ status: 'waiting', finishedAt: null });
+    expect(waiting.timeline).toHaveLength(2);
+  });
+
+  it('reports leads that cannot be reached on the channel as failed actions', async () => {
+    const [result] = await workflowSimulator.simulate(plan([entry(lead('cl-1', { lead_data: { first_name: 'Jane' } }))]));
+    expect(result.status).toBe('completed');
+    expect(result.timeline[0]).toMatchObject({ status: 'would_fail', error: 'No LinkedIn URL found for lead' });
+  });
+});
+
+describe('CampaignSimulationService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    CampaignRepository.getById.mockResolvedValue({ id: 'campaign-1', workflow_version: 2, created_by_user_id: 'user-1', config: {} });
+    CampaignStepRepository.getStepsByCampaignId.mockResolvedValue(STEPS);
+    CampaignWorkflowVersionRepository.getStepsByVersion.mockResolvedValue([{ id: 'old-1', type: 'linkedin_visit', order: 0, config: {} }]);
+    CampaignLeadRepository.getLeadsForSimulation.mockResolvedValue([
+      lead('cl-1', { total_count: '12' }),
+      lead('cl-2', { workflow_version: 1, total_count: '12' })
+    ]);
+    LinkedInActionQueueRepository.getLastSlotForAccount.mockResolvedValue(null);
+    jest.spyOn(workflowEngine, 'loadLeadActions').mockResolvedValue([]);
+    jest.spyOn(frequencyCapService, 'getFrequencyCaps').mockResolvedValue({ enabled: false, rules: [] });
+    jest.spyOn(suppressionService, 'findMatchForLead').mockResolvedValue(null);
+    jest.spyOn(linkedInPacingService, 'getPacing').mockResolvedValue({ enabled: false });
+    jest.spyOn(linkedInSenderRotationService, 'getEligibleAccounts').mockResolvedValue({ accounts: [{ provider_account_id: 'u-1' }], error: null });
+    billingService.quote.mockImplementation(async ({ items }) => ({
+      items: items.map(item => ({ ...item, cost: item.quantity * 0.01 })),
+      totalCost: items[0].quantity * 0.01
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('simulates each lead on the workflow version it runs on and quotes the planned actions', async () => {
+    const report = await campaignSimulationService.simulateCampaign('campaign-1', 't1', { startAt: new Date(Date.now() + 60000).toISOString() });
+    expect(report).toMatchObject({
+      campaignId: 'campaign-1',
+      workflowVersion: 2,
+      valid: true,
+      leads: { total: 12, simulated: 2 },
+      summary: { statuses: { completed: 2 }, plannedActions: { linkedin_visit: 2, linkedin_message: 1 }, failedActions: 0 },
+      cost: { totalCost: 0.03, unpriced: [] }
+    });
+    expect(report.timelines.map(result => [result.workflowVersion, result.name])).toEqual([[2, 'Jane Doe'], [1, 'Jane Doe']]);
+    expect(CampaignWorkflowVersionRepository.getStepsByVersion).toHaveBeenCalledWith('campaign-1', 't1', 1, {});
+    expect(billingService.quote).toHaveBeenCalledWith({
+      tenantId: 't1',
+      items: [{ category: 'campaign_action', provider: 'linkedin', model: 'linkedin_visit', unit: 'action', quantity: 2 }]
+    });
+  });
+
+  it('lists validation errors and unpriced usage without failing the simulation', async () => {
+    CampaignStepRepository.getStepsByCampaignId.mockResolvedValue([
+      STEPS[0],
+      { id: 's2', type: 'carrier_pigeon', order: 1, config: {} },
+      { id: 's3', type: 'linkedin_message', order: 2, config: {} }
+    ]);
+    CampaignLeadRepository.getLeadsForSimulation.mockResolvedValue([lead('cl-1', { total_count: '1' })]);
+    billingService.quote.mockRejectedValue(new Error('No price for linkedin_visit'));
+
+    const report = await campaignSimulationService.simulateCampaign('campaign-1', 't1');
+    expect(report.valid).toBe(false);
+    expect(report.validationErrors.map(error => error.stepId)).toEqual(['s2', 's3']);
+    expect(report.timelines[0]).toMatchObject({ status: 'stopped' });
+    expect(report.cost).toMatchObject({ totalCost: 0, unpriced: [{ model: 'linkedin_visit', error: 'No price for linkedin_visit' }] });
+  });
+
+  it('returns null for an unknown campaign', async () => {
+    CampaignRepository.getById.mockResolvedValue(null);
+    await expect(campaignSimulationService.simulateCampaign('missing', 't1')).resolves.toBeNull();
+  });
+
+  it('validates the simulation options', () => {
+    const parse = body => () => campaignSimulationService.parseOptions(body);
+    expect(parse({ leadIds: [] })).toThrow('leadIds must be an array');
+    expect(parse({ leadIds: ['cl-1'] })).toThrow('UUIDs');
+    expect(parse({ limit: 500 })).toThrow('limit must be an integer between 1 and 200');
+    expect(parse({ startAt: 'soon' })).toThrow('startAt must be an ISO date');
+    expect(parse({ startAt: '2020-01-01T00:00:00Z' })).toThrow('startAt must not be in the past');
+    expect(parse({ horizonDays: 0 })).toThrow('horizonDays');
+    const options = campaignSimulationService.parseOptions({});
+    expect(options).toMatchObject({ leadIds: null, limit: 50 });
+    expect(options.horizonAt - options.startAt).toBe(30 * 24 * 60 * 60 * 1000);
+  });
+});
@@ -0,0 +1,52 @@
+jest.mock('../repositories/CampaignTemplateRepository');
+jest.mock('../repositories/CampaignRepository');
+jest.mock('../repositories/CampaignStepRepository');
+
+const CampaignTemplateRepository = require('../repositories/CampaignTemplateRepository');
+const CampaignRepository = require('../repositories/CampaignRepository');
+const portabilityService = require('../services/CampaignPortabilityService');
+const campaignTemplateService = require('../services/CampaignTemplateService');
+
+const DEFINITION = {
+  format: 'lad.campaign',
+  version: 1,
+  campaign: { name: 'Webinar follow-up', config: {} },
+  steps: [{ key: 'visit', type: 'linkedin_visit', order: 0, config: {} }]
+};
+
+describe('CampaignTemplateService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    CampaignTemplateRepository.create.mockImplementation(async (tenantId, fields) => ({ id: 'template-1', tenant_id: tenantId, ...fields }));
+  });
+
+  it('saves a validated definition as a tenant template', async () => {
+    const template = await campaignTemplateService.createTemplate('t1', { definition: DEFINITION, category: 'Events' }, { userId: 'user-1' });
+    expect(template).toMatchObject({ id: 'template-1', name: 'Webinar follow-up', category: 'Events', stepCount: 1 });
+    expect(CampaignTemplateRepository.create.mock.calls[0][0]).toBe('t1');
+  });
+
+  it('only lets template admins save global templates', async () => {
+    await expect(campaignTemplateService.createTemplate('t1', { definition: DEFINITION, scope: 'global' }, { userId: 'user-1' }))
+      .rejects.toMatchObject({ statusCode: 403 });
+    await campaignTemplateService.createTemplate('t1', { definition: DEFINITION, scope: 'global' }, { userId: 'user-1', canManageGlobal: true });
+    expect(CampaignTemplateRepository.create.mock.calls[0][0]).toBeNull();
+  });
+
+  it('refuses definitions that would not import', async () => {
+    await expect(campaignTemplateService.createTemplate('t1', { definition: { ...DEFINITION, steps: [{ type: 'nope' }] } }, {}))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(campaignTemplateService.createTemplate('t1', {}, {})).rejects.toThrow('campaignId or definition is required');
+    expect(CampaignTemplateRepository.create).not.toHaveBeenCalled();
+  });
+
+  it('creates a draft campaign from a template', async () => {
+    CampaignTemplateRepository.getById.mockResolvedValue({ id: 'template-1', tenant_id: null, definition: JSON.stringify(DEFINITION) });
+    const importSpy = jest.spyOn(portabilityService, 'importCampaign').mockResolvedValue({ campaign: { id: 'campaign-9' }, stepsCreated: 1 });
+    await expect(campaignTemplateService.useTemplate('template-1', 't1', 'user-1', { name: 'Mine' }))
+      .resolves.toEqual({ campaign: { id: 'campaign-9' }, stepsCreated: 1, templateId: 'template-1' });
+    expect(importSpy).toHaveBeenCalledWith(DEFINITION, 't1', 'user-1', { name: 'Mine' }, {});
+    expect(CampaignRepository.create).not.toHaveBeenCalled();
+    importSpy.mockRestore();
+  });
+});
@@ -0,0 +1,75 @@
+jest.mock('imapflow', () => ({ ImapFlow: jest.fn() }));
+jest.mock('mailparser', () => ({ simpleParser: jest.fn(async source => ({ text: source.toString('utf8') })) }));
+jest.mock('../repositories/EmailMailboxRepository');
+
+const EmailMailboxRepository = require('../repositories/EmailMailboxRepository');
+const emailInboxService = require('../services/EmailInboxService');
+
+describe('EmailInboxService.pollMailbox', () => {
+  const mailbox = { id: 'mailbox-1', tenant_id: 'tenant-1', imap_host: 'imap.example.com', imap_last_uid: 10 };
+  const rawMessage = uid => Buffer.from(`Message-ID: <m${uid}@example.com>\r\n\r\nThanks!\r\n`);
+
+  function mockImap(uids) {
+    const client = {
+      connect: jest.fn().mockResolvedValue(),
+      getMailboxLock: jest.fn().mockResolvedValue({ release: jest.fn() }),
+      search: jest.fn(),
+      fetch: jest.fn(async function* fetch() {
+        for (const uid of uids) {
+          yield { uid, source: rawMessage(uid) };
+        }
+      }),
+      logout: jest.fn().mockResolvedValue()
+    };
+    jest.spyOn(emailInboxService, 'createImapClient').mockReturnValue(client);
+    return client;
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  it('advances the cursor after each processed message', async () => {
+    const client = mockImap([12, 11, 10]);
+    jest.spyOn(emailInboxService, 'processInboundMessage')
+      .mockResolvedValueOnce('reply')
+      .mockResolvedValueOnce('bounce');
+
+    const result = await emailInboxService.pollMailbox(mailbox);
+
+    expect(client.fetch).toHaveBeenCalledWith('11:*', { uid: true, source: true }, { uid: true });
+    expect(result).toEqual({ replies: 1, bounces: 1 });
+    expect(EmailMailboxRepository.updateImapCursor.mock.calls).toEqual([['mailbox-1', 11], ['mailbox-1', 12]]);
+  });
+
+  it('still records the poll time when there is no new mail', async () => {
+    mockImap([10]);
+    await emailInboxService.pollMailbox(mailbox);
+    expect(EmailMailboxRepository.updateImapCursor).toHaveBeenCalledWith('mailbox-1', 10);
+  });
+
+  it('leaves the cursor in front of a failing message while it has attempts left', async () => {
+    mockImap([11, 12]);
+    jest.spyOn(emailInboxService, 'processInboundMessage').mockRejectedValue(new Error('parse failure'));
+    EmailMailboxRepository.recordImapFailure.mockResolvedValue(1);
+
+    await expect(emailInboxService.pollMailbox(mailbox)).rejects.toThrow('parse failure');
+
+    expect(EmailMailboxRepository.recordImapFailure).toHaveBeenCalledWith('mailbox-1', 11, 'parse failure');
+    expect(EmailMailboxRepository.updateImapCursor).not.toHaveBeenCalled();
+  });
+
+  it('skips a message that keeps failing so the rest of the mailbox is processed', async () => {
+    mockImap([11, 12]);
+    jest.spyOn(emailInboxService, 'processInboundMessage')
+      .mockRejectedValueOnce(new Error('parse failure'))
+      .mockResolvedValueOnce('reply');
+    EmailMailboxRepository.recordImapFailure.mockResolvedValue(3);
+
+    const result = await emailInboxService.pollMailbox(mailbox);
+
+    expect(result).toEqual({ replies: 1, bounces: 0 });
+    expect(EmailMailboxRepository.updateImapCursor.mock.calls).toEqual([['mailbox-1', 11], ['mailbox-1', 12]]);
+  });
+});
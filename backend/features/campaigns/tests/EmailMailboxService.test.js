@@ -0,0 +1,65 @@
+jest.mock('../repositories/EmailMailboxRepository');
+
+const EmailMailboxRepository = require('../repositories/EmailMailboxRepository');
+const emailMailboxService = require('../services/EmailMailboxService');
+const { encryptCredential, decryptCredential, isEncrypted } = require('../../../core/utils/credentialCipher');
+
+describe('EmailMailboxService credentials', () => {
+  const originalKey = process.env.CREDENTIALS_ENCRYPTION_KEY;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.CREDENTIALS_ENCRYPTION_KEY = 'test-credentials-key';
+  });
+
+  afterAll(() => {
+    if (originalKey === undefined) {
+      delete process.env.CREDENTIALS_ENCRYPTION_KEY;
+    } else {
+      process.env.CREDENTIALS_ENCRYPTION_KEY = originalKey;
+    }
+  });
+
+  it('encrypts SMTP and IMAP passwords before they are stored', async () => {
+    EmailMailboxRepository.create.mockResolvedValue({ id: 'mailbox-1' });
+
+    await emailMailboxService.createMailbox('tenant-1', 'user-1', {
+      email_address: 'sales@example.com',
+      smtp_host: 'smtp.example.com',
+      smtp_password: 'smtp-secret',
+      imap_host: 'imap.example.com',
+      imap_password: 'imap-secret'
+    });
+
+    const stored = EmailMailboxRepository.create.mock.calls[0][1];
+    expect(isEncrypted(stored.smtp_password)).toBe(true);
+    expect(stored.smtp_password).not.toContain('smtp-secret');
+    expect(decryptCredential(stored.smtp_password)).toBe('smtp-secret');
+    expect(decryptCredential(stored.imap_password)).toBe('imap-secret');
+  });
+
+  it('only re-encrypts passwords that are being changed', async () => {
+    await emailMailboxService.updateMailbox('mailbox-1', 'tenant-1', { smtp_password: 'new-secret', daily_limit: 50 });
+
+    const updates = EmailMailboxRepository.update.mock.calls[0][2];
+    expect(decryptCredential(updates.smtp_password)).toBe('new-secret');
+    expect(updates).not.toHaveProperty('imap_password');
+    expect(updates.daily_limit).toBe(50);
+  });
+
+  it('refuses to store credentials without CREDENTIALS_ENCRYPTION_KEY', async () => {
+    delete process.env.CREDENTIALS_ENCRYPTION_KEY;
+    await expect(emailMailboxService.updateMailbox('mailbox-1', 'tenant-1', { smtp_password: 'secret' }))
+      .rejects.toThrow('CREDENTIALS_ENCRYPTION_KEY is not configured');
+    expect(EmailMailboxRepository.update).not.toHaveBeenCalled();
+  });
+
+  it('rejects plaintext and values encrypted with another key', () => {
+    const encrypted = encryptCredential('secret');
+    expect(() => decryptCredential('secret')).toThrow('Stored credential is not encrypted');
+    process.env.CREDENTIALS_ENCRYPTION_KEY = 'another-key';
+    expect(() => decryptCredential(encrypted)).toThrow();
+    expect(encryptCredential('')).toBeNull();
+    expect(decryptCredential(null)).toBeNull();
+  });
+});
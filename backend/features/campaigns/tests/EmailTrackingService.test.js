@@ -0,0 +1,70 @@
+jest.mock('../services/campaignStatsTracker', () => ({
+  campaignStatsTracker: { trackAction: jest.fn() }
+}));
+jest.mock('../services/campaignEventsService', () => ({
+  campaignEventsService: { publishEvent: jest.fn() }
+}));
+
+const emailTrackingService = require('../services/EmailTrackingService');
+const { withEnv } = require('./helpers');
+
+describe('EmailTrackingService', () => {
+  const payload = { c: 'campaign-1', cl: 'cl-1', t: 'tenant-1', u: 'https://example.com/pricing' };
+
+  describe('tokens', () => {
+    it('round-trips signed payloads', () => {
+      withEnv('EMAIL_TRACKING_SECRET', 'tracking-secret', () => {
+        expect(emailTrackingService.verify(emailTrackingService.sign(payload))).toEqual(payload);
+      });
+    });
+
+    it('rejects tampered and foreign tokens', () => {
+      withEnv('EMAIL_TRACKING_SECRET', 'tracking-secret', () => {
+        const [, signature] = emailTrackingService.sign(payload).split('.');
+        const forgedBody = Buffer.from(JSON.stringify({ ...payload, u: 'https://evil.example' })).toString('base64url');
+        expect(emailTrackingService.verify(`${forgedBody}.${signature}`)).toBeNull();
+        expect(emailTrackingService.verify('garbage')).toBeNull();
+        expect(emailTrackingService.verify(null)).toBeNull();
+      });
+      const foreign = withEnv('EMAIL_TRACKING_SECRET', 'other-secret', () => emailTrackingService.sign(payload));
+      withEnv('EMAIL_TRACKING_SECRET', 'tracking-secret', () => {
+        expect(emailTrackingService.verify(foreign)).toBeNull();
+      });
+    });
+
+    it('never signs or accepts tokens without EMAIL_TRACKING_SECRET', () => {
+      const token = withEnv('EMAIL_TRACKING_SECRET', 'tracking-secret', () => emailTrackingService.sign(payload));
+      withEnv('EMAIL_TRACKING_SECRET', undefined, () => {
+        expect(() => emailTrackingService.sign(payload)).toThrow('EMAIL_TRACKING_SECRET is not configured');
+        expect(emailTrackingService.verify(token)).toBeNull();
+      });
+    });
+  });
+
+  describe('instrument', () => {
+    const ref = { campaignId: 'campaign-1', campaignLeadId: 'cl-1', leadId: 'lead-1', tenantId: 'tenant-1', messageId: '<m1@example.com>' };
+    const content = { html: '<p>See <a href="https://example.com/pricing">pricing</a></p>', text: 'See pricing' };
+
+    it('adds the open pixel and tracked links', () => {
+      withEnv('EMAIL_TRACKING_BASE_URL', 'https://api.example.com/', () => withEnv('EMAIL_TRACKING_SECRET', 'tracking-secret', () => {
+        const { html } = emailTrackingService.instrument(content, ref);
+        const clickToken = html.match(/track\/click\/([^"]+)"/)[1];
+        expect(emailTrackingService.verify(clickToken)).toMatchObject({ cl: 'cl-1', u: 'https://example.com/pricing' });
+        expect(html).toMatch(/<img src="https:\/\/api\.example\.com\/api\/campaigns\/track\/open\/[^"]+\.gif"/);
+      }));
+    });
+
+    it('sends mail untracked when EMAIL_TRACKING_SECRET is not set', () => {
+      withEnv('EMAIL_TRACKING_BASE_URL', 'https://api.example.com', () => withEnv('EMAIL_TRACKING_SECRET', undefined, () => {
+        expect(emailTrackingService.isEnabled()).toBe(false);
+        expect(emailTrackingService.instrument(content, ref)).toBe(content);
+      }));
+    });
+
+    it('can be switched off with EMAIL_TRACKING_ENABLED=false', () => {
+      withEnv('EMAIL_TRACKING_ENABLED', 'false', () => withEnv('EMAIL_TRACKING_SECRET', 'tracking-secret', () => {
+        expect(emailTrackingService.isEnabled()).toBe(false);
+      }));
+    });
+  });
+});
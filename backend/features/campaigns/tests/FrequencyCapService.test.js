@@ -0,0 +1,136 @@
+jest.mock('../repositories/CampaignTenantSettingsRepository');
+jest.mock('../repositories/CampaignLeadActivityRepository');
+jest.mock('../repositories/CampaignLeadRepository');
+jest.mock('../services/campaignStatsTracker', () => ({
+  campaignStatsTracker: { trackAction: jest.fn() }
+}));
+
+const CampaignTenantSettingsRepository = require('../repositories/CampaignTenantSettingsRepository');
+const CampaignLeadActivityRepository = require('../repositories/CampaignLeadActivityRepository');
+const CampaignLeadRepository = require('../repositories/CampaignLeadRepository');
+const { campaignStatsTracker } = require('../services/campaignStatsTracker');
+const frequencyCapService = require('../services/FrequencyCapService');
+
+describe('FrequencyCapService', () => {
+  const now = new Date('2026-03-10T12:00:00Z');
+  const hoursBefore = hours => new Date(now.getTime() - hours * 60 * 60 * 1000);
+  const rules = [
+    { maxTouches: 1, windowHours: 48 },
+    { maxTouches: 3, windowHours: 168 }
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    frequencyCapService.cache.clear();
+  });
+
+  describe('isTouchStep', () => {
+    it.each([
+      ['linkedin_message', true],
+      ['linkedin_connect', true],
+      ['email_send', true],
+      ['whatsapp_send', true],
+      ['voice_agent_call', true],
+      ['instagram_dm', true],
+      ['linkedin_visit', false],
+      ['linkedin_reaction', false],
+      ['instagram_like', false],
+      ['delay', false],
+      ['lead_generation', false],
+      [undefined, false]
+    ])('%s -> %s', (stepType, expected) => {
+      expect(frequencyCapService.isTouchStep(stepType)).toBe(expected);
+    });
+  });
+
+  describe('findBlockingRule', () => {
+    it('allows a touch when every rule has room', () => {
+      expect(frequencyCapService.findBlockingRule(rules, [{ created_at: hoursBefore(72) }], now)).toBeNull();
+    });
+
+    it('defers until the oldest touch in the window ages out', () => {
+      const cap = frequencyCapService.findBlockingRule(rules, [{ created_at: hoursBefore(10) }], now);
+      expect(cap).toEqual({ deferredUntil: new Date(hoursBefore(10).getTime() + 48 * 60 * 60 * 1000), rule: rules[0], touchesInWindow: 1 });
+    });
+
+    it('picks the rule that blocks the longest', () => {
+      const touches = [{ created_at: hoursBefore(150) }, { created_at: hoursBefore(100) }, { created_at: hoursBefore(60) }];
+      const cap = frequencyCapService.findBlockingRule(rules, touches, now);
+      expect(cap.rule).toBe(rules[1]);
+      expect(cap.touchesInWindow).toBe(3);
+      expect(cap.deferredUntil).toEqual(new Date(hoursBefore(150).getTime() + 168 * 60 * 60 * 1000));
+      expect(frequencyCapService.describeDeferral(cap)).toBe(
+        `Frequency cap reached (3 touches per 168h across campaigns) - deferred until ${cap.deferredUntil.toISOString()}`
+      );
+    });
+  });
+
+  describe('settings', () => {
+    it('defaults to disabled with the standard rules', async () => {
+      CampaignTenantSettingsRepository.get.mockResolvedValue(null);
+      expect(await frequencyCapService.getFrequencyCaps('tenant-1')).toEqual({ enabled: false, rules });
+    });
+
+    it('validates updates', async () => {
+      CampaignTenantSettingsRepository.get.mockResolvedValue(null);
+      const update = body => frequencyCapService.updateFrequencyCaps('tenant-1', 'user-1', body);
+
+      await expect(update({ enabled: 'yes' })).rejects.toMatchObject({ statusCode: 400, message: 'enabled must be a boolean' });
+      await expect(update({ rules: [] })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(update({ rules: [{ maxTouches: 0, windowHours: 24 }] })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(update({ rules: [{ maxTouches: 1, windowHours: 24 * 91 }] })).rejects.toMatchObject({ statusCode: 400 });
+      expect(CampaignTenantSettingsRepository.upsertFrequencyCaps).not.toHaveBeenCalled();
+    });
+
+    it('stores normalized rules and drops the cached settings', async () => {
+      CampaignTenantSettingsRepository.get.mockResolvedValue(null);
+
+      const caps = await frequencyCapService.updateFrequencyCaps('tenant-1', 'user-1', {
+        enabled: true,
+        rules: [{ maxTouches: '2', windowHours: '24' }]
+      });
+
+      expect(caps).toEqual({ enabled: true, rules: [{ maxTouches: 2, windowHours: 24 }] });
+      expect(CampaignTenantSettingsRepository.upsertFrequencyCaps).toHaveBeenCalledWith('tenant-1', caps, 'user-1', {});
+      expect(frequencyCapService.cache.has('tenant-1')).toBe(false);
+    });
+  });
+
+  describe('checkTouch', () => {
+    it('allows everything while caps are disabled', async () => {
+      CampaignTenantSettingsRepository.get.mockResolvedValue({ frequency_caps: { enabled: false } });
+      expect(await frequencyCapService.checkTouch('tenant-1', { id: 'cl-1', lead_id: 'lead-1' })).toBeNull();
+      expect(CampaignLeadActivityRepository.getTouchesForPersonSince).not.toHaveBeenCalled();
+    });
+
+    it('checks the person\'s touches across campaigns', async () => {
+      CampaignTenantSettingsRepository.get.mockResolvedValue({ frequency_caps: { enabled: true, rules: [{ maxTouches: 1, windowHours: 24 }] } });
+      CampaignLeadActivityRepository.getTouchesForPersonSince.mockResolvedValue([{ created_at: new Date() }]);
+
+      const cap = await frequencyCapService.checkTouch('tenant-1', { id: 'cl-1', lead_id: 'lead-1' }, { excludeActivityId: 'activity-1' });
+
+      expect(cap.rule).toEqual({ maxTouches: 1, windowHours: 24 });
+      expect(CampaignLeadActivityRepository.getTouchesForPersonSince).toHaveBeenCalledWith(
+        'tenant-1',
+        'lead-1',
+        expect.any(Date),
+        expect.objectContaining({ excludeActivityId: 'activity-1' })
+      );
+    });
+  });
+
+  describe('deferLead', () => {
+    it('parks the lead and records the deferral', async () => {
+      const cap = { deferredUntil: new Date('2026-03-11T12:00:00Z'), rule: rules[0], touchesInWindow: 1 };
+
+      await frequencyCapService.deferLead('campaign-1', 'tenant-1', { id: 'cl-1', lead_id: 'lead-1' }, 'email_send', cap);
+
+      expect(CampaignLeadRepository.update).toHaveBeenCalledWith('cl-1', 'tenant-1', { deferred_until: cap.deferredUntil });
+      expect(campaignStatsTracker.trackAction).toHaveBeenCalledWith('campaign-1', 'TOUCH_DEFERRED', expect.objectContaining({
+        leadId: 'lead-1',
+        channel: 'email',
+        status: 'deferred'
+      }));
+    });
+  });
+});
@@ -0,0 +1,179 @@
+jest.mock('../repositories/InboxThreadRepository');
+jest.mock('../repositories/CampaignLeadActivityRepository');
+jest.mock('../repositories/WhatsAppAccountRepository');
+jest.mock('../repositories/CampaignWhatsAppMessageRepository');
+jest.mock('../repositories/InstagramAccountRepository');
+jest.mock('../services/unipileService', () => ({
+  getChatMessages: jest.fn(),
+  sendChatMessage: jest.fn()
+}));
+jest.mock('../engine/channelDispatchers/email', () => ({ execute: jest.fn() }));
+jest.mock('../engine/channelDispatchers/whatsapp', () => ({ execute: jest.fn() }));
+
+const InboxThreadRepository = require('../repositories/InboxThreadRepository');
+const CampaignLeadActivityRepository = require('../repositories/CampaignLeadActivityRepository');
+const WhatsAppAccountRepository = require('../repositories/WhatsAppAccountRepository');
+const CampaignWhatsAppMessageRepository = require('../repositories/CampaignWhatsAppMessageRepository');
+const unipileService = require('../services/unipileService');
+const emailDispatcher = require('../engine/channelDispatchers/email');
+const inboxService = require('../services/InboxService');
+
+const thread = (overrides = {}) => ({
+  id: 'thread-1',
+  campaign_id: 'campaign-1',
+  campaign_lead_id: 'cl-1',
+  lead_id: 'lead-1',
+  channel: 'linkedin',
+  account_ref: 'unipile-account',
+  chat_ref: 'chat-1',
+  unread_count: 0,
+  ...overrides
+});
+
+describe('InboxService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('recordInbound', () => {
+    it('stores a truncated preview on the thread', async () => {
+      InboxThreadRepository.upsertInbound.mockResolvedValue({ id: 'thread-1' });
+      await inboxService.recordInbound({
+        tenantId: 't1', campaignId: 'campaign-1', campaignLeadId: 'cl-1', channel: 'email', text: 'x'.repeat(500)
+      });
+      expect(InboxThreadRepository.upsertInbound.mock.calls[0][0].preview).toHaveLength(280);
+    });
+
+    it('never throws when the thread cannot be written', async () => {
+      InboxThreadRepository.upsertInbound.mockRejectedValue(new Error('boom'));
+      await expect(inboxService.recordInbound({
+        tenantId: 't1', campaignId: 'campaign-1', campaignLeadId: 'cl-1', channel: 'email', text: 'hi'
+      })).resolves.toBeNull();
+    });
+
+    it('skips replies that are not tied to a campaign lead', async () => {
+      await inboxService.recordInbound({ tenantId: 't1', campaignId: 'campaign-1', channel: 'email' });
+      expect(InboxThreadRepository.upsertInbound).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('listThreads', () => {
+    it('maps query parameters to repository filters', async () => {
+      InboxThreadRepository.list.mockResolvedValue([]);
+      await inboxService.listThreads('t1', 'user-1', { assigned: 'me', limit: '500', channel: 'email' });
+      expect(InboxThreadRepository.list).toHaveBeenCalledWith('t1', expect.objectContaining({
+        assignedUserId: 'user-1',
+        channel: 'email',
+        limit: 100,
+        offset: 0
+      }), {});
+    });
+
+    it('rejects unknown channels and statuses', async () => {
+      await expect(inboxService.listThreads('t1', 'user-1', { channel: 'fax' })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(inboxService.listThreads('t1', 'user-1', { status: 'closed' })).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('getMessages', () => {
+    it('loads LinkedIn history from the Unipile chat and marks the thread read', async () => {
+      InboxThreadRepository.getById.mockResolvedValue(thread({ unread_count: 2 }));
+      unipileService.getChatMessages.mockResolvedValue({
+        cursor: 'next',
+        items: [{ id: 'm1', is_sender: false, text: 'Hello', timestamp: '2026-10-01T10:00:00Z' }]
+      });
+      const result = await inboxService.getMessages('thread-1', 't1');
+      expect(result.source).toBe('unipile');
+      expect(result.messages[0]).toMatchObject({ id: 'm1', direction: 'inbound', text: 'Hello' });
+      expect(result.thread.unread_count).toBe(0);
+      expect(InboxThreadRepository.markRead).toHaveBeenCalledWith('thread-1', 't1', {});
+    });
+
+    it('falls back to the activity log for email threads', async () => {
+      InboxThreadRepository.getById.mockResolvedValue(thread({ channel: 'email', chat_ref: 'jane@acme.com' }));
+      CampaignLeadActivityRepository.getByLeadId.mockResolvedValue([
+        { id: 'a2', channel: 'email', action_type: 'REPLY_RECEIVED', message_content: 'Sounds good', created_at: 't2' },
+        { id: 'a1', channel: 'email', action_type: 'EMAIL_SENT', message_content: 'Hi Jane', created_at: 't1' },
+        { id: 'a0', channel: 'linkedin', action_type: 'CONNECTION_SENT', message_content: 'Hi', created_at: 't0' }
+      ]);
+      const result = await inboxService.getMessages('thread-1', 't1');
+      expect(result.source).toBe('activities');
+      expect(result.messages.map(message => [message.id, message.direction])).toEqual([
+        ['a1', 'outbound'],
+        ['a2', 'inbound']
+      ]);
+    });
+
+    it('uses the Unipile chat for WhatsApp threads on a Unipile account', async () => {
+      InboxThreadRepository.getById.mockResolvedValue(thread({ channel: 'whatsapp', account_ref: 'wa-1', chat_ref: '+4420' }));
+      WhatsAppAccountRepository.getWithCredentials.mockResolvedValue({ id: 'wa-1', provider: 'unipile' });
+      CampaignWhatsAppMessageRepository.findLatestForContact.mockResolvedValue({ provider_chat_id: 'wa-chat' });
+      unipileService.getChatMessages.mockResolvedValue({ cursor: null, items: [] });
+      await inboxService.getMessages('thread-1', 't1');
+      expect(unipileService.getChatMessages).toHaveBeenCalledWith('wa-chat', {});
+    });
+  });
+
+  describe('sendReply', () => {
+    it('rejects empty replies', async () => {
+      await expect(inboxService.sendReply('thread-1', 't1', 'user-1', '  ')).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('replies in the LinkedIn chat and logs the manual reply', async () => {
+      InboxThreadRepository.getById.mockResolvedValue(thread());
+      unipileService.sendChatMessage.mockResolvedValue({ messageId: 'msg-1' });
+      const result = await inboxService.sendReply('thread-1', 't1', 'user-1', 'Thanks!');
+      expect(unipileService.sendChatMessage).toHaveBeenCalledWith('chat-1', 'unipile-account', 'Thanks!');
+      expect(result).toEqual({ success: true, data: { messageId: 'msg-1' } });
+      expect(CampaignLeadActivityRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        actionType: 'MANUAL_REPLY_SENT',
+        channel: 'linkedin',
+        messageContent: 'Thanks!'
+      }), {});
+      expect(InboxThreadRepository.recordOutbound).toHaveBeenCalled();
+    });
+
+    it('sends email replies from the thread mailbox without tracking', async () => {
+      InboxThreadRepository.getById.mockResolvedValue(thread({ channel: 'email', account_ref: 'mailbox-1', chat_ref: 'jane@acme.com' }));
+      emailDispatcher.execute.mockResolvedValue({ success: true, data: { messageId: 'mail-1' } });
+      await inboxService.sendReply('thread-1', 't1', 'user-1', 'Thanks!');
+      expect(emailDispatcher.execute.mock.calls[0][1].lead_data).toEqual({ email: 'jane@acme.com' });
+      expect(emailDispatcher.execute.mock.calls[0][2]).toMatchObject({
+        body: 'Thanks!', mailboxId: 'mailbox-1', trackOpens: false, trackClicks: false
+      });
+      // Typed replies are not run through the template engine
+      expect(emailDispatcher.execute.mock.calls[0][5]).toEqual({ raw: true });
+    });
+
+    it('returns the dispatcher error without logging a reply', async () => {
+      InboxThreadRepository.getById.mockResolvedValue(thread({ channel: 'email', chat_ref: 'jane@acme.com' }));
+      emailDispatcher.execute.mockResolvedValue({ success: false, error: 'SMTP down' });
+      const result = await inboxService.sendReply('thread-1', 't1', 'user-1', 'Thanks!');
+      expect(result).toEqual({ success: false, error: 'SMTP down' });
+      expect(CampaignLeadActivityRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('returns null for unknown threads', async () => {
+      InboxThreadRepository.getById.mockResolvedValue(null);
+      await expect(inboxService.sendReply('missing', 't1', 'user-1', 'Hi')).resolves.toBeNull();
+    });
+  });
+
+  describe('updateThread', () => {
+    it('requires a future date when snoozing', async () => {
+      await expect(inboxService.updateThread('thread-1', 't1', { status: 'snoozed' })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(inboxService.updateThread('thread-1', 't1', {
+        status: 'snoozed', snoozedUntil: '2000-01-01T00:00:00Z'
+      })).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('clears the snooze when a thread is handled and unassigns on null', async () => {
+      await inboxService.updateThread('thread-1', 't1', { status: 'handled', assignedUserId: null });
+      expect(InboxThreadRepository.updateTriage).toHaveBeenCalledWith('thread-1', 't1', {
+        status: 'handled',
+        snoozed_until: null,
+        assigned_user_id: null
+      }, {});
+    });
+  });
+});
@@ -0,0 +1,23 @@
+jest.mock('../services/campaignStatsTracker', () => ({
+  campaignStatsTracker: { trackAction: jest.fn() }
+}));
+
+const instagramWebhookService = require('../services/InstagramWebhookService');
+const { withEnv } = require('./helpers');
+
+describe('InstagramWebhookService.verifyUnipileSecret', () => {
+  it('accepts only the shared secret', () => {
+    withEnv('WEBHOOK_SECRET', 'unipile-secret', () => {
+      expect(instagramWebhookService.verifyUnipileSecret('unipile-secret')).toBe(true);
+      expect(instagramWebhookService.verifyUnipileSecret('unipile-secreT')).toBe(false);
+      expect(instagramWebhookService.verifyUnipileSecret(undefined)).toBe(false);
+    });
+  });
+
+  it('rejects everything when WEBHOOK_SECRET is not configured', () => {
+    withEnv('WEBHOOK_SECRET', undefined, () => {
+      expect(instagramWebhookService.verifyUnipileSecret('lad-webhook-secret')).toBe(false);
+      expect(instagramWebhookService.verifyUnipileSecret('')).toBe(false);
+    });
+  });
+});
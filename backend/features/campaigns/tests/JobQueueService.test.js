@@ -0,0 +1,238 @@
+jest.mock('../repositories/JobQueueRepository');
+jest.mock('../repositories/JobDeadLetterRepository');
+jest.mock('../../../shared/services/cloudTasksClient');
+
+const JobQueueRepository = require('../repositories/JobQueueRepository');
+const JobDeadLetterRepository = require('../repositories/JobDeadLetterRepository');
+const cloudTasksClient = require('../../../shared/services/cloudTasksClient');
+const jobQueueService = require('../services/JobQueueService');
+
+describe('JobQueueService', () => {
+  const originalBackend = process.env.JOB_QUEUE_BACKEND;
+  const handler = jest.fn();
+
+  beforeAll(() => {
+    jobQueueService.registerHandler('test.job', handler, { maxAttempts: 3 });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    handler.mockReset();
+    process.env.JOB_QUEUE_BACKEND = 'postgres';
+    JobDeadLetterRepository.create.mockResolvedValue({ id: 'dead-1' });
+  });
+
+  afterAll(() => {
+    if (originalBackend === undefined) {
+      delete process.env.JOB_QUEUE_BACKEND;
+    } else {
+      process.env.JOB_QUEUE_BACKEND = originalBackend;
+    }
+  });
+
+  describe('getBackend', () => {
+    it('uses JOB_QUEUE_BACKEND when it is a known backend', () => {
+      process.env.JOB_QUEUE_BACKEND = 'cloud_tasks';
+      expect(jobQueueService.getBackend()).toBe('cloud_tasks');
+    });
+
+    it('falls back to postgres for an unknown backend', () => {
+      process.env.JOB_QUEUE_BACKEND = 'sqs';
+      expect(jobQueueService.getBackend()).toBe('postgres');
+    });
+
+    it('defaults to postgres even when Cloud Tasks is configured', () => {
+      delete process.env.JOB_QUEUE_BACKEND;
+      cloudTasksClient.isAvailable.mockReturnValue(true);
+      expect(jobQueueService.getBackend()).toBe('postgres');
+    });
+  });
+
+  describe('enqueue', () => {
+    it('rejects unknown job names', async () => {
+      await expect(jobQueueService.enqueue('missing.job')).rejects.toThrow("No job handler registered for 'missing.job'");
+    });
+
+    it('stores postgres jobs with the handler defaults', async () => {
+      const runAt = new Date('2026-03-01T09:00:00Z');
+      JobQueueRepository.create.mockResolvedValue({ id: 'job-1', run_at: runAt });
+
+      const result = await jobQueueService.enqueue('test.job', { a: 1 }, { tenantId: 'tenant-1', runAt, delayMs: 60000 });
+
+      expect(JobQueueRepository.create).toHaveBeenCalledWith({
+        name: 'test.job',
+        payload: { a: 1 },
+        tenantId: 'tenant-1',
+        dedupeKey: null,
+        maxAttempts: 3,
+        runAt: new Date('2026-03-01T09:01:00Z')
+      });
+      expect(result).toEqual({ id: 'job-1', name: 'test.job', backend: 'postgres', runAt, deduped: false });
+    });
+
+    it('returns the live job when the dedupe key is taken', async () => {
+      JobQueueRepository.create.mockResolvedValue(null);
+      JobQueueRepository.findLiveByDedupeKey.mockResolvedValue({ id: 'job-existing', run_at: 'existing-run-at' });
+
+      const result = await jobQueueService.enqueue('test.job', {}, { dedupeKey: 'daily:1' });
+
+      expect(JobQueueRepository.findLiveByDedupeKey).toHaveBeenCalledWith('daily:1');
+      expect(result).toMatchObject({ id: 'job-existing', runAt: 'existing-run-at', deduped: true });
+    });
+
+    it('creates Cloud Tasks on the cloud_tasks backend', async () => {
+      process.env.JOB_QUEUE_BACKEND = 'cloud_tasks';
+      cloudTasksClient.createHttpTask.mockResolvedValue({ taskName: 'tasks/1', alreadyExists: true });
+
+      const result = await jobQueueService.enqueue('test.job', { a: 1 }, { dedupeKey: 'daily:1' });
+
+      expect(cloudTasksClient.createHttpTask).toHaveBeenCalledWith(
+        '/api/campaigns/jobs/run',
+        { name: 'test.job', payload: { a: 1 }, tenantId: null, dedupeKey: 'daily:1' },
+        expect.any(Date),
+        expect.objectContaining({ taskId: 'daily:1' })
+      );
+      expect(JobQueueRepository.create).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ id: 'tasks/1', backend: 'cloud_tasks', deduped: true });
+    });
+  });
+
+  describe('enqueueRecurring', () => {
+    it('dedupes each tick on the job name and minute', async () => {
+      JobQueueRepository.create.mockResolvedValue({ id: 'job-1', run_at: new Date() });
+      await jobQueueService.enqueueRecurring('test.job', new Date('2026-10-19T10:05:42.123Z'));
+      expect(JobQueueRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        name: 'test.job',
+        dedupeKey: 'test.job:2026-10-19T10:05:00.000Z'
+      }));
+    });
+
+    it('registers the recurring scheduler jobs', () => {
+      [
+        'campaign.check_campaigns',
+        'linkedin.poll_connections',
+        'email.poll_mailboxes',
+        'linkedin.dispatch_paced_actions',
+        'linkedin.evaluate_warmup',
+        'linkedin.publish_due_posts'
+      ].forEach(name => expect(jobQueueService.handlers.has(name)).toBe(true));
+    });
+  });
+
+  describe('getRetryDelayMs', () => {
+    it('backs off exponentially up to an hour', () => {
+      expect(jobQueueService.getRetryDelayMs(1)).toBe(30 * 1000);
+      expect(jobQueueService.getRetryDelayMs(2)).toBe(60 * 1000);
+      expect(jobQueueService.getRetryDelayMs(4)).toBe(4 * 60 * 1000);
+      expect(jobQueueService.getRetryDelayMs(20)).toBe(60 * 60 * 1000);
+    });
+  });
+
+  describe('processDueJobs', () => {
+    const job = (overrides = {}) => ({
+      id: 'job-1',
+      name: 'test.job',
+      payload: { a: 1 },
+      tenant_id: 'tenant-1',
+      dedupe_key: null,
+      attempts: 1,
+      max_attempts: 3,
+      ...overrides
+    });
+
+    it('completes jobs whose handler succeeds', async () => {
+      JobQueueRepository.claimDueJobs.mockResolvedValue([job()]);
+      handler.mockResolvedValue('ok');
+
+      const summary = await jobQueueService.processDueJobs();
+
+      expect(handler).toHaveBeenCalledWith({ a: 1 }, expect.objectContaining({ id: 'job-1' }));
+      expect(JobQueueRepository.markCompleted).toHaveBeenCalledWith('job-1');
+      expect(summary).toEqual({ claimed: 1, completed: 1, retried: 0, deadLettered: 0 });
+    });
+
+    it('schedules a retry while attempts remain', async () => {
+      JobQueueRepository.claimDueJobs.mockResolvedValue([job({ attempts: 2 })]);
+      handler.mockRejectedValue(new Error('timeout'));
+      const before = Date.now();
+
+      const summary = await jobQueueService.processDueJobs();
+
+      const [id, retryAt, lastError] = JobQueueRepository.markRetry.mock.calls[0];
+      expect(id).toBe('job-1');
+      expect(retryAt.getTime()).toBeGreaterThanOrEqual(before + 60 * 1000);
+      expect(lastError).toBe('timeout');
+      expect(JobQueueRepository.markDead).not.toHaveBeenCalled();
+      expect(summary).toEqual({ claimed: 1, completed: 0, retried: 1, deadLettered: 0 });
+    });
+
+    it('dead-letters jobs on their last attempt', async () => {
+      JobQueueRepository.claimDueJobs.mockResolvedValue([job({ attempts: 3 })]);
+      handler.mockRejectedValue(new Error('still failing'));
+
+      const summary = await jobQueueService.processDueJobs();
+
+      expect(JobQueueRepository.markDead).toHaveBeenCalledWith('job-1', 'still failing');
+      expect(JobDeadLetterRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        jobId: 'job-1',
+        tenantId: 'tenant-1',
+        name: 'test.job',
+        backend: 'postgres',
+        attempts: 3,
+        lastError: 'still failing'
+      }));
+      expect(summary.deadLettered).toBe(1);
+    });
+
+    it('dead-letters permanent failures without retrying', async () => {
+      JobQueueRepository.claimDueJobs.mockResolvedValue([job({ name: 'removed.job' })]);
+
+      const summary = await jobQueueService.processDueJobs();
+
+      expect(JobQueueRepository.markRetry).not.toHaveBeenCalled();
+      expect(JobQueueRepository.markDead).toHaveBeenCalledWith('job-1', "No job handler registered for 'removed.job'");
+      expect(summary.deadLettered).toBe(1);
+    });
+  });
+
+  describe('runDeliveredJob', () => {
+    it('requires a job name', async () => {
+      await expect(jobQueueService.runDeliveredJob({})).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('returns the handler result', async () => {
+      handler.mockResolvedValue({ sent: 2 });
+      const result = await jobQueueService.runDeliveredJob({ name: 'test.job', payload: {} }, { retryCount: 0 });
+      expect(result).toEqual({ success: true, result: { sent: 2 } });
+    });
+
+    it('rethrows so Cloud Tasks retries before the last attempt', async () => {
+      handler.mockRejectedValue(new Error('timeout'));
+      await expect(jobQueueService.runDeliveredJob({ name: 'test.job' }, { retryCount: 1 })).rejects.toThrow('timeout');
+      expect(JobDeadLetterRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('takes the attempt limit from the handler, not the request body', async () => {
+      handler.mockRejectedValue(new Error('timeout'));
+      await expect(jobQueueService.runDeliveredJob({ name: 'test.job', maxAttempts: 1 }, { retryCount: 0 })).rejects.toThrow('timeout');
+      expect(JobDeadLetterRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('dead-letters the task on the last attempt', async () => {
+      handler.mockRejectedValue(new Error('timeout'));
+
+      const result = await jobQueueService.runDeliveredJob(
+        { name: 'test.job', tenantId: 'tenant-1' },
+        { taskName: 'tasks/1', retryCount: 2 }
+      );
+
+      expect(result).toEqual({ success: false, deadLettered: true, deadLetterId: 'dead-1' });
+      expect(JobDeadLetterRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        jobId: 'tasks/1',
+        backend: 'cloud_tasks',
+        attempts: 3,
+        lastError: 'timeout'
+      }));
+    });
+  });
+});
@@ -0,0 +1,166 @@
+jest.mock('../services/unipileService', () => ({
+  isConfigured: jest.fn(() => true),
+  reactToPost: jest.fn(),
+  commentOnPost: jest.fn(),
+  getOwnPosts: jest.fn(),
+  getPostComments: jest.fn(),
+  lookupLinkedInUrn: jest.fn()
+}));
+jest.mock('../../../shared/services/unipileLeadSearchService', () => ({ getLinkedInPosts: jest.fn() }));
+// The AI assistant feature is not part of this tree
+jest.mock('../../ai-icp-assistant/services/gemini-client.service', () => ({ generateContent: jest.fn() }), { virtual: true });
+
+const unipileService = require('../services/unipileService');
+const unipileLeadSearchService = require('../../../shared/services/unipileLeadSearchService');
+const geminiClient = require('../../ai-icp-assistant/services/gemini-client.service');
+const linkedInEngagementService = require('../services/LinkedInEngagementService');
+const replyClassifierService = require('../services/ReplyClassifierService');
+const { loadLlmClient } = require('../services/llmClientLoader');
+const { withEnv } = require('./helpers');
+
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+const daysAgo = days => new Date(NOW - days * 24 * 60 * 60 * 1000).toISOString();
+const LEAD = {
+  linkedinUrl: 'https://www.linkedin.com/in/jane-doe/',
+  leadData: { first_name: 'Jane', last_name: 'Doe', title: 'CTO', company_name: 'Acme' },
+  seed: 'cl-1'
+};
+const POST = { social_id: 'urn:post:1', text: 'We shipped our new data platform', parsed_datetime: new Date().toISOString(), share_url: 'https://linkedin.com/posts/1' };
+
+describe('LinkedInEngagementService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    linkedInEngagementService.setLlmClient(null);
+    unipileLeadSearchService.getLinkedInPosts.mockResolvedValue({ success: true, posts: [POST] });
+    unipileService.reactToPost.mockResolvedValue({ success: true });
+    unipileService.commentOnPost.mockResolvedValue({ success: true });
+  });
+
+  describe('pickRelevantPost', () => {
+    const posts = [
+      { id: 'old', text: 'Hiring engineers', parsed_datetime: daysAgo(40) },
+      { id: 'repost', text: 'Hiring designers', parsed_datetime: daysAgo(1), is_repost: true },
+      { id: 'recent', text: 'Our Q3 results', parsed_datetime: daysAgo(2) },
+      { id: 'hiring', text: 'We are hiring', parsed_datetime: daysAgo(5) }
+    ];
+
+    it('takes the newest post within the age limit that is not a repost', () => {
+      const filters = linkedInEngagementService.getPostFilters({});
+      expect(linkedInEngagementService.pickRelevantPost(posts, filters, NOW).id).toBe('recent');
+      expect(linkedInEngagementService.pickRelevantPost(posts, { ...filters, includeReposts: true }, NOW).id).toBe('repost');
+    });
+
+    it('filters by keywords and age', () => {
+      const filters = linkedInEngagementService.getPostFilters({ linkedinPostKeywords: 'Hiring', linkedinPostMaxAgeDays: 60 });
+      expect(linkedInEngagementService.pickRelevantPost(posts, filters, NOW).id).toBe('hiring');
+      expect(linkedInEngagementService.pickRelevantPost(posts, { ...filters, maxAgeDays: 1 }, NOW)).toBeNull();
+    });
+  });
+
+  it('reacts to the lead\'s latest relevant post', async () => {
+    const result = await linkedInEngagementService.executeEngagementStep('linkedin_reaction', { linkedinReactionType: 'Celebrate' }, LEAD, 'u-1');
+    expect(result).toMatchObject({ success: true, reactionType: 'celebrate', postId: 'urn:post:1', postUrl: 'https://linkedin.com/posts/1' });
+    expect(unipileLeadSearchService.getLinkedInPosts).toHaveBeenCalledWith(LEAD.linkedinUrl, 'u-1', 'Jane Doe');
+    expect(unipileService.reactToPost).toHaveBeenCalledWith('urn:post:1', 'celebrate', 'u-1');
+  });
+
+  it('fails when the lead has no relevant post and retries search errors', async () => {
+    unipileLeadSearchService.getLinkedInPosts.mockResolvedValueOnce({ success: false });
+    await expect(linkedInEngagementService.executeEngagementStep('linkedin_reaction', {}, LEAD, 'u-1'))
+      .resolves.toMatchObject({ success: false, error: 'No recent relevant LinkedIn post found for lead' });
+    unipileLeadSearchService.getLinkedInPosts.mockResolvedValueOnce({ success: false, error: 'timeout' });
+    await expect(linkedInEngagementService.executeEngagementStep('linkedin_reaction', {}, LEAD, 'u-1'))
+      .resolves.toMatchObject({ success: false, error: 'timeout', transientError: true });
+    expect(unipileService.reactToPost).not.toHaveBeenCalled();
+  });
+
+  describe('comments', () => {
+    const config = { linkedinCommentText: 'Congrats {{first_name}} on "{{post.text | truncate: 12}}"', linkedinCommentMode: 'ai' };
+
+    it('renders the template when no LLM is configured', async () => {
+      const result = await linkedInEngagementService.executeEngagementStep('linkedin_comment', config, LEAD, 'u-1');
+      expect(result).toMatchObject({ success: true, commentSource: 'template' });
+      expect(result.commentText).toBe('Congrats Jane on "We shippe..."');
+      expect(unipileService.commentOnPost).toHaveBeenCalledWith('urn:post:1', result.commentText, 'u-1');
+    });
+
+    it('drafts the comment with the LLM and falls back to the template on an unusable answer', async () => {
+      const client = { generateContent: jest.fn().mockResolvedValue('"Great milestone, Jane!"') };
+      linkedInEngagementService.setLlmClient(client);
+      await expect(linkedInEngagementService.executeEngagementStep('linkedin_comment', { ...config, linkedinCommentPrompt: 'Mention data quality' }, LEAD, 'u-1'))
+        .resolves.toMatchObject({ commentText: 'Great milestone, Jane!', commentSource: 'llm' });
+      const prompt = client.generateContent.mock.calls[0][0];
+      expect(prompt).toContain('Jane Doe (CTO at Acme)');
+      expect(prompt).toContain('We shipped our new data platform');
+      expect(prompt).toContain('- Mention data quality');
+
+      client.generateContent.mockRejectedValueOnce(new Error('quota'));
+      await expect(linkedInEngagementService.executeEngagementStep('linkedin_comment', config, LEAD, 'u-1'))
+        .resolves.toMatchObject({ commentSource: 'template' });
+    });
+
+    it('does not post an empty comment', async () => {
+      await expect(linkedInEngagementService.executeEngagementStep('linkedin_comment', {}, LEAD, 'u-1'))
+        .resolves.toMatchObject({ success: false, error: 'Comment text is empty for this lead' });
+      expect(unipileService.commentOnPost).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('comment replies', () => {
+    beforeEach(() => {
+      unipileService.lookupLinkedInUrn.mockResolvedValue('ACo-jane');
+      unipileService.getOwnPosts.mockResolvedValue({
+        success: true,
+        posts: [{ id: 'own-1', comment_counter: 0 }, { id: 'own-2', text: 'Our launch', comment_counter: 2 }]
+      });
+      unipileService.getPostComments.mockResolvedValue({
+        comments: [
+          { id: 'c-1', text: 'Nice!', date: daysAgo(3), author_details: { id: 'ACo-jane' } },
+          { id: 'c-2', text: 'How does it scale?', date: daysAgo(1), author_details: { id: 'ACo-jane' } },
+          { id: 'c-3', text: 'Cool', date: daysAgo(0), author_details: { id: 'ACo-other' } }
+        ]
+      });
+    });
+
+    it('replies to the lead\'s latest comment on the sender\'s posts', async () => {
+      const result = await linkedInEngagementService.executeEngagementStep('linkedin_comment_reply', {
+        linkedinCommentText: 'Thanks {{first_name}}! Re "{{comment.text}}" - happy to show you.'
+      }, LEAD, 'u-1');
+      expect(result).toMatchObject({ success: true, postId: 'own-2', commentId: 'c-2' });
+      expect(unipileService.getPostComments).toHaveBeenCalledTimes(1);
+      expect(unipileService.commentOnPost).toHaveBeenCalledWith('own-2', 'Thanks Jane! Re "How does it scale?" - happy to show you.', 'u-1', { commentId: 'c-2' });
+    });
+
+    it('matches comments by profile URL when the lead\'s provider id is unknown', async () => {
+      unipileService.lookupLinkedInUrn.mockRejectedValue(new Error('not found'));
+      unipileService.getPostComments.mockResolvedValue({
+        comments: [{ id: 'c-9', text: 'Agreed', author_details: { profile_url: 'https://www.linkedin.com/in/jane-doe' } }]
+      });
+      await expect(linkedInEngagementService.executeEngagementStep('linkedin_comment_reply', { linkedinCommentText: 'Thanks!' }, LEAD, 'u-1'))
+        .resolves.toMatchObject({ success: true, commentId: 'c-9' });
+    });
+
+    it('fails when the lead has not commented', async () => {
+      unipileService.getPostComments.mockResolvedValue({ comments: [] });
+      await expect(linkedInEngagementService.executeEngagementStep('linkedin_comment_reply', { linkedinCommentText: 'Thanks!' }, LEAD, 'u-1'))
+        .resolves.toMatchObject({ success: false, error: 'Lead has not commented on any recent post of the sender' });
+    });
+  });
+
+  describe('llmClientLoader', () => {
+    it('loads the shared Gemini client only when GEMINI_API_KEY is set', () => {
+      expect(withEnv('GEMINI_API_KEY', undefined, () => loadLlmClient('Test', 'using rules'))).toBeNull();
+      expect(withEnv('GEMINI_API_KEY', 'key', () => loadLlmClient('Test', 'using rules'))).toBe(geminiClient);
+    });
+
+    it('is resolved once per service and can be replaced', () => {
+      linkedInEngagementService.llmClient = undefined;
+      expect(withEnv('GEMINI_API_KEY', 'key', () => linkedInEngagementService.getLlmClient())).toBe(geminiClient);
+      expect(withEnv('GEMINI_API_KEY', undefined, () => linkedInEngagementService.getLlmClient())).toBe(geminiClient);
+
+      replyClassifierService.llmClient = undefined;
+      expect(withEnv('GEMINI_API_KEY', 'key', () => withEnv('REPLY_CLASSIFIER', 'rules', () => replyClassifierService.getLlmClient()))).toBeNull();
+      replyClassifierService.llmClient = undefined;
+    });
+  });
+});
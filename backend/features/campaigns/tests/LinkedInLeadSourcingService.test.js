@@ -0,0 +1,123 @@
+jest.mock('../repositories/CampaignSourcedCompanyRepository');
+jest.mock('../services/LinkedInSenderRotationService', () => ({ selectSender: jest.fn() }));
+jest.mock('../services/LeadSaveService', () => ({ saveLeadsToCampaign: jest.fn() }));
+jest.mock('../../../shared/services/unipileLeadSearchService', () => ({
+  searchCompanies: jest.fn(),
+  searchPeople: jest.fn()
+}));
+
+const CampaignSourcedCompanyRepository = require('../repositories/CampaignSourcedCompanyRepository');
+const linkedInSenderRotation = require('../services/LinkedInSenderRotationService');
+const { saveLeadsToCampaign } = require('../services/LeadSaveService');
+const unipileLeadSearchService = require('../../../shared/services/unipileLeadSearchService');
+const linkedInLeadSourcingService = require('../services/LinkedInLeadSourcingService');
+const { validateStepConfig } = require('../services/StepValidators');
+
+const CAMPAIGN_LEAD = { id: 'cl-1', campaign_id: 'campaign-1' };
+const LEAD_DATA = { company_name: 'Acme', company_linkedin_url: 'https://www.linkedin.com/company/acme-corp/' };
+const person = (id, title) => ({ id, name: `Person ${id}`, title });
+const COMPANY_RECORD = { id: 'sourced-1', company_id: '1001', company_name: 'Acme', cursor: null, enrolled_count: 0, exhausted: false };
+
+describe('LinkedInLeadSourcingService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    linkedInSenderRotation.selectSender.mockResolvedValue({ account: { provider_account_id: 'u-1' } });
+    CampaignSourcedCompanyRepository.getByQuery.mockResolvedValue(null);
+    CampaignSourcedCompanyRepository.create.mockResolvedValue(COMPANY_RECORD);
+    unipileLeadSearchService.searchCompanies.mockResolvedValue({
+      success: true,
+      companies: [{ id: '999', name: 'Acme Labs' }, { id: '1001', name: 'ACME', public_identifier: 'acme-corp' }]
+    });
+    saveLeadsToCampaign.mockImplementation(async (campaignId, tenantId, people) => ({ savedCount: people.length }));
+  });
+
+  describe('getCompanyQuery', () => {
+    it('renders the company name or page for the lead', () => {
+      expect(linkedInLeadSourcingService.getCompanyQuery('linkedin_company_search', { linkedinCompanyName: '{{company_name}} ' }, LEAD_DATA))
+        .toEqual({ keywords: 'Acme', slug: null, queryKey: 'name:acme|titles:|seniority:' });
+      expect(linkedInLeadSourcingService.getCompanyQuery('linkedin_employee_list', {
+        linkedinCompanyUrl: '{{company_linkedin_url}}',
+        linkedinEmployeeTitles: 'Sales, CTO',
+        linkedinEmployeeSeniority: ['VP', 'director']
+      }, LEAD_DATA)).toEqual({
+        keywords: 'acme corp',
+        slug: 'acme-corp',
+        queryKey: 'url:acme-corp|titles:cto,sales|seniority:director,vp'
+      });
+    });
+
+    it('picks the company by page, then by exact name, then the top result', () => {
+      const companies = [{ id: '1', name: 'Acme Labs' }, { id: '2', name: 'Acme', profile_url: 'https://linkedin.com/company/acme-corp' }];
+      expect(linkedInLeadSourcingService.pickCompany(companies, { slug: 'acme-corp' }).id).toBe('2');
+      expect(linkedInLeadSourcingService.pickCompany(companies, { slug: null, keywords: 'acme' }).id).toBe('2');
+      expect(linkedInLeadSourcingService.pickCompany(companies, { slug: null, keywords: 'Initech' }).id).toBe('1');
+      expect(linkedInLeadSourcingService.pickCompany([], { slug: null, keywords: 'Acme' })).toBeNull();
+    });
+  });
+
+  it('enrolls the company\'s employees up to the limit and records progress', async () => {
+    unipileLeadSearchService.searchPeople
+      .mockResolvedValueOnce({ success: true, people: [person('p1', 'VP Sales'), person('p2', 'Sales rep')], cursor: 'page-2' })
+      .mockResolvedValueOnce({ success: true, people: [person('p3', 'Director of Sales'), person('p4', 'VP Marketing')], cursor: 'page-3' });
+
+    const result = await linkedInLeadSourcingService.executeSourcingStep('linkedin_company_search', {
+      linkedinCompanyName: '{{company_name}}',
+      linkedinEmployeeTitles: ['Sales', 'Marketing'],
+      linkedinEmployeeSeniority: 'VP, Director',
+      linkedinEmployeeLimit: 3
+    }, CAMPAIGN_LEAD, LEAD_DATA, 'user-1', 't1');
+
+    expect(result).toMatchObject({ success: true, enrolledCount: 3, companyName: 'Acme', exhausted: false });
+    expect(CampaignSourcedCompanyRepository.create).toHaveBeenCalledWith('t1', expect.objectContaining({
+      campaignId: 'campaign-1',
+      companyId: '1001',
+      queryKey: 'name:acme|titles:marketing,sales|seniority:director,vp'
+    }));
+    expect(unipileLeadSearchService.searchPeople.mock.calls[0][0]).toMatchObject({
+      company: ['1001'], designation: 'Sales OR Marketing', accountId: 'u-1', cursor: null
+    });
+    expect(unipileLeadSearchService.searchPeople.mock.calls[1][0].cursor).toBe('page-2');
+    expect(saveLeadsToCampaign.mock.calls.map(call => call[2].map(saved => saved.id))).toEqual([['p1'], ['p3', 'p4']]);
+    expect(saveLeadsToCampaign.mock.calls[0][2][0].company_name).toBe('Acme');
+    expect(CampaignSourcedCompanyRepository.recordProgress).toHaveBeenCalledWith('sourced-1', 't1', {
+      cursor: 'page-3', pagesFetched: 2, foundCount: 4, enrolledCount: 3, exhausted: false
+    });
+  });
+
+  it('continues from the saved cursor and does not search a sourced company again', async () => {
+    CampaignSourcedCompanyRepository.getByQuery.mockResolvedValue({ ...COMPANY_RECORD, cursor: 'page-3', enrolled_count: 3 });
+    unipileLeadSearchService.searchPeople.mockResolvedValue({ success: true, people: [person('p5', 'Sales')], cursor: null });
+
+    const result = await linkedInLeadSourcingService.executeSourcingStep('linkedin_company_search', { linkedinCompanyName: 'Acme' }, CAMPAIGN_LEAD, LEAD_DATA, 'user-1', 't1');
+    expect(result).toMatchObject({ success: true, enrolledCount: 1, exhausted: true });
+    expect(unipileLeadSearchService.searchCompanies).not.toHaveBeenCalled();
+    expect(unipileLeadSearchService.searchPeople.mock.calls[0][0].cursor).toBe('page-3');
+
+    CampaignSourcedCompanyRepository.getByQuery.mockResolvedValue({ ...COMPANY_RECORD, exhausted: true });
+    await expect(linkedInLeadSourcingService.executeSourcingStep('linkedin_company_search', { linkedinCompanyName: 'Acme' }, CAMPAIGN_LEAD, LEAD_DATA, 'user-1', 't1'))
+      .resolves.toMatchObject({ success: true, enrolledCount: 0, message: 'Employees of Acme already sourced' });
+    expect(unipileLeadSearchService.searchPeople).toHaveBeenCalledTimes(1);
+  });
+
+  it('fails the step without a company, a sender or search results', async () => {
+    const run = (config, data = LEAD_DATA) =>
+      linkedInLeadSourcingService.executeSourcingStep('linkedin_company_search', config, CAMPAIGN_LEAD, data, 'user-1', 't1');
+
+    await expect(run({ linkedinCompanyName: '{{company_name}}' }, {})).resolves.toMatchObject({ success: false, error: 'Company name is empty for this lead' });
+
+    linkedInSenderRotation.selectSender.mockResolvedValueOnce({ account: null, error: 'No LinkedIn account connected' });
+    await expect(run({ linkedinCompanyName: 'Acme' })).resolves.toMatchObject({ success: false, error: 'No LinkedIn account connected' });
+
+    unipileLeadSearchService.searchCompanies.mockResolvedValueOnce({ success: true, companies: [] });
+    await expect(run({ linkedinCompanyName: 'Acme' })).resolves.toMatchObject({ success: false, error: 'No LinkedIn company found for "Acme"' });
+
+    unipileLeadSearchService.searchPeople.mockResolvedValueOnce({ success: false, error: 'rate limited' });
+    await expect(run({ linkedinCompanyName: 'Acme' })).resolves.toMatchObject({ success: false, error: 'rate limited', transientError: true });
+    expect(saveLeadsToCampaign).not.toHaveBeenCalled();
+  });
+
+  it('validates seniority levels', () => {
+    expect(validateStepConfig('linkedin_employee_list', { linkedinCompanyUrl: 'https://linkedin.com/company/acme', linkedinEmployeeSeniority: 'VP, Intern' }))
+      .toMatchObject({ valid: false, missingFields: ['linkedinEmployeeSeniority'], error: expect.stringContaining('level(s): intern') });
+  });
+});
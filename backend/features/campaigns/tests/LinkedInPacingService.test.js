@@ -0,0 +1,182 @@
+jest.mock('../repositories/LinkedInActionQueueRepository');
+jest.mock('../repositories/CampaignTenantSettingsRepository');
+jest.mock('../repositories/CampaignLeadRepository');
+jest.mock('../services/LinkedInAccountHelper', () => ({
+  getLinkedInAccountForExecution: jest.fn()
+}));
+
+const { pool } = require('../../../shared/database/connection');
+const LinkedInActionQueueRepository = require('../repositories/LinkedInActionQueueRepository');
+const CampaignTenantSettingsRepository = require('../repositories/CampaignTenantSettingsRepository');
+const CampaignLeadRepository = require('../repositories/CampaignLeadRepository');
+const { getLinkedInAccountForExecution } = require('../services/LinkedInAccountHelper');
+const linkedInPacingService = require('../services/LinkedInPacingService');
+
+// 09:00-17:00 with 48 actions a day: the average gap is 10 minutes
+const PACING = {
+  enabled: true,
+  workingHours: { start: '09:00', end: '17:00', days: [1, 2, 3, 4, 5], timezone: 'UTC' },
+  dailyActionLimit: 48,
+  jitter: 0.4
+};
+const LOCK_CONTEXT = { client: 'locked-client' };
+
+const at = value => new Date(value);
+const iso = date => date.toISOString();
+
+describe('LinkedInPacingService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    // Midpoint of the jitter range: gaps equal the average, openings land half a gap in
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+    LinkedInActionQueueRepository.getLastSlotForAccount.mockResolvedValue(null);
+    LinkedInActionQueueRepository.getLastSlotForLead.mockResolvedValue(null);
+    LinkedInActionQueueRepository.countSlotsForAccount.mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    Math.random.mockRestore();
+  });
+
+  describe('nextSlotTime', () => {
+    const nextSlot = (stepType, now) =>
+      linkedInPacingService.nextSlotTime('t1', 'account-1', 'cl-1', stepType, PACING, at(now), LOCK_CONTEXT);
+
+    it('runs straight away on an empty timeline inside working hours', async () => {
+      expect(iso(await nextSlot('linkedin_visit', '2026-10-19T10:00:00Z'))).toBe('2026-10-19T10:00:00.000Z');
+    });
+
+    it('leaves the average gap after the account\'s last action', async () => {
+      LinkedInActionQueueRepository.getLastSlotForAccount.mockResolvedValue({ scheduled_at: '2026-10-19T10:00:00Z' });
+      expect(iso(await nextSlot('linkedin_visit', '2026-10-19T10:00:00Z'))).toBe('2026-10-19T10:10:00.000Z');
+    });
+
+    it('spaces a connect after the lead\'s profile visit', async () => {
+      LinkedInActionQueueRepository.getLastSlotForLead.mockResolvedValue({ step_type: 'linkedin_visit', scheduled_at: '2026-10-19T10:00:00Z' });
+      expect(iso(await nextSlot('linkedin_connect', '2026-10-19T10:00:00Z'))).toBe('2026-10-19T10:30:00.000Z');
+    });
+
+    it('starts the day a little after the window opens', async () => {
+      expect(iso(await nextSlot('linkedin_visit', '2026-10-19T06:00:00Z'))).toBe('2026-10-19T09:05:00.000Z');
+      expect(iso(await nextSlot('linkedin_visit', '2026-10-23T17:30:00Z'))).toBe('2026-10-26T09:05:00.000Z');
+    });
+
+    it('rolls over to the next working day once the day is fully booked', async () => {
+      LinkedInActionQueueRepository.countSlotsForAccount
+        .mockResolvedValueOnce(48)
+        .mockResolvedValueOnce(3);
+      expect(iso(await nextSlot('linkedin_visit', '2026-10-19T10:00:00Z'))).toBe('2026-10-20T09:05:00.000Z');
+      const [, , dayStart, dayEnd] = LinkedInActionQueueRepository.countSlotsForAccount.mock.calls[0];
+      expect([iso(dayStart), iso(dayEnd)]).toEqual(['2026-10-19T00:00:00.000Z', '2026-10-20T00:00:00.000Z']);
+    });
+
+    it('counts the account day in the working-hours timezone', async () => {
+      const pacing = { ...PACING, workingHours: { ...PACING.workingHours, timezone: 'America/New_York' } };
+      await linkedInPacingService.nextSlotTime('t1', 'account-1', 'cl-1', 'linkedin_visit', pacing, at('2026-10-19T15:00:00Z'), LOCK_CONTEXT);
+      const [, , dayStart, dayEnd, context] = LinkedInActionQueueRepository.countSlotsForAccount.mock.calls[0];
+      expect([iso(dayStart), iso(dayEnd)]).toEqual(['2026-10-19T04:00:00.000Z', '2026-10-20T04:00:00.000Z']);
+      expect(context).toBe(LOCK_CONTEXT);
+    });
+
+    it('reads the timeline on the locked connection', async () => {
+      await nextSlot('linkedin_connect', '2026-10-19T10:00:00Z');
+      expect(LinkedInActionQueueRepository.getLastSlotForAccount).toHaveBeenCalledWith('t1', 'account-1', null, LOCK_CONTEXT);
+      expect(LinkedInActionQueueRepository.getLastSlotForAccount).toHaveBeenCalledWith('t1', 'account-1', 'linkedin_connect', LOCK_CONTEXT);
+      expect(LinkedInActionQueueRepository.getLastSlotForLead).toHaveBeenCalledWith('t1', 'cl-1', LOCK_CONTEXT);
+    });
+  });
+
+  describe('planSlot', () => {
+    it('plans slots a gap apart and rolls over when the day is full', () => {
+      const pacing = { ...PACING, dailyActionLimit: 2 };
+      const timeline = linkedInPacingService.createPlanTimeline();
+      const planned = [1, 2, 3].map(() => iso(linkedInPacingService.planSlot(timeline, 'linkedin_visit', pacing, at('2026-10-19T09:00:00Z'))));
+      // 480 minutes / 2 actions = 240 minute average gap
+      expect(planned).toEqual(['2026-10-19T09:00:00.000Z', '2026-10-19T13:00:00.000Z', '2026-10-20T09:00:00.000Z']);
+      expect(timeline.booked).toBe(3);
+    });
+
+    it('applies per-lead spacing', () => {
+      const timeline = linkedInPacingService.createPlanTimeline();
+      const connect = linkedInPacingService.planSlot(timeline, 'linkedin_connect', PACING, at('2026-10-19T09:00:00Z'), at('2026-10-19T09:00:00Z'));
+      expect(iso(connect)).toBe('2026-10-19T09:30:00.000Z');
+    });
+  });
+
+  describe('acquireSlot', () => {
+    const campaign = { id: 'campaign-1' };
+    const campaignLead = { id: 'cl-1' };
+    const step = { id: 'step-1', step_type: 'linkedin_connect' };
+
+    beforeEach(() => {
+      linkedInPacingService.cache.clear();
+      CampaignTenantSettingsRepository.get.mockResolvedValue({ linkedin_pacing: PACING });
+      getLinkedInAccountForExecution.mockResolvedValue({ provider_account_id: 'account-1' });
+      LinkedInActionQueueRepository.withAccountLock.mockImplementation((tenantId, providerAccountId, fn) => fn(LOCK_CONTEXT));
+      LinkedInActionQueueRepository.findOpenSlot.mockResolvedValue(null);
+      LinkedInActionQueueRepository.create.mockImplementation((tenantId, slot) => Promise.resolve({
+        id: 'slot-1', step_type: slot.stepType, scheduled_at: slot.scheduledAt, status: slot.status
+      }));
+    });
+
+    it('books the slot under the account lock', async () => {
+      const result = await linkedInPacingService.acquireSlot(campaign, campaignLead, step, 't1', 'user-1', at('2026-10-19T10:00:00Z'));
+      expect(result.wait).toBe(false);
+      expect(LinkedInActionQueueRepository.withAccountLock).toHaveBeenCalledWith('t1', 'account-1', expect.any(Function));
+      expect(LinkedInActionQueueRepository.findOpenSlot).toHaveBeenCalledWith('t1', 'cl-1', 'step-1', LOCK_CONTEXT);
+      expect(LinkedInActionQueueRepository.create).toHaveBeenCalledWith('t1', expect.objectContaining({
+        providerAccountId: 'account-1',
+        status: 'released'
+      }), LOCK_CONTEXT);
+    });
+
+    it('parks the lead until a future slot', async () => {
+      LinkedInActionQueueRepository.getLastSlotForAccount.mockResolvedValue({ scheduled_at: '2026-10-19T10:00:00Z' });
+      const result = await linkedInPacingService.acquireSlot(campaign, campaignLead, step, 't1', 'user-1', at('2026-10-19T10:00:00Z'));
+      expect(result).toMatchObject({ wait: true });
+      expect(iso(result.scheduledAt)).toBe('2026-10-19T10:10:00.000Z');
+      expect(CampaignLeadRepository.update).toHaveBeenCalledWith('cl-1', 't1', { deferred_until: result.scheduledAt });
+    });
+
+    it('reuses the lead\'s open slot instead of booking another', async () => {
+      LinkedInActionQueueRepository.findOpenSlot.mockResolvedValue({ id: 'slot-0', step_type: 'linkedin_connect', scheduled_at: '2026-10-19T09:59:50Z' });
+      const result = await linkedInPacingService.acquireSlot(campaign, campaignLead, step, 't1', 'user-1', at('2026-10-19T10:00:00Z'));
+      expect(result.wait).toBe(false);
+      expect(LinkedInActionQueueRepository.create).not.toHaveBeenCalled();
+      expect(LinkedInActionQueueRepository.updateStatus).toHaveBeenCalledWith('slot-0', 't1', 'released');
+    });
+  });
+});
+
+describe('LinkedInActionQueueRepository.withAccountLock', () => {
+  const ActualRepository = jest.requireActual('../repositories/LinkedInActionQueueRepository');
+  let client;
+
+  beforeEach(() => {
+    client = { query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() };
+    pool.connect = jest.fn().mockResolvedValue(client);
+  });
+
+  it('holds a per-account advisory lock for the transaction', async () => {
+    const result = await ActualRepository.withAccountLock('t1', 'account-1', async context => {
+      expect(context.client).toBe(client);
+      return 'booked';
+    });
+    expect(result).toBe('booked');
+    expect(client.query.mock.calls.map(call => call[0])).toEqual([
+      'BEGIN',
+      'SELECT pg_advisory_xact_lock(hashtext($1))',
+      'COMMIT'
+    ]);
+    expect(client.query.mock.calls[1][1]).toEqual(['linkedin_action_queue:t1:account-1']);
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  it('rolls back and releases the connection when booking fails', async () => {
+    await expect(ActualRepository.withAccountLock('t1', 'account-1', async () => {
+      throw new Error('insert failed');
+    })).rejects.toThrow('insert failed');
+    expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+    expect(client.release).toHaveBeenCalled();
+  });
+});
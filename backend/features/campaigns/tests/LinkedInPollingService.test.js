@@ -0,0 +1,108 @@
+jest.mock('../repositories/SuppressionRepository');
+jest.mock('../repositories/CampaignLeadActivityRepository');
+jest.mock('../repositories/CampaignTenantSettingsRepository');
+jest.mock('../services/unipileService', () => ({
+  sendFirstLinkedInMessage: jest.fn(),
+  sendLinkedInMessage: jest.fn()
+}));
+jest.mock('../services/campaignStatsTracker', () => ({
+  campaignStatsTracker: { trackAction: jest.fn() }
+}));
+
+const { pool } = require('../../../shared/database/connection');
+const SuppressionRepository = require('../repositories/SuppressionRepository');
+const CampaignLeadActivityRepository = require('../repositories/CampaignLeadActivityRepository');
+const CampaignTenantSettingsRepository = require('../repositories/CampaignTenantSettingsRepository');
+const frequencyCapService = require('../services/FrequencyCapService');
+const unipileService = require('../services/unipileService');
+const { campaignStatsTracker } = require('../services/campaignStatsTracker');
+const linkedInPollingService = require('../services/LinkedInPollingService');
+
+const ACCOUNT = { id: 'acc-1', account_name: 'Sales', provider_account_id: 'unipile-1', status: 'active', is_deleted: false, user_id: 'user-1' };
+const CAMPAIGN = { id: 'campaign-1', name: 'Q4', config: { connectionMessage: 'Thanks for connecting, {{first_name}}!' } };
+const CAMPAIGN_LEAD = {
+  id: 'cl-1',
+  campaign_id: 'campaign-1',
+  status: 'active',
+  lead_data: { first_name: 'Jane', linkedin: 'https://www.linkedin.com/in/jane-doe' }
+};
+
+const sentRecord = { lead_linkedin: 'https://www.linkedin.com/in/jane-doe', lead_name: 'Jane Doe' };
+
+function sendImmediateMessage() {
+  return linkedInPollingService.sendImmediateMessageAfterAcceptance(
+    'campaign-1', 'lead-1', 't1', sentRecord, 'unipile-1', { recipientProviderId: 'provider-1' }
+  );
+}
+
+describe('LinkedInPollingService.sendImmediateMessageAfterAcceptance', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pool.query = jest.fn()
+      .mockResolvedValueOnce({ rows: [ACCOUNT] })
+      .mockResolvedValueOnce({ rows: [CAMPAIGN] })
+      .mockResolvedValueOnce({ rows: [CAMPAIGN_LEAD] });
+    SuppressionRepository.findMatch.mockResolvedValue(null);
+    frequencyCapService.cache.clear();
+    CampaignTenantSettingsRepository.get.mockResolvedValue(null);
+    unipileService.sendFirstLinkedInMessage.mockResolvedValue({ success: true, chatId: 'chat-1' });
+  });
+
+  it('sends the rendered connection message to an accepted connection', async () => {
+    const result = await sendImmediateMessage();
+    expect(result.success).toBe(true);
+    expect(unipileService.sendFirstLinkedInMessage).toHaveBeenCalledWith(
+      'unipile-1', 'provider-1', 'Thanks for connecting, Jane!', expect.any(Object)
+    );
+    expect(campaignStatsTracker.trackAction).toHaveBeenCalledWith('campaign-1', 'CONTACTED', expect.objectContaining({ status: 'success' }));
+  });
+
+  it('skips leads on the do-not-contact list and records why', async () => {
+    SuppressionRepository.findMatch.mockResolvedValue({ type: 'linkedin', value: 'jane-doe', reason: 'Asked to stop' });
+    const result = await sendImmediateMessage();
+    expect(result).toMatchObject({ success: false, suppressed: true });
+    expect(unipileService.sendFirstLinkedInMessage).not.toHaveBeenCalled();
+    expect(campaignStatsTracker.trackAction).not.toHaveBeenCalled();
+    expect(CampaignLeadActivityRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+      campaignLeadId: 'cl-1',
+      status: 'skipped',
+      errorMessage: expect.stringContaining('do-not-contact list')
+    }));
+  });
+
+  it('skips the message when the lead has reached a frequency cap', async () => {
+    CampaignTenantSettingsRepository.get.mockResolvedValue({
+      frequency_caps: { enabled: true, rules: [{ maxTouches: 1, windowHours: 24 }] }
+    });
+    CampaignLeadActivityRepository.getTouchesForPersonSince.mockResolvedValue([{ created_at: new Date() }]);
+    const result = await sendImmediateMessage();
+    expect(result).toMatchObject({ success: false, capped: true });
+    expect(CampaignLeadActivityRepository.getTouchesForPersonSince).toHaveBeenCalledWith('t1', 'lead-1', expect.any(Date), expect.any(Object));
+    expect(unipileService.sendFirstLinkedInMessage).not.toHaveBeenCalled();
+    expect(CampaignLeadActivityRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'skipped',
+      errorMessage: expect.stringContaining('Frequency cap reached')
+    }));
+  });
+
+  it('sends nothing when the connection message template is broken', async () => {
+    pool.query = jest.fn()
+      .mockResolvedValueOnce({ rows: [ACCOUNT] })
+      .mockResolvedValueOnce({ rows: [{ ...CAMPAIGN, config: { connectionMessage: 'Thanks{% if company %}, {{company}}' } }] })
+      .mockResolvedValueOnce({ rows: [CAMPAIGN_LEAD] });
+    const result = await sendImmediateMessage();
+    expect(result).toMatchObject({ success: false, validationError: true });
+    expect(unipileService.sendFirstLinkedInMessage).not.toHaveBeenCalled();
+    expect(CampaignLeadActivityRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'skipped',
+      errorMessage: expect.stringContaining('Message template is invalid')
+    }));
+  });
+
+  it('sends nothing when the suppression check fails', async () => {
+    SuppressionRepository.findMatch.mockRejectedValue(new Error('connection lost'));
+    const result = await sendImmediateMessage();
+    expect(result).toMatchObject({ success: false, error: 'connection lost' });
+    expect(unipileService.sendFirstLinkedInMessage).not.toHaveBeenCalled();
+  });
+});
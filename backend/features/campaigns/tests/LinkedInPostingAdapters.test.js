@@ -0,0 +1,48 @@
+jest.mock('../services/unipileService');
+
+const { getAdapter, registerAdapter } = require('../services/LinkedInPostingAdapters');
+
+describe('LinkedInPostingAdapters', () => {
+  it('publishes to the in-memory stub adapter', async () => {
+    const stub = getAdapter('stub');
+    const account = { provider_account_id: 'account-1' };
+
+    const first = await stub.publish(account, { text: 'First post' });
+    const second = await stub.publish(account, { text: 'Second post', imageUrls: ['https://example.com/a.png'] });
+
+    expect(first).toEqual({ providerPostId: 'stub-post-1', postUrl: null });
+    expect(second.providerPostId).toBe('stub-post-2');
+    expect(stub.published).toEqual([
+      { accountId: 'account-1', text: 'First post', imageUrls: [], providerPostId: 'stub-post-1' },
+      { accountId: 'account-1', text: 'Second post', imageUrls: ['https://example.com/a.png'], providerPostId: 'stub-post-2' }
+    ]);
+  });
+
+  it('selects the adapter from LINKEDIN_POSTING_ADAPTER', () => {
+    const original = process.env.LINKEDIN_POSTING_ADAPTER;
+    process.env.LINKEDIN_POSTING_ADAPTER = 'stub';
+    try {
+      expect(getAdapter()).toBe(getAdapter('stub'));
+    } finally {
+      if (original === undefined) {
+        delete process.env.LINKEDIN_POSTING_ADAPTER;
+      } else {
+        process.env.LINKEDIN_POSTING_ADAPTER = original;
+      }
+    }
+  });
+
+  it('registers custom adapters', () => {
+    const adapter = { publish: jest.fn() };
+    registerAdapter('custom', adapter);
+    expect(getAdapter('custom')).toBe(adapter);
+  });
+
+  it('rejects adapters without publish()', () => {
+    expect(() => registerAdapter('broken', {})).toThrow('LinkedIn posting adapter must implement publish()');
+  });
+
+  it('throws for an unknown adapter', () => {
+    expect(() => getAdapter('myspace')).toThrow('Unknown LinkedIn posting adapter: myspace');
+  });
+});
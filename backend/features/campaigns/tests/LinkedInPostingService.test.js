@@ -0,0 +1,114 @@
+jest.mock('../services/unipileService');
+jest.mock('../repositories/LinkedInScheduledPostRepository');
+jest.mock('../services/campaignStatsTracker', () => ({
+  campaignStatsTracker: { trackAction: jest.fn() }
+}));
+jest.mock('node-cron', () => ({ schedule: jest.fn(() => ({ stop: jest.fn() })) }));
+
+const cron = require('node-cron');
+const LinkedInScheduledPostRepository = require('../repositories/LinkedInScheduledPostRepository');
+const { campaignStatsTracker } = require('../services/campaignStatsTracker');
+const linkedInPostingService = require('../services/LinkedInPostingService');
+const { linkedInPostingScheduler } = require('../services/linkedInPostingScheduler');
+const jobQueueService = require('../services/JobQueueService');
+
+const ACCOUNT = { provider_account_id: 'u-1', account_name: 'Jane Doe' };
+const post = (id, overrides = {}) => ({
+  id,
+  tenant_id: 't1',
+  provider_account_id: 'u-1',
+  content: `Post ${id}`,
+  attempts: 1,
+  max_attempts: 3,
+  ...overrides
+});
+
+describe('LinkedInPostingService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    linkedInPostingService.accountRepository = { getAccountByProviderIdForTenant: jest.fn().mockResolvedValue(ACCOUNT) };
+    linkedInPostingService.adapter = { publish: jest.fn().mockResolvedValue({ providerPostId: 'li-1', postUrl: null }) };
+    LinkedInScheduledPostRepository.failStalePublishing.mockResolvedValue([]);
+    LinkedInScheduledPostRepository.claimDuePosts.mockResolvedValue([]);
+  });
+
+  afterAll(() => {
+    linkedInPostingService.adapter = undefined;
+  });
+
+  describe('processDuePosts', () => {
+    it('publishes the claimed posts and records campaign posts', async () => {
+      const claimed = [
+        post('p1', { image_urls: ['https://example.com/a.png'] }),
+        post('p2', { campaign_id: 'campaign-1', campaign_step_id: 'step-1' })
+      ];
+      LinkedInScheduledPostRepository.claimDuePosts.mockResolvedValue(claimed);
+      LinkedInScheduledPostRepository.markPublished.mockImplementation(async id => ({
+        ...claimed.find(row => row.id === id),
+        post_url: 'https://linkedin.com/feed/1'
+      }));
+      await expect(linkedInPostingService.processDuePosts())
+        .resolves.toEqual({ claimed: 2, published: 2, retrying: 0, failed: 0, interrupted: 0 });
+      expect(linkedInPostingService.adapter.publish).toHaveBeenCalledWith(ACCOUNT, { text: 'Post p1', imageUrls: ['https://example.com/a.png'] });
+      expect(campaignStatsTracker.trackAction).toHaveBeenCalledTimes(1);
+      expect(campaignStatsTracker.trackAction).toHaveBeenCalledWith('campaign-1', 'POST_PUBLISHED', expect.objectContaining({
+        status: 'success',
+        stepId: 'step-1',
+        accountName: 'Jane Doe',
+        responseData: { scheduledPostId: 'p2', postUrl: 'https://linkedin.com/feed/1' }
+      }));
+    });
+
+    it('retries temporary failures with backoff and fails the rest', async () => {
+      LinkedInScheduledPostRepository.claimDuePosts.mockResolvedValue([
+        post('retry'),
+        post('last-attempt', { attempts: 3, campaign_id: 'campaign-1' }),
+        post('rejected')
+      ]);
+      const rejected = Object.assign(new Error('Content rejected'), { retryable: false });
+      linkedInPostingService.adapter.publish
+        .mockRejectedValueOnce(new Error('timeout'))
+        .mockRejectedValueOnce(new Error('timeout'))
+        .mockRejectedValueOnce(rejected);
+
+      const before = Date.now();
+      await expect(linkedInPostingService.processDuePosts())
+        .resolves.toMatchObject({ claimed: 3, published: 0, retrying: 1, failed: 2 });
+      const [retryId, retryAt, retryError] = LinkedInScheduledPostRepository.markRetry.mock.calls[0];
+      expect([retryId, retryError]).toEqual(['retry', 'timeout']);
+      expect(retryAt.getTime()).toBeGreaterThanOrEqual(before + 5 * 60 * 1000);
+      expect(LinkedInScheduledPostRepository.markFailed.mock.calls).toEqual([['last-attempt', 'timeout'], ['rejected', 'Content rejected']]);
+      expect(campaignStatsTracker.trackAction).toHaveBeenCalledWith('campaign-1', 'POST_PUBLISH_FAILED', expect.objectContaining({ errorMessage: 'timeout' }));
+    });
+
+    it('fails posts whose account is gone and reports interrupted ones', async () => {
+      LinkedInScheduledPostRepository.failStalePublishing.mockResolvedValue([post('stale', { last_error: 'Publishing was interrupted' })]);
+      LinkedInScheduledPostRepository.claimDuePosts.mockResolvedValue([post('orphan')]);
+      linkedInPostingService.accountRepository.getAccountByProviderIdForTenant.mockResolvedValue(null);
+      await expect(linkedInPostingService.processDuePosts())
+        .resolves.toMatchObject({ claimed: 1, failed: 1, interrupted: 1 });
+      expect(LinkedInScheduledPostRepository.markFailed).toHaveBeenCalledWith('orphan', 'LinkedIn account is no longer connected');
+      expect(linkedInPostingService.adapter.publish).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('linkedInPostingScheduler', () => {
+    it('queues one publishing job per tick', async () => {
+      const enqueueSpy = jest.spyOn(jobQueueService, 'enqueueRecurring').mockResolvedValue({ id: 'job-1' });
+      linkedInPostingScheduler.start();
+      expect(cron.schedule).toHaveBeenCalledWith('* * * * *', expect.any(Function), { scheduled: true });
+      await cron.schedule.mock.calls[0][1]();
+      expect(enqueueSpy).toHaveBeenCalledWith('linkedin.publish_due_posts');
+      linkedInPostingScheduler.stop();
+      enqueueSpy.mockRestore();
+    });
+
+    it('runs the publishing job through the posting service', async () => {
+      const processSpy = jest.spyOn(linkedInPostingService, 'processDuePosts').mockResolvedValue({ claimed: 0 });
+      await jobQueueService.handlers.get('linkedin.publish_due_posts').run({});
+      expect(processSpy).toHaveBeenCalled();
+      expect(jobQueueService.handlers.get('linkedin.publish_due_posts').maxAttempts).toBe(1);
+      processSpy.mockRestore();
+    });
+  });
+});
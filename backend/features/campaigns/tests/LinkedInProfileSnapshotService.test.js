@@ -0,0 +1,125 @@
+jest.mock('../services/unipileService', () => ({}));
+
+const { pool } = require('../../../shared/database/connection');
+const linkedInProfileSnapshotService = require('../services/LinkedInProfileSnapshotService');
+const CampaignLeadProfileSnapshotRepository = require('../repositories/CampaignLeadProfileSnapshotRepository');
+const conditionEvaluator = require('../engine/conditionEvaluator');
+const { validateStepConfig } = require('../services/StepValidators');
+const MessageTemplateUtil = require('../utils/messageTemplateUtil');
+
+const RAW_PROFILE = {
+  first_name: 'Jane',
+  last_name: 'Doe',
+  headline: 'Data lead at Acme',
+  location: 'Berlin',
+  provider_id: 'ACo123',
+  work_experience: [
+    { position: 'Head of Data', company: 'Acme', start: '1/2022' },
+    { position: 'Analyst', company: { name: 'Initech' }, start: { year: 2018, month: 3 }, end: { year: 2021 } }
+  ],
+  education: [{ school: 'TU Berlin', degree: 'MSc', field_of_study: 'Statistics' }, { degree: 'No school' }],
+  skills: [{ name: 'Python' }, 'SQL', { name: 'Python' }]
+};
+const POSTS = [
+  { text: 'We are hiring', parsed_datetime: '2026-10-18T10:00:00Z', share_url: 'https://linkedin.com/posts/1', reaction_counter: '12' },
+  { text: '', share_url: null }
+];
+
+describe('LinkedInProfileSnapshotService', () => {
+  it('normalises the requested sections', () => {
+    expect(linkedInProfileSnapshotService.getScrapeFields({ linkedinScrapeFields: 'Experience, Recent Activity, skills, skills' }))
+      .toEqual(['experience', 'recent_activity', 'skills']);
+    expect(linkedInProfileSnapshotService.getUnknownFields(['skills', 'salary'])).toEqual(['salary']);
+    expect(linkedInProfileSnapshotService.getActivityLimit({ linkedinActivityLimit: 50 })).toBe(20);
+    expect(linkedInProfileSnapshotService.getActivityLimit({})).toBe(5);
+  });
+
+  it('builds a structured profile from the requested sections', () => {
+    const profile = linkedInProfileSnapshotService.buildProfile(RAW_PROFILE, POSTS, ['experience', 'education', 'skills', 'recent_activity']);
+    expect(profile).toMatchObject({
+      name: 'Jane Doe',
+      current_title: 'Head of Data',
+      current_company: 'Acme',
+      previous_companies: ['Initech'],
+      schools: ['TU Berlin'],
+      skills: ['Python', 'SQL'],
+      latest_post: 'We are hiring'
+    });
+    expect(profile.experience[1]).toMatchObject({ company: 'Initech', start: '2018-03', end: '2021', current: false });
+    expect(profile.recent_activity).toEqual([
+      { text: 'We are hiring', posted_at: '2026-10-18T10:00:00Z', url: 'https://linkedin.com/posts/1', is_repost: false, reactions: 12, comments: 0 }
+    ]);
+
+    const basics = linkedInProfileSnapshotService.buildProfile(RAW_PROFILE, POSTS, ['skills']);
+    expect(basics).not.toHaveProperty('experience');
+    expect(basics).not.toHaveProperty('recent_activity');
+    expect(basics.current_company).toBe('Acme');
+  });
+
+  it('stores each scrape as the lead\'s next snapshot version', async () => {
+    const createSpy = jest.spyOn(CampaignLeadProfileSnapshotRepository, 'createSnapshot').mockResolvedValue({ version: 2 });
+    await linkedInProfileSnapshotService.captureSnapshot({ id: 'cl-1', campaign_id: 'campaign-1' }, 't1', {
+      fields: ['skills'],
+      rawProfile: RAW_PROFILE,
+      providerAccountId: 'u-1'
+    });
+    expect(createSpy).toHaveBeenCalledWith('cl-1', 't1', {
+      campaignId: 'campaign-1',
+      fields: ['skills'],
+      profile: expect.objectContaining({ skills: ['Python', 'SQL'] }),
+      providerAccountId: 'u-1'
+    }, {});
+    createSpy.mockRestore();
+  });
+
+  it('numbers snapshots per lead and copies the latest one to lead_data', async () => {
+    const client = {
+      query: jest.fn(async sql => {
+        if (sql.includes('FOR UPDATE')) return { rows: [{ profile_snapshot_version: 1 }] };
+        if (sql.includes('INSERT')) return { rows: [{ id: 'snap-2', version: 2, captured_at: '2026-10-19T12:00:00Z' }] };
+        return { rows: [] };
+      }),
+      release: jest.fn()
+    };
+    pool.connect = jest.fn().mockResolvedValue(client);
+    const row = await CampaignLeadProfileSnapshotRepository.createSnapshot('cl-1', 't1', { campaignId: 'campaign-1', profile: { skills: ['SQL'] } });
+    expect(row).toMatchObject({ version: 2 });
+    const update = client.query.mock.calls.find(([sql]) => sql.includes('SET profile_snapshot_version'));
+    expect(update[0]).toContain("'linkedin_profile'");
+    expect(update[1]).toEqual(['cl-1', 't1', 2, JSON.stringify({ skills: ['SQL'] }), '2026-10-19T12:00:00Z']);
+    expect(client.query.mock.calls.map(([sql]) => sql).slice(-1)).toEqual(['COMMIT']);
+  });
+
+  it('validates scrape profile steps', () => {
+    expect(validateStepConfig('linkedin_scrape_profile', { linkedinScrapeFields: ['skills', 'education'] })).toEqual({ valid: true });
+    expect(validateStepConfig('linkedin_scrape_profile', {})).toMatchObject({ valid: false, missingFields: ['linkedinScrapeFields'] });
+    expect(validateStepConfig('linkedin_scrape_profile', { linkedinScrapeFields: 'skills, salary' }).error)
+      .toContain('Unknown profile field(s): salary');
+  });
+
+  describe('using a snapshot', () => {
+    const profile = linkedInProfileSnapshotService.buildProfile(RAW_PROFILE, [], ['experience', 'education', 'skills']);
+    const scraped = { id: 'cl-1', lead_data: JSON.stringify({ linkedin_profile: profile }) };
+    const matches = criteria => conditionEvaluator.evaluateCondition(
+      { config: { conditionType: 'profile_matches', profileCriteria: criteria } }, scraped, null, { actions: [] }
+    );
+
+    it('matches skills, current or previous companies and schools', async () => {
+      expect(await matches({ skills: ['Go', 'python'] })).toBe(true);
+      expect(await matches({ company: 'initech' })).toBe(true);
+      expect(await matches({ school: 'TU Berlin', title: 'head of' })).toBe(true);
+      expect(await matches({ skills: 'Go' })).toBe(false);
+      expect(await matches({ school: 'MIT' })).toBe(false);
+    });
+
+    it('never matches a lead that has not been scraped', async () => {
+      const step = { config: { conditionType: 'profile_matches', profileCriteria: { skills: ['SQL'] } } };
+      expect(await conditionEvaluator.evaluateCondition(step, { id: 'cl-2', lead_data: {} }, null, { actions: [] })).toBe(false);
+    });
+
+    it('is available to message templates', () => {
+      const template = '{{linkedin_profile.current_company}}{% if linkedin_profile.skills contains "Python" %} - Python{% endif %}';
+      expect(MessageTemplateUtil.render(template, { linkedin_profile: profile })).toBe('Acme - Python');
+    });
+  });
+});
@@ -0,0 +1,99 @@
+jest.mock('../repositories/CampaignLeadRepository');
+jest.mock('../repositories/CampaignAnalyticsRepository');
+jest.mock('../repositories/CampaignRepository');
+jest.mock('../services/LinkedInLimitTunerService', () => ({
+  linkedInLimitTuner: { getRemainingCapacity: jest.fn() }
+}));
+
+const CampaignLeadRepository = require('../repositories/CampaignLeadRepository');
+const CampaignAnalyticsRepository = require('../repositories/CampaignAnalyticsRepository');
+const CampaignRepository = require('../repositories/CampaignRepository');
+const { linkedInLimitTuner } = require('../services/LinkedInLimitTunerService');
+const linkedInSenderRotationService = require('../services/LinkedInSenderRotationService');
+
+const ACCOUNTS = [
+  { id: 'acc-1', unipile_account_id: 'u-1', account_name: 'Primary' },
+  { id: 'acc-2', unipile_account_id: 'u-2', account_name: 'Second' },
+  { id: 'acc-3', unipile_account_id: 'u-3', account_name: 'Third' }
+];
+const CAPACITY = {
+  'u-1': { remaining: 5, sentToday: 15 },
+  'u-2': { remaining: 18, sentToday: 2 },
+  'u-3': { remaining: 18, sentToday: 0 }
+};
+const LEAD = { id: 'cl-1', lead_id: 'lead-1', campaign_id: 'campaign-1' };
+
+describe('LinkedInSenderRotationService', () => {
+  const select = (options = {}) => linkedInSenderRotationService.selectSender('t1', 'user-1', {
+    campaignLead: LEAD,
+    campaign: { id: 'campaign-1', config: {} },
+    stepType: 'linkedin_connect',
+    ...options
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    linkedInSenderRotationService.repository = { getAllAccountsForTenant: jest.fn().mockResolvedValue(ACCOUNTS) };
+    linkedInLimitTuner.getRemainingCapacity.mockImplementation((tenantId, account) =>
+      Promise.resolve(CAPACITY[account.provider_account_id]));
+    CampaignLeadRepository.getLinkedInSender.mockResolvedValue(null);
+    CampaignLeadRepository.setLinkedInSender.mockResolvedValue();
+    CampaignAnalyticsRepository.getFirstLinkedInSender.mockResolvedValue(null);
+  });
+
+  it('assigns a new lead to the account with the most remaining capacity and pins it', async () => {
+    const selection = await select();
+    // u-2 and u-3 tie on remaining; u-3 has sent fewer today
+    expect(selection).toMatchObject({ reason: 'capacity', account: { provider_account_id: 'u-3' } });
+    expect(selection.candidates.map(account => account.provider_account_id)).toEqual(['u-3', 'u-2', 'u-1']);
+    expect(CampaignLeadRepository.setLinkedInSender).toHaveBeenCalledWith('cl-1', 't1', 'u-3');
+  });
+
+  it('keeps a pinned lead on its sender', async () => {
+    CampaignLeadRepository.getLinkedInSender.mockResolvedValue('u-1');
+    const selection = await select({ stepType: 'linkedin_message' });
+    expect(selection).toMatchObject({ reason: 'pinned', account: { provider_account_id: 'u-1' } });
+    expect(linkedInLimitTuner.getRemainingCapacity).not.toHaveBeenCalled();
+    expect(CampaignLeadRepository.setLinkedInSender).not.toHaveBeenCalled();
+  });
+
+  it('refuses a follow-up message when the pinned sender is gone', async () => {
+    CampaignLeadRepository.getLinkedInSender.mockResolvedValue('u-9');
+    const selection = await select({ stepType: 'linkedin_message' });
+    expect(selection.account).toBeNull();
+    expect(selection.error).toContain('no longer available');
+  });
+
+  it('reassigns other steps when the pinned sender is gone', async () => {
+    CampaignLeadRepository.getLinkedInSender.mockResolvedValue('u-9');
+    const selection = await select({ stepType: 'linkedin_visit' });
+    expect(selection).toMatchObject({ reason: 'capacity', account: { provider_account_id: 'u-3' } });
+  });
+
+  it('sends an unpinned lead back to the account that reached it in another campaign', async () => {
+    CampaignAnalyticsRepository.getFirstLinkedInSender.mockResolvedValue('u-1');
+    const selection = await select();
+    expect(selection).toMatchObject({ reason: 'previous_contact', account: { provider_account_id: 'u-1' } });
+    expect(CampaignAnalyticsRepository.getFirstLinkedInSender).toHaveBeenCalledWith(['lead-1', 'cl-1'], 't1');
+    expect(CampaignLeadRepository.setLinkedInSender).toHaveBeenCalledWith('cl-1', 't1', 'u-1');
+  });
+
+  it('only uses the accounts a campaign is restricted to', async () => {
+    const selection = await select({ campaign: { id: 'campaign-1', config: JSON.stringify({ linkedinAccountIds: ['acc-1', 'u-2'] }) } });
+    expect(selection.account.provider_account_id).toBe('u-2');
+    expect(selection.candidates.map(account => account.provider_account_id)).toEqual(['u-2', 'u-1']);
+  });
+
+  it('explains why no sender is available', async () => {
+    await expect(select({ campaign: { config: { linkedinAccountIds: ['acc-9'] } } }))
+      .resolves.toMatchObject({ account: null, error: expect.stringContaining('selected for this campaign') });
+    linkedInSenderRotationService.repository.getAllAccountsForTenant.mockResolvedValue([]);
+    await expect(select()).resolves.toMatchObject({ account: null, error: expect.stringContaining('No active LinkedIn account') });
+  });
+
+  it('returns the primary account without a campaign lead', async () => {
+    const selection = await linkedInSenderRotationService.selectSender('t1', 'user-1');
+    expect(selection).toMatchObject({ reason: 'primary', account: { provider_account_id: 'u-1', account_name: 'Primary' } });
+    expect(CampaignRepository.getById).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,108 @@
+jest.mock('../services/unipileService', () => ({}));
+
+const linkedInWarmupService = require('../services/LinkedInWarmupService');
+const { linkedInLimitTuner } = require('../services/LinkedInLimitTunerService');
+const { sendConnectionRequestWithFallback } = require('../services/LinkedInAccountHelper');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+const daysAgo = days => new Date(NOW.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+const warmingUp = (overrides = {}) => ({
+  id: 'acc-1',
+  tenant_id: 't1',
+  provider_account_id: 'u-1',
+  default_daily_limit: 20,
+  default_weekly_limit: 140,
+  warmup_status: 'active',
+  warmup_stage: 0,
+  warmup_started_at: daysAgo(1),
+  ...overrides
+});
+const noStats = { sent: 0, accepted: 0 };
+
+describe('LinkedInWarmupService', () => {
+  beforeEach(() => {
+    linkedInWarmupService.repository = {
+      startWarmup: jest.fn(async (id, tenantId, caps) => ({ id, ...caps })),
+      updateWarmup: jest.fn().mockResolvedValue({}),
+      getAcceptanceStatsForAccount: jest.fn().mockResolvedValue(noStats)
+    };
+  });
+
+  it('starts a new account at a quarter of its configured limit without changing that limit', async () => {
+    await linkedInWarmupService.startWarmup({ id: 'acc-1', default_daily_limit: 40, default_weekly_limit: 200 }, 't1');
+    expect(linkedInWarmupService.repository.startWarmup).toHaveBeenCalledWith('acc-1', 't1', { dailyLimit: 10, weeklyLimit: 70 });
+  });
+
+  describe('nextState', () => {
+    it('moves up one stage at a time as the account ages', () => {
+      expect(linkedInWarmupService.nextState(warmingUp({ warmup_started_at: daysAgo(8) }), noStats, NOW))
+        .toMatchObject({ status: 'active', stage: 1, dailyLimit: 8, weeklyLimit: 56, event: 'advanced' });
+      expect(linkedInWarmupService.nextState(warmingUp({ warmup_started_at: daysAgo(30) }), noStats, NOW))
+        .toMatchObject({ stage: 1 });
+      expect(linkedInWarmupService.nextState(warmingUp({ warmup_started_at: daysAgo(3) }), noStats, NOW))
+        .toMatchObject({ stage: 0, dailyLimit: 5, event: null });
+    });
+
+    it('fast-tracks accounts with a healthy acceptance rate', () => {
+      expect(linkedInWarmupService.nextState(warmingUp({ warmup_started_at: daysAgo(6) }), { sent: 20, accepted: 8 }, NOW))
+        .toMatchObject({ stage: 1, acceptanceRate: 40, event: 'advanced' });
+    });
+
+    it('ramps towards the current configured limit', () => {
+      // Lowered by hand (or by the limit tuner) since warm-up started
+      expect(linkedInWarmupService.nextState(warmingUp({ warmup_stage: 1, warmup_started_at: daysAgo(15), default_daily_limit: 10 }), noStats, NOW))
+        .toMatchObject({ stage: 2, dailyLimit: 6 });
+      expect(linkedInWarmupService.getTargets({ default_daily_limit: 20, default_weekly_limit: 140, detected_weekly_limit: 35 }))
+        .toEqual({ targetDailyLimit: 5, targetWeeklyLimit: 35 });
+    });
+
+    it('pauses on a low acceptance rate and resumes a stage lower once it recovers', () => {
+      const paused = linkedInWarmupService.nextState(warmingUp({ warmup_stage: 2, warmup_started_at: daysAgo(16) }), { sent: 20, accepted: 2 }, NOW);
+      expect(paused).toMatchObject({ status: 'paused', stage: 1, event: 'paused', pausedAt: NOW });
+      expect(paused.pauseReason).toContain('10% is below 15%');
+
+      const pausedAccount = warmingUp({ warmup_status: 'paused', warmup_stage: 1, warmup_started_at: daysAgo(16), warmup_paused_at: NOW });
+      expect(linkedInWarmupService.nextState(pausedAccount, { sent: 20, accepted: 3 }, NOW))
+        .toMatchObject({ status: 'paused', stage: 1, event: null });
+      expect(linkedInWarmupService.nextState(pausedAccount, { sent: 20, accepted: 5 }, NOW))
+        .toMatchObject({ status: 'active', stage: 2, pausedAt: null, pauseReason: null, event: 'resumed' });
+    });
+
+    it('completes at the last stage', () => {
+      expect(linkedInWarmupService.nextState(warmingUp({ warmup_stage: 3, warmup_started_at: daysAgo(29) }), noStats, NOW))
+        .toMatchObject({ status: 'completed', stage: 4, dailyLimit: 20, weeklyLimit: 140, completedAt: NOW, event: 'completed' });
+    });
+  });
+
+  it('saves each evaluation as warm-up state', async () => {
+    const outcome = await linkedInWarmupService.evaluateAccount(warmingUp({ warmup_started_at: daysAgo(8) }), NOW);
+    expect(outcome.event).toBe('advanced');
+    expect(linkedInWarmupService.repository.getAcceptanceStatsForAccount).toHaveBeenCalledWith('t1', 'u-1', 21, 3);
+    expect(linkedInWarmupService.repository.updateWarmup)
+      .toHaveBeenCalledWith('acc-1', 't1', expect.objectContaining({ status: 'active', stage: 1, dailyLimit: 8 }));
+  });
+
+  describe('paused accounts', () => {
+    it('have no connection capacity left', async () => {
+      linkedInLimitTuner.repository = {
+        getTodayConnectionCountForAccount: jest.fn().mockResolvedValue(0),
+        getWeeklyConnectionCountForAccount: jest.fn().mockResolvedValue(0)
+      };
+      const account = { unipile_account_id: 'u-1', default_daily_limit: 10, default_weekly_limit: 70 };
+      await expect(linkedInLimitTuner.getRemainingCapacity('t1', account)).resolves.toMatchObject({ remaining: 10 });
+      await expect(linkedInLimitTuner.getRemainingCapacity('t1', { ...account, warmup_status: 'paused' }))
+        .resolves.toMatchObject({ dailyLimit: 0, remaining: 0 });
+    });
+
+    it('send no connection requests', async () => {
+      const accounts = [
+        { unipile_account_id: 'u-1', account_name: 'Primary', default_daily_limit: 0, warmup_status: 'paused' },
+        { unipile_account_id: 'u-2', account_name: 'Second', default_daily_limit: 0, warmup_status: 'paused' }
+      ];
+      const result = await sendConnectionRequestWithFallback(
+        { fullname: 'Jane Doe', profile_url: 'https://linkedin.com/in/jane' }, 'Hi', true, 'u-1', accounts, { tenantId: 't1' }
+      );
+      expect(result).toMatchObject({ success: false, errorType: 'warmup_paused', diagnostics: { warmupPausedAccounts: 2 } });
+    });
+  });
+});
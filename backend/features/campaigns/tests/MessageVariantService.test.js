@@ -0,0 +1,191 @@
+jest.mock('../repositories/CampaignAnalyticsRepository');
+jest.mock('../repositories/CampaignStepRepository');
+jest.mock('../services/campaignStatsTracker', () => ({
+  campaignStatsTracker: { trackAction: jest.fn() }
+}));
+
+const CampaignAnalyticsRepository = require('../repositories/CampaignAnalyticsRepository');
+const CampaignStepRepository = require('../repositories/CampaignStepRepository');
+const messageVariantService = require('../services/MessageVariantService');
+
+const VARIANTS = [
+  { id: 'a', message: 'Hi {{first_name}}' },
+  { id: 'b', message: 'Hey {{first_name}}' },
+  { id: 'c', message: 'Hello {{first_name}}', weight: 2 }
+];
+const stat = (variantId, sends, replied, accepted = 0) => ({ variant_id: variantId, sends, replied, accepted });
+
+describe('MessageVariantService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    messageVariantService.statsCache.clear();
+    messageVariantService.promotedSteps.clear();
+    messageVariantService.stepLooks.clear();
+  });
+
+  describe('validateVariants', () => {
+    it('accepts a valid test', () => {
+      expect(messageVariantService.validateVariants({ variants: VARIANTS, autoPromote: { enabled: true, maxLooks: 4, maturityHours: 48 } }))
+        .toEqual({ valid: true });
+    });
+
+    it.each([
+      [{ variants: [VARIANTS[0]] }, 'variants must list 2 to 10'],
+      [{ variants: [VARIANTS[0], { ...VARIANTS[1], id: 'a' }] }, 'Duplicate variant id: a'],
+      [{ variants: [VARIANTS[0], { id: 'b' }] }, 'Variant b has no message copy'],
+      [{ variants: [VARIANTS[0], { id: 'b', message: '{% if x %}' }] }, 'Variant b message: {% if %} is never closed'],
+      [{ variants: VARIANTS.map(variant => ({ ...variant, weight: 0 })) }, 'At least one variant needs a weight above 0'],
+      [{ variants: VARIANTS, autoPromote: { maxLooks: 0 } }, 'autoPromote.maxLooks must be an integer from 1 to 20'],
+      [{ variants: VARIANTS, autoPromote: { maturityHours: -1 } }, 'autoPromote.maturityHours'],
+      [{ variants: VARIANTS, winnerVariantId: 'z' }, 'winnerVariantId does not match any variant']
+    ])('rejects %j', (config, error) => {
+      const validation = messageVariantService.validateVariants(config);
+      expect(validation.valid).toBe(false);
+      expect(validation.error).toContain(error);
+    });
+  });
+
+  describe('pickWeighted', () => {
+    it('is stable for a key', () => {
+      const picks = [1, 2, 3].map(() => messageVariantService.pickWeighted(VARIANTS, 'step-1:lead-1').id);
+      expect(new Set(picks).size).toBe(1);
+    });
+
+    it('splits leads in proportion to the weights', () => {
+      const counts = { a: 0, b: 0, c: 0 };
+      for (let lead = 0; lead < 4000; lead++) {
+        counts[messageVariantService.pickWeighted(VARIANTS, `step-1:lead-${lead}`).id]++;
+      }
+      // Weights 1:1:2
+      expect(counts.a / 4000).toBeCloseTo(0.25, 1);
+      expect(counts.b / 4000).toBeCloseTo(0.25, 1);
+      expect(counts.c / 4000).toBeCloseTo(0.5, 1);
+    });
+  });
+
+  describe('pickBandit', () => {
+    it('favours the variant with the better posterior', () => {
+      const stats = [stat('a', 200, 10), stat('b', 200, 60)];
+      const picks = { a: 0, b: 0 };
+      for (let draw = 0; draw < 200; draw++) {
+        picks[messageVariantService.pickBandit(VARIANTS.slice(0, 2), stats, 'reply').id]++;
+      }
+      expect(picks.b).toBeGreaterThan(190);
+    });
+
+    it('explores variants without sends', () => {
+      const picks = new Set();
+      for (let draw = 0; draw < 100; draw++) {
+        picks.add(messageVariantService.pickBandit(VARIANTS.slice(0, 2), [], 'reply').id);
+      }
+      expect([...picks].sort()).toEqual(['a', 'b']);
+    });
+
+    it('draws Beta samples between 0 and 1 around the mean', () => {
+      let total = 0;
+      for (let draw = 0; draw < 2000; draw++) {
+        const sample = messageVariantService.sampleBeta(3, 7);
+        expect(sample).toBeGreaterThan(0);
+        expect(sample).toBeLessThan(1);
+        total += sample;
+      }
+      expect(total / 2000).toBeCloseTo(0.3, 1);
+    });
+  });
+
+  describe('twoProportionTest', () => {
+    it('matches the textbook z-test', () => {
+      expect(messageVariantService.twoProportionTest(60, 100, 40, 100)).toEqual({ zScore: 2.828, pValue: 0.0047 });
+      expect(messageVariantService.twoProportionTest(40, 100, 60, 100)).toEqual({ zScore: -2.828, pValue: 0.0047 });
+    });
+
+    it('handles identical and empty samples', () => {
+      expect(messageVariantService.twoProportionTest(0, 50, 0, 50)).toEqual({ zScore: 0, pValue: 1 });
+      expect(messageVariantService.twoProportionTest(5, 50, 0, 0)).toBeNull();
+    });
+
+    it('approximates the normal CDF', () => {
+      expect(messageVariantService.normalCdf(0)).toBeCloseTo(0.5, 6);
+      expect(messageVariantService.normalCdf(1.96)).toBeCloseTo(0.975, 4);
+      expect(messageVariantService.normalCdf(-1.96)).toBeCloseTo(0.025, 4);
+    });
+  });
+
+  describe('evaluate', () => {
+    it('requires the leader to beat every other variant', () => {
+      // a clearly beats c, but not b
+      const evaluation = messageVariantService.evaluate(VARIANTS, [stat('a', 100, 60), stat('b', 100, 52), stat('c', 100, 30)], 'reply');
+      expect(evaluation.leader).toMatchObject({ variantId: 'a', runnerUpVariantId: 'b', significant: false });
+      expect(evaluation.leader.comparisons.map(comparison => comparison.variantId)).toEqual(['b', 'c']);
+      expect(evaluation.variants.find(row => row.variantId === 'b').vsControl.reply.zScore).toBeLessThan(0);
+    });
+
+    it('splits alpha across the comparisons', () => {
+      // p = 0.0047 against each: significant at 0.05 / 2, not at 0.005 / 2
+      const stats = [stat('a', 100, 60), stat('b', 100, 40), stat('c', 100, 40)];
+      expect(messageVariantService.evaluate(VARIANTS, stats, 'reply').leader.significant).toBe(true);
+      expect(messageVariantService.evaluate(VARIANTS, stats, 'reply', 0.95, 0.005).leader.significant).toBe(false);
+    });
+  });
+
+  describe('getLookAlpha', () => {
+    it('spends exactly 1 - confidence over all looks, less on each look than a single test', () => {
+      const looks = [1, 2, 3, 4, 5].map(look => messageVariantService.getLookAlpha(look - 1, look, 5, 0.95));
+      expect(looks.reduce((sum, alpha) => sum + alpha, 0)).toBeCloseTo(0.05, 10);
+      looks.forEach(alpha => expect(alpha).toBeLessThan(0.05));
+      expect(messageVariantService.getLookAlpha(0, 2, 5, 0.95)).toBeCloseTo(looks[0] + looks[1], 10);
+    });
+  });
+
+  describe('maybeAutoPromote', () => {
+    const step = { id: 'step-1', step_type: 'linkedin_message' };
+    const config = { variants: VARIANTS.slice(0, 2), autoPromote: { enabled: true, minSends: 100, maxLooks: 4 } };
+
+    it('waits for the next checkpoint of mature sends', async () => {
+      CampaignAnalyticsRepository.getVariantStats.mockResolvedValue([stat('a', 40, 30), stat('b', 50, 5)]);
+      await expect(messageVariantService.maybeAutoPromote('campaign-1', step, config, 't1')).resolves.toBeNull();
+      expect(CampaignStepRepository.mergeConfig).not.toHaveBeenCalled();
+    });
+
+    it('only counts sends older than the response window', async () => {
+      CampaignAnalyticsRepository.getVariantStats.mockResolvedValue([]);
+      const before = Date.now();
+      await messageVariantService.maybeAutoPromote('campaign-1', step, config, 't1');
+      const after = Date.now();
+      const sentBefore = CampaignAnalyticsRepository.getVariantStats.mock.calls[0][4].getTime();
+      // Replies: 72 hours by default
+      expect(sentBefore).toBeGreaterThanOrEqual(before - 72 * 60 * 60 * 1000);
+      expect(sentBefore).toBeLessThanOrEqual(after - 72 * 60 * 60 * 1000);
+    });
+
+    it('records a look without a winner and does not look again until the next checkpoint', async () => {
+      CampaignAnalyticsRepository.getVariantStats.mockResolvedValue([stat('a', 60, 12), stat('b', 60, 8)]);
+      await expect(messageVariantService.maybeAutoPromote('campaign-1', step, config, 't1')).resolves.toBeNull();
+      expect(CampaignStepRepository.mergeConfig).toHaveBeenCalledWith('step-1', 't1', { variantLooks: 1 });
+
+      messageVariantService.statsCache.clear();
+      await messageVariantService.maybeAutoPromote('campaign-1', step, config, 't1');
+      expect(CampaignStepRepository.mergeConfig).toHaveBeenCalledTimes(1);
+    });
+
+    it('promotes a leader that beats the alpha spent at its look', async () => {
+      CampaignAnalyticsRepository.getVariantStats.mockResolvedValue([stat('a', 100, 45), stat('b', 100, 15)]);
+      await expect(messageVariantService.maybeAutoPromote('campaign-1', step, { ...config, variantLooks: 1 }, 't1')).resolves.toBe('a');
+      expect(CampaignStepRepository.mergeConfig).toHaveBeenCalledWith('step-1', 't1', expect.objectContaining({
+        variantLooks: 2,
+        winnerVariantId: 'a'
+      }));
+    });
+
+    it('does not promote a lead that is only significant on a single uncorrected test', async () => {
+      // p ~ 0.038: below 0.05, above the first look's budget (~0.018)
+      CampaignAnalyticsRepository.getVariantStats.mockResolvedValue([stat('a', 50, 17), stat('b', 50, 8)]);
+      await expect(messageVariantService.maybeAutoPromote('campaign-1', step, config, 't1')).resolves.toBeNull();
+    });
+
+    it('stops looking once every checkpoint is used', async () => {
+      await expect(messageVariantService.maybeAutoPromote('campaign-1', step, { ...config, variantLooks: 4 }, 't1')).resolves.toBeNull();
+      expect(CampaignAnalyticsRepository.getVariantStats).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,77 @@
+const replyClassifier = require('../services/ReplyClassifierService');
+
+describe('ReplyClassifierService', () => {
+  afterEach(() => {
+    replyClassifier.setLlmClient(null);
+  });
+
+  describe('rules', () => {
+    beforeEach(() => {
+      replyClassifier.setLlmClient(null);
+    });
+
+    it.each([
+      ['Please unsubscribe me from this list', 'unsubscribe'],
+      ['I am currently away until Monday', 'out_of_office'],
+      ['I am not the right person, Anna handles this', 'referral'],
+      ['Thanks, but we already use another vendor', 'not_interested'],
+      ['Sounds good - let\'s schedule a call next week', 'interested'],
+      ['What does pricing look like?', 'question']
+    ])('classifies "%s" as %s', async (text, intent) => {
+      const result = await replyClassifier.classify(text);
+      expect(result).toMatchObject({ intent, source: 'rules' });
+    });
+
+    it('prefers the stronger signal when several rules match', async () => {
+      const result = await replyClassifier.classify('Not interested. Please remove me from your list.');
+      expect(result.intent).toBe('unsubscribe');
+    });
+
+    it('only reads the subject for auto-replies', async () => {
+      const autoReply = await replyClassifier.classify('Thanks for your message.', { subject: 'Automatic reply: Quick question' });
+      expect(autoReply.intent).toBe('out_of_office');
+
+      const echoed = await replyClassifier.classify('Ok', { subject: 'Re: Are you interested in a demo?' });
+      expect(echoed.intent).toBe('unclassified');
+    });
+
+    it('ignores quoted history', async () => {
+      const text = 'Not interested, thanks.\n\nOn Mon, Jan 5, 2026 at 10:00 Sales <sales@example.com> wrote:\n> Would you like to book a call?';
+      const result = await replyClassifier.classify(text);
+      expect(result.intent).toBe('not_interested');
+    });
+
+    it('returns unclassified for an empty reply', async () => {
+      const result = await replyClassifier.classify('   ');
+      expect(result).toEqual({ intent: 'unclassified', confidence: 0, source: 'rules', reason: 'Empty reply' });
+    });
+  });
+
+  describe('LLM fallback', () => {
+    it('uses the LLM answer when it names a known intent', async () => {
+      replyClassifier.setLlmClient({
+        generateContent: jest.fn().mockResolvedValue('```json\n{"intent": "Interested", "confidence": 0.9, "reason": "Asks for a demo"}\n```')
+      });
+      const result = await replyClassifier.classify('Can we do a demo on Thursday?');
+      expect(result).toEqual({ intent: 'interested', confidence: 0.9, source: 'llm', reason: 'Asks for a demo' });
+    });
+
+    it('falls back to rules when the LLM call fails', async () => {
+      replyClassifier.setLlmClient({ generateContent: jest.fn().mockRejectedValue(new Error('quota exceeded')) });
+      const result = await replyClassifier.classify('Please stop emailing me');
+      expect(result).toMatchObject({ intent: 'unsubscribe', source: 'rules' });
+    });
+
+    it('falls back to rules when the LLM returns an unknown intent', async () => {
+      replyClassifier.setLlmClient({ generateContent: jest.fn().mockResolvedValue('{"intent": "maybe", "confidence": 1}') });
+      const result = await replyClassifier.classify('Not interested');
+      expect(result).toMatchObject({ intent: 'not_interested', source: 'rules' });
+    });
+
+    it('falls back to rules when the LLM answer is not JSON', async () => {
+      replyClassifier.setLlmClient({ generateContent: jest.fn().mockResolvedValue('I think they are interested') });
+      const result = await replyClassifier.classify('Sounds great, send me more info');
+      expect(result).toMatchObject({ intent: 'interested', source: 'rules' });
+    });
+  });
+});
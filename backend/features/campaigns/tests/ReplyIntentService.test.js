@@ -0,0 +1,85 @@
+jest.mock('../repositories/CampaignLeadRepository');
+jest.mock('../repositories/CampaignLeadActivityRepository');
+jest.mock('../repositories/CampaignRepository');
+jest.mock('../repositories/SuppressionRepository');
+jest.mock('../services/campaignStatsTracker', () => ({
+  campaignStatsTracker: { trackAction: jest.fn() }
+}));
+
+const CampaignLeadRepository = require('../repositories/CampaignLeadRepository');
+const CampaignRepository = require('../repositories/CampaignRepository');
+const SuppressionRepository = require('../repositories/SuppressionRepository');
+const { campaignStatsTracker } = require('../services/campaignStatsTracker');
+const replyClassifier = require('../services/ReplyClassifierService');
+const replyIntentService = require('../services/ReplyIntentService');
+
+const reply = (text, overrides = {}) => ({
+  tenantId: 't1',
+  campaignId: 'campaign-1',
+  campaignLeadId: 'cl-1',
+  channel: 'email',
+  text,
+  ...overrides
+});
+
+describe('ReplyIntentService.handleInboundReply', () => {
+  beforeAll(() => {
+    replyClassifier.setLlmClient(null);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    CampaignLeadRepository.getById.mockResolvedValue({ id: 'cl-1', lead_id: 'lead-1', status: 'active' });
+    CampaignRepository.getConfigById.mockResolvedValue({});
+  });
+
+  it('stops the sequence and stores the intent on the lead', async () => {
+    const result = await replyIntentService.handleInboundReply(reply('Sounds good - let\'s schedule a call'));
+    expect(result).toMatchObject({ intent: 'interested', status: 'interested', stopped: true });
+    expect(CampaignLeadRepository.update).toHaveBeenCalledWith('cl-1', 't1', expect.objectContaining({
+      status: 'interested',
+      reply_intent: 'interested'
+    }));
+    expect(campaignStatsTracker.trackAction).toHaveBeenCalledWith('campaign-1', 'REPLY_CLASSIFIED', expect.objectContaining({
+      responseData: expect.objectContaining({ intent: 'interested', leadStatus: 'interested' })
+    }));
+  });
+
+  it('keeps out-of-office leads in their sequence by default', async () => {
+    const result = await replyIntentService.handleInboundReply(reply('I am currently away until Monday'));
+    expect(result).toMatchObject({ intent: 'out_of_office', status: 'active', stopped: false });
+  });
+
+  it('uses the campaign continueOnIntents setting', async () => {
+    CampaignRepository.getConfigById.mockResolvedValue({ replyHandling: { continueOnIntents: ['question'] } });
+    const question = await replyIntentService.handleInboundReply(reply('What does pricing look like?'));
+    expect(question).toMatchObject({ status: 'active', stopped: false });
+    const outOfOffice = await replyIntentService.handleInboundReply(reply('I am currently away until Monday'));
+    expect(outOfOffice).toMatchObject({ status: 'replied', stopped: true });
+  });
+
+  it('never moves an unsubscribed lead back', async () => {
+    CampaignLeadRepository.getById.mockResolvedValue({ id: 'cl-1', status: 'unsubscribed' });
+    const result = await replyIntentService.handleInboundReply(reply('Actually, sounds good - let\'s talk'));
+    expect(result).toMatchObject({ intent: 'interested', status: 'unsubscribed', stopped: false });
+  });
+
+  it('puts leads asking to unsubscribe on the do-not-contact list', async () => {
+    SuppressionRepository.bulkInsert.mockResolvedValue([{ id: 'entry-1' }]);
+    CampaignLeadRepository.getById.mockResolvedValue({ id: 'cl-1', status: 'active', lead_data: { email: 'jane@acme.com' } });
+    const result = await replyIntentService.handleInboundReply(reply('Please unsubscribe me from this list'));
+    expect(result).toMatchObject({ intent: 'unsubscribe', status: 'unsubscribed', stopped: true });
+    expect(SuppressionRepository.bulkInsert).toHaveBeenCalledWith(
+      't1',
+      [{ type: 'email', value: 'jane@acme.com', reason: 'Asked to unsubscribe (email reply)' }],
+      { source: 'unsubscribe_reply' }
+    );
+  });
+
+  it('ignores replies for unknown leads', async () => {
+    CampaignLeadRepository.getById.mockResolvedValue(null);
+    await expect(replyIntentService.handleInboundReply(reply('Hi'))).resolves.toBeNull();
+    await expect(replyIntentService.handleInboundReply(reply('Hi', { campaignLeadId: null }))).resolves.toBeNull();
+    expect(CampaignLeadRepository.update).not.toHaveBeenCalled();
+  });
+});
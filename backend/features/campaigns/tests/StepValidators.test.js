@@ -0,0 +1,30 @@
+const { validateStepConfig, validateWorkflowTemplates } = require('../services/StepValidators');
+
+describe('StepValidators message templates', () => {
+  it('accepts valid message copy', () => {
+    expect(validateStepConfig('linkedin_message', { message: 'Hi {{first_name | default: "there"}}' })).toEqual({ valid: true });
+  });
+
+  it('rejects a step whose copy would render blank or cut short', () => {
+    const validation = validateStepConfig('email_send', { subject: 'Hi {{first_name | shout}}', body: '{% if company %}Hi' });
+    expect(validation).toMatchObject({ valid: false, invalidFields: ['subject', 'body'] });
+    expect(validation.error).toContain('subject: Unknown filter "shout"');
+    expect(validation.error).toContain('body: {% if %} is never closed with {% endif %}');
+  });
+
+  it('checks A/B variant copy too', () => {
+    const validation = validateStepConfig('linkedin_message', {
+      message: 'Hi',
+      variants: [{ id: 'a', message: 'Hi' }, { id: 'b', message: 'Hey {% endif %}' }]
+    });
+    expect(validation).toMatchObject({ valid: false, invalidFields: ['variants[b].message'] });
+  });
+
+  it('names the first broken step of a workflow being saved', () => {
+    expect(validateWorkflowTemplates([
+      { type: 'start', config: {} },
+      { type: 'whatsapp_send', title: 'Intro', config: JSON.stringify({ whatsappMessage: 'Hi {{ }}' }) }
+    ])).toEqual({ valid: false, error: 'Step 2 (Intro): Invalid message template - whatsappMessage: Empty {{ }} tag' });
+    expect(validateWorkflowTemplates([{ type: 'email_send', config: { subject: 'Hi', body: '' } }])).toEqual({ valid: true });
+  });
+});
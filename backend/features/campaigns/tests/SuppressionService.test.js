@@ -0,0 +1,140 @@
+jest.mock('../repositories/SuppressionRepository');
+
+const SuppressionRepository = require('../repositories/SuppressionRepository');
+const suppressionService = require('../services/SuppressionService');
+
+describe('SuppressionService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('normalize', () => {
+    it.each([
+      ['email', ' MAILTO:Jane.Doe@Example.com ', 'jane.doe@example.com'],
+      ['email', 'not-an-email', null],
+      ['phone', '+44 (20) 7946-0958', '442079460958'],
+      ['phone', '0044 20 7946 0958', '442079460958'],
+      ['phone', '12-34', null],
+      ['linkedin', 'https://www.linkedin.com/in/Jane-Doe%C3%A9/?trk=x', 'jane-doeé'],
+      ['linkedin', 'ACoAAB12345', 'acoaab12345'],
+      ['linkedin', 'not a profile', null],
+      ['domain', 'https://www.Acme.com/about?x=1', 'acme.com'],
+      ['domain', 'jane@acme.co.uk', 'acme.co.uk'],
+      ['domain', 'localhost', null],
+      ['fax', '123', null]
+    ])('normalizes %s "%s"', (type, value, expected) => {
+      expect(suppressionService.normalize(type, value)).toBe(expected);
+    });
+  });
+
+  describe('prepareEntries', () => {
+    it('infers types, dedupes and reports invalid entries', () => {
+      const { valid, invalid } = suppressionService.prepareEntries([
+        { value: 'Jane@Acme.com', reason: 'Asked to stop' },
+        { type: 'email', value: 'jane@acme.com' },
+        { type: 'domain', value: 'www.globex.com' },
+        { type: 'email', value: 'nope' },
+        { type: 'fax', value: '123' }
+      ]);
+      expect(valid).toEqual([
+        { type: 'email', value: 'jane@acme.com', reason: 'Asked to stop' },
+        { type: 'domain', value: 'globex.com', reason: null }
+      ]);
+      expect(invalid.map(entry => entry.error)).toEqual([
+        'Invalid email',
+        'type must be one of: email, phone, linkedin, domain'
+      ]);
+    });
+  });
+
+  describe('CSV import', () => {
+    it('parses quoted fields, escaped quotes and CRLF', () => {
+      const rows = suppressionService.parseCsv('\uFEFFemail,reason\r\n"jane@acme.com","Said ""no"", twice"\r\n\r\n');
+      expect(rows).toEqual([['email', 'reason'], ['jane@acme.com', 'Said "no", twice']]);
+    });
+
+    it('detects semicolon-delimited files', () => {
+      expect(suppressionService.parseCsv('email;phone\njane@acme.com;+1 555 0100 200')).toEqual([
+        ['email', 'phone'],
+        ['jane@acme.com', '+1 555 0100 200']
+      ]);
+    });
+
+    it('reads type/value columns', () => {
+      const rows = [['Type', 'Value', 'Reason'], ['email', 'jane@acme.com', 'Bounced']];
+      expect(suppressionService.entriesFromRows(rows, 'import')).toEqual([
+        { type: 'email', value: 'jane@acme.com', reason: 'Bounced' }
+      ]);
+    });
+
+    it('reads typed columns by header alias', () => {
+      const rows = [['Email Address', 'Company Domain'], ['jane@acme.com', ''], ['', 'globex.com']];
+      expect(suppressionService.entriesFromRows(rows, 'import')).toEqual([
+        { type: 'email', value: 'jane@acme.com', reason: 'import' },
+        { type: 'domain', value: 'globex.com', reason: 'import' }
+      ]);
+    });
+
+    it('infers types for header-less files', () => {
+      const rows = [['jane@acme.com', 'https://linkedin.com/in/jane'], ['+1 555 0100 200']];
+      expect(suppressionService.entriesFromRows(rows).map(entry => entry.type)).toEqual(['email', 'linkedin', 'phone']);
+    });
+  });
+
+  describe('addEntries', () => {
+    it('rejects empty and oversized requests', async () => {
+      await expect(suppressionService.addEntries('tenant-1', 'user-1', { entries: [] })).rejects.toMatchObject({ statusCode: 400 });
+      const tooMany = Array.from({ length: 1001 }, (_, i) => ({ type: 'email', value: `lead${i}@acme.com` }));
+      await expect(suppressionService.addEntries('tenant-1', 'user-1', { entries: tooMany })).rejects.toMatchObject({ statusCode: 400 });
+      expect(SuppressionRepository.bulkInsert).not.toHaveBeenCalled();
+    });
+
+    it('rejects requests without a valid entry', async () => {
+      await expect(suppressionService.addEntries('tenant-1', 'user-1', { entries: [{ type: 'email', value: 'nope' }] }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('matching leads', () => {
+    it('collects identifiers from columns, lead_data and snapshot', () => {
+      const identifiers = suppressionService.collectIdentifiers({
+        email: 'Jane@Mail.EU.Acme.com',
+        lead_data: JSON.stringify({
+          linkedin_url: 'https://www.linkedin.com/in/jane-doe',
+          phone_numbers: [{ sanitized_number: '+15550100200' }],
+          organization: { primary_domain: 'acme.com' }
+        }),
+        snapshot: { website: 'https://globex.com' }
+      });
+      expect(identifiers.email).toEqual(['jane@mail.eu.acme.com']);
+      expect(identifiers.phone).toEqual(['15550100200']);
+      expect(identifiers.linkedin).toEqual(['jane-doe']);
+      expect(identifiers.domain.sort()).toEqual(['acme.com', 'eu.acme.com', 'globex.com', 'mail.eu.acme.com']);
+    });
+
+    it('reads the linkedin field campaign leads are stored with', () => {
+      const identifiers = suppressionService.collectIdentifiers({
+        lead_data: { linkedin: 'https://www.linkedin.com/in/jane-doe/' }
+      });
+      expect(identifiers.linkedin).toEqual(['jane-doe']);
+    });
+
+    it('skips the lookup for leads without identifiers', async () => {
+      expect(await suppressionService.findMatchForLead('tenant-1', { lead_data: {} })).toBeNull();
+      expect(SuppressionRepository.findMatch).not.toHaveBeenCalled();
+    });
+
+    it('looks up leads by their identifiers', async () => {
+      const match = { type: 'domain', value: 'acme.com', reason: 'Customer' };
+      SuppressionRepository.findMatch.mockResolvedValue(match);
+
+      expect(await suppressionService.findMatchForLead('tenant-1', { email: 'jane@acme.com' })).toBe(match);
+      expect(SuppressionRepository.findMatch).toHaveBeenCalledWith(
+        'tenant-1',
+        { email: ['jane@acme.com'], phone: [], linkedin: [], domain: ['acme.com'] },
+        {}
+      );
+      expect(suppressionService.describeMatch(match)).toBe('Lead is on the do-not-contact list (domain: acme.com) - Customer');
+    });
+  });
+});
@@ -0,0 +1,101 @@
+jest.mock('../repositories/CampaignVoiceCallRepository');
+jest.mock('../repositories/CampaignLeadActivityRepository');
+jest.mock('../services/campaignStatsTracker', () => ({
+  campaignStatsTracker: { trackAction: jest.fn() }
+}));
+jest.mock('../../../shared/middleware/credit_guard', () => ({
+  deductCredits: jest.fn()
+}));
+
+const CampaignVoiceCallRepository = require('../repositories/CampaignVoiceCallRepository');
+const { campaignStatsTracker } = require('../services/campaignStatsTracker');
+const { deductCredits } = require('../../../shared/middleware/credit_guard');
+const { VOICE_CALL_CONFIG } = require('../constants');
+const voiceCallOutcomeService = require('../services/VoiceCallOutcomeService');
+const { withEnv } = require('./helpers');
+
+describe('VoiceCallOutcomeService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('verifyWebhookSecret', () => {
+    it('accepts only the shared secret', () => {
+      withEnv('VOICE_WEBHOOK_SECRET', 'voice-secret', () => {
+        expect(voiceCallOutcomeService.verifyWebhookSecret('voice-secret')).toBe(true);
+        expect(voiceCallOutcomeService.verifyWebhookSecret('voice-secreT')).toBe(false);
+        expect(voiceCallOutcomeService.verifyWebhookSecret('voice')).toBe(false);
+        expect(voiceCallOutcomeService.verifyWebhookSecret(undefined)).toBe(false);
+      });
+    });
+
+    it('rejects everything when VOICE_WEBHOOK_SECRET is not configured', () => {
+      withEnv('VOICE_WEBHOOK_SECRET', undefined, () => {
+        expect(voiceCallOutcomeService.verifyWebhookSecret('')).toBe(false);
+        expect(voiceCallOutcomeService.verifyWebhookSecret('anything')).toBe(false);
+      });
+    });
+  });
+
+  describe('normalizeOutcome', () => {
+    it('maps agent dispositions and treats voicemail as not answered', () => {
+      expect(voiceCallOutcomeService.normalizeOutcome({ disposition: 'Meeting Booked', duration_seconds: 95 }))
+        .toMatchObject({ answered: true, disposition: 'interested', durationSeconds: 95 });
+      expect(voiceCallOutcomeService.normalizeOutcome({ disposition: 'answering-machine', duration_seconds: 30 }))
+        .toMatchObject({ answered: false, disposition: 'voicemail' });
+      expect(voiceCallOutcomeService.normalizeOutcome({ status: 'busy' }))
+        .toMatchObject({ answered: false, disposition: 'no_answer', durationSeconds: 0 });
+    });
+  });
+
+  describe('handleCallCompleted', () => {
+    const call = {
+      id: 'row-1',
+      call_id: 'call-1',
+      tenant_id: 'tenant-1',
+      campaign_id: 'campaign-1',
+      campaign_lead_id: 'cl-1',
+      lead_id: 'lead-1',
+      status: 'initiated',
+      credits_charged: 0
+    };
+
+    it('charges started minutes before recording the outcome', async () => {
+      CampaignVoiceCallRepository.findByCallId.mockResolvedValue(call);
+      CampaignVoiceCallRepository.claimCreditsCharge.mockResolvedValue(true);
+      CampaignVoiceCallRepository.markCompleted.mockResolvedValue({ id: 'row-1' });
+
+      const result = await voiceCallOutcomeService.handleCallCompleted({ call_id: 'call-1', disposition: 'interested', duration_seconds: 61 });
+
+      const credits = 2 * VOICE_CALL_CONFIG.CREDITS_PER_MINUTE;
+      expect(result).toEqual({ matched: true, disposition: 'interested', creditsCharged: credits });
+      expect(CampaignVoiceCallRepository.claimCreditsCharge).toHaveBeenCalledWith('row-1', credits);
+      expect(deductCredits).toHaveBeenCalledWith('tenant-1', 'campaigns', 'voice_call_minute', credits, null, expect.any(Object));
+      expect(campaignStatsTracker.trackAction).toHaveBeenCalledWith('campaign-1', 'VOICE_CALL_ANSWERED', expect.objectContaining({ channel: 'voice' }));
+    });
+
+    it('releases the charge and leaves the call open when billing fails', async () => {
+      CampaignVoiceCallRepository.findByCallId.mockResolvedValue(call);
+      CampaignVoiceCallRepository.claimCreditsCharge.mockResolvedValue(true);
+      deductCredits.mockRejectedValueOnce(new Error('Insufficient credits'));
+
+      await expect(voiceCallOutcomeService.handleCallCompleted({ call_id: 'call-1', duration_seconds: 30 }))
+        .rejects.toThrow('Insufficient credits');
+
+      expect(CampaignVoiceCallRepository.releaseCreditsCharge).toHaveBeenCalledWith('row-1');
+      expect(CampaignVoiceCallRepository.markCompleted).not.toHaveBeenCalled();
+    });
+
+    it('does not charge twice for a retried webhook', async () => {
+      CampaignVoiceCallRepository.findByCallId.mockResolvedValue({ ...call, status: 'completed' });
+
+      expect(await voiceCallOutcomeService.handleCallCompleted({ call_id: 'call-1', duration_seconds: 30 }))
+        .toEqual({ matched: true, duplicate: true });
+      expect(deductCredits).not.toHaveBeenCalled();
+    });
+
+    it('requires a call id', async () => {
+      await expect(voiceCallOutcomeService.handleCallCompleted({})).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+});
@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+
+jest.mock('../services/campaignStatsTracker', () => ({
+  campaignStatsTracker: { trackAction: jest.fn() }
+}));
+
+const whatsAppWebhookService = require('../services/WhatsAppWebhookService');
+const { withEnv } = require('./helpers');
+
+describe('WhatsAppWebhookService.verifyUnipileSecret', () => {
+  it('accepts only the shared secret', () => {
+    withEnv('WEBHOOK_SECRET', 'unipile-secret', () => {
+      expect(whatsAppWebhookService.verifyUnipileSecret('unipile-secret')).toBe(true);
+      expect(whatsAppWebhookService.verifyUnipileSecret('unipile-secreT')).toBe(false);
+      expect(whatsAppWebhookService.verifyUnipileSecret(undefined)).toBe(false);
+    });
+  });
+
+  it('rejects everything when WEBHOOK_SECRET is not configured', () => {
+    withEnv('WEBHOOK_SECRET', undefined, () => {
+      expect(whatsAppWebhookService.verifyUnipileSecret('lad-webhook-secret')).toBe(false);
+      expect(whatsAppWebhookService.verifyUnipileSecret('')).toBe(false);
+    });
+  });
+});
+
+describe('WhatsAppWebhookService.verifySubscription', () => {
+  it('answers the Meta handshake only with the configured verify token', () => {
+    withEnv('WHATSAPP_VERIFY_TOKEN', 'verify-token', () => {
+      expect(whatsAppWebhookService.verifySubscription('subscribe', 'verify-token')).toBe(true);
+      expect(whatsAppWebhookService.verifySubscription('subscribe', 'wrong')).toBe(false);
+      expect(whatsAppWebhookService.verifySubscription('unsubscribe', 'verify-token')).toBe(false);
+    });
+    withEnv('WHATSAPP_VERIFY_TOKEN', undefined, () => {
+      expect(whatsAppWebhookService.verifySubscription('subscribe', undefined)).toBe(false);
+    });
+  });
+});
+
+describe('WhatsAppWebhookService.verifyCloudApiSignature', () => {
+  const rawBody = Buffer.from('{"entry":[]}');
+  const sign = (secret, body) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+  it('accepts payloads signed with the app secret', () => {
+    withEnv('WHATSAPP_APP_SECRET', 'app-secret', () => {
+      expect(whatsAppWebhookService.verifyCloudApiSignature(rawBody, sign('app-secret', rawBody))).toBe(true);
+    });
+  });
+
+  it('rejects wrong, missing or malformed signatures', () => {
+    withEnv('WHATSAPP_APP_SECRET', 'app-secret', () => {
+      expect(whatsAppWebhookService.verifyCloudApiSignature(rawBody, sign('other-secret', rawBody))).toBe(false);
+      expect(whatsAppWebhookService.verifyCloudApiSignature(Buffer.from('{"entry":[1]}'), sign('app-secret', rawBody))).toBe(false);
+      expect(whatsAppWebhookService.verifyCloudApiSignature(rawBody, undefined)).toBe(false);
+      expect(whatsAppWebhookService.verifyCloudApiSignature(rawBody, 'sha256=abc')).toBe(false);
+    });
+  });
+
+  it('rejects everything when WHATSAPP_APP_SECRET is not configured', () => {
+    withEnv('WHATSAPP_APP_SECRET', undefined, () => {
+      expect(whatsAppWebhookService.verifyCloudApiSignature(rawBody, sign('', rawBody))).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,149 @@
+jest.mock('../repositories/CampaignRepository');
+jest.mock('../repositories/CampaignStepRepository');
+jest.mock('../repositories/CampaignWorkflowVersionRepository');
+
+const CampaignRepository = require('../repositories/CampaignRepository');
+const CampaignStepRepository = require('../repositories/CampaignStepRepository');
+const CampaignWorkflowVersionRepository = require('../repositories/CampaignWorkflowVersionRepository');
+const workflowVersionService = require('../services/WorkflowVersionService');
+
+const OLD_STEP_ID = '11111111-1111-4111-8111-111111111111';
+const RETIRED_STEP_ID = '22222222-2222-4222-8222-222222222222';
+const STEPS = [
+  { id: 'visit', type: 'linkedin_visit', order: 0, title: 'Visit', config: {} },
+  { id: 'message', type: 'linkedin_message', order: 1, title: 'Message', config: { message: 'Hi {{first_name}}' } }
+];
+
+describe('WorkflowVersionService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    CampaignRepository.getById.mockResolvedValue({ id: 'campaign-1', workflow_version: 2 });
+    CampaignWorkflowVersionRepository.hasLeadsOnVersion.mockResolvedValue(false);
+    CampaignWorkflowVersionRepository.replaceVersionSteps.mockImplementation(async (campaignId, tenantId, version, steps) => ({
+      conflict: false, currentVersion: version, steps
+    }));
+    CampaignWorkflowVersionRepository.publishVersion.mockImplementation(async (campaignId, tenantId, publish) => ({
+      conflict: false,
+      currentVersion: publish.version,
+      steps: publish.steps,
+      moved: [{ campaign_lead_id: 'cl-1' }],
+      pinnedCount: 4,
+      stepMapping: { [OLD_STEP_ID]: 'new-step-id' }
+    }));
+    CampaignStepRepository.getStepsByCampaignId.mockResolvedValue([
+      { id: OLD_STEP_ID, type: 'linkedin_visit', config: { node_id: 'visit' } }
+    ]);
+    CampaignWorkflowVersionRepository.getStepsByIds.mockResolvedValue([]);
+  });
+
+  describe('saveSteps', () => {
+    it('edits the current version in place while no lead has entered it', async () => {
+      const result = await workflowVersionService.saveSteps('campaign-1', 't1', 'user-1', { steps: STEPS });
+      expect(result).toMatchObject({ version: 2, published: false, migration: null });
+      const [, , version, steps] = CampaignWorkflowVersionRepository.replaceVersionSteps.mock.calls[0];
+      expect(version).toBe(2);
+      expect(steps.map(step => step.config.node_id)).toEqual(['visit', 'message']);
+      expect(CampaignWorkflowVersionRepository.publishVersion).not.toHaveBeenCalled();
+    });
+
+    it('publishes the next version once leads are on the current one', async () => {
+      CampaignWorkflowVersionRepository.hasLeadsOnVersion.mockResolvedValue(true);
+      const result = await workflowVersionService.saveSteps('campaign-1', 't1', 'user-1', {
+        steps: STEPS,
+        mapping: { visit: 'message' },
+        notes: 'Shorter opener'
+      });
+      expect(result).toMatchObject({
+        version: 3,
+        published: true,
+        migration: { fromVersion: 2, migratedLeads: 1, pinnedLeads: 4, stepMapping: { [OLD_STEP_ID]: 'new-step-id' } }
+      });
+      expect(CampaignWorkflowVersionRepository.publishVersion).toHaveBeenCalledWith('campaign-1', 't1', expect.objectContaining({
+        baseVersion: 2,
+        version: 3,
+        moves: [{ fromStepId: OLD_STEP_ID, toNodeKey: 'message' }],
+        notes: 'Shorter opener',
+        userId: 'user-1'
+      }), {});
+    });
+
+    it('rejects a save made against an older version', async () => {
+      await expect(workflowVersionService.saveSteps('campaign-1', 't1', 'user-1', { steps: STEPS, baseVersion: 1 }))
+        .rejects.toMatchObject({ statusCode: 409 });
+      CampaignWorkflowVersionRepository.replaceVersionSteps.mockResolvedValue({ conflict: true, currentVersion: 3 });
+      await expect(workflowVersionService.saveSteps('campaign-1', 't1', 'user-1', { steps: STEPS, baseVersion: 2 }))
+        .rejects.toThrow('now version 3');
+    });
+
+    it('rejects invalid steps and templates before writing', async () => {
+      const save = body => workflowVersionService.saveSteps('campaign-1', 't1', 'user-1', body);
+      await expect(save({})).rejects.toThrow('Steps array is required');
+      await expect(save({ steps: [{ id: 'a', type: 'linkedin_message', config: { message: 'Hi {% if company %}' } }] }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      await expect(save({ steps: [{ title: 'No type' }] })).rejects.toThrow('Step 1 has no type');
+      await expect(save({ steps: [STEPS[0], STEPS[0]] })).rejects.toThrow('Duplicate step id "visit"');
+      await expect(save({ steps: STEPS, mapping: ['visit'] })).rejects.toMatchObject({ statusCode: 400 });
+      expect(CampaignWorkflowVersionRepository.replaceVersionSteps).not.toHaveBeenCalled();
+    });
+
+    it('returns null for an unknown campaign', async () => {
+      CampaignRepository.getById.mockResolvedValue(null);
+      await expect(workflowVersionService.saveSteps('missing', 't1', 'user-1', { steps: STEPS })).resolves.toBeNull();
+    });
+  });
+
+  describe('resolveMapping', () => {
+    const newSteps = workflowVersionService.prepareSteps(STEPS);
+
+    it('accepts node keys and step ids of older versions', async () => {
+      CampaignWorkflowVersionRepository.getStepsByIds.mockResolvedValue([{ id: RETIRED_STEP_ID }]);
+      await expect(workflowVersionService.resolveMapping('campaign-1', 't1', {
+        visit: 'visit',
+        [RETIRED_STEP_ID]: 'message',
+        unused: null
+      }, newSteps, {})).resolves.toEqual([
+        { fromStepId: OLD_STEP_ID, toNodeKey: 'visit' },
+        { fromStepId: RETIRED_STEP_ID, toNodeKey: 'message' }
+      ]);
+      expect(CampaignWorkflowVersionRepository.getStepsByIds).toHaveBeenCalledWith('campaign-1', 't1', [RETIRED_STEP_ID], {});
+    });
+
+    it('rejects unknown sources, unknown targets and steps mapped twice', async () => {
+      const resolve = mapping => workflowVersionService.resolveMapping('campaign-1', 't1', mapping, newSteps, {});
+      await expect(resolve({ ghost: 'visit' })).rejects.toThrow('"ghost" is not a step of this campaign');
+      await expect(resolve({ visit: 'ghost' })).rejects.toThrow('not one of the new steps');
+      await expect(resolve({ visit: 'visit', [OLD_STEP_ID]: 'message' })).rejects.toThrow('mapped more than once');
+    });
+  });
+
+  describe('diffVersions', () => {
+    it('reports added, removed and changed steps by node key', async () => {
+      CampaignWorkflowVersionRepository.getStepsByVersion.mockImplementation(async (campaignId, tenantId, version) => (version === 1
+        ? [
+          { id: 'v1-a', type: 'linkedin_visit', order: 0, title: 'Visit', config: { node_id: 'visit' } },
+          { id: 'v1-b', type: 'linkedin_message', order: 1, title: 'Message', config: { node_id: 'message', message: 'Hi' } },
+          { id: 'v1-c', type: 'delay', order: 2, title: 'Wait', config: { node_id: 'wait', delay_days: 2 } }
+        ]
+        : [
+          { id: 'v2-a', type: 'linkedin_visit', order: 0, title: 'Visit', config: { node_id: 'visit' } },
+          { id: 'v2-b', type: 'linkedin_message', order: 1, title: 'Message', config: { node_id: 'message', message: 'Hello' } },
+          { id: 'v2-d', type: 'linkedin_follow', order: 2, title: 'Follow', config: { node_id: 'follow' } }
+        ]));
+
+      const diff = await workflowVersionService.diffVersions('campaign-1', 't1', '2');
+      expect(diff).toMatchObject({
+        from: 1,
+        to: 2,
+        summary: { added: 1, removed: 1, changed: 1, unchanged: 1 },
+        added: [{ key: 'follow', stepId: 'v2-d' }],
+        removed: [{ key: 'wait', stepId: 'v1-c' }],
+        changed: [{ key: 'message', stepId: 'v2-b', previousStepId: 'v1-b', changes: [{ field: 'config.message', before: 'Hi', after: 'Hello' }] }]
+      });
+    });
+
+    it('needs a version to compare version 1 with', async () => {
+      await expect(workflowVersionService.diffVersions('campaign-1', 't1', 1)).rejects.toThrow('no previous version');
+      await expect(workflowVersionService.diffVersions('campaign-1', 't1', 'latest')).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+});
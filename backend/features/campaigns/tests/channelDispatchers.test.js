@@ -0,0 +1,116 @@
+jest.mock('../repositories/EmailMailboxRepository');
+jest.mock('../repositories/CampaignEmailMessageRepository');
+jest.mock('../repositories/WhatsAppAccountRepository');
+jest.mock('../repositories/CampaignWhatsAppMessageRepository');
+jest.mock('../repositories/InstagramAccountRepository');
+jest.mock('../repositories/CampaignInstagramActionRepository');
+jest.mock('../engine/channelDispatchers/emailTransports', () => ({
+  getTransport: jest.fn()
+}));
+jest.mock('../engine/channelDispatchers/whatsappProviders', () => ({
+  getProvider: jest.fn()
+}));
+jest.mock('../engine/channelDispatchers/instagramProviders', () => ({
+  getProvider: jest.fn()
+}));
+jest.mock('../services/EmailTrackingService', () => ({
+  instrument: jest.fn(content => content)
+}));
+
+const EmailMailboxRepository = require('../repositories/EmailMailboxRepository');
+const WhatsAppAccountRepository = require('../repositories/WhatsAppAccountRepository');
+const InstagramAccountRepository = require('../repositories/InstagramAccountRepository');
+const CampaignInstagramActionRepository = require('../repositories/CampaignInstagramActionRepository');
+const { getTransport } = require('../engine/channelDispatchers/emailTransports');
+const { getProvider } = require('../engine/channelDispatchers/whatsappProviders');
+const emailDispatcher = require('../engine/channelDispatchers/email');
+const whatsAppDispatcher = require('../engine/channelDispatchers/whatsapp');
+const instagramProviders = require('../engine/channelDispatchers/instagramProviders');
+const instagramDispatcher = require('../engine/channelDispatchers/instagram');
+
+const LEAD = { id: 'cl-1', campaign_id: 'campaign-1', lead_id: 'lead-1' };
+const BROKEN = 'Hi {{first_name}}{% if company %}, loved what {{company}} is doing';
+const TYPED = 'Does Tue {10am|2pm} work? Set {{x}}.';
+
+describe('channel dispatcher templates', () => {
+  let transport;
+  let provider;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    transport = { sendMail: jest.fn().mockResolvedValue({ accepted: ['jane@acme.com'] }) };
+    getTransport.mockReturnValue(transport);
+    EmailMailboxRepository.getActiveForSending.mockResolvedValue([{ id: 'mailbox-1', email_address: 'sales@example.com' }]);
+    provider = { supportsTemplates: false, send: jest.fn().mockResolvedValue({ providerMessageId: 'wa-1' }) };
+    getProvider.mockReturnValue(provider);
+    WhatsAppAccountRepository.getActiveForSending.mockResolvedValue([{ id: 'wa-account-1', provider: 'unipile' }]);
+  });
+
+  describe('email', () => {
+    const lead = { ...LEAD, lead_data: { email: 'jane@acme.com', first_name: 'Jane', company_name: 'Acme' } };
+
+    it('personalises the subject and body', async () => {
+      const result = await emailDispatcher.execute('email_send', lead, { subject: 'Hi {{first_name}}', body: 'About {{company}}' }, 'user-1', 't1');
+      expect(result.success).toBe(true);
+      expect(transport.sendMail).toHaveBeenCalledWith(expect.objectContaining({ subject: 'Hi Jane', text: 'About Acme' }));
+    });
+
+    it('returns a validation error instead of sending a broken template', async () => {
+      const result = await emailDispatcher.execute('email_send', lead, { subject: 'Hi', body: BROKEN }, 'user-1', 't1');
+      expect(result).toMatchObject({ success: false, validationError: true });
+      expect(result.error).toContain('{% if %} is never closed');
+      expect(transport.sendMail).not.toHaveBeenCalled();
+    });
+
+    it('sends raw text untouched', async () => {
+      const result = await emailDispatcher.execute('email_send', lead, { subject: 'Re: call', body: TYPED }, 'user-1', 't1', { raw: true });
+      expect(result.success).toBe(true);
+      expect(transport.sendMail).toHaveBeenCalledWith(expect.objectContaining({ text: TYPED }));
+    });
+  });
+
+  describe('whatsapp', () => {
+    const lead = { ...LEAD, lead_data: { phone: '+44 7700 900123', first_name: 'Jane', company_name: 'Acme' } };
+
+    it('returns a validation error instead of sending a broken template', async () => {
+      const result = await whatsAppDispatcher.execute('whatsapp_send', lead, { whatsappMessage: BROKEN }, 'user-1', 't1');
+      expect(result).toMatchObject({ success: false, validationError: true });
+      expect(provider.send).not.toHaveBeenCalled();
+    });
+
+    it('sends raw text untouched', async () => {
+      const result = await whatsAppDispatcher.execute('whatsapp_send', lead, { whatsappMessage: TYPED }, 'user-1', 't1', { raw: true });
+      expect(result.success).toBe(true);
+      expect(provider.send).toHaveBeenCalledWith(expect.any(Object), expect.objectContaining({ to: '447700900123', text: TYPED }));
+    });
+  });
+
+  describe('instagram', () => {
+    const lead = { ...LEAD, lead_data: { instagram_username: '@jane.doe', first_name: 'Jane' } };
+    let instagram;
+
+    beforeEach(() => {
+      instagram = {
+        resolveUser: jest.fn().mockResolvedValue({ username: 'jane.doe', providerUserId: 'ig-1' }),
+        sendMessage: jest.fn().mockResolvedValue({ providerChatId: 'chat-1', providerMessageId: 'ig-msg-1' })
+      };
+      instagramProviders.getProvider.mockReturnValue(instagram);
+      InstagramAccountRepository.getActiveForTenant.mockResolvedValue([{ id: 'ig-account-1', username: 'acme', provider: 'unipile' }]);
+      CampaignInstagramActionRepository.countByActionSince.mockResolvedValue({});
+    });
+
+    it('personalises the DM', async () => {
+      const result = await instagramDispatcher.execute('instagram_dm', lead, { instagramDmMessage: 'Hi {{first_name}}' }, 'user-1', 't1');
+      expect(result).toMatchObject({ success: true, data: { message: 'Hi Jane', actionType: 'INSTAGRAM_DM_SENT', from: 'acme' } });
+      expect(instagram.sendMessage).toHaveBeenCalledWith(expect.any(Object), expect.objectContaining({ username: 'jane.doe' }), 'Hi Jane');
+    });
+
+    it('returns a validation error instead of sending a broken template', async () => {
+      const result = await instagramDispatcher.execute('instagram_dm', lead, { instagramDmMessage: BROKEN }, 'user-1', 't1');
+      expect(result).toMatchObject({ success: false, validationError: true });
+      expect(result.error).toContain('{% if %} is never closed');
+      expect(instagram.sendMessage).not.toHaveBeenCalled();
+      expect(CampaignInstagramActionRepository.create).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,102 @@
+const conditionEvaluator = require('../engine/conditionEvaluator');
+
+describe('conditionEvaluator', () => {
+  const lead = { id: 'lead-1' };
+  const hoursAgo = hours => new Date(Date.now() - hours * 60 * 60 * 1000);
+
+  describe('evaluateCondition', () => {
+    it('checks recorded actions', async () => {
+      const step = { config: { conditionType: 'connected' } };
+      expect(await conditionEvaluator.evaluateCondition(step, lead, null, { actions: ['CONNECTION_ACCEPTED'] })).toBe(true);
+      expect(await conditionEvaluator.evaluateCondition(step, lead, null, { actions: ['CONNECTION_SENT'] })).toBe(false);
+    });
+
+    it('reads string configs', async () => {
+      const step = { config: JSON.stringify({ condition: 'opened' }) };
+      expect(await conditionEvaluator.evaluateCondition(step, lead, null, { actions: ['EMAIL_OPENED'] })).toBe(true);
+    });
+
+    it('uses the latest call disposition', async () => {
+      const step = { config: { conditionType: 'call_interested' } };
+      const actionLog = [
+        { action_type: 'VOICE_CALL_ANSWERED', response_data: '{"disposition":"interested"}' },
+        { action_type: 'VOICE_CALL_NOT_ANSWERED', response_data: { disposition: 'no_answer' } }
+      ];
+      expect(await conditionEvaluator.evaluateCondition(step, lead, null, { actionLog })).toBe(true);
+      expect(await conditionEvaluator.evaluateCondition(step, lead, null, { actionLog: actionLog.slice(1) })).toBe(false);
+    });
+
+    it('matches the latest classified reply intent', async () => {
+      const step = { config: { conditionType: 'reply_intent', intents: ['interested', 'question'] } };
+      const actionLog = [{ action_type: 'REPLY_CLASSIFIED', response_data: { intent: 'question' } }];
+      expect(await conditionEvaluator.evaluateCondition(step, lead, null, { actionLog })).toBe(true);
+    });
+
+    it('treats no_response as false once the lead replied', async () => {
+      const step = { config: { conditionType: 'no_response', days: 2 } };
+      const enteredAt = hoursAgo(72);
+      expect(await conditionEvaluator.evaluateCondition(step, lead, null, { actions: [], enteredAt })).toBe(true);
+      expect(await conditionEvaluator.evaluateCondition(step, lead, null, { actions: ['REPLY_RECEIVED'], enteredAt })).toBe(false);
+      expect(await conditionEvaluator.evaluateCondition(step, lead, null, { actions: [], enteredAt: hoursAgo(24) })).toBe(false);
+    });
+
+    it('returns false for unknown conditions and malformed configs', async () => {
+      expect(await conditionEvaluator.evaluateCondition({ config: { conditionType: 'mystery' } }, lead)).toBe(false);
+      expect(await conditionEvaluator.evaluateCondition({ config: '{not json' }, lead)).toBe(false);
+    });
+
+    it('lets legacy linear workflows pass unknown condition types', async () => {
+      const step = { config: { conditionType: 'mystery' } };
+      expect(await conditionEvaluator.evaluateCondition(step, lead, null, { unknownConditionMet: true })).toBe(true);
+      expect(await conditionEvaluator.evaluateCondition({ config: { conditionType: 'replied' } }, lead, null, {
+        actions: [],
+        unknownConditionMet: true
+      })).toBe(false);
+    });
+  });
+
+  describe('evaluateSwitch', () => {
+    const step = {
+      config: {
+        branches: [
+          { handle: 'replied', conditionType: 'replied' },
+          { id: 'opened', conditionType: 'opened' }
+        ]
+      }
+    };
+
+    it('returns the first matching branch', async () => {
+      expect(await conditionEvaluator.evaluateSwitch(step, lead, { actions: ['EMAIL_OPENED', 'REPLY_RECEIVED'] })).toBe('replied');
+      expect(await conditionEvaluator.evaluateSwitch(step, lead, { actions: ['EMAIL_OPENED'] })).toBe('opened');
+      expect(await conditionEvaluator.evaluateSwitch(step, lead, { actions: [] })).toBeNull();
+    });
+  });
+
+  describe('evaluateWaitForEvent', () => {
+    const step = { config: { events: ['connection_accepted', 'reply_received'], timeoutHours: 48 } };
+
+    it('counts one-time events from before the lead arrived', () => {
+      const actionLog = [{ action_type: 'CONNECTION_ACCEPTED', created_at: hoursAgo(10) }];
+      expect(conditionEvaluator.evaluateWaitForEvent(step, { actionLog, enteredAt: hoursAgo(1) })).toBe('connection_accepted');
+    });
+
+    it('only counts repeatable events that arrived after the lead', () => {
+      const enteredAt = hoursAgo(5);
+      const before = [{ action_type: 'REPLY_RECEIVED', created_at: hoursAgo(10) }];
+      const after = [{ action_type: 'REPLY_RECEIVED', created_at: hoursAgo(1) }];
+      expect(conditionEvaluator.evaluateWaitForEvent(step, { actionLog: before, enteredAt })).toBeNull();
+      expect(conditionEvaluator.evaluateWaitForEvent(step, { actionLog: after, enteredAt })).toBe('reply_received');
+    });
+
+    it('times out once the timeout has passed', () => {
+      expect(conditionEvaluator.evaluateWaitForEvent(step, { actionLog: [], enteredAt: hoursAgo(49) })).toBe('timeout');
+      expect(conditionEvaluator.evaluateWaitForEvent(step, { actionLog: [], enteredAt: hoursAgo(47) })).toBeNull();
+    });
+
+    it('maps action types to the wait events they satisfy', () => {
+      expect(conditionEvaluator.getWaitEventsForAction('VOICE_CALL_ANSWERED')).toEqual(['call_answered', 'call_completed']);
+      expect(conditionEvaluator.isWaitEvent('email_opened')).toBe(true);
+      expect(conditionEvaluator.isWaitEvent('toString')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,62 @@
+const {
+  getTransport,
+  getTransportName,
+  registerTransport,
+  clearTransportCache
+} = require('../engine/channelDispatchers/emailTransports');
+
+describe('emailTransports', () => {
+  const originalTransport = process.env.EMAIL_TRANSPORT;
+  const mailbox = { id: 'mailbox-1', smtp_host: 'smtp.example.com', updated_at: '2026-01-01T00:00:00Z' };
+
+  afterEach(() => {
+    if (originalTransport === undefined) {
+      delete process.env.EMAIL_TRANSPORT;
+    } else {
+      process.env.EMAIL_TRANSPORT = originalTransport;
+    }
+    clearTransportCache();
+  });
+
+  it('defaults to the smtp transport', () => {
+    delete process.env.EMAIL_TRANSPORT;
+    expect(getTransportName()).toBe('smtp');
+  });
+
+  it('renders messages without network access on the json transport', async () => {
+    process.env.EMAIL_TRANSPORT = 'json';
+    const transport = getTransport(mailbox);
+    const info = await transport.sendMail({
+      from: 'sender@example.com',
+      to: 'lead@example.com',
+      subject: 'Hello',
+      text: 'Hi there'
+    });
+    const message = JSON.parse(info.message);
+    expect(message.subject).toBe('Hello');
+    expect(message.to).toEqual([{ address: 'lead@example.com', name: '' }]);
+    expect(getTransport(mailbox)).toBe(transport);
+  });
+
+  it('uses registered transports', async () => {
+    const sendMail = jest.fn().mockResolvedValue({ messageId: 'test-1' });
+    const factory = jest.fn(() => ({ sendMail }));
+    registerTransport('test', factory);
+    process.env.EMAIL_TRANSPORT = 'test';
+
+    const info = await getTransport(mailbox).sendMail({ to: 'lead@example.com' });
+
+    expect(info.messageId).toBe('test-1');
+    expect(factory).toHaveBeenCalledWith(mailbox);
+    expect(sendMail).toHaveBeenCalledWith({ to: 'lead@example.com' });
+  });
+
+  it('rejects factories that are not functions', () => {
+    expect(() => registerTransport('broken', {})).toThrow('Email transport "broken" must be a factory function');
+  });
+
+  it('throws for an unknown EMAIL_TRANSPORT', () => {
+    process.env.EMAIL_TRANSPORT = 'carrier_pigeon';
+    expect(() => getTransport(mailbox)).toThrow('Unknown EMAIL_TRANSPORT "carrier_pigeon"');
+  });
+});
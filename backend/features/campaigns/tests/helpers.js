@@ -0,0 +1,28 @@
+/**
+ * Shared test helpers
+ */
+
+/**
+ * Run fn with an environment variable set (undefined = unset), restoring it afterwards
+ */
+function withEnv(name, value, fn) {
+  const original = process.env[name];
+  if (value === undefined) {
+    delete process.env[name];
+  } else {
+    process.env[name] = value;
+  }
+  try {
+    return fn();
+  } finally {
+    if (original === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = original;
+    }
+  }
+}
+
+module.exports = {
+  withEnv
+};
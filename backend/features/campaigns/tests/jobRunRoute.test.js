@@ -0,0 +1,66 @@
+const express = require('express');
+const request = require('supertest');
+const { withEnv } = require('./helpers');
+
+// Loads the public router fresh so the backend check at mount time sees the given env
+function createApp(backend) {
+  let app;
+  withEnv('JOB_QUEUE_BACKEND', backend, () => {
+    jest.isolateModules(() => {
+      const jobQueueService = require('../services/JobQueueService');
+      jest.spyOn(jobQueueService, 'runDeliveredJob').mockResolvedValue({ success: true, result: null });
+      app = express();
+      app.use(express.json());
+      app.use('/api/campaigns', require('../routes/public.routes'));
+    });
+  });
+  return app;
+}
+
+describe('POST /api/campaigns/jobs/run', () => {
+  const originalSecret = process.env.CLOUD_TASKS_SECRET;
+
+  beforeEach(() => {
+    process.env.CLOUD_TASKS_SECRET = 'tasks-secret';
+  });
+
+  afterEach(() => {
+    if (originalSecret === undefined) {
+      delete process.env.CLOUD_TASKS_SECRET;
+    } else {
+      process.env.CLOUD_TASKS_SECRET = originalSecret;
+    }
+  });
+
+  const runJob = (app, secret) => request(app)
+    .post('/api/campaigns/jobs/run')
+    .set('X-CloudTasks-Secret', secret)
+    .send({ name: 'campaign.run_daily' });
+
+  it('is not mounted on the postgres backend', async () => {
+    await runJob(createApp(undefined), 'tasks-secret').expect(404);
+  });
+
+  describe('on the cloud_tasks backend', () => {
+    let app;
+
+    beforeAll(() => {
+      app = createApp('cloud_tasks');
+    });
+
+    it('runs jobs delivered with the shared secret', async () => {
+      await runJob(app, 'tasks-secret').expect(200);
+    });
+
+    it('rejects a wrong secret or a bare bearer token', async () => {
+      await runJob(app, 'nope').expect(401);
+      await request(app).post('/api/campaigns/jobs/run').set('Authorization', 'Bearer anything').send({ name: 'x' }).expect(401);
+    });
+
+    it('fails closed when CLOUD_TASKS_SECRET is not configured', async () => {
+      delete process.env.CLOUD_TASKS_SECRET;
+      await runJob(app, '').expect(401);
+      await runJob(app, 'undefined').expect(401);
+    });
+  });
+});
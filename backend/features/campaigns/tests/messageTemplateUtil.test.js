@@ -0,0 +1,161 @@
+const MessageTemplateUtil = require('../utils/messageTemplateUtil');
+
+const LEAD = {
+  name: 'jane van der berg',
+  title: 'VP Sales',
+  company_name: 'Acme Holdings, Inc.',
+  industry: 'SaaS',
+  employees: 250,
+  tags: ['warm', 'Webinar'],
+  organization: { city: 'Austin' },
+  signed_up_at: '2026-03-05T15:30:00Z'
+};
+
+const render = (template, lead = LEAD, options = {}) => MessageTemplateUtil.render(template, lead, options);
+
+describe('MessageTemplateUtil', () => {
+  describe('variables', () => {
+    it('resolves standard fields from their aliases and lead_data paths', () => {
+      expect(render('{{first_name}} {{last_name}} at {{company}}')).toBe('jane van der berg at Acme Holdings, Inc.');
+      expect(render('{{organization.city}} / {{First_Name}}')).toBe('Austin / jane');
+    });
+
+    it('reports variables that resolve to nothing', () => {
+      const report = MessageTemplateUtil.renderWithReport('Hi {{first_name}}, {{phone}}{{missing.path}}', LEAD);
+      expect(report.text).toBe('Hi jane, ');
+      expect(report.unresolved).toEqual(['phone', 'missing.path']);
+      expect(report.errors).toEqual([]);
+    });
+
+    it('uses per-variable defaults and option overrides', () => {
+      expect(render('Hi {{phone}}', LEAD, { defaults: { phone: 'there' } })).toBe('Hi there');
+      expect(render('Hi {{first_name}}', LEAD, { variables: { first_name: 'Janet' } })).toBe('Hi Janet');
+    });
+
+    it('renders an empty template as an empty string', () => {
+      expect(render(undefined)).toBe('');
+      expect(render('')).toBe('');
+    });
+  });
+
+  describe('filters', () => {
+    it.each([
+      ['{{phone | default: "no phone"}}', 'no phone'],
+      ['{{title | upcase}}', 'VP SALES'],
+      ['{{title | downcase}}', 'vp sales'],
+      ['{{first_name | capitalize}}', 'Jane'],
+      ['{{name | titlecase}}', 'Jane Van Der Berg'],
+      ['{{name | first_word | capitalize}}', 'Jane'],
+      ['{{title | truncate: 5}}', 'VP...'],
+      ['{{title | truncate: 4, ""}}', 'VP S'],
+      ['{{title | prepend: "the "}}', 'the VP Sales'],
+      ['{{title | append: "!"}}', 'VP Sales!'],
+      ['{{phone | append: "!"}}', ''],
+      ['{{company | company}}', 'Acme Holdings'],
+      ['{{tags}}', 'warm, Webinar']
+    ])('%s', (template, expected) => {
+      expect(render(template)).toBe(expected);
+    });
+
+    it('reports unknown filters', () => {
+      const report = MessageTemplateUtil.renderWithReport('{{title | shout}}', LEAD);
+      expect(report.errors).toEqual(['Unknown filter "shout"']);
+    });
+  });
+
+  describe('conditionals', () => {
+    it('picks the first matching if/elsif branch, else the else branch', () => {
+      const template = '{% if industry == "saas" and title contains "VP" %}A{% elsif company %}B{% else %}C{% endif %}';
+      expect(render(template)).toBe('A');
+      expect(render(template, { ...LEAD, title: 'Manager' })).toBe('B');
+      expect(render(template, { industry: 'Retail' })).toBe('C');
+    });
+
+    it('compares numbers, array membership and blanks', () => {
+      expect(render('{% if employees >= 200 or industry == "Retail" %}big{% endif %}')).toBe('big');
+      expect(render('{% if employees < 200 %}small{% endif %}')).toBe('');
+      expect(render('{% if tags contains "webinar" %}came to the webinar{% endif %}')).toBe('came to the webinar');
+      expect(render('{% unless phone %}no phone{% endunless %}')).toBe('no phone');
+      expect(render('{% if phone == blank %}blank{% endif %}')).toBe('blank');
+    });
+
+    it('nests conditions', () => {
+      expect(render('{% if company %}{% if title %}{{title}} at {{company | company}}{% endif %}{% endif %}'))
+        .toBe('VP Sales at Acme Holdings');
+    });
+  });
+
+  describe('spintax', () => {
+    it('picks one option per group, nested groups included', () => {
+      const options = new Set();
+      for (let seed = 0; seed < 50; seed++) {
+        options.add(render('{Hi|Hello|{Hey|Yo}} {{first_name}}', LEAD, { seed }));
+      }
+      expect([...options].sort()).toEqual(['Hello jane', 'Hey jane', 'Hi jane', 'Yo jane']);
+    });
+
+    it('is stable for a seed', () => {
+      const template = '{Hi|Hello|Hey} {there|friend}, {quick|short} question';
+      expect(render(template, LEAD, { seed: 'cl-1' })).toBe(render(template, LEAD, { seed: 'cl-1' }));
+    });
+
+    it('leaves tags and single braces alone', () => {
+      expect(render('{{first_name | default: "a|b"}} {not spintax}', {})).toBe('a|b {not spintax}');
+    });
+  });
+
+  describe('date filter', () => {
+    it('formats strftime tokens in the given timezone', () => {
+      expect(render('{{signed_up_at | date: "%A, %B %-d %Y %H:%M"}}')).toBe('Thursday, March 5 2026 15:30');
+      expect(render('{{signed_up_at | date: "%a %d/%m/%y %-I:%M %p"}}', LEAD, { timezone: 'America/New_York' }))
+        .toBe('Thu 05/03/26 10:30 AM');
+      expect(render('{{signed_up_at | date}}', LEAD, { timezone: 'Asia/Tokyo' })).toBe('2026-03-06');
+    });
+
+    it('formats now and leaves invalid dates as they are', () => {
+      expect(render('{{today | date: "%Y"}}', {})).toBe(String(new Date().getUTCFullYear()));
+      expect(render('{{when | date: "%Y"}}', { when: 'soon' })).toBe('soon');
+    });
+  });
+
+  describe('validate', () => {
+    it.each([
+      ['{% if company %}Hi', '{% if %} is never closed with {% endif %}'],
+      ['Hi{% endif %}', '{% endif %} without a matching {% if %}'],
+      ['{% else %}', '{% else %} without a matching {% if %}'],
+      ['{% for x in y %}', 'Unknown tag {% for %}'],
+      ['{{ }}', 'Empty {{ }} tag'],
+      ['{% if company %}{{company | shout}}{% endif %}', 'Unknown filter "shout"']
+    ])('flags %s', (template, error) => {
+      expect(MessageTemplateUtil.validate(template)).toEqual({ valid: false, errors: [error] });
+    });
+
+    it('accepts valid templates', () => {
+      expect(MessageTemplateUtil.validate('{Hi|Hey} {{first_name | default: "there"}}{% if company %}!{% endif %}').valid).toBe(true);
+    });
+
+    it('lists the variables a template uses', () => {
+      expect(MessageTemplateUtil.getVariables('{{first_name}} {% if industry == "SaaS" and employees > 10 %}{{company}}{% endif %}').sort())
+        .toEqual(['company', 'employees', 'first_name', 'industry']);
+    });
+  });
+
+  describe('renderForSend', () => {
+    it('renders valid templates', () => {
+      expect(MessageTemplateUtil.renderForSend('Hi {{first_name}}', LEAD)).toBe('Hi jane');
+    });
+
+    it('throws a validation error instead of returning a partial message', () => {
+      let error;
+      try {
+        MessageTemplateUtil.renderForSend('Hi {% if company %}{{company}}', LEAD);
+      } catch (thrown) {
+        error = thrown;
+      }
+      expect(error).toMatchObject({
+        validationError: true,
+        templateErrors: ['{% if %} is never closed with {% endif %}']
+      });
+    });
+  });
+});
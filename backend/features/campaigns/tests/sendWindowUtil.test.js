@@ -0,0 +1,143 @@
+const SendWindowUtil = require('../utils/sendWindowUtil');
+const LeadTimezoneUtil = require('../utils/leadTimezoneUtil');
+
+const WEEKDAYS = { startMinutes: 9 * 60, endMinutes: 17 * 60 + 30, days: [1, 2, 3, 4, 5], holidays: [], timezone: 'UTC' };
+
+const iso = date => date && date.toISOString();
+
+describe('SendWindowUtil', () => {
+  describe('normalize', () => {
+    it('returns null when no window is configured or it is disabled', () => {
+      expect(SendWindowUtil.normalize({})).toBeNull();
+      expect(SendWindowUtil.normalize({ sendWindow: { enabled: false, start: '08:00' } })).toBeNull();
+    });
+
+    it('parses times, day names, holidays and the timezone', () => {
+      const window = SendWindowUtil.normalize(JSON.stringify({
+        sendWindow: { start: '08:15', end: '17:30', days: ['Mon', 'wednesday', 5], holidays: ['12-25', '2026-11-26', 'soon'], timezone: 'Europe/Berlin' }
+      }));
+      expect(window).toEqual({
+        startMinutes: 495,
+        endMinutes: 1050,
+        days: [1, 3, 5],
+        holidays: ['12-25', '2026-11-26'],
+        timezone: 'Europe/Berlin'
+      });
+    });
+
+    it('falls back to defaults for an empty or inverted window and an unknown timezone', () => {
+      const window = SendWindowUtil.normalize({ sendWindow: { start: '18:00', end: '09:00', timezone: 'Mars/Olympus' } });
+      expect(window).toMatchObject({ startMinutes: 540, endMinutes: 1020, days: [1, 2, 3, 4, 5], timezone: 'UTC' });
+    });
+  });
+
+  describe('zonedTimeToUtc', () => {
+    it.each([
+      ['America/New_York', [2026, 3, 7, 540], '2026-03-07T14:00:00.000Z'],
+      ['America/New_York', [2026, 3, 8, 540], '2026-03-08T13:00:00.000Z'],
+      ['America/New_York', [2026, 11, 1, 540], '2026-11-01T14:00:00.000Z'],
+      ['Europe/London', [2026, 3, 29, 540], '2026-03-29T08:00:00.000Z'],
+      ['Australia/Sydney', [2026, 10, 4, 540], '2026-10-03T22:00:00.000Z'],
+      ['Asia/Kolkata', [2026, 1, 31, 1440], '2026-01-31T18:30:00.000Z']
+    ])('resolves local time in %s %j', (timeZone, [year, month, day, minutes], expected) => {
+      expect(iso(SendWindowUtil.zonedTimeToUtc(year, month, day, minutes, timeZone))).toBe(expected);
+    });
+
+    it('moves times skipped by a spring-forward jump past the jump', () => {
+      expect(iso(SendWindowUtil.zonedTimeToUtc(2026, 3, 8, 150, 'America/New_York'))).toBe('2026-03-08T07:30:00.000Z');
+      expect(iso(SendWindowUtil.zonedTimeToUtc(2026, 3, 29, 150, 'Europe/Berlin'))).toBe('2026-03-29T01:30:00.000Z');
+    });
+
+    it('resolves times repeated when clocks go back to their first occurrence', () => {
+      expect(iso(SendWindowUtil.zonedTimeToUtc(2026, 11, 1, 90, 'America/New_York'))).toBe('2026-11-01T05:30:00.000Z');
+      expect(iso(SendWindowUtil.zonedTimeToUtc(2026, 4, 5, 150, 'Australia/Sydney'))).toBe('2026-04-04T15:30:00.000Z');
+    });
+  });
+
+  describe('isOpen', () => {
+    it('is open from the start minute up to (not including) the end minute', () => {
+      expect(SendWindowUtil.isOpen(WEEKDAYS, 'UTC', new Date('2026-10-19T08:59:00Z'))).toBe(false);
+      expect(SendWindowUtil.isOpen(WEEKDAYS, 'UTC', new Date('2026-10-19T09:00:00Z'))).toBe(true);
+      expect(SendWindowUtil.isOpen(WEEKDAYS, 'UTC', new Date('2026-10-19T17:29:00Z'))).toBe(true);
+      expect(SendWindowUtil.isOpen(WEEKDAYS, 'UTC', new Date('2026-10-19T17:30:00Z'))).toBe(false);
+    });
+
+    it('uses the lead timezone for the weekday and time', () => {
+      // Monday 02:00 UTC is still Sunday evening in Los Angeles, already Monday 11:00 in Tokyo
+      const instant = new Date('2026-10-19T02:00:00Z');
+      expect(SendWindowUtil.isOpen(WEEKDAYS, 'America/Los_Angeles', instant)).toBe(false);
+      expect(SendWindowUtil.isOpen(WEEKDAYS, 'Asia/Tokyo', instant)).toBe(true);
+    });
+
+    it('is closed on full-date and yearly holidays', () => {
+      const window = { ...WEEKDAYS, holidays: ['2026-10-19', '12-25'] };
+      expect(SendWindowUtil.isOpen(window, 'UTC', new Date('2026-10-19T10:00:00Z'))).toBe(false);
+      expect(SendWindowUtil.isOpen(window, 'UTC', new Date('2026-12-25T10:00:00Z'))).toBe(false);
+      expect(SendWindowUtil.isOpen(window, 'UTC', new Date('2026-10-20T10:00:00Z'))).toBe(true);
+    });
+  });
+
+  describe('getNextOpening', () => {
+    it('returns the instant itself while the window is open', () => {
+      const instant = new Date('2026-10-19T10:00:00Z');
+      expect(SendWindowUtil.getNextOpening(WEEKDAYS, 'UTC', instant)).toBe(instant);
+    });
+
+    it('opens later the same day before the start time', () => {
+      expect(iso(SendWindowUtil.getNextOpening(WEEKDAYS, 'Europe/Berlin', new Date('2026-10-19T05:00:00Z'))))
+        .toBe('2026-10-19T07:00:00.000Z');
+    });
+
+    it('skips the weekend after Friday close', () => {
+      expect(iso(SendWindowUtil.getNextOpening(WEEKDAYS, 'UTC', new Date('2026-10-23T18:00:00Z'))))
+        .toBe('2026-10-26T09:00:00.000Z');
+    });
+
+    it('opens at local 09:00 on the Monday after a spring-forward weekend', () => {
+      // Friday 2026-03-06 evening in New York (EST); Monday opens at 09:00 EDT
+      expect(iso(SendWindowUtil.getNextOpening(WEEKDAYS, 'America/New_York', new Date('2026-03-06T23:00:00Z'))))
+        .toBe('2026-03-09T13:00:00.000Z');
+    });
+
+    it('opens at local 09:00 on the Monday after a fall-back weekend', () => {
+      // Friday 2026-10-23 evening in London (BST); Monday opens at 09:00 GMT
+      expect(iso(SendWindowUtil.getNextOpening(WEEKDAYS, 'Europe/London', new Date('2026-10-23T17:00:00Z'))))
+        .toBe('2026-10-26T09:00:00.000Z');
+    });
+
+    it('opens at the window start even on the transition day itself', () => {
+      const sundays = { ...WEEKDAYS, days: [0] };
+      expect(iso(SendWindowUtil.getNextOpening(sundays, 'America/New_York', new Date('2026-03-08T05:00:00Z'))))
+        .toBe('2026-03-08T13:00:00.000Z');
+      expect(iso(SendWindowUtil.getNextOpening(sundays, 'America/New_York', new Date('2026-11-01T05:00:00Z'))))
+        .toBe('2026-11-01T14:00:00.000Z');
+    });
+
+    it('skips holidays', () => {
+      const window = { ...WEEKDAYS, holidays: ['2026-10-20'] };
+      expect(iso(SendWindowUtil.getNextOpening(window, 'UTC', new Date('2026-10-19T18:00:00Z'))))
+        .toBe('2026-10-21T09:00:00.000Z');
+    });
+
+    it('returns null when no day opens within the lookahead', () => {
+      const window = { ...WEEKDAYS, days: [1], holidays: ['10-26', '11-02', '11-09', '11-16', '11-23', '11-30', '12-07', '12-14', '12-21'] };
+      expect(SendWindowUtil.getNextOpening(window, 'UTC', new Date('2026-10-20T10:00:00Z'))).toBeNull();
+    });
+  });
+});
+
+describe('LeadTimezoneUtil.inferTimezone', () => {
+  it.each([
+    [{ lead_data: { timezone: 'Asia/Dubai', city: 'London' } }, 'Asia/Dubai', 'explicit'],
+    [{ lead_data: JSON.stringify({ location: 'Austin, Texas, United States' }) }, 'America/Chicago', 'city'],
+    [{ lead_data: { location: 'Portland, OR, USA' } }, 'America/Los_Angeles', 'region'],
+    [{ lead_data: {}, snapshot: { country: 'Japan' } }, 'Asia/Tokyo', 'country']
+  ])('infers %j', (campaignLead, timezone, source) => {
+    expect(LeadTimezoneUtil.inferTimezone(campaignLead)).toMatchObject({ timezone, source });
+  });
+
+  it('returns null without location data', () => {
+    expect(LeadTimezoneUtil.inferTimezone({ lead_data: { name: 'Jane' } })).toBeNull();
+    expect(LeadTimezoneUtil.inferTimezone(null)).toBeNull();
+  });
+});
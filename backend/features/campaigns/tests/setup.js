@@ -0,0 +1,17 @@
+/**
+ * Jest setup for campaigns tests
+ * Tests never reach Postgres: the shared pool is replaced with one that rejects,
+ * so a repository call a test forgot to mock fails loudly instead of hanging.
+ */
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'ERROR';
+
+jest.mock('../../../shared/database/connection', () => {
+  const reject = () => Promise.reject(new Error('Database access is not available in tests'));
+  return {
+    pool: { query: reject, connect: reject },
+    query: reject,
+    getClient: reject,
+    testConnection: reject,
+    healthCheck: reject
+  };
+});
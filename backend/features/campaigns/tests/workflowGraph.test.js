@@ -0,0 +1,99 @@
+const { buildWorkflowGraph, withNodeIds, DEFAULT_HANDLE } = require('../engine/workflowGraph');
+
+describe('workflowGraph', () => {
+  describe('legacy linear workflows', () => {
+    const steps = [
+      { id: 12, step_type: 'linkedin_message', step_order: 2 },
+      { id: 10, step_type: 'linkedin_connect', step_order: 0 },
+      { id: 11, step_type: 'condition', step_order: 1, config: '{"conditionType":"connected"}' },
+      { id: 13, step_type: 'email_send', step_order: 3, is_deleted: true }
+    ];
+
+    it('chains steps by step_order and skips deleted steps', () => {
+      const graph = buildWorkflowGraph(steps);
+      expect(graph.linear).toBe(true);
+      expect(graph.entryKey).toBe('10');
+      expect([...graph.nodes.keys()]).toEqual(['10', '11', '12']);
+      expect(graph.getNext('10').key).toBe('11');
+    });
+
+    it('only continues past a condition on yes', () => {
+      const graph = buildWorkflowGraph(steps);
+      expect(graph.getNext('11', 'yes').key).toBe('12');
+      expect(graph.getNext('11', 'no')).toBeNull();
+      expect(graph.getNext('12')).toBeNull();
+    });
+  });
+
+  describe('branching workflows', () => {
+    const steps = [
+      { id: 1, step_type: 'start', config: { node_id: 'start', edges: [{ target: 'connect' }] } },
+      { id: 2, step_type: 'linkedin_connect', config: { node_id: 'connect', edges: [{ target: 'wait' }] } },
+      {
+        id: 3,
+        step_type: 'wait_for_event',
+        config: {
+          node_id: 'wait',
+          events: ['connection_accepted'],
+          edges: [
+            { target: 'message', sourceHandle: 'connection_accepted' },
+            { target: 'email', sourceHandle: 'timeout' }
+          ]
+        }
+      },
+      { id: 4, step_type: 'linkedin_message', config: { node_id: 'message', edges: [{ target: 'done' }] } },
+      { id: 5, step_type: 'email_send', config: { node_id: 'email', edges: [{ target: 'done' }] } },
+      { id: 6, step_type: 'end', config: { node_id: 'done' } }
+    ];
+
+    it('keys nodes by node id and starts at the start node', () => {
+      const graph = buildWorkflowGraph(steps);
+      expect(graph.linear).toBe(false);
+      expect(graph.entryKey).toBe('start');
+      expect(graph.getNext('start').key).toBe('connect');
+    });
+
+    it('follows the handle a branching node resolves to', () => {
+      const graph = buildWorkflowGraph(steps);
+      expect(graph.getNext('wait', 'connection_accepted').key).toBe('message');
+      expect(graph.getNext('wait', 'timeout').key).toBe('email');
+      expect(graph.getNext('wait', DEFAULT_HANDLE)).toBeNull();
+      expect(graph.hasHandle('wait', 'timeout')).toBe(true);
+      expect(graph.hasHandle('wait', DEFAULT_HANDLE)).toBe(false);
+    });
+
+    it('finds nodes by node id, step id alias or cursor step id', () => {
+      const graph = buildWorkflowGraph(steps);
+      expect(graph.getNode('message').step.id).toBe(4);
+      expect(graph.getNode(4).key).toBe('message');
+      expect(graph.getNodeByStepId('5').key).toBe('email');
+      expect(graph.getNode('unknown')).toBeNull();
+      expect(graph.getNodeByStepId(99)).toBeNull();
+    });
+
+    it('rejects edges to unknown steps', () => {
+      expect(() => buildWorkflowGraph([
+        { id: 1, step_type: 'start', config: { node_id: 'start', edges: [{ target: 'ghost' }] } }
+      ])).toThrow('Workflow edge from step "start" points to unknown step "ghost"');
+    });
+
+    it('rejects cycles', () => {
+      expect(() => buildWorkflowGraph([
+        { id: 1, step_type: 'start', config: { node_id: 'a', edges: [{ target: 'b' }] } },
+        { id: 2, step_type: 'linkedin_message', config: { node_id: 'b', edges: [{ target: 'c' }] } },
+        { id: 3, step_type: 'email_send', config: { node_id: 'c', edges: [{ target: 'b' }] } }
+      ])).toThrow('Workflow contains a cycle through step "b"');
+    });
+  });
+
+  describe('withNodeIds', () => {
+    it('copies the step id into config.node_id once', () => {
+      const [fresh, named] = withNodeIds([
+        { id: 'node-1', config: { message: 'Hi' } },
+        { id: 'node-2', config: { node_id: 'kept' } }
+      ]);
+      expect(fresh.config).toEqual({ message: 'Hi', node_id: 'node-1' });
+      expect(named.config.node_id).toBe('kept');
+    });
+  });
+});
@@ -5,6 +5,18 @@
  */
 
 const logger = require('../../../core/utils/logger');
+const LeadTimezoneUtil = require('./leadTimezoneUtil');
+
+const DAY_NAMES = {
+  sunday: 0, sun: 0,
+  monday: 1, mon: 1,
+  tuesday: 2, tue: 2, tues: 2,
+  wednesday: 3, wed: 3,
+  thursday: 4, thu: 4, thur: 4, thurs: 4,
+  friday: 5, fri: 5,
+  saturday: 6, sat: 6
+};
+const DAY_PATTERN = Object.keys(DAY_NAMES).sort((a, b) => b.length - a.length).join('|');
 
 class CampaignScheduleUtil {
   /**
@@ -35,6 +47,12 @@ class CampaignScheduleUtil {
       return [0, 6]; // Saturday-Sunday
     }
 
+    // Explicit day lists and ranges, e.g. "Mon, Wed, Fri" or "Sunday to Thursday"
+    const days = this.parseDayList(str);
+    if (days) {
+      return days;
+    }
+
     // Default to weekdays if unable to parse
     logger.warn('[CampaignScheduleUtil] Unable to parse working_days, defaulting to weekdays', {
       workingDaysStr
@@ -42,14 +60,43 @@ class CampaignScheduleUtil {
     return [1, 2, 3, 4, 5];
   }
 
+  /**
+   * Parse day names and ranges to day numbers
+   * @param {string} str - e.g. "mon, wed, fri", "tuesday-thursday", "sun to thu"
+   * @returns {number[]|null} Sorted day numbers, or null if no day names were found
+   */
+  static parseDayList(str) {
+    const text = String(str || '').toLowerCase();
+    const days = new Set();
+    const rangePattern = new RegExp(`\\b(${DAY_PATTERN})\\b\\s*(?:-|\\u2013|to|through|thru)\\s*\\b(${DAY_PATTERN})\\b`, 'g');
+    const remainder = text.replace(rangePattern, (match, from, to) => {
+      // Ranges wrap around the week ("fri-mon" = Fri, Sat, Sun, Mon)
+      for (let day = DAY_NAMES[from]; ; day = (day + 1) % 7) {
+        days.add(day);
+        if (day === DAY_NAMES[to]) break;
+      }
+      return ' ';
+    });
+    const singlePattern = new RegExp(`\\b(${DAY_PATTERN})\\b`, 'g');
+    let match;
+    while ((match = singlePattern.exec(remainder)) !== null) {
+      days.add(DAY_NAMES[match[1]]);
+    }
+    return days.size > 0 ? [...days].sort() : null;
+  }
+
   /**
    * Calculate schedule dates for campaign execution
    * @param {Date} startTimestamp - Campaign start timestamp from message_data
    * @param {number} campaignDays - Total campaign days from message_data
    * @param {number[]} workingDays - Array of working day numbers (0=Sunday, 6=Saturday)
+   * @param {string} [timeZone] - IANA timezone the working days refer to (server local time if omitted)
    * @returns {Date[]} Array of schedule dates
    */
-  static calculateScheduleDates(startTimestamp, campaignDays, workingDays) {
+  static calculateScheduleDates(startTimestamp, campaignDays, workingDays, timeZone = null) {
+    if (timeZone) {
+      return this.calculateZonedScheduleDates(startTimestamp, campaignDays, workingDays, timeZone);
+    }
     const scheduleDates = [];
     const startDate = new Date(startTimestamp);
     
@@ -80,10 +127,30 @@ class CampaignScheduleUtil {
     return scheduleDates;
   }
 
+  /**
+   * calculateScheduleDates in a given timezone: same local time of day on each
+   * working day, with weekdays taken from the local calendar (DST-safe)
+   */
+  static calculateZonedScheduleDates(startTimestamp, campaignDays, workingDays, timeZone) {
+    // Required lazily - sendWindowUtil depends on this module
+    const SendWindowUtil = require('./sendWindowUtil');
+    const start = SendWindowUtil.getLocalParts(new Date(startTimestamp), timeZone);
+    const scheduleDates = [];
+    const maxIterations = campaignDays * 3; // Safety limit
+    // Start from the next day after timestamp (as per requirement)
+    for (let offset = 1; scheduleDates.length < campaignDays && offset <= maxIterations; offset++) {
+      const date = SendWindowUtil.zonedTimeToUtc(start.year, start.month, start.day + offset, start.minutes, timeZone);
+      if (workingDays.includes(SendWindowUtil.getLocalParts(date, timeZone).weekday)) {
+        scheduleDates.push(date);
+      }
+    }
+    return scheduleDates;
+  }
+
   /**
    * Extract schedule parameters from message_data
    * @param {Object} messageData - The message_data JSONB from ai_messages (normalized)
-   * @returns {Object} Extracted parameters: { timestamp, campaignDays, workingDaysStr, workingDays }
+   * @returns {Object} Extracted parameters: { timestamp, campaignDays, workingDaysStr, workingDays, timezone }
    */
   static extractScheduleParams(messageData) {
     if (!messageData) {
@@ -105,6 +172,7 @@ class CampaignScheduleUtil {
     const timestamp = messageData.timestamp;
     const campaignDaysRaw = messageData.campaign_days || messageData.collectedAnswers?.campaign_days || '7';
     const workingDaysStr = messageData.working_days || messageData.collectedAnswers?.working_days || 'Monday-Friday';
+    const timezone = messageData.timezone || messageData.collectedAnswers?.timezone || null;
     
     // Parse campaign_days - handle both string and number, and extract number from "7 days (1 week)"
     let campaignDays;
@@ -127,14 +195,16 @@ class CampaignScheduleUtil {
       campaignDays,
       campaignDaysRaw,
       workingDaysStr,
-      workingDaysArray: workingDays
+      workingDaysArray: workingDays,
+      timezone
     });
 
     return {
       timestamp: new Date(timestamp),
       campaignDays,
       workingDaysStr,
-      workingDays
+      workingDays,
+      timezone: LeadTimezoneUtil.isValidTimeZone(timezone) ? timezone : null
     };
   }
 
@@ -144,10 +214,10 @@ class CampaignScheduleUtil {
    * @returns {Object} { startDate, endDate, scheduleDates, workingDays, workingDaysStr }
    */
   static calculateCampaignDates(messageData) {
-    const { timestamp, campaignDays, workingDaysStr, workingDays } = 
+    const { timestamp, campaignDays, workingDaysStr, workingDays, timezone } = 
       this.extractScheduleParams(messageData);
 
-    const scheduleDates = this.calculateScheduleDates(timestamp, campaignDays, workingDays);
+    const scheduleDates = this.calculateScheduleDates(timestamp, campaignDays, workingDays, timezone);
 
     if (scheduleDates.length === 0) {
       throw new Error('No valid schedule dates calculated for campaign');
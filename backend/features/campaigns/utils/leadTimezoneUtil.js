@@ -0,0 +1,314 @@
+/**
+ * Lead Timezone Utility
+ * Infers a lead's IANA timezone from the location data stored on the campaign lead
+ * LAD Architecture: Utilities - No database access, no business logic
+ *
+ * Lookup order: an explicit timezone field, then the most specific location
+ * match (city, then US state / Canadian province / Australian state, then
+ * country). Countries spanning several zones map to their most populous one.
+ */
+
+// Checked against lead_data and snapshot, in order
+const TIMEZONE_FIELDS = ['timezone', 'time_zone', 'tz'];
+const LOCATION_FIELDS = [
+  'location', 'city', 'state', 'region', 'country', 'country_code',
+  'employee_city', 'employee_state', 'employee_country',
+  'company_location', 'company_country'
+];
+
+const CITY_TIMEZONES = {
+  'new york': 'America/New_York',
+  'nyc': 'America/New_York',
+  'boston': 'America/New_York',
+  'washington dc': 'America/New_York',
+  'atlanta': 'America/New_York',
+  'miami': 'America/New_York',
+  'chicago': 'America/Chicago',
+  'dallas': 'America/Chicago',
+  'houston': 'America/Chicago',
+  'austin': 'America/Chicago',
+  'denver': 'America/Denver',
+  'phoenix': 'America/Phoenix',
+  'los angeles': 'America/Los_Angeles',
+  'san francisco': 'America/Los_Angeles',
+  'bay area': 'America/Los_Angeles',
+  'san jose': 'America/Los_Angeles',
+  'seattle': 'America/Los_Angeles',
+  'toronto': 'America/Toronto',
+  'montreal': 'America/Toronto',
+  'vancouver': 'America/Vancouver',
+  'calgary': 'America/Edmonton',
+  'mexico city': 'America/Mexico_City',
+  'sao paulo': 'America/Sao_Paulo',
+  'são paulo': 'America/Sao_Paulo',
+  'buenos aires': 'America/Argentina/Buenos_Aires',
+  'london': 'Europe/London',
+  'dublin': 'Europe/Dublin',
+  'paris': 'Europe/Paris',
+  'berlin': 'Europe/Berlin',
+  'munich': 'Europe/Berlin',
+  'amsterdam': 'Europe/Amsterdam',
+  'madrid': 'Europe/Madrid',
+  'barcelona': 'Europe/Madrid',
+  'lisbon': 'Europe/Lisbon',
+  'zurich': 'Europe/Zurich',
+  'stockholm': 'Europe/Stockholm',
+  'istanbul': 'Europe/Istanbul',
+  'moscow': 'Europe/Moscow',
+  'dubai': 'Asia/Dubai',
+  'abu dhabi': 'Asia/Dubai',
+  'sharjah': 'Asia/Dubai',
+  'riyadh': 'Asia/Riyadh',
+  'jeddah': 'Asia/Riyadh',
+  'doha': 'Asia/Qatar',
+  'kuwait city': 'Asia/Kuwait',
+  'muscat': 'Asia/Muscat',
+  'manama': 'Asia/Bahrain',
+  'cairo': 'Africa/Cairo',
+  'lagos': 'Africa/Lagos',
+  'nairobi': 'Africa/Nairobi',
+  'johannesburg': 'Africa/Johannesburg',
+  'cape town': 'Africa/Johannesburg',
+  'karachi': 'Asia/Karachi',
+  'mumbai': 'Asia/Kolkata',
+  'bangalore': 'Asia/Kolkata',
+  'bengaluru': 'Asia/Kolkata',
+  'delhi': 'Asia/Kolkata',
+  'hyderabad': 'Asia/Kolkata',
+  'chennai': 'Asia/Kolkata',
+  'pune': 'Asia/Kolkata',
+  'singapore': 'Asia/Singapore',
+  'kuala lumpur': 'Asia/Kuala_Lumpur',
+  'jakarta': 'Asia/Jakarta',
+  'bangkok': 'Asia/Bangkok',
+  'manila': 'Asia/Manila',
+  'hong kong': 'Asia/Hong_Kong',
+  'shanghai': 'Asia/Shanghai',
+  'beijing': 'Asia/Shanghai',
+  'tokyo': 'Asia/Tokyo',
+  'seoul': 'Asia/Seoul',
+  'sydney': 'Australia/Sydney',
+  'melbourne': 'Australia/Melbourne',
+  'brisbane': 'Australia/Brisbane',
+  'perth': 'Australia/Perth',
+  'auckland': 'Pacific/Auckland'
+};
+
+// US states, Canadian provinces and Australian states (full names and postal codes)
+const REGION_TIMEZONES = {
+  'alabama': 'America/Chicago', 'al': 'America/Chicago',
+  'alaska': 'America/Anchorage', 'ak': 'America/Anchorage',
+  'arizona': 'America/Phoenix', 'az': 'America/Phoenix',
+  'arkansas': 'America/Chicago', 'ar': 'America/Chicago',
+  'california': 'America/Los_Angeles', 'ca': 'America/Los_Angeles',
+  'colorado': 'America/Denver', 'co': 'America/Denver',
+  'connecticut': 'America/New_York', 'ct': 'America/New_York',
+  'delaware': 'America/New_York', 'de': 'America/New_York',
+  'district of columbia': 'America/New_York', 'dc': 'America/New_York',
+  'florida': 'America/New_York', 'fl': 'America/New_York',
+  'georgia': 'America/New_York', 'ga': 'America/New_York',
+  'hawaii': 'Pacific/Honolulu', 'hi': 'Pacific/Honolulu',
+  'idaho': 'America/Boise', 'id': 'America/Boise',
+  'illinois': 'America/Chicago', 'il': 'America/Chicago',
+  'indiana': 'America/Indiana/Indianapolis', 'in': 'America/Indiana/Indianapolis',
+  'iowa': 'America/Chicago', 'ia': 'America/Chicago',
+  'kansas': 'America/Chicago', 'ks': 'America/Chicago',
+  'kentucky': 'America/New_York', 'ky': 'America/New_York',
+  'louisiana': 'America/Chicago', 'la': 'America/Chicago',
+  'maine': 'America/New_York', 'me': 'America/New_York',
+  'maryland': 'America/New_York', 'md': 'America/New_York',
+  'massachusetts': 'America/New_York', 'ma': 'America/New_York',
+  'michigan': 'America/Detroit', 'mi': 'America/Detroit',
+  'minnesota': 'America/Chicago', 'mn': 'America/Chicago',
+  'mississippi': 'America/Chicago', 'ms': 'America/Chicago',
+  'missouri': 'America/Chicago', 'mo': 'America/Chicago',
+  'montana': 'America/Denver', 'mt': 'America/Denver',
+  'nebraska': 'America/Chicago', 'ne': 'America/Chicago',
+  'nevada': 'America/Los_Angeles', 'nv': 'America/Los_Angeles',
+  'new hampshire': 'America/New_York', 'nh': 'America/New_York',
+  'new jersey': 'America/New_York', 'nj': 'America/New_York',
+  'new mexico': 'America/Denver', 'nm': 'America/Denver',
+  'north carolina': 'America/New_York', 'nc': 'America/New_York',
+  'north dakota': 'America/Chicago', 'nd': 'America/Chicago',
+  'ohio': 'America/New_York', 'oh': 'America/New_York',
+  'oklahoma': 'America/Chicago', 'ok': 'America/Chicago',
+  'oregon': 'America/Los_Angeles', 'or': 'America/Los_Angeles',
+  'pennsylvania': 'America/New_York', 'pa': 'America/New_York',
+  'rhode island': 'America/New_York', 'ri': 'America/New_York',
+  'south carolina': 'America/New_York', 'sc': 'America/New_York',
+  'south dakota': 'America/Chicago', 'sd': 'America/Chicago',
+  'tennessee': 'America/Chicago', 'tn': 'America/Chicago',
+  'texas': 'America/Chicago', 'tx': 'America/Chicago',
+  'utah': 'America/Denver', 'ut': 'America/Denver',
+  'vermont': 'America/New_York', 'vt': 'America/New_York',
+  'virginia': 'America/New_York', 'va': 'America/New_York',
+  'washington': 'America/Los_Angeles', 'wa': 'America/Los_Angeles',
+  'west virginia': 'America/New_York', 'wv': 'America/New_York',
+  'wisconsin': 'America/Chicago', 'wi': 'America/Chicago',
+  'wyoming': 'America/Denver', 'wy': 'America/Denver',
+  'ontario': 'America/Toronto', 'quebec': 'America/Toronto',
+  'british columbia': 'America/Vancouver', 'alberta': 'America/Edmonton',
+  'manitoba': 'America/Winnipeg', 'saskatchewan': 'America/Regina',
+  'nova scotia': 'America/Halifax',
+  'new south wales': 'Australia/Sydney', 'victoria': 'Australia/Melbourne',
+  'queensland': 'Australia/Brisbane', 'western australia': 'Australia/Perth',
+  'south australia': 'Australia/Adelaide'
+};
+// Postal codes are only trusted next to a country that uses them ("Austin, TX, United States")
+const REGION_COUNTRIES = ['united states', 'usa', 'us', 'canada', 'australia'];
+
+// Country names and ISO 3166-1 alpha-2 codes
+const COUNTRY_TIMEZONES = {
+  'united states': 'America/New_York', 'usa': 'America/New_York', 'us': 'America/New_York',
+  'canada': 'America/Toronto', 'ca': 'America/Toronto',
+  'mexico': 'America/Mexico_City', 'mx': 'America/Mexico_City',
+  'brazil': 'America/Sao_Paulo', 'br': 'America/Sao_Paulo',
+  'argentina': 'America/Argentina/Buenos_Aires', 'ar': 'America/Argentina/Buenos_Aires',
+  'chile': 'America/Santiago', 'cl': 'America/Santiago',
+  'colombia': 'America/Bogota', 'co': 'America/Bogota',
+  'united kingdom': 'Europe/London', 'uk': 'Europe/London', 'gb': 'Europe/London',
+  'england': 'Europe/London', 'scotland': 'Europe/London', 'wales': 'Europe/London',
+  'ireland': 'Europe/Dublin', 'ie': 'Europe/Dublin',
+  'france': 'Europe/Paris', 'fr': 'Europe/Paris',
+  'germany': 'Europe/Berlin', 'de': 'Europe/Berlin',
+  'netherlands': 'Europe/Amsterdam', 'nl': 'Europe/Amsterdam',
+  'belgium': 'Europe/Brussels', 'be': 'Europe/Brussels',
+  'spain': 'Europe/Madrid', 'es': 'Europe/Madrid',
+  'portugal': 'Europe/Lisbon', 'pt': 'Europe/Lisbon',
+  'italy': 'Europe/Rome', 'it': 'Europe/Rome',
+  'switzerland': 'Europe/Zurich', 'ch': 'Europe/Zurich',
+  'austria': 'Europe/Vienna', 'at': 'Europe/Vienna',
+  'sweden': 'Europe/Stockholm', 'se': 'Europe/Stockholm',
+  'norway': 'Europe/Oslo', 'no': 'Europe/Oslo',
+  'denmark': 'Europe/Copenhagen', 'dk': 'Europe/Copenhagen',
+  'finland': 'Europe/Helsinki', 'fi': 'Europe/Helsinki',
+  'poland': 'Europe/Warsaw', 'pl': 'Europe/Warsaw',
+  'greece': 'Europe/Athens', 'gr': 'Europe/Athens',
+  'turkey': 'Europe/Istanbul', 'türkiye': 'Europe/Istanbul', 'tr': 'Europe/Istanbul',
+  'russia': 'Europe/Moscow', 'ru': 'Europe/Moscow',
+  'ukraine': 'Europe/Kyiv', 'ua': 'Europe/Kyiv',
+  'israel': 'Asia/Jerusalem', 'il': 'Asia/Jerusalem',
+  'united arab emirates': 'Asia/Dubai', 'uae': 'Asia/Dubai', 'ae': 'Asia/Dubai',
+  'saudi arabia': 'Asia/Riyadh', 'ksa': 'Asia/Riyadh', 'sa': 'Asia/Riyadh',
+  'qatar': 'Asia/Qatar', 'qa': 'Asia/Qatar',
+  'kuwait': 'Asia/Kuwait', 'kw': 'Asia/Kuwait',
+  'oman': 'Asia/Muscat', 'om': 'Asia/Muscat',
+  'bahrain': 'Asia/Bahrain', 'bh': 'Asia/Bahrain',
+  'jordan': 'Asia/Amman', 'jo': 'Asia/Amman',
+  'lebanon': 'Asia/Beirut', 'lb': 'Asia/Beirut',
+  'egypt': 'Africa/Cairo', 'eg': 'Africa/Cairo',
+  'morocco': 'Africa/Casablanca', 'ma': 'Africa/Casablanca',
+  'nigeria': 'Africa/Lagos', 'ng': 'Africa/Lagos',
+  'kenya': 'Africa/Nairobi', 'ke': 'Africa/Nairobi',
+  'south africa': 'Africa/Johannesburg', 'za': 'Africa/Johannesburg',
+  'pakistan': 'Asia/Karachi', 'pk': 'Asia/Karachi',
+  'india': 'Asia/Kolkata', 'in': 'Asia/Kolkata',
+  'bangladesh': 'Asia/Dhaka', 'bd': 'Asia/Dhaka',
+  'sri lanka': 'Asia/Colombo', 'lk': 'Asia/Colombo',
+  'singapore': 'Asia/Singapore', 'sg': 'Asia/Singapore',
+  'malaysia': 'Asia/Kuala_Lumpur', 'my': 'Asia/Kuala_Lumpur',
+  'indonesia': 'Asia/Jakarta', 'id': 'Asia/Jakarta',
+  'thailand': 'Asia/Bangkok', 'th': 'Asia/Bangkok',
+  'vietnam': 'Asia/Ho_Chi_Minh', 'vn': 'Asia/Ho_Chi_Minh',
+  'philippines': 'Asia/Manila', 'ph': 'Asia/Manila',
+  'hong kong': 'Asia/Hong_Kong', 'hk': 'Asia/Hong_Kong',
+  'china': 'Asia/Shanghai', 'cn': 'Asia/Shanghai',
+  'taiwan': 'Asia/Taipei', 'tw': 'Asia/Taipei',
+  'japan': 'Asia/Tokyo', 'jp': 'Asia/Tokyo',
+  'south korea': 'Asia/Seoul', 'korea': 'Asia/Seoul', 'kr': 'Asia/Seoul',
+  'australia': 'Australia/Sydney', 'au': 'Australia/Sydney',
+  'new zealand': 'Pacific/Auckland', 'nz': 'Pacific/Auckland'
+};
+
+function parseJson(value) {
+  if (!value) return {};
+  if (typeof value === 'string') {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return {};
+    }
+  }
+  return value;
+}
+
+class LeadTimezoneUtil {
+  /**
+   * Whether a string is an IANA timezone the runtime knows
+   */
+  static isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Infer a campaign lead's timezone
+   * @param {Object} campaignLead - campaign_leads row (lead_data, snapshot)
+   * @returns {Object|null} { timezone, source: 'explicit'|'city'|'region'|'country', match } or null
+   */
+  static inferTimezone(campaignLead) {
+    if (!campaignLead) return null;
+    const sources = [parseJson(campaignLead.lead_data), parseJson(campaignLead.snapshot)];
+    for (const data of sources) {
+      for (const field of TIMEZONE_FIELDS) {
+        if (this.isValidTimeZone(data[field])) {
+          return { timezone: data[field], source: 'explicit', match: field };
+        }
+      }
+    }
+    const parts = [];
+    for (const data of sources) {
+      for (const field of LOCATION_FIELDS) {
+        const value = data[field];
+        if (typeof value === 'string' && value.trim()) {
+          parts.push(value);
+        } else if (value && typeof value === 'object' && typeof value.name === 'string') {
+          parts.push(value.name);
+        }
+      }
+    }
+    return this.inferFromLocation(parts.join(', '));
+  }
+
+  /**
+   * Infer a timezone from a free-text location ("Austin, TX, United States", "Dubai, UAE")
+   * @returns {Object|null} { timezone, source, match } or null
+   */
+  static inferFromLocation(location) {
+    if (!location || typeof location !== 'string') return null;
+    const text = location.toLowerCase();
+    const tokens = text.split(/\s*[,;|/]\s*|\s+-\s+/).map(token => token.trim()).filter(Boolean);
+    const contains = phrase => new RegExp(`(^|[^a-z])${phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}([^a-z]|$)`).test(text);
+
+    for (const city of Object.keys(CITY_TIMEZONES)) {
+      if (contains(city)) {
+        return { timezone: CITY_TIMEZONES[city], source: 'city', match: city };
+      }
+    }
+    const hasRegionCountry = tokens.some(token => REGION_COUNTRIES.includes(token));
+    for (const token of tokens) {
+      // Two-letter codes are ambiguous with country codes, so need a country alongside
+      if (REGION_TIMEZONES[token] && (token.length > 2 || hasRegionCountry)) {
+        return { timezone: REGION_TIMEZONES[token], source: 'region', match: token };
+      }
+    }
+    for (const token of tokens.slice().reverse()) {
+      if (COUNTRY_TIMEZONES[token]) {
+        return { timezone: COUNTRY_TIMEZONES[token], source: 'country', match: token };
+      }
+    }
+    for (const country of Object.keys(COUNTRY_TIMEZONES)) {
+      if (country.length > 3 && contains(country)) {
+        return { timezone: COUNTRY_TIMEZONES[country], source: 'country', match: country };
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = LeadTimezoneUtil;
@@ -0,0 +1,587 @@
+/**
+ * Message Template Utility
+ * Liquid-style template engine used to personalise every campaign message
+ * (LinkedIn, email, WhatsApp, voice context)
+ * LAD Architecture: Utilities - No database access, no business logic
+ *
+ * Syntax:
+ *   {{first_name}}                          lead variable (standard field or any lead_data key/path)
+ *   {{first_name | default: "there"}}       filters, chained with |
+ *   {% if company %}...{% elsif title %}...{% else %}...{% endif %}
+ *   {% unless phone %}...{% endunless %}
+ *   {% if industry == "SaaS" and title contains "VP" %}   ==, !=, >, <, >=, <=, contains, and, or
+ *   {Hi|Hello|Hey}                          spintax (one option picked per render, may nest)
+ *
+ * Filters: default, upcase, downcase, capitalize, titlecase, strip, first_word,
+ * truncate: n, prepend: "x", append: "x", date: "%B %-d", company
+ * Empty strings count as false in conditions and trigger default.
+ */
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const TAG_PATTERN = /\{\{([\s\S]*?)\}\}|\{%([\s\S]*?)%\}/g;
+const SPINTAX_PATTERN = /\{([^{}]*\|[^{}]*)\}/g;
+const CONDITION_TOKEN_PATTERN = /"[^"]*"|'[^']*'|==|!=|>=|<=|>|<|[^\s=!<>]+/g;
+const COMPARISON_OPERATORS = ['==', '!=', '>=', '<=', '>', '<', 'contains'];
+// Legal-form suffixes dropped by the company filter ("Acme Corp, Inc." -> "Acme")
+const COMPANY_SUFFIX_PATTERN = /[\s,]+(inc\.?|incorporated|llc|l\.l\.c\.|ltd\.?|limited|corp\.?|corporation|gmbh|plc|ag|s\.a\.?|b\.v\.?|pty\.?|pvt\.?|private)$/i;
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+function splitName(name) {
+  const parts = typeof name === 'string' ? name.trim().split(/\s+/).filter(Boolean) : [];
+  return { first: parts[0] || '', last: parts.slice(1).join(' ') };
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+/**
+ * Split on a single character outside quoted strings
+ */
+function splitOutsideQuotes(text, separator) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === separator) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts;
+}
+
+/**
+ * Deterministic PRNG for a seed string (mulberry32 over a string hash)
+ */
+function seededRandom(seed) {
+  let state = 0;
+  for (const char of String(seed)) {
+    state = (Math.imul(31, state) + char.charCodeAt(0)) | 0;
+  }
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+class MessageTemplateUtil {
+  /**
+   * Render a template for a lead
+   * @param {string} template - Template text
+   * @param {Object} leadData - Lead data (campaign_leads.lead_data merged with lead columns)
+   * @param {Object} options - { variables, defaults, seed, timezone }
+   * @returns {string} Rendered text ('' for an empty template)
+   */
+  static render(template, leadData = {}, options = {}) {
+    return this.renderWithReport(template, leadData, options).text;
+  }
+
+  /**
+   * Render copy that is about to be sent
+   * A template with syntax or filter errors throws instead of going out blank or cut short
+   * @throws {Error} error.validationError = true, error.templateErrors = [problems]
+   */
+  static renderForSend(template, leadData = {}, options = {}) {
+    const report = this.renderWithReport(template, leadData, options);
+    if (report.errors.length > 0) {
+      const error = new Error(`Message template is invalid: ${report.errors.join('; ')}`);
+      error.validationError = true;
+      error.templateErrors = report.errors;
+      throw error;
+    }
+    return report.text;
+  }
+
+  /**
+   * Render and report what could not be resolved
+   * @param {Object} options - { variables (extra/override values), defaults (per-variable fallbacks),
+   *   seed (makes spintax deterministic, e.g. the campaign lead id), timezone (for the date filter) }
+   * @returns {Object} { text, unresolved: [variable names], errors: [syntax/filter problems] }
+   */
+  static renderWithReport(template, leadData = {}, options = {}) {
+    const report = { text: '', unresolved: [], errors: [] };
+    if (template === undefined || template === null || template === '') {
+      return report;
+    }
+
+    const random = options.seed !== undefined && options.seed !== null ? seededRandom(options.seed) : Math.random;
+    const state = {
+      context: this.buildContext(leadData, options),
+      defaults: options.defaults || {},
+      timezone: options.timezone || 'UTC',
+      unresolved: new Set(),
+      errors: report.errors
+    };
+
+    const nodes = this.parse(this.spin(String(template), random), report.errors);
+    report.text = this.renderNodes(nodes, state);
+    report.unresolved = [...state.unresolved];
+    return report;
+  }
+
+  /**
+   * Check a template for syntax errors without rendering it
+   * @returns {Object} { valid, errors }
+   */
+  static validate(template) {
+    const errors = [];
+    if (typeof template === 'string' && template) {
+      const nodes = this.parse(this.spin(template, () => 0), errors);
+      this.collectFilterErrors(nodes, errors);
+    }
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Variables a template refers to (outputs and conditions)
+   * @returns {string[]}
+   */
+  static getVariables(template) {
+    const variables = new Set();
+    if (typeof template !== 'string') return [];
+    const nodes = this.parse(this.spin(template, () => 0), []);
+    const visit = (list) => {
+      for (const node of list) {
+        if (node.type === 'output') {
+          const base = this.parseOutput(node.expression).base;
+          if (this.isVariable(base)) variables.add(base);
+        } else if (node.type === 'if') {
+          for (const branch of node.branches) {
+            (branch.condition.match(CONDITION_TOKEN_PATTERN) || [])
+              .filter(token => this.isVariable(token) && !['and', 'or', 'contains'].includes(token))
+              .forEach(token => variables.add(token));
+            visit(branch.body);
+          }
+          if (node.elseBody) visit(node.elseBody);
+        }
+      }
+    };
+    visit(nodes);
+    return [...variables];
+  }
+
+  /**
+   * Template variables for a lead: standard fields resolved from the usual aliases,
+   * then every lead_data key (custom fields), then option overrides
+   */
+  static buildContext(leadData = {}, options = {}) {
+    const lead = typeof leadData === 'string' ? JSON.parse(leadData) : (leadData || {});
+    const organization = typeof lead.organization === 'object' && lead.organization !== null ? lead.organization : null;
+    const employeeOrganization = lead.employee_data?.organization || null;
+    const fullName = lead.name || lead.full_name || lead.fullname || lead.employee_name ||
+      [lead.first_name, lead.last_name].filter(Boolean).join(' ');
+    const nameParts = splitName(fullName);
+    const company = lead.company_name ||
+      (typeof lead.organization === 'string' ? lead.organization : null) ||
+      (typeof lead.company === 'string' ? lead.company : null) ||
+      organization?.name || employeeOrganization?.name || '';
+
+    const standard = {
+      first_name: lead.first_name || nameParts.first,
+      last_name: lead.last_name || nameParts.last,
+      full_name: fullName,
+      name: fullName,
+      fullname: fullName,
+      title: lead.title || lead.headline || lead.employee_data?.title || '',
+      company,
+      company_name: company,
+      email: lead.email || '',
+      phone: lead.phone || lead.mobile_phone || lead.phone_number || '',
+      industry: lead.industry || organization?.industry || employeeOrganization?.industry || '',
+      city: lead.city || '',
+      state: lead.state || '',
+      country: lead.country || '',
+      location: lead.location || lead.city || lead.state || lead.country || '',
+      linkedin_url: lead.linkedin_url || lead.linkedin_profile_url || '',
+      now: 'now',
+      today: 'today'
+    };
+
+    const context = { ...lead, lead_data: lead };
+    for (const [key, value] of Object.entries(standard)) {
+      if (!isEmpty(value) || isEmpty(context[key])) {
+        context[key] = value;
+      }
+    }
+    return { ...context, ...(options.variables || {}) };
+  }
+
+  /**
+   * Resolve spintax groups, innermost first; {{ }} and {% %} tags are left intact
+   */
+  static spin(template, random = Math.random) {
+    const tags = [];
+    let text = template.replace(TAG_PATTERN, (tag) => {
+      tags.push(tag);
+      return `\u0000${tags.length - 1}\u0000`;
+    });
+    let previous;
+    do {
+      previous = text;
+      text = text.replace(SPINTAX_PATTERN, (match, body) => {
+        const choices = body.split('|');
+        return choices[Math.floor(random() * choices.length)];
+      });
+    } while (text !== previous);
+    return text.replace(/\u0000(\d+)\u0000/g, (match, index) => tags[Number(index)]);
+  }
+
+  /**
+   * Parse into text/output/if nodes; problems are collected, never thrown
+   */
+  static parse(template, errors = []) {
+    const root = [];
+    const stack = [];
+    let body = root;
+    let lastIndex = 0;
+    TAG_PATTERN.lastIndex = 0;
+    let match;
+
+    while ((match = TAG_PATTERN.exec(template)) !== null) {
+      if (match.index > lastIndex) {
+        body.push({ type: 'text', value: template.slice(lastIndex, match.index) });
+      }
+      lastIndex = TAG_PATTERN.lastIndex;
+
+      if (match[1] !== undefined) {
+        const expression = match[1].trim();
+        if (!expression) {
+          errors.push('Empty {{ }} tag');
+        } else {
+          body.push({ type: 'output', expression });
+        }
+        continue;
+      }
+
+      const [, keyword = '', rest = ''] = match[2].trim().match(/^(\w*)\s*([\s\S]*)$/) || [];
+      const open = stack[stack.length - 1];
+      if (keyword === 'if' || keyword === 'unless') {
+        if (!rest.trim()) errors.push(`{% ${keyword} %} needs a condition`);
+        const node = { type: 'if', tag: keyword, branches: [{ condition: rest.trim(), negate: keyword === 'unless', body: [] }], elseBody: null };
+        body.push(node);
+        stack.push({ node, parentBody: body });
+        body = node.branches[0].body;
+      } else if (keyword === 'elsif') {
+        if (!open || open.node.elseBody) {
+          errors.push('{% elsif %} without a matching {% if %}');
+          continue;
+        }
+        const branch = { condition: rest.trim(), negate: false, body: [] };
+        open.node.branches.push(branch);
+        body = branch.body;
+      } else if (keyword === 'else') {
+        if (!open || open.node.elseBody) {
+          errors.push('{% else %} without a matching {% if %}');
+          continue;
+        }
+        open.node.elseBody = [];
+        body = open.node.elseBody;
+      } else if (keyword === 'endif' || keyword === 'endunless') {
+        if (!open || `end${open.node.tag}` !== keyword) {
+          errors.push(`{% ${keyword} %} without a matching {% ${keyword.slice(3)} %}`);
+          continue;
+        }
+        stack.pop();
+        body = open.parentBody;
+      } else {
+        errors.push(`Unknown tag {% ${keyword || match[2].trim()} %}`);
+      }
+    }
+
+    if (lastIndex < template.length) {
+      body.push({ type: 'text', value: template.slice(lastIndex) });
+    }
+    for (const open of stack) {
+      errors.push(`{% ${open.node.tag} %} is never closed with {% end${open.node.tag} %}`);
+    }
+    return root;
+  }
+
+  static renderNodes(nodes, state) {
+    let output = '';
+    for (const node of nodes) {
+      if (node.type === 'text') {
+        output += node.value;
+      } else if (node.type === 'output') {
+        output += this.renderOutput(node.expression, state);
+      } else if (node.type === 'if') {
+        const branch = node.branches.find(candidate => {
+          const result = this.evaluateCondition(candidate.condition, state);
+          return candidate.negate ? !result : result;
+        });
+        if (branch) {
+          output += this.renderNodes(branch.body, state);
+        } else if (node.elseBody) {
+          output += this.renderNodes(node.elseBody, state);
+        }
+      }
+    }
+    return output;
+  }
+
+  /**
+   * Split "base | filter: arg, arg | filter" into its parts
+   */
+  static parseOutput(expression) {
+    const [base, ...filterParts] = splitOutsideQuotes(expression, '|').map(part => part.trim());
+    const filters = filterParts.filter(Boolean).map(part => {
+      const colon = part.indexOf(':');
+      if (colon === -1) return { name: part, args: [] };
+      return {
+        name: part.slice(0, colon).trim(),
+        args: splitOutsideQuotes(part.slice(colon + 1), ',').map(arg => arg.trim()).filter(Boolean)
+      };
+    });
+    return { base, filters };
+  }
+
+  static renderOutput(expression, state) {
+    const { base, filters } = this.parseOutput(expression);
+    let value = this.resolveOperand(base, state);
+    if (isEmpty(value) && this.isVariable(base) && !isEmpty(state.defaults[base])) {
+      value = state.defaults[base];
+    }
+
+    for (const filter of filters) {
+      const args = filter.args.map(arg => this.resolveOperand(arg, state));
+      value = this.applyFilter(filter.name, value, args, state);
+    }
+
+    if (isEmpty(value)) {
+      if (this.isVariable(base)) state.unresolved.add(base);
+      return '';
+    }
+    return this.stringify(value);
+  }
+
+  static stringify(value) {
+    if (value instanceof Date) return value.toISOString();
+    if (Array.isArray(value)) return value.map(item => this.stringify(item)).join(', ');
+    if (typeof value === 'object') return '';
+    return String(value);
+  }
+
+  static isVariable(operand) {
+    return typeof operand === 'string' && /^[A-Za-z_][\w-]*(\.[\w-]+)*$/.test(operand) &&
+      !['true', 'false', 'nil', 'null', 'blank', 'empty'].includes(operand);
+  }
+
+  /**
+   * Literal ("x", 'x', 12, true, nil, blank) or variable path (organization.name)
+   */
+  static resolveOperand(operand, state) {
+    if (operand === undefined || operand === '') return undefined;
+    const quoted = operand.match(/^"([^"]*)"$|^'([^']*)'$/);
+    if (quoted) return quoted[1] !== undefined ? quoted[1] : quoted[2];
+    if (/^-?\d+(\.\d+)?$/.test(operand)) return Number(operand);
+    if (operand === 'true') return true;
+    if (operand === 'false') return false;
+    if (operand === 'nil' || operand === 'null') return null;
+    if (operand === 'blank' || operand === 'empty') return '';
+    if (!this.isVariable(operand)) return undefined;
+
+    let value = state.context;
+    for (const [index, key] of operand.split('.').entries()) {
+      if (value === null || value === undefined || typeof value !== 'object') return undefined;
+      let next = value[key];
+      // Template authors type {{First_Name}} as often as {{first_name}}
+      if (next === undefined && index === 0) next = value[key.toLowerCase()];
+      value = next;
+    }
+    return value;
+  }
+
+  /**
+   * Conditions: comparisons joined by and/or ("and" binds tighter than "or")
+   */
+  static evaluateCondition(condition, state) {
+    const tokens = condition.match(CONDITION_TOKEN_PATTERN) || [];
+    const alternatives = [[]];
+    for (const token of tokens) {
+      if (token === 'or') {
+        alternatives.push([]);
+      } else {
+        alternatives[alternatives.length - 1].push(token);
+      }
+    }
+    return alternatives.some(alternative => {
+      const comparisons = [[]];
+      for (const token of alternative) {
+        if (token === 'and') {
+          comparisons.push([]);
+        } else {
+          comparisons[comparisons.length - 1].push(token);
+        }
+      }
+      return comparisons.every(comparison => this.evaluateComparison(comparison, state));
+    });
+  }
+
+  static evaluateComparison(tokens, state) {
+    if (tokens.length === 0) return false;
+    const left = this.resolveOperand(tokens[0], state);
+    if (tokens.length === 1) {
+      return !isEmpty(left) && left !== false;
+    }
+    const operator = tokens[1];
+    const right = this.resolveOperand(tokens[2], state);
+    if (!COMPARISON_OPERATORS.includes(operator)) {
+      state.errors.push(`Unknown operator "${operator}" in condition`);
+      return false;
+    }
+
+    const normalize = value => (isEmpty(value) ? '' : value);
+    switch (operator) {
+      case '==':
+        return String(normalize(left)).toLowerCase() === String(normalize(right)).toLowerCase();
+      case '!=':
+        return String(normalize(left)).toLowerCase() !== String(normalize(right)).toLowerCase();
+      case 'contains':
+        if (Array.isArray(left)) return left.map(item => String(item).toLowerCase()).includes(String(right).toLowerCase());
+        return !isEmpty(left) && String(left).toLowerCase().includes(String(normalize(right)).toLowerCase());
+      default: {
+        const a = Number(left);
+        const b = Number(right);
+        if (Number.isNaN(a) || Number.isNaN(b)) return false;
+        if (operator === '>') return a > b;
+        if (operator === '<') return a < b;
+        if (operator === '>=') return a >= b;
+        return a <= b;
+      }
+    }
+  }
+
+  static applyFilter(name, value, args, state) {
+    const text = isEmpty(value) ? '' : this.stringify(value);
+    switch (name) {
+      case 'default':
+        return isEmpty(value) ? args[0] : value;
+      case 'upcase':
+        return text.toUpperCase();
+      case 'downcase':
+        return text.toLowerCase();
+      case 'capitalize':
+        return text.charAt(0).toUpperCase() + text.slice(1);
+      case 'titlecase':
+        return text.toLowerCase().replace(/(^|[\s\-'])(\p{L})/gu, (match, separator, letter) => separator + letter.toUpperCase());
+      case 'strip':
+        return text.trim();
+      case 'first_word':
+        return text.trim().split(/\s+/)[0] || '';
+      case 'truncate': {
+        const length = Number(args[0]) || 50;
+        const ellipsis = args[1] !== undefined ? String(args[1]) : '...';
+        if (text.length <= length) return text;
+        return text.slice(0, Math.max(0, length - ellipsis.length)).trimEnd() + ellipsis;
+      }
+      case 'prepend':
+        return isEmpty(value) ? value : `${args[0] ?? ''}${text}`;
+      case 'append':
+        return isEmpty(value) ? value : `${text}${args[0] ?? ''}`;
+      case 'date':
+        return this.formatDate(value, args[0], state.timezone);
+      case 'company':
+        return this.cleanCompanyName(text);
+      default:
+        state.errors.push(`Unknown filter "${name}"`);
+        return value;
+    }
+  }
+
+  static collectFilterErrors(nodes, errors) {
+    const known = ['default', 'upcase', 'downcase', 'capitalize', 'titlecase', 'strip', 'first_word', 'truncate', 'prepend', 'append', 'date', 'company'];
+    for (const node of nodes) {
+      if (node.type === 'output') {
+        for (const filter of this.parseOutput(node.expression).filters) {
+          if (!known.includes(filter.name)) errors.push(`Unknown filter "${filter.name}"`);
+        }
+      } else if (node.type === 'if') {
+        node.branches.forEach(branch => this.collectFilterErrors(branch.body, errors));
+        if (node.elseBody) this.collectFilterErrors(node.elseBody, errors);
+      }
+    }
+  }
+
+  /**
+   * "Acme Holdings, Inc." -> "Acme Holdings"
+   */
+  static cleanCompanyName(name) {
+    let cleaned = name.trim();
+    let previous;
+    do {
+      previous = cleaned;
+      cleaned = cleaned.replace(COMPANY_SUFFIX_PATTERN, '').replace(/[\s,]+$/, '');
+    } while (cleaned !== previous && cleaned);
+    return cleaned || name.trim();
+  }
+
+  /**
+   * strftime-style date formatting: %Y %y %m %-m %d %-d %e %B %b %A %a %H %I %-I %M %p %%
+   * Input may be a Date, a date string/timestamp, or "now"/"today"
+   */
+  static formatDate(value, format = '%Y-%m-%d', timeZone = 'UTC') {
+    if (isEmpty(value)) return value;
+    const date = value === 'now' || value === 'today' ? new Date() : new Date(value);
+    if (Number.isNaN(date.getTime())) return value;
+
+    const parts = {};
+    const formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      weekday: 'short',
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+    for (const part of formatter.formatToParts(date)) {
+      parts[part.type] = part.value;
+    }
+    const year = Number(parts.year);
+    const month = Number(parts.month);
+    const day = Number(parts.day);
+    const hour = Number(parts.hour) % 24;
+    const hour12 = hour % 12 || 12;
+    const weekday = WEEKDAY_INDEX[parts.weekday];
+
+    const tokens = {
+      Y: String(year),
+      y: pad(year % 100),
+      m: pad(month),
+      '-m': String(month),
+      d: pad(day),
+      '-d': String(day),
+      e: String(day).padStart(2, ' '),
+      B: MONTH_NAMES[month - 1],
+      b: MONTH_NAMES[month - 1].slice(0, 3),
+      A: WEEKDAY_NAMES[weekday],
+      a: WEEKDAY_NAMES[weekday].slice(0, 3),
+      H: pad(hour),
+      I: pad(hour12),
+      '-I': String(hour12),
+      M: pad(parts.minute),
+      p: hour < 12 ? 'AM' : 'PM',
+      '%': '%'
+    };
+    return String(format).replace(/%(-?[A-Za-z%])/g, (match, token) => (tokens[token] !== undefined ? tokens[token] : match));
+  }
+}
+
+module.exports = MessageTemplateUtil;
@@ -0,0 +1,188 @@
+/**
+ * Send Window Utility
+ * Pure functions for campaign send windows evaluated in a lead's local time
+ * LAD Architecture: Utilities - No database access, no business logic
+ *
+ * A send window is configured on the campaign as config.sendWindow:
+ *   {
+ *     start: '09:00',                 // local opening time (HH:MM)
+ *     end: '17:30',                   // local closing time (HH:MM, exclusive)
+ *     days: ['mon', 'tue', 'wed'],    // weekdays (names, 0-6 with 0=Sunday, or "Monday-Friday")
+ *     holidays: ['2026-12-25', '01-01'], // YYYY-MM-DD, or MM-DD for every year
+ *     timezone: 'Europe/London'       // used when the lead's timezone can't be inferred
+ *   }
+ */
+
+const logger = require('../../../core/utils/logger');
+const CampaignScheduleUtil = require('./campaignScheduleUtil');
+const LeadTimezoneUtil = require('./leadTimezoneUtil');
+
+const DEFAULT_WINDOW = {
+  start: '09:00',
+  end: '17:00',
+  days: [1, 2, 3, 4, 5],
+  holidays: [],
+  timezone: 'UTC'
+};
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+// How far ahead to look for the next open slot (covers long holiday runs)
+const MAX_LOOKAHEAD_DAYS = 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseTime(value, fallback) {
+  const match = typeof value === 'string' && value.trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return fallback;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return fallback;
+  return hours * 60 + minutes;
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+class SendWindowUtil {
+  /**
+   * Normalise a campaign's send window config
+   * @param {Object|string} campaignConfig - campaigns.config
+   * @returns {Object|null} { startMinutes, endMinutes, days, holidays, timezone } or null when not configured
+   */
+  static normalize(campaignConfig) {
+    const config = typeof campaignConfig === 'string' ? JSON.parse(campaignConfig) : (campaignConfig || {});
+    const raw = config.sendWindow;
+    if (!raw || raw.enabled === false) return null;
+
+    const startMinutes = parseTime(raw.start, parseTime(DEFAULT_WINDOW.start));
+    const endMinutes = parseTime(raw.end, parseTime(DEFAULT_WINDOW.end));
+    let days = DEFAULT_WINDOW.days;
+    if (Array.isArray(raw.days) && raw.days.length > 0) {
+      days = this.parseDays(raw.days);
+    } else if (typeof raw.days === 'string') {
+      days = CampaignScheduleUtil.parseWorkingDays(raw.days);
+    }
+    const holidays = Array.isArray(raw.holidays)
+      ? raw.holidays.filter(day => typeof day === 'string' && /^(\d{4}-)?\d{2}-\d{2}$/.test(day.trim())).map(day => day.trim())
+      : [];
+    let timezone = raw.timezone || DEFAULT_WINDOW.timezone;
+    if (!LeadTimezoneUtil.isValidTimeZone(timezone)) {
+      logger.warn('[SendWindowUtil] Unknown send window timezone, using UTC', { timezone });
+      timezone = DEFAULT_WINDOW.timezone;
+    }
+    if (startMinutes >= endMinutes || days.length === 0) {
+      logger.warn('[SendWindowUtil] Invalid send window, using defaults', { sendWindow: raw });
+      return {
+        startMinutes: parseTime(DEFAULT_WINDOW.start),
+        endMinutes: parseTime(DEFAULT_WINDOW.end),
+        days: DEFAULT_WINDOW.days,
+        holidays,
+        timezone
+      };
+    }
+    return { startMinutes, endMinutes, days, holidays, timezone };
+  }
+
+  /**
+   * Parse a days array (numbers 0-6 or day names) to sorted day numbers
+   */
+  static parseDays(days) {
+    const result = new Set();
+    for (const day of days) {
+      if (Number.isInteger(day) && day >= 0 && day <= 6) {
+        result.add(day);
+      } else if (typeof day === 'string') {
+        CampaignScheduleUtil.parseDayList(day)?.forEach(index => result.add(index));
+      }
+    }
+    return [...result].sort();
+  }
+
+  /**
+   * Wall-clock parts of an instant in a timezone
+   * @returns {Object} { year, month, day, weekday (0=Sunday), minutes (since midnight), date ('YYYY-MM-DD') }
+   */
+  static getLocalParts(instant, timeZone) {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+    const parts = {};
+    for (const part of formatter.formatToParts(instant)) {
+      parts[part.type] = part.value;
+    }
+    const year = Number(parts.year);
+    const month = Number(parts.month);
+    const day = Number(parts.day);
+    return {
+      year,
+      month,
+      day,
+      weekday: WEEKDAY_INDEX[parts.weekday],
+      minutes: Number(parts.hour) * 60 + Number(parts.minute),
+      date: `${year}-${pad(month)}-${pad(day)}`
+    };
+  }
+
+  /**
+   * The instant at which a timezone's wall clock shows the given local date and time
+   * (month is 1-based; out-of-range days roll over like Date.UTC)
+   *
+   * A time repeated when clocks go back resolves to its first occurrence; a time
+   * skipped when clocks go forward resolves to the same distance past the jump
+   * (02:30 on a 02:00 -> 03:00 night is 03:30).
+   */
+  static zonedTimeToUtc(year, month, day, minutes, timeZone) {
+    const target = Date.UTC(year, month - 1, day, 0, minutes);
+    const offsetAt = instant => {
+      const local = this.getLocalParts(new Date(instant), timeZone);
+      return Date.UTC(local.year, local.month - 1, local.day, 0, local.minutes) - instant;
+    };
+    // Offsets either side of any transition near the target (zones change at most once a day)
+    const candidates = [...new Set([target - offsetAt(target - DAY_MS), target - offsetAt(target + DAY_MS)])];
+    const valid = candidates.filter(candidate => offsetAt(candidate) === target - candidate);
+    return new Date(valid.length > 0 ? Math.min(...valid) : Math.max(...candidates));
+  }
+
+  static isHoliday(window, localDate) {
+    return window.holidays.includes(localDate) || window.holidays.includes(localDate.slice(5));
+  }
+
+  /**
+   * Whether an instant falls inside the window in the given timezone
+   */
+  static isOpen(window, timeZone, instant = new Date()) {
+    const local = this.getLocalParts(instant, timeZone);
+    return window.days.includes(local.weekday) &&
+      !this.isHoliday(window, local.date) &&
+      local.minutes >= window.startMinutes &&
+      local.minutes < window.endMinutes;
+  }
+
+  /**
+   * Next instant the window opens in the given timezone (the instant itself if already open)
+   * @returns {Date|null} null if no open day within the lookahead (e.g. everything is a holiday)
+   */
+  static getNextOpening(window, timeZone, instant = new Date()) {
+    if (this.isOpen(window, timeZone, instant)) {
+      return instant;
+    }
+    const today = this.getLocalParts(instant, timeZone);
+    for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+      const opening = this.zonedTimeToUtc(today.year, today.month, today.day + offset, window.startMinutes, timeZone);
+      if (opening <= instant) continue;
+      const local = this.getLocalParts(opening, timeZone);
+      if (window.days.includes(local.weekday) && !this.isHoliday(window, local.date)) {
+        return opening;
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = SendWindowUtil;
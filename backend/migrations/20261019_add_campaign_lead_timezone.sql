@@ -0,0 +1,11 @@
+-- Migration: Lead-timezone send windows
+-- Date: 2026-10-19
+-- Purpose: Campaigns can restrict sends to business hours in each lead's local time
+--          (campaigns.config.sendWindow). The lead's timezone is inferred from its
+--          location data on first use and kept here; set it manually to override.
+
+ALTER TABLE campaign_leads
+ADD COLUMN IF NOT EXISTS timezone VARCHAR(64);
+
+COMMENT ON COLUMN campaign_leads.timezone IS 'IANA timezone used for the campaign send window (inferred from location unless set)';
+COMMENT ON COLUMN campaign_leads.deferred_until IS 'The workflow engine leaves the lead parked until this time (frequency caps, send windows)';
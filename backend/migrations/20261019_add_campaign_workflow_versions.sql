@@ -0,0 +1,46 @@
+-- Migration: Versioned campaign workflows
+-- Date: 2026-10-19
+-- Purpose: Editing a running campaign's steps publishes a new workflow version instead of
+--          overwriting the steps leads are parked on. Steps of older versions are kept
+--          (retired) so leads pinned to them finish the sequence they started; an explicit
+--          mapping moves in-flight leads from old steps onto new ones. Campaigns and steps
+--          that predate versioning are version 1.
+
+ALTER TABLE campaigns
+ADD COLUMN IF NOT EXISTS workflow_version INTEGER NOT NULL DEFAULT 1;
+
+ALTER TABLE campaign_steps
+ADD COLUMN IF NOT EXISTS workflow_version INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN IF NOT EXISTS retired_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE campaign_leads
+ADD COLUMN IF NOT EXISTS workflow_version INTEGER;
+
+COMMENT ON COLUMN campaigns.workflow_version IS 'Current (latest published) workflow version; new leads start on it';
+COMMENT ON COLUMN campaign_steps.workflow_version IS 'Workflow version the step belongs to';
+COMMENT ON COLUMN campaign_steps.retired_at IS 'Set when a newer version was published; retired steps only run for leads pinned to their version';
+COMMENT ON COLUMN campaign_leads.workflow_version IS 'Workflow version the lead runs on, pinned when it enters the workflow (NULL = not started, runs on the current version)';
+
+-- Current steps of a campaign / steps of one version
+CREATE INDEX IF NOT EXISTS idx_campaign_steps_version
+ON campaign_steps(campaign_id, workflow_version);
+
+CREATE TABLE IF NOT EXISTS campaign_workflow_versions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL,
+    campaign_id UUID NOT NULL,
+    version INTEGER NOT NULL,
+    base_version INTEGER,
+    notes TEXT,
+    step_mapping JSONB NOT NULL DEFAULT '{}'::jsonb,
+    migrated_lead_count INTEGER NOT NULL DEFAULT 0,
+    pinned_lead_count INTEGER NOT NULL DEFAULT 0,
+    created_by_user_id UUID,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (campaign_id, version)
+);
+
+COMMENT ON TABLE campaign_workflow_versions IS 'Publish record of each workflow version after the first (version 1 has no row)';
+COMMENT ON COLUMN campaign_workflow_versions.step_mapping IS 'Old campaign_steps.id -> new campaign_steps.id used to move in-flight leads at publish time';
+COMMENT ON COLUMN campaign_workflow_versions.migrated_lead_count IS 'In-flight leads moved onto the new version by step_mapping';
+COMMENT ON COLUMN campaign_workflow_versions.pinned_lead_count IS 'In-flight leads left on base_version at publish time (no mapping for their step)';
@@ -0,0 +1,27 @@
+-- Migration: Cross-campaign contact frequency caps
+-- Date: 2026-10-19
+-- Purpose: Tenants cap how often one person is touched across all running campaigns and
+--          channels (e.g. 1 touch per 48h, 3 per week). A capped step is deferred: the
+--          lead keeps its place and is not processed again before deferred_until.
+
+CREATE TABLE IF NOT EXISTS campaign_tenant_settings (
+    tenant_id UUID PRIMARY KEY,
+    frequency_caps JSONB NOT NULL DEFAULT '{}'::jsonb,
+    updated_by_user_id UUID,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON COLUMN campaign_tenant_settings.frequency_caps IS '{ enabled, rules: [{ maxTouches, windowHours }] }';
+
+ALTER TABLE campaign_leads
+ADD COLUMN IF NOT EXISTS deferred_until TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN campaign_leads.deferred_until IS 'The workflow engine leaves the lead parked until this time (frequency caps)';
+
+-- Touch counting looks up a person's recent activities across campaigns
+CREATE INDEX IF NOT EXISTS idx_campaign_leads_tenant_lead
+ON campaign_leads(tenant_id, lead_id);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_lead_activities_lead_created
+ON campaign_lead_activities(campaign_lead_id, created_at);
@@ -0,0 +1,28 @@
+-- Migration: Warm-up program for newly connected LinkedIn accounts
+-- Date: 2026-10-19
+-- Purpose: New accounts start with low connection caps that ramp up week by week. The
+--          warm-up scheduler keeps the current cap in warmup_daily_limit/warmup_weekly_limit;
+--          account reads apply the lower of it and the configured/tuned default_* limit, and
+--          no connection requests go out while the ramp is paused on a low acceptance rate.
+
+ALTER TABLE social_linkedin_accounts
+ADD COLUMN IF NOT EXISTS warmup_status VARCHAR(20)
+    CHECK (warmup_status IN ('active', 'paused', 'completed')),
+ADD COLUMN IF NOT EXISTS warmup_started_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS warmup_stage INTEGER,
+ADD COLUMN IF NOT EXISTS warmup_daily_limit INTEGER,
+ADD COLUMN IF NOT EXISTS warmup_weekly_limit INTEGER,
+ADD COLUMN IF NOT EXISTS warmup_acceptance_rate NUMERIC(5, 2),
+ADD COLUMN IF NOT EXISTS warmup_paused_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS warmup_pause_reason TEXT,
+ADD COLUMN IF NOT EXISTS warmup_evaluated_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS warmup_completed_at TIMESTAMP WITH TIME ZONE;
+
+-- The scheduler only walks accounts still warming up
+CREATE INDEX IF NOT EXISTS idx_social_linkedin_accounts_warmup
+ON social_linkedin_accounts(warmup_status)
+WHERE warmup_status IN ('active', 'paused');
+
+COMMENT ON COLUMN social_linkedin_accounts.warmup_status IS 'active (ramping), paused (acceptance rate too low, no connection requests), completed; NULL = never warmed up';
+COMMENT ON COLUMN social_linkedin_accounts.warmup_stage IS 'Index into the warm-up schedule the current cap comes from';
+COMMENT ON COLUMN social_linkedin_accounts.warmup_daily_limit IS 'Current warm-up daily cap; the limit in force is the lower of it and default_daily_limit';
@@ -0,0 +1,17 @@
+-- Migration: Pin each campaign lead to one LinkedIn sender account
+-- Date: 2026-10-19
+-- Purpose: Campaigns rotate LinkedIn work across the tenant's connected accounts. Once an
+--          account is chosen for a lead, every later LinkedIn step for that lead (follow-up
+--          messages in particular) goes out from the same sender.
+
+ALTER TABLE campaign_leads
+ADD COLUMN IF NOT EXISTS linkedin_account_id VARCHAR(255),
+ADD COLUMN IF NOT EXISTS linkedin_account_pinned_at TIMESTAMP WITH TIME ZONE;
+
+-- Per-account lead counts for rotation reporting
+CREATE INDEX IF NOT EXISTS idx_campaign_leads_linkedin_account
+ON campaign_leads(tenant_id, linkedin_account_id)
+WHERE linkedin_account_id IS NOT NULL;
+
+COMMENT ON COLUMN campaign_leads.linkedin_account_id IS 'social_linkedin_accounts.provider_account_id that contacts this lead (NULL = not assigned yet)';
+COMMENT ON COLUMN campaign_leads.linkedin_account_pinned_at IS 'When the lead was pinned to linkedin_account_id';
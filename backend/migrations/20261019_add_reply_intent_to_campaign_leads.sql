@@ -0,0 +1,18 @@
+-- Migration: Store the classified intent of a lead's latest reply
+-- Date: 2026-10-19
+-- Purpose: Inbound replies (LinkedIn, email, WhatsApp) are classified into intent buckets
+--          that drive campaign_leads.status transitions and reply_intent workflow conditions.
+
+ALTER TABLE campaign_leads
+ADD COLUMN IF NOT EXISTS reply_intent VARCHAR(30),
+ADD COLUMN IF NOT EXISTS reply_intent_confidence NUMERIC(4, 3),
+ADD COLUMN IF NOT EXISTS reply_classified_at TIMESTAMP WITH TIME ZONE;
+
+-- Lead lists are filtered by intent per campaign
+CREATE INDEX IF NOT EXISTS idx_campaign_leads_reply_intent
+ON campaign_leads(campaign_id, reply_intent)
+WHERE reply_intent IS NOT NULL;
+
+COMMENT ON COLUMN campaign_leads.reply_intent IS 'Intent of the latest reply: interested, not_interested, out_of_office, referral, unsubscribe, question, unclassified';
+COMMENT ON COLUMN campaign_leads.reply_intent_confidence IS 'Classifier confidence (0-1) for reply_intent';
+COMMENT ON COLUMN campaign_leads.reply_classified_at IS 'When the latest reply was classified';
@@ -0,0 +1,16 @@
+-- Migration: Record which message variant each lead was sent
+-- Date: 2026-10-19
+-- Purpose: Steps can split-test message copy (config.variants). Every send of a variant is
+--          logged as a VARIANT_SENT row so acceptance and reply rates can be compared per variant.
+
+ALTER TABLE campaign_analytics
+ADD COLUMN IF NOT EXISTS step_id UUID,
+ADD COLUMN IF NOT EXISTS variant_id VARCHAR(50);
+
+-- Per-variant results are aggregated per campaign step
+CREATE INDEX IF NOT EXISTS idx_campaign_analytics_variant
+ON campaign_analytics(campaign_id, step_id, variant_id)
+WHERE variant_id IS NOT NULL;
+
+COMMENT ON COLUMN campaign_analytics.step_id IS 'campaign_steps.id the action belongs to (set for VARIANT_SENT rows)';
+COMMENT ON COLUMN campaign_analytics.variant_id IS 'Message variant id from the step config variants[] shown to the lead';
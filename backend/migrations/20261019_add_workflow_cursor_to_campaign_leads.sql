@@ -0,0 +1,19 @@
+-- Migration: Track per-lead workflow position by step id
+-- Date: 2026-10-19
+-- Purpose: The workflow engine walks campaign steps as a graph (condition/switch/merge nodes),
+--          so a lead's position can no longer be expressed as an integer step_order.
+--          Saving steps recreates the campaign_steps rows, so the cursor is keyed on the
+--          builder node id (campaign_steps.config->>'node_id'), which survives a save.
+
+ALTER TABLE campaign_leads
+ADD COLUMN IF NOT EXISTS current_node_key VARCHAR(255),
+ADD COLUMN IF NOT EXISTS current_step_id UUID,
+ADD COLUMN IF NOT EXISTS step_entered_at TIMESTAMP WITH TIME ZONE;
+
+-- Leads waiting on a step are looked up per campaign
+CREATE INDEX IF NOT EXISTS idx_campaign_leads_current_step
+ON campaign_leads(campaign_id, current_step_id);
+
+COMMENT ON COLUMN campaign_leads.current_node_key IS 'Workflow node id (campaign_steps.config node_id) the lead is currently parked on (NULL = not started)';
+COMMENT ON COLUMN campaign_leads.current_step_id IS 'campaign_steps.id of current_node_key; re-pointed when steps are saved';
+COMMENT ON COLUMN campaign_leads.step_entered_at IS 'When the lead arrived at current_node_key (drives delay and time-based branches)';
@@ -0,0 +1,39 @@
+-- Migration: Unified reply inbox
+-- Date: 2026-10-19
+-- Purpose: one conversation thread per campaign lead and channel (linkedin, email,
+--          whatsapp), created/updated whenever a reply is ingested. Holds what the
+--          inbox needs to list threads and reply from the connected account, plus
+--          triage state (handled / snoozed / assigned teammate).
+
+CREATE TABLE IF NOT EXISTS campaign_inbox_threads (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL,
+    campaign_id UUID NOT NULL,
+    campaign_lead_id UUID NOT NULL,
+    lead_id UUID,
+    channel VARCHAR(20) NOT NULL,
+    -- Sending account: Unipile account id (linkedin), mailbox id (email), WhatsApp account id
+    account_ref VARCHAR(255),
+    -- Provider conversation: Unipile chat id, or the lead's phone/email address
+    chat_ref VARCHAR(255),
+    lead_name VARCHAR(255),
+    last_message_at TIMESTAMP WITH TIME ZONE,
+    last_message_preview TEXT,
+    last_direction VARCHAR(10),
+    unread_count INTEGER NOT NULL DEFAULT 0,
+    status VARCHAR(20) NOT NULL DEFAULT 'open',
+    snoozed_until TIMESTAMP WITH TIME ZONE,
+    assigned_user_id UUID,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (campaign_lead_id, channel)
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_inbox_threads_tenant_recent
+ON campaign_inbox_threads(tenant_id, last_message_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_inbox_threads_assignee
+ON campaign_inbox_threads(tenant_id, assigned_user_id) WHERE assigned_user_id IS NOT NULL;
+
+COMMENT ON COLUMN campaign_inbox_threads.status IS 'open | handled | snoozed';
+COMMENT ON COLUMN campaign_inbox_threads.last_direction IS 'inbound | outbound';
@@ -0,0 +1,33 @@
+-- Migration: LinkedIn profile snapshots for campaign leads
+-- Date: 2026-10-19
+-- Purpose: linkedin_scrape_profile steps pull the requested profile sections (experience,
+--          education, skills, recent activity) and store them as a new snapshot version per
+--          scrape. The latest snapshot is also copied to campaign_leads.lead_data.linkedin_profile
+--          so message templates and condition steps can read it.
+
+CREATE TABLE IF NOT EXISTS campaign_lead_profile_snapshots (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL,
+    campaign_id UUID NOT NULL,
+    campaign_lead_id UUID NOT NULL,
+    version INTEGER NOT NULL,
+    fields TEXT[] NOT NULL DEFAULT '{}',
+    profile JSONB NOT NULL DEFAULT '{}'::jsonb,
+    provider_account_id VARCHAR(255),
+    captured_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (campaign_lead_id, version)
+);
+
+COMMENT ON TABLE campaign_lead_profile_snapshots IS 'Structured LinkedIn profile captured by linkedin_scrape_profile steps, one row per scrape';
+COMMENT ON COLUMN campaign_lead_profile_snapshots.version IS 'Per-lead snapshot number, 1 for the first scrape';
+COMMENT ON COLUMN campaign_lead_profile_snapshots.fields IS 'Sections the step requested (experience, education, skills, recent_activity)';
+COMMENT ON COLUMN campaign_lead_profile_snapshots.profile IS 'Normalised profile: basics plus the requested sections';
+COMMENT ON COLUMN campaign_lead_profile_snapshots.provider_account_id IS 'Unipile account the profile was viewed from';
+
+CREATE INDEX IF NOT EXISTS idx_campaign_lead_profile_snapshots_campaign
+ON campaign_lead_profile_snapshots(tenant_id, campaign_id);
+
+ALTER TABLE campaign_leads
+ADD COLUMN IF NOT EXISTS profile_snapshot_version INTEGER;
+
+COMMENT ON COLUMN campaign_leads.profile_snapshot_version IS 'Latest campaign_lead_profile_snapshots.version for the lead (NULL = never scraped)';
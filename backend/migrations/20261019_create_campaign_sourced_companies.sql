@@ -0,0 +1,38 @@
+-- Migration: Company lead sourcing progress
+-- Date: 2026-10-19
+-- Purpose: linkedin_company_search and linkedin_employee_list steps resolve a company on
+--          LinkedIn and enroll its employees into the campaign. One row per campaign and
+--          company query (name or URL plus title/seniority filters) remembers the resolved
+--          company and the search cursor, so the employee list is paged across runs and a
+--          company is not searched again by every lead that reaches the step.
+
+CREATE TABLE IF NOT EXISTS campaign_sourced_companies (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL,
+    campaign_id UUID NOT NULL,
+    step_type VARCHAR(50) NOT NULL,
+    query_key TEXT NOT NULL,
+    company_id VARCHAR(255) NOT NULL,
+    company_name TEXT,
+    company_url TEXT,
+    cursor TEXT,
+    pages_fetched INTEGER NOT NULL DEFAULT 0,
+    found_count INTEGER NOT NULL DEFAULT 0,
+    enrolled_count INTEGER NOT NULL DEFAULT 0,
+    exhausted BOOLEAN NOT NULL DEFAULT FALSE,
+    last_sourced_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (campaign_id, query_key)
+);
+
+COMMENT ON TABLE campaign_sourced_companies IS 'Companies whose employees a campaign sourced through linkedin_company_search / linkedin_employee_list steps';
+COMMENT ON COLUMN campaign_sourced_companies.query_key IS 'Normalised company name or URL plus the step''s title/seniority filters';
+COMMENT ON COLUMN campaign_sourced_companies.company_id IS 'LinkedIn company id the query resolved to (Unipile company search)';
+COMMENT ON COLUMN campaign_sourced_companies.cursor IS 'Unipile people search cursor of the next employee page (NULL before the first page)';
+COMMENT ON COLUMN campaign_sourced_companies.found_count IS 'Employees returned by the search, before seniority filtering and deduplication';
+COMMENT ON COLUMN campaign_sourced_companies.enrolled_count IS 'New campaign leads created from this company';
+COMMENT ON COLUMN campaign_sourced_companies.exhausted IS 'The employee search has no more pages';
+
+CREATE INDEX IF NOT EXISTS idx_campaign_sourced_companies_tenant
+ON campaign_sourced_companies(tenant_id, campaign_id);
@@ -0,0 +1,21 @@
+-- Migration: Tenant-wide do-not-contact list
+-- Date: 2026-10-19
+-- Purpose: Every outreach step checks the lead against this list before sending, and
+--          lead saving skips suppressed contacts. Values are stored normalized:
+--          email lower-cased, phone digits only, LinkedIn public slug or provider id
+--          lower-cased, domain without scheme/www.
+
+CREATE TABLE IF NOT EXISTS campaign_suppressions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('email', 'phone', 'linkedin', 'domain')),
+    value VARCHAR(320) NOT NULL,
+    reason TEXT,
+    source VARCHAR(30) NOT NULL DEFAULT 'manual',
+    created_by_user_id UUID,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (tenant_id, type, value)
+);
+
+COMMENT ON COLUMN campaign_suppressions.source IS 'manual, csv_import, unsubscribe_reply';
@@ -0,0 +1,30 @@
+-- Migration: Campaign template library
+-- Date: 2026-10-19
+-- Purpose: Reusable campaign blueprints. A template holds a campaign export document
+--          (format "lad.campaign": campaign config plus campaign_steps) and can be
+--          turned into a new draft campaign. Templates belong to a tenant, or to every
+--          tenant when tenant_id is NULL (global library, managed by platform admins).
+
+CREATE TABLE IF NOT EXISTS campaign_templates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    category VARCHAR(100),
+    definition JSONB NOT NULL,
+    step_count INTEGER NOT NULL DEFAULT 0,
+    source_campaign_id UUID,
+    created_by_user_id UUID,
+    is_deleted BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON COLUMN campaign_templates.tenant_id IS 'Owning tenant; NULL = global template visible to every tenant';
+COMMENT ON COLUMN campaign_templates.definition IS 'Campaign export document: { format: "lad.campaign", version, campaign: { name, campaign_type, config }, steps: [...] }';
+COMMENT ON COLUMN campaign_templates.source_campaign_id IS 'Campaign the template was saved from, if any';
+
+-- Library listing: a tenant's own templates plus the global ones
+CREATE INDEX IF NOT EXISTS idx_campaign_templates_tenant
+ON campaign_templates(tenant_id, created_at DESC)
+WHERE is_deleted = FALSE;
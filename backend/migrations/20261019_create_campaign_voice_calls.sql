@@ -0,0 +1,36 @@
+-- Migration: Campaign voice call log
+-- Date: 2026-10-19
+-- Purpose: voice_agent_call steps record the call the voice agent started so the
+--          call-completion webhook can match the outcome (answered, duration,
+--          disposition, transcript) back to the lead and charge per-minute credits once.
+
+CREATE TABLE IF NOT EXISTS campaign_voice_calls (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL,
+    campaign_id UUID NOT NULL,
+    campaign_lead_id UUID NOT NULL,
+    lead_id UUID,
+    step_id UUID,
+    call_id VARCHAR(255) NOT NULL,
+    agent_id VARCHAR(255),
+    to_phone VARCHAR(32),
+    status VARCHAR(20) NOT NULL DEFAULT 'initiated',
+    answered BOOLEAN,
+    disposition VARCHAR(32),
+    duration_seconds INTEGER,
+    transcript TEXT,
+    recording_url TEXT,
+    credits_charged NUMERIC(10, 2) NOT NULL DEFAULT 0,
+    initiated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- The completion webhook identifies the call by the voice agent's call id
+CREATE UNIQUE INDEX IF NOT EXISTS idx_campaign_voice_calls_call_id
+ON campaign_voice_calls(call_id);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_voice_calls_lead
+ON campaign_voice_calls(campaign_lead_id, initiated_at DESC);
+
+COMMENT ON COLUMN campaign_voice_calls.status IS 'initiated | completed';
+COMMENT ON COLUMN campaign_voice_calls.disposition IS 'interested | callback | voicemail | not_interested | no_answer | unknown';
@@ -0,0 +1,74 @@
+-- Migration: Email channel mailboxes and sent-message log
+-- Date: 2026-10-19
+-- Purpose: Campaign email steps send over SMTP from per-tenant mailboxes and detect
+--          replies/bounces over IMAP. Sent messages are logged so follow-ups can thread
+--          (Message-ID / In-Reply-To) and inbound mail can be matched back to a lead.
+
+CREATE TABLE IF NOT EXISTS email_mailboxes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL,
+    user_id UUID,
+    email_address VARCHAR(255) NOT NULL,
+    display_name VARCHAR(255),
+    smtp_host VARCHAR(255) NOT NULL,
+    smtp_port INTEGER NOT NULL DEFAULT 587,
+    smtp_secure BOOLEAN NOT NULL DEFAULT FALSE,
+    smtp_username VARCHAR(255),
+    smtp_password TEXT,
+    imap_host VARCHAR(255),
+    imap_port INTEGER DEFAULT 993,
+    imap_secure BOOLEAN DEFAULT TRUE,
+    imap_username VARCHAR(255),
+    imap_password TEXT,
+    imap_last_uid BIGINT DEFAULT 0,
+    imap_last_polled_at TIMESTAMP WITH TIME ZONE,
+    imap_failed_uid BIGINT,
+    imap_failed_attempts INTEGER NOT NULL DEFAULT 0,
+    imap_last_error TEXT,
+    daily_limit INTEGER NOT NULL DEFAULT 200,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    is_deleted BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_email_mailboxes_tenant_address
+ON email_mailboxes(tenant_id, LOWER(email_address)) WHERE is_deleted = FALSE;
+
+CREATE TABLE IF NOT EXISTS campaign_email_messages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL,
+    campaign_id UUID NOT NULL,
+    campaign_lead_id UUID NOT NULL,
+    lead_id UUID,
+    mailbox_id UUID REFERENCES email_mailboxes(id),
+    step_id UUID,
+    step_type VARCHAR(50),
+    message_id VARCHAR(998) NOT NULL,
+    in_reply_to VARCHAR(998),
+    thread_references TEXT,
+    to_email VARCHAR(255) NOT NULL,
+    subject TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'sent',
+    sent_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    replied_at TIMESTAMP WITH TIME ZONE,
+    bounced_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Inbound replies/bounces are matched on Message-ID
+CREATE UNIQUE INDEX IF NOT EXISTS idx_campaign_email_messages_message_id
+ON campaign_email_messages(message_id);
+
+-- Follow-ups look up the latest message sent to a lead
+CREATE INDEX IF NOT EXISTS idx_campaign_email_messages_lead
+ON campaign_email_messages(campaign_lead_id, sent_at DESC);
+
+-- Daily send limits count per mailbox
+CREATE INDEX IF NOT EXISTS idx_campaign_email_messages_mailbox_sent
+ON campaign_email_messages(mailbox_id, sent_at);
+
+COMMENT ON COLUMN email_mailboxes.smtp_password IS 'Encrypted with CREDENTIALS_ENCRYPTION_KEY (core/utils/credentialCipher)';
+COMMENT ON COLUMN email_mailboxes.imap_password IS 'Encrypted with CREDENTIALS_ENCRYPTION_KEY (core/utils/credentialCipher)';
+COMMENT ON COLUMN email_mailboxes.imap_last_uid IS 'Highest IMAP UID already scanned for replies/bounces';
+COMMENT ON COLUMN email_mailboxes.imap_failed_uid IS 'Last inbound message that failed to process (skipped once imap_failed_attempts reaches the limit)';
+COMMENT ON COLUMN campaign_email_messages.status IS 'sent | replied | bounced';
@@ -0,0 +1,61 @@
+-- Migration: Instagram channel accounts and campaign action log
+-- Date: 2026-10-19
+-- Purpose: instagram_* campaign steps (follow, like, dm, story_view, comment_reply) run
+--          through a provider adapter on a tenant's Unipile-connected Instagram account.
+--          Every performed action is logged so per-account daily limits can be enforced
+--          and inbound DMs from the webhook can be matched back to the lead.
+
+CREATE TABLE IF NOT EXISTS instagram_accounts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL,
+    provider VARCHAR(20) NOT NULL DEFAULT 'unipile',
+    username VARCHAR(255),
+    display_name VARCHAR(255),
+    unipile_account_id VARCHAR(255),
+    -- All actions of the account combined, per UTC day
+    daily_limit INTEGER NOT NULL DEFAULT 150,
+    -- Per-action caps overriding the defaults, e.g. {"dm": 30, "follow": 40}
+    action_limits JSONB NOT NULL DEFAULT '{}'::jsonb,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    is_deleted BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Webhooks identify the receiving account by its Unipile account id
+CREATE INDEX IF NOT EXISTS idx_instagram_accounts_unipile_account
+ON instagram_accounts(unipile_account_id) WHERE is_deleted = FALSE;
+
+CREATE TABLE IF NOT EXISTS campaign_instagram_actions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL,
+    campaign_id UUID NOT NULL,
+    campaign_lead_id UUID NOT NULL,
+    lead_id UUID,
+    account_id UUID REFERENCES instagram_accounts(id),
+    step_id UUID,
+    step_type VARCHAR(50) NOT NULL,
+    action VARCHAR(20) NOT NULL,
+    target_username VARCHAR(255),
+    provider_user_id VARCHAR(255),
+    provider_chat_id VARCHAR(255),
+    provider_message_id VARCHAR(255),
+    provider_post_id VARCHAR(255),
+    content TEXT,
+    performed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    replied_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Daily limits count an account's actions since the start of the day
+CREATE INDEX IF NOT EXISTS idx_campaign_instagram_actions_account_performed
+ON campaign_instagram_actions(account_id, performed_at DESC);
+
+-- Replies are matched on the account + sender (or chat), newest action first
+CREATE INDEX IF NOT EXISTS idx_campaign_instagram_actions_account_user
+ON campaign_instagram_actions(account_id, provider_user_id, performed_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_instagram_actions_account_chat
+ON campaign_instagram_actions(account_id, provider_chat_id) WHERE provider_chat_id IS NOT NULL;
+
+COMMENT ON COLUMN campaign_instagram_actions.action IS 'follow | like | dm | story_view | comment_reply';
+COMMENT ON COLUMN instagram_accounts.action_limits IS 'Per-action daily caps keyed by action (follow, like, dm, story_view, comment_reply)';
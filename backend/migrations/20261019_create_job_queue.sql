@@ -0,0 +1,63 @@
+-- Migration: Pluggable job queue with retries and dead letters
+-- Date: 2026-10-19
+-- Purpose: Background jobs (daily campaign runs, ...) go through one job queue. With the
+--          postgres backend (JOB_QUEUE_BACKEND=postgres) jobs are stored here and run by the
+--          local worker, so campaigns run without Cloud Tasks (on-prem, tests). Jobs that
+--          exhaust their retries land in job_dead_letters on every backend, where admins
+--          can inspect and replay them.
+
+CREATE TABLE IF NOT EXISTS job_queue (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID,
+    name VARCHAR(100) NOT NULL,
+    payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+    dedupe_key VARCHAR(255),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'running', 'completed', 'dead')),
+    run_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 5,
+    last_error TEXT,
+    locked_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON COLUMN job_queue.status IS 'pending -> running -> completed; back to pending with a later run_at on retry; dead once max_attempts is reached';
+COMMENT ON COLUMN job_queue.dedupe_key IS 'Enqueueing a key that is already pending, running or completed (until purged) is a no-op';
+
+-- Dedupe keys are unique among live jobs; dead jobs free their key for replays
+CREATE UNIQUE INDEX IF NOT EXISTS idx_job_queue_dedupe_key
+ON job_queue(dedupe_key)
+WHERE dedupe_key IS NOT NULL AND status <> 'dead';
+
+-- Worker scan for due jobs
+CREATE INDEX IF NOT EXISTS idx_job_queue_due
+ON job_queue(run_at)
+WHERE status = 'pending';
+
+-- Admin listing
+CREATE INDEX IF NOT EXISTS idx_job_queue_tenant
+ON job_queue(tenant_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS job_dead_letters (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    job_id VARCHAR(500),
+    tenant_id UUID,
+    name VARCHAR(100) NOT NULL,
+    payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+    dedupe_key VARCHAR(255),
+    backend VARCHAR(20) NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    failed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    replayed_at TIMESTAMP WITH TIME ZONE,
+    replayed_job_id VARCHAR(500),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON COLUMN job_dead_letters.job_id IS 'job_queue id (postgres backend) or Cloud Tasks task name';
+
+CREATE INDEX IF NOT EXISTS idx_job_dead_letters_tenant
+ON job_dead_letters(tenant_id, failed_at DESC);
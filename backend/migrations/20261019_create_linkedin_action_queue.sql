@@ -0,0 +1,44 @@
+-- Migration: Intra-day pacing for campaign LinkedIn actions
+-- Date: 2026-10-19
+-- Purpose: Every campaign LinkedIn action gets a slot on its account's timeline before it
+--          runs. Slots spread the account's daily quota across working hours with random
+--          gaps and per-action-type spacing. The local pacing scheduler wakes each lead
+--          when its slot comes due, so pacing does not depend on Cloud Tasks.
+
+CREATE TABLE IF NOT EXISTS linkedin_action_queue (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL,
+    provider_account_id VARCHAR(255) NOT NULL,
+    campaign_id UUID NOT NULL,
+    campaign_lead_id UUID NOT NULL,
+    step_id UUID NOT NULL,
+    step_type VARCHAR(50) NOT NULL,
+    scheduled_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'scheduled'
+        CHECK (status IN ('scheduled', 'dispatched', 'released', 'cancelled')),
+    dispatched_at TIMESTAMP WITH TIME ZONE,
+    released_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON COLUMN linkedin_action_queue.status IS 'scheduled -> dispatched (scheduler woke the lead) -> released (action ran); cancelled if the lead moved on';
+
+-- One open slot per lead and step
+CREATE UNIQUE INDEX IF NOT EXISTS idx_linkedin_action_queue_open_slot
+ON linkedin_action_queue(campaign_lead_id, step_id)
+WHERE status IN ('scheduled', 'dispatched');
+
+-- Account timeline lookups (last slot, slots per day)
+CREATE INDEX IF NOT EXISTS idx_linkedin_action_queue_account
+ON linkedin_action_queue(tenant_id, provider_account_id, scheduled_at);
+
+-- Scheduler scan for due slots
+CREATE INDEX IF NOT EXISTS idx_linkedin_action_queue_due
+ON linkedin_action_queue(scheduled_at)
+WHERE status = 'scheduled';
+
+ALTER TABLE campaign_tenant_settings
+ADD COLUMN IF NOT EXISTS linkedin_pacing JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+COMMENT ON COLUMN campaign_tenant_settings.linkedin_pacing IS '{ enabled, workingHours: { start, end, days, timezone }, dailyActionLimit, jitter }';
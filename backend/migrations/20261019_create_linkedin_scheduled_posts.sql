@@ -0,0 +1,49 @@
+-- Migration: LinkedIn scheduled posts (content calendar and publish queue)
+-- Date: 2026-10-19
+-- Purpose: Tenants schedule LinkedIn posts (text plus optional images) for their connected
+--          accounts, from the content calendar API or linkedin_autopost campaign steps.
+--          A scheduler publishes due posts through Unipile, one at a time per account, and
+--          keeps the publish status, attempts and the last failure on the row.
+
+CREATE TABLE IF NOT EXISTS linkedin_scheduled_posts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL,
+    provider_account_id VARCHAR(255) NOT NULL,
+    campaign_id UUID,
+    campaign_step_id UUID,
+    created_by UUID,
+    content TEXT NOT NULL,
+    image_urls TEXT[] NOT NULL DEFAULT '{}',
+    scheduled_at TIMESTAMP WITH TIME ZONE,
+    status VARCHAR(20) NOT NULL DEFAULT 'draft'
+        CHECK (status IN ('draft', 'scheduled', 'publishing', 'published', 'failed', 'cancelled')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 3,
+    next_attempt_at TIMESTAMP WITH TIME ZONE,
+    locked_at TIMESTAMP WITH TIME ZONE,
+    last_error TEXT,
+    failed_at TIMESTAMP WITH TIME ZONE,
+    provider_post_id VARCHAR(255),
+    post_url TEXT,
+    published_at TIMESTAMP WITH TIME ZONE,
+    cancelled_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE linkedin_scheduled_posts IS 'LinkedIn posts scheduled for a tenant''s connected accounts (content calendar and publish queue)';
+COMMENT ON COLUMN linkedin_scheduled_posts.provider_account_id IS 'social_linkedin_accounts.provider_account_id (Unipile account) the post is published from';
+COMMENT ON COLUMN linkedin_scheduled_posts.campaign_step_id IS 'linkedin_autopost step that scheduled the post (one post per step)';
+COMMENT ON COLUMN linkedin_scheduled_posts.status IS 'draft -> scheduled -> publishing -> published | failed; cancelled by the user';
+COMMENT ON COLUMN linkedin_scheduled_posts.next_attempt_at IS 'Retry time after a temporary publish failure';
+COMMENT ON COLUMN linkedin_scheduled_posts.last_error IS 'Error of the latest failed publish attempt';
+
+CREATE INDEX IF NOT EXISTS idx_linkedin_scheduled_posts_due
+ON linkedin_scheduled_posts(status, scheduled_at);
+
+CREATE INDEX IF NOT EXISTS idx_linkedin_scheduled_posts_account
+ON linkedin_scheduled_posts(tenant_id, provider_account_id, scheduled_at);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_linkedin_scheduled_posts_campaign_step
+ON linkedin_scheduled_posts(campaign_id, campaign_step_id)
+WHERE campaign_step_id IS NOT NULL;
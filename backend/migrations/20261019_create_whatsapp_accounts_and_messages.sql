@@ -0,0 +1,64 @@
+-- Migration: WhatsApp channel accounts and sent-message log
+-- Date: 2026-10-19
+-- Purpose: whatsapp_* campaign steps send through a provider adapter (WhatsApp Cloud API
+--          or a Unipile WhatsApp account). Sent messages are logged so delivery/read
+--          receipts and inbound replies from the webhook can be matched back to the lead.
+
+CREATE TABLE IF NOT EXISTS whatsapp_accounts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL,
+    provider VARCHAR(20) NOT NULL,
+    display_name VARCHAR(255),
+    phone_number VARCHAR(32),
+    -- WhatsApp Cloud API
+    phone_number_id VARCHAR(64),
+    access_token TEXT,
+    -- Unipile
+    unipile_account_id VARCHAR(255),
+    daily_limit INTEGER NOT NULL DEFAULT 250,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    is_deleted BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Webhooks identify the receiving account by provider id
+CREATE INDEX IF NOT EXISTS idx_whatsapp_accounts_phone_number_id
+ON whatsapp_accounts(phone_number_id) WHERE is_deleted = FALSE;
+
+CREATE INDEX IF NOT EXISTS idx_whatsapp_accounts_unipile_account
+ON whatsapp_accounts(unipile_account_id) WHERE is_deleted = FALSE;
+
+CREATE TABLE IF NOT EXISTS campaign_whatsapp_messages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL,
+    campaign_id UUID NOT NULL,
+    campaign_lead_id UUID NOT NULL,
+    lead_id UUID,
+    account_id UUID REFERENCES whatsapp_accounts(id),
+    step_id UUID,
+    provider VARCHAR(20) NOT NULL,
+    provider_message_id VARCHAR(255),
+    provider_chat_id VARCHAR(255),
+    to_phone VARCHAR(32) NOT NULL,
+    message_type VARCHAR(20) NOT NULL DEFAULT 'session',
+    template_name VARCHAR(255),
+    content TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'sent',
+    error_message TEXT,
+    sent_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    read_at TIMESTAMP WITH TIME ZONE,
+    replied_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Receipts are matched on the provider's message id
+CREATE INDEX IF NOT EXISTS idx_campaign_whatsapp_messages_provider_id
+ON campaign_whatsapp_messages(provider, provider_message_id);
+
+-- Replies are matched on the account + lead phone (newest message first)
+CREATE INDEX IF NOT EXISTS idx_campaign_whatsapp_messages_account_phone
+ON campaign_whatsapp_messages(account_id, to_phone, sent_at DESC);
+
+COMMENT ON COLUMN campaign_whatsapp_messages.message_type IS 'template | session';
+COMMENT ON COLUMN campaign_whatsapp_messages.status IS 'sent | delivered | read | failed';
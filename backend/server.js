@@ -23,6 +23,11 @@ async function startServer() {
     } else {
       logger.info('✓ JWT_SECRET is configured');
     }
+
+    // Campaign email open/click links are signed with a dedicated secret
+    if (process.env.EMAIL_TRACKING_ENABLED !== 'false' && !process.env.EMAIL_TRACKING_SECRET) {
+      logger.warn('⚠️  EMAIL_TRACKING_SECRET is not set. Email open/click tracking is disabled.');
+    }
     
     logger.info('Server configuration', {
       environment: process.env.NODE_ENV || 'development',
@@ -3,7 +3,6 @@
  * Production-ready helper for creating and managing Cloud Tasks
  */
 
-const { CloudTasksClient } = require('@google-cloud/tasks');
 const logger = require('../../core/utils/logger');
 
 const PROJECT_ID = process.env.GOOGLE_CLOUD_PROJECT || process.env.GCP_PROJECT_ID;
@@ -16,6 +15,8 @@ const IS_LOCAL_DEV = process.env.NODE_ENV === 'development' && SERVICE_URL?.incl
 class CloudTasksService {
   constructor() {
     try {
+      // Required here so deployments without Cloud Tasks (job queue on postgres) don't need the package
+      const { CloudTasksClient } = require('@google-cloud/tasks');
       // Initialize client with default credentials (Cloud Run service account)
       this.client = new CloudTasksClient();
       this.queuePath = this.client.queuePath(PROJECT_ID, LOCATION, QUEUE_NAME);
@@ -68,6 +69,27 @@ class CloudTasksService {
    * @returns {Promise<Object>} Created task
    */
   async scheduleNextDayTask(campaignId, tenantId, scheduleTime, retryCount = 0) {
+    const payload = {
+      campaignId,
+      tenantId,
+      scheduledFor: scheduleTime.toISOString(),
+      retryCount
+    };
+
+    return this.createHttpTask('/api/campaigns/run-daily', payload, scheduleTime, {
+      logContext: { campaignId, tenantId }
+    });
+  }
+
+  /**
+   * Create HTTP task that POSTs a JSON payload to this service
+   * @param {string} path - Service path, e.g. '/api/campaigns/jobs/run'
+   * @param {Object} payload - JSON body
+   * @param {Date} scheduleTime - When to run the task
+   * @param {Object} options - { taskId (task name suffix, deduplicates creation), logContext }
+   * @returns {Promise<Object>} { taskName, scheduleTime, simulated?, alreadyExists? }
+   */
+  async createHttpTask(path, payload, scheduleTime, { taskId = null, logContext = {} } = {}) {
     if (!PROJECT_ID) {
       throw new Error('GOOGLE_CLOUD_PROJECT or GCP_PROJECT_ID env var not set');
     }
@@ -76,19 +98,20 @@ class CloudTasksService {
       throw new Error('CLOUD_RUN_SERVICE_URL or SERVICE_URL env var not set');
     }
 
+    const url = `${SERVICE_URL}${path}`;
+
     // In local development, simulate task creation
     if (IS_LOCAL_DEV || !this.isConfigured) {
       logger.info('[CloudTasks] SIMULATED task creation (local dev mode)', {
-        campaignId,
-        tenantId,
+        ...logContext,
         scheduleTime: scheduleTime.toISOString(),
         queue: `${PROJECT_ID}/${LOCATION}/${QUEUE_NAME}`,
-        url: `${SERVICE_URL}/api/campaigns/run-daily`,
+        url,
         note: 'Task will be created in production Cloud Run environment'
       });
 
       return {
-        taskName: `projects/${PROJECT_ID}/locations/${LOCATION}/queues/${QUEUE_NAME}/tasks/simulated-${campaignId}-${Date.now()}`,
+        taskName: `projects/${PROJECT_ID}/locations/${LOCATION}/queues/${QUEUE_NAME}/tasks/simulated-${taskId || Date.now()}`,
         scheduleTime: scheduleTime.toISOString(),
         simulated: true
       };
@@ -99,8 +122,7 @@ class CloudTasksService {
     if (!queueExists) {
       const errorMsg = `Cloud Tasks queue '${QUEUE_NAME}' does not exist. Create it with: gcloud tasks queues create ${QUEUE_NAME} --location=${LOCATION} --project=${PROJECT_ID}`;
       logger.error('[CloudTasks] Cannot create task - queue missing', {
-        campaignId,
-        tenantId,
+        ...logContext,
         queue: this.queuePath,
         queueName: QUEUE_NAME,
         location: LOCATION,
@@ -109,15 +131,6 @@ class CloudTasksService {
       throw new Error(errorMsg);
     }
 
-    const url = `${SERVICE_URL}/api/campaigns/run-daily`;
-
-    const payload = {
-      campaignId,
-      tenantId,
-      scheduledFor: scheduleTime.toISOString(),
-      retryCount
-    };
-
     const task = {
       httpRequest: {
         httpMethod: 'POST',
@@ -130,6 +143,11 @@ class CloudTasksService {
       },
     };
 
+    // Named tasks are deduplicated by Cloud Tasks
+    if (taskId) {
+      task.name = `${this.queuePath}/tasks/${String(taskId).replace(/[^a-zA-Z0-9_-]/g, '_').substring(0, 500)}`;
+    }
+
     // Add OIDC token for Cloud Run authentication
     // Service account must have cloudtasks.enqueuer role
     if (SERVICE_ACCOUNT_EMAIL) {
@@ -153,8 +171,7 @@ class CloudTasksService {
       });
 
       logger.info('[CloudTasks] Task scheduled', {
-        campaignId,
-        tenantId,
+        ...logContext,
         taskName: response.name,
         scheduleTime: scheduleTime.toISOString(),
       });
@@ -164,9 +181,17 @@ class CloudTasksService {
         scheduleTime: scheduleTime.toISOString(),
       };
     } catch (error) {
+      // gRPC ALREADY_EXISTS - a task with this name was already created
+      if (taskId && error.code === 6) {
+        logger.info('[CloudTasks] Task already exists', { ...logContext, taskName: task.name });
+        return {
+          taskName: task.name,
+          scheduleTime: scheduleTime.toISOString(),
+          alreadyExists: true
+        };
+      }
       logger.error('[CloudTasks] Failed to create task', {
-        campaignId,
-        tenantId,
+        ...logContext,
         error: error.message,
         queue: this.queuePath,
       });
@@ -174,6 +199,14 @@ class CloudTasksService {
     }
   }
 
+  /**
+   * Whether tasks are really created (not simulated)
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return !!(PROJECT_ID && SERVICE_URL && this.isConfigured && !IS_LOCAL_DEV);
+  }
+
   /**
    * Schedule first task for campaign (at start_date)
    * @param {string} campaignId 
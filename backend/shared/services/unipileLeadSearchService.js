@@ -6,12 +6,15 @@
  * 
  * This is an alternative to Apollo's people_api and provides
  * access to real LinkedIn data through Unipile integration.
+ *
+ * Shared by apollo-leads (search endpoints) and campaigns (lead sourcing,
+ * engagement and lead summary steps), so neither feature imports the other.
  */
 
 const axios = require('axios');
-const { pool } = require('../../../shared/database/connection');
-const { getSchema } = require('../../../core/utils/schemaHelper');
-const logger = require('../../../core/utils/logger');
+const { pool } = require('../database/connection');
+const { getSchema } = require('../../core/utils/schemaHelper');
+const logger = require('../../core/utils/logger');
 
 class UnipileLeadSearchService {
   constructor() {
@@ -259,11 +262,12 @@ class UnipileLeadSearchService {
    * @param {string} params.skills - Skill keywords or IDs
    * @param {number} params.limit - Max results (default: 50)
    * @param {string} params.accountId - Unipile LinkedIn account ID (required)
+   * @param {string} params.cursor - Cursor of the next page (from a previous search's cursor)
    * @returns {Promise<Object>} Search results with people array
    */
   async searchPeople(params) {
     try {
-      const { keywords, industry, location, designation, company, skills, limit = 50, accountId } = params;
+      const { keywords, industry, location, designation, company, skills, limit = 50, accountId, cursor } = params;
 
       if (!accountId) {
         throw new Error('accountId is required to search people');
@@ -287,8 +291,9 @@ class UnipileLeadSearchService {
       const baseUrl = this.getBaseUrl();
       const headers = this.getAuthHeaders();
 
-      // LinkedIn people search endpoint
-      const searchUrl = `${baseUrl}/linkedin/search?account_id=${accountId}`;
+      // LinkedIn people search endpoint (the cursor continues a previous search)
+      const searchUrl = `${baseUrl}/linkedin/search?account_id=${accountId}` +
+        (cursor ? `&cursor=${encodeURIComponent(cursor)}` : '');
 
       // Use Classic API (more widely available than Recruiter API)
       // Build search body according to Unipile Classic API spec